@@ -0,0 +1,333 @@
+'use strict';
+
+/**
+ * addParameterProvider.js
+ *
+ * "Add Parameter…" refactoring for templates: prompts for a name, type,
+ * default and allowed `values:`, and inserts the `- name:` entry into the
+ * template's `parameters:` block (creating the block when there is none).
+ *
+ * A parameter without a default is required, so every existing call would
+ * break.  For those, the command offers to insert a placeholder argument into
+ * every caller from the workspace index — all edits go into one
+ * WorkspaceEdit, shown in the refactor preview before it is applied.
+ */
+
+const path = require('path');
+const vscode = require('vscode');
+const fileCache = require('./fileCache');
+const { parseYaml, getMapEntry } = require('./yamlParser');
+const { PARAMETER_NAME, parseParameters, parsePassedParameters } = require('./hoverProvider');
+const { canonicalLiteralForType } = require('./quickFixProvider');
+const { workspaceIndex } = require('./workspaceIndex');
+const { splitLines, findTemplateCallSites } = require('./referenceProvider');
+const { readOpenOrDisk } = require('./moveTemplateProvider');
+
+/** Types a template parameter can be declared with. */
+const PARAMETER_TYPES = [
+  'string', 'number', 'boolean', 'object',
+  'step', 'stepList', 'job', 'jobList', 'deployment', 'deploymentList', 'stage', 'stageList',
+];
+
+/**
+ * @typedef {object} NewParameter
+ * @property {string} name
+ * @property {string} type
+ * @property {string} [default]  YAML text of the default; omitted for a required parameter
+ * @property {string[]} [values] Allowed values
+ *
+ * @typedef {object} TextInsertion
+ * @property {string} filePath
+ * @property {number} line       Insert at the end of this line…
+ * @property {number} character  …at this column
+ * @property {string} text
+ */
+
+/**
+ * Returns why a new parameter cannot be added to a template, or null.
+ *
+ * @param {string} templateText
+ * @param {NewParameter} param
+ * @returns {string|null}
+ */
+function validateNewParameter(templateText, param) {
+  if (!PARAMETER_NAME.test(param.name)) {
+    return `'${param.name}' is not a valid parameter name: use letters, digits and underscores, not starting with a digit`;
+  }
+  const clash = parseParameters(templateText).find(p => p.name.toLowerCase() === param.name.toLowerCase());
+  if (clash) return `The template already declares a parameter '${clash.name}'`;
+  if (!PARAMETER_TYPES.includes(param.type)) return `'${param.type}' is not a parameter type`;
+  if (param.values && param.values.length > 0 && param.default !== undefined) {
+    const unquoted = param.default.replace(/^(['"])(.*)\1$/, '$2');
+    if (!param.values.includes(unquoted)) return `The default '${unquoted}' is not one of the allowed values`;
+  }
+  return null;
+}
+
+/**
+ * Works out where and how the `- name:` entry of a new parameter goes: after
+ * the last entry of the `parameters:` block, at the indentation of its
+ * entries — or, without a block, in a new `parameters:` block above the first
+ * root key.
+ *
+ * The text goes in at `line`/`character`, replacing up to `end` when set.
+ *
+ * @param {string} templateText
+ * @param {NewParameter} param
+ * @returns {{ line: number, character: number, end?: { line: number, character: number }, text: string } | { error: string }}
+ */
+function planParameterDeclaration(templateText, param) {
+  const lines = splitLines(templateText);
+  const doc = parseYaml(templateText);
+  const entry = getMapEntry(doc.root, 'parameters');
+  const seq = entry && entry.value && entry.value.kind === 'seq' && !entry.value.flow && entry.value.items.length > 0
+    ? entry.value
+    : null;
+
+  const render = (indent) => {
+    const out = [`${indent}- name: ${param.name}`, `${indent}  type: ${param.type}`];
+    if (param.default !== undefined) out.push(`${indent}  default: ${param.default}`);
+    if (param.values && param.values.length > 0) {
+      out.push(`${indent}  values:`, ...param.values.map(v => `${indent}    - ${v}`));
+    }
+    return out;
+  };
+
+  if (seq) {
+    const firstLine = lines[seq.items[0].line];
+    const indent = firstLine.slice(0, firstLine.length - firstLine.trimStart().length);
+    return { line: seq.endLine, character: lines[seq.endLine].length, text: `\n${render(indent).join('\n')}` };
+  }
+  if (entry) {
+    const value = entry.value;
+    if (value && !(value.kind === 'seq' && value.items.length === 0) && !(value.kind === 'scalar' && value.value === '')) {
+      return { error: "The template's parameters are not a block list; add the parameter by hand" };
+    }
+    // `parameters:` or `parameters: []` — replace the empty value with a block list
+    const keyLine = lines[entry.line];
+    const indent = ' '.repeat(entry.col + 2);
+    const colon = keyLine.indexOf(':', entry.col) + 1;
+    return {
+      line: entry.line,
+      character: colon,
+      end: value ? { line: value.endLine, character: value.endCol } : { line: entry.line, character: keyLine.length },
+      text: `\n${render(indent).join('\n')}`,
+    };
+  }
+  const first = doc.root && doc.root.kind === 'map' && doc.root.entries.length > 0 ? doc.root.entries[0].line : 0;
+  return { line: first, character: 0, text: `parameters:\n${render('  ').join('\n')}\n\n` };
+}
+
+/**
+ * Works out the placeholder arguments that pass a new required parameter at
+ * every call of a template.  Calls that already pass a parameter of that name
+ * (in any `${{ if }}` branch) are left alone; calls written in flow style, or
+ * whose `parameters:` are, are listed in `skipped`.
+ *
+ * @param {string} templatePath
+ * @param {string} name
+ * @param {string} placeholder  YAML text of the value
+ * @param {import('./workspaceIndex').WorkspaceIndex} index
+ * @param {(filePath: string) => string|null} [readText]
+ * @returns {{ insertions: TextInsertion[], skipped: { filePath: string, line: number }[] }}
+ */
+function planCallerArguments(templatePath, name, placeholder, index, readText = fileCache.readFile) {
+  const insertions = [];
+  const skipped = [];
+  for (const site of findTemplateCallSites(templatePath, index, readText)) {
+    const text = readText(site.filePath);
+    if (!text) continue;
+    const lines = splitLines(text);
+
+    let call = null;
+    const visit = (node) => {
+      if (!node || call) return;
+      if (node.kind === 'map') {
+        const entry = getMapEntry(node, 'template');
+        if (entry && entry.line === site.templateLine) { call = node; return; }
+        node.entries.forEach(e => visit(e.value));
+      } else if (node.kind === 'seq') {
+        node.items.forEach(visit);
+      }
+    };
+    visit(parseYaml(text).root);
+    if (!call) continue;
+    // Includes keys passed in `${{ if }}` / `${{ else }}` branches
+    if (parsePassedParameters(lines, site.templateLine)[name]) continue;
+    // A key added below `- { template: … }` would land outside the braces
+    if (call.flow) {
+      skipped.push({ filePath: site.filePath, line: site.templateLine });
+      continue;
+    }
+
+    const templateEntry = getMapEntry(call, 'template');
+    const keyIndent = ' '.repeat(templateEntry.col);
+    const params = getMapEntry(call, 'parameters');
+
+    if (!params) {
+      insertions.push({
+        filePath: site.filePath,
+        line: call.endLine,
+        character: lines[call.endLine].length,
+        text: `\n${keyIndent}parameters:\n${keyIndent}  ${name}: ${placeholder}`,
+      });
+      continue;
+    }
+    const value = params.value;
+    if (value && value.kind === 'map' && !value.flow) {
+      const argIndent = ' '.repeat(value.entries[0].col);
+      insertions.push({
+        filePath: site.filePath,
+        line: value.endLine,
+        character: lines[value.endLine].length,
+        text: `\n${argIndent}${name}: ${placeholder}`,
+      });
+    } else if (!value) {
+      insertions.push({
+        filePath: site.filePath,
+        line: params.line,
+        character: lines[params.line].length,
+        text: `\n${keyIndent}  ${name}: ${placeholder}`,
+      });
+    } else {
+      skipped.push({ filePath: site.filePath, line: site.templateLine });
+    }
+  }
+  return { insertions, skipped };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VS Code command
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Prompts for the new parameter.  Returns undefined when the user cancels.
+ *
+ * @param {string} templateText
+ * @returns {Promise<NewParameter|undefined>}
+ */
+async function promptForParameter(templateText) {
+  const name = await vscode.window.showInputBox({
+    title: 'Add Parameter (1/4) — Name',
+    placeHolder: 'e.g. buildConfiguration',
+    validateInput: (value) => {
+      const trimmed = value.trim();
+      return trimmed ? validateNewParameter(templateText, { name: trimmed, type: 'string' }) : 'Enter a name';
+    },
+  });
+  if (name === undefined) return undefined;
+
+  const type = await vscode.window.showQuickPick(PARAMETER_TYPES, {
+    title: 'Add Parameter (2/4) — Type',
+    placeHolder: 'Type of the parameter',
+  });
+  if (type === undefined) return undefined;
+
+  const defaultValue = await vscode.window.showInputBox({
+    title: 'Add Parameter (3/4) — Default',
+    prompt: 'Leave empty for a required parameter',
+    placeHolder: canonicalLiteralForType(type),
+  });
+  if (defaultValue === undefined) return undefined;
+
+  let values;
+  if (['string', 'number'].includes(type)) {
+    const input = await vscode.window.showInputBox({
+      title: 'Add Parameter (4/4) — Allowed Values',
+      prompt: 'Comma-separated values the parameter is restricted to; leave empty to allow any value',
+      validateInput: (value) => {
+        const list = value.split(',').map(v => v.trim()).filter(Boolean);
+        const param = { name: name.trim(), type, default: defaultValue.trim() || undefined, values: list };
+        return validateNewParameter(templateText, param);
+      },
+    });
+    if (input === undefined) return undefined;
+    values = input.split(',').map(v => v.trim()).filter(Boolean);
+  }
+
+  return {
+    name: name.trim(),
+    type,
+    default: defaultValue.trim() === '' ? undefined : defaultValue.trim(),
+    values,
+  };
+}
+
+/**
+ * Registers the "Add Parameter…" command.
+ *
+ * @param {vscode.ExtensionContext} context
+ */
+function createAddParameterProvider(context) {
+  context.subscriptions.push(
+    vscode.commands.registerCommand('azure-templates-navigator.addParameter', async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor || editor.document.uri.scheme !== 'file' || !/\.ya?ml$/i.test(editor.document.uri.fsPath)) {
+        vscode.window.showWarningMessage('Azure Templates Navigator: Open a template YAML file to add a parameter.');
+        return;
+      }
+      const document = editor.document;
+      const templatePath = document.uri.fsPath;
+      const templateText = document.getText();
+
+      const param = await promptForParameter(templateText);
+      if (!param) return;
+      const error = validateNewParameter(templateText, param);
+      if (error) {
+        vscode.window.showErrorMessage(`Azure Templates Navigator: ${error}`);
+        return;
+      }
+
+      const label = `Add parameter '${param.name}' to ${path.basename(templatePath)}`;
+      const metadata = { needsConfirmation: true, label };
+      const edit = new vscode.WorkspaceEdit();
+      const declaration = planParameterDeclaration(templateText, param);
+      if (declaration.error) {
+        vscode.window.showErrorMessage(`Azure Templates Navigator: ${declaration.error}`);
+        return;
+      }
+      const start = new vscode.Position(declaration.line, declaration.character);
+      const range = declaration.end
+        ? new vscode.Range(start, new vscode.Position(declaration.end.line, declaration.end.character))
+        : new vscode.Range(start, start);
+      edit.replace(document.uri, range, declaration.text, metadata);
+
+      if (param.default === undefined) {
+        const placeholder = canonicalLiteralForType(param.type);
+        const plan = planCallerArguments(templatePath, param.name, placeholder, workspaceIndex, readOpenOrDisk);
+        if (plan.insertions.length > 0) {
+          const callers = new Set(plan.insertions.map(i => i.filePath)).size;
+          const choice = await vscode.window.showInformationMessage(
+            `'${param.name}' is required. Pass a placeholder (${placeholder}) at the ${plan.insertions.length} call${plan.insertions.length === 1 ? '' : 's'} in ${callers} file${callers === 1 ? '' : 's'}?`,
+            { modal: true },
+            'Add Placeholders',
+            'Only Declare'
+          );
+          if (choice === undefined) return; // user cancelled
+          if (choice === 'Add Placeholders') {
+            const callerMetadata = { needsConfirmation: true, label: `Pass '${param.name}' at the call sites` };
+            for (const i of plan.insertions) {
+              const pos = new vscode.Position(i.line, i.character);
+              edit.insert(vscode.Uri.file(i.filePath), pos, i.text, callerMetadata);
+            }
+          }
+        }
+        if (plan.skipped.length > 0) {
+          vscode.window.showWarningMessage(
+            `Azure Templates Navigator: Pass '${param.name}' by hand at ${plan.skipped.map(s => `${path.basename(s.filePath)}:${s.line + 1}`).join(', ')} (flow-style parameters).`
+          );
+        }
+      }
+
+      await vscode.workspace.applyEdit(edit);
+    })
+  );
+}
+
+module.exports = {
+  createAddParameterProvider,
+  validateNewParameter,
+  planParameterDeclaration,
+  planCallerArguments,
+  PARAMETER_TYPES,
+};
@@ -0,0 +1,438 @@
+'use strict';
+
+/**
+ * breakingChangeProvider.js
+ *
+ * Detects breaking changes to a template's `parameters:` block by comparing
+ * the working copy with the version committed at `HEAD`:
+ *
+ *   - a parameter was removed
+ *   - a required parameter (no `default:`) was added
+ *   - an optional parameter lost its default
+ *   - a parameter's type changed
+ *   - a `values:` list no longer allows a value it allowed before
+ *
+ * The `HEAD` version is read with `git show` from the template's own
+ * repository.  Callers found through the workspace index are checked against
+ * each change, so only call sites that actually break are listed.  A file
+ * whose `parameters:` block was deleted since `HEAD` is still checked.
+ *
+ * When a template has breaking changes, a warning is shown on its
+ * `parameters:` key (with the affected call sites as related information),
+ * and "Show Breaking Changes" opens a Markdown report beside the template.
+ */
+
+const path = require('path');
+const { execFile } = require('child_process');
+const vscode = require('vscode');
+const { parseParameters, parsePassedParameters, findRepoRoot } = require('./hoverProvider');
+const { parseYaml, getMapEntry, scalarValue } = require('./yamlParser');
+const { workspaceIndex } = require('./workspaceIndex');
+const { splitLines, findTemplateCallSites } = require('./referenceProvider');
+const { inferValueType, COMPATIBLE_TYPES } = require('./diagnosticProvider');
+const { readOpenOrDisk } = require('./moveTemplateProvider');
+
+/** URI scheme of the read-only report documents. */
+const SCHEME = 'azure-template-breaking-changes';
+
+/**
+ * @typedef {object} ParameterChange
+ * @property {'removed'|'required-added'|'became-required'|'type-changed'|'values-narrowed'} kind
+ * @property {string} name
+ * @property {number|undefined} line   Declaration line in the working copy (undefined when removed)
+ * @property {string} message
+ * @property {string} [oldType]
+ * @property {string} [newType]
+ * @property {string[]} [values]       Allowed values now (values-narrowed)
+ * @property {string[]} [removedValues] Values no longer allowed (values-narrowed)
+ *
+ * @typedef {object} AffectedCaller
+ * @property {string} filePath
+ * @property {number} line      Line of the `template:` key
+ * @property {string[]} reasons
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Comparison
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * True when a file is a template for breaking-change checks: its working
+ * copy or its `HEAD` version declares `parameters:`.  A template whose whole
+ * block was deleted still breaks the callers that pass parameters.
+ *
+ * @param {string} text           Working-copy text
+ * @param {string|null} headText  Text at HEAD, null when not committed
+ * @returns {boolean}
+ */
+function isTemplate(text, headText) {
+  return [text, headText].some(t => typeof t === 'string' && /^parameters\s*:/m.test(t));
+}
+
+/**
+ * Lists the breaking differences between two versions of a template's
+ * parameters.  Additions of optional parameters, new defaults and widened
+ * `values:` lists are compatible and not reported.
+ *
+ * @param {string} oldText  Template text at HEAD
+ * @param {string} newText  Template text in the working copy
+ * @returns {ParameterChange[]}
+ */
+function compareParameters(oldText, newText) {
+  const oldParams = new Map(parseParameters(oldText).map(p => [p.name, p]));
+  const newParams = parseParameters(newText);
+  const changes = [];
+
+  for (const name of oldParams.keys()) {
+    if (!newParams.some(p => p.name === name)) {
+      changes.push({ kind: 'removed', name, line: undefined, message: `'${name}' was removed` });
+    }
+  }
+
+  for (const after of newParams) {
+    const { name, line } = after;
+    const before = oldParams.get(name);
+    if (!before) {
+      if (after.required) {
+        changes.push({ kind: 'required-added', name, line, message: `'${name}' was added without a default, so callers must pass it` });
+      }
+      continue;
+    }
+    if (after.required && !before.required) {
+      changes.push({ kind: 'became-required', name, line, message: `'${name}' no longer has a default, so callers must pass it` });
+    }
+    if (after.type.toLowerCase() !== before.type.toLowerCase()) {
+      changes.push({
+        kind: 'type-changed', name, line,
+        oldType: before.type, newType: after.type,
+        message: `'${name}' changed type from ${before.type} to ${after.type}`,
+      });
+    }
+    if (after.values) {
+      const removedValues = before.values ? before.values.filter(v => !after.values.includes(v)) : [];
+      if (!before.values || removedValues.length > 0) {
+        changes.push({
+          kind: 'values-narrowed', name, line,
+          values: after.values, removedValues,
+          message: before.values
+            ? `'${name}' no longer allows ${removedValues.map(v => `'${v}'`).join(', ')}`
+            : `'${name}' is now restricted to ${after.values.map(v => `'${v}'`).join(', ')}`,
+        });
+      }
+    }
+  }
+  return changes;
+}
+
+/**
+ * Returns why one call is broken by the changes, or an empty list.  A call
+ * breaks when it passes a removed parameter, does not pass a newly required
+ * one, passes a value the parameter's new type rejects, or passes a literal
+ * value that is no longer allowed.
+ *
+ * @param {Record<string, import('./hoverProvider').PassedParameter>} passed
+ * @param {ParameterChange[]} changes
+ * @returns {string[]}
+ */
+function callerBreakages(passed, changes) {
+  // Keys built by ${{ each }} / ${{ insert }} may pass anything
+  const open = Object.values(passed).some(p => p.dynamic);
+  const reasons = [];
+  for (const change of changes) {
+    const arg = passed[change.name];
+    switch (change.kind) {
+      case 'removed':
+        if (arg) reasons.push(`passes '${change.name}', which was removed`);
+        break;
+      case 'required-added':
+      case 'became-required':
+        if (!arg && !open) reasons.push(`does not pass '${change.name}', which is now required`);
+        break;
+      case 'type-changed': {
+        // Literals the new type still accepts (`true` after string → boolean)
+        // do not break; expressions and block collections are not checked
+        const compatible = COMPATIBLE_TYPES[change.newType.toLowerCase()];
+        const rejects = (a) => !compatible ||
+          (a.value !== '' && !/^\$/.test(a.value) && !compatible.includes(inferValueType(a.value)));
+        if (arg && [arg, ...(arg.alternatives || [])].some(rejects)) {
+          reasons.push(`passes '${change.name}', which changed type from ${change.oldType} to ${change.newType}`);
+        }
+        break;
+      }
+      case 'values-narrowed': {
+        const value = arg && scalarValue(arg.node);
+        if (value !== undefined && !/\$[({[]/.test(value) && !change.values.includes(value)) {
+          reasons.push(`passes '${change.name}: ${value}', which is no longer allowed`);
+        }
+        break;
+      }
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Returns the call sites of a template that the changes break.
+ *
+ * @param {string} templatePath
+ * @param {ParameterChange[]} changes
+ * @param {import('./workspaceIndex').WorkspaceIndex} index
+ * @param {(filePath: string) => string|null} [readText]  Source of a file —
+ *   open documents with unsaved changes by default
+ * @returns {AffectedCaller[]}
+ */
+function findAffectedCallers(templatePath, changes, index, readText = readOpenOrDisk) {
+  if (changes.length === 0) return [];
+  const affected = [];
+  for (const site of findTemplateCallSites(templatePath, index, readText)) {
+    const text = readText(site.filePath);
+    if (!text) continue;
+    const reasons = callerBreakages(parsePassedParameters(splitLines(text), site.templateLine), changes);
+    if (reasons.length > 0) affected.push({ filePath: site.filePath, line: site.templateLine, reasons });
+  }
+  return affected;
+}
+
+/**
+ * Renders the Markdown report for a template.
+ *
+ * @param {string} templatePath
+ * @param {ParameterChange[]|null} changes  null when there is no HEAD version
+ * @param {AffectedCaller[]} affected
+ * @returns {string}
+ */
+function renderBreakingChangeReport(templatePath, changes, affected) {
+  const root = findRepoRoot(path.dirname(templatePath));
+  const rel = (p) => path.relative(root, p).replace(/\\/g, '/');
+  const out = [`# Breaking changes in ${rel(templatePath)}`, ''];
+
+  if (changes === null) {
+    out.push('The template is not committed at `HEAD` (or is not in a git repository), so there is nothing to compare it with.');
+    return `${out.join('\n')}\n`;
+  }
+  if (changes.length === 0) {
+    out.push('The parameters have no breaking changes since `HEAD`.');
+    return `${out.join('\n')}\n`;
+  }
+
+  const files = new Set(affected.map(a => a.filePath)).size;
+  out.push(
+    `Compared with \`HEAD\`: ${plural(changes.length, 'breaking change')}, ` +
+    (affected.length > 0
+      ? `affecting ${plural(affected.length, 'call site')} in ${plural(files, 'file')} of the workspace.`
+      : 'affecting no call site in the workspace.'),
+    '',
+    '## Changes',
+    '',
+    ...changes.map(c => `- ${c.message}${c.line !== undefined ? ` (line ${c.line + 1})` : ''}`),
+    ''
+  );
+  if (affected.length > 0) {
+    out.push('## Affected callers', '');
+    for (const a of affected) {
+      out.push(`- \`${rel(a.filePath)}:${a.line + 1}\` ${a.reasons.join('; ')}`);
+    }
+    out.push('');
+  }
+  return out.join('\n');
+}
+
+/** Formats a count with a noun, e.g. `2 call sites`. */
+function plural(n, noun) {
+  return `${n} ${noun}${n === 1 ? '' : 's'}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Git
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Reads the version of a file committed at `HEAD` of its repository.
+ * Resolves to null when git is not available, the file is outside a
+ * repository, or the file is not in `HEAD` (new or untracked).
+ *
+ * @param {string} filePath
+ * @returns {Promise<string|null>}
+ */
+function readHeadText(filePath) {
+  return new Promise(resolve => {
+    execFile(
+      'git',
+      ['show', `HEAD:./${path.basename(filePath)}`],
+      { cwd: path.dirname(filePath), encoding: 'utf8', timeout: 10000, maxBuffer: 16 * 1024 * 1024, windowsHide: true },
+      (err, stdout) => resolve(err ? null : stdout)
+    );
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VS Code integration
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Supplies the content of `azure-template-breaking-changes:` documents — the
+ * report for the template named by the URI query.
+ */
+class BreakingChangeReportProvider {
+  constructor() {
+    this._onDidChange = new vscode.EventEmitter();
+    this.onDidChange = this._onDidChange.event;
+    /** @type {Map<string, string>} template path → rendered report */
+    this._reports = new Map();
+  }
+
+  /** @param {vscode.Uri} uri */
+  provideTextDocumentContent(uri) {
+    const templatePath = decodeURIComponent(uri.query);
+    return this._reports.get(templatePath) || `# Breaking changes\n\nNo report for ${templatePath}.\n`;
+  }
+
+  /**
+   * Stores a report and returns the URI that shows it.
+   * @param {string} templatePath
+   * @param {string} report
+   * @returns {vscode.Uri}
+   */
+  publish(templatePath, report) {
+    const name = path.basename(templatePath).replace(/\.ya?ml$/i, '');
+    const uri = vscode.Uri.parse(`${SCHEME}:/${name} (breaking changes).md?${encodeURIComponent(templatePath)}`);
+    this._reports.set(templatePath, report);
+    this._onDidChange.fire(uri);
+    return uri;
+  }
+
+  dispose() {
+    this._onDidChange.dispose();
+  }
+}
+
+/**
+ * Registers the breaking-change warnings and the
+ * `azure-templates-navigator.showBreakingChanges` command.
+ *
+ * @param {vscode.ExtensionContext} context
+ */
+function createBreakingChangeProvider(context) {
+  const collection = vscode.languages.createDiagnosticCollection('azure-templates-navigator-breaking-changes');
+  const reports = new BreakingChangeReportProvider();
+  /** @type {Map<string, Promise<string|null>>} template path → HEAD text */
+  const headTexts = new Map();
+  /** @type {Map<string, NodeJS.Timeout>} */
+  const timers = new Map();
+
+  const isYamlFile = (doc) => doc.languageId === 'yaml' && doc.uri.scheme === 'file';
+
+  /** Compares a document with HEAD; resolves to null without a HEAD version. */
+  async function analyse(document, { refresh = false } = {}) {
+    const filePath = document.uri.fsPath;
+    if (refresh || !headTexts.has(filePath)) headTexts.set(filePath, readHeadText(filePath));
+    const headText = await headTexts.get(filePath);
+    if (headText === null) return null;
+    const text = document.getText();
+    const changes = isTemplate(text, headText) ? compareParameters(headText, text) : [];
+    return { changes, affected: findAffectedCallers(filePath, changes, workspaceIndex) };
+  }
+
+  async function check(document, options) {
+    if (!isYamlFile(document)) {
+      collection.delete(document.uri);
+      return;
+    }
+    const result = await analyse(document, options);
+    if (!result || result.changes.length === 0) {
+      collection.delete(document.uri);
+      return;
+    }
+    collection.set(document.uri, [buildDiagnostic(document, result.changes, result.affected)]);
+  }
+
+  function schedule(document) {
+    const key = document.uri.toString();
+    clearTimeout(timers.get(key));
+    timers.set(key, setTimeout(() => {
+      timers.delete(key);
+      check(document).catch(err => console.error('[Azure Templates Navigator] Breaking-change check error:', err));
+    }, 500));
+  }
+
+  const checkNow = (document, options) =>
+    check(document, options).catch(err => console.error('[Azure Templates Navigator] Breaking-change check error:', err));
+
+  vscode.workspace.textDocuments.forEach(doc => checkNow(doc));
+
+  context.subscriptions.push(
+    collection,
+    reports,
+    vscode.workspace.registerTextDocumentContentProvider(SCHEME, reports),
+    vscode.workspace.onDidOpenTextDocument(doc => checkNow(doc, { refresh: true })),
+    vscode.workspace.onDidChangeTextDocument(e => schedule(e.document)),
+    // A save often goes with a commit, so HEAD is read again
+    vscode.workspace.onDidSaveTextDocument(doc => checkNow(doc, { refresh: true })),
+    vscode.workspace.onDidCloseTextDocument(doc => {
+      collection.delete(doc.uri);
+      headTexts.delete(doc.uri.fsPath);
+    }),
+    { dispose: () => timers.forEach(clearTimeout) },
+
+    vscode.commands.registerCommand('azure-templates-navigator.showBreakingChanges', async (uri) => {
+      const editor = vscode.window.activeTextEditor;
+      const document = uri && uri.fsPath
+        ? await vscode.workspace.openTextDocument(uri)
+        : editor && editor.document.uri.scheme === 'file' ? editor.document : null;
+      if (!document || !/\.ya?ml$/i.test(document.uri.fsPath)) {
+        vscode.window.showWarningMessage('Azure Templates Navigator: Open a template YAML file to check it for breaking changes.');
+        return;
+      }
+      const result = await analyse(document, { refresh: true });
+      const report = renderBreakingChangeReport(document.uri.fsPath, result && result.changes, result ? result.affected : []);
+      const reportDoc = await vscode.workspace.openTextDocument(reports.publish(document.uri.fsPath, report));
+      await vscode.window.showTextDocument(reportDoc, {
+        viewColumn: vscode.ViewColumn.Beside,
+        preview: true,
+        preserveFocus: true,
+      });
+      checkNow(document);
+    })
+  );
+}
+
+/**
+ * Builds the warning shown on the template's `parameters:` key.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {ParameterChange[]} changes
+ * @param {AffectedCaller[]} affected
+ * @returns {vscode.Diagnostic}
+ */
+function buildDiagnostic(document, changes, affected) {
+  const entry = getMapEntry(parseYaml(document.getText()).root, 'parameters');
+  const line = entry ? entry.line : 0;
+  const range = new vscode.Range(line, 0, line, document.lineAt(line).text.length);
+  const callers = affected.length > 0
+    ? `breaks ${plural(affected.length, 'call site')}`
+    : 'breaks no call site in the workspace';
+  const diag = new vscode.Diagnostic(
+    range,
+    `Breaking ${changes.length === 1 ? 'change' : 'changes'} since HEAD (${callers}): ` +
+      `${changes.map(c => c.message).join('; ')}. Run "Show Breaking Changes" for the report.`,
+    vscode.DiagnosticSeverity.Warning
+  );
+  diag.source = 'Azure Templates Navigator';
+  diag.code = 'breaking-change';
+  diag.relatedInformation = affected.map(a => new vscode.DiagnosticRelatedInformation(
+    new vscode.Location(vscode.Uri.file(a.filePath), new vscode.Range(a.line, 0, a.line, 0)),
+    `${path.basename(a.filePath)} ${a.reasons.join('; ')}`
+  ));
+  return diag;
+}
+
+module.exports = {
+  SCHEME,
+  createBreakingChangeProvider,
+  compareParameters,
+  callerBreakages,
+  findAffectedCallers,
+  renderBreakingChangeReport,
+  isTemplate,
+  readHeadText,
+};
@@ -2,70 +2,235 @@
 
 const fs = require('fs');
 const vscode = require('vscode');
+const { parseYaml } = require('./yamlParser');
 const {
   parseParameters,
   parseRepositoryAliases,
   parsePassedParameters,
   resolveTemplatePath,
+  findEnclosingTemplateCall,
+  isInTemplateParameters,
+  formatDocMarkdown,
 } = require('./hoverProvider');
+const {
+  lookupTask,
+  parseTaskReference,
+  findTaskInput,
+  isInputActive,
+} = require('./taskCatalog');
+const { getTaskCatalog } = require('./workspaceTaskCatalog');
 
 /**
- * Walks backwards from `cursorLine` to find the nearest `- template:` line
- * that is at a shallower indentation level than the cursor line.
+ * Finds the template call whose `parameters:` block the cursor is in —
+ * step/job/stage templates and `extends:` alike, whichever of `template:` and
+ * `parameters:` comes first.
  *
- * Returns the template reference string and its line index, or null if not found.
+ * Returns the template reference (unquoted) and the line of its `template:`
+ * key, or null if not found.
  *
  * @param {string[]} lines
  * @param {number}   cursorLine   0-based
  * @returns {{ templateRef: string, templateLine: number } | null}
  */
 function findEnclosingTemplate(lines, cursorLine) {
-  const cursorRaw = lines[cursorLine] || '';
-  const cursorIndent = cursorRaw.length - cursorRaw.trimStart().length;
+  const call = findEnclosingTemplateCall(parseYaml(lines.join('\n')), cursorLine);
+  return call ? { templateRef: call.templateRef, templateLine: call.templateLine } : null;
+}
 
-  // Track the shallowest indent we've seen so far while walking backwards.
-  // Once we find a template: line at a shallower indent than the cursor, return it.
-  // Stop only when we hit a top-level (indent 0) non-template line, which means
-  // we've left the enclosing block entirely.
-  let shallowestSeen = cursorIndent;
+/**
+ * Finds the `- task:` step whose `inputs:` block the cursor is in — the
+ * cursor's nearest shallower line must be an `inputs:` key, and the step's
+ * `task:` key one of its siblings.
+ *
+ * Returns the task reference, its line and the line of `inputs:`, or null.
+ *
+ * @param {string[]} lines
+ * @param {number}   cursorLine   0-based
+ * @returns {{ taskRef: string, taskLine: number, inputsLine: number } | null}
+ */
+function findEnclosingTaskInputs(lines, cursorLine) {
+  const strip = (l) => l.replace(/(^\s*#.*|\s#.*)$/, '').trimEnd();
+  const indentOf = (l) => l.length - l.trimStart().length;
+  const cursorIndent = indentOf(lines[cursorLine] || '');
 
+  let inputsLine = -1;
   for (let i = cursorLine - 1; i >= 0; i--) {
-    const raw = lines[i];
-    const trimmed = raw.trimEnd();
-    const stripped = trimmed.trimStart();
-    if (stripped === '') continue;
-
-    const lineIndent = trimmed.length - stripped.length;
-
-    // Check if this is a template: line at a shallower indent than the cursor
-    if (lineIndent < cursorIndent) {
-      // Strip YAML line comments first to avoid matching "# ── Step template: ..."
-      const match = /(?:^|\s)-?\s*template\s*:\s*(.+)$/.exec(
-        trimmed.replace(/(^\s*#.*|\s#.*)$/, '')
-      );
-      if (match) {
-        return { templateRef: match[1].trim(), templateLine: i };
-      }
+    const t = strip(lines[i]);
+    if (t.trim() === '') continue;
+    if (indentOf(t) >= cursorIndent) continue;
+    if (/^\s*(?:-\s+)?inputs\s*:$/.test(t)) inputsLine = i;
+    break;
+  }
+  if (inputsLine === -1) return null;
+
+  const keyCol = /^(\s*(?:-\s+)?)/.exec(lines[inputsLine])[1].length;
+  const taskKey = (l) => {
+    const m = /^(\s*(?:-\s+)?)task\s*:\s*(.+)$/.exec(strip(l));
+    return m && m[1].length === keyCol ? m[2].trim() : null;
+  };
+
+  // Sibling keys of the same step mapping, above (up to the "- " that opens
+  // it) and below
+  const opensStep = (l) => /^\s*-\s/.test(l);
+  if (!opensStep(lines[inputsLine])) {
+    for (let i = inputsLine - 1; i >= 0; i--) {
+      const t = strip(lines[i]);
+      if (t.trim() === '' || indentOf(t) > keyCol) continue;
+      const ref = taskKey(t);
+      if (ref) return { taskRef: ref, taskLine: i, inputsLine };
+      if (indentOf(t) < keyCol || opensStep(t)) break;
+    }
+  }
+  for (let i = inputsLine + 1; i < lines.length; i++) {
+    const t = strip(lines[i]);
+    if (t.trim() === '') continue;
+    if (indentOf(t) < keyCol) break;
+    if (indentOf(t) > keyCol) continue;
+    if (opensStep(t)) break;
+    const ref = taskKey(t);
+    if (ref) return { taskRef: ref, taskLine: i, inputsLine };
+  }
+  return null;
+}
 
-      // Update shallowest seen
-      if (lineIndent < shallowestSeen) {
-        shallowestSeen = lineIndent;
-      }
+/**
+ * Reads the `key: value` lines directly under an `inputs:` key.
+ *
+ * @param {string[]} lines
+ * @param {number}   inputsLine
+ * @returns {Record<string, string>}  key as written → value (quotes removed)
+ */
+function parseGivenInputs(lines, inputsLine) {
+  const given = {};
+  const baseIndent = lines[inputsLine].length - lines[inputsLine].trimStart().length;
+  let childIndent = -1;
+  for (let i = inputsLine + 1; i < lines.length; i++) {
+    const t = lines[i].replace(/(^\s*#.*|\s#.*)$/, '').trimEnd();
+    if (t.trim() === '') continue;
+    const ind = t.length - t.trimStart().length;
+    if (ind <= baseIndent) break;
+    if (childIndent === -1) childIndent = ind;
+    if (ind !== childIndent) continue;
+    const m = /^\s*([\w.-]+)\s*:\s*(.*)$/.exec(t);
+    if (m) given[m[1]] = m[2].replace(/^(['"])(.*)\1$/, '$2');
+  }
+  return given;
+}
 
-      // If we've reached a top-level (indent 0) non-template line, stop —
-      // we've left any possible enclosing template block
-      if (lineIndent === 0) {
-        break;
-      }
-    }
+/**
+ * Builds completion items for a `- task:` step: task names after `task: `,
+ * and inside `inputs:` the task's input names or — after `inputName: ` — the
+ * values a pick list or boolean input accepts.
+ *
+ * Returns undefined when the cursor is not in a task step.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position}     position
+ * @param {string[]}            lines
+ * @returns {vscode.CompletionItem[] | undefined}
+ */
+function provideTaskCompletionItems(document, position, lines) {
+  const linePrefix = lines[position.line].slice(0, position.character);
+  const typedRange = (typed) => new vscode.Range(
+    position.line, position.character - typed.length,
+    position.line, position.character
+  );
+
+  // ── Task names after `task: ` ─────────────────────────────────────────────
+  const taskMatch = /^\s*(?:-\s+)?task\s*:\s*([\w.@-]*)$/.exec(linePrefix);
+  if (taskMatch) {
+    const catalog = getTaskCatalog(document.uri.fsPath);
+    const range = typedRange(taskMatch[1]);
+    return [...catalog.tasks.values()].map(task => {
+      const ref = `${task.name}@${task.version}`;
+      const item = new vscode.CompletionItem(ref, vscode.CompletionItemKind.Module);
+      item.detail = task.friendlyName || task.name;
+      item.documentation = new vscode.MarkdownString(task.description || '');
+      item.insertText = ref;
+      item.filterText = ref;
+      item.range = range;
+      item.sortText = task.name.toLowerCase();
+      return item;
+    });
   }
 
-  return null;
+  // ── Inputs of the enclosing task ──────────────────────────────────────────
+  const enclosing = findEnclosingTaskInputs(lines, position.line);
+  if (!enclosing) return undefined;
+  const { name } = parseTaskReference(enclosing.taskRef);
+  const task = lookupTask(getTaskCatalog(document.uri.fsPath), name);
+  if (!task) return [];
+
+  const givenByKey = parseGivenInputs(lines, enclosing.inputsLine);
+  const given = {};
+  for (const [key, value] of Object.entries(givenByKey)) {
+    const input = findTaskInput(task, key);
+    if (input) given[input.name] = value;
+  }
+
+  // Value position — offer the input's allowed values
+  const valueMatch = /^\s*([\w.-]+)\s*:\s*(.*)$/.exec(linePrefix);
+  if (valueMatch) {
+    const input = findTaskInput(task, valueMatch[1]);
+    if (!input) return [];
+    const values = input.type === 'boolean' ? ['true', 'false'] : input.options || [];
+    const range = typedRange(valueMatch[2]);
+    return values.map((value, index) => {
+      const item = new vscode.CompletionItem(value, vscode.CompletionItemKind.EnumMember);
+      item.detail = `${input.name}: ${input.type}${value === input.default ? ' (default)' : ''}`;
+      item.documentation = new vscode.MarkdownString(`Allowed value of \`${input.name}\` in \`${enclosing.taskRef}\``);
+      item.insertText = toYamlScalar(value);
+      item.filterText = item.insertText;
+      item.range = range;
+      item.sortText = String(index).padStart(4, '0');
+      item.preselect = value === input.default;
+      return item;
+    });
+  }
+
+  const items = [];
+  for (const input of task.inputs) {
+    if (isInputActive(task, input, given) === false) continue;
+    const required = input.required && input.default === undefined;
+
+    const item = new vscode.CompletionItem(input.name, vscode.CompletionItemKind.Property);
+    item.detail = `${input.type}${required ? ' (required)' : ''}`;
+
+    const docMd = new vscode.MarkdownString();
+    docMd.appendMarkdown(`**Input:** \`${input.name}\`\n\n`);
+    if (input.description) docMd.appendMarkdown(`${input.description}\n\n`);
+    docMd.appendMarkdown(`**Type:** \`${input.type}\`\n\n`);
+    if (required) {
+      docMd.appendMarkdown(`**⚠️ Required** — no default value\n\n`);
+    } else if (input.default !== undefined) {
+      docMd.appendMarkdown(`**Default:** \`${input.default}\`\n\n`);
+    }
+    if (input.options && input.options.length > 0) {
+      docMd.appendMarkdown(`**Allowed values:** ${input.options.map(v => `\`${v}\``).join(', ')}\n\n`);
+    }
+    if (input.aliases && input.aliases.length > 0) {
+      docMd.appendMarkdown(`**Aliases:** ${input.aliases.map(a => `\`${a}\``).join(', ')}\n\n`);
+    }
+    docMd.appendMarkdown(`_From task:_ \`${task.name}@${task.version}\``);
+    item.documentation = docMd;
+
+    item.insertText = new vscode.SnippetString(`${input.name}: $0`);
+    item.sortText = required ? `0_${input.name}` : `1_${input.name}`;
+    if (given[input.name] !== undefined) {
+      item.sortText = `2_${input.name}`;
+      item.detail += ' (already set)';
+    }
+    if (required) {
+      item.label = { label: input.name, description: '⚠ required' };
+    }
+    items.push(item);
+  }
+  return items;
 }
 
 /**
  * Determines whether the cursor is inside the `parameters:` sub-block of a
- * template call site.
+ * template call site — step/job/stage templates and `extends:` alike.
  *
  * @param {string[]} lines
  * @param {number}   cursorLine
@@ -73,30 +238,57 @@ function findEnclosingTemplate(lines, cursorLine) {
  * @returns {boolean}
  */
 function isCursorInParametersBlock(lines, cursorLine, templateLine) {
-  const templateRaw = lines[templateLine];
-  const templateIndent = templateRaw.length - templateRaw.trimStart().length;
-
-  for (let i = templateLine + 1; i <= cursorLine; i++) {
-    const raw = lines[i];
-    const trimmed = raw.trimEnd();
-    const stripped = trimmed.trimStart();
-    if (stripped === '') continue;
-
-    const lineIndent = trimmed.length - stripped.length;
-
-    // If we've gone back to the template's indent or shallower, we're outside
-    if (lineIndent <= templateIndent) return false;
-
-    // Found the parameters: block
-    if (/^\s+parameters\s*:/.test(trimmed)) {
-      return true;
-    }
+  return isInTemplateParameters(lines, cursorLine, templateLine);
+}
 
-    // Hit something else at the same level as parameters: — not in params block
-    break;
-  }
+/**
+ * Returns `value` as a YAML scalar that reads back as the same string —
+ * single-quoted when a plain scalar would be misread (leading indicator
+ * characters, ": " or " #" inside, surrounding whitespace, empty string).
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function toYamlScalar(value) {
+  const needsQuotes = value === ''
+    || /^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(value)
+    || /:(\s|$)|\s#|\s$/.test(value);
+  return needsQuotes ? `'${value.replace(/'/g, "''")}'` : value;
+}
 
-  return false;
+/**
+ * Builds completion items for the allowed `values:` of a parameter, offered
+ * when the cursor is in the value position of `paramName: `.
+ *
+ * @param {{ name: string, type: string, values: string[], defaultNode: object|null|undefined }} param
+ * @param {string}          typed     Text already typed after the colon
+ * @param {vscode.Position} position
+ * @param {string}          templateRef
+ * @returns {vscode.CompletionItem[]}
+ */
+function buildValueCompletionItems(param, typed, position, templateRef) {
+  const range = new vscode.Range(
+    position.line, position.character - typed.length,
+    position.line, position.character
+  );
+  const defaultValue = param.defaultNode && param.defaultNode.kind === 'scalar'
+    ? param.defaultNode.value
+    : undefined;
+
+  return param.values.map((value, index) => {
+    const item = new vscode.CompletionItem(value, vscode.CompletionItemKind.EnumMember);
+    item.detail = `${param.name}: ${param.type}${value === defaultValue ? ' (default)' : ''}`;
+    item.documentation = new vscode.MarkdownString(
+      `Allowed value of \`${param.name}\` in \`${templateRef}\``
+    );
+    item.insertText = toYamlScalar(value);
+    item.filterText = item.insertText;
+    item.range = range;
+    // Keep the order in which the template declares its values
+    item.sortText = String(index).padStart(4, '0');
+    item.preselect = value === defaultValue;
+    return item;
+  });
 }
 
 /**
@@ -104,7 +296,9 @@ function isCursorInParametersBlock(lines, cursorLine, templateLine) {
  *
  * Triggers when the user is typing inside the `parameters:` block under a
  * `- template:` line. Offers completion items for each parameter declared in
- * the referenced template that has not yet been typed.
+ * the referenced template that has not yet been typed, or — after
+ * `paramName: ` — the parameter's allowed `values:`.  In `- task:` steps it
+ * offers task names and the task's inputs from the task catalog.
  */
 const completionProvider = {
   /**
@@ -118,6 +312,10 @@ const completionProvider = {
     const lines = docText.replace(/\r\n/g, '\n').split('\n');
     const cursorLine = position.line;
 
+    // ── Task steps: task names and inputs from the task catalog ───────────
+    const taskItems = provideTaskCompletionItems(document, position, lines);
+    if (taskItems) return taskItems;
+
     // ── Step 1: Find the enclosing template: line ─────────────────────────
     const enclosing = findEnclosingTemplate(lines, cursorLine);
     if (!enclosing) return undefined;
@@ -148,11 +346,20 @@ const completionProvider = {
     const declared = parseParameters(templateText);
     if (declared.length === 0) return undefined;
 
-    // ── Step 5: Find already-passed parameters to avoid duplicates ────────
+    // ── Step 5: Value position — offer the parameter's allowed values ─────
+    const linePrefix = lines[cursorLine].slice(0, position.character);
+    const valueMatch = /^\s*([\w-]+)\s*:\s*(.*)$/.exec(linePrefix);
+    if (valueMatch) {
+      const param = declared.find(p => p.name === valueMatch[1]);
+      if (!param || !param.values || param.values.length === 0) return undefined;
+      return buildValueCompletionItems(param, valueMatch[2], position, templateRef);
+    }
+
+    // ── Step 6: Find already-passed parameters to avoid duplicates ────────
     const passed = parsePassedParameters(lines, templateLine);
     const alreadyPassed = new Set(Object.keys(passed));
 
-    // ── Step 6: Build CompletionItems ─────────────────────────────────────
+    // ── Step 7: Build CompletionItems ─────────────────────────────────────
     const items = [];
 
     for (const param of declared) {
@@ -167,14 +374,21 @@ const completionProvider = {
       // Documentation shown in the popup panel
       const docMd = new vscode.MarkdownString();
       docMd.appendMarkdown(`**Parameter:** \`${param.name}\`\n\n`);
+      if (param.doc) docMd.appendMarkdown(`${formatDocMarkdown(param.doc)}\n\n`);
       docMd.appendMarkdown(`**Type:** \`${param.type}\`\n\n`);
       if (param.required) {
         docMd.appendMarkdown(`**⚠️ Required** — no default value\n\n`);
       } else if (param.default !== undefined) {
         docMd.appendMarkdown(`**Default:** \`${param.default}\`\n\n`);
       }
+      if (param.values && param.values.length > 0) {
+        docMd.appendMarkdown(`**Allowed values:** ${param.values.map(v => `\`${v}\``).join(', ')}\n\n`);
+      }
       docMd.appendMarkdown(`_From template:_ \`${templateRef}\``);
       item.documentation = docMd;
+      if (param.doc && param.doc.deprecated !== undefined) {
+        item.tags = [vscode.CompletionItemTag.Deprecated];
+      }
 
       // Insert text: "paramName: " with cursor positioned after the colon
       item.insertText = new vscode.SnippetString(`${param.name}: $0`);
@@ -207,5 +421,7 @@ module.exports = {
   completionProvider,
   // Export internals for unit testing
   findEnclosingTemplate,
+  findEnclosingTaskInputs,
   isCursorInParametersBlock,
+  toYamlScalar,
 };
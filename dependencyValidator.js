@@ -0,0 +1,359 @@
+'use strict';
+
+/**
+ * dependencyValidator.js
+ *
+ * Validates the `dependsOn:` graph of the stages and jobs in a pipeline or
+ * template file:
+ *   • `dependsOn` entries naming a stage or job that does not exist;
+ *   • stage or job names used more than once in the same scope;
+ *   • dependency cycles, including the implicit dependency of a stage
+ *     without `dependsOn:` on the stage before it.
+ *
+ * The names that exist are those of the expanded pipeline — stage and job
+ * templates are inlined with templateExpander, so names they contribute
+ * (including names built from their parameters) count.  Problems are only
+ * reported on what the file itself declares.
+ *
+ * Go-to-definition on a `dependsOn` entry (findDependsOnDefinition) finds the
+ * stage or job it names, following the templates of its scope.
+ *
+ * Pure Node — no vscode dependency.
+ */
+
+const path = require('path');
+const fileCache = require('./fileCache');
+const { parseYaml, getMapValue, toJS } = require('./yamlParser');
+const { collectScope, collectDependencyScopes, findDependsOnAt } = require('./pipelineGraph');
+const { parseRepositoryAliases, resolveTemplatePath } = require('./hoverProvider');
+const { createExpandContext, expandSequence, substitute } = require('./templateExpander');
+const { isPipelineEntry } = require('./extendsCompliance');
+
+/**
+ * @typedef {'unknown-dependency'|'duplicate-name'|'dependency-cycle'} DependencyProblemCode
+ *
+ * @typedef {object} DependencyProblem
+ * @property {DependencyProblemCode} code
+ * @property {string} message
+ * @property {object} node  yamlParser node the problem is about
+ */
+
+/** Keys that name the items of each kind of scope. */
+const ID_KEYS = { stage: ['stage'], job: ['job', 'deployment'] };
+
+/** True for a value only known when the pipeline is compiled or runs. */
+function isDynamic(value) {
+  return typeof value !== 'string' || /\$\{\{|\$\[|\$\(/.test(value);
+}
+
+/**
+ * Resolves a name as written in the file: `${{ }}` expressions are evaluated
+ * with the file's parameter defaults.  Returns null for names that stay
+ * dynamic.
+ *
+ * @returns {string|null}
+ */
+function resolveName(raw, ctx) {
+  if (raw === null) return null;
+  const value = substitute(raw, ctx);
+  return isDynamic(value) ? null : value;
+}
+
+/**
+ * Reads the stages or jobs of an expanded list.
+ *
+ * `entries` are the items the compiler will see, in order; `possible` are
+ * names in `${{ if }}` blocks whose condition could not be decided.
+ * `dynamic` is set when some name cannot be known at edit time (a loop over
+ * an unknown collection, a template that could not be inlined, a name built
+ * from a runtime value, …).
+ *
+ * @param {Array} list   Expanded list
+ * @param {'stage'|'job'} kind
+ * @returns {{ entries: { name: string, dependsOn: string[]|null, afterUnknown: boolean }[], possible: string[], dynamic: boolean }}
+ */
+function readExpandedList(list, kind) {
+  const result = { entries: [], possible: [], dynamic: false };
+  let afterUnknown = false;
+
+  for (const item of list) {
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+      if (typeof item === 'string' && isDynamic(item)) {
+        result.dynamic = true;
+        afterUnknown = true;
+      }
+      continue;
+    }
+
+    const keys = Object.keys(item);
+    if (keys.length === 1 && keys[0].startsWith('${{')) {
+      // A directive kept because it could not be evaluated
+      const body = item[keys[0]];
+      const inner = readExpandedList(Array.isArray(body) ? body : [], kind);
+      result.possible.push(...inner.entries.map(e => e.name), ...inner.possible);
+      result.dynamic = result.dynamic || inner.dynamic;
+      afterUnknown = true;
+      continue;
+    }
+    if (typeof item.template === 'string') {
+      result.dynamic = true;
+      afterUnknown = true;
+      continue;
+    }
+
+    const idKey = ID_KEYS[kind].find(k => k in item);
+    if (!idKey) continue;
+    const name = item[idKey];
+    if (isDynamic(name) || name === '') {
+      result.dynamic = true;
+      afterUnknown = true;
+      continue;
+    }
+
+    // dependsOn may sit in an undecided `${{ if }}` inside the mapping
+    let dependsOn = null;
+    if (keys.some(k => k.startsWith('${{'))) {
+      dependsOn = [];
+    } else if (typeof item.dependsOn === 'string') {
+      dependsOn = item.dependsOn === '' ? [] : [item.dependsOn];
+    } else if (Array.isArray(item.dependsOn)) {
+      dependsOn = item.dependsOn.filter(d => typeof d === 'string' && !isDynamic(d));
+    } else if (item.dependsOn !== undefined) {
+      dependsOn = [];
+    }
+
+    result.entries.push({ name, dependsOn, afterUnknown });
+    afterUnknown = false;
+  }
+  return result;
+}
+
+/**
+ * Builds the dependency edges of an expanded scope: explicit `dependsOn`
+ * names, plus — for stages — the implicit dependency of a stage without
+ * `dependsOn:` on the stage listed before it.
+ *
+ * @returns {Map<string, { to: string, implicit: boolean }[]>}  Lower-cased names
+ */
+function buildEdges(entries, kind) {
+  const edges = new Map();
+  entries.forEach((e, i) => {
+    // A duplicate name is reported as such; its edges would only add noise
+    if (edges.has(e.name.toLowerCase())) return;
+    const from = [];
+    edges.set(e.name.toLowerCase(), from);
+    if (e.dependsOn) {
+      for (const dep of e.dependsOn) from.push({ to: dep.toLowerCase(), implicit: false });
+    } else if (kind === 'stage' && i > 0 && !e.afterUnknown) {
+      from.push({ to: entries[i - 1].name.toLowerCase(), implicit: true });
+    }
+  });
+  return edges;
+}
+
+/**
+ * Returns the path of a dependency cycle that goes through the edge
+ * `from → to`, or null when there is none.
+ *
+ * @param {Map<string, { to: string, implicit: boolean }[]>} edges
+ * @returns {{ name: string, implicit: boolean }[]|null}  Nodes after `from`, ending with `from`
+ */
+function findCycle(edges, from, to) {
+  if (from === to) return [{ name: from, implicit: false }];
+  const previous = new Map([[to, null]]);
+  const queue = [to];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    for (const edge of edges.get(node) || []) {
+      if (previous.has(edge.to)) continue;
+      previous.set(edge.to, { node, implicit: edge.implicit });
+      if (edge.to === from) {
+        const path = [];
+        for (let n = from; n !== null; n = previous.get(n) ? previous.get(n).node : null) {
+          path.unshift({ name: n, implicit: previous.get(n) ? previous.get(n).implicit : false });
+        }
+        return path;
+      }
+      queue.push(edge.to);
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates one scope of the document.
+ *
+ * @param {import('./pipelineGraph').GraphScope} scope
+ * @param {object} ctx       Expansion context of the file
+ * @param {boolean} complete True when every name the scope can refer to is known
+ * @param {DependencyProblem[]} problems
+ */
+function validateScope(scope, ctx, complete, problems) {
+  const kind = scope.kind;
+  const label = kind === 'stage' ? 'Stage' : 'Job';
+  const expanded = readExpandedList(expandSequence(toJS(scope.listNode), ctx), kind);
+  const displayNames = new Map(expanded.entries.map(e => [e.name.toLowerCase(), e.name]));
+  const display = (lower) => displayNames.get(lower) || lower;
+
+  // ── Duplicate names, in list order ────────────────────────────────────────
+  const seen = new Set();
+  const note = (name, node, template) => {
+    const lower = name.toLowerCase();
+    if (!seen.has(lower)) {
+      seen.add(lower);
+      return;
+    }
+    problems.push({
+      code: 'duplicate-name',
+      message: template
+        ? `${label} '${name}' from template '${template}' is already defined in this ${kind === 'stage' ? 'pipeline' : 'stage'}`
+        : `${label} name '${name}' is used more than once; ${kind} names must be unique`,
+      node,
+    });
+  };
+  for (const node of scope.listNode.items) {
+    const item = scope.items.find(i => i.node === node);
+    if (item) {
+      const name = resolveName(item.name, ctx);
+      if (name !== null) note(name, item.nameNode, null);
+      continue;
+    }
+    const template = scope.templates.find(t => node && node.kind === 'map' && node.entries.some(e => e.value === t.node));
+    if (!template) continue;
+    for (const entry of readExpandedList(expandSequence([toJS(node)], ctx), kind).entries) {
+      note(entry.name, template.node, template.ref);
+    }
+  }
+
+  // ── Unknown names and cycles ──────────────────────────────────────────────
+  const known = new Set([
+    ...expanded.entries.map(e => e.name),
+    ...expanded.possible,
+    ...scope.items.map(i => resolveName(i.name, ctx)).filter(n => n !== null),
+  ].map(n => n.toLowerCase()));
+  const edges = buildEdges(expanded.entries, kind);
+
+  for (const item of scope.items) {
+    const owner = resolveName(item.name, ctx);
+    for (const dep of item.dependsOn || []) {
+      const name = resolveName(dep.value, ctx);
+      if (name === null) continue;
+
+      if (!known.has(name.toLowerCase())) {
+        if (!complete || expanded.dynamic) continue;
+        const where = kind === 'stage' ? 'in this pipeline' : scope.parent ? `in stage '${resolveName(scope.parent.name, ctx) || scope.parent.name}'` : 'in this pipeline';
+        problems.push({
+          code: 'unknown-dependency',
+          message: `${label} '${owner || item.name || '?'}' depends on '${name}', which is not a ${kind} ${where}`,
+          node: dep.node,
+        });
+        continue;
+      }
+
+      if (owner === null || !edges.has(owner.toLowerCase())) continue;
+      const from = owner.toLowerCase();
+      const to = name.toLowerCase();
+      if (!edges.get(from).some(e => e.to === to && !e.implicit)) continue;
+      const cycle = findCycle(edges, from, to);
+      if (!cycle) continue;
+      const path = [from, to, ...cycle.slice(1).map(c => c.name)].map(display);
+      // An implicit edge a → b means b follows a without a dependsOn
+      const implicit = [to, ...cycle.map(c => c.name)]
+        .filter((n, i, all) => i + 1 < all.length && cycle[i] && cycle[i].implicit)
+        .map(display);
+      const suffix = implicit.length > 0
+        ? `; ${implicit.map(n => `'${n}'`).join(', ')} ${implicit.length === 1 ? 'has' : 'have'} no dependsOn and ${implicit.length === 1 ? 'depends' : 'depend'} on the stage before ${implicit.length === 1 ? 'it' : 'them'}`
+        : '';
+      problems.push({
+        code: 'dependency-cycle',
+        message: from === to
+          ? `${label} '${display(from)}' depends on itself`
+          : `Dependency cycle: ${path.join(' → ')}${suffix}`,
+        node: dep.node,
+      });
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Validates the `dependsOn:` graph of the stages and jobs a file declares.
+ *
+ * Unknown names are only reported where the file declares every stage or
+ * job the entry could refer to: in a pipeline, or in the `jobs:` of a stage.
+ * The root lists of a template are completed by the pipeline that includes
+ * it, so only duplicates and cycles are reported there.
+ *
+ * @param {string} text
+ * @param {string} filePath  Absolute path of `text`
+ * @returns {DependencyProblem[]}
+ */
+function validateDependencies(text, filePath) {
+  const problems = [];
+  const scopes = collectDependencyScopes(parseYaml(text).root);
+  if (scopes.length === 0) return problems;
+
+  const ctx = createExpandContext(text, filePath);
+  const entry = isPipelineEntry(text);
+  for (const scope of scopes) {
+    validateScope(scope, ctx, entry || scope.parent !== null, problems);
+  }
+  return problems;
+}
+
+/**
+ * Finds the stage or job a `dependsOn` entry names: in the same scope of the
+ * file, or in the stage and job templates that scope includes (followed
+ * recursively, up to the template nesting limit of Azure Pipelines).  In a
+ * template, a name built from expressions matches any value of them.
+ *
+ * @param {string} text      File contents
+ * @param {string} filePath  Absolute path of `text`
+ * @param {number} line      0-based position of the entry
+ * @param {number} character
+ * @returns {{ filePath: string, line: number, col: number }|null}
+ */
+function findDependsOnDefinition(text, filePath, line, character) {
+  const at = findDependsOnAt(collectDependencyScopes(parseYaml(text).root), line, character);
+  if (!at) return null;
+  const name = at.entry.value.toLowerCase();
+  const repoAliases = parseRepositoryAliases(text);
+  const visited = new Set([path.normalize(filePath)]);
+
+  // In templates, 'Deploy_${{ parameters.env }}' also matches 'Deploy_Prod'
+  const matchesPattern = (written) => written.includes('${{') && new RegExp(
+    `^${written.split(/\$\{\{[\s\S]*?\}\}/).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.+')}$`, 'i'
+  ).test(at.entry.value);
+
+  const search = (scope, file, depth) => {
+    const item = scope.items.find(i => i.name !== null && i.name.toLowerCase() === name)
+      || (depth > 0 ? scope.items.find(i => i.name !== null && matchesPattern(i.name)) : undefined);
+    if (item) return { filePath: file, line: item.nameNode.line, col: item.nameNode.col };
+    if (depth >= 20) return null;
+
+    for (const template of scope.templates) {
+      const resolved = isDynamic(template.ref) ? null : resolveTemplatePath(template.ref, file, repoAliases);
+      if (!resolved || resolved.unknownAlias || !resolved.filePath) continue;
+      const target = path.normalize(resolved.filePath);
+      if (visited.has(target)) continue;
+      visited.add(target);
+
+      const templateText = fileCache.readFile(target);
+      if (templateText === null) continue;
+      const listNode = getMapValue(parseYaml(templateText).root, scope.kind === 'stage' ? 'stages' : 'jobs');
+      if (!listNode || listNode.kind !== 'seq') continue;
+      const found = search(collectScope(listNode, scope.kind), target, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  };
+  return search(at.scope, filePath, 0);
+}
+
+module.exports = {
+  validateDependencies,
+  findDependsOnDefinition,
+};
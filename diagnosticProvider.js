@@ -8,7 +8,41 @@ const {
   parseRepositoryAliases,
   parsePassedParameters,
   resolveTemplatePath,
+  findTemplateReferences,
+  variableScopeFinder,
 } = require('./hoverProvider');
+const { validateValueShape, STEP_KEYS } = require('./shapeValidator');
+const { checkExtendsCompliance, isPipelineEntry } = require('./extendsCompliance');
+const { parseYaml, getMapValue, scalarValue, walk } = require('./yamlParser');
+const { lookupPredefinedVariable, isPredefinedNamespace } = require('./predefinedVariables');
+const { findSetVariableCommands } = require('./outputVariables');
+const { validatePipelineStructure } = require('./pipelineSchema');
+const { validateDependencies } = require('./dependencyValidator');
+const { getDeprecations, resolveReplacementTemplate } = require('./templateMetadata');
+const { rewriteTemplateRef } = require('./moveTemplateProvider');
+const { isDynamicTemplateRef } = require('./dynamicTemplateRefs');
+const { extractTemplateRefs } = require('./graphDataBuilder');
+const {
+  lookupTask,
+  knownVersions,
+  findTaskInput,
+  isDynamicValue,
+  isInputActive,
+  findTaskSteps,
+  givenInputValues,
+} = require('./taskCatalog');
+const { getTaskCatalog } = require('./workspaceTaskCatalog');
+const {
+  UNKNOWN,
+  findExpressions,
+  parseExpression,
+  parseTemplateExpression,
+  collectReferences,
+  evaluate,
+  inferExpressionType,
+  checkExpression,
+  formatValue,
+} = require('./templateExpression');
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Unused-parameter detection (template-side inspection)
@@ -16,8 +50,9 @@ const {
 
 /**
  * Returns the set of parameter names that are actually referenced in the
- * template body via `${{ parameters.name }}` (or the shorthand
- * `${{ parameters['name'] }}`).
+ * template body via `${{ parameters.name }}` (or the indexer form
+ * `${{ parameters['name'] }}`), anywhere inside an expression — including
+ * `${{ if … }}` conditions and `${{ each … in parameters.list }}` loops.
  *
  * We intentionally scan the *entire* file text so that references inside
  * multi-line scripts, condition expressions, and nested YAML values are all
@@ -28,19 +63,69 @@ const {
  */
 function collectParameterReferences(text) {
   const refs = new Set();
-  // Match both:
-  //   ${{ parameters.name }}
-  //   ${{ parameters['name'] }}  or  ${{ parameters["name"] }}
-  //   parameters.name  (bare, inside if-expressions like eq(parameters.foo, 'x'))
-  const pattern = /\$\{\{[^}]*parameters\.(\w+)[^}]*\}\}|\$\{\{[^}]*parameters\[['"](\w+)['"]\][^}]*\}\}|(?<!\w)parameters\.(\w+)/g;
-  let m;
-  while ((m = pattern.exec(text)) !== null) {
-    const name = m[1] || m[2] || m[3];
-    if (name) refs.add(name);
+  for (const expr of findExpressions(text)) {
+    const { ast, error } = parseTemplateExpression(expr.inner);
+    if (ast && !error) {
+      for (const ref of collectReferences(ast, 'parameters')) refs.add(ref.name);
+      continue;
+    }
+    // Half-typed expression — fall back to a textual scan so that a parameter
+    // is not reported as unused while its reference is being edited.
+    const pattern = /(?<![\w.])parameters(?:\.([\w-]+)|\[\s*['"]([^'"]+)['"]\s*\])/g;
+    let m;
+    while ((m = pattern.exec(expr.inner)) !== null) refs.add(m[1] || m[2]);
   }
   return refs;
 }
 
+/**
+ * Reports syntax errors, unknown functions and wrong argument counts in every
+ * `${{ }}` expression of a document.  Comments are skipped.
+ *
+ * @param {string[]} lines
+ * @returns {vscode.Diagnostic[]}
+ */
+function getExpressionDiagnostics(lines) {
+  const diagnostics = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const stripped = lines[i].replace(/(^\s*#.*|\s#.*)$/, '');
+    for (const expr of findExpressions(stripped)) {
+      const { ast, error } = parseTemplateExpression(expr.inner);
+      const problems = error
+        ? [{ message: error.message, start: error.offset, end: expr.inner.length, severity: vscode.DiagnosticSeverity.Error }]
+        : checkExpression(ast).map(p => Object.assign(p, { severity: vscode.DiagnosticSeverity.Warning }));
+
+      for (const problem of problems) {
+        const start = expr.innerStart + Math.min(problem.start, expr.inner.length);
+        const end = Math.max(start + 1, expr.innerStart + Math.min(problem.end, expr.inner.length));
+        const diag = new vscode.Diagnostic(
+          new vscode.Range(i, start, i, end),
+          `Invalid template expression: ${problem.message}`,
+          problem.severity
+        );
+        diag.source = 'Azure Templates Navigator';
+        diag.code = 'expression-error';
+        diagnostics.push(diag);
+      }
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * If `value` is a single `${{ … }}` expression, returns its parsed AST.
+ * @param {string} value
+ * @returns {object|null}
+ */
+function parseWholeExpression(value) {
+  const m = /^\$\{\{([\s\S]*)\}\}$/.exec(value.trim());
+  if (!m) return null;
+  const { ast, error } = parseExpression(m[1]);
+  return error ? null : ast;
+}
+
 /**
  * Detects parameters declared in the `parameters:` block of a template file
  * that are never referenced in the template body.
@@ -98,6 +183,359 @@ function getUnusedParameterDiagnostics(text, filePath) {
   return diagnostics;
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Undefined variables
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Commands that scripts commonly run as `$(cmd)` command substitutions.
+ * Azure Pipelines leaves an unknown macro as written, so these are not typos.
+ */
+const SHELL_SUBSTITUTIONS = new Set([
+  'arch', 'date', 'hostname', 'id', 'ls', 'nproc', 'pwd', 'tty', 'uname', 'whoami',
+]);
+
+/**
+ * Collects the variables a document defines outside `variables:` blocks:
+ * the keys of `strategy: matrix:` legs, variables set by
+ * `##vso[task.setvariable]` commands (plain and `<step>.<name>` for outputs)
+ * and the names of steps, whose tasks may publish `<step>.<name>` outputs.
+ *
+ * Returns null when a matrix is built by an expression — its variables cannot
+ * be known at edit time.
+ *
+ * @param {string} text
+ * @returns {{ names: Set<string>, stepNames: Set<string> } | null}  lower-cased
+ */
+function collectImplicitVariables(text) {
+  const names = new Set();
+  const stepNames = new Set();
+  let dynamicMatrix = false;
+
+  walk(parseYaml(text).root, (node, parent, key) => {
+    if (key === 'matrix' && parent && parent.kind === 'map') {
+      if (node.kind !== 'map') {
+        dynamicMatrix = true;
+        return;
+      }
+      for (const leg of node.entries) {
+        if (!leg.value || leg.value.kind !== 'map') continue;
+        for (const e of leg.value.entries) names.add(e.key.toLowerCase());
+      }
+    }
+    if (node.kind === 'map' && STEP_KEYS.some(k => k !== 'template' && node.entries.some(e => e.key === k))) {
+      const stepName = scalarValue(getMapValue(node, 'name'));
+      if (stepName) stepNames.add(stepName.toLowerCase());
+    }
+  });
+  if (dynamicMatrix) return null;
+
+  for (const c of findSetVariableCommands(text)) {
+    names.add(c.name.toLowerCase());
+    if (c.isOutput && c.stepName) names.add(`${c.stepName}.${c.name}`.toLowerCase());
+  }
+  return { names, stepNames };
+}
+
+/**
+ * Reports `$(name)` and `${{ variables.name }}` references that no reachable
+ * `variables:` block, variable template, predefined variable or
+ * runtime-set variable defines.
+ *
+ * Only pipeline entry files are checked — a template's variables usually come
+ * from the pipeline that includes it.  References that a variable group, an
+ * unreadable variable template or an `extends:` base template may define are
+ * reported as information rather than warnings.
+ *
+ * @param {string} text      Raw file contents
+ * @param {string} filePath  Absolute path of `text`
+ * @returns {vscode.Diagnostic[]}
+ */
+function getUndefinedVariableDiagnostics(text, filePath) {
+  const diagnostics = [];
+  if (!isPipelineEntry(text)) return diagnostics;
+
+  const implicit = collectImplicitVariables(text);
+  if (!implicit) return diagnostics;
+
+  const extendsTemplate = /^extends\s*:/m.test(text);
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  let findScopes = null;
+  const patterns = [
+    { re: /\$\(([\w.-]+)\)/g, macro: true },           // $(name)
+    { re: /\$\{\{\s*variables\.([\w.-]+)\s*\}\}/g, macro: false }, // ${{ variables.name }}
+  ];
+
+  for (let i = 0; i < lines.length; i++) {
+    const stripped = lines[i].replace(/(^\s*#.*|\s#.*)$/, '');
+    let scopes = null;
+
+    for (const { re, macro } of patterns) {
+      re.lastIndex = 0;
+      let m;
+      while ((m = re.exec(stripped)) !== null) {
+        const name = m[1];
+        const lower = name.toLowerCase();
+        if (macro && SHELL_SUBSTITUTIONS.has(name)) continue;
+        if (implicit.names.has(lower)) continue;
+        if (lower.includes('.') && implicit.stepNames.has(lower.slice(0, lower.indexOf('.')))) continue;
+        if (lookupPredefinedVariable(name)) continue;
+
+        if (!findScopes) findScopes = variableScopeFinder(text, filePath);
+        scopes = scopes || findScopes(i);
+        const declared = scopes.some(sc =>
+          sc.kind !== 'step' && Object.keys(sc.variables).some(k => k.toLowerCase() === lower)
+        );
+        if (declared) continue;
+
+        const start = m.index + m[0].lastIndexOf(name);
+        const range = new vscode.Range(i, start, i, start + name.length);
+        const groups = [...new Set(scopes.flatMap(sc => sc.groups.map(g => g.name)))];
+        const unresolved = [...new Set(scopes.flatMap(sc => sc.unresolved))];
+
+        let message;
+        let severity = vscode.DiagnosticSeverity.Information;
+        if (isPredefinedNamespace(name)) {
+          message = `Variable '${name}' is not a known predefined variable`;
+        } else if (groups.length > 0) {
+          message = `Variable '${name}' is not declared in scope; it may be defined in variable group(s) ${groups.map(g => `'${g}'`).join(', ')}`;
+        } else if (unresolved.length > 0) {
+          message = `Variable '${name}' is not declared in scope; it may be defined in variable template(s) ${unresolved.map(t => `'${t}'`).join(', ')}`;
+        } else if (extendsTemplate) {
+          message = `Variable '${name}' is not declared in scope; it may be defined by the extended base template`;
+        } else {
+          message = `Variable '${name}' is not defined in any variables: block in scope, variable template or predefined variable`;
+          severity = vscode.DiagnosticSeverity.Warning;
+        }
+
+        const diag = new vscode.Diagnostic(range, message, severity);
+        diag.source = 'Azure Templates Navigator';
+        diag.code   = 'undefined-variable';
+        diagnostics.push(diag);
+      }
+    }
+  }
+
+  return diagnostics;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Pipeline structure (bundled keyword schema)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Severity of each structural problem code. */
+const STRUCTURE_SEVERITY = {
+  'unknown-keyword':             vscode.DiagnosticSeverity.Warning,
+  'misplaced-keyword':           vscode.DiagnosticSeverity.Error,
+  'missing-keyword':             vscode.DiagnosticSeverity.Error,
+  'invalid-keyword-combination': vscode.DiagnosticSeverity.Error,
+  'invalid-keyword-value':       vscode.DiagnosticSeverity.Error,
+};
+
+/**
+ * Validates the keywords of a pipeline or template file against the schema
+ * bundled in pipelineSchema.js: unknown and misplaced keys, wrong nesting,
+ * invalid combinations and `pool` / `strategy` / `dependsOn` / `condition`
+ * values of the wrong kind.
+ *
+ * @param {string} text
+ * @returns {vscode.Diagnostic[]}
+ */
+function getStructureDiagnostics(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  return validatePipelineStructure(text).map(problem => {
+    const node = problem.node;
+    // Squiggle only the first line of multi-line nodes
+    const endCol = node.endLine === node.line ? node.endCol : lines[node.line].length;
+    const diag = new vscode.Diagnostic(
+      new vscode.Range(node.line, node.col, node.line, Math.max(endCol, node.col + 1)),
+      problem.message,
+      STRUCTURE_SEVERITY[problem.code]
+    );
+    diag.source = 'Azure Templates Navigator';
+    diag.code   = problem.code;
+    return diag;
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Stage and job dependencies
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Reports `dependsOn` entries naming a stage or job that does not exist,
+ * duplicate stage and job names, and dependency cycles.  Names contributed
+ * by stage and job templates count (see dependencyValidator.js).
+ *
+ * @param {string} text
+ * @param {string} filePath  Absolute path of `text`
+ * @returns {vscode.Diagnostic[]}
+ */
+function getDependencyDiagnostics(text, filePath) {
+  return validateDependencies(text, filePath).map(problem => {
+    const node = problem.node;
+    const diag = new vscode.Diagnostic(
+      new vscode.Range(node.line, node.col, node.line, Math.max(node.endCol, node.col + 1)),
+      problem.message,
+      vscode.DiagnosticSeverity.Error
+    );
+    diag.source = 'Azure Templates Navigator';
+    diag.code   = problem.code;
+    return diag;
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Task steps (task catalog)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Checks every `- task:` step against the task catalog: unknown tasks,
+ * missing, deprecated and unknown major versions, and — for the current
+ * major version — unknown inputs, missing required inputs and values outside
+ * a pick list.
+ *
+ * Task references and input values that are macros or expressions are not
+ * checked, and an `inputs:` block built with `${{ }}` directives is only
+ * checked for unknown keys.
+ *
+ * @param {string} text
+ * @param {import('./taskCatalog').TaskCatalog} catalog
+ * @returns {vscode.Diagnostic[]}
+ */
+function getTaskDiagnostics(text, catalog) {
+  const diagnostics = [];
+  const report = (line, col, endCol, message, severity, code) => {
+    const diag = new vscode.Diagnostic(new vscode.Range(line, col, line, Math.max(endCol, col + 1)), message, severity);
+    diag.source = 'Azure Templates Navigator';
+    diag.code   = code;
+    diagnostics.push(diag);
+  };
+
+  for (const step of findTaskSteps(text)) {
+    if (isDynamicValue(step.taskRef)) continue;
+    const task = lookupTask(catalog, step.name);
+    const at = [step.line, step.col, step.endCol];
+
+    if (!task) {
+      report(...at,
+        `Unknown task '${step.name}' — not a built-in task in the catalog or a task declared in the workspace task catalog`,
+        vscode.DiagnosticSeverity.Information, 'unknown-task');
+      continue;
+    }
+
+    const current = `${task.name}@${task.version}`;
+    if (step.version === null) {
+      report(...at, `Task reference '${step.taskRef}' has no major version; use '${current}'`,
+        vscode.DiagnosticSeverity.Warning, 'unknown-task-version');
+      continue;
+    }
+    if ((task.deprecatedVersions || []).includes(step.version)) {
+      report(...at, `Task '${step.taskRef}' is a deprecated major version; use '${current}'`,
+        vscode.DiagnosticSeverity.Warning, 'deprecated-task-version');
+      continue;
+    }
+    if (!knownVersions(task).includes(step.version)) {
+      report(...at, `Task '${task.name}' has no major version '${step.taskRef.slice(step.taskRef.lastIndexOf('@') + 1)}' (known: ${knownVersions(task).join(', ')})`,
+        vscode.DiagnosticSeverity.Warning, 'unknown-task-version');
+      continue;
+    }
+    // The catalog describes the inputs of the current major version only
+    if (step.version !== task.version) continue;
+
+    const inputsNode = step.inputsEntry ? step.inputsEntry.value : null;
+    if (inputsNode && inputsNode.kind !== 'map') continue;
+    const entries = inputsNode ? inputsNode.entries : [];
+    const given = givenInputValues(task, inputsNode);
+    let hasDirective = false;
+
+    for (const e of entries) {
+      if (/^\$\{\{/.test(e.key)) {
+        hasDirective = true;
+        continue;
+      }
+      const keyRange = [e.keyNode.line, e.keyNode.col, e.keyNode.col + e.key.length];
+      const input = findTaskInput(task, e.key);
+      if (!input) {
+        report(...keyRange, `Unknown input '${e.key}' for task '${current}'`,
+          vscode.DiagnosticSeverity.Warning, 'unknown-task-input');
+        continue;
+      }
+
+      const value = scalarValue(e.value);
+      if (value === undefined || value === '' || isDynamicValue(value)) continue;
+      const v = e.value;
+      const valueRange = [v.line, v.col, v.line === v.endLine ? v.endCol : v.col + value.length];
+      if (input.type === 'boolean' && !/^(true|false)$/i.test(value)) {
+        report(...valueRange, `Input '${e.key}' of task '${current}' expects true or false, got '${value}'`,
+          vscode.DiagnosticSeverity.Warning, 'invalid-task-input-value');
+      } else if ((input.type === 'pickList' || input.type === 'radio') && !input.editable
+          && input.options && input.options.length > 0
+          && !input.options.some(o => o.toLowerCase() === value.toLowerCase())) {
+        report(...valueRange, `Input '${e.key}' of task '${current}' does not allow '${value}' (allowed: ${input.options.join(', ')})`,
+          vscode.DiagnosticSeverity.Warning, 'invalid-task-input-value');
+      }
+    }
+
+    // Inputs set inside `${{ if }}` / `${{ each }}` blocks cannot be seen
+    if (hasDirective) continue;
+    for (const input of task.inputs) {
+      if (!input.required || input.default !== undefined || given[input.name] !== undefined) continue;
+      if (entries.some(e => findTaskInput(task, e.key) === input)) continue;
+      if (isInputActive(task, input, given) !== true) continue;
+      report(...at, `Missing required input '${input.name}' for task '${current}'`,
+        vscode.DiagnosticSeverity.Error, 'missing-task-input');
+    }
+  }
+
+  return diagnostics;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Required base templates (extends compliance)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Warns when a pipeline does not extend one of the approved base templates
+ * configured in `azure-templates-navigator.requiredExtendsTemplates`.
+ *
+ * The warning sits on the `template:` line under `extends:` when the pipeline
+ * extends some other template, and on the first line otherwise.  Templates
+ * (files without a trigger, PR trigger, schedule, resources or extends) are
+ * not checked.
+ *
+ * @param {string}   text
+ * @param {string}   filePath
+ * @param {string[]} approvedTemplates
+ * @returns {vscode.Diagnostic[]}
+ */
+function getExtendsComplianceDiagnostics(text, filePath, approvedTemplates) {
+  const result = checkExtendsCompliance(text, filePath, approvedTemplates);
+  if (!result || result.compliant) return [];
+
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const approved = approvedTemplates.map(t => `'${t}'`).join(', ');
+  let range;
+  let message;
+  if (result.extendsRef) {
+    const lineText = lines[result.extendsRef.line] || '';
+    const col = lineText.indexOf(result.extendsRef.templateRef);
+    range = new vscode.Range(
+      result.extendsRef.line, col >= 0 ? col : 0,
+      result.extendsRef.line, col >= 0 ? col + result.extendsRef.templateRef.length : lineText.length
+    );
+    message = `Pipeline extends '${result.extendsRef.templateRef}', which is not an approved base template (${approved})`;
+  } else {
+    range = new vscode.Range(0, 0, 0, (lines[0] || '').length);
+    message = `Pipeline does not extend an approved base template (${approved})`;
+  }
+
+  const diag = new vscode.Diagnostic(range, message, vscode.DiagnosticSeverity.Warning);
+  diag.source = 'Azure Templates Navigator';
+  diag.code   = 'missing-required-extends';
+  return [diag];
+}
+
 /**
  * Infers the "kind" of a YAML scalar value for basic type-checking.
  *
@@ -123,7 +561,8 @@ function inferValueType(value) {
 
 /**
  * Maps Azure Pipelines parameter types to the set of inferred value types
- * that are considered compatible.
+ * that are considered compatible.  The structure of values passed to the
+ * step/job/stage types is checked separately by shapeValidator.js.
  *
  * @type {Record<string, string[]>}
  */
@@ -131,7 +570,7 @@ const COMPATIBLE_TYPES = {
   string:  ['string'],
   number:  ['number', 'string'],   // numbers can be quoted
   boolean: ['boolean'],
-  object:  ['object', 'string'],   // objects can be multi-line (we can't fully parse)
+  object:  ['object', 'string'],
   step:    ['object', 'string'],
   stepList: ['object', 'string'],
   job:     ['object', 'string'],
@@ -171,20 +610,65 @@ function validateCallSite(lines, templateLine, templateRef, currentFile, repoAli
     return diagnostics; // file not found — hoverProvider already handles this
   }
 
+  // ── Deprecated template ───────────────────────────────────────────────────
+  // Declared with `@deprecated` in the header comment or in the sidecar
+  // `.meta.json`; the quick fix switches to the replacement when it resolves.
+  const deprecations = getDeprecations(filePath, templateText);
+  if (deprecations.template) {
+    const { reason, replacement } = deprecations.template;
+    const ref = templateRef.trim();
+    let hint = '';
+    if (replacement) {
+      const replacementPath = resolveReplacementTemplate(filePath, replacement);
+      const newRef = replacementPath && rewriteTemplateRef(ref, currentFile, replacementPath, repoAliases);
+      hint = newRef ? ` — switch to '${newRef}'` : ` — use '${replacement}' instead`;
+    }
+    const templateLineText = lines[templateLine];
+    const refStart = templateLineText.indexOf(ref, templateLineText.indexOf('template:'));
+    const range = refStart >= 0
+      ? new vscode.Range(templateLine, refStart, templateLine, refStart + ref.length)
+      : new vscode.Range(templateLine, 0, templateLine, templateLineText.length);
+    const diag = new vscode.Diagnostic(
+      range,
+      `Template '${ref}' is deprecated${reason ? `: ${reason}` : ''}${hint}`,
+      vscode.DiagnosticSeverity.Warning
+    );
+    diag.source = 'Azure Templates Navigator';
+    diag.code = 'deprecated-template';
+    diag.tags = [vscode.DiagnosticTag.Deprecated];
+    diagnostics.push(diag);
+  }
+
   // Parse declared parameters from the template
   const declared = parseParameters(templateText);
   if (declared.length === 0) return diagnostics;
 
   const declaredMap = Object.fromEntries(declared.map(p => [p.name, p]));
 
-  // Parse parameters actually passed at this call site
+  // Parse parameters actually passed at this call site.  Every branch of an
+  // `${{ if }}` / `${{ else }}` block is checked; names produced by
+  // `${{ each }}` loops or computed keys are only known at compile time.
   const passed = parsePassedParameters(lines, templateLine);
+  const hasDynamicKeys = Object.values(passed).some(info => info.dynamic);
+  const passedEntries = Object.entries(passed)
+    .filter(([, info]) => !info.dynamic)
+    .flatMap(([name, info]) => [info, ...(info.alternatives || [])].map(i => [name, i]));
+
+  // Parameters of the calling file — lets `${{ parameters.x }}` values be typed
+  let callerTypes = null;
+  const callerParamType = (name) => {
+    if (!callerTypes) {
+      callerTypes = Object.fromEntries(parseParameters(lines.join('\n')).map(p => [p.name, p.type]));
+    }
+    return callerTypes[name];
+  };
 
   // ── Check 1: Missing required parameters ──────────────────────────────────
   // A parameter is required when it has no default value (Azure Pipelines
   // runtime behaviour). If it is missing at the call site, that is an error.
+  // Skipped when `${{ each }}` / computed keys may supply it.
   for (const p of declared) {
-    if (p.required && !(p.name in passed)) {
+    if (p.required && !hasDynamicKeys && !(p.name in passed)) {
       const templateLineText = lines[templateLine];
       const templateKeyStart = templateLineText.indexOf('template:');
       const range = new vscode.Range(
@@ -203,7 +687,7 @@ function validateCallSite(lines, templateLine, templateRef, currentFile, repoAli
   }
 
   // ── Check 2: Unknown parameters ───────────────────────────────────────────
-  for (const [name, info] of Object.entries(passed)) {
+  for (const [name, info] of passedEntries) {
     if (!(name in declaredMap)) {
       const passedLineText = lines[info.line];
       const nameStart = passedLineText.indexOf(name);
@@ -223,12 +707,10 @@ function validateCallSite(lines, templateLine, templateRef, currentFile, repoAli
   }
 
   // ── Check 3: Type mismatches ──────────────────────────────────────────────
-  for (const [name, info] of Object.entries(passed)) {
+  for (const [name, info] of passedEntries) {
     const decl = declaredMap[name];
     if (!decl) continue; // already flagged as unknown
 
-    // Skip type checking for pipeline expressions — they're runtime values
-    if (/^\$/.test(info.value)) continue;
     // Skip empty values
     if (info.value === '') continue;
 
@@ -236,7 +718,21 @@ function validateCallSite(lines, templateLine, templateRef, currentFile, repoAli
     const compatible = COMPATIBLE_TYPES[paramType];
     if (!compatible) continue; // unknown type — skip
 
-    const inferredType = inferValueType(info.value);
+    // Compile-time expressions are typed from their result (a comparison is a
+    // boolean, `${{ parameters.x }}` has the caller's declared type, …).
+    // Macros `$(var)` and runtime `$[ … ]` expressions are skipped.
+    let inferredType;
+    const ast = parseWholeExpression(info.value);
+    if (ast) {
+      inferredType = inferExpressionType(ast, callerParamType);
+      if (!inferredType) continue;
+      // A string-typed expression result may still be a number/boolean literal
+      if (inferredType === 'string' && paramType !== 'string') continue;
+    } else if (/^\$/.test(info.value)) {
+      continue;
+    } else {
+      inferredType = inferValueType(info.value);
+    }
     if (!compatible.includes(inferredType)) {
       const passedLineText = lines[info.line];
       const nameStart = passedLineText.indexOf(name);
@@ -255,6 +751,97 @@ function validateCallSite(lines, templateLine, templateRef, currentFile, repoAli
     }
   }
 
+  // ── Check 4: Values outside the allowed `values:` list ────────────────────
+  // Azure Pipelines rejects these at queue time; literal values can be checked
+  // exactly, so this is an error rather than a heuristic warning.
+  for (const [name, info] of passedEntries) {
+    const decl = declaredMap[name];
+    if (!decl || !decl.values || decl.values.length === 0) continue;
+    if (!info.node || info.node.kind !== 'scalar') continue;
+
+    let value = info.node.value;
+    // Constant compile-time expressions (e.g. `${{ lower('PROD') }}`) are
+    // checked by their result; anything else involving expressions or
+    // macros is a runtime value and skipped.
+    const ast = parseWholeExpression(value);
+    if (ast) {
+      const result = evaluate(ast);
+      if (result === UNKNOWN || (result !== null && typeof result === 'object')) continue;
+      value = typeof result === 'boolean' ? String(result) : formatValue(result);
+    } else if (/\$[({[]/.test(value)) {
+      continue;
+    }
+    if (decl.values.includes(value)) continue;
+
+    const node = info.node;
+    const range = new vscode.Range(
+      node.line, node.col,
+      node.endLine, node.endCol
+    );
+    const diag = new vscode.Diagnostic(
+      range,
+      `Invalid value '${value}' for parameter '${name}' — allowed values: ${decl.values.join(', ')}`,
+      vscode.DiagnosticSeverity.Error
+    );
+    diag.source = 'Azure Templates Navigator';
+    diag.code = 'invalid-value';
+    diagnostics.push(diag);
+  }
+
+  // ── Check 5: Structure of multi-line / collection values ──────────────────
+  // e.g. a stepList must be a sequence of step mappings, each with exactly one
+  // of task / script / bash / pwsh / checkout / template / …
+  for (const [name, info] of passedEntries) {
+    const decl = declaredMap[name];
+    if (!decl) continue;
+
+    for (const problem of validateValueShape(info.node, decl.type)) {
+      const node = problem.node;
+      // Squiggle only the first line of multi-line nodes
+      const endCol = node.endLine === node.line ? node.endCol : lines[node.line].length;
+      const range = new vscode.Range(node.line, node.col, node.line, endCol);
+      const diag = new vscode.Diagnostic(
+        range,
+        `Invalid value for parameter '${name}' (type: ${decl.type}): ${problem.message}`,
+        vscode.DiagnosticSeverity.Warning
+      );
+      diag.source = 'Azure Templates Navigator';
+      diag.code = 'shape-mismatch';
+      diagnostics.push(diag);
+    }
+  }
+
+  // ── Check 6: Deprecated parameters ────────────────────────────────────────
+  // The quick fix renames the key to the replacement, unless the call site
+  // already passes the replacement too.
+  for (const [name, info] of passedEntries) {
+    const deprecation = deprecations.parameters.get(name);
+    if (!deprecation) continue;
+
+    const { reason, replacement } = deprecation;
+    let hint = '';
+    if (replacement) {
+      hint = replacement in declaredMap && !(replacement in passed)
+        ? ` — switch to '${replacement}'`
+        : ` — use '${replacement}' instead`;
+    }
+    const passedLineText = lines[info.line];
+    const nameStart = passedLineText.indexOf(name);
+    const range = new vscode.Range(
+      info.line, nameStart >= 0 ? nameStart : 0,
+      info.line, nameStart >= 0 ? nameStart + name.length : passedLineText.length
+    );
+    const diag = new vscode.Diagnostic(
+      range,
+      `Parameter '${name}' of template '${templateRef.trim()}' is deprecated${reason ? `: ${reason}` : ''}${hint}`,
+      vscode.DiagnosticSeverity.Warning
+    );
+    diag.source = 'Azure Templates Navigator';
+    diag.code = 'deprecated-param';
+    diag.tags = [vscode.DiagnosticTag.Deprecated];
+    diagnostics.push(diag);
+  }
+
   return diagnostics;
 }
 
@@ -276,22 +863,43 @@ function getDiagnosticsForDocument(document) {
   const allDiagnostics = [];
 
   // ── Caller-side checks: validate every template call site ─────────────────
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    // Strip YAML line comments before matching to avoid false positives from
-    // lines like:  # ── Step template: build the .NET project ──
-    const stripped = line.replace(/(^\s*#.*|\s#.*)$/, '');
-    const match = /(?:^|\s)-?\s*template\s*:\s*(.+)$/.exec(stripped);
-    if (!match) continue;
-
-    const templateRef = match[1].trim();
-    // Skip template expressions with variables — can't resolve at edit time
-    if (/\$\{/.test(templateRef) || /\$\(/.test(templateRef)) continue;
-
-    const siteDiagnostics = validateCallSite(lines, i, templateRef, currentFile, repoAliases);
-    allDiagnostics.push(...siteDiagnostics);
+  // A path built from parameters / variables is checked against each
+  // candidate file it resolves to; unresolvable ones are skipped.
+  let candidates = null;
+  for (const { templateRef, line } of findTemplateReferences(docText)) {
+    if (!isDynamicTemplateRef(templateRef)) {
+      allDiagnostics.push(...validateCallSite(lines, line, templateRef, currentFile, repoAliases));
+      continue;
+    }
+    if (!candidates) candidates = extractTemplateRefs(currentFile, {}, docText).filter(r => r.dynamicRef);
+    for (const candidate of candidates) {
+      if (candidate.line !== line) continue;
+      allDiagnostics.push(...validateCallSite(lines, line, candidate.templateRef, currentFile, repoAliases));
+    }
+  }
+
+  // ── Expression syntax ─────────────────────────────────────────────────────
+  allDiagnostics.push(...getExpressionDiagnostics(lines));
+
+  // ── Pipeline-side check: required base templates ─────────────────────────
+  const config = vscode.workspace.getConfiguration('azure-templates-navigator', document.uri);
+  const approvedTemplates = config.get('requiredExtendsTemplates');
+  if (Array.isArray(approvedTemplates) && approvedTemplates.length > 0) {
+    allDiagnostics.push(...getExtendsComplianceDiagnostics(docText, currentFile, approvedTemplates));
   }
 
+  // ── Pipeline structure: keywords, nesting and combinations ────────────────
+  allDiagnostics.push(...getStructureDiagnostics(docText));
+
+  // ── Stage and job dependencies: unknown names, duplicates, cycles ─────────
+  allDiagnostics.push(...getDependencyDiagnostics(docText, currentFile));
+
+  // ── Task steps: unknown tasks, versions and inputs ────────────────────────
+  allDiagnostics.push(...getTaskDiagnostics(docText, getTaskCatalog(currentFile)));
+
+  // ── Pipeline-side check: undefined variables ──────────────────────────────
+  allDiagnostics.push(...getUndefinedVariableDiagnostics(docText, currentFile));
+
   // ── Template-side check: detect unused declared parameters ────────────────
   // Run whenever the file has a top-level `parameters:` block.
   if (/^parameters\s*:/m.test(docText)) {
@@ -513,6 +1121,13 @@ module.exports = {
   scanWorkspace,
   validateCallSite,
   inferValueType,
+  COMPATIBLE_TYPES,
   getUnusedParameterDiagnostics,
+  getExtendsComplianceDiagnostics,
+  getUndefinedVariableDiagnostics,
+  getStructureDiagnostics,
+  getDependencyDiagnostics,
+  getTaskDiagnostics,
+  collectImplicitVariables,
   collectParameterReferences,
 };
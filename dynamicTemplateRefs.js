@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * dynamicTemplateRefs.js
+ *
+ * Expands template references whose path is built from parameters or
+ * variables — `- template: steps/${{ parameters.lang }}-build.yml` or
+ * `- template: $(templateDir)/deploy.yml` — into the concrete references they
+ * can take.
+ *
+ * The values a parameter can take come from (in this order):
+ *
+ *   1. its `values:` list — the complete set of allowed values;
+ *   2. otherwise its `default:` plus every literal value callers pass to it;
+ *   3. `true` / `false` for boolean parameters without either.
+ *
+ * Variables expand to their value in the file's `variables:` block.  Runtime
+ * expressions (`$[ … ]`) and anything that cannot be narrowed to a finite set
+ * of strings leave the reference unresolved.
+ *
+ * Pure Node — no vscode dependency — so it is shared by the graph, the
+ * workspace index, the dependency tree and go-to-definition.
+ */
+
+const { toJS } = require('./yamlParser');
+const {
+  UNKNOWN,
+  findExpressions,
+  parseExpression,
+  collectReferences,
+  evaluate,
+  formatValue,
+} = require('./templateExpression');
+
+/** Upper bound on the parameter-value combinations tried for one reference. */
+const MAX_COMBINATIONS = 64;
+
+/**
+ * @typedef {object} ValueSources
+ * @property {Array<{name: string, type: string, required: boolean, values?: string[], defaultNode?: object}>} [params]
+ *   parseParameters() result for the file holding the reference
+ * @property {Record<string, string>} [variables]
+ *   Variable name → value
+ * @property {Record<string, string[]>} [arguments]
+ *   Parameter name → literal values passed at call sites of the file
+ *
+ * @typedef {object} TemplateRefCandidate
+ * @property {string} templateRef  The concrete reference
+ * @property {string} bindings     e.g. "lang=python" — what produced it
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * True when a template reference contains a template expression or a macro.
+ * @param {string} templateRef
+ * @returns {boolean}
+ */
+function isDynamicTemplateRef(templateRef) {
+  return /\$\{\{|\$\(|\$\[/.test(templateRef);
+}
+
+/**
+ * Converts a literal to the declared parameter type, as Azure does before
+ * the template is expanded (`'true'` → true for a boolean parameter).
+ * @param {string} value
+ * @param {string} type
+ * @returns {string|number|boolean}
+ */
+function coerce(value, type) {
+  const t = (type || '').toLowerCase();
+  if (t === 'boolean' && /^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  if (t === 'number' && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Returns the finite set of values a parameter can take, or undefined when
+ * nothing is known about it.
+ *
+ * @param {object|undefined} param
+ * @param {string[]}         [args]  Literal call-site values
+ * @returns {Array<string|number|boolean>|undefined}
+ */
+function parameterDomain(param, args = []) {
+  if (!param) return args.length > 0 ? args : undefined;
+  if (param.values && param.values.length > 0) return param.values.map(v => coerce(v, param.type));
+
+  const domain = [];
+  if (!param.required && param.defaultNode) {
+    const value = toJS(param.defaultNode);
+    if (typeof value === 'string') domain.push(value);
+  }
+  for (const a of args) {
+    if (!domain.includes(a)) domain.push(a);
+  }
+  if (domain.length === 0 && (param.type || '').toLowerCase() === 'boolean') {
+    return [true, false];
+  }
+  return domain.length > 0 ? domain.map(v => coerce(v, param.type)) : undefined;
+}
+
+/**
+ * Cartesian product of `names` × their domains, stopping at MAX_COMBINATIONS.
+ * @param {string[]} names
+ * @param {Record<string, Array<string|number|boolean>>} domains
+ * @returns {Record<string, string|number|boolean>[]}
+ */
+function combinations(names, domains) {
+  let result = [{}];
+  for (const name of names) {
+    const next = [];
+    for (const partial of result) {
+      for (const value of domains[name]) {
+        if (next.length >= MAX_COMBINATIONS) break;
+        next.push(Object.assign({}, partial, { [name]: value }));
+      }
+    }
+    result = next;
+  }
+  return result;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Expands a dynamic template reference into the concrete references it can
+ * resolve to.  Returns an empty array when the reference cannot be narrowed
+ * down (unknown parameter values, runtime expressions, …).
+ *
+ * @param {string}       templateRef
+ * @param {ValueSources} [sources]
+ * @returns {TemplateRefCandidate[]}
+ */
+function expandTemplateRef(templateRef, sources = {}) {
+  if (/\$\[/.test(templateRef)) return [];
+
+  const params = sources.params || [];
+  const variables = sources.variables || {};
+  const args = sources.arguments || {};
+
+  // ── Split the reference into literal text, expressions and macros ────────
+  const parts = [];
+  let pos = 0;
+  for (const expr of findExpressions(templateRef)) {
+    parts.push({ text: templateRef.slice(pos, expr.start) });
+    const { ast, error } = parseExpression(expr.inner);
+    if (error) return [];
+    parts.push({ ast });
+    pos = expr.end;
+  }
+  parts.push({ text: templateRef.slice(pos) });
+
+  // $(var) macros inside the literal parts
+  const macroNames = new Set();
+  for (const part of parts) {
+    if (part.text === undefined) continue;
+    const re = /\$\(([\w.]+)\)/g;
+    let m;
+    while ((m = re.exec(part.text)) !== null) macroNames.add(m[1]);
+  }
+  if (parts.some(p => p.text !== undefined && /\$\{\{/.test(p.text))) return [];
+  for (const name of macroNames) {
+    if (!(name in variables)) return [];
+  }
+
+  // ── Parameter domains ────────────────────────────────────────────────────
+  const paramNames = [];
+  const domains = {};
+  for (const part of parts) {
+    if (!part.ast) continue;
+    for (const { name } of collectReferences(part.ast, 'parameters')) {
+      if (name in domains) continue;
+      const domain = parameterDomain(params.find(p => p.name === name), args[name]);
+      if (!domain) return [];
+      domains[name] = domain;
+      paramNames.push(name);
+    }
+  }
+
+  // ── Evaluate every combination ────────────────────────────────────────────
+  const candidates = [];
+  const seen = new Set();
+  for (const combo of combinations(paramNames, domains)) {
+    const context = { parameters: combo, variables };
+    let ref = '';
+    let ok = true;
+    for (const part of parts) {
+      if (part.text !== undefined) {
+        ref += part.text.replace(/\$\(([\w.]+)\)/g, (_, name) => variables[name]);
+        continue;
+      }
+      const value = evaluate(part.ast, context);
+      if (value === UNKNOWN || (value !== null && typeof value === 'object')) { ok = false; break; }
+      ref += formatValue(value);
+    }
+    if (!ok || seen.has(ref)) continue;
+    seen.add(ref);
+    const bindings = [
+      ...paramNames.map(n => `${n}=${combo[n]}`),
+      ...[...macroNames].map(n => `${n}=${variables[n]}`),
+    ].join(', ');
+    candidates.push({ templateRef: ref.trim(), bindings });
+  }
+  return candidates;
+}
+
+/**
+ * Extracts the literal values from parsePassedParameters() output — plain or
+ * quoted scalars without expressions or macros.  A parameter passed in
+ * several `${{ if }}` / `${{ else }}` branches contributes every value.
+ *
+ * @param {Record<string, { node?: object, alternatives?: { node?: object }[] }>} passed
+ * @returns {Record<string, string[]>}
+ */
+function literalArguments(passed) {
+  const args = {};
+  for (const [name, info] of Object.entries(passed)) {
+    for (const { node } of [info, ...(info.alternatives || [])]) {
+      if (!node || node.kind !== 'scalar' || /\$[({[]/.test(node.value) || node.value === '') continue;
+      if (!args[name]) args[name] = [];
+      if (!args[name].includes(node.value)) args[name].push(node.value);
+    }
+  }
+  return args;
+}
+
+/**
+ * Merges literal arguments into an accumulator (name → unique values).
+ * @param {Record<string, string[]>} into
+ * @param {Record<string, string[]>} args
+ * @returns {Record<string, string[]>} `into`
+ */
+function mergeArguments(into, args) {
+  for (const [name, values] of Object.entries(args)) {
+    if (!into[name]) into[name] = [];
+    for (const v of values) {
+      if (!into[name].includes(v)) into[name].push(v);
+    }
+  }
+  return into;
+}
+
+module.exports = {
+  MAX_COMBINATIONS,
+  isDynamicTemplateRef,
+  coerce,
+  expandTemplateRef,
+  literalArguments,
+  mergeArguments,
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+const path = require('path');
+const vscode = require('vscode');
+const fileCache = require('./fileCache');
+const { expandPipeline } = require('./templateExpander');
+
+/** URI scheme of the read-only expanded-pipeline documents. */
+const SCHEME = 'azure-pipeline-expanded';
+
+// ---------------------------------------------------------------------------
+// ExpandedPipelineProvider
+// ---------------------------------------------------------------------------
+
+/**
+ * Supplies the content of `azure-pipeline-expanded:` documents — the source
+ * pipeline (named by the URI query) with every template inlined.
+ *
+ * Documents provided by a TextDocumentContentProvider are read-only.
+ */
+class ExpandedPipelineProvider {
+  constructor() {
+    this._onDidChange = new vscode.EventEmitter();
+    this.onDidChange = this._onDidChange.event;
+    /** @type {Map<string, vscode.Uri>} source path → open preview URI */
+    this._previews = new Map();
+  }
+
+  /**
+   * @param {vscode.Uri} uri
+   * @returns {string}
+   */
+  provideTextDocumentContent(uri) {
+    const sourcePath = decodeURIComponent(uri.query);
+    const open = vscode.workspace.textDocuments.find(d => d.uri.fsPath === sourcePath);
+    const text = open ? open.getText() : fileCache.readFile(sourcePath);
+    if (text === null || text === undefined) {
+      return `# Could not read ${sourcePath}\n`;
+    }
+    return renderExpandedPipeline(text, sourcePath);
+  }
+
+  /**
+   * Returns the preview URI for a pipeline and remembers it so that the
+   * preview is refreshed when the pipeline or a template changes.
+   * @param {string} sourcePath
+   * @returns {vscode.Uri}
+   */
+  uriFor(sourcePath) {
+    const name = path.basename(sourcePath).replace(/\.ya?ml$/i, '');
+    const uri = vscode.Uri.parse(`${SCHEME}:/${name} (expanded).yml?${encodeURIComponent(sourcePath)}`);
+    this._previews.set(sourcePath, uri);
+    return uri;
+  }
+
+  /** Re-renders every open preview. */
+  refreshAll() {
+    for (const uri of this._previews.values()) this._onDidChange.fire(uri);
+  }
+
+  dispose() {
+    this._onDidChange.dispose();
+  }
+}
+
+/**
+ * Builds the preview text: a comment header naming the source and listing
+ * the warnings, followed by the expanded YAML.
+ *
+ * @param {string} text        Pipeline source
+ * @param {string} sourcePath  Absolute path of the pipeline
+ * @returns {string}
+ */
+function renderExpandedPipeline(text, sourcePath) {
+  const { text: yaml, warnings } = expandPipeline(text, sourcePath);
+  const header = [
+    `# Expanded from ${path.basename(sourcePath)} by Azure Templates Navigator.`,
+    '# A local approximation of the compile-time expansion: runtime expressions ($[ ]),',
+    '# macros ($( )) and values only known at queue time are left as written.',
+  ];
+  if (warnings.length > 0) {
+    header.push('#');
+    for (const w of warnings) header.push(`# ⚠ ${w}`);
+  }
+  return `${header.join('\n')}\n\n${yaml}`;
+}
+
+// ---------------------------------------------------------------------------
+// Factory — call from extension.js activate()
+// ---------------------------------------------------------------------------
+
+/**
+ * Registers the content provider and the
+ * `azure-templates-navigator.showExpandedPipeline` command.
+ *
+ * @param {vscode.ExtensionContext} context
+ * @returns {ExpandedPipelineProvider}
+ */
+function createExpandedPipelineProvider(context) {
+  const provider = new ExpandedPipelineProvider();
+
+  context.subscriptions.push(
+    provider,
+    vscode.workspace.registerTextDocumentContentProvider(SCHEME, provider),
+
+    vscode.commands.registerCommand('azure-templates-navigator.showExpandedPipeline', async (uri) => {
+      const editor = vscode.window.activeTextEditor;
+      const sourcePath = uri && uri.fsPath
+        ? uri.fsPath
+        : editor && editor.document.uri.scheme === 'file' ? editor.document.uri.fsPath : null;
+      if (!sourcePath || !/\.ya?ml$/i.test(sourcePath)) {
+        vscode.window.showWarningMessage('Azure Templates Navigator: Open a pipeline YAML file to show its expansion.');
+        return;
+      }
+
+      const previewUri = provider.uriFor(sourcePath);
+      provider.refreshAll();
+      const doc = await vscode.workspace.openTextDocument(previewUri);
+      await vscode.window.showTextDocument(doc, {
+        viewColumn: vscode.ViewColumn.Beside,
+        preview: true,
+        preserveFocus: true,
+      });
+    }),
+
+    // Keep open previews in step with edits to the pipeline or its templates
+    vscode.workspace.onDidSaveTextDocument(doc => {
+      if (/\.ya?ml$/i.test(doc.uri.fsPath)) {
+        fileCache.invalidate(doc.uri.fsPath);
+        provider.refreshAll();
+      }
+    })
+  );
+
+  return provider;
+}
+
+module.exports = {
+  SCHEME,
+  createExpandedPipelineProvider,
+  ExpandedPipelineProvider,
+  renderExpandedPipeline,
+};
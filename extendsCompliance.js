@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * extendsCompliance.js
+ *
+ * Checks pipelines against the `azure-templates-navigator.requiredExtendsTemplates`
+ * setting — the base templates every pipeline must extend (typically the ones a
+ * security team uses to enforce required steps).
+ *
+ * Pure Node — no vscode dependency — so it is shared by the diagnostic
+ * provider and the graph.
+ */
+
+const path = require('path');
+const {
+  parseRepositoryAliases,
+  resolveTemplatePath,
+  findTemplateReferences,
+} = require('./hoverProvider');
+
+/**
+ * @typedef {object} ExtendsCompliance
+ * @property {boolean} compliant
+ * @property {{ templateRef: string, line: number }|null} extendsRef
+ *   The pipeline's `extends: template:` reference, if any
+ */
+
+/**
+ * True when `text` is a pipeline entry file — one with a trigger, PR trigger,
+ * schedule, resources or extends at the top level — rather than a template.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isPipelineEntry(text) {
+  return /^(?:trigger|pr|schedules|resources|extends)\s*:/m.test(text);
+}
+
+/**
+ * Resolves an approved-template entry the way a pipeline at the repository
+ * root would: `templates/base.yml` and `/templates/base.yml` are both
+ * repo-root relative, `base.yml@security` uses the pipeline's aliases.
+ *
+ * @param {string} entry
+ * @param {string} filePath  The pipeline being checked
+ * @param {Record<string, string>} repoAliases
+ * @returns {string|null}  Absolute path, or null when it cannot be resolved
+ */
+function resolveApprovedTemplate(entry, filePath, repoAliases) {
+  let ref = entry.trim();
+  if (!ref) return null;
+  const atIndex = ref.lastIndexOf('@');
+  const local = atIndex === -1 ? ref : ref.slice(0, atIndex);
+  if (!local.startsWith('/')) ref = '/' + ref;
+  const resolved = resolveTemplatePath(ref, filePath, repoAliases);
+  return resolved && resolved.filePath ? path.normalize(resolved.filePath) : null;
+}
+
+/**
+ * Checks whether a pipeline extends one of the approved base templates.
+ * Returns null when the check does not apply — no approved templates are
+ * configured or the file is a template rather than a pipeline.
+ *
+ * @param {string}   text
+ * @param {string}   filePath
+ * @param {string[]} approvedTemplates
+ * @returns {ExtendsCompliance|null}
+ */
+function checkExtendsCompliance(text, filePath, approvedTemplates) {
+  if (!Array.isArray(approvedTemplates) || approvedTemplates.length === 0) return null;
+  if (!isPipelineEntry(text)) return null;
+
+  const ref = findTemplateReferences(text).find(r => r.kind === 'extends');
+  if (!ref) return { compliant: false, extendsRef: null };
+
+  const extendsRef = { templateRef: ref.templateRef, line: ref.line };
+  const repoAliases = parseRepositoryAliases(text);
+  const resolved = resolveTemplatePath(ref.templateRef, filePath, repoAliases);
+  const target = resolved && resolved.filePath ? path.normalize(resolved.filePath) : null;
+
+  const compliant = approvedTemplates.some(entry => {
+    if (typeof entry !== 'string') return false;
+    if (entry.trim() === ref.templateRef) return true;
+    return target !== null && resolveApprovedTemplate(entry, filePath, repoAliases) === target;
+  });
+  return { compliant, extendsRef };
+}
+
+module.exports = {
+  isPipelineEntry,
+  resolveApprovedTemplate,
+  checkExtendsCompliance,
+};
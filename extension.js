@@ -5,9 +5,17 @@ const { hoverProvider, definitionProvider } = require('./hoverProvider');
 const { createDiagnosticProvider } = require('./diagnosticProvider');
 const { createDiagnosticsPanelProvider } = require('./diagnosticsPanelProvider');
 const { completionProvider } = require('./completionProvider');
+const { referenceProvider } = require('./referenceProvider');
+const { renameProvider } = require('./renameProvider');
 const { createTreeViewProvider } = require('./treeViewProvider');
 const { createGraphViewProvider } = require('./graphWebViewProvider');
 const { quickFixProvider } = require('./quickFixProvider');
+const { inlineTemplateActionProvider } = require('./inlineTemplateProvider');
+const { createExpandedPipelineProvider } = require('./expandedPipelineProvider');
+const { createMoveTemplateProvider } = require('./moveTemplateProvider');
+const { createExtractTemplateProvider } = require('./extractTemplateProvider');
+const { createAddParameterProvider } = require('./addParameterProvider');
+const { createBreakingChangeProvider } = require('./breakingChangeProvider');
 const { workspaceIndex } = require('./workspaceIndex');
 const fileCache = require('./fileCache');
 
@@ -59,6 +67,22 @@ function activate(context) {
     definitionProvider
   );
 
+  // ── Reference provider ────────────────────────────────────────────────────
+  // Shift+F12 on a template → its call sites; on a parameter → the call sites
+  // that pass it and its uses in the template body
+  const referenceDisposable = vscode.languages.registerReferenceProvider(
+    { language: 'yaml', scheme: '*' },
+    referenceProvider
+  );
+
+  // ── Rename provider ───────────────────────────────────────────────────────
+  // F2 on a template parameter → renames its declaration, its uses in the
+  // template body and the key at every call site, with a preview
+  const renameDisposable = vscode.languages.registerRenameProvider(
+    { language: 'yaml', scheme: '*' },
+    renameProvider
+  );
+
   // ── Completion provider ───────────────────────────────────────────────────
   // IntelliSense autocomplete for template parameters
   const completionDisposable = vscode.languages.registerCompletionItemProvider(
@@ -97,6 +121,18 @@ function activate(context) {
   );
   context.subscriptions.push(quickFixDisposable);
 
+  // ── Inline template ───────────────────────────────────────────────────────
+  // Refactoring on a `- template:` line → the call is replaced with the
+  // template's body, its parameters substituted
+  const inlineDisposable = vscode.languages.registerCodeActionsProvider(
+    { language: 'yaml', scheme: 'file' },
+    inlineTemplateActionProvider,
+    {
+      providedCodeActionKinds: [vscode.CodeActionKind.RefactorInline],
+    }
+  );
+  context.subscriptions.push(inlineDisposable);
+
   // ── Command: refresh diagnostics manually ─────────────────────────────────
   const refreshDiagsCmd = vscode.commands.registerCommand(
     'azure-templates-navigator.refreshDiagnostics',
@@ -129,6 +165,31 @@ function activate(context) {
   // Sidebar WebView panel showing a force-directed graph of ALL templates in the workspace
   createGraphViewProvider(context);
 
+  // ── Expanded pipeline preview ─────────────────────────────────────────────
+  // "Show Expanded Pipeline" — the active pipeline with every template inlined,
+  // in a read-only virtual document beside the source
+  createExpandedPipelineProvider(context);
+
+  // ── Template moves ────────────────────────────────────────────────────────
+  // Moving or renaming a template (Explorer or "Move Template…") updates every
+  // template: reference to it, keeping each reference's path style
+  createMoveTemplateProvider(context);
+
+  // ── Extract to template ───────────────────────────────────────────────────
+  // Refactoring on a selection of steps, jobs or stages → a new template file
+  // and a `- template:` call that passes the inferred parameters
+  createExtractTemplateProvider(context);
+
+  // ── Add parameter ─────────────────────────────────────────────────────────
+  // "Add Parameter…" declares a new template parameter; a required one can be
+  // passed as a placeholder at every call site in the same refactoring
+  createAddParameterProvider(context);
+
+  // ── Breaking changes ──────────────────────────────────────────────────────
+  // Templates whose parameters changed incompatibly since HEAD get a warning
+  // listing the broken call sites; "Show Breaking Changes" opens the report
+  createBreakingChangeProvider(context);
+
   // ── Command: open a template file, optionally to the side ─────────────────
   // Args: { filePath: string, beside?: boolean }
   //
@@ -157,7 +218,7 @@ function activate(context) {
         return {
           label: `$(symbol-parameter) ${p.name}`,
           description: `${p.type}${defaultTag}`,
-          detail: requiredTag,
+          detail: p.description ? `${requiredTag} — ${p.description.split('\n')[0]}` : requiredTag,
           // Stash the line number so we can jump to it on selection
           _line: p.line,
         };
@@ -265,6 +326,8 @@ function activate(context) {
   context.subscriptions.push(
     hoverDisposable,
     definitionDisposable,
+    referenceDisposable,
+    renameDisposable,
     completionDisposable,
     openTemplateDisposable,
     colorCommandDisposable,
@@ -0,0 +1,452 @@
+'use strict';
+
+/**
+ * extractTemplateProvider.js
+ *
+ * "Extract to template" refactoring: the steps, jobs or stages covered by the
+ * selection are moved into a new template file and replaced with a
+ * `- template:` call.
+ *
+ * The new template declares a parameter for
+ *   • every `${{ parameters.x }}` the block uses — the caller passes its own
+ *     parameter through;
+ *   • the `$(var)` macros and `${{ variables.x }}` expressions the user keeps
+ *     (all by default) — the caller passes the variable;
+ *   • the literal values the user picks — declared with the literal as the
+ *     default, and passed by the caller.
+ *
+ * Relative `template:` references inside the block are rewritten so they
+ * still resolve from the new file.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const vscode = require('vscode');
+const { parseYaml, getMapEntry, getMapValue, walk } = require('./yamlParser');
+const {
+  parseParameters,
+  parseRepositoryAliases,
+  resolveTemplatePath,
+  findTemplateReferences,
+  collectVariablesNode,
+} = require('./hoverProvider');
+const { lineIndent, findParametersLine } = require('./quickFixProvider');
+const { lookupPredefinedVariable, isPredefinedNamespace } = require('./predefinedVariables');
+const { findExpressions, parseTemplateExpression, collectReferences } = require('./templateExpression');
+const { rewriteTemplateRef, toPosix } = require('./moveTemplateProvider');
+
+/** Keys whose value holds a list that can be extracted. */
+const LIST_KEYS = ['steps', 'jobs', 'stages'];
+
+/** Keys whose values identify an item rather than configure it. */
+const IDENTITY_KEYS = new Set(['task', 'template', 'stage', 'job', 'deployment', 'dependsOn', 'checkout']);
+
+/**
+ * @typedef {object} ExtractableBlock
+ * @property {'steps'|'jobs'|'stages'} kind
+ * @property {number} startLine  First line of the first item
+ * @property {number} endLine    Last line of the last item
+ * @property {number} indent     Column of the items' `-`
+ * @property {object[]} items    yamlParser nodes of the items
+ *
+ * @typedef {object} Occurrence
+ * @property {number} line
+ * @property {number} start
+ * @property {number} end
+ * @property {string} text  Replacement in the template
+ *
+ * @typedef {object} ParameterCandidate
+ * @property {'parameter'|'variable'|'macro'|'literal'} kind
+ * @property {string} name        Parameter name in the new template
+ * @property {string} value       What the call passes
+ * @property {string} type
+ * @property {string} [default]   Default declared in the template (literals)
+ * @property {string} label       What it stands for, as written
+ * @property {number} line        First line it appears on
+ * @property {boolean} required   Always kept (`${{ parameters.x }}` uses)
+ * @property {boolean} picked     Kept unless the user deselects it
+ * @property {Occurrence[]} occurrences
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Selection
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Finds the steps, jobs or stages a selection covers: the items of the
+ * outermost `steps:` / `jobs:` / `stages:` list that start inside the
+ * selection.  Returns null when no item starts there, or when the selection
+ * starts in the middle of an item.
+ *
+ * @param {import('vscode').TextDocument} document
+ * @param {number} startLine
+ * @param {number} endLine
+ * @returns {ExtractableBlock|null}
+ */
+function findExtractableBlock(document, startLine, endLine) {
+  const doc = parseYaml(document.getText());
+  let best = null;
+
+  walk(doc.root, (node) => {
+    if (node.kind !== 'map') return;
+    for (const entry of node.entries) {
+      if (!LIST_KEYS.includes(entry.key) || !entry.value || entry.value.kind !== 'seq' || entry.value.flow) continue;
+      const seq = entry.value;
+      const items = seq.items.filter(i => i && i.line >= startLine && i.line <= endLine);
+      if (items.length === 0) continue;
+      const before = seq.items.filter(i => i && i.line < startLine);
+      const cut = before.length > 0 && before[before.length - 1].endLine >= startLine;
+      if (cut) continue;
+      if (best && best.items[0].col <= items[0].col) continue;
+      best = {
+        kind: entry.key,
+        startLine: items[0].line,
+        endLine: items[items.length - 1].endLine,
+        indent: lineIndent(document, items[0].line).length,
+        items,
+      };
+    }
+  });
+  return best;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Parameters
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Turns a variable name or key into a parameter name: `build.configuration`
+ * → `buildConfiguration`.
+ * @param {string} name
+ * @returns {string}
+ */
+function toParameterName(name) {
+  const parts = name.split(/[^A-Za-z0-9_]+/).filter(Boolean);
+  const joined = parts.map((p, i) => (i === 0 ? p : p[0].toUpperCase() + p.slice(1))).join('');
+  if (!joined) return 'value';
+  return /^[0-9]/.test(joined) ? `_${joined}` : joined;
+}
+
+/** Returns the type a literal is declared with. */
+function literalType(node) {
+  if (node.style !== 'plain') return 'string';
+  if (/^(true|false)$/i.test(node.value)) return 'boolean';
+  if (/^-?\d+(\.\d+)?$/.test(node.value)) return 'number';
+  return 'string';
+}
+
+/**
+ * Returns the names of the variables the block defines itself, in the
+ * `variables:` of its stages and jobs; `$(var)` macros naming them stay as
+ * they are.
+ *
+ * @param {ExtractableBlock} block
+ * @param {string} filePath
+ * @param {Record<string, string>} aliases
+ * @returns {Set<string>}  Lower-cased names
+ */
+function localVariables(block, filePath, aliases) {
+  const names = new Set();
+  for (const item of block.items) {
+    walk(item, (node) => {
+      if (node.kind !== 'map' || !getMapEntry(node, 'variables')) return;
+      const { variables } = collectVariablesNode(getMapValue(node, 'variables'), filePath, aliases);
+      for (const name of Object.keys(variables)) names.add(name.toLowerCase());
+    });
+  }
+  return names;
+}
+
+/**
+ * Lists what the new template could take as parameters: the block's
+ * `${{ parameters.x }}` uses (always kept), its `$(var)` macros and
+ * `${{ variables.x }}` expressions (kept by default) and its single-line
+ * literal values (offered, not kept by default).
+ *
+ * @param {import('vscode').TextDocument} document
+ * @param {ExtractableBlock} block
+ * @returns {ParameterCandidate[]}
+ */
+function findParameterCandidates(document, block) {
+  const text = document.getText();
+  const filePath = document.uri.fsPath;
+  const declared = parseParameters(text);
+  const local = localVariables(block, filePath, parseRepositoryAliases(text));
+
+  const parameters = new Map();
+  const variables = new Map();
+  const macros = new Map();
+  const used = new Set();
+  const unique = (base) => {
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}${n}`;
+    used.add(name.toLowerCase());
+    return name;
+  };
+
+  for (let line = block.startLine; line <= block.endLine; line++) {
+    const lineText = document.lineAt(line).text.replace(/(^\s*#.*|\s#.*)$/, '');
+    for (const expr of findExpressions(lineText)) {
+      const { ast, error } = parseTemplateExpression(expr.inner);
+      if (!ast || error) continue;
+      for (const ref of collectReferences(ast, 'parameters')) {
+        if (!parameters.has(ref.name)) parameters.set(ref.name, { line });
+      }
+      for (const ref of collectReferences(ast, 'variables')) {
+        if (!variables.has(ref.name)) variables.set(ref.name, { line, occurrences: [] });
+        variables.get(ref.name).occurrences.push({ line, start: expr.innerStart + ref.start, end: expr.innerStart + ref.end });
+      }
+    }
+    for (const m of lineText.matchAll(/\$\(([A-Za-z_][\w.-]*)\)/g)) {
+      const name = m[1];
+      if (local.has(name.toLowerCase()) || lookupPredefinedVariable(name) || isPredefinedNamespace(name)) continue;
+      if (!macros.has(name)) macros.set(name, { line, occurrences: [] });
+      macros.get(name).occurrences.push({ line, start: m.index, end: m.index + m[0].length });
+    }
+  }
+
+  const candidates = [];
+  for (const [name, { line }] of parameters) {
+    const param = declared.find(p => p.name === name);
+    used.add(name.toLowerCase());
+    candidates.push({
+      kind: 'parameter', name, value: `\${{ parameters.${name} }}`,
+      type: param && param.type ? param.type : 'object', label: `\${{ parameters.${name} }}`,
+      line, required: true, picked: true, occurrences: [],
+    });
+  }
+  for (const [variable, { line, occurrences }] of variables) {
+    const name = unique(toParameterName(variable));
+    candidates.push({
+      kind: 'variable', name, value: `\${{ variables.${variable} }}`, type: 'string',
+      label: `\${{ variables.${variable} }}`, line, required: false, picked: true,
+      occurrences: occurrences.map(o => ({ ...o, text: `parameters.${name}` })),
+    });
+  }
+  for (const [variable, { line, occurrences }] of macros) {
+    const name = unique(toParameterName(variable));
+    candidates.push({
+      kind: 'macro', name, value: `$(${variable})`, type: 'string',
+      label: `$(${variable})`, line, required: false, picked: true,
+      occurrences: occurrences.map(o => ({ ...o, text: `\${{ parameters.${name} }}` })),
+    });
+  }
+
+  for (const item of block.items) {
+    walk(item, (node) => {
+      if (node.kind !== 'map') return;
+      for (const entry of node.entries) {
+        const value = entry.value;
+        if (IDENTITY_KEYS.has(entry.key) || entry.key.startsWith('${{')) continue;
+        if (!value || value.kind !== 'scalar' || value.line !== value.endLine) continue;
+        if (!['plain', 'single', 'double'].includes(value.style) || value.value === '') continue;
+        if (/\$\{\{|\$\(|\$\[/.test(value.raw)) continue;
+        const name = unique(toParameterName(entry.key));
+        const quote = value.style === 'single' ? "'" : value.style === 'double' ? '"' : '';
+        candidates.push({
+          kind: 'literal', name, value: value.raw, type: literalType(value), default: value.raw,
+          label: `${entry.key}: ${value.raw}`, line: value.line, required: false, picked: false,
+          occurrences: [{ line: value.line, start: value.col, end: value.endCol, text: `${quote}\${{ parameters.${name} }}${quote}` }],
+        });
+      }
+    });
+  }
+  return candidates;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Plan
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Builds the new template and the call that replaces the block.
+ *
+ * @param {import('vscode').TextDocument} document
+ * @param {ExtractableBlock} block
+ * @param {ParameterCandidate[]} parameters  The candidates that are kept
+ * @param {string} templatePath  Absolute path of the new template
+ * @returns {{ templateText: string, callText: string, templateRef: string }}
+ */
+function planExtraction(document, block, parameters, templatePath) {
+  const text = document.getText();
+  const filePath = document.uri.fsPath;
+
+  // Nested template references must resolve from the new file
+  const occurrences = parameters.flatMap(p => p.occurrences);
+  const aliases = parseRepositoryAliases(text);
+  for (const ref of findTemplateReferences(text)) {
+    if (ref.line < block.startLine || ref.line > block.endLine || ref.templateRef.includes('${{')) continue;
+    const resolved = resolveTemplatePath(ref.templateRef, filePath, aliases);
+    if (!resolved || resolved.unknownAlias || !resolved.filePath || resolved.repoName) continue;
+    const rewritten = rewriteTemplateRef(ref.templateRef, templatePath, resolved.filePath, aliases);
+    const start = document.lineAt(ref.line).text.indexOf(ref.templateRef, ref.col);
+    if (rewritten === null || rewritten === ref.templateRef || start === -1) continue;
+    occurrences.push({ line: ref.line, start, end: start + ref.templateRef.length, text: rewritten });
+  }
+
+  const body = [];
+  for (let line = block.startLine; line <= block.endLine; line++) {
+    let lineText = document.lineAt(line).text;
+    const edits = occurrences.filter(o => o.line === line).sort((a, b) => b.start - a.start);
+    for (const o of edits) lineText = lineText.slice(0, o.start) + o.text + lineText.slice(o.end);
+    const strip = Math.min(block.indent, lineText.length - lineText.trimStart().length);
+    body.push(lineText.trim() === '' ? '' : `  ${lineText.slice(strip)}`);
+  }
+
+  const header = [];
+  if (parameters.length > 0) {
+    header.push('parameters:');
+    for (const p of parameters) {
+      header.push(`  - name: ${p.name}`, `    type: ${p.type}`);
+      if (p.default !== undefined) header.push(`    default: ${p.default}`);
+    }
+    header.push('');
+  }
+  const templateText = [...header, `${block.kind}:`, ...body, ''].join('\n');
+
+  const rel = toPosix(path.relative(path.dirname(filePath), templatePath));
+  const indent = ' '.repeat(block.indent);
+  const call = [`${indent}- template: ${rel}`];
+  if (parameters.length > 0) {
+    call.push(`${indent}  parameters:`);
+    for (const p of parameters) call.push(`${indent}    ${p.name}: ${p.value}`);
+  }
+  return { templateText, callText: call.join('\n'), templateRef: rel };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VS Code integration
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Returns a template path next to `filePath` that does not exist yet. */
+function defaultTemplatePath(filePath, kind) {
+  const dir = path.join(path.dirname(filePath), 'templates');
+  let candidate = path.join(dir, `extracted-${kind}.yml`);
+  for (let n = 2; fs.existsSync(candidate); n++) candidate = path.join(dir, `extracted-${kind}-${n}.yml`);
+  return candidate;
+}
+
+/**
+ * Code action provider offering "Extract to template…" on a selection of
+ * steps, jobs or stages.
+ */
+const extractTemplateActionProvider = {
+  /**
+   * @param {vscode.TextDocument} document
+   * @param {vscode.Range|vscode.Selection} range
+   * @returns {vscode.CodeAction[]}
+   */
+  provideCodeActions(document, range) {
+    if (range.isEmpty || document.uri.scheme !== 'file') return [];
+    const block = findExtractableBlock(document, range.start.line, range.end.line);
+    if (!block) return [];
+
+    const action = new vscode.CodeAction(`Extract ${block.kind} to template…`, vscode.CodeActionKind.RefactorExtract);
+    action.command = {
+      command: 'azure-templates-navigator.extractToTemplate',
+      title: action.title,
+      arguments: [document.uri, range.start.line, range.end.line],
+    };
+    return [action];
+  },
+};
+
+/**
+ * Registers the code action provider and the command it runs.
+ *
+ * @param {vscode.ExtensionContext} context
+ */
+function createExtractTemplateProvider(context) {
+  context.subscriptions.push(
+    vscode.languages.registerCodeActionsProvider(
+      { language: 'yaml', scheme: 'file' },
+      extractTemplateActionProvider,
+      { providedCodeActionKinds: [vscode.CodeActionKind.RefactorExtract] }
+    ),
+
+    vscode.commands.registerCommand('azure-templates-navigator.extractToTemplate', async (uri, startLine, endLine) => {
+      const editor = vscode.window.activeTextEditor;
+      const document = uri ? await vscode.workspace.openTextDocument(uri) : editor && editor.document;
+      if (!document) return;
+      const from = typeof startLine === 'number' ? startLine : editor.selection.start.line;
+      const to = typeof endLine === 'number' ? endLine : editor.selection.end.line;
+
+      const block = findExtractableBlock(document, from, to);
+      if (!block) {
+        vscode.window.showWarningMessage('Azure Templates Navigator: Select one or more steps, jobs or stages to extract.');
+        return;
+      }
+
+      // Let the user choose which variables and literals become parameters
+      const candidates = findParameterCandidates(document, block);
+      const optional = candidates.filter(c => !c.required);
+      let kept = optional.filter(c => c.picked);
+      if (optional.length > 0) {
+        const picks = await vscode.window.showQuickPick(
+          optional.map(c => ({
+            label: c.name,
+            description: c.label,
+            detail: c.kind === 'literal' ? `Literal on line ${c.line + 1} — becomes the default` : `Used from line ${c.line + 1}`,
+            picked: c.picked,
+            candidate: c,
+          })),
+          {
+            title: 'Extract to Template — Parameters',
+            placeHolder: 'Choose the values the new template takes as parameters',
+            canPickMany: true,
+          }
+        );
+        if (!picks) return; // user cancelled
+        kept = picks.map(p => p.candidate);
+      }
+      const parameters = candidates.filter(c => c.required || kept.includes(c));
+
+      const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+      const base = folder ? folder.uri.fsPath : path.dirname(document.uri.fsPath);
+      const suggested = toPosix(path.relative(base, defaultTemplatePath(document.uri.fsPath, block.kind)));
+      const input = await vscode.window.showInputBox({
+        title: 'Extract to Template — New File',
+        prompt: 'Path of the new template, relative to the workspace folder',
+        value: suggested,
+        valueSelection: [suggested.lastIndexOf('/') + 1, suggested.length - path.extname(suggested).length],
+        validateInput: (value) => {
+          const trimmed = value.trim();
+          if (!/\.ya?ml$/i.test(trimmed)) return 'Templates must have a .yml or .yaml extension';
+          if (fs.existsSync(path.resolve(base, trimmed))) return `${trimmed} already exists`;
+          return null;
+        },
+      });
+      if (input === undefined) return; // user cancelled
+
+      const templatePath = path.resolve(base, input.trim());
+      const plan = planExtraction(document, block, parameters, templatePath);
+      const templateUri = vscode.Uri.file(templatePath);
+      const lastLine = document.lineAt(block.endLine).text;
+
+      const edit = new vscode.WorkspaceEdit();
+      edit.createFile(templateUri, { ignoreIfExists: false });
+      edit.insert(templateUri, new vscode.Position(0, 0), plan.templateText);
+      edit.replace(document.uri, new vscode.Range(block.startLine, 0, block.endLine, lastLine.length), plan.callText);
+      if (!await vscode.workspace.applyEdit(edit)) {
+        vscode.window.showErrorMessage('Azure Templates Navigator: Could not extract the template.');
+        return;
+      }
+
+      // Put the cursor on the arguments of the new call
+      const shown = await vscode.window.showTextDocument(document);
+      const paramsLine = findParametersLine(document, block.startLine);
+      const pos = new vscode.Position(paramsLine === -1 ? block.startLine : paramsLine, 0);
+      shown.selection = new vscode.Selection(pos, pos);
+      shown.revealRange(new vscode.Range(pos, pos));
+    })
+  );
+}
+
+module.exports = {
+  createExtractTemplateProvider,
+  extractTemplateActionProvider,
+  findExtractableBlock,
+  findParameterCandidates,
+  planExtraction,
+  toParameterName,
+};
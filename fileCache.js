@@ -19,6 +19,8 @@
  * • `invalidate(filePath)` removes one entry (called by the file-system
  *   watcher when a file changes).
  * • `invalidateAll()` clears everything (called on workspace folder change).
+ * • `onInvalidate(listener)` lets caches built from file contents drop their
+ *   entries together with this one.
  * • The cache is a plain Map — no external dependencies.
  *
  * Thread safety
@@ -38,6 +40,9 @@ const path = require('path'); // eslint-disable-line no-unused-vars
 /** @type {Map<string, CacheEntry>} */
 const _cache = new Map();
 
+/** @type {((filePath: string|null) => void)[]} */
+const _listeners = [];
+
 /**
  * Returns the text content of `filePath`.
  *
@@ -96,6 +101,7 @@ function fileExists(filePath) {
  */
 function invalidate(filePath) {
   _cache.delete(filePath);
+  for (const listener of _listeners) listener(filePath);
 }
 
 /**
@@ -104,6 +110,17 @@ function invalidate(filePath) {
  */
 function invalidateAll() {
   _cache.clear();
+  for (const listener of _listeners) listener(null);
+}
+
+/**
+ * Registers a function called after every invalidation, with the invalidated
+ * path, or null when the whole cache was cleared.
+ *
+ * @param {(filePath: string|null) => void} listener
+ */
+function onInvalidate(listener) {
+  _listeners.push(listener);
 }
 
 /**
@@ -131,6 +148,7 @@ module.exports = {
   fileExists,
   invalidate,
   invalidateAll,
+  onInvalidate,
   size,
   cachedPaths,
 };
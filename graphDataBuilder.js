@@ -17,8 +17,20 @@ const fileCache = require('./fileCache');
 const {
   parseRepositoryAliases,
   parseParameters,
+  collectVariables,
+  parsePassedParameters,
   resolveTemplatePath,
+  findTemplateReferences,
 } = require('./hoverProvider');
+const {
+  isDynamicTemplateRef,
+  expandTemplateRef,
+  literalArguments,
+  mergeArguments,
+} = require('./dynamicTemplateRefs');
+const { checkExtendsCompliance } = require('./extendsCompliance');
+const { getDeprecations } = require('./templateMetadata');
+const { expandPipeline, SOURCE } = require('./templateExpander');
 
 // ---------------------------------------------------------------------------
 // collectYamlFiles
@@ -58,13 +70,14 @@ function collectYamlFiles(dir, acc = []) {
 
 /**
  * Determines whether a YAML file looks like an Azure Pipeline root file
- * (has `trigger:`, `pr:`, `schedules:`, or `stages:` at the top level).
+ * (has `trigger:`, `pr:`, `schedules:`, `extends:` or `stages:` at the top
+ * level).
  *
  * @param {string} text
  * @returns {boolean}
  */
 function isPipelineRoot(text) {
-  return /^(?:trigger|pr|schedules|stages|jobs|steps)\s*:/m.test(text);
+  return /^(?:trigger|pr|schedules|extends|stages|jobs|steps)\s*:/m.test(text);
 }
 
 // ---------------------------------------------------------------------------
@@ -72,25 +85,185 @@ function isPipelineRoot(text) {
 // ---------------------------------------------------------------------------
 
 /**
- * Parses a single YAML file and returns the raw template references it contains.
+ * Parses a single YAML file and returns the template references it contains.
+ *
+ * Dynamic references (`steps/${{ parameters.lang }}-build.yml`) are expanded
+ * into one entry per candidate path, carrying the original reference in
+ * `dynamicRef` and what produced it in `bindings` (e.g. "lang=python").
+ * Dynamic references that cannot be narrowed down are returned unchanged —
+ * callers skip them as before.
+ *
+ * `kind` is `'extends'` for the pipeline's `extends: template:` reference;
+ * `directives` lists the `${{ if }}` / `${{ each }}` blocks a reference is
+ * nested under (see findTemplateReferences).
+ *
+ * @param {string} filePath
+ * @param {Record<string, string[]>} [callArguments]
+ *   Literal values passed to this file's parameters by its callers
+ * @param {string|null} [text]  Source of the file, when not the one on disk
+ *   (e.g. an open document with unsaved changes)
+ * @returns {{ templateRef: string, line: number, kind: 'template'|'extends', directives?: string[], dynamicRef?: string, bindings?: string }[]}
+ */
+function extractTemplateRefs(filePath, callArguments = {}, text) {
+  const info = templateRefInfo(filePath, text);
+  if (!info) return [];
+
+  const result = [];
+  for (const ref of info.refs) {
+    const { templateRef, line, kind } = ref;
+    const base = ref.directives ? { line, kind, directives: ref.directives } : { line, kind };
+    if (!isDynamicTemplateRef(templateRef)) {
+      result.push({ templateRef, ...base });
+      continue;
+    }
+    if (!info.sources) {
+      const { variables } = collectVariables(info.text, filePath);
+      info.sources = {
+        params: parseParameters(info.text),
+        variables: Object.fromEntries(Object.entries(variables).map(([k, v]) => [k, v.value])),
+      };
+    }
+    const candidates = expandTemplateRef(templateRef, { ...info.sources, arguments: callArguments });
+    if (candidates.length === 0) {
+      result.push({ templateRef, ...base });
+      continue;
+    }
+    for (const c of candidates) {
+      result.push({ templateRef: c.templateRef, ...base, dynamicRef: templateRef, bindings: c.bindings });
+    }
+  }
+  return result;
+}
+
+/**
+ * Per-file results of extractTemplateRefs, reused while the file's text is
+ * unchanged: the file's template references, its repository aliases and,
+ * once a dynamic reference needs them, the parameters and variables its
+ * value domains come from.  A graph build asks for the references of every
+ * file several times.
+ *
+ * The least recently used entries beyond REF_INFO_LIMIT are dropped, and
+ * entries go with their fileCache entry.
+ *
+ * @type {Map<string, { text: string, refs: ReturnType<typeof findTemplateReferences>, hasDynamic: boolean, sources: import('./dynamicTemplateRefs').ValueSources|null, aliases: Record<string, string> }>}
+ */
+const _refInfoCache = new Map();
+
+/** Most files whose reference information is kept. */
+const REF_INFO_LIMIT = 2000;
+
+fileCache.onInvalidate((filePath) => {
+  if (filePath === null) {
+    _refInfoCache.clear();
+    return;
+  }
+  _refInfoCache.delete(filePath);
+  // Value sources include variable templates, which may be the changed file
+  for (const info of _refInfoCache.values()) info.sources = null;
+});
+
+/**
+ * Returns the cached reference information of a file, or null when it cannot
+ * be read.
+ *
+ * @param {string} filePath
+ * @param {string|null} [text]  Source of the file, when not the one on disk
+ */
+function templateRefInfo(filePath, text = fileCache.readFile(filePath)) {
+  if (!text) return null;
+  const cached = _refInfoCache.get(filePath);
+  _refInfoCache.delete(filePath);
+  if (cached && cached.text === text) {
+    // Refresh LRU position
+    _refInfoCache.set(filePath, cached);
+    return cached;
+  }
+
+  const refs = findTemplateReferences(text);
+  let aliases = null;
+  const info = {
+    text,
+    refs,
+    hasDynamic: refs.some(r => isDynamicTemplateRef(r.templateRef)),
+    sources: null,
+    get aliases() {
+      if (!aliases) aliases = parseRepositoryAliases(text);
+      return aliases;
+    },
+  };
+  _refInfoCache.set(filePath, info);
+  if (_refInfoCache.size > REF_INFO_LIMIT) _refInfoCache.delete(_refInfoCache.keys().next().value);
+  return info;
+}
+
+/**
+ * True when `filePath` contains at least one dynamic template reference.
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function hasDynamicTemplateRefs(filePath) {
+  const info = templateRefInfo(filePath);
+  return info ? info.hasDynamic : false;
+}
+
+/**
+ * Returns the `${{ if }}` / `${{ elseif }}` / `${{ else }}` directives a
+ * reference is nested under, joined for display, or null when the reference
+ * is unconditional.  `${{ each }}` loops alone do not make it conditional.
+ *
+ * @param {string[]} [directives]
+ * @returns {string|null}
+ */
+function conditionOf(directives) {
+  const conditions = (directives || []).filter(d => /^(?:if|elseif|else)\b/.test(d));
+  return conditions.length > 0 ? conditions.join(' › ') : null;
+}
+
+/**
+ * Returns the literal parameter values passed by the template call on
+ * `line` of `filePath`.
  *
  * @param {string} filePath
- * @returns {{ templateRef: string, line: number }[]}
+ * @param {number} line
+ * @returns {Record<string, string[]>}
  */
-function extractTemplateRefs(filePath) {
+function callSiteArguments(filePath, line) {
   const text = fileCache.readFile(filePath);
-  if (!text) return [];
-  const refs = [];
-  // Normalize CRLF → LF so that regex $ anchors work on Windows-authored files
+  if (!text) return {};
   const lines = text.replace(/\r\n/g, '\n').split('\n');
-  for (let i = 0; i < lines.length; i++) {
-    // Strip YAML line comments before matching to avoid false positives from
-    // lines like:  # ── Step template: build the .NET project ──
-    const stripped = lines[i].replace(/(^\s*#.*|\s#.*)$/, '');
-    const m = /(?:^|\s)-?\s*template\s*:\s*(.+)$/.exec(stripped);
-    if (m) refs.push({ templateRef: m[1].trim(), line: i });
+  return literalArguments(parsePassedParameters(lines, line));
+}
+
+/**
+ * Collects, for every template that contains dynamic references, the literal
+ * parameter values passed to it anywhere in `yamlFiles`.
+ *
+ * @param {string[]} yamlFiles
+ * @returns {Map<string, Record<string, string[]>>}  targetPath → arguments
+ */
+function collectCallArguments(yamlFiles) {
+  /** @type {Map<string, Record<string, string[]>>} */
+  const result = new Map();
+  // Most workspaces have no dynamic references: nothing to collect then
+  if (!yamlFiles.some(hasDynamicTemplateRefs)) return result;
+  /** @type {Map<string, boolean>} */
+  const dynamicTargets = new Map();
+
+  for (const filePath of yamlFiles) {
+    for (const { templateRef, line } of extractTemplateRefs(filePath)) {
+      if (isDynamicTemplateRef(templateRef)) continue;
+      const resolved = resolveTemplatePath(templateRef, filePath, templateRefInfo(filePath).aliases);
+      if (!resolved || resolved.unknownAlias || !resolved.filePath) continue;
+
+      const target = resolved.filePath;
+      if (!dynamicTargets.has(target)) dynamicTargets.set(target, hasDynamicTemplateRefs(target));
+      if (!dynamicTargets.get(target)) continue;
+
+      if (!result.has(target)) result.set(target, {});
+      mergeArguments(result.get(target), callSiteArguments(filePath, line));
+    }
   }
-  return refs;
+  return result;
 }
 
 // ---------------------------------------------------------------------------
@@ -109,11 +282,18 @@ function extractTemplateRefs(filePath) {
  * @property {string}   [alias]
  * @property {number}   paramCount
  * @property {number}   requiredCount
+ * @property {boolean}  [nonCompliant]  Pipeline that does not extend an approved base template
+ * @property {boolean}  [deprecated]    Template marked `@deprecated` (comment or sidecar file)
+ * @property {string}   [deprecationReason]
+ * @property {string}   [replacement]   Replacement the deprecated template names
  *
  * @typedef {object} GraphEdge
- * @property {string} source
- * @property {string} target
- * @property {string} [label]
+ * @property {string}  source
+ * @property {string}  target
+ * @property {string}  [label]
+ * @property {boolean} [dynamic]  Candidate of a reference built from parameters / variables
+ * @property {'extends'} [kind]   Set for a pipeline's `extends: template:` edge
+ * @property {string}  [condition]  `${{ if }}` / `${{ else }}` the call is nested under
  */
 
 /**
@@ -138,6 +318,8 @@ function buildWorkspaceGraph(workspaceRoot, subPath) {
 
   /** @type {Set<string>} edge dedup key = "sourceId→targetId" */
   const edgeKeys = new Set();
+  /** @type {Map<string, GraphEdge>} edges that are so far only conditional */
+  const conditionalEdges = new Map();
 
   /** @type {GraphEdge[]} */
   const edges = [];
@@ -159,16 +341,17 @@ function buildWorkspaceGraph(workspaceRoot, subPath) {
   }
 
   // ── Pass 2: for each file, resolve its template references ───────────────
+  const callArguments = collectCallArguments(yamlFiles);
   for (const filePath of yamlFiles) {
     const text = fileCache.readFile(filePath);
     if (!text) continue;
 
-    const repoAliases = parseRepositoryAliases(text);
-    const refs = extractTemplateRefs(filePath);
+    const repoAliases = templateRefInfo(filePath).aliases;
+    const refs = extractTemplateRefs(filePath, callArguments.get(filePath));
 
-    for (const { templateRef } of refs) {
-      // Skip variable expressions
-      if (/\$\{/.test(templateRef) || /\$\(/.test(templateRef)) continue;
+    for (const { templateRef, kind, directives, dynamicRef, bindings } of refs) {
+      // Skip expressions that could not be expanded into candidate paths
+      if (isDynamicTemplateRef(templateRef)) continue;
 
       const resolved = resolveTemplatePath(templateRef, filePath, repoAliases);
       if (!resolved) continue;
@@ -241,11 +424,25 @@ function buildWorkspaceGraph(workspaceRoot, subPath) {
 
       // Add edge (deduplicated)
       const edgeKey = `${filePath}→${targetId}`;
+      const condition = conditionOf(directives);
       if (!edgeKeys.has(edgeKey)) {
         edgeKeys.add(edgeKey);
         const edge = { source: filePath, target: targetId };
+        if (kind === 'extends') edge.kind = 'extends';
+        if (dynamicRef) {
+          edge.dynamic = true;
+          edgeLabel = edgeLabel ? `${bindings} ${edgeLabel}` : bindings;
+        }
         if (edgeLabel) edge.label = edgeLabel;
+        if (condition) {
+          edge.condition = condition;
+          conditionalEdges.set(edgeKey, edge);
+        }
         edges.push(edge);
+      } else if (!condition && conditionalEdges.has(edgeKey)) {
+        // Also called unconditionally
+        delete conditionalEdges.get(edgeKey).condition;
+        conditionalEdges.delete(edgeKey);
       }
     }
   }
@@ -330,6 +527,8 @@ function buildFileGraph(filePath, workspaceRoot, depth = 1) {
   const edges = [];
   /** @type {Set<string>} */
   const edgeKeys = new Set();
+  /** @type {Map<string, GraphEdge>} downstream edges that are so far only conditional */
+  const conditionalEdges = new Map();
 
   // ── Root node ─────────────────────────────────────────────────────────────
   let rootText = fileCache.readFile(filePath) || '';
@@ -347,6 +546,9 @@ function buildFileGraph(filePath, workspaceRoot, depth = 1) {
     isScope: true,
   });
 
+  const allYaml = collectYamlFiles(workspaceRoot);
+  const callArguments = collectCallArguments(allYaml);
+
   // ── Downstream BFS ────────────────────────────────────────────────────────
   // Queue entries: { filePath, currentDepth }
   /** @type {{ fp: string, d: number }[]} */
@@ -362,11 +564,11 @@ function buildFileGraph(filePath, workspaceRoot, depth = 1) {
       const curText = fileCache.readFile(curFile);
       if (!curText) continue;
 
-      const repoAliases = parseRepositoryAliases(curText);
-      const refs = extractTemplateRefs(curFile);
+      const repoAliases = templateRefInfo(curFile).aliases;
+      const refs = extractTemplateRefs(curFile, callArguments.get(curFile));
 
-      for (const { templateRef } of refs) {
-        if (/\$\{/.test(templateRef) || /\$\(/.test(templateRef)) continue;
+      for (const { templateRef, kind, directives, dynamicRef, bindings } of refs) {
+        if (isDynamicTemplateRef(templateRef)) continue;
 
         const resolved = resolveTemplatePath(templateRef, curFile, repoAliases);
         if (!resolved) continue;
@@ -428,11 +630,24 @@ function buildFileGraph(filePath, workspaceRoot, depth = 1) {
 
         // Add downstream edge: curFile → target
         const edgeKey = `${curFile}→${targetId}`;
+        const condition = conditionOf(directives);
         if (!edgeKeys.has(edgeKey)) {
           edgeKeys.add(edgeKey);
           const edge = { source: curFile, target: targetId, direction: 'downstream' };
+          if (kind === 'extends') edge.kind = 'extends';
+          if (dynamicRef) {
+            edge.dynamic = true;
+            edgeLabel = edgeLabel ? `${bindings} ${edgeLabel}` : bindings;
+          }
           if (edgeLabel) edge.label = edgeLabel;
+          if (condition) {
+            edge.condition = condition;
+            conditionalEdges.set(edgeKey, edge);
+          }
           edges.push(edge);
+        } else if (!condition && conditionalEdges.has(edgeKey)) {
+          delete conditionalEdges.get(edgeKey).condition;
+          conditionalEdges.delete(edgeKey);
         }
       }
     }
@@ -443,20 +658,24 @@ function buildFileGraph(filePath, workspaceRoot, depth = 1) {
   // Build a reverse adjacency map: targetFilePath → Set<callerFilePath>
   // We scan all workspace YAML files once and build the full reverse map,
   // then BFS upward from filePath.
-  const allYaml = collectYamlFiles(workspaceRoot);
-
   /** @type {Map<string, Set<string>>} targetPath → set of callerPaths */
   const reverseAdj = new Map();
+  /** @type {Map<string, string>} "callerFile→targetPath" → bindings of dynamic references */
+  const dynamicEdges = new Map();
+  /** @type {Set<string>} "callerFile→targetPath" keys of `extends:` references */
+  const extendsEdges = new Set();
+  /** @type {Map<string, string|null>} "callerFile→targetPath" → condition, null once called unconditionally */
+  const edgeConditions = new Map();
 
   for (const callerFile of allYaml) {
     const callerText = fileCache.readFile(callerFile);
     if (!callerText) continue;
 
-    const callerAliases = parseRepositoryAliases(callerText);
-    const callerRefs = extractTemplateRefs(callerFile);
+    const callerAliases = templateRefInfo(callerFile).aliases;
+    const callerRefs = extractTemplateRefs(callerFile, callArguments.get(callerFile));
 
-    for (const { templateRef } of callerRefs) {
-      if (/\$\{/.test(templateRef) || /\$\(/.test(templateRef)) continue;
+    for (const { templateRef, kind, directives, dynamicRef, bindings } of callerRefs) {
+      if (isDynamicTemplateRef(templateRef)) continue;
       const resolved = resolveTemplatePath(templateRef, callerFile, callerAliases);
       if (!resolved || resolved.unknownAlias || !resolved.filePath) continue;
 
@@ -472,6 +691,11 @@ function buildFileGraph(filePath, workspaceRoot, depth = 1) {
         reverseAdj._edgeLabels = reverseAdj._edgeLabels || new Map();
         reverseAdj._edgeLabels.set(edgeInfoKey, `@${resolved.alias}`);
       }
+      if (dynamicRef) dynamicEdges.set(edgeInfoKey, bindings);
+      if (kind === 'extends') extendsEdges.add(edgeInfoKey);
+      const condition = conditionOf(directives);
+      if (!condition) edgeConditions.set(edgeInfoKey, null);
+      else if (!edgeConditions.has(edgeInfoKey)) edgeConditions.set(edgeInfoKey, condition);
     }
   }
 
@@ -516,8 +740,14 @@ function buildFileGraph(filePath, workspaceRoot, depth = 1) {
         if (!edgeKeys.has(edgeKey)) {
           edgeKeys.add(edgeKey);
           const edge = { source: callerFile, target: curTarget, direction: 'upstream' };
-          const lbl = edgeLabels.get(edgeKey);
+          if (extendsEdges.has(edgeKey)) edge.kind = 'extends';
+          let lbl = edgeLabels.get(edgeKey);
+          if (dynamicEdges.has(edgeKey)) {
+            edge.dynamic = true;
+            lbl = lbl ? `${dynamicEdges.get(edgeKey)} ${lbl}` : dynamicEdges.get(edgeKey);
+          }
           if (lbl) edge.label = lbl;
+          if (edgeConditions.get(edgeKey)) edge.condition = edgeConditions.get(edgeKey);
           edges.push(edge);
         }
 
@@ -536,10 +766,272 @@ function buildFileGraph(filePath, workspaceRoot, depth = 1) {
   };
 }
 
+// ---------------------------------------------------------------------------
+// markNonCompliantPipelines
+// ---------------------------------------------------------------------------
+
+/**
+ * Flags pipeline nodes that do not extend one of `approvedTemplates`
+ * (`node.nonCompliant = true`).  A no-op when the list is empty.
+ *
+ * @param {GraphNode[]} nodes
+ * @param {string[]}    approvedTemplates
+ * @returns {GraphNode[]} `nodes`
+ */
+function markNonCompliantPipelines(nodes, approvedTemplates) {
+  for (const node of nodes) {
+    if (node.kind !== 'pipeline' || !node.filePath) continue;
+    const text = fileCache.readFile(node.filePath);
+    if (!text) continue;
+    const result = checkExtendsCompliance(text, node.filePath, approvedTemplates);
+    if (result && !result.compliant) node.nonCompliant = true;
+  }
+  return nodes;
+}
+
+// ---------------------------------------------------------------------------
+// markDeprecatedTemplates
+// ---------------------------------------------------------------------------
+
+/**
+ * Flags nodes whose file is a deprecated template (`node.deprecated = true`,
+ * with the reason and replacement when given) so the graph can dim them.
+ * Step templates count as pipelines in the graph, so every kind is checked.
+ *
+ * @param {GraphNode[]} nodes
+ * @returns {GraphNode[]} `nodes`
+ */
+function markDeprecatedTemplates(nodes) {
+  for (const node of nodes) {
+    if (!node.filePath || node.kind === 'missing') continue;
+    const text = fileCache.readFile(node.filePath);
+    if (!text) continue;
+    const { template } = getDeprecations(node.filePath, text);
+    if (!template) continue;
+    node.deprecated = true;
+    if (template.reason) node.deprecationReason = template.reason;
+    if (template.replacement) node.replacement = template.replacement;
+  }
+  return nodes;
+}
+
+// ---------------------------------------------------------------------------
+// buildExecutionGraph
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {'stage'|'job'|'deployment'} ExecutionNodeKind
+ *
+ * @typedef {object} ExecutionNode
+ * @property {string}   id
+ * @property {string}   label        `displayName:`, or the name
+ * @property {ExecutionNodeKind} kind
+ * @property {string}   name
+ * @property {string|null} stage     Name of the stage a job runs in
+ * @property {string|null} condition    Runtime `condition:`
+ * @property {string|null} ifCondition  `${{ if }}` / `${{ else }}` that could not be decided at edit time
+ * @property {string|null} template  Workspace-relative path of the template that contributed it
+ * @property {string|null} filePath  File it is written in
+ * @property {number|null} line      0-based line it starts at
+ * @property {number}   layer        Row in execution order
+ *
+ * @typedef {object} ExecutionEdge
+ * @property {string}  source
+ * @property {string}  target
+ * @property {'dependsOn'|'contains'} kind  `contains` links a stage to the jobs it starts with
+ * @property {boolean} [implicit]  A stage without `dependsOn:` waiting for the stage before it
+ */
+
+/**
+ * Reads the stages or jobs of an expanded list, descending the `${{ if }}`
+ * blocks the expansion could not decide.
+ *
+ * @param {*} list
+ * @param {string[]} idKeys  Keys that name an item (`stage`, or `job` / `deployment`)
+ * @param {string[]} [directives]  Enclosing undecided directives
+ * @param {object[]} [acc]
+ * @returns {{ item: object, kind: string, name: string, ifCondition: string|null }[]}
+ */
+function readExecutionItems(list, idKeys, directives = [], acc = []) {
+  for (const item of Array.isArray(list) ? list : []) {
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) continue;
+    const keys = Object.keys(item);
+    if (keys.length === 1 && keys[0].startsWith('${{')) {
+      const directive = keys[0].replace(/^\$\{\{\s*/, '').replace(/\s*\}\}$/, '');
+      readExecutionItems(item[keys[0]], idKeys, [...directives, directive], acc);
+      continue;
+    }
+    const kind = idKeys.find(k => k in item);
+    if (!kind) continue;
+    acc.push({ item, kind, name: typeof item[kind] === 'string' ? item[kind] : '', ifCondition: conditionOf(directives) });
+  }
+  return acc;
+}
+
+/**
+ * Returns the names an expanded stage or job lists under `dependsOn:`, or
+ * null when it has no `dependsOn:` key.
+ * @param {object} item
+ * @returns {string[]|null}
+ */
+function dependsOnNames(item) {
+  if (!('dependsOn' in item)) return null;
+  const value = item.dependsOn;
+  if (typeof value === 'string') return value === '' ? [] : [value];
+  if (Array.isArray(value)) return value.filter(v => typeof v === 'string');
+  return [];
+}
+
+/**
+ * Returns the length of the longest dependency chain leading to each node.
+ * Edges closing a cycle are ignored (cycles are reported as diagnostics).
+ *
+ * @param {string[]} ids
+ * @param {Map<string, string[]>} deps  id → ids it depends on
+ * @returns {Map<string, number>}
+ */
+function dependencyDepths(ids, deps) {
+  const depth = new Map();
+  const visiting = new Set();
+  const visit = (id) => {
+    if (depth.has(id)) return depth.get(id);
+    if (visiting.has(id)) return -1;
+    visiting.add(id);
+    let d = 0;
+    for (const dep of deps.get(id) || []) d = Math.max(d, visit(dep) + 1);
+    visiting.delete(id);
+    depth.set(id, d);
+    return d;
+  };
+  ids.forEach(visit);
+  return depth;
+}
+
+/**
+ * Builds the runtime graph of a pipeline: its stages, the jobs inside them
+ * and the `dependsOn` edges between them, as the compiler would see them —
+ * templates are inlined and `${{ }}` expressions evaluated (templateExpander).
+ *
+ * Each node records the runtime `condition:`, any `${{ if }}` that could not
+ * be decided, and where it is written, with the template that contributed
+ * it.  `layer` orders the nodes by execution: a stage's jobs sit between it
+ * and the stages that depend on it.
+ *
+ * @param {string} filePath       Absolute path of the pipeline
+ * @param {string} workspaceRoot
+ * @returns {{ nodes: ExecutionNode[], edges: ExecutionEdge[], warnings: string[] }}
+ */
+function buildExecutionGraph(filePath, workspaceRoot) {
+  const nodes = [];
+  const edges = [];
+  const text = fileCache.readFile(filePath);
+  if (text === null || text === undefined) return { nodes, edges, warnings: [] };
+
+  const { value, warnings } = expandPipeline(text, filePath);
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return { nodes, edges, warnings };
+
+  const makeNode = (entry, id, stage) => {
+    const source = entry.item[SOURCE] || null;
+    const displayName = entry.item.displayName;
+    return {
+      id,
+      label: typeof displayName === 'string' && displayName !== '' ? displayName : entry.name || `(unnamed ${entry.kind})`,
+      kind: entry.kind,
+      name: entry.name,
+      stage,
+      condition: typeof entry.item.condition === 'string' ? entry.item.condition : null,
+      ifCondition: entry.ifCondition,
+      template: source && source.filePath !== filePath
+        ? path.relative(workspaceRoot, source.filePath).replace(/\\/g, '/')
+        : null,
+      filePath: source ? source.filePath : null,
+      line: source ? source.line : null,
+      layer: 0,
+    };
+  };
+
+  // Adds the dependsOn edges of one scope; returns its dependencies by id
+  const linkScope = (scopeNodes, entries, implicitPrevious) => {
+    const byName = new Map();
+    for (const n of scopeNodes) {
+      if (n.name && !byName.has(n.name.toLowerCase())) byName.set(n.name.toLowerCase(), n.id);
+    }
+    const deps = new Map();
+    scopeNodes.forEach((n, i) => {
+      const names = dependsOnNames(entries[i].item);
+      const from = [];
+      if (names === null) {
+        if (implicitPrevious && i > 0) {
+          from.push(scopeNodes[i - 1].id);
+          edges.push({ source: scopeNodes[i - 1].id, target: n.id, kind: 'dependsOn', implicit: true });
+        }
+      } else {
+        for (const name of names) {
+          const dep = byName.get(name.toLowerCase());
+          if (!dep || dep === n.id || from.includes(dep)) continue;
+          from.push(dep);
+          edges.push({ source: dep, target: n.id, kind: 'dependsOn' });
+        }
+      }
+      deps.set(n.id, from);
+    });
+    return deps;
+  };
+
+  const JOB_KEYS = ['job', 'deployment'];
+
+  if (Array.isArray(value.stages)) {
+    const stageEntries = readExecutionItems(value.stages, ['stage']);
+    const stages = stageEntries.map((entry, i) => makeNode(entry, `stage:${i}`, null));
+    const stageDepth = dependencyDepths(stages.map(s => s.id), linkScope(stages, stageEntries, true));
+
+    const jobScopes = stageEntries.map((stageEntry, i) => {
+      const entries = readExecutionItems(stageEntry.item.jobs, JOB_KEYS);
+      const jobs = entries.map((entry, j) => makeNode(entry, `job:${i}:${j}`, stages[i].name));
+      const deps = linkScope(jobs, entries, false);
+      return { jobs, deps, depth: dependencyDepths(jobs.map(j => j.id), deps) };
+    });
+
+    // Rows: each group of stages at the same depth, then their jobs
+    const maxDepth = Math.max(0, ...stageDepth.values());
+    let row = 0;
+    for (let d = 0; d <= maxDepth; d++) {
+      let jobRows = 0;
+      stages.forEach((stage, i) => {
+        if (stageDepth.get(stage.id) !== d) return;
+        stage.layer = row;
+        const scope = jobScopes[i];
+        for (const job of scope.jobs) {
+          job.layer = row + 1 + scope.depth.get(job.id);
+          jobRows = Math.max(jobRows, scope.depth.get(job.id) + 1);
+          if (scope.deps.get(job.id).length === 0) edges.push({ source: stage.id, target: job.id, kind: 'contains' });
+        }
+      });
+      row += 1 + jobRows;
+    }
+    nodes.push(...stages, ...jobScopes.flatMap(s => s.jobs));
+  } else if (Array.isArray(value.jobs)) {
+    const entries = readExecutionItems(value.jobs, JOB_KEYS);
+    const jobs = entries.map((entry, j) => makeNode(entry, `job:${j}`, null));
+    const depth = dependencyDepths(jobs.map(j => j.id), linkScope(jobs, entries, false));
+    for (const job of jobs) job.layer = depth.get(job.id);
+    nodes.push(...jobs);
+  }
+
+  return { nodes, edges, warnings };
+}
+
 module.exports = {
   collectYamlFiles,
   isPipelineRoot,
   extractTemplateRefs,
+  conditionOf,
+  hasDynamicTemplateRefs,
+  callSiteArguments,
+  collectCallArguments,
   buildWorkspaceGraph,
   buildFileGraph,
+  markNonCompliantPipelines,
+  markDeprecatedTemplates,
+  buildExecutionGraph,
 };
@@ -5,7 +5,10 @@ const vscode = require('vscode');
 const {
   buildWorkspaceGraph,
   buildFileGraph,
+  buildExecutionGraph,
   collectYamlFiles,
+  markNonCompliantPipelines,
+  markDeprecatedTemplates,
 } = require('./graphDataBuilder');
 
 // ---------------------------------------------------------------------------
@@ -55,6 +58,13 @@ class TemplateGraphProvider {
      * @type {number}
      */
     this._graphDepth = 1;
+    /**
+     * What the graph shows: 'templates' — file-level template inclusion;
+     * 'execution' — the stages and jobs of the active pipeline with their
+     * `dependsOn` edges.
+     * @type {'templates'|'execution'}
+     */
+    this._graphMode = 'templates';
   }
 
   /**
@@ -106,7 +116,7 @@ class TemplateGraphProvider {
     const changed = newFile !== this._activeFile;
     this._activeFile = newFile;
 
-    if (changed && this._fileScopeEnabled && this._view) {
+    if (changed && (this._fileScopeEnabled || this._graphMode === 'execution') && this._view) {
       this._sendGraphData(this._view.webview);
     }
   }
@@ -142,7 +152,7 @@ class TemplateGraphProvider {
 
   /**
    * @private
-   * @param {{ type: string, filePath?: string, text?: string, rootPath?: string }} msg
+   * @param {{ type: string, filePath?: string, line?: number, text?: string, rootPath?: string, mode?: string }} msg
    * @param {vscode.Webview} webview  – the webview that sent the message
    */
   _handleMessage(msg, webview) {
@@ -164,6 +174,25 @@ class TemplateGraphProvider {
         break;
       }
 
+      case 'setGraphMode': {
+        // Switch between the template graph and the execution graph.
+        this._graphMode = msg.mode === 'execution' ? 'execution' : 'templates';
+        this._sendGraphData(webview);
+        break;
+      }
+
+      case 'openLocation':
+        // Execution-graph node click: jump to the stage or job definition.
+        if (msg.filePath) {
+          const line = Number.isInteger(msg.line) && msg.line >= 0 ? msg.line : 0;
+          const pos = new vscode.Position(line, 0);
+          vscode.window.showTextDocument(vscode.Uri.file(msg.filePath), {
+            selection: new vscode.Range(pos, pos),
+            preserveFocus: false,
+          });
+        }
+        break;
+
       case 'openFile':
         if (msg.filePath) {
           vscode.commands.executeCommand(
@@ -239,6 +268,18 @@ class TemplateGraphProvider {
     return (config.get('graph.rootPath') || '').trim();
   }
 
+  /**
+   * Base templates every pipeline must extend
+   * (`azure-templates-navigator.requiredExtendsTemplates`).
+   * @private
+   * @returns {string[]}
+   */
+  _getApprovedBaseTemplates() {
+    const config = vscode.workspace.getConfiguration('azure-templates-navigator');
+    const value = config.get('requiredExtendsTemplates');
+    return Array.isArray(value) ? value : [];
+  }
+
   /**
    * @private
    * @param {vscode.Webview} webview
@@ -254,12 +295,41 @@ class TemplateGraphProvider {
 
     const workspaceRoot = workspaceFolders[0].uri.fsPath;
 
+    // ── Execution mode: stages and jobs of the active pipeline ───────────────
+    if (this._graphMode === 'execution') {
+      try {
+        const { nodes, edges, warnings } = this._activeFile
+          ? buildExecutionGraph(this._activeFile, workspaceRoot)
+          : { nodes: [], edges: [], warnings: [] };
+        webview.postMessage({
+          type: 'graphData',
+          mode: 'execution',
+          nodes,
+          edges,
+          warnings,
+          workspaceRoot,
+          fileScopeEnabled: this._fileScopeEnabled,
+          scopedFile: this._activeFile,
+          graphDepth: this._graphDepth,
+        });
+      } catch (err) {
+        webview.postMessage({
+          type: 'error',
+          message: err.message || String(err),
+        });
+      }
+      return;
+    }
+
     // ── File-scope mode: show the active file + BFS up to _graphDepth levels ─
     if (this._fileScopeEnabled && this._activeFile) {
       try {
         const { nodes, edges } = buildFileGraph(this._activeFile, workspaceRoot, this._graphDepth);
+        markNonCompliantPipelines(nodes, this._getApprovedBaseTemplates());
+        markDeprecatedTemplates(nodes);
         webview.postMessage({
           type: 'graphData',
+          mode: 'templates',
           nodes,
           edges,
           rootPath: '',
@@ -282,8 +352,11 @@ class TemplateGraphProvider {
 
     try {
       const { nodes, edges } = buildWorkspaceGraph(workspaceRoot, subPath);
+      markNonCompliantPipelines(nodes, this._getApprovedBaseTemplates());
+      markDeprecatedTemplates(nodes);
       webview.postMessage({
         type: 'graphData',
+        mode: 'templates',
         nodes,
         edges,
         rootPath: subPath,
@@ -483,6 +556,15 @@ class TemplateGraphProvider {
       cursor: not-allowed;
     }
 
+    /* Graph-mode toggle button — highlights when the execution graph is shown */
+    #btn-graph-mode.active {
+      background: var(--vscode-button-background);
+      color: var(--vscode-button-foreground);
+    }
+    #btn-graph-mode.active:hover {
+      background: var(--vscode-button-hoverBackground);
+    }
+
     /* Full-path toggle button — highlights when full paths are shown */
     #btn-full-path.active {
       background: var(--vscode-button-background);
@@ -491,6 +573,10 @@ class TemplateGraphProvider {
     #btn-full-path.active:hover {
       background: var(--vscode-button-hoverBackground);
     }
+    #btn-full-path:disabled {
+      opacity: 0.4;
+      cursor: not-allowed;
+    }
 
     /* Depth controls — only visible in file-scope mode */
     #depth-controls {
@@ -636,6 +722,10 @@ class TemplateGraphProvider {
       border-radius: 50%;
       flex-shrink: 0;
     }
+    /* Each graph mode has its own legend */
+    #legend-execution { display: none; }
+    body.mode-execution #legend-execution { display: block; }
+    body.mode-execution #legend-templates { display: none; }
   </style>
 </head>
 <body>
@@ -647,9 +737,10 @@ class TemplateGraphProvider {
     </div>
   </div>
 
-  <!-- Toolbar: Fit · File/Workspace · Depth · [spacer] · Full Path -->
+  <!-- Toolbar: Fit · Templates/Run Order · File/Workspace · Depth · [spacer] · Full Path -->
   <div id="toolbar">
     <button id="btn-fit"        title="Fit graph to view">⊡ Fit</button>
+    <button id="btn-graph-mode" title="Show the stages and jobs of the open pipeline in execution order">⇶ Run Order</button>
     <button id="btn-file-scope" title="Scope graph to the currently open file" class="active">📄 File</button>
     <!-- Depth controls: only shown in file-scope mode -->
     <div id="depth-controls" title="Graph depth: how many upstream/downstream levels to render (1–10)">
@@ -697,14 +788,32 @@ class TemplateGraphProvider {
         <span id="legend-arrow">▶</span> Legend
       </div>
       <div id="legend-body">
-        <div class="legend-item"><div class="legend-dot" style="background:#4e9de0"></div>Pipeline root</div>
-        <div class="legend-item"><div class="legend-dot" style="background:#3dba8a"></div>Local template</div>
-        <div class="legend-item"><div class="legend-dot" style="background:#9b6fd4"></div>External (cross-repo)</div>
-        <div class="legend-item"><div class="legend-dot" style="background:#e05c5c"></div>Missing file</div>
-        <div class="legend-item"><div class="legend-dot" style="background:#e09a3d"></div>Unknown alias</div>
-        <div style="margin-top:5px;border-top:1px solid var(--vscode-panel-border);padding-top:5px">
-          <div class="legend-item"><div style="width:18px;height:2px;background:#4e9de0;flex-shrink:0"></div>↓ downstream</div>
-          <div class="legend-item"><div style="width:18px;height:2px;background:#e09a3d;flex-shrink:0;border-top:2px dashed #e09a3d;margin-top:-2px"></div>↑ upstream</div>
+        <div id="legend-templates">
+          <div class="legend-item"><div class="legend-dot" style="background:#4e9de0"></div>Pipeline root</div>
+          <div class="legend-item"><div class="legend-dot" style="background:#3dba8a"></div>Local template</div>
+          <div class="legend-item"><div class="legend-dot" style="background:#9b6fd4"></div>External (cross-repo)</div>
+          <div class="legend-item"><div class="legend-dot" style="background:#e05c5c"></div>Missing file</div>
+          <div class="legend-item"><div class="legend-dot" style="background:#e09a3d"></div>Unknown alias</div>
+          <div class="legend-item"><div class="legend-dot" style="background:transparent;border:2px solid #e05c5c;box-sizing:border-box"></div>Pipeline without approved extends</div>
+          <div class="legend-item"><div class="legend-dot" style="background:#3dba8a;opacity:0.4"></div><s>Deprecated template</s></div>
+          <div style="margin-top:5px;border-top:1px solid var(--vscode-panel-border);padding-top:5px">
+            <div class="legend-item"><div style="width:18px;height:2px;background:#4e9de0;flex-shrink:0"></div>↓ downstream</div>
+            <div class="legend-item"><div style="width:18px;height:2px;background:#e09a3d;flex-shrink:0;border-top:2px dashed #e09a3d;margin-top:-2px"></div>↑ upstream</div>
+            <div class="legend-item"><div style="width:18px;height:0;flex-shrink:0;border-top:2px dotted #888"></div>parameter-built path</div>
+            <div class="legend-item"><div style="width:18px;height:0;flex-shrink:0;border-top:2px dashed #888"></div>conditional (if / else)</div>
+            <div class="legend-item"><div style="width:18px;height:3px;background:#c586c0;flex-shrink:0"></div>extends</div>
+          </div>
+        </div>
+        <div id="legend-execution">
+          <div class="legend-item"><div class="legend-dot" style="background:#4e9de0"></div>Stage</div>
+          <div class="legend-item"><div class="legend-dot" style="background:#3dba8a"></div>Job</div>
+          <div class="legend-item"><div class="legend-dot" style="background:#9b6fd4"></div>Deployment job</div>
+          <div class="legend-item"><div class="legend-dot" style="background:transparent;border:2px dashed #e09a3d;box-sizing:border-box"></div>Has a condition</div>
+          <div style="margin-top:5px;border-top:1px solid var(--vscode-panel-border);padding-top:5px">
+            <div class="legend-item"><div style="width:18px;height:2px;background:#4e9de0;flex-shrink:0"></div>dependsOn</div>
+            <div class="legend-item"><div style="width:18px;height:0;flex-shrink:0;border-top:2px dashed #4e9de0"></div>follows the previous stage</div>
+            <div class="legend-item"><div style="width:18px;height:0;flex-shrink:0;border-top:2px dotted #888"></div>stage → its first jobs</div>
+          </div>
         </div>
       </div>
     </div>
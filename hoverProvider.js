@@ -3,11 +3,31 @@
 const fs = require('fs');
 const path = require('path');
 const vscode = require('vscode');
+const fileCache = require('./fileCache');
+const { parseYaml, getMapEntry, getMapValue, scalarValue, nodeText, toJS, walkDocument } = require('./yamlParser');
+const {
+  UNKNOWN,
+  findExpressions,
+  parseTemplateExpression,
+  collectReferences,
+  evaluate,
+  formatValue,
+} = require('./templateExpression');
+const { isDynamicTemplateRef, expandTemplateRef } = require('./dynamicTemplateRefs');
+const { STEP_KEYS } = require('./shapeValidator');
+const { lookupPredefinedVariable, isPredefinedNamespace, availabilityNote } = require('./predefinedVariables');
+const { findSetVariableCommands, findOutputReferences, resolveOutputReference } = require('./outputVariables');
+const { lookupTask, knownVersions, findTaskSteps, isDynamicValue } = require('./taskCatalog');
+const { getTaskCatalog } = require('./workspaceTaskCatalog');
+
+/** Valid parameter names: letters, digits and underscores, not starting with a digit. */
+const PARAMETER_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
 
 /**
  * Parses Azure Pipeline template parameters from raw YAML text.
  * We intentionally avoid a YAML library so there are zero runtime dependencies
- * and the extension works straight from the marketplace without `npm install`.
+ * and the extension works straight from the marketplace without `npm install`;
+ * the text is parsed by the bundled position-aware parser in yamlParser.js.
  *
  * Azure Pipeline parameter blocks are well-structured:
  *
@@ -16,150 +36,277 @@ const vscode = require('vscode');
  *       type: string
  *       default: 'foo'
  *
+ * Flow-style entries (`- { name: a, type: string }`), block-scalar defaults
+ * (`default: >-`) and anchored defaults are all understood.
+ *
  * A parameter is considered **required** when it has no `default:` key —
  * exactly how Azure Pipelines itself treats parameters at runtime.
  *
+ * `values` holds the allowed values of a `values:` enumeration (unquoted), or
+ * is undefined when the parameter does not restrict its values.
+ *
+ * `default` is the value as written (scalars keep their quotes, collections
+ * are rendered in flow style); `defaultNode` is the parsed YAML node.
+ *
+ * `doc` is the parameter's documentation comment (see parseDocComment): the
+ * comment lines directly above the `- name:` entry, or a comment beside it.
+ *
+ * `nameNode` is the parsed scalar of the name, which locates it on its line.
+ *
  * @param {string} text  Raw file contents
- * @returns {{ name: string, type: string, default: string|undefined, required: boolean }[]}
+ * @returns {{ name: string, type: string, default: string|undefined, required: boolean, values: string[]|undefined, line: number, nameNode: object, defaultNode: object|null|undefined, doc: DocComment|undefined }[]}
  */
 function parseParameters(text) {
-  // Normalize CRLF → LF so that regex $ anchors work on Windows-authored files
-  const lines = text.replace(/\r\n/g, '\n').split('\n');
-  const params = [];
+  const { root, comments, lines } = parseYaml(text);
+  const paramsNode = getMapValue(root, 'parameters');
+  if (!paramsNode || paramsNode.kind !== 'seq') return [];
 
-  // Find the "parameters:" block
-  let inParamsBlock = false;
-  let baseIndent = -1;
-
-  for (let i = 0; i < lines.length; i++) {
-    const raw = lines[i];
-    const trimmed = raw.trimEnd();
-
-    // Detect the top-level "parameters:" key
-    if (!inParamsBlock) {
-      if (/^parameters\s*:/.test(trimmed)) {
-        inParamsBlock = true;
-      }
-      continue;
-    }
+  const params = [];
+  for (const item of paramsNode.items) {
+    const nameEntry = getMapEntry(item, 'name');
+    const name = nameEntry && scalarValue(nameEntry.value);
+    if (!name) continue;
+
+    const type = scalarValue(getMapValue(item, 'type')) || 'string';
+    const defaultEntry = getMapEntry(item, 'default');
+    const defaultValue = defaultEntry ? rawValueText(defaultEntry.value) : undefined;
+    const valuesNode = getMapValue(item, 'values');
+    const values = valuesNode && valuesNode.kind === 'seq'
+      ? valuesNode.items.map(v => scalarValue(v)).filter(v => v !== undefined)
+      : undefined;
 
-    // Once inside the block, a non-indented non-empty line that is NOT a list
-    // item or a comment means we've left the parameters block.
-    // We must NOT break on:
-    //   - "- name: foo" lines at column 0 (baseIndent = 0 is valid YAML)
-    //   - "# comment" lines at column 0 (common in repos that annotate params)
-    // Both patterns are legal inside a parameters block in Azure Pipelines YAML.
-    if (trimmed.length > 0 && !/^\s/.test(trimmed) && !/^-/.test(trimmed) && !/^#/.test(trimmed) && !/^parameters\s*:/.test(trimmed)) {
-      break;
-    }
+    // A parameter is required when it has no default value — this matches
+    // Azure Pipelines runtime behaviour exactly.
+    const required = defaultValue === undefined;
 
-    // Match a parameter entry: "  - name: foo"
-    const nameMatch = /^(\s*)-\s+name\s*:\s*(.+)$/.exec(trimmed);
-    if (!nameMatch) continue;
+    params.push({
+      name,
+      type,
+      default: defaultValue,
+      required,
+      values,
+      line: nameEntry.line,
+      nameNode: nameEntry.value,
+      defaultNode: defaultEntry ? defaultEntry.value : undefined,
+      doc: parameterDocComment(lines, comments, item.line, nameEntry.line),
+    });
+  }
 
-    const indent = nameMatch[1].length;
-    if (baseIndent === -1) baseIndent = indent;
+  return params;
+}
 
-    // Only process items at the same indent level (direct children)
-    if (indent !== baseIndent) continue;
+// ─────────────────────────────────────────────────────────────────────────────
+// Documentation comments
+// ─────────────────────────────────────────────────────────────────────────────
 
-    const paramName = nameMatch[2].replace(/\s*#.*$/, '').trim();
+/**
+ * @typedef {object} DocComment
+ * @property {string} description        Markdown text before the first tag
+ * @property {string|undefined} deprecated  Text of an `@deprecated` tag ('' when
+ *   the tag has none), undefined when the tag is absent
+ * @property {string|undefined} replacement  Parameter name or template path
+ *   named by a `@replacement` tag
+ * @property {string[]} examples          Bodies of `@example` tags
+ */
 
-    // Scan forward for type and default within this parameter's sub-block
-    let type = 'string';
-    let defaultValue;
+/**
+ * Parses the lines of a documentation comment (text after the `#`):
+ *
+ *   # Path of the project to build, relative to the repository root.
+ *   # @deprecated Use `projects` instead.
+ *   # @replacement projects
+ *   # @example
+ *   #   project: src/App/App.csproj
+ *
+ * Lines after a tag continue it.  Returns undefined when the comment has no
+ * content.
+ *
+ * @param {string[]} texts
+ * @returns {DocComment|undefined}
+ */
+function parseDocComment(texts) {
+  const description = [];
+  const examples = [];
+  let deprecated;
+  let replacement;
+  let section = description;
+  for (const text of texts) {
+    const tag = /^@(deprecated|replacement|example)\b\s*(.*)$/.exec(text.trim());
+    if (!tag) {
+      section.push(text);
+    } else if (tag[1] === 'deprecated') {
+      deprecated = [tag[2]];
+      section = deprecated;
+    } else if (tag[1] === 'replacement') {
+      replacement = [tag[2]];
+      section = replacement;
+    } else {
+      section = tag[2] ? [tag[2]] : [];
+      examples.push(section);
+    }
+  }
 
-    for (let j = i + 1; j < lines.length; j++) {
-      const sub = lines[j].trimEnd();
-      if (sub.trim() === '') continue;
+  // Joins lines, dropping surrounding blank lines and the common indentation
+  const block = (ls) => {
+    const indent = Math.min(...ls.filter(l => l.trim()).map(l => l.length - l.trimStart().length));
+    return ls.map(l => l.slice(Math.min(indent, l.length - l.trimStart().length))).join('\n').replace(/^\s*\n|\s+$/g, '');
+  };
+  const words = (ls) => ls && ls.map(l => l.trim()).filter(Boolean).join(' ');
+  const doc = {
+    description: block(description),
+    deprecated: words(deprecated),
+    replacement: words(replacement) || undefined,
+    examples: examples.map(block).filter(Boolean),
+  };
+  return doc.description || doc.deprecated !== undefined || doc.replacement || doc.examples.length > 0 ? doc : undefined;
+}
 
-      // If we hit another list item at the same indent, stop
-      const nextName = /^(\s*)-\s+name\s*:/.exec(sub);
-      if (nextName && nextName[1].length === baseIndent) break;
+/**
+ * Returns the text of a comment-only line without its `#` and one following
+ * space, or null for other lines.  Rulers such as `# -----` read as blank.
+ *
+ * @param {string} line
+ * @returns {string|null}
+ */
+function commentLineText(line) {
+  const m = /^\s*#\s?(.*)$/.exec(line);
+  if (!m) return null;
+  return /^[-=#*~_\s]*$/.test(m[1]) || /^yaml-language-server:/.test(m[1]) ? '' : m[1].trimEnd();
+}
 
-      // If we hit a line with less or equal indent that isn't a sub-property, stop
-      const subIndent = sub.length - sub.trimStart().length;
-      if (subIndent <= baseIndent && sub.trim() !== '') break;
+/**
+ * Returns the documentation comment of a parameter: the comment-only lines
+ * directly above its `- name:` item (not indented deeper than the item), or
+ * else a comment beside the `name:` key.
+ *
+ * @param {string[]} lines
+ * @param {import('./yamlParser').YamlComment[]} comments
+ * @param {number} itemLine   Line of the parameter's sequence item
+ * @param {number} nameLine   Line of the `name:` key
+ * @returns {DocComment|undefined}
+ */
+function parameterDocComment(lines, comments, itemLine, nameLine) {
+  const indent = lines[itemLine].length - lines[itemLine].trimStart().length;
+  const above = [];
+  for (let i = itemLine - 1; i >= 0; i--) {
+    const text = commentLineText(lines[i]);
+    if (text === null || lines[i].indexOf('#') > indent) break;
+    above.unshift(text);
+  }
+  const doc = parseDocComment(above);
+  if (doc) return doc;
 
-      const typeMatch = /^\s+type\s*:\s*(.+)$/.exec(sub);
-      if (typeMatch) {
-        type = typeMatch[1].replace(/\s*#.*$/, '').trim();
-        continue;
-      }
+  const beside = comments.find(c => c.line === nameLine && lines[nameLine].slice(0, c.col).trim() !== '');
+  return beside ? parseDocComment([beside.text]) : undefined;
+}
 
-      const defaultMatch = /^\s+default\s*:\s*(.*)$/.exec(sub);
-      if (defaultMatch) {
-        defaultValue = defaultMatch[1].replace(/\s*#.*$/, '').trim();
-        continue;
-      }
+/**
+ * Returns the documentation comment of a template: the comment lines at the
+ * top of the file, before its first key.  Blank lines between them separate
+ * paragraphs.
+ *
+ * @param {string} text  Raw file contents
+ * @returns {DocComment|undefined}
+ */
+function parseTemplateDoc(text) {
+  const header = [];
+  for (const line of text.replace(/\r\n/g, '\n').split('\n')) {
+    if (line.trim() === '' || line.trim() === '---') {
+      header.push('');
+      continue;
     }
+    const comment = commentLineText(line);
+    if (comment === null) break;
+    header.push(comment);
+  }
+  return parseDocComment(header);
+}
 
-    // A parameter is required when it has no default value — this matches
-    // Azure Pipelines runtime behaviour exactly.
-    const required = defaultValue === undefined;
-
-    params.push({ name: paramName, type, default: defaultValue, required, line: i });
+/**
+ * Renders a documentation comment as Markdown: a deprecation notice, the
+ * description and (unless `examples` is false) the examples as YAML blocks.
+ *
+ * @param {DocComment} doc
+ * @param {{ examples?: boolean }} [options]
+ * @returns {string}
+ */
+function formatDocMarkdown(doc, { examples = true } = {}) {
+  const parts = [];
+  if (doc.deprecated !== undefined) {
+    const replacement = doc.replacement ? ` Replacement: \`${doc.replacement}\`` : '';
+    parts.push(`**⚠️ Deprecated**${doc.deprecated ? ` — ${doc.deprecated}` : ''}${replacement}`);
+  }
+  if (doc.description) parts.push(doc.description);
+  if (examples) {
+    for (const example of doc.examples) parts.push(`**Example:**\n\n\`\`\`yaml\n${example}\n\`\`\``);
   }
+  return parts.join('\n\n');
+}
 
-  return params;
+/**
+ * Renders a documentation comment (without examples) as continuation lines
+ * of a Markdown list item, one hard line break apart.
+ *
+ * @param {DocComment} doc
+ * @returns {string}
+ */
+function formatDocListItem(doc) {
+  const lines = formatDocMarkdown(doc, { examples: false }).split('\n').filter(l => l.trim());
+  return lines.length > 0 ? `${lines.map(l => `  ${l}`).join('  \n')}\n` : '';
 }
 
 /**
- * Given a document's lines and a cursor line number, walks upward to find the
- * nearest `- template:` line that "owns" the cursor position (i.e. the cursor
- * is inside the parameters sub-block of that template call).
+ * Returns a value node's text as it appears in the source, the way the
+ * providers display and type-check it: quoted scalars keep their quotes,
+ * block scalars yield their content and collections their flow rendering.
  *
- * The walk-up tracks the minimum indent seen so far and keeps going as long as
- * each shallower line is either a `parameters:` key or the `- template:` line
- * itself.  Any other shallower line means we've left the block.
+ * @param {object|null} node  yamlParser node
+ * @returns {string}
+ */
+function rawValueText(node) {
+  if (node && node.kind === 'scalar' && (node.style === 'single' || node.style === 'double')) {
+    return node.raw.replace(/\s*\n\s*/g, ' ');
+  }
+  return nodeText(node);
+}
+
+/**
+ * Given a document's lines and a cursor line number, returns the line of the
+ * `template:` key of the call whose `parameters:` block holds the cursor —
+ * step, job and stage templates and `extends:` alike, wherever `template:`
+ * sits among the keys of the call.
  *
- * Example structure (indents shown as numbers):
- *   10  - template: templates/build-dotnet.yml
- *   12    parameters:
- *   14      project: '**\/*.csproj'    ← cursor
+ * Example structure:
+ *   - template: templates/build-dotnet.yml   ← returned
+ *     parameters:
+ *       project: '**\/*.csproj'    ← cursor
+ *
+ * Entries under `${{ if }}` / `${{ else }}` / `${{ each }}` blocks inside
+ * `parameters:` belong to the call too.  See findEnclosingTemplateCall.
  *
- * Returns the 0-based line index of the `- template:` line, or -1 if not found.
+ * Returns the 0-based line index of the `template:` line, or -1 if not found.
  *
  * @param {string[]} lines        All lines of the document (0-based)
  * @param {number}   cursorLine   0-based line index of the cursor
  * @returns {number}
  */
 function findOwningTemplateLine(lines, cursorLine) {
-  const cursorRaw = lines[cursorLine];
-  const cursorIndent = cursorRaw.length - cursorRaw.trimStart().length;
-
-  // Track the minimum indent we've accepted so far; we only step through lines
-  // whose indent is strictly less than the current minimum (i.e. each ancestor).
-  let minIndentSeen = cursorIndent;
-
-  for (let i = cursorLine - 1; i >= 0; i--) {
-    const raw = lines[i];
-    const trimmed = raw.trimEnd();
-    const stripped = trimmed.trimStart();
-
-    if (stripped === '') continue;
-
-    const lineIndent = trimmed.length - stripped.length;
-
-    // Only consider lines that are shallower than what we've seen so far
-    if (lineIndent >= minIndentSeen) continue;
-
-    minIndentSeen = lineIndent;
-
-    // Is this the template line?
-    const templateMatch = /(?:^|\s)-?\s*template\s*:\s*(.+)$/.exec(
-      trimmed.replace(/(^\s*#.*|\s#.*)$/, '')
-    );
-    if (templateMatch) return i;
-
-    // Is this a "parameters:" key? — allowed intermediate ancestor, keep going
-    if (/^parameters\s*:/.test(stripped)) continue;
-
-    // Any other shallower line means we've left the template call block
-    return -1;
-  }
+  const call = findEnclosingTemplateCall(parseLines(lines), cursorLine);
+  return call ? call.templateLine : -1;
+}
 
-  return -1;
+/**
+ * Determines whether `cursorLine` is inside the `parameters:` block of the
+ * template call whose `template:` key is on `templateLine` — and not inside
+ * the parameters of a call nested in it.
+ *
+ * @param {string[]} lines
+ * @param {number}   cursorLine
+ * @param {number}   templateLine
+ * @returns {boolean}
+ */
+function isInTemplateParameters(lines, cursorLine, templateLine) {
+  return findOwningTemplateLine(lines, cursorLine) === templateLine;
 }
 
 /**
@@ -179,81 +326,21 @@ function findOwningTemplateLine(lines, cursorLine) {
  * @returns {Record<string, string>}  alias → repo folder name
  */
 function parseRepositoryAliases(text) {
-  // Normalize CRLF → LF so that regex $ anchors work on Windows-authored files
-  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const { root } = parseYaml(text);
   const aliases = {};
 
-  let inResources = false;
-  let inRepositories = false;
-  let repoIndent = -1;
-
-  let currentAlias = null;
+  const repos = getMapValue(getMapValue(root, 'resources'), 'repositories');
+  if (!repos || repos.kind !== 'seq') return aliases;
 
-  for (let i = 0; i < lines.length; i++) {
-    const raw = lines[i];
-    const trimmed = raw.trimEnd();
-    const stripped = trimmed.trimStart();
+  for (const item of repos.items) {
+    const alias = scalarValue(getMapValue(item, 'repository'));
+    const fullName = scalarValue(getMapValue(item, 'name'));
+    if (!alias || !fullName) continue;
 
-    // Detect top-level "resources:" key
-    if (!inResources) {
-      if (/^resources\s*:/.test(trimmed)) {
-        inResources = true;
-      }
-      continue;
-    }
-
-    // If we hit another top-level key, we've left the resources block
-    if (trimmed.length > 0 && !/^\s/.test(trimmed)) {
-      break;
-    }
-
-    // Detect "  repositories:" inside resources
-    if (!inRepositories) {
-      if (/^\s+repositories\s*:/.test(trimmed)) {
-        inRepositories = true;
-      }
-      continue;
-    }
-
-    // If we hit a sibling key inside resources (same or less indent than "repositories:"),
-    // we've left the repositories block
-    const lineIndent = trimmed.length - stripped.length;
-
-    // Detect a new repository list item: "    - repository: alias"
-    const repoMatch = /^(\s*)-\s+repository\s*:\s*(.+)$/.exec(trimmed);
-    if (repoMatch) {
-      const indent = repoMatch[1].length;
-      if (repoIndent === -1) repoIndent = indent;
-
-      // A list item at a shallower indent means we've left repositories
-      if (indent < repoIndent) break;
-
-      // Only process items at the base repository list indent
-      if (indent === repoIndent) {
-        currentAlias = repoMatch[2].trim();
-      }
-      continue;
-    }
-
-    // If we're inside a repository item, look for "name: org/repo"
-    if (currentAlias !== null) {
-      const nameMatch = /^\s+name\s*:\s*(.+)$/.exec(trimmed);
-      if (nameMatch) {
-        const fullName = nameMatch[1].trim();
-        // Extract just the repo name (last segment after "/")
-        const repoName = fullName.includes('/')
-          ? fullName.split('/').pop()
-          : fullName;
-        aliases[currentAlias] = repoName;
-        continue;
-      }
-
-      // If we hit a line at the same or shallower indent as the list item
-      // that isn't a sub-property, reset currentAlias
-      if (repoIndent !== -1 && lineIndent <= repoIndent && stripped !== '') {
-        currentAlias = null;
-      }
-    }
+    // Extract just the repo name (last segment after "/")
+    aliases[alias] = fullName.includes('/')
+      ? fullName.split('/').pop()
+      : fullName;
   }
 
   return aliases;
@@ -274,100 +361,384 @@ function parseRepositoryAliases(text) {
  *     - name: buildConfiguration
  *       value: Release
  *     - group: my-variable-group
+ *     - template: vars/common.yml
+ *
+ * Values are the interpreted scalar values (quotes removed), i.e. what the
+ * variable expands to at runtime.  Variable templates are only listed here;
+ * collectVariables() follows them.
  *
  * @param {string} text  Raw file contents of the pipeline YAML
+ * @returns {ParsedVariables}
+ */
+function parseVariables(text) {
+  const { root } = parseYaml(text);
+  return parseVariablesNode(getMapValue(root, 'variables'));
+}
+
+/**
+ * @typedef {object} ParsedVariables
+ * @property {Record<string, { value: string, line: number }>} variables
+ * @property {{ name: string, line: number }[]} groups
+ * @property {{ templateRef: string, line: number }[]} templates
+ */
+
+/**
+ * Reads a `variables:` value node — of the document root, a stage or a job —
+ * in map or list form.
+ *
+ * @param {object|null|undefined} varsNode  yamlParser node
+ * @returns {ParsedVariables}
+ */
+function parseVariablesNode(varsNode) {
+  const variables = {};
+  const groups = [];
+  const templates = [];
+  if (!varsNode) return { variables, groups, templates };
+
+  if (varsNode.kind === 'map') {
+    // Map form: "  key: value"
+    for (const entry of varsNode.entries) {
+      variables[entry.key] = { value: variableValueText(entry.value), line: entry.line };
+    }
+  } else if (varsNode.kind === 'seq') {
+    // List form: "- name: x / value: y", "- group: g" and "- template: t" items
+    for (const item of varsNode.items) {
+      const groupEntry = getMapEntry(item, 'group');
+      if (groupEntry && scalarValue(groupEntry.value)) {
+        groups.push({ name: scalarValue(groupEntry.value), line: groupEntry.line });
+        continue;
+      }
+
+      const templateEntry = getMapEntry(item, 'template');
+      if (templateEntry && scalarValue(templateEntry.value)) {
+        templates.push({ templateRef: scalarValue(templateEntry.value).trim(), line: templateEntry.line });
+        continue;
+      }
+
+      const nameEntry = getMapEntry(item, 'name');
+      const name = nameEntry && scalarValue(nameEntry.value);
+      const valueEntry = getMapEntry(item, 'value');
+      if (name && valueEntry) {
+        variables[name] = { value: variableValueText(valueEntry.value), line: nameEntry.line };
+      }
+    }
+  }
+
+  return { variables, groups, templates };
+}
+
+/**
+ * @typedef {object} VariableInfo
+ * @property {string} value
+ * @property {number} line         0-based line of the definition in `filePath`
+ * @property {string} filePath     File that defines the variable
+ * @property {string} [templateRef]  Set when it comes from a variable template:
+ *   the reference as written in the file that included it
+ */
+
+/**
+ * Like parseVariables(), but follows `- template:` entries of the
+ * `variables:` block into their variable templates (recursively) and records
+ * which file defined each variable.
+ *
+ * Entries are applied in source order, so a later definition overrides an
+ * earlier one — as in Azure Pipelines.  Template references containing
+ * expressions or macros and missing files are skipped and listed in
+ * `unresolved`; circular references are skipped silently.
+ *
+ * @param {string} text          Raw file contents
+ * @param {string} filePath      Absolute path of `text`
+ * @param {Record<string, string>} [repoAliases]  Defaults to the aliases in `text`
  * @returns {{
- *   variables: Record<string, { value: string, line: number }>,
- *   groups: { name: string, line: number }[]
+ *   variables: Record<string, VariableInfo>,
+ *   groups: { name: string, line: number, filePath: string }[],
+ *   unresolved: string[]
  * }}
  */
-function parseVariables(text) {
-  // Normalize CRLF → LF so that regex $ anchors work on Windows-authored files
-  const lines = text.replace(/\r\n/g, '\n').split('\n');
+function collectVariables(text, filePath, repoAliases = parseRepositoryAliases(text)) {
+  return collectVariablesNode(getMapValue(parseYaml(text).root, 'variables'), filePath, repoAliases);
+}
+
+/**
+ * collectVariables() for any `variables:` node of the file at `filePath` —
+ * the root block or a stage / job block.
+ *
+ * @param {object|null|undefined} varsNode
+ * @param {string} filePath
+ * @param {Record<string, string>} repoAliases
+ * @returns {{
+ *   variables: Record<string, VariableInfo>,
+ *   groups: { name: string, line: number, filePath: string }[],
+ *   unresolved: string[]
+ * }}
+ */
+function collectVariablesNode(varsNode, filePath, repoAliases) {
   const variables = {};
   const groups = [];
+  const unresolved = [];
 
-  let inVarsBlock = false;
-  let baseIndent = -1;
-  let isList = null; // true = list form, false = map form
+  const visit = (parsed, file, templateRef, visited) => {
+    for (const g of parsed.groups) groups.push({ ...g, filePath: file });
 
-  // List-form state
-  let currentName = null;
-  let currentNameLine = -1;
+    const entries = [
+      ...Object.entries(parsed.variables).map(([name, v]) => ({ line: v.line, name, v })),
+      ...parsed.templates.map(t => ({ line: t.line, template: t })),
+    ].sort((a, b) => a.line - b.line);
 
-  for (let i = 0; i < lines.length; i++) {
-    const raw = lines[i];
-    const trimmed = raw.trimEnd();
-    const stripped = trimmed.trimStart();
+    for (const entry of entries) {
+      if (entry.name !== undefined) {
+        const info = { value: entry.v.value, line: entry.v.line, filePath: file };
+        if (templateRef) info.templateRef = templateRef;
+        variables[entry.name] = info;
+        continue;
+      }
 
-    if (!inVarsBlock) {
-      if (/^variables\s*:/.test(trimmed)) {
-        inVarsBlock = true;
+      const ref = entry.template.templateRef;
+      const resolved = /\$[({[]/.test(ref) ? null : resolveTemplatePath(ref, file, repoAliases);
+      if (!resolved || resolved.unknownAlias || !resolved.filePath) {
+        unresolved.push(ref);
+        continue;
       }
-      continue;
-    }
+      const target = path.normalize(resolved.filePath);
+      if (visited.has(target)) continue;
 
-    // A non-indented non-empty line means we've left the variables block
-    if (trimmed.length > 0 && !/^\s/.test(trimmed)) {
-      break;
+      const targetText = fileCache.readFile(target);
+      if (targetText === null) {
+        unresolved.push(ref);
+        continue;
+      }
+      visit(parseVariables(targetText), target, ref, new Set([...visited, target]));
     }
+  };
 
-    if (stripped === '') continue;
+  visit(parseVariablesNode(varsNode), filePath, null, new Set([path.normalize(filePath)]));
+  return { variables, groups, unresolved };
+}
 
-    const lineIndent = trimmed.length - stripped.length;
+/**
+ * Variables are always strings at runtime, so scalars are shown unquoted.
+ * @param {object|null} node
+ * @returns {string}
+ */
+function variableValueText(node) {
+  return node && node.kind === 'scalar' ? node.value : nodeText(node);
+}
 
-    // Determine form on first content line
-    if (isList === null && stripped !== '') {
-      isList = stripped.startsWith('- ') || stripped.startsWith('-\n');
-      if (baseIndent === -1) baseIndent = lineIndent;
-    }
+/**
+ * Variable scopes.  Variables are declared in the root `variables:` block of a
+ * pipeline or template, on a stage or on a job; the innermost declaration
+ * wins, so a job variable shadows a stage or root variable of the same name.
+ * A step's `env:` mapping is tracked separately: it sets environment variables
+ * for that step only and is not read by `$(var)` macros.
+ *
+ * @typedef {object} VariableScope
+ * @property {'root'|'stage'|'job'|'step'} kind
+ * @property {string|null} name  Stage / job name, or the step's displayName / name
+ * @property {number} line       0-based line of the scope's `variables:` (or `env:`) key
+ * @property {Record<string, VariableInfo>} variables
+ * @property {{ name: string, line: number, filePath: string }[]} groups
+ * @property {string[]} unresolved  Variable templates that could not be read
+ */
 
-    if (!isList) {
-      // Map form: "  key: value"
-      if (lineIndent === baseIndent) {
-        const mapMatch = /^(\s*)(\w[\w.-]*)\s*:\s*(.*)$/.exec(trimmed);
-        if (mapMatch) {
-          variables[mapMatch[2]] = { value: mapMatch[3].trim(), line: i };
-        }
-      }
+/**
+ * @typedef {object} VariableResolution
+ * @property {VariableScope} scope
+ * @property {VariableInfo} info
+ */
+
+/**
+ * Returns the chain of mappings that contain `line`, outermost first.
+ * @param {object} root  yamlParser root node
+ * @param {number} line
+ * @returns {object[]}
+ */
+function enclosingMaps(root, line) {
+  const chain = [];
+  let node = root;
+  while (node && node.line <= line && node.endLine >= line) {
+    if (node.kind === 'map') {
+      chain.push(node);
+      node = (node.entries.find(e => e.value && e.value.line <= line && e.value.endLine >= line) || {}).value;
+    } else if (node.kind === 'seq') {
+      node = node.items.find(item => item.line <= line && item.endLine >= line);
     } else {
-      // List form
-      if (lineIndent === baseIndent) {
-        // New list item
-        const groupMatch = /^\s*-\s+group\s*:\s*(.+)$/.exec(trimmed);
-        if (groupMatch) {
-          groups.push({ name: groupMatch[1].trim(), line: i });
-          currentName = null;
-          continue;
-        }
+      break;
+    }
+  }
+  return chain;
+}
 
-        const nameMatch = /^\s*-\s+name\s*:\s*(.+)$/.exec(trimmed);
-        if (nameMatch) {
-          currentName = nameMatch[1].trim();
-          currentNameLine = i;
-          continue;
-        }
-      }
+/**
+ * Classifies a mapping as a stage, job or step, or returns null.
+ * @param {object} map
+ * @returns {{ kind: 'stage'|'job'|'step', name: string|null } | null}
+ */
+function scopeKindOf(map) {
+  const stage = getMapEntry(map, 'stage');
+  if (stage) return { kind: 'stage', name: scalarValue(stage.value) };
+  const job = getMapEntry(map, 'job') || getMapEntry(map, 'deployment');
+  if (job) return { kind: 'job', name: scalarValue(job.value) };
+  const stepKey = STEP_KEYS.find(k => k !== 'template' && getMapEntry(map, k));
+  if (stepKey) {
+    const label = scalarValue(getMapValue(map, 'displayName')) || scalarValue(getMapValue(map, 'name'));
+    return { kind: 'step', name: label || stepKey };
+  }
+  return null;
+}
 
-      // Sub-properties of a list item
-      if (currentName !== null && lineIndent > baseIndent) {
-        const valueMatch = /^\s+value\s*:\s*(.*)$/.exec(trimmed);
-        if (valueMatch) {
-          variables[currentName] = { value: valueMatch[1].trim(), line: currentNameLine };
-          currentName = null;
-        }
+/**
+ * Returns the variable scopes that are visible at `line`, innermost first.
+ * Only scopes that declare variables (or a step's `env:`) are returned.
+ * Variable templates included by a scope are followed.
+ *
+ * @param {string} text      Raw file contents
+ * @param {string} filePath  Absolute path of `text`
+ * @param {number} line      0-based line of the reference
+ * @returns {VariableScope[]}
+ */
+function findVariableScopes(text, filePath, line) {
+  return variableScopeFinder(text, filePath)(line);
+}
+
+/**
+ * Returns findVariableScopes() for many lines of one document: the text is
+ * parsed once, and the scope of each mapping — with its variable templates —
+ * is built the first time a line inside it asks.
+ *
+ * @param {string} text      Raw file contents
+ * @param {string} filePath  Absolute path of `text`
+ * @returns {(line: number) => VariableScope[]}
+ */
+function variableScopeFinder(text, filePath) {
+  const doc = parseYaml(text);
+  let repoAliases = null;
+  /** @type {Map<object, VariableScope|null>} mapping → its scope */
+  const scopeOf = new Map();
+
+  const buildScope = (map) => {
+    const kind = map === doc.root ? { kind: 'root', name: null } : scopeKindOf(map);
+    if (!kind) return null;
+
+    if (kind.kind === 'step') {
+      const envEntry = getMapEntry(map, 'env');
+      if (!envEntry || !envEntry.value || envEntry.value.kind !== 'map') return null;
+      const variables = {};
+      for (const e of envEntry.value.entries) {
+        variables[e.key] = { value: e.value && e.value.kind === 'scalar' ? e.value.value : '', line: e.line, filePath };
       }
+      return { ...kind, line: envEntry.line, variables, groups: [], unresolved: [] };
+    }
+
+    const varsEntry = getMapEntry(map, 'variables');
+    if (!varsEntry) return null;
+    if (!repoAliases) repoAliases = parseRepositoryAliases(text);
+    const { variables, groups, unresolved } = collectVariablesNode(varsEntry.value, filePath, repoAliases);
+    return { ...kind, line: varsEntry.line, variables, groups, unresolved };
+  };
+
+  return (line) => {
+    const scopes = [];
+    for (const map of enclosingMaps(doc.root, line)) {
+      if (!scopeOf.has(map)) scopeOf.set(map, buildScope(map));
+      const scope = scopeOf.get(map);
+      if (scope) scopes.push(scope);
+    }
+    return scopes.reverse();
+  };
+}
+
+/**
+ * Resolves a variable name against the scopes from findVariableScopes().
+ *
+ * `definition` is the innermost stage / job / root declaration; `shadowed`
+ * lists the outer declarations it hides.  `environment` is the step `env:`
+ * entry of the same name, if any.
+ *
+ * @param {VariableScope[]} scopes  Innermost first
+ * @param {string} name
+ * @returns {{
+ *   definition: VariableResolution|null,
+ *   shadowed: VariableResolution[],
+ *   environment: VariableResolution|null
+ * }}
+ */
+function resolveVariable(scopes, name) {
+  const found = [];
+  let environment = null;
+  for (const scope of scopes) {
+    if (!Object.prototype.hasOwnProperty.call(scope.variables, name)) continue;
+    const resolution = { scope, info: scope.variables[name] };
+    if (scope.kind === 'step') {
+      if (!environment) environment = resolution;
+    } else {
+      found.push(resolution);
     }
   }
+  return { definition: found[0] || null, shadowed: found.slice(1), environment };
+}
 
-  return { variables, groups };
+/**
+ * Returns the `##vso[task.setvariable]` commands in `text` that define
+ * `varName` for later steps: `$(name)` for any command, `$(step.name)` for
+ * output variables of a named step.
+ *
+ * @param {string} text
+ * @param {string} varName
+ * @returns {import('./outputVariables').SetVariableCommand[]}
+ */
+function findRuntimeSetters(text, varName) {
+  const wanted = varName.toLowerCase();
+  return findSetVariableCommands(text).filter(c =>
+    c.name.toLowerCase() === wanted ||
+    (c.isOutput && c.stepName && `${c.stepName}.${c.name}`.toLowerCase() === wanted)
+  );
+}
+
+/**
+ * Describes a scope for hovers, e.g. "job `Build`" or "pipeline".
+ * @param {VariableScope} scope
+ * @returns {string}
+ */
+function describeScope(scope) {
+  if (scope.kind === 'root') return 'pipeline';
+  return scope.name ? `${scope.kind} \`${scope.name}\`` : scope.kind;
 }
 
+/**
+ * Returns the `${{ … }}` directive a mapping key stands for, or null for an
+ * ordinary key.  `kind` is `if`, `elseif`, `else`, `each`, `insert`, or
+ * `expression` for a computed key such as `${{ p.key }}`; `text` is the
+ * directive without its braces, e.g. `if eq(parameters.env, 'prod')`.
+ *
+ * @param {string} key
+ * @returns {{ kind: string, text: string } | null}
+ */
+function parseDirectiveKey(key) {
+  const m = /^\$\{\{([\s\S]*)\}\}$/.exec(String(key).trim());
+  if (!m) return null;
+  return { kind: parseTemplateExpression(m[1]).kind, text: m[1].trim() };
+}
+
+/** Directive kinds that insert their block only when a condition holds. */
+const CONDITIONAL_DIRECTIVES = new Set(['if', 'elseif', 'else']);
+
+/**
+ * @typedef {object} PassedParameter
+ * @property {string}      value
+ * @property {number}      line
+ * @property {object|null} node
+ * @property {object}      keyNode         Parsed key, which locates the name on its line
+ * @property {string[]}    [directives]    Enclosing `if` / `elseif` / `else` directives
+ * @property {boolean}     [dynamic]       Raw `${{ each }}` / `${{ insert }}` / computed key
+ * @property {PassedParameter[]} [alternatives]  Later entries for the same name
+ */
+
 /**
  * Parses the parameters actually passed to a template at a specific call site.
  *
- * Given a document and the line number of the `- template:` line, scans the
- * `parameters:` sub-block that follows and returns a map of name → { value, line }.
+ * Given a document and the line number of the `template:` key, looks up the
+ * mapping that owns that key and returns its `parameters:` entries as a map of
+ * name → { value, line, node }.
  *
  * Example:
  *   - template: templates/build.yml   ← templateLine
@@ -375,63 +746,201 @@ function parseVariables(text) {
  *       project: '**\/*.csproj'       ← captured
  *       buildConfiguration: Release   ← captured
  *
+ * `value` is the text as written after the colon (quotes kept, collections in
+ * flow style, '' for block collections); `node` is the parsed YAML value.
+ *
+ * Entries inside `${{ if }}` / `${{ elseif }}` / `${{ else }}` blocks are
+ * passed parameters too; they carry the enclosing `directives`, outermost
+ * first.  A name passed in several branches keeps its first entry and lists
+ * the others in `alternatives`.  Keys whose names are only known at compile
+ * time — `${{ each }}` loops, `${{ insert }}` and computed keys — are kept
+ * under their raw key with `dynamic: true`.
+ *
  * @param {string[]} lines         All lines of the document
- * @param {number}   templateLine  0-based index of the "- template:" line
- * @returns {Record<string, { value: string, line: number }>}
+ * @param {number}   templateLine  0-based index of the "template:" line
+ * @returns {Record<string, PassedParameter>}
  */
 function parsePassedParameters(lines, templateLine) {
   const passed = {};
 
-  // Determine the indent of the template line itself
-  const templateRaw = lines[templateLine];
-  const templateIndent = templateRaw.length - templateRaw.trimStart().length;
+  const callNode = findTemplateCallNode(parseLines(lines), templateLine);
+  const paramsNode = getMapValue(callNode, 'parameters');
+  if (!paramsNode || paramsNode.kind !== 'map') return passed;
+
+  const collect = (map, directives) => {
+    for (const entry of map.entries) {
+      const node = entry.value;
+      const directive = parseDirectiveKey(entry.key);
+      if (directive && CONDITIONAL_DIRECTIVES.has(directive.kind) && node && node.kind === 'map') {
+        collect(node, [...directives, directive.text]);
+        continue;
+      }
+
+      const value = node && node.kind !== 'scalar' && !node.flow ? '' : rawValueText(node);
+      /** @type {PassedParameter} */
+      const info = { value, line: entry.line, node, keyNode: entry.keyNode };
+      if (directives.length > 0) info.directives = directives;
+      if (directive) info.dynamic = true;
+
+      if (!(entry.key in passed)) {
+        passed[entry.key] = info;
+      } else {
+        const first = passed[entry.key];
+        if (!first.alternatives) first.alternatives = [];
+        first.alternatives.push(info);
+      }
+    }
+  };
+  collect(paramsNode, []);
 
-  let inParamsBlock = false;
-  let paramsIndent = -1;
+  return passed;
+}
 
-  for (let i = templateLine + 1; i < lines.length; i++) {
-    const raw = lines[i];
-    const trimmed = raw.trimEnd();
-    const stripped = trimmed.trimStart();
+/** Parsed documents of the line arrays given to parsePassedParameters. */
+const _parsedLines = new WeakMap();
+/** The last text parsed for parsePassedParameters, for callers that split it anew. */
+let _lastParsed = { text: null, doc: null };
 
-    if (stripped === '') continue;
+/**
+ * Parses a document given as lines.  The calls of one file share a single
+ * parse — whether they pass the same array or split the same text again —
+ * so checking every call site of a file stays linear in its size.
+ *
+ * @param {string[]} lines
+ * @returns {object} yamlParser document
+ */
+function parseLines(lines) {
+  let doc = _parsedLines.get(lines);
+  if (!doc) {
+    const text = lines.join('\n');
+    if (_lastParsed.text !== text) _lastParsed = { text, doc: parseYaml(text) };
+    doc = _lastParsed.doc;
+    _parsedLines.set(lines, doc);
+  }
+  return doc;
+}
 
-    const lineIndent = trimmed.length - stripped.length;
+/** Template call mappings of each parsed document, by line of their `template:` key. */
+const _callsByLine = new WeakMap();
 
-    // If we've gone back to the template's indent level or shallower, we're done
-    if (lineIndent <= templateIndent && stripped !== '') {
-      break;
-    }
+/**
+ * Returns the mapping whose `template:` key sits on `templateLine`, or null.
+ * The calls of a document are indexed on first use.
+ *
+ * @param {object} doc  yamlParser document
+ * @param {number} templateLine
+ * @returns {object|null}
+ */
+function findTemplateCallNode(doc, templateLine) {
+  let calls = _callsByLine.get(doc);
+  if (!calls) {
+    calls = new Map();
+    walkDocument(doc, (node) => {
+      const entry = getMapEntry(node, 'template');
+      if (entry && !calls.has(entry.line)) calls.set(entry.line, node);
+    });
+    _callsByLine.set(doc, calls);
+  }
+  return calls.get(templateLine) || null;
+}
 
-    if (!inParamsBlock) {
-      // Look for "parameters:" at one indent level deeper than the template line
-      if (/^\s+parameters\s*:/.test(trimmed)) {
-        inParamsBlock = true;
-        paramsIndent = lineIndent;
-      }
-      continue;
-    }
+/**
+ * Returns the template call whose `parameters:` block contains `line`: the
+ * line of the `parameters` key, a line of its value, or — while the user is
+ * still typing — a blank or partial line right after the block that is
+ * indented deeper than the `parameters` key.  A call nested in the
+ * parameters of another call wins over the outer one.
+ *
+ * Keys come from the parsed document, so flow mappings
+ * (`- { template: a.yml, parameters: { x: 1 } }`), quoted keys and
+ * `parameters:` written before `template:` are all understood.  Quoted
+ * references are unquoted.
+ *
+ * @param {object} doc   yamlParser document
+ * @param {number} line  0-based
+ * @returns {{ node: object, templateRef: string, templateLine: number }|null}
+ */
+function findEnclosingTemplateCall(doc, line) {
+  let found = null;
+  let foundParamsLine = -1;
+  walkDocument(doc, (node) => {
+    if (node.line > line) return false;
+    if (node.kind !== 'map') return;
+    const templateEntry = getMapEntry(node, 'template');
+    const templateRef = templateEntry && scalarValue(templateEntry.value);
+    const paramsEntry = getMapEntry(node, 'parameters');
+    if (!templateRef || !paramsEntry || paramsEntry.line < foundParamsLine) return;
+    if (!isInParametersEntry(doc.lines, paramsEntry, line)) return;
+    found = { node, templateRef: templateRef.trim(), templateLine: templateEntry.line };
+    foundParamsLine = paramsEntry.line;
+  });
+  return found;
+}
 
-    // If we've gone back to or past the parameters: indent, we're done
-    if (lineIndent <= paramsIndent) break;
-
-    // Only capture direct children of the parameters block
-    if (lineIndent === paramsIndent + 2 || lineIndent === paramsIndent + 4) {
-      // Match "  paramName: value" — skip nested objects/arrays for now
-      const paramMatch = /^(\s+)([\w-]+)\s*:\s*(.*)$/.exec(trimmed);
-      if (paramMatch && lineIndent > paramsIndent) {
-        // Only capture at the first level below parameters:
-        if (paramsIndent !== -1 && lineIndent > paramsIndent) {
-          // Check it's a direct child (not a nested value)
-          if (!passed[paramMatch[2]] || lineIndent === paramsIndent + 2) {
-            passed[paramMatch[2]] = { value: paramMatch[3].trim(), line: i };
-          }
-        }
-      }
-    }
+/**
+ * True when `line` belongs to a `parameters:` entry — see
+ * findEnclosingTemplateCall.
+ *
+ * @param {string[]} lines
+ * @param {object}   entry  yamlParser map entry of the `parameters` key
+ * @param {number}   line
+ * @returns {boolean}
+ */
+function isInParametersEntry(lines, entry, line) {
+  if (line === entry.line) return true;
+  if (line < entry.line) return false;
+  const value = entry.value;
+  if (value && line <= value.endLine) return true;
+  if (value && value.flow) return false;
+
+  // Below the block: only blank and comment lines may come in between
+  for (let i = value ? value.endLine + 1 : entry.line + 1; i < line; i++) {
+    if (!/^\s*(#.*)?$/.test(lines[i])) return false;
   }
+  const text = lines[line] || '';
+  return text.length - text.trimStart().length > entry.col;
+}
 
-  return passed;
+/**
+ * Returns every `template:` reference in a YAML document — step, job, stage
+ * and variable templates, and `extends:` — in source order.
+ *
+ * Only keys that are really mapping keys count, so commented-out lines and
+ * `template:` text inside block scalars are ignored.  Quoted references are
+ * unquoted.  `kind` is `'extends'` for the pipeline's top-level
+ * `extends: template:` and `'template'` for every other reference.
+ *
+ * References nested under `${{ if }}`, `${{ elseif }}`, `${{ else }}` or
+ * `${{ each }}` blocks list those `directives`, outermost first, e.g.
+ * `['each env in parameters.envs', "if eq(env, 'prod')"]`.
+ *
+ * @param {string} text  Raw file contents
+ * @returns {{ templateRef: string, line: number, col: number, kind: 'template'|'extends', directives?: string[] }[]}
+ *   `line`/`col` locate the `template` key
+ */
+function findTemplateReferences(text) {
+  const doc = parseYaml(text);
+  const refs = [];
+  /** @type {Map<object, string[]>} node → enclosing directives */
+  const directivesOf = new Map();
+  walkDocument(doc, (node, parent, key) => {
+    let directives = (parent && directivesOf.get(parent)) || [];
+    const directive = typeof key === 'string' ? parseDirectiveKey(key) : null;
+    if (directive && directive.kind !== 'expression' && directive.kind !== 'insert') {
+      directives = [...directives, directive.text];
+    }
+    if (directives.length > 0) directivesOf.set(node, directives);
+
+    if (node.kind !== 'map') return;
+    const entry = getMapEntry(node, 'template');
+    const ref = entry && scalarValue(entry.value);
+    if (!ref) return;
+    const kind = key === 'extends' && parent === doc.root ? 'extends' : 'template';
+    const found = { templateRef: ref.trim(), line: entry.line, col: entry.col, kind };
+    if (directives.length > 0) found.directives = directives;
+    refs.push(found);
+  });
+  return refs.sort((a, b) => a.line - b.line);
 }
 
 /**
@@ -527,9 +1036,10 @@ function resolveLocalPath(ref, currentFile) {
  * @param {string} requiredColor  CSS hex color for required params
  * @param {string|null} repoName  External repo name (if cross-repo reference)
  * @param {string|null} filePath  Absolute path to the resolved template file (for navigation links)
+ * @param {DocComment} [templateDoc]  The template's header comment
  * @returns {vscode.MarkdownString}
  */
-function buildHoverMarkdown(templateRef, params, requiredColor, repoName, filePath) {
+function buildHoverMarkdown(templateRef, params, requiredColor, repoName, filePath, templateDoc) {
   const md = new vscode.MarkdownString(undefined, true);
   md.isTrusted = true;
   md.supportHtml = true;
@@ -555,6 +1065,10 @@ function buildHoverMarkdown(templateRef, params, requiredColor, repoName, filePa
     md.appendMarkdown(`[$(go-to-file) Open](${openCmd}) · [$(split-horizontal) Open to side](${sideCmd})\n\n`);
   }
 
+  if (templateDoc) {
+    md.appendMarkdown(`${formatDocMarkdown(templateDoc)}\n\n`);
+  }
+
   if (params.length === 0) {
     md.appendMarkdown('_No parameters defined_');
     return md;
@@ -564,7 +1078,13 @@ function buildHoverMarkdown(templateRef, params, requiredColor, repoName, filePa
   // navigate with arrow keys, and press Enter (or double-click) to jump to the
   // parameter definition in the template file.
   if (filePath && params.length > 0) {
-    const searchArgs = encodeURIComponent(JSON.stringify([{ filePath, params }]));
+    // Only the display fields travel through the command URI — not the parsed
+    // YAML nodes, which can be large.
+    const searchParams = params.map(p => ({
+      name: p.name, type: p.type, default: p.default, required: p.required, line: p.line,
+      description: p.doc ? p.doc.description : undefined,
+    }));
+    const searchArgs = encodeURIComponent(JSON.stringify([{ filePath, params: searchParams }]));
     const searchCmd = `command:azure-templates-navigator.searchTemplateParams?${searchArgs}`;
     md.appendMarkdown(`**Parameters:** [$(search) Search](${searchCmd})\n\n`);
   } else {
@@ -572,35 +1092,54 @@ function buildHoverMarkdown(templateRef, params, requiredColor, repoName, filePa
   }
 
   for (const p of params) {
+    const deprecated = p.doc && p.doc.deprecated !== undefined;
+    const nameMd = deprecated ? `~~**${p.name}**~~` : `**${p.name}**`;
     const nameHtml = p.required
-      ? `<span style="color:${requiredColor};">**${p.name}**</span>`
-      : `**${p.name}**`;
+      ? `<span style="color:${requiredColor};">${nameMd}</span>`
+      : nameMd;
 
     const badge = p.required ? ' _(required)_' : '';
     const defaultPart = p.default !== undefined ? ` — default: \`${p.default}\`` : '';
+    const valuesPart = p.values && p.values.length > 0
+      ? ` — values: ${p.values.map(v => `\`${v}\``).join(' | ')}`
+      : '';
 
-    md.appendMarkdown(`- ${nameHtml}: \`${p.type}\`${defaultPart}${badge}\n`);
+    md.appendMarkdown(`- ${nameHtml}: \`${p.type}\`${defaultPart}${valuesPart}${badge}\n`);
+    if (p.doc) md.appendMarkdown(formatDocListItem(p.doc));
   }
 
   return md;
 }
 
 /**
- * Builds a hover MarkdownString for a pipeline variable reference.
+ * Builds a hover MarkdownString for a pipeline variable reference.  Variables
+ * that come from a variable template name that template and link to it.
+ *
+ * `resolution` (from resolveVariable()) adds the scope the variable was found
+ * in, the outer declarations it shadows and a step `env:` entry of the same
+ * name.  Without it `varInfo` is treated as a root variable.  `setBy` lists
+ * the `##vso[task.setvariable]` commands that set an otherwise undeclared
+ * variable at runtime.  Predefined variables (`Build.SourceBranch`, …) are
+ * described from the catalog in predefinedVariables.js.
  *
  * @param {string} varName
- * @param {{ value: string, line: number }|undefined} varInfo
+ * @param {VariableInfo|{ value: string, line: number }|undefined} varInfo
  * @param {{ name: string, line: number }[]} groups
+ * @param {{
+ *   scope?: VariableScope,
+ *   shadowed?: VariableResolution[],
+ *   environment?: VariableResolution|null,
+ *   setBy?: import('./outputVariables').SetVariableCommand[]
+ * }} [resolution]
  * @returns {vscode.MarkdownString}
  */
-function buildVariableHoverMarkdown(varName, varInfo, groups) {
+function buildVariableHoverMarkdown(varName, varInfo, groups, resolution = {}) {
   const md = new vscode.MarkdownString(undefined, true);
   md.isTrusted = true;
   md.supportHtml = true;
 
-  // Check if it's a known system variable prefix
-  const systemPrefixes = ['Build.', 'System.', 'Agent.', 'Pipeline.', 'Environment.', 'Release.', 'Deployment.', 'Strategy.'];
-  const isSystem = systemPrefixes.some(p => varName.startsWith(p));
+  const { scope, shadowed = [], environment = null, setBy = [] } = resolution;
+  const predefined = lookupPredefinedVariable(varName);
 
   if (varInfo) {
     md.appendMarkdown(`**📦 Variable:** \`${varName}\`\n\n`);
@@ -609,14 +1148,45 @@ function buildVariableHoverMarkdown(varName, varInfo, groups) {
     } else {
       md.appendMarkdown(`**Value:** _(empty string)_\n\n`);
     }
-    md.appendMarkdown(`**Source:** pipeline \`variables:\` block (line ${varInfo.line + 1})\n`);
-  } else if (isSystem) {
+    md.appendMarkdown(`**Source:** ${variableSourceText(varInfo, scope)}\n\n`);
+    if (varInfo.templateRef) {
+      const openArgs = encodeURIComponent(JSON.stringify([{ filePath: varInfo.filePath, beside: false }]));
+      md.appendMarkdown(`[$(go-to-file) Open](command:azure-templates-navigator.openTemplate?${openArgs})\n\n`);
+    }
+    if (shadowed.length > 0) {
+      md.appendMarkdown('**Shadows:**\n\n');
+      for (const s of shadowed) {
+        md.appendMarkdown(`- \`${s.info.value}\` — ${variableSourceText(s.info, s.scope)}\n`);
+      }
+      md.appendMarkdown('\n');
+    }
+    if (environment) {
+      md.appendMarkdown(`Also set as an environment variable of ${describeScope(environment.scope)} (\`env:\`, line ${environment.info.line + 1}).\n`);
+    }
+  } else if (environment) {
+    md.appendMarkdown(`**📦 Environment variable:** \`${varName}\`\n\n`);
+    md.appendMarkdown(`**Value:** \`${environment.info.value}\`\n\n`);
+    md.appendMarkdown(`**Source:** ${describeScope(environment.scope)} \`env:\` (line ${environment.info.line + 1})\n\n`);
+    md.appendMarkdown(`_Step \`env:\` entries are not pipeline variables — \`$(${varName})\` is not expanded from them._\n`);
+  } else if (setBy.length > 0) {
+    md.appendMarkdown(`**📦 Runtime variable:** \`${varName}\`\n\n`);
+    for (const c of setBy) {
+      const value = c.isSecret ? '_(secret)_' : c.value ? `\`${c.value}\`` : '_(empty string)_';
+      md.appendMarkdown(`**Set by:** ${describeSetVariable(c)} — ${value}\n\n`);
+    }
+    md.appendMarkdown('_Set with `##vso[task.setvariable]` — only available at runtime, in later steps of the same job._\n');
+  } else if (predefined) {
+    md.appendMarkdown(`**📦 Predefined variable:** \`${predefined.name}\`\n\n`);
+    md.appendMarkdown(`${predefined.description}\n\n`);
+    md.appendMarkdown(`_${availabilityNote(predefined)}_\n\n`);
+    md.appendMarkdown(`[View predefined variables ↗](https://learn.microsoft.com/en-us/azure/devops/pipelines/build/variables)`);
+  } else if (isPredefinedNamespace(varName)) {
     md.appendMarkdown(`**📦 System variable:** \`${varName}\`\n\n`);
     md.appendMarkdown(`Azure DevOps predefined variable — available at runtime.\n\n`);
     md.appendMarkdown(`[View predefined variables ↗](https://learn.microsoft.com/en-us/azure/devops/pipelines/build/variables)`);
   } else {
     md.appendMarkdown(`**📦 Variable:** \`${varName}\`\n\n`);
-    md.appendMarkdown(`_Not found in the pipeline \`variables:\` block._\n\n`);
+    md.appendMarkdown(`_Not found in any \`variables:\` block in scope or its variable templates._\n\n`);
     if (groups.length > 0) {
       const groupNames = groups.map(g => `\`${g.name}\``).join(', ');
       md.appendMarkdown(`May be defined in variable group(s): ${groupNames}`);
@@ -626,6 +1196,177 @@ function buildVariableHoverMarkdown(varName, varInfo, groups) {
   return md;
 }
 
+/**
+ * Builds the hover for an output-variable reference such as
+ * `dependencies.Build.outputs['setVersion.version']`.
+ *
+ * @param {import('./outputVariables').OutputReference} ref
+ * @param {import('./outputVariables').SetVariableCommand[]} commands  Commands the reference reads
+ * @returns {vscode.MarkdownString}
+ */
+function buildOutputVariableHoverMarkdown(ref, commands) {
+  const md = new vscode.MarkdownString(undefined, true);
+  md.isTrusted = true;
+
+  md.appendMarkdown(`**📤 Output variable:** \`${ref.stepName}.${ref.variable}\`\n\n`);
+  if (commands.length === 0) {
+    const job = ref.jobName || ref.dependency;
+    md.appendMarkdown(`_No step named \`${ref.stepName}\` in \`${job}\` sets \`${ref.variable}\` with \`isOutput=true\` in this file._\n\n`);
+  }
+  for (const c of commands) {
+    const value = c.isSecret ? '_(secret)_' : c.value ? `\`${c.value}\`` : '_(empty string)_';
+    md.appendMarkdown(`**Set by:** ${describeSetVariable(c)} — ${value}\n\n`);
+  }
+  md.appendMarkdown('_Runtime only — output variables are read in `$[ ]` runtime expressions and conditions of dependent jobs and stages._');
+  return md;
+}
+
+/**
+ * Describes where a `task.setvariable` command runs, e.g.
+ * "step `setVersion` in job `Build` (line 12)".
+ * @param {import('./outputVariables').SetVariableCommand} c
+ * @returns {string}
+ */
+function describeSetVariable(c) {
+  const parts = [c.stepName ? `step \`${c.stepName}\`` : 'a step'];
+  if (c.jobName) parts.push(`in job \`${c.jobName}\``);
+  if (c.stageName) parts.push(`of stage \`${c.stageName}\``);
+  return `${parts.join(' ')} (line ${c.line + 1})`;
+}
+
+/**
+ * Describes where a variable is declared, e.g. "job `Build` `variables:`
+ * block (line 12)" or "variable template `vars/common.yml` (line 3)".
+ *
+ * @param {VariableInfo|{ value: string, line: number }} info
+ * @param {VariableScope} [scope]
+ * @returns {string}
+ */
+function variableSourceText(info, scope) {
+  const where = scope && scope.kind !== 'root' ? describeScope(scope) : 'pipeline';
+  if (info.templateRef) {
+    const includedBy = where === 'pipeline' ? '' : ` — included by ${where}`;
+    return `variable template \`${info.templateRef}\` (line ${info.line + 1})${includedBy}`;
+  }
+  return `${where} \`variables:\` block (line ${info.line + 1})`;
+}
+
+/**
+ * Builds the evaluation context for a template's own expressions: every
+ * declared parameter set to its default, or UNKNOWN when it is required.
+ *
+ * @param {Array<{name: string, required: boolean, defaultNode?: object}>} params
+ * @returns {{ parameters: Record<string, *> }}
+ */
+function buildDefaultContext(params) {
+  const parameters = {};
+  for (const p of params) {
+    parameters[p.name] = p.required || !p.defaultNode ? UNKNOWN : toJS(p.defaultNode);
+  }
+  return { parameters };
+}
+
+/**
+ * Builds the hover for a `parameters.name` reference inside a `${{ }}`
+ * expression of the template that declares it.
+ *
+ * @param {string}      paramName
+ * @param {object|undefined} param       Declaration from parseParameters
+ * @param {string}      expressionText   The full expression source
+ * @param {*}           value            Expression evaluated with defaults
+ * @returns {vscode.MarkdownString}
+ */
+function buildParameterReferenceHoverMarkdown(paramName, param, expressionText, value) {
+  const md = new vscode.MarkdownString(undefined, true);
+  md.isTrusted = true;
+
+  md.appendMarkdown(`**🔧 Parameter:** \`${paramName}\`\n\n`);
+  if (!param) {
+    md.appendMarkdown(`_Not declared in this template's \`parameters:\` block._`);
+    return md;
+  }
+
+  md.appendMarkdown(`**Type:** \`${param.type}\``);
+  md.appendMarkdown(param.required ? ' — _required_' : ` — default: \`${param.default}\``);
+  md.appendMarkdown('\n\n');
+  if (param.doc) {
+    md.appendMarkdown(`${formatDocMarkdown(param.doc)}\n\n`);
+  }
+  if (param.values) {
+    md.appendMarkdown(`**Allowed values:** ${param.values.map(v => `\`${v}\``).join(' | ')}\n\n`);
+  }
+  if (value !== UNKNOWN) {
+    md.appendMarkdown(`**With defaults:** \`\${{ ${expressionText.trim()} }}\` → \`${formatValue(value)}\`\n`);
+  }
+  return md;
+}
+
+/**
+ * Builds the hover for a `task:` reference: the task's description, whether
+ * the referenced major version is current, and its inputs.
+ *
+ * @param {import('./taskCatalog').TaskStep} step
+ * @param {import('./taskCatalog').TaskDefinition|null} task
+ * @param {string} requiredColor  CSS hex color for required inputs
+ * @returns {vscode.MarkdownString}
+ */
+function buildTaskHoverMarkdown(step, task, requiredColor) {
+  const md = new vscode.MarkdownString(undefined, true);
+  md.isTrusted = true;
+  md.supportHtml = true;
+
+  if (!task) {
+    md.appendMarkdown(`**🔧 Task:** \`${step.taskRef}\`\n\n`);
+    md.appendMarkdown('_Not in the task catalog. Declare custom and marketplace tasks in the workspace task catalog (`azure-templates-navigator.tasks.catalogFile`) to get input completion and validation._');
+    return md;
+  }
+
+  const title = task.friendlyName ? ` — ${task.friendlyName}` : '';
+  md.appendMarkdown(`**🔧 Task:** \`${step.taskRef}\`${title}\n\n`);
+  if (task.description) md.appendMarkdown(`${task.description}\n\n`);
+
+  const current = `\`${task.name}@${task.version}\``;
+  if (step.version === task.version) {
+    md.appendMarkdown(`**Version:** ${task.version} (current)\n\n`);
+  } else if ((task.deprecatedVersions || []).includes(step.version)) {
+    md.appendMarkdown(`**⚠️ Deprecated version** — use ${current}\n\n`);
+  } else if (knownVersions(task).includes(step.version)) {
+    md.appendMarkdown(`**Version:** ${step.version} — the latest is ${current}\n\n`);
+  } else {
+    md.appendMarkdown(`**⚠️ Unknown version** — known versions: ${knownVersions(task).join(', ')}\n\n`);
+  }
+  if (task.source) md.appendMarkdown(`_From the workspace task catalog:_ \`${task.source}\`\n\n`);
+
+  if (task.inputs.length === 0) {
+    md.appendMarkdown('_No inputs_');
+    return md;
+  }
+
+  md.appendMarkdown(step.version === task.version ? '**Inputs:**\n\n' : `**Inputs** _(of ${current})_**:**\n\n`);
+  for (const input of task.inputs) {
+    const required = input.required && input.default === undefined;
+    const nameHtml = required
+      ? `<span style="color:${requiredColor};">**${input.name}**</span>`
+      : `**${input.name}**`;
+    const aliasPart = input.aliases && input.aliases.length > 0
+      ? ` (alias: ${input.aliases.map(a => `\`${a}\``).join(', ')})`
+      : '';
+    const defaultPart = input.default !== undefined && !input.default.includes('\n')
+      ? ` — default: \`${input.default}\``
+      : '';
+    const valuesPart = input.options && input.options.length > 0
+      ? ` — values: ${input.options.map(v => `\`${v}\``).join(' | ')}`
+      : '';
+    const whenPart = input.when
+      ? ` — when ${Object.entries(input.when).map(([k, v]) => `\`${k}\` is ${v.map(x => `\`${x}\``).join(' or ')}`).join(' and ')}`
+      : '';
+    const badge = required ? ' _(required)_' : '';
+    md.appendMarkdown(`- ${nameHtml}${aliasPart}: \`${input.type}\`${defaultPart}${valuesPart}${whenPart}${badge}\n`);
+  }
+
+  return md;
+}
+
 /**
  * The hover provider registered for YAML files.
  */
@@ -655,25 +1396,69 @@ const hoverProvider = {
 
         // Check if cursor is within this match
         if (position.character >= start && position.character <= end) {
-          const { variables, groups } = parseVariables(docText);
-          const varInfo = variables[varName];
-          const hoverMd = buildVariableHoverMarkdown(varName, varInfo, groups);
+          const scopes = findVariableScopes(docText, document.uri.fsPath, position.line);
+          const { definition, shadowed, environment } = resolveVariable(scopes, varName);
+          const groups = scopes.flatMap(sc => sc.groups);
+          const setBy = definition || environment ? [] : findRuntimeSetters(docText, varName);
+          const hoverMd = buildVariableHoverMarkdown(
+            varName,
+            definition ? definition.info : undefined,
+            groups,
+            { scope: definition ? definition.scope : undefined, shadowed, environment, setBy }
+          );
           const range = new vscode.Range(position.line, start, position.line, end);
           return new vscode.Hover(hoverMd, range);
         }
       }
     }
 
+    // ── Output variable reference hover ───────────────────────────────────────
+    // dependencies.<job>.outputs['<step>.<var>'] / stageDependencies.<stage>.<job>.outputs[…]
+    for (const ref of findOutputReferences(line)) {
+      if (position.character < ref.start || position.character > ref.end) continue;
+      const commands = resolveOutputReference(findSetVariableCommands(docText), ref);
+      const range = new vscode.Range(position.line, ref.start, position.line, ref.end);
+      return new vscode.Hover(buildOutputVariableHoverMarkdown(ref, commands), range);
+    }
+
+    // ── Parameter reference hover ─────────────────────────────────────────────
+    // `parameters.x` / `parameters['x']` inside a `${{ }}` expression
+    for (const expr of findExpressions(line)) {
+      if (position.character < expr.start || position.character > expr.end) continue;
+      const { kind, ast, error } = parseTemplateExpression(expr.inner);
+      if (error || !ast) continue;
+      const ref = collectReferences(ast, 'parameters').find(r =>
+        position.character >= expr.innerStart + r.start && position.character <= expr.innerStart + r.end);
+      if (!ref) continue;
+
+      const params = parseParameters(docText);
+      const param = params.find(p => p.name === ref.name);
+      const value = kind === 'each' ? UNKNOWN : evaluate(ast, buildDefaultContext(params));
+      const hoverMd = buildParameterReferenceHoverMarkdown(ref.name, param, expr.inner, value);
+      const range = new vscode.Range(
+        position.line, expr.innerStart + ref.start,
+        position.line, expr.innerStart + ref.end
+      );
+      return new vscode.Hover(hoverMd, range);
+    }
+
+    // ── Task hover ────────────────────────────────────────────────────────────
+    // `- task: DotNetCoreCLI@2` → description, version status and inputs
+    const step = findTaskSteps(docText).find(s => s.line === position.line && position.character <= s.endCol);
+    if (step && !isDynamicValue(step.taskRef)) {
+      const task = lookupTask(getTaskCatalog(document.uri.fsPath), step.name);
+      const requiredColor = vscode.workspace.getConfiguration('azure-templates-navigator').get('requiredParameterColor', '#c92d35');
+      const range = new vscode.Range(position.line, step.col, position.line, step.endCol);
+      return new vscode.Hover(buildTaskHoverMarkdown(step, task, requiredColor), range);
+    }
+
     // ── Template hover ────────────────────────────────────────────────────────
-    // Match:  "- template: path/to/template.yml"
-    // Also handles indented variants and optional leading "- "
-    // Strip YAML line comments first to avoid matching "# ── Step template: ..."
-    const match = /(?:^|\s)-?\s*template\s*:\s*(.+)$/.exec(
-      line.replace(/(^\s*#.*|\s#.*)$/, '')
-    );
-    if (!match) return undefined;
+    // The cursor line must hold a real `template:` mapping key — comments and
+    // block-scalar text that merely mention "template:" are ignored.
+    const ref = findTemplateReferences(docText).find(r => r.line === position.line);
+    if (!ref) return undefined;
 
-    const templateRef = match[1].trim();
+    const templateRef = ref.templateRef;
 
     // Parse repository aliases from the full document text
     const repoAliases = parseRepositoryAliases(docText);
@@ -714,10 +1499,10 @@ const hoverProvider = {
     const requiredColor = config.get('requiredParameterColor', '#c92d35');
 
     const params = parseParameters(text);
-    const hoverMarkdown = buildHoverMarkdown(templateRef, params, requiredColor, repoName, filePath);
+    const hoverMarkdown = buildHoverMarkdown(templateRef, params, requiredColor, repoName, filePath, parseTemplateDoc(text));
 
     // Provide a code lens range covering the whole "template:" token
-    const templateKeyStart = line.indexOf('template:');
+    const templateKeyStart = ref.col;
     const range = new vscode.Range(
       position.line, templateKeyStart,
       position.line, line.length
@@ -730,14 +1515,16 @@ const hoverProvider = {
 /**
  * Definition provider: powers F12 / Cmd+Click / Ctrl+Click on:
  *   1. A "template:" line  → opens the template file at line 0
- *   2. A parameter key inside a template call's "parameters:" sub-block
+ *   2. A "dependsOn:" entry → jumps to the stage or job it names, in this
+ *      file or in an included stage / job template
+ *   3. A parameter key inside a template call's "parameters:" sub-block
  *      → opens the template file and jumps to the matching "- name: <param>" line
  */
 const definitionProvider = {
   /**
    * @param {vscode.TextDocument} document
    * @param {vscode.Position} position
-   * @returns {vscode.Location | undefined}
+   * @returns {vscode.Location | vscode.Location[] | undefined}
    */
   provideDefinition(document, position) {
     const lineText = document.lineAt(position).text;
@@ -745,13 +1532,28 @@ const definitionProvider = {
     const lines = docText.replace(/\r\n/g, '\n').split('\n');
 
     // ── 1. Template line go-to-definition ────────────────────────────────────
-    // Strip YAML line comments first to avoid matching "# ── Step template: ..."
-    const templateLineMatch = /(?:^|\s)-?\s*template\s*:\s*(.+)$/.exec(
-      lineText.replace(/(^\s*#.*|\s#.*)$/, '')
-    );
-    if (templateLineMatch) {
-      const templateRef = templateLineMatch[1].trim();
+    const templateRefs = findTemplateReferences(docText);
+    const templateLineRef = templateRefs.find(r => r.line === position.line);
+    if (templateLineRef) {
+      const templateRef = templateLineRef.templateRef;
       const repoAliases = parseRepositoryAliases(docText);
+
+      // A path built from parameters / variables — every candidate file
+      if (isDynamicTemplateRef(templateRef)) {
+        const { variables } = collectVariables(docText, document.uri.fsPath, repoAliases);
+        const candidates = expandTemplateRef(templateRef, {
+          params: parseParameters(docText),
+          variables: Object.fromEntries(Object.entries(variables).map(([k, v]) => [k, v.value])),
+        });
+        const locations = [];
+        for (const candidate of candidates) {
+          const r = resolveTemplatePath(candidate.templateRef, document.uri.fsPath, repoAliases);
+          if (!r || r.unknownAlias || !r.filePath || !fs.existsSync(r.filePath)) continue;
+          locations.push(new vscode.Location(vscode.Uri.file(r.filePath), new vscode.Position(0, 0)));
+        }
+        return locations.length > 0 ? locations : undefined;
+      }
+
       const resolved = resolveTemplatePath(templateRef, document.uri.fsPath, repoAliases);
 
       if (!resolved || resolved.unknownAlias || !resolved.filePath) return undefined;
@@ -763,7 +1565,36 @@ const definitionProvider = {
       return new vscode.Location(targetUri, new vscode.Position(0, 0));
     }
 
-    // ── 2. Parameter key go-to-definition ────────────────────────────────────
+    // ── 2. dependsOn entry go-to-definition ──────────────────────────────────
+    // dependsOn: Build / dependsOn: [Build, Test] → the stage or job named
+    // Required here: dependencyValidator loads templateExpander, which needs
+    // this module to have finished loading
+    const { findDependsOnDefinition } = require('./dependencyValidator');
+    const dependency = findDependsOnDefinition(docText, document.uri.fsPath, position.line, position.character);
+    if (dependency) {
+      return new vscode.Location(vscode.Uri.file(dependency.filePath), new vscode.Position(dependency.line, dependency.col));
+    }
+
+    // ── 3. Variable reference go-to-definition ───────────────────────────────
+    // $(varName) / ${{ variables.varName }} → the innermost definition in
+    // scope, in this file or in the variable template it comes from
+    const varSyntaxPatterns = [
+      /\$\(([\w.]+)\)/g,
+      /\$\{\{\s*variables\.([\w.]+)\s*\}\}/g,
+    ];
+    for (const pattern of varSyntaxPatterns) {
+      let m;
+      while ((m = pattern.exec(lineText)) !== null) {
+        if (position.character < m.index || position.character > m.index + m[0].length) continue;
+        const scopes = findVariableScopes(docText, document.uri.fsPath, position.line);
+        const { definition, environment } = resolveVariable(scopes, m[1]);
+        const target = definition || environment;
+        if (!target) return undefined;
+        return new vscode.Location(vscode.Uri.file(target.info.filePath), new vscode.Position(target.info.line, 0));
+      }
+    }
+
+    // ── 4. Parameter key go-to-definition ────────────────────────────────────
     // Detect if the cursor is on a "paramName: value" line inside a template's
     // parameters sub-block.  The line must look like:
     //   "    paramName: someValue"
@@ -779,38 +1610,16 @@ const definitionProvider = {
 
     const paramName = paramKeyMatch[2];
 
-    // Walk upward to find the owning "- template:" line
+    // Find the template call whose "parameters:" block holds the cursor (not
+    // some other indented block like "inputs:" or "env:")
     const templateLineIdx = findOwningTemplateLine(lines, position.line);
     if (templateLineIdx === -1) return undefined;
 
-    // Verify the cursor is actually inside the "parameters:" sub-block of that
-    // template call (not some other indented block like "inputs:" or "env:").
-    // Scan between templateLineIdx+1 and cursorLine for a "parameters:" key.
-    let foundParamsBlock = false;
-    const templateIndent = lines[templateLineIdx].length - lines[templateLineIdx].trimStart().length;
-    for (let i = templateLineIdx + 1; i <= position.line; i++) {
-      const t = lines[i].trimEnd();
-      const s = t.trimStart();
-      if (s === '') continue;
-      const ind = t.length - s.length;
-      // A "parameters:" key at one level deeper than the template line
-      if (ind > templateIndent && /^parameters\s*:/.test(s)) {
-        foundParamsBlock = true;
-        break;
-      }
-      // If we hit a sibling key at the same indent as the template line, stop
-      if (ind <= templateIndent) break;
-    }
-    if (!foundParamsBlock) return undefined;
-
     // Resolve the template file
-    const templateLineText = lines[templateLineIdx];
-    const templateRefMatch = /(?:^|\s)-?\s*template\s*:\s*(.+)$/.exec(
-      templateLineText.replace(/(^\s*#.*|\s#.*)$/, '')
-    );
-    if (!templateRefMatch) return undefined;
+    const owningRef = templateRefs.find(r => r.line === templateLineIdx);
+    if (!owningRef) return undefined;
 
-    const templateRef = templateRefMatch[1].trim();
+    const templateRef = owningRef.templateRef;
     const repoAliases = parseRepositoryAliases(docText);
     const resolved = resolveTemplatePath(templateRef, document.uri.fsPath, repoAliases);
 
@@ -841,12 +1650,31 @@ module.exports = {
   hoverProvider,
   definitionProvider,
   // Export internals for unit testing and reuse by other providers
+  PARAMETER_NAME,
   parseParameters,
+  parseDocComment,
+  parseTemplateDoc,
+  formatDocMarkdown,
+  formatDocListItem,
   parseRepositoryAliases,
   parseVariables,
+  collectVariables,
+  collectVariablesNode,
+  findVariableScopes,
+  variableScopeFinder,
+  resolveVariable,
+  enclosingMaps,
+  findRuntimeSetters,
   parsePassedParameters,
+  parseDirectiveKey,
+  findTemplateReferences,
+  findEnclosingTemplateCall,
   resolveTemplatePath,
   buildHoverMarkdown,
+  buildDefaultContext,
+  buildParameterReferenceHoverMarkdown,
+  buildTaskHoverMarkdown,
   findRepoRoot,
   findOwningTemplateLine,
+  isInTemplateParameters,
 };
@@ -0,0 +1,338 @@
+'use strict';
+
+/**
+ * inlineTemplateProvider.js
+ *
+ * "Inline template" refactoring — the reverse of extractTemplateProvider: on a
+ * `- template:` line, replaces the call with the body of the template.
+ *
+ * `${{ parameters.x }}` in the body is replaced with the value the call site
+ * passes, or the template's default:
+ *   • a whole scalar `${{ parameters.x }}` becomes the value as written at
+ *     the call site (collections in flow style);
+ *   • inside a longer string, the value's text is spliced in;
+ *   • inside an expression (`${{ if eq(parameters.x, 'a') }}`), the
+ *     reference becomes an expression literal — or, when the call passes
+ *     `${{ parameters.y }}`, the caller's own reference.
+ *
+ * The body is re-indented to the call site and its relative `template:`
+ * references are rewritten to resolve from the calling file — through the
+ * call's `@alias` when the template comes from another repository.  The
+ * action is offered disabled, with the reason, when a value cannot be
+ * substituted.
+ */
+
+const path = require('path');
+const vscode = require('vscode');
+const fileCache = require('./fileCache');
+const { parseYaml, getMapEntry, toFlowString, walk } = require('./yamlParser');
+const {
+  parseParameters,
+  parsePassedParameters,
+  parseRepositoryAliases,
+  resolveTemplatePath,
+  findTemplateReferences,
+} = require('./hoverProvider');
+const { lineIndent } = require('./quickFixProvider');
+const { findExpressions, parseTemplateExpression, collectReferences } = require('./templateExpression');
+const { rewriteTemplateRef } = require('./moveTemplateProvider');
+
+/** Keys whose value is a list a template can contribute to. */
+const LIST_KEYS = ['steps', 'jobs', 'stages', 'variables'];
+
+/** Matches a scalar that is exactly one `${{ }}` expression. */
+const WHOLE_EXPRESSION = /^\$\{\{\s*([\s\S]*?)\s*\}\}$/;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Values
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Renders a value as YAML that can replace a whole scalar.
+ * @param {object|null} node  yamlParser node of the value
+ * @returns {string}
+ */
+function yamlText(node) {
+  if (!node) return "''";
+  if (node.kind !== 'scalar') return toFlowString(node);
+  if (node.style === 'literal' || node.style === 'folded') return JSON.stringify(node.value);
+  return node.raw;
+}
+
+/**
+ * Renders a value as a template expression literal, or returns null when it
+ * has none (collections, strings that embed `${{ }}`).
+ * @param {object|null} node
+ * @returns {string|null}
+ */
+function expressionLiteral(node) {
+  if (!node) return "''";
+  if (node.kind !== 'scalar') return null;
+  const whole = WHOLE_EXPRESSION.exec(node.value);
+  if (whole && findExpressions(node.value).length === 1) return whole[1];
+  if (node.value.includes('${{')) return null;
+  if (node.style === 'plain' && /^(true|false|-?\d+(\.\d+)?)$/i.test(node.value)) return node.value;
+  return `'${node.value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Escapes a string spliced into a scalar of the given style.
+ * @param {string} text
+ * @param {string} style
+ * @returns {string}
+ */
+function escapeFor(text, style) {
+  if (style === 'single') return text.replace(/'/g, "''");
+  if (style === 'double') return JSON.stringify(text).slice(1, -1);
+  return text;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Plan
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Finds the list item that holds the `template:` key on `templateLine`, and
+ * the kind of list it is in (`steps`, `jobs`, …).
+ *
+ * @param {object} root  yamlParser root node
+ * @param {number} templateLine
+ * @returns {{ item: object, kind: string }|null}
+ */
+function findCallItem(root, templateLine) {
+  let found = null;
+  const visit = (node, kind) => {
+    if (!node || found) return;
+    if (node.kind === 'map') {
+      for (const entry of node.entries) {
+        visit(entry.value, LIST_KEYS.includes(entry.key) ? entry.key : kind);
+      }
+    } else if (node.kind === 'seq') {
+      for (const item of node.items) {
+        const entry = item && getMapEntry(item, 'template');
+        if (entry && entry.line === templateLine) {
+          found = kind ? { item, kind } : null;
+          return;
+        }
+        visit(item, kind);
+      }
+    }
+  };
+  visit(root, null);
+  return found;
+}
+
+/**
+ * Returns the innermost scalar (value or key) of a document that contains a
+ * position, or null.
+ * @param {object[]} scalars
+ * @param {number} line
+ * @param {number} col
+ */
+function scalarAt(scalars, line, col) {
+  return scalars.find(s =>
+    (line > s.line || (line === s.line && col >= s.col)) &&
+    (line < s.endLine || (line === s.endLine && col <= s.endCol))
+  ) || null;
+}
+
+/**
+ * Works out the text that replaces the `- template:` call on `templateLine`,
+ * or why the call cannot be inlined.
+ *
+ * @param {import('vscode').TextDocument} document  Calling document
+ * @param {number} templateLine
+ * @param {string} templateText
+ * @param {string} templatePath
+ * @returns {{ startLine: number, endLine: number, text: string } | { error: string }}
+ */
+function planInline(document, templateLine, templateText, templatePath) {
+  const text = document.getText();
+  const filePath = document.uri.fsPath;
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const templateName = path.basename(templatePath);
+
+  const call = findCallItem(parseYaml(text).root, templateLine);
+  if (!call) return { error: 'Only template calls in a steps, jobs, stages or variables list can be inlined' };
+
+  const templateDoc = parseYaml(templateText);
+  const bodyEntry = getMapEntry(templateDoc.root, call.kind);
+  if (!bodyEntry) return { error: `${templateName} has no root '${call.kind}:' to inline` };
+  const bodyItems = bodyEntry.value && bodyEntry.value.kind === 'seq' ? bodyEntry.value.items.filter(Boolean) : [];
+
+  // ── Values of the parameters ──────────────────────────────────────────────
+  const declared = parseParameters(templateText);
+  const passed = parsePassedParameters(lines, templateLine);
+  for (const [name, info] of Object.entries(passed)) {
+    if (info.dynamic) return { error: `The call passes parameters built by '${name}', which cannot be inlined` };
+    if (info.directives || info.alternatives) return { error: `'${name}' is passed inside a \${{ }} block, which cannot be inlined` };
+    if (!declared.some(p => p.name === name)) return { error: `'${name}' is not a parameter of ${templateName}` };
+  }
+  const valueOf = (name) => {
+    if (passed[name]) return { node: passed[name].node };
+    const param = declared.find(p => p.name === name);
+    if (!param) return { error: `${templateName} uses 'parameters.${name}', which it does not declare` };
+    if (param.required) return { error: `Required parameter '${name}' is not passed` };
+    return { node: param.defaultNode };
+  };
+
+  // ── Replacements in the body ──────────────────────────────────────────────
+  const tLines = templateText.replace(/\r\n/g, '\n').split('\n');
+  const startLine = bodyItems.length > 0 ? bodyItems[0].line : 0;
+  const endLine = bodyItems.length > 0 ? bodyItems[bodyItems.length - 1].endLine : -1;
+
+  const scalars = [];
+  walk(templateDoc.root, (node) => {
+    if (node.kind === 'scalar') scalars.push(node);
+    if (node.kind === 'map') for (const e of node.entries) scalars.push(e.keyNode);
+  });
+  // Innermost first, so scalarAt finds the one that holds a position
+  scalars.sort((a, b) => (a.endLine - a.line) - (b.endLine - b.line) || (a.endCol - a.col) - (b.endCol - b.col));
+
+  const edits = [];
+  for (let line = startLine; line <= endLine; line++) {
+    for (const expr of findExpressions(tLines[line])) {
+      const scalar = scalarAt(scalars, line, expr.start);
+      if (!scalar) continue; // in a comment
+      const { ast, error } = parseTemplateExpression(expr.inner);
+      if (!ast || error) continue;
+      const refs = collectReferences(ast, 'parameters');
+      if (refs.length === 0) continue;
+
+      const whole = refs.length === 1 && expr.inner.trim() === expr.inner.slice(refs[0].start, refs[0].end);
+      if (whole) {
+        const value = valueOf(refs[0].name);
+        if (value.error) return value;
+        const quoted = scalar.style === 'single' || scalar.style === 'double' ? 1 : 0;
+        const isWholeScalar = scalar.line === line && scalar.endLine === line &&
+          scalar.col + quoted === expr.start && scalar.endCol - quoted === expr.end;
+        if (isWholeScalar && (scalar.style === 'plain' || !value.node || value.node.kind !== 'scalar')) {
+          const isListItem = /^\s*-\s*$/.test(tLines[line].slice(0, scalar.col));
+          if (value.node && value.node.kind !== 'scalar' && isListItem) {
+            return { error: `'${refs[0].name}' inserts a list, which cannot be inlined` };
+          }
+          edits.push({ line, start: scalar.col, end: scalar.endCol, text: yamlText(value.node) });
+          continue;
+        }
+        if (value.node && value.node.kind !== 'scalar') {
+          return { error: `'${refs[0].name}' is a ${value.node.kind === 'seq' ? 'list' : 'mapping'} used inside a string` };
+        }
+        edits.push({ line, start: expr.start, end: expr.end, text: escapeFor(value.node ? value.node.value : '', scalar.style) });
+        continue;
+      }
+
+      // A compound expression: replace each reference with a literal
+      let inner = expr.inner;
+      for (const ref of [...refs].sort((a, b) => b.start - a.start)) {
+        const value = valueOf(ref.name);
+        if (value.error) return value;
+        const literal = expressionLiteral(value.node);
+        if (literal === null) return { error: `'${ref.name}' cannot be written inside the expression \${{ ${expr.inner.trim()} }}` };
+        inner = inner.slice(0, ref.start) + literal + inner.slice(ref.end);
+      }
+      const offset = expr.innerStart - expr.start;
+      const original = tLines[line].slice(expr.start, expr.end);
+      edits.push({ line, start: expr.start, end: expr.end, text: original.slice(0, offset) + inner + original.slice(offset + expr.inner.length) });
+    }
+  }
+
+  // Relative template references must resolve from the calling file.  In a
+  // template from another repository they are written `path@alias`, with the
+  // alias the call uses; its `@alias` references are left as they are.
+  const aliases = parseRepositoryAliases(templateText);
+  const callerAliases = parseRepositoryAliases(text);
+  const callRef = findTemplateReferences(text).find(r => r.line === templateLine);
+  const callResolved = callRef && resolveTemplatePath(callRef.templateRef, filePath, callerAliases);
+  const callAlias = callResolved && callResolved.repoName ? callResolved.alias : null;
+  for (const ref of findTemplateReferences(templateText)) {
+    if (ref.line < startLine || ref.line > endLine) continue;
+    if (callAlias && ref.templateRef.includes('@')) continue;
+    if (ref.templateRef.includes('${{')) {
+      const moves = callAlias || (path.dirname(templatePath) !== path.dirname(filePath) && !ref.templateRef.startsWith('/'));
+      if (moves && !ref.templateRef.includes('@')) {
+        return { error: `The path of the template on line ${ref.line + 1} of ${templateName} is built from an expression` };
+      }
+      continue;
+    }
+    const resolved = resolveTemplatePath(ref.templateRef, templatePath, aliases);
+    if (!resolved || resolved.unknownAlias || !resolved.filePath || resolved.repoName) continue;
+    const rewritten = callAlias
+      ? rewriteTemplateRef(`${ref.templateRef.trim()}@${callAlias}`, filePath, resolved.filePath, callerAliases)
+      : rewriteTemplateRef(ref.templateRef, filePath, resolved.filePath, aliases);
+    if (rewritten === null && callAlias) {
+      return { error: `The template on line ${ref.line + 1} of ${templateName} is outside the '${callAlias}' repository` };
+    }
+    const start = tLines[ref.line].indexOf(ref.templateRef, ref.col);
+    if (rewritten === null || rewritten === ref.templateRef || start === -1) continue;
+    edits.push({ line: ref.line, start, end: start + ref.templateRef.length, text: rewritten });
+  }
+
+  // ── Re-indent to the call site ────────────────────────────────────────────
+  const callIndent = lineIndent(document, call.item.line);
+  const bodyIndent = bodyItems.length > 0 ? tLines[startLine].length - tLines[startLine].trimStart().length : 0;
+  const body = [];
+  for (let line = startLine; line <= endLine; line++) {
+    let lineText = tLines[line];
+    for (const e of edits.filter(x => x.line === line).sort((a, b) => b.start - a.start)) {
+      lineText = lineText.slice(0, e.start) + e.text + lineText.slice(e.end);
+    }
+    const strip = Math.min(bodyIndent, lineText.length - lineText.trimStart().length);
+    body.push(lineText.trim() === '' ? '' : callIndent + lineText.slice(strip));
+  }
+  while (body.length > 0 && body[body.length - 1] === '') body.pop();
+
+  return { startLine: call.item.line, endLine: call.item.endLine, text: body.join('\n') };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VS Code provider
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Code action provider offering "Inline template" on a `- template:` line.
+ */
+const inlineTemplateActionProvider = {
+  /**
+   * @param {vscode.TextDocument} document
+   * @param {vscode.Range|vscode.Selection} range
+   * @returns {vscode.CodeAction[]}
+   */
+  provideCodeActions(document, range) {
+    const text = document.getText();
+    const ref = findTemplateReferences(text).find(r => r.line === range.start.line && r.kind === 'template');
+    if (!ref || ref.templateRef.includes('${{')) return [];
+
+    const resolved = resolveTemplatePath(ref.templateRef, document.uri.fsPath, parseRepositoryAliases(text));
+    if (!resolved || resolved.unknownAlias || !resolved.filePath) return [];
+    const templateText = fileCache.readFile(resolved.filePath);
+    if (templateText === null || templateText === undefined) return [];
+
+    const templateName = path.basename(resolved.filePath);
+    const action = new vscode.CodeAction(`Inline template '${templateName}'`, vscode.CodeActionKind.RefactorInline);
+    const plan = planInline(document, ref.line, templateText, resolved.filePath);
+    if (plan.error) {
+      action.disabled = { reason: plan.error };
+      return [action];
+    }
+
+    const edit = new vscode.WorkspaceEdit();
+    if (plan.text === '') {
+      // Nothing to inline — remove the call's lines
+      const end = plan.endLine + 1 < document.lineCount
+        ? new vscode.Position(plan.endLine + 1, 0)
+        : new vscode.Position(plan.endLine, document.lineAt(plan.endLine).text.length);
+      edit.delete(document.uri, new vscode.Range(new vscode.Position(plan.startLine, 0), end));
+    } else {
+      const last = document.lineAt(plan.endLine).text.length;
+      edit.replace(document.uri, new vscode.Range(plan.startLine, 0, plan.endLine, last), plan.text);
+    }
+    action.edit = edit;
+    return [action];
+  },
+};
+
+module.exports = {
+  inlineTemplateActionProvider,
+  planInline,
+  expressionLiteral,
+};
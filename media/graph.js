@@ -17,6 +17,7 @@ let fileScopeEnabled = true; // mirrors _fileScopeEnabled on the extension side
 let scopedFilePath = null;   // the focal file when in file-scope mode
 let showFullPath = false;    // whether to show workspace-relative paths as node labels
 let graphDepth = 1;          // current BFS depth for file-scope mode (1–10)
+let graphMode = 'templates'; // 'templates' (file inclusion) or 'execution' (stages / jobs)
 
 /** @type {Array<{filePath:string,filename:string,relativePath:string,directory:string}>} */
 let searchIndex = [];        // all workspace YAML files for the search bar
@@ -30,6 +31,10 @@ const KIND_COLOR = {
   external: '#9b6fd4',
   missing:  '#e05c5c',
   unknown:  '#e09a3d',
+  // Execution graph
+  stage:      '#4e9de0',
+  job:        '#3dba8a',
+  deployment: '#9b6fd4',
 };
 
 const KIND_RADIUS = {
@@ -38,6 +43,9 @@ const KIND_RADIUS = {
   external: 15,
   missing:  11,
   unknown:  11,
+  stage:      16,
+  job:        12,
+  deployment: 12,
 };
 
 const KIND_STROKE = {
@@ -46,8 +54,14 @@ const KIND_STROKE = {
   external: '#6a3fa8',
   missing:  '#b03030',
   unknown:  '#b06a10',
+  stage:      '#2a7abf',
+  job:        '#1f8a5e',
+  deployment: '#6a3fa8',
 };
 
+/** Opacity of the circle and label of deprecated templates */
+const DEPRECATED_OPACITY = 0.4;
+
 // ---------------------------------------------------------------------------
 // DOM refs
 // ---------------------------------------------------------------------------
@@ -173,6 +187,7 @@ const edgeLabels     = document.getElementById('edge-labels-layer');
 const nodesLayer     = document.getElementById('nodes-layer');
 const ctxMenu        = document.getElementById('ctx-menu');
 const emptyState     = document.getElementById('empty-state');
+const btnGraphMode   = document.getElementById('btn-graph-mode');
 const btnFileScope   = document.getElementById('btn-file-scope');
 const btnFullPath    = document.getElementById('btn-full-path');
 const depthControls  = document.getElementById('depth-controls');
@@ -205,6 +220,32 @@ document.getElementById('legend-toggle').addEventListener('click', () => {
 // ---------------------------------------------------------------------------
 document.getElementById('btn-fit').addEventListener('click', fitView);
 
+// ---------------------------------------------------------------------------
+// Graph-mode toggle button
+// ---------------------------------------------------------------------------
+
+/**
+ * Updates the graph-mode button, the legend and the controls that only apply
+ * to the template graph to match `graphMode`.
+ */
+function updateGraphModeButton() {
+  const execution = graphMode === 'execution';
+  btnGraphMode.classList.toggle('active', execution);
+  btnGraphMode.title = execution
+    ? 'Showing the stages and jobs of the open pipeline — click to show the template graph'
+    : 'Show the stages and jobs of the open pipeline in execution order';
+  document.body.classList.toggle('mode-execution', execution);
+  btnFileScope.disabled = execution;
+  btnFullPath.disabled = execution;
+}
+
+btnGraphMode.addEventListener('click', () => {
+  graphMode = graphMode === 'execution' ? 'templates' : 'execution';
+  updateGraphModeButton();
+  updateDepthControls();
+  vscode.postMessage({ type: 'setGraphMode', mode: graphMode });
+});
+
 // ---------------------------------------------------------------------------
 // File-scope toggle button
 // ---------------------------------------------------------------------------
@@ -240,7 +281,7 @@ btnFileScope.addEventListener('click', () => {
  * and shows/hides the controls based on whether file-scope mode is active.
  */
 function updateDepthControls() {
-  if (fileScopeEnabled) {
+  if (fileScopeEnabled && graphMode === 'templates') {
     depthControls.classList.add('visible');
   } else {
     depthControls.classList.remove('visible');
@@ -304,7 +345,7 @@ function nodeLabel(d) {
  * Updates only the text labels of existing nodes (no simulation restart needed).
  */
 function updateNodeLabels() {
-  d3.select(nodesLayer).selectAll('g.node').select('text:last-of-type')
+  d3.select(nodesLayer).selectAll('g.node').select('text.node-label')
     .text(d => truncate(nodeLabel(d), showFullPath ? 40 : 24));
 }
 
@@ -322,6 +363,11 @@ function showCtxMenu(event, d) {
   const items = ctxMenu.querySelectorAll('.ctx-item');
   items.forEach(el => el.remove());
 
+  if (d.filePath && typeof d.line === 'number') {
+    addCtxItem('$(symbol-event) Go to definition', () => {
+      vscode.postMessage({ type: 'openLocation', filePath: d.filePath, line: d.line });
+    });
+  }
   if (d.filePath && d.kind !== 'missing' && d.kind !== 'unknown') {
     addCtxItem('$(go-to-file) Open file', () => {
       vscode.postMessage({ type: 'openFile', filePath: d.filePath });
@@ -381,6 +427,12 @@ window.addEventListener('message', (event) => {
       break;
 
     case 'graphData':
+      // Sync the graph mode from the extension (e.g. when a panel opens)
+      if (msg.mode && msg.mode !== graphMode) {
+        graphMode = msg.mode;
+      }
+      updateGraphModeButton();
+
       // Sync file-scope state from the extension (e.g. on first load)
       if (typeof msg.fileScopeEnabled === 'boolean' && msg.fileScopeEnabled !== fileScopeEnabled) {
         fileScopeEnabled = msg.fileScopeEnabled;
@@ -426,6 +478,11 @@ vscode.postMessage({ type: 'ready' });
  * @returns {Map<string, number>}  nodeId → layer
  */
 function computeLayers(nodes, edges) {
+  // The execution graph comes with its rows in execution order
+  if (nodes.length > 0 && nodes.every(n => typeof n.layer === 'number')) {
+    return new Map(nodes.map(n => [n.id, n.layer]));
+  }
+
   // Build adjacency list (directed: source → target)
   /** @type {Map<string, string[]>} */
   const adj = new Map(nodes.map(n => [n.id, []]));
@@ -523,18 +580,108 @@ function applyHierarchicalPositions(nodes, layerMap, width, height) {
  * @returns {string}
  */
 function edgeColor(e) {
+  if (e.kind === 'dependsOn')       return '#4e9de0';  // blue  — stage / job order
+  if (e.kind === 'contains')        return '#888';     // grey  — stage → its first jobs
   if (e.direction === 'upstream')   return '#e09a3d';  // amber — caller → focal
   if (e.direction === 'downstream') return '#4e9de0';  // blue  — focal → callee
+  if (e.kind === 'extends')         return '#c586c0';  // magenta — pipeline → base template
   return '#666';                                        // grey  — workspace-wide
 }
 
+/**
+ * Returns the stroke width for an edge — `extends` edges are drawn heavier.
+ * @param {object} e  edge datum
+ * @returns {number}
+ */
+function edgeWidth(e) {
+  const base = (e.direction === 'upstream' || e.direction === 'downstream') ? 2 : 1.5;
+  return e.kind === 'extends' ? base + 1 : base;
+}
+
+/**
+ * Returns the label text for an edge, or '' for none.  Conditions longer
+ * than a few words are shortened; the full text is the label's tooltip.
+ * @param {object} e  edge datum
+ * @returns {string}
+ */
+function edgeLabel(e) {
+  const parts = [];
+  if (e.kind === 'extends') parts.push('extends');
+  if (e.kind === 'dependsOn' || e.kind === 'contains') return '';
+  if (e.condition) {
+    parts.push(e.condition.length > 32 ? `${e.condition.slice(0, 31)}…` : e.condition);
+  }
+  if (e.label) parts.push(e.label);
+  return parts.join(' ');
+}
+
+/**
+ * Returns the dash pattern for an edge, or null for a solid line.
+ * @param {object} e  edge datum
+ * @returns {string|null}
+ */
+function edgeDash(e) {
+  // Dotted: a candidate of a template path built from parameters / variables,
+  // or a stage starting its first jobs; dash-dot: a call nested under
+  // `${{ if }}` / `${{ else }}`; dashed: upstream, or a stage that follows the
+  // stage before it without `dependsOn:`
+  if (e.dynamic || e.kind === 'contains') return '2,3';
+  if (e.condition) return '8,3,2,3';
+  if (e.direction === 'upstream' || e.implicit) return '5,3';
+  return null;
+}
+
+/**
+ * Returns the annotation lines shown below an execution-graph node: its
+ * condition and the template that contributed it.
+ * @param {object} d  node datum
+ * @returns {string[]}
+ */
+function nodeNotes(d) {
+  const notes = [];
+  if (d.ifCondition) notes.push(truncate(d.ifCondition, 30));
+  if (d.condition) notes.push(`when ${truncate(d.condition, 25)}`);
+  if (d.template) notes.push(`from ${d.template.split('/').pop()}`);
+  return notes;
+}
+
+/**
+ * Returns the tooltip of an execution-graph node.
+ * @param {object} d  node datum
+ * @returns {string}
+ */
+function nodeTooltip(d) {
+  const kindLabel = d.kind === 'deployment' ? 'Deployment job' : d.kind === 'job' ? 'Job' : 'Stage';
+  const lines = [`${kindLabel} ${d.name || '(unnamed)'}`];
+  if (d.stage) lines.push(`Stage: ${d.stage}`);
+  if (d.ifCondition) lines.push(`Inserted only when: ${d.ifCondition}`);
+  if (d.condition) lines.push(`Condition: ${d.condition}`);
+  if (d.template) lines.push(`From template: ${d.template}`);
+  return lines.join('\n');
+}
+
+/**
+ * Returns the tooltip of a deprecated template node.
+ * @param {object} d  node datum
+ * @returns {string}
+ */
+function deprecationTooltip(d) {
+  const lines = [`Deprecated${d.deprecationReason ? ` — ${d.deprecationReason}` : ''}`];
+  if (d.replacement) lines.push(`Replacement: ${d.replacement}`);
+  return lines.join('\n');
+}
+
 /**
  * @param {import('../graphWebViewProvider').GraphNode[]} nodes
  * @param {import('../graphWebViewProvider').GraphEdge[]} edges
  */
 function renderGraph(nodes, edges, scopedFile) {
   if (!nodes || nodes.length === 0) {
-    if (fileScopeEnabled) {
+    if (graphMode === 'execution') {
+      showEmpty(scopedFile
+        ? 'No stages or jobs found in this pipeline.'
+        : 'Open a YAML pipeline file to see its stages and jobs.');
+    } else if (fileScopeEnabled) {
       showEmpty('Open a YAML pipeline file to scope the graph to it.');
     } else {
       showEmpty();
@@ -611,22 +758,27 @@ function renderGraph(nodes, edges, scopedFile) {
     .enter()
     .append('line')
     .attr('stroke', d => edgeColor(d))
-    .attr('stroke-width', d => (d.direction === 'upstream' || d.direction === 'downstream') ? 2 : 1.5)
+    .attr('stroke-width', d => edgeWidth(d))
     .attr('stroke-opacity', d => (d.direction === 'upstream' || d.direction === 'downstream') ? 0.75 : 0.6)
-    .attr('stroke-dasharray', d => d.direction === 'upstream' ? '5,3' : null)
+    .attr('stroke-dasharray', d => edgeDash(d))
     .attr('marker-end', d => d.direction === 'upstream' ? 'url(#arrow-upstream)' : 'url(#arrow)');
 
-  // Edge labels (only for cross-repo edges that have a label)
+  // Edge labels (cross-repo aliases, the bindings of dynamic paths, extends,
+  // conditions)
   const edgeLabelSel = d3.select(edgeLabels)
     .selectAll('text')
-    .data(allEdges.filter(e => e.label))
+    .data(allEdges.filter(e => edgeLabel(e)))
     .enter()
     .append('text')
     .attr('font-size', 9)
     .attr('fill', d => edgeColor(d))
     .attr('text-anchor', 'middle')
     .attr('dy', -3)
-    .text(d => d.label);
+    .text(d => edgeLabel(d));
+
+  edgeLabelSel.filter(d => d.condition)
+    .append('title')
+    .text(d => `Inserted only when: ${d.condition}`);
 
   // ── Nodes ────────────────────────────────────────────────────────────────
   const nodeGroup = d3.select(nodesLayer)
@@ -644,7 +796,7 @@ function renderGraph(nodes, edges, scopedFile) {
     );
 
   // Focal-node outer ring (only in file-scope mode for the scoped file)
-  nodeGroup.filter(d => scopedFile && d.filePath === scopedFile)
+  nodeGroup.filter(d => graphMode === 'templates' && scopedFile && d.filePath === scopedFile)
     .append('circle')
     .attr('r', d => (KIND_RADIUS[d.kind] || 13) + 5)
     .attr('fill', 'none')
@@ -654,13 +806,41 @@ function renderGraph(nodes, edges, scopedFile) {
     .attr('opacity', 0.8)
     .attr('pointer-events', 'none');
 
+  // Pipelines that do not extend an approved base template: red outer ring
+  nodeGroup.filter(d => d.nonCompliant)
+    .append('circle')
+    .attr('r', d => (KIND_RADIUS[d.kind] || 13) + 4)
+    .attr('fill', 'none')
+    .attr('stroke', '#e05c5c')
+    .attr('stroke-width', 2.5)
+    .attr('pointer-events', 'none');
+
+  // Stages and jobs with a condition: dashed amber outer ring
+  nodeGroup.filter(d => d.condition || d.ifCondition)
+    .append('circle')
+    .attr('r', d => (KIND_RADIUS[d.kind] || 13) + 4)
+    .attr('fill', 'none')
+    .attr('stroke', '#e09a3d')
+    .attr('stroke-width', 2)
+    .attr('stroke-dasharray', '4,2')
+    .attr('pointer-events', 'none');
+
   // Circle
   nodeGroup.append('circle')
     .attr('r', d => KIND_RADIUS[d.kind] || 13)
     .attr('fill', d => KIND_COLOR[d.kind] || '#888')
     .attr('stroke', d => KIND_STROKE[d.kind] || '#555')
     .attr('stroke-width', 2)
-    .attr('filter', d => d.kind === 'pipeline' ? 'url(#shadow)' : null);
+    .attr('filter', d => d.kind === 'pipeline' ? 'url(#shadow)' : null)
+    .attr('opacity', d => d.deprecated ? DEPRECATED_OPACITY : null);
+
+  nodeGroup.filter(d => d.nonCompliant)
+    .append('title')
+    .text('Does not extend an approved base template');
+
+  nodeGroup.filter(d => d.deprecated)
+    .append('title')
+    .text(d => deprecationTooltip(d));
 
   // Icon text inside circle
   nodeGroup.append('text')
@@ -671,21 +851,45 @@ function renderGraph(nodes, edges, scopedFile) {
     .attr('pointer-events', 'none')
     .text(d => kindIcon(d.kind));
 
+  if (graphMode === 'execution') {
+    nodeGroup.append('title').text(d => nodeTooltip(d));
+  }
+
   // Label below circle
   nodeGroup.append('text')
+    .attr('class', 'node-label')
     .attr('text-anchor', 'middle')
     .attr('dy', d => (KIND_RADIUS[d.kind] || 13) + 13)
     .attr('font-size', 10)
     .attr('fill', 'var(--vscode-editor-foreground)')
+    .attr('opacity', d => d.deprecated ? DEPRECATED_OPACITY : null)
+    .attr('text-decoration', d => d.deprecated ? 'line-through' : null)
     .attr('pointer-events', 'none')
     .text(d => truncate(nodeLabel(d), showFullPath ? 40 : 24));
 
+  // Execution graph: condition and contributing template below the label
+  if (graphMode === 'execution') {
+    nodeGroup.each(function (d) {
+      nodeNotes(d).forEach((note, i) => {
+        d3.select(this).append('text')
+          .attr('text-anchor', 'middle')
+          .attr('dy', (KIND_RADIUS[d.kind] || 13) + 25 + i * 11)
+          .attr('font-size', 9)
+          .attr('fill', 'var(--vscode-descriptionForeground)')
+          .attr('pointer-events', 'none')
+          .text(note);
+      });
+    });
+  }
+
   // ── Interactions ──────────────────────────────────────────────────────────
   nodeGroup
     .on('click', (event, d) => {
       event.stopPropagation();
       hideCtxMenu();
-      if (d.filePath && d.kind !== 'missing' && d.kind !== 'unknown') {
+      if (d.filePath && typeof d.line === 'number') {
+        vscode.postMessage({ type: 'openLocation', filePath: d.filePath, line: d.line });
+      } else if (d.filePath && d.kind !== 'missing' && d.kind !== 'unknown') {
         vscode.postMessage({ type: 'openFile', filePath: d.filePath });
       }
     })
@@ -780,7 +984,7 @@ function highlightNeighbours(d, edgeSel, nodeGroup) {
 function resetHighlight(edgeSel, nodeGroup) {
   edgeSel
     .attr('stroke-opacity', e => (e.direction === 'upstream' || e.direction === 'downstream') ? 0.75 : 0.6)
-    .attr('stroke-width',   e => (e.direction === 'upstream' || e.direction === 'downstream') ? 2 : 1.5);
+    .attr('stroke-width',   e => edgeWidth(e));
   nodeGroup.style('opacity', 1);
 }
 
@@ -836,6 +1040,8 @@ function hideEmpty() {
 function kindIcon(kind) {
   switch (kind) {
     case 'pipeline': return '▶';
+    case 'stage':    return '▤';
+    case 'deployment': return '⇪';
     case 'external': return '⬡';
     case 'missing':  return '✕';
     case 'unknown':  return '?';
@@ -0,0 +1,322 @@
+'use strict';
+
+/**
+ * moveTemplateProvider.js
+ *
+ * Keeps `template:` references working when templates are moved or renamed.
+ * Whether a file is moved from the Explorer (workspace.onWillRenameFiles) or
+ * with the "Move Template…" command, every reference to it — in its callers,
+ * found through the reverse adjacency of the workspace index, and the
+ * relative references of the moved file itself — is recomputed so it
+ * resolves to the new location, in the style it was written in:
+ *   • relative paths stay relative (a leading `./` is kept);
+ *   • `/`-rooted paths stay rooted at the repository root;
+ *   • `@self` and `@alias` suffixes are kept.
+ *
+ * All edits go into one WorkspaceEdit, so the move is undone in one step.
+ * References built from template expressions cannot be rewritten and are
+ * reported instead.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const vscode = require('vscode');
+const fileCache = require('./fileCache');
+const {
+  findTemplateReferences,
+  parseRepositoryAliases,
+  resolveTemplatePath,
+  findRepoRoot,
+} = require('./hoverProvider');
+const { workspaceIndex } = require('./workspaceIndex');
+const { splitLines } = require('./referenceProvider');
+
+/**
+ * @typedef {object} TemplateMove
+ * @property {string} oldPath  Absolute path before the move
+ * @property {string} newPath  Absolute path after the move
+ *
+ * @typedef {object} ReferenceEdit
+ * @property {string} filePath  File to edit, at its path before the move
+ * @property {number} line
+ * @property {number} start
+ * @property {number} end
+ * @property {string} oldText
+ * @property {string} newText
+ *
+ * @typedef {object} SkippedReference
+ * @property {string} filePath
+ * @property {number} line
+ * @property {string} templateRef
+ * @property {string} reason
+ */
+
+/** Converts a platform path to the forward-slash form used in pipelines. */
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+/**
+ * Rewrites a template reference so that, written in `callerPath`, it
+ * resolves to `targetPath` — keeping the style of `templateRef`.  Returns
+ * null when that style cannot reach the target (e.g. an `@alias` reference
+ * to a template moved out of that repository).
+ *
+ * @param {string} templateRef  Reference as written
+ * @param {string} callerPath   Absolute path of the file that will hold the reference
+ * @param {string} targetPath   Absolute path the reference must resolve to
+ * @param {Record<string, string>} [repoAliases]  alias → repo folder name map
+ * @returns {string|null}
+ */
+function rewriteTemplateRef(templateRef, callerPath, targetPath, repoAliases) {
+  const ref = templateRef.trim();
+  const atIndex = ref.lastIndexOf('@');
+  const refPath = atIndex === -1 ? ref : ref.slice(0, atIndex).trim();
+  const suffix = atIndex === -1 ? '' : ref.slice(atIndex);
+  const alias = atIndex === -1 ? null : ref.slice(atIndex + 1).trim();
+
+  if (alias !== null && alias !== 'self') {
+    const repoName = repoAliases && repoAliases[alias];
+    if (!repoName) return null;
+    const repoDir = path.join(path.dirname(findRepoRoot(path.dirname(callerPath))), repoName);
+    const rel = path.relative(repoDir, targetPath);
+    if (rel.startsWith('..') || path.isAbsolute(rel)) return null;
+    return `${refPath.startsWith('/') ? '/' : ''}${toPosix(rel)}${suffix}`;
+  }
+
+  if (refPath.startsWith('/')) {
+    const rel = path.relative(findRepoRoot(path.dirname(callerPath)), targetPath);
+    if (rel.startsWith('..') || path.isAbsolute(rel)) return null;
+    return `/${toPosix(rel)}${suffix}`;
+  }
+
+  const rel = toPosix(path.relative(path.dirname(callerPath), targetPath));
+  const dotted = refPath.startsWith('./') && !rel.startsWith('../') ? `./${rel}` : rel;
+  return `${dotted}${suffix}`;
+}
+
+/**
+ * Works out the edits that keep every reference to the moved files working.
+ *
+ * The files considered are the callers of every moved file, taken from the
+ * index, and the moved files themselves (whose relative references move with
+ * them).  Edits are located at the files' paths before the move, so they can
+ * be applied before the files are renamed.
+ *
+ * @param {TemplateMove[]} moves
+ * @param {import('./workspaceIndex').WorkspaceIndex} index
+ * @param {(filePath: string) => string|null} [readText]  Source of a file
+ * @returns {{ edits: ReferenceEdit[], skipped: SkippedReference[] }}
+ */
+function planTemplateMoves(moves, index, readText = fileCache.readFile) {
+  const movedTo = new Map(moves.map(m => [m.oldPath, m.newPath]));
+  const moved = (p) => movedTo.get(p) || p;
+
+  /** file → moved files it calls */
+  const affected = new Map();
+  const note = (file, target) => {
+    if (!affected.has(file)) affected.set(file, new Set());
+    if (target) affected.get(file).add(target);
+  };
+  for (const { oldPath } of moves) {
+    note(oldPath, null);
+    for (const caller of index.getCallers(oldPath)) note(caller, oldPath);
+  }
+
+  const edits = [];
+  const skipped = [];
+  for (const [file, targets] of [...affected].sort((a, b) => a[0].localeCompare(b[0]))) {
+    const text = readText(file);
+    if (!text) continue;
+    const lines = splitLines(text);
+    const aliases = parseRepositoryAliases(text);
+    const reached = new Set();
+    const dynamic = [];
+
+    for (const ref of findTemplateReferences(text)) {
+      if (ref.templateRef.includes('${{')) {
+        dynamic.push(ref);
+        continue;
+      }
+      const resolved = resolveTemplatePath(ref.templateRef, file, aliases);
+      if (!resolved || resolved.unknownAlias || !resolved.filePath) continue;
+      const target = resolved.filePath;
+      reached.add(target);
+      if (moved(target) === target && moved(file) === file) continue;
+
+      const lineText = lines[ref.line] || '';
+      const start = lineText.indexOf(ref.templateRef, ref.col);
+      const newText = rewriteTemplateRef(ref.templateRef, moved(file), moved(target), aliases);
+      if (start === -1 || newText === null) {
+        skipped.push({
+          filePath: file,
+          line: ref.line,
+          templateRef: ref.templateRef,
+          reason: newText === null ? 'the new location cannot be written in the same style' : 'the reference could not be located',
+        });
+        continue;
+      }
+      if (newText === ref.templateRef) continue;
+      edits.push({ filePath: file, line: ref.line, start, end: start + ref.templateRef.length, oldText: ref.templateRef, newText });
+    }
+
+    // Callers that reach a moved file only through a template expression
+    if ([...targets].some(t => !reached.has(t))) {
+      for (const ref of dynamic) {
+        skipped.push({ filePath: file, line: ref.line, templateRef: ref.templateRef, reason: 'the path is built from a template expression' });
+      }
+    }
+  }
+  return { edits, skipped };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VS Code integration
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** True for a path of a YAML file. */
+function isYaml(filePath) {
+  return /\.ya?ml$/i.test(filePath);
+}
+
+/**
+ * Expands renamed files and folders into the YAML files they move.
+ *
+ * @param {readonly { oldUri: vscode.Uri, newUri: vscode.Uri }[]} files
+ * @param {import('./workspaceIndex').WorkspaceIndex} index
+ * @returns {TemplateMove[]}
+ */
+function collectMoves(files, index) {
+  const moves = [];
+  for (const { oldUri, newUri } of files) {
+    if (oldUri.scheme !== 'file' || newUri.scheme !== 'file') continue;
+    const oldPath = oldUri.fsPath;
+    const newPath = newUri.fsPath;
+    let isDirectory = false;
+    try { isDirectory = fs.statSync(oldPath).isDirectory(); } catch { /* already gone */ }
+
+    if (!isDirectory) {
+      if (isYaml(oldPath)) moves.push({ oldPath, newPath });
+      continue;
+    }
+    const prefix = oldPath + path.sep;
+    for (const file of index.getAllFiles()) {
+      if (file.startsWith(prefix)) moves.push({ oldPath: file, newPath: path.join(newPath, file.slice(prefix.length)) });
+    }
+  }
+  return moves;
+}
+
+/** Returns the text of an open document, or of the file on disk. */
+function readOpenOrDisk(filePath) {
+  const open = vscode.workspace.textDocuments.find(d => d.uri.scheme === 'file' && d.uri.fsPath === filePath);
+  return open ? open.getText() : fileCache.readFile(filePath);
+}
+
+/**
+ * Adds the reference edits of a plan to a WorkspaceEdit.
+ * @param {vscode.WorkspaceEdit} edit
+ * @param {ReferenceEdit[]} edits
+ */
+function addReferenceEdits(edit, edits) {
+  for (const e of edits) {
+    edit.replace(vscode.Uri.file(e.filePath), new vscode.Range(e.line, e.start, e.line, e.end), e.newText);
+  }
+}
+
+/** Tells the user about references that were left as they were. */
+function reportSkipped(skipped) {
+  if (skipped.length === 0) return;
+  const list = skipped
+    .map(s => `${path.basename(s.filePath)}:${s.line + 1} (${s.templateRef}) — ${s.reason}`)
+    .join('; ');
+  vscode.window.showWarningMessage(
+    `Azure Templates Navigator: ${skipped.length} template reference${skipped.length === 1 ? ' was' : 's were'} not updated: ${list}`
+  );
+}
+
+/**
+ * Registers the file-rename hook and the "Move Template…" command.
+ *
+ * @param {vscode.ExtensionContext} context
+ */
+function createMoveTemplateProvider(context) {
+  // Moves made by the command already carry their reference edits
+  const movingByCommand = new Set();
+
+  context.subscriptions.push(
+    vscode.workspace.onWillRenameFiles(event => {
+      const moves = collectMoves(event.files, workspaceIndex).filter(m => !movingByCommand.has(m.oldPath));
+      if (moves.length === 0) return;
+      const { edits, skipped } = planTemplateMoves(moves, workspaceIndex, readOpenOrDisk);
+      reportSkipped(skipped);
+      if (edits.length === 0) return;
+      const edit = new vscode.WorkspaceEdit();
+      addReferenceEdits(edit, edits);
+      event.waitUntil(Promise.resolve(edit));
+    }),
+
+    vscode.commands.registerCommand('azure-templates-navigator.moveTemplate', async (uri) => {
+      const editor = vscode.window.activeTextEditor;
+      const oldPath = uri && uri.fsPath
+        ? uri.fsPath
+        : editor && editor.document.uri.scheme === 'file' ? editor.document.uri.fsPath : null;
+      if (!oldPath || !isYaml(oldPath)) {
+        vscode.window.showWarningMessage('Azure Templates Navigator: Open or select a template YAML file to move it.');
+        return;
+      }
+
+      const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(oldPath));
+      const base = folder ? folder.uri.fsPath : path.dirname(oldPath);
+      const current = toPosix(path.relative(base, oldPath));
+      const input = await vscode.window.showInputBox({
+        title: `Move Template — ${path.basename(oldPath)}`,
+        prompt: 'New path, relative to the workspace folder. References to the template are updated.',
+        value: current,
+        valueSelection: [0, current.lastIndexOf('/') + 1],
+        validateInput: (value) => {
+          const trimmed = value.trim();
+          if (!trimmed) return 'Enter a path';
+          if (!isYaml(trimmed)) return 'Templates must have a .yml or .yaml extension';
+          if (trimmed !== current && fs.existsSync(path.resolve(base, trimmed))) return `${trimmed} already exists`;
+          return null;
+        },
+      });
+      if (input === undefined) return; // user cancelled
+
+      const newPath = path.resolve(base, input.trim());
+      if (newPath === oldPath) return;
+
+      const { edits, skipped } = planTemplateMoves([{ oldPath, newPath }], workspaceIndex, readOpenOrDisk);
+      const edit = new vscode.WorkspaceEdit();
+      addReferenceEdits(edit, edits);
+      edit.renameFile(vscode.Uri.file(oldPath), vscode.Uri.file(newPath));
+
+      movingByCommand.add(oldPath);
+      let applied;
+      try {
+        applied = await vscode.workspace.applyEdit(edit);
+      } finally {
+        movingByCommand.delete(oldPath);
+      }
+      if (!applied) {
+        vscode.window.showErrorMessage(`Azure Templates Navigator: Could not move ${path.basename(oldPath)}.`);
+        return;
+      }
+
+      const files = new Set(edits.map(e => e.filePath)).size;
+      vscode.window.showInformationMessage(
+        `Azure Templates Navigator: Moved ${path.basename(oldPath)} — updated ${edits.length} reference${edits.length === 1 ? '' : 's'} in ${files} file${files === 1 ? '' : 's'}.`
+      );
+      reportSkipped(skipped);
+    })
+  );
+}
+
+module.exports = {
+  createMoveTemplateProvider,
+  planTemplateMoves,
+  rewriteTemplateRef,
+  readOpenOrDisk,
+  toPosix,
+};
@@ -0,0 +1,186 @@
+'use strict';
+
+/**
+ * outputVariables.js
+ *
+ * Finds variables that scripts set at runtime with the logging command
+ *
+ *   echo "##vso[task.setvariable variable=name;isOutput=true]value"
+ *
+ * and resolves the references other jobs and stages make to output
+ * variables:
+ *
+ *   $[ dependencies.Build.outputs['setVersion.version'] ]
+ *   $[ stageDependencies.Build.Compile.outputs['setVersion.version'] ]
+ *   $(setVersion.version)                   ← later step of the same job
+ *
+ * Pure Node — no vscode dependency.
+ */
+
+const { parseYaml, getMapEntry, scalarValue, walk } = require('./yamlParser');
+const { STEP_KEYS } = require('./shapeValidator');
+
+/**
+ * @typedef {object} SetVariableCommand
+ * @property {string}      name       Value of `variable=`
+ * @property {boolean}     isOutput   `isOutput=true` — readable from other jobs
+ * @property {boolean}     isSecret
+ * @property {string}      value      Text after the command, as written
+ * @property {string|null} stepName   The step's `name:` (needed to reference outputs)
+ * @property {string|null} jobName
+ * @property {string|null} stageName
+ * @property {number}      line       0-based line of the command
+ */
+
+/**
+ * @typedef {object} OutputReference
+ * @property {number}      start      Offset of the reference in the line
+ * @property {number}      end
+ * @property {string}      text       The reference as written
+ * @property {string|null} stageName  Set for `stageDependencies.<stage>.<job>`
+ * @property {string}      dependency Job (or stage) named after `dependencies.`
+ * @property {string|null} jobName    Job named in the key (`'<job>.<step>.<var>'`)
+ *   or after the stage in `stageDependencies`
+ * @property {string}      stepName
+ * @property {string}      variable
+ */
+
+const SETVARIABLE_RE = /##vso\[task\.setvariable\s+([^\]]*)\]([^\r\n"'`]*)/gi;
+const OUTPUT_REF_RE = /\b(stageDependencies|dependencies)\.([\w-]+)(?:\.([\w-]+))?\.outputs\[\s*(['"])([\w.-]+)\4\s*\]/g;
+
+/**
+ * Parses the `;`-separated properties of a logging command.
+ * @param {string} text  e.g. "variable=x;isOutput=true"
+ * @returns {Record<string, string>}  lower-cased keys
+ */
+function parseCommandProperties(text) {
+  const props = {};
+  for (const part of text.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    props[part.slice(0, eq).trim().toLowerCase()] = part.slice(eq + 1).trim();
+  }
+  return props;
+}
+
+/**
+ * Scans the scalar values of one step for `task.setvariable` commands.
+ * @param {object} step  yamlParser map of the step
+ * @param {{ stageName: string|null, jobName: string|null }} context
+ * @param {SetVariableCommand[]} out
+ */
+function scanStep(step, context, out) {
+  const stepName = scalarValue(getMapEntry(step, 'name') && getMapEntry(step, 'name').value) || null;
+  walk(step, (node) => {
+    if (node.kind !== 'scalar') return;
+    // `raw` keeps block-scalar indicators, so newlines in it map to lines
+    const source = node.raw !== undefined ? node.raw : node.value;
+    SETVARIABLE_RE.lastIndex = 0;
+    let m;
+    while ((m = SETVARIABLE_RE.exec(source)) !== null) {
+      const props = parseCommandProperties(m[1]);
+      if (!props.variable) continue;
+      out.push({
+        name: props.variable,
+        isOutput: /^true$/i.test(props.isoutput || ''),
+        isSecret: /^true$/i.test(props.issecret || ''),
+        value: m[2].trim(),
+        stepName,
+        ...context,
+        line: node.line + (source.slice(0, m.index).match(/\n/g) || []).length,
+      });
+    }
+  });
+}
+
+/**
+ * Returns every `##vso[task.setvariable …]` command in the document's steps,
+ * with the step, job and stage that run it.
+ *
+ * @param {string} text
+ * @returns {SetVariableCommand[]}
+ */
+function findSetVariableCommands(text) {
+  const commands = [];
+  const visit = (node, context) => {
+    if (!node) return;
+    if (node.kind === 'seq') {
+      for (const item of node.items) visit(item, context);
+      return;
+    }
+    if (node.kind !== 'map') return;
+
+    const stage = getMapEntry(node, 'stage');
+    const job = getMapEntry(node, 'job') || getMapEntry(node, 'deployment');
+    if (stage) context = { ...context, stageName: scalarValue(stage.value) };
+    if (job) context = { ...context, jobName: scalarValue(job.value) };
+
+    if (!stage && !job && STEP_KEYS.some(k => k !== 'template' && getMapEntry(node, k))) {
+      scanStep(node, context, commands);
+      return;
+    }
+    for (const e of node.entries) visit(e.value, context);
+  };
+  const doc = parseYaml(text);
+  visit(doc.root, { stageName: null, jobName: null });
+  return commands;
+}
+
+/**
+ * Finds output-variable references in one line of text.
+ * @param {string} line
+ * @returns {OutputReference[]}
+ */
+function findOutputReferences(line) {
+  const refs = [];
+  OUTPUT_REF_RE.lastIndex = 0;
+  let m;
+  while ((m = OUTPUT_REF_RE.exec(line)) !== null) {
+    const segments = m[5].split('.');
+    if (segments.length < 2) continue;
+    const isStage = m[1] === 'stageDependencies';
+    refs.push({
+      start: m.index,
+      end: m.index + m[0].length,
+      text: m[0],
+      stageName: isStage ? m[2] : null,
+      dependency: m[2],
+      jobName: isStage ? (m[3] || null) : (segments.length > 2 ? segments[segments.length - 3] : null),
+      stepName: segments[segments.length - 2],
+      variable: segments[segments.length - 1],
+    });
+  }
+  return refs;
+}
+
+/**
+ * Returns the output commands a reference can read.
+ *
+ * `dependencies.X.outputs['step.var']` names job X (from another job) or
+ * stage X (from a stage condition, with `'job.step.var'`), so X may match
+ * either the job or the stage.
+ *
+ * @param {SetVariableCommand[]} commands
+ * @param {OutputReference} ref
+ * @returns {SetVariableCommand[]}
+ */
+function resolveOutputReference(commands, ref) {
+  const same = (a, b) => a !== null && b !== null && a.toLowerCase() === b.toLowerCase();
+  return commands.filter(c => {
+    if (!c.isOutput || !same(c.name, ref.variable) || !same(c.stepName, ref.stepName)) return false;
+    if (ref.stageName !== null) {
+      return same(c.stageName, ref.stageName) && (ref.jobName === null || same(c.jobName, ref.jobName));
+    }
+    if (ref.jobName !== null) {
+      return same(c.jobName, ref.jobName) && (same(c.stageName, ref.dependency) || same(c.jobName, ref.dependency));
+    }
+    return same(c.jobName, ref.dependency);
+  });
+}
+
+module.exports = {
+  findSetVariableCommands,
+  findOutputReferences,
+  resolveOutputReference,
+  parseCommandProperties,
+};
@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * pipelineGraph.js
+ *
+ * Finds the stages and jobs a pipeline or template file declares, with their
+ * `dependsOn:` entries, as written in the source — the basis for dependency
+ * validation and for navigating from a `dependsOn` entry to the stage or job
+ * it names.
+ *
+ * Stages and jobs are grouped in scopes: the names a `dependsOn` entry can
+ * refer to.  The root `stages:` list is one scope, and so is the `jobs:` list
+ * of each stage and the root `jobs:` list.  `${{ if }}` / `${{ each }}`
+ * blocks inside a list are descended, and `- template:` items are recorded
+ * for callers that follow them.
+ *
+ * Pure Node — no vscode dependency.
+ */
+
+const { getMapEntry, getMapValue } = require('./yamlParser');
+const { isDirectiveKey } = require('./shapeValidator');
+
+/**
+ * @typedef {object} DependsOnEntry
+ * @property {string} value  Name as written
+ * @property {object} node   Scalar node of the name
+ *
+ * @typedef {object} GraphItem
+ * @property {'stage'|'job'|'deployment'} kind
+ * @property {string|null} name   Name as written (null when missing)
+ * @property {object|null} nameNode
+ * @property {object} node        Mapping node of the stage or job
+ * @property {DependsOnEntry[]|null} dependsOn  null when there is no `dependsOn:` key
+ * @property {boolean} conditional  Declared inside an `${{ if }}` / `${{ each }}` block
+ * @property {GraphScope|null} jobs  Jobs of a stage
+ *
+ * @typedef {object} GraphTemplate
+ * @property {string} ref
+ * @property {object} node        Scalar node of the template path
+ * @property {boolean} conditional
+ *
+ * @typedef {object} GraphScope
+ * @property {'stage'|'job'} kind
+ * @property {object} listNode    The `stages:` / `jobs:` sequence
+ * @property {GraphItem|null} parent  Stage that owns a job scope
+ * @property {GraphItem[]} items
+ * @property {GraphTemplate[]} templates
+ */
+
+/** Keys that name the items of each kind of scope. */
+const ID_KEYS = { stage: ['stage'], job: ['job', 'deployment'] };
+
+/**
+ * Returns the `dependsOn:` entries of a stage or job: one for a single name,
+ * one per name of a list.  Items that are not plain names are skipped.
+ *
+ * @param {object|null|undefined} node
+ * @returns {DependsOnEntry[]}
+ */
+function dependsOnEntries(node) {
+  if (!node) return [];
+  if (node.kind === 'scalar') return node.value === '' ? [] : [{ value: node.value, node }];
+  if (node.kind !== 'seq') return [];
+  return node.items
+    .filter(item => item && item.kind === 'scalar' && item.value !== '')
+    .map(item => ({ value: item.value, node: item }));
+}
+
+/**
+ * Collects the stages or jobs of a `stages:` / `jobs:` list.
+ *
+ * @param {object} listNode  Sequence node
+ * @param {'stage'|'job'} kind
+ * @param {GraphItem|null} [parent]
+ * @returns {GraphScope}
+ */
+function collectScope(listNode, kind, parent = null) {
+  const scope = { kind, listNode, parent, items: [], templates: [] };
+
+  const visit = (items, conditional) => {
+    for (const item of items) {
+      if (!item || item.kind !== 'map' || item.entries.length === 0) continue;
+
+      if (item.entries.every(e => isDirectiveKey(e.key))) {
+        for (const e of item.entries) {
+          if (e.value && e.value.kind === 'seq') visit(e.value.items, true);
+        }
+        continue;
+      }
+
+      const templateEntry = getMapEntry(item, 'template');
+      if (templateEntry) {
+        if (templateEntry.value && templateEntry.value.kind === 'scalar') {
+          scope.templates.push({ ref: templateEntry.value.value, node: templateEntry.value, conditional });
+        }
+        continue;
+      }
+
+      const idEntry = item.entries.find(e => ID_KEYS[kind].includes(e.key));
+      if (!idEntry) continue;
+      const nameNode = idEntry.value && idEntry.value.kind === 'scalar' && idEntry.value.value !== '' ? idEntry.value : null;
+      const dependsOnEntry = getMapEntry(item, 'dependsOn');
+      const graphItem = {
+        kind: idEntry.key,
+        name: nameNode ? nameNode.value : null,
+        nameNode,
+        node: item,
+        dependsOn: dependsOnEntry ? dependsOnEntries(dependsOnEntry.value) : null,
+        conditional,
+        jobs: null,
+      };
+      if (kind === 'stage') {
+        const jobsNode = getMapValue(item, 'jobs');
+        if (jobsNode && jobsNode.kind === 'seq') graphItem.jobs = collectScope(jobsNode, 'job', graphItem);
+      }
+      scope.items.push(graphItem);
+    }
+  };
+
+  visit(listNode.items, false);
+  return scope;
+}
+
+/**
+ * Returns every scope of a document: its root `stages:` list, the `jobs:`
+ * list of each of those stages, and its root `jobs:` list.
+ *
+ * @param {object|null} root  yamlParser root node
+ * @returns {GraphScope[]}
+ */
+function collectDependencyScopes(root) {
+  const scopes = [];
+  const stagesNode = getMapValue(root, 'stages');
+  if (stagesNode && stagesNode.kind === 'seq') {
+    const stages = collectScope(stagesNode, 'stage');
+    scopes.push(stages);
+    for (const item of stages.items) {
+      if (item.jobs) scopes.push(item.jobs);
+    }
+  }
+  const jobsNode = getMapValue(root, 'jobs');
+  if (jobsNode && jobsNode.kind === 'seq') scopes.push(collectScope(jobsNode, 'job'));
+  return scopes;
+}
+
+/**
+ * Finds the `dependsOn` entry at a position.
+ *
+ * @param {GraphScope[]} scopes
+ * @param {number} line
+ * @param {number} character
+ * @returns {{ scope: GraphScope, item: GraphItem, entry: DependsOnEntry }|null}
+ */
+function findDependsOnAt(scopes, line, character) {
+  for (const scope of scopes) {
+    for (const item of scope.items) {
+      for (const entry of item.dependsOn || []) {
+        const n = entry.node;
+        if (n.line === line && character >= n.col && character <= n.endCol) return { scope, item, entry };
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  collectScope,
+  collectDependencyScopes,
+  findDependsOnAt,
+};
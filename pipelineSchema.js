@@ -0,0 +1,503 @@
+'use strict';
+
+/**
+ * pipelineSchema.js
+ *
+ * Structural validation of Azure Pipelines YAML against a bundled schema of
+ * its keywords: the keys each stage, job, deployment job, step, `pool:` and
+ * `strategy:` accepts, how they nest (`stages:` → `jobs:` → `steps:`) and the
+ * combinations that are invalid (a deployment job without an environment, a
+ * strategy with both `matrix:` and `parallel:`, …).
+ *
+ * Works offline on yamlParser nodes and has no vscode dependency; the
+ * diagnostic provider turns the returned problems into Diagnostics.
+ *
+ * Keywords are compared case-insensitively.  `${{ if }}` / `${{ each }}`
+ * blocks are checked as if they were inlined, and keys or values built by
+ * template expressions are trusted.
+ *
+ * Source: https://learn.microsoft.com/en-us/azure/devops/pipelines/yaml-schema
+ */
+
+const { parseYaml } = require('./yamlParser');
+const { STEP_KEYS, isDirectiveKey } = require('./shapeValidator');
+
+/**
+ * @typedef {'unknown-keyword'|'misplaced-keyword'|'missing-keyword'|'invalid-keyword-combination'|'invalid-keyword-value'} SchemaProblemCode
+ *
+ * @typedef {object} SchemaProblem
+ * @property {SchemaProblemCode} code
+ * @property {string} message
+ * @property {object} node  yamlParser node (or key node) the problem is about
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Schema
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Keys every step accepts besides its identifying key. */
+const COMMON_STEP_KEYS = [
+  'condition', 'continueOnError', 'displayName', 'enabled', 'env', 'name',
+  'timeoutInMinutes', 'retryCountOnTaskFailure', 'target',
+];
+
+/** Extra keys of each kind of step. */
+const STEP_KIND_KEYS = {
+  task: ['inputs'],
+  script: ['workingDirectory', 'failOnStderr'],
+  bash: ['workingDirectory', 'failOnStderr'],
+  pwsh: ['workingDirectory', 'failOnStderr', 'errorActionPreference', 'warningPreference', 'ignoreLASTEXITCODE'],
+  powershell: ['workingDirectory', 'failOnStderr', 'errorActionPreference', 'warningPreference', 'ignoreLASTEXITCODE'],
+  checkout: [
+    'clean', 'fetchDepth', 'fetchFilter', 'fetchTags', 'lfs', 'path', 'persistCredentials',
+    'submodules', 'sparseCheckoutDirectories', 'sparseCheckoutPatterns', 'workspaceRepo',
+  ],
+  download: ['artifact', 'patterns'],
+  downloadBuild: ['artifact', 'inputs', 'path', 'patterns'],
+  getPackage: ['path'],
+  publish: ['artifact', 'artifactType', 'fileSharePath', 'parallel', 'parallelCount'],
+  reviewApp: [],
+};
+
+/**
+ * The mappings of a pipeline.  `keys` maps each keyword to the schema entry
+ * its value is checked against, or null when the value is not checked.
+ * `scalar` allows a plain value in place of the mapping (`pool: Default`).
+ *
+ * @type {Record<string, { label: string, keys: Record<string, string|null>, scalar?: boolean }>}
+ */
+const SCHEMA = {
+  pipeline: {
+    label: 'the pipeline root',
+    keys: {
+      name: null, appendCommitMessageToRunName: null, trigger: null, pr: null, schedules: null,
+      resources: null, parameters: null, variables: null, lockBehavior: null,
+      pool: 'pool', stages: 'stageList', jobs: 'jobList', steps: 'stepList', extends: 'extends',
+      // A pipeline with only steps is one implicit job
+      strategy: 'jobStrategy', continueOnError: null, container: null, services: null, workspace: 'workspace',
+    },
+  },
+  stage: {
+    label: 'a stage',
+    keys: {
+      stage: null, displayName: null, dependsOn: 'dependsOn', condition: 'condition', variables: null,
+      jobs: 'jobList', pool: 'pool', lockBehavior: null, trigger: null, isSkippable: null, templateContext: null,
+    },
+  },
+  job: {
+    label: 'a job',
+    keys: {
+      job: null, displayName: null, dependsOn: 'dependsOn', condition: 'condition', continueOnError: null,
+      timeoutInMinutes: null, cancelTimeoutInMinutes: null, variables: null, strategy: 'jobStrategy',
+      pool: 'pool', container: null, services: null, workspace: 'workspace', uses: null,
+      steps: 'stepList', templateContext: null,
+    },
+  },
+  deployment: {
+    label: 'a deployment job',
+    keys: {
+      deployment: null, displayName: null, dependsOn: 'dependsOn', condition: 'condition', continueOnError: null,
+      timeoutInMinutes: null, cancelTimeoutInMinutes: null, variables: null, strategy: 'deploymentStrategy',
+      pool: 'pool', environment: 'environment', container: null, services: null, workspace: 'workspace',
+      uses: null, templateContext: null,
+    },
+  },
+  templateReference: {
+    label: 'a template reference',
+    keys: { template: null, parameters: null },
+  },
+  extends: {
+    label: "'extends'",
+    keys: { template: null, parameters: null },
+  },
+  pool: {
+    label: "'pool'",
+    scalar: true,
+    keys: { name: null, demands: null, vmImage: null },
+  },
+  environment: {
+    label: "'environment'",
+    scalar: true,
+    keys: { name: null, resourceName: null, resourceId: null, resourceType: null, tags: null },
+  },
+  workspace: {
+    label: "'workspace'",
+    keys: { clean: null },
+  },
+  jobStrategy: {
+    label: 'a job strategy',
+    keys: { matrix: null, maxParallel: null, parallel: null },
+  },
+  deploymentStrategy: {
+    label: 'a deployment strategy',
+    keys: { runOnce: 'runOnce', rolling: 'rolling', canary: 'canary' },
+  },
+  runOnce: {
+    label: "'runOnce'",
+    keys: { preDeploy: 'lifecycleHook', deploy: 'lifecycleHook', routeTraffic: 'lifecycleHook', postRouteTraffic: 'lifecycleHook', on: 'onHooks' },
+  },
+  rolling: {
+    label: "'rolling'",
+    keys: { maxParallel: null, preDeploy: 'lifecycleHook', deploy: 'lifecycleHook', routeTraffic: 'lifecycleHook', postRouteTraffic: 'lifecycleHook', on: 'onHooks' },
+  },
+  canary: {
+    label: "'canary'",
+    keys: { increments: null, preDeploy: 'lifecycleHook', deploy: 'lifecycleHook', routeTraffic: 'lifecycleHook', postRouteTraffic: 'lifecycleHook', on: 'onHooks' },
+  },
+  onHooks: {
+    label: "'on'",
+    keys: { failure: 'lifecycleHook', success: 'lifecycleHook' },
+  },
+  lifecycleHook: {
+    label: 'a deployment lifecycle hook',
+    keys: { steps: 'stepList', pool: 'pool' },
+  },
+};
+
+for (const [kind, keys] of Object.entries(STEP_KIND_KEYS)) {
+  SCHEMA[`step:${kind}`] = {
+    label: `a ${kind} step`,
+    keys: Object.fromEntries([kind, ...COMMON_STEP_KEYS, ...keys].map(k => [k, k === 'condition' ? 'condition' : null])),
+  };
+}
+
+/** Where a keyword belongs, for "misplaced" messages — checked in this order. */
+const HOMES = ['pipeline', 'stage', 'job', 'deployment', ...Object.keys(STEP_KIND_KEYS).map(kind => `step:${kind}`)];
+
+/** Messages for common nesting mistakes that need more than "belongs on". */
+const NESTING_HINTS = {
+  stage: { steps: "'steps' is not valid on a stage; steps belong to a job under 'jobs:'" },
+  deployment: { steps: "'steps' is not valid on a deployment job; put them under 'strategy: runOnce: deploy:'" },
+  jobStrategy: {
+    runonce: "'runOnce' is only valid in the strategy of a deployment job",
+    rolling: "'rolling' is only valid in the strategy of a deployment job",
+    canary: "'canary' is only valid in the strategy of a deployment job",
+  },
+  deploymentStrategy: {
+    matrix: "'matrix' is only valid in the strategy of a job; deployment jobs use runOnce, rolling or canary",
+    parallel: "'parallel' is only valid in the strategy of a job; deployment jobs use runOnce, rolling or canary",
+  },
+};
+
+/** Lower-cased keyword → schema entry, per mapping. */
+const LOWER_KEYS = Object.fromEntries(Object.entries(SCHEMA).map(([name, def]) =>
+  [name, new Map(Object.entries(def.keys).map(([k, v]) => [k.toLowerCase(), { key: k, value: v }]))]
+));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * True for a scalar that is a template or runtime expression, or a macro —
+ * its value is only known when the pipeline runs.
+ * @param {object|null} node
+ * @returns {boolean}
+ */
+function isDynamicScalar(node) {
+  return !!node && node.kind === 'scalar' && /\$\{\{|\$\[|\$\(/.test(node.value);
+}
+
+/**
+ * Returns the entries of a mapping with the contents of its `${{ if }}` /
+ * `${{ each }}` blocks inlined.  `dynamic` is set when a key is built by an
+ * expression (`${{ insert }}`, `${{ parameters.key }}: …`) — any key may be
+ * present then.
+ *
+ * @param {object} map
+ * @returns {{ entries: object[], dynamic: boolean }}
+ */
+function flattenEntries(map) {
+  const entries = [];
+  let dynamic = false;
+  const visit = (m) => {
+    for (const e of m.entries) {
+      if (isDirectiveKey(e.key)) {
+        if (/^\$\{\{\s*each\b/.test(e.key)) dynamic = true;
+        if (e.value && e.value.kind === 'map') visit(e.value);
+        continue;
+      }
+      if (e.key.includes('${{')) {
+        dynamic = true;
+        continue;
+      }
+      entries.push(e);
+    }
+  };
+  visit(map);
+  return { entries, dynamic };
+}
+
+/** Human-readable name of a node's kind for messages. */
+function describeKind(node) {
+  if (node.kind === 'map') return 'a mapping';
+  if (node.kind === 'seq') return 'a sequence';
+  return `the scalar '${node.value}'`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Checks
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Checks the keys of a mapping against `SCHEMA[schemaName]`, then the values
+ * of the known keys.
+ *
+ * @param {object} map
+ * @param {string} schemaName
+ * @param {SchemaProblem[]} problems
+ * @returns {{ entries: object[], dynamic: boolean }}  The flattened entries
+ */
+function checkMapping(map, schemaName, problems) {
+  const def = SCHEMA[schemaName];
+  const known = LOWER_KEYS[schemaName];
+  const flat = flattenEntries(map);
+
+  for (const e of flat.entries) {
+    const lower = e.key.toLowerCase();
+    const entry = known.get(lower);
+    if (!entry) {
+      problems.push(misplacedOrUnknown(e, schemaName, def.label));
+      continue;
+    }
+    if (entry.value && e.value) checkValue(e.value, entry.value, problems);
+  }
+  return flat;
+}
+
+/**
+ * Builds the problem for a key the mapping does not accept: "misplaced" when
+ * the keyword belongs somewhere else in a pipeline, "unknown" otherwise.
+ */
+function misplacedOrUnknown(e, schemaName, label) {
+  const lower = e.key.toLowerCase();
+  const hint = NESTING_HINTS[schemaName] && (NESTING_HINTS[schemaName][e.key] || NESTING_HINTS[schemaName][lower]);
+  if (hint) return { code: 'misplaced-keyword', message: hint, node: e.keyNode };
+
+  const homes = HOMES.filter(name => name !== schemaName && LOWER_KEYS[name].has(lower)).map(name => SCHEMA[name].label);
+  if (homes.length > 0 && HOMES.includes(schemaName)) {
+    return {
+      code: 'misplaced-keyword',
+      message: `'${e.key}' is not valid on ${label}; it belongs on ${homes.join(' or ')}`,
+      node: e.keyNode,
+    };
+  }
+  return { code: 'unknown-keyword', message: `Unknown key '${e.key}' in ${label}`, node: e.keyNode };
+}
+
+/**
+ * Checks a value against a schema entry: a list type, a value rule or a
+ * mapping of `SCHEMA`.
+ */
+function checkValue(node, schemaName, problems) {
+  if (isDynamicScalar(node)) return;
+  if (schemaName in LIST_ITEMS) {
+    checkList(node, schemaName, problems);
+  } else if (schemaName in VALUE_RULES) {
+    VALUE_RULES[schemaName](node, problems);
+  } else if (node.kind === 'map') {
+    checkMapping(node, schemaName, problems);
+    if (COMBINATION_RULES[schemaName]) COMBINATION_RULES[schemaName](node, problems);
+  } else if (!(SCHEMA[schemaName].scalar && node.kind === 'scalar')) {
+    problems.push({
+      code: 'invalid-keyword-value',
+      message: `Expected ${SCHEMA[schemaName].scalar ? 'a value or a mapping' : 'a mapping'} for ${SCHEMA[schemaName].label}, got ${describeKind(node)}`,
+      node,
+    });
+  }
+}
+
+/** Checks of values that are not mappings. */
+const VALUE_RULES = {
+  dependsOn(node, problems) {
+    if (node.kind === 'scalar') return;
+    if (node.kind === 'seq' && node.items.every(i => !i || i.kind === 'scalar' || (i.kind === 'map' && i.entries.every(e => isDirectiveKey(e.key))))) return;
+    problems.push({ code: 'invalid-keyword-value', message: `'dependsOn' must be a name or a list of names, got ${describeKind(node)}`, node });
+  },
+  condition(node, problems) {
+    if (node.kind === 'scalar') return;
+    problems.push({ code: 'invalid-keyword-value', message: `'condition' must be an expression string, got ${describeKind(node)}`, node });
+  },
+};
+
+/** Item kind of each list. */
+const LIST_ITEMS = { stageList: 'stage', jobList: 'job', stepList: 'step' };
+
+/** Where each kind of list is written, for messages. */
+const LIST_KEYS = { stageList: 'stages', jobList: 'jobs', stepList: 'steps' };
+
+/**
+ * Checks a `stages:` / `jobs:` / `steps:` list, descending into
+ * `${{ if }}` / `${{ each }}` blocks whose bodies are lists of the same kind.
+ */
+function checkList(node, listName, problems) {
+  if (node.kind !== 'seq') {
+    if (node.kind === 'scalar' && node.value === '') return;
+    problems.push({
+      code: 'invalid-keyword-value',
+      message: `'${LIST_KEYS[listName]}' must be a list of ${LIST_ITEMS[listName]}s, got ${describeKind(node)}`,
+      node,
+    });
+    return;
+  }
+  for (const item of node.items) {
+    if (!item || isDynamicScalar(item)) continue;
+    if (item.kind === 'map' && item.entries.length > 0 && item.entries.every(e => isDirectiveKey(e.key))) {
+      for (const e of item.entries) {
+        if (e.value && e.value.kind === 'seq') checkList(e.value, listName, problems);
+      }
+      continue;
+    }
+    if (item.kind !== 'map') {
+      problems.push({ code: 'invalid-keyword-value', message: `Expected a ${LIST_ITEMS[listName]} mapping, got ${describeKind(item)}`, node: item });
+      continue;
+    }
+    checkListItem(item, listName, problems);
+  }
+}
+
+/**
+ * Works out what a list item is from its identifying key and checks it
+ * against the matching schema entry.
+ */
+function checkListItem(map, listName, problems) {
+  const { entries, dynamic } = flattenEntries(map);
+  const has = (key) => entries.find(e => e.key.toLowerCase() === key.toLowerCase());
+  const listKey = LIST_KEYS[listName];
+
+  if (has('template')) {
+    checkMapping(map, 'templateReference', problems);
+    return;
+  }
+
+  const stage = has('stage');
+  const jobKeys = entries.filter(e => ['job', 'deployment'].includes(e.key.toLowerCase()));
+  const stepKeys = entries.filter(e => STEP_KEYS.includes(e.key) && e.key !== 'template');
+  const first = entries[0] ? entries[0].keyNode : map;
+
+  if (listName === 'stageList') {
+    if (stage) {
+      checkMapping(map, 'stage', problems);
+    } else if (jobKeys.length > 0) {
+      problems.push({ code: 'misplaced-keyword', message: "A job cannot be listed directly under 'stages:'; put it under a stage's 'jobs:'", node: jobKeys[0].keyNode });
+    } else if (stepKeys.length > 0) {
+      problems.push({ code: 'misplaced-keyword', message: "A step cannot be listed directly under 'stages:'; put it under a job's 'steps:'", node: stepKeys[0].keyNode });
+    } else if (!dynamic) {
+      problems.push({ code: 'missing-keyword', message: "A stage must have 'stage' or 'template'", node: first });
+    }
+    return;
+  }
+
+  if (listName === 'jobList') {
+    if (jobKeys.length > 1) {
+      problems.push({ code: 'invalid-keyword-combination', message: "A job can only have one of 'job' and 'deployment'", node: jobKeys[1].keyNode });
+    } else if (jobKeys.length === 1) {
+      const kind = jobKeys[0].key.toLowerCase();
+      checkMapping(map, kind, problems);
+      if (kind === 'deployment' && !dynamic && !has('environment')) {
+        problems.push({
+          code: 'invalid-keyword-combination',
+          message: `Deployment job '${jobKeys[0].value && jobKeys[0].value.kind === 'scalar' ? jobKeys[0].value.value : ''}' has no 'environment'; deployment jobs must target an environment`,
+          node: jobKeys[0].keyNode,
+        });
+      }
+    } else if (stage) {
+      problems.push({ code: 'misplaced-keyword', message: `A stage cannot be listed under '${listKey}:'`, node: stage.keyNode });
+    } else if (stepKeys.length > 0) {
+      problems.push({ code: 'misplaced-keyword', message: "A step cannot be listed directly under 'jobs:'; put it under a job's 'steps:'", node: stepKeys[0].keyNode });
+    } else if (!dynamic) {
+      problems.push({ code: 'missing-keyword', message: "A job must have 'job', 'deployment' or 'template'", node: first });
+    }
+    return;
+  }
+
+  // Steps
+  if (stepKeys.length > 1) {
+    problems.push({
+      code: 'invalid-keyword-combination',
+      message: `A step can only have one of ${STEP_KEYS.join(', ')} — found '${stepKeys[0].key}' and '${stepKeys[1].key}'`,
+      node: stepKeys[1].keyNode,
+    });
+  } else if (stepKeys.length === 1) {
+    checkMapping(map, `step:${stepKeys[0].key}`, problems);
+  } else if (stage || jobKeys.length > 0) {
+    const key = stage || jobKeys[0];
+    problems.push({ code: 'misplaced-keyword', message: `A ${key.key === 'stage' ? 'stage' : 'job'} cannot be listed under 'steps:'`, node: key.keyNode });
+  } else if (!dynamic) {
+    problems.push({ code: 'missing-keyword', message: `A step must have one of: ${STEP_KEYS.join(', ')}`, node: first });
+  }
+}
+
+/** Rules about keys that cannot be combined, per mapping. */
+const COMBINATION_RULES = {
+  jobStrategy(map, problems) {
+    const { entries } = flattenEntries(map);
+    const matrix = entries.find(e => e.key.toLowerCase() === 'matrix');
+    const parallel = entries.find(e => e.key.toLowerCase() === 'parallel');
+    if (matrix && parallel) {
+      problems.push({ code: 'invalid-keyword-combination', message: "A job strategy cannot have both 'matrix' and 'parallel'", node: parallel.keyNode });
+    }
+  },
+  deploymentStrategy(map, problems) {
+    const { entries, dynamic } = flattenEntries(map);
+    const kinds = entries.filter(e => ['runonce', 'rolling', 'canary'].includes(e.key.toLowerCase()));
+    if (kinds.length > 1) {
+      problems.push({ code: 'invalid-keyword-combination', message: `A deployment strategy can only have one of runOnce, rolling and canary — found '${kinds[0].key}' and '${kinds[1].key}'`, node: kinds[1].keyNode });
+    } else if (kinds.length === 0 && !dynamic && entries.length > 0) {
+      problems.push({ code: 'missing-keyword', message: 'A deployment strategy must have one of runOnce, rolling or canary', node: entries[0].keyNode });
+    }
+  },
+};
+
+/**
+ * True when the document is an Azure Pipelines file — a pipeline, or a
+ * template — rather than some other YAML (a GitHub workflow, a Kubernetes
+ * manifest, …) that happens to use similar keys.
+ *
+ * @param {object} root  yamlParser root node
+ * @returns {boolean}
+ */
+function isAzurePipelinesDocument(root) {
+  if (!root || root.kind !== 'map') return false;
+  return root.entries.some(e =>
+    ['trigger', 'pr', 'schedules', 'resources', 'extends', 'parameters'].includes(e.key)
+    || (['stages', 'jobs', 'steps'].includes(e.key) && e.value && e.value.kind === 'seq')
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Validates the structure of a pipeline or template file: unknown and
+ * misplaced keywords, missing identifying keys, invalid key combinations and
+ * values of the wrong kind for `pool`, `strategy`, `dependsOn` and
+ * `condition`.  Returns no problems for YAML that is not an Azure Pipelines
+ * file.
+ *
+ * @param {string} text
+ * @returns {SchemaProblem[]}
+ */
+function validatePipelineStructure(text) {
+  const problems = [];
+  const { root } = parseYaml(text);
+  if (!isAzurePipelinesDocument(root)) return problems;
+
+  const { entries } = checkMapping(root, 'pipeline', problems);
+  const bodies = entries.filter(e => ['stages', 'jobs', 'steps', 'extends'].includes(e.key.toLowerCase()));
+  if (bodies.length > 1) {
+    problems.push({
+      code: 'invalid-keyword-combination',
+      message: `'${bodies[1].key}' cannot be combined with '${bodies[0].key}' at the pipeline root`,
+      node: bodies[1].keyNode,
+    });
+  }
+  return problems;
+}
+
+module.exports = {
+  PIPELINE_SCHEMA: SCHEMA,
+  validatePipelineStructure,
+  isAzurePipelinesDocument,
+};
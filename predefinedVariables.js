@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * predefinedVariables.js
+ *
+ * Catalog of the variables Azure Pipelines defines for every run — `Build.*`,
+ * `System.*`, `Agent.*`, `Pipeline.*`, … — with a short description and
+ * whether the value is already known when templates are expanded.
+ *
+ * Source: https://learn.microsoft.com/en-us/azure/devops/pipelines/build/variables
+ *
+ * Pure data — no vscode dependency.
+ */
+
+/**
+ * @typedef {object} PredefinedVariable
+ * @property {string}  name
+ * @property {string}  description
+ * @property {boolean} templates  Available in `${{ }}` template expressions
+ * @property {boolean} [secret]   Secret: not mapped into script environments automatically
+ * @property {string}  [note]     Where the variable is available, when that is limited
+ */
+
+/** @type {PredefinedVariable[]} */
+const CATALOG = [
+  // ── Agent ───────────────────────────────────────────────────────────────
+  { name: 'Agent.BuildDirectory', templates: false, description: 'Local path on the agent where all folders for a given pipeline are created. Same as `Pipeline.Workspace`.' },
+  { name: 'Agent.ContainerMapping', templates: false, description: 'Mapping from container resource names in YAML to their Docker IDs at runtime.' },
+  { name: 'Agent.HomeDirectory', templates: false, description: 'Directory the agent is installed into.' },
+  { name: 'Agent.Id', templates: false, description: 'ID of the agent.' },
+  { name: 'Agent.JobName', templates: false, description: 'Name of the running job.' },
+  { name: 'Agent.JobStatus', templates: false, description: 'Status of the job so far: `Canceled`, `Failed`, `Succeeded` or `SucceededWithIssues`.' },
+  { name: 'Agent.MachineName', templates: false, description: 'Name of the machine the agent is installed on.' },
+  { name: 'Agent.Name', templates: false, description: 'Name of the agent registered with the pool.' },
+  { name: 'Agent.OS', templates: false, description: 'Operating system of the agent host: `Windows_NT`, `Darwin` or `Linux`.' },
+  { name: 'Agent.OSArchitecture', templates: false, description: 'Processor architecture of the agent host: `X86`, `X64` or `ARM`.' },
+  { name: 'Agent.TempDirectory', templates: false, description: 'Temporary folder that is cleaned after each pipeline job.' },
+  { name: 'Agent.ToolsDirectory', templates: false, description: 'Directory used by tool installer tasks such as Use Node.js and Use Python Version.' },
+  { name: 'Agent.WorkFolder', templates: false, description: 'Working directory for this agent.' },
+
+  // ── Build ───────────────────────────────────────────────────────────────
+  { name: 'Build.ArtifactStagingDirectory', templates: false, description: 'Local path on the agent where artifacts are copied before being pushed. Cleaned before each build.' },
+  { name: 'Build.BinariesDirectory', templates: false, description: 'Local path on the agent to use as an output folder for compiled binaries.' },
+  { name: 'Build.BuildId', templates: true, description: 'ID of the record for the completed build.' },
+  { name: 'Build.BuildNumber', templates: false, description: 'Name of the completed build, also known as the run number. Set by the `name:` format.' },
+  { name: 'Build.BuildUri', templates: false, description: 'URI of the build, e.g. `vstfs:///Build/Build/1430`.' },
+  { name: 'Build.ContainerId', templates: false, description: 'ID of the container for the artifact.' },
+  { name: 'Build.CronSchedule.DisplayName', templates: true, description: 'Display name of the cron schedule that triggered the run.' },
+  { name: 'Build.DefinitionName', templates: true, description: 'Name of the pipeline.' },
+  { name: 'Build.DefinitionVersion', templates: true, description: 'Version of the pipeline.' },
+  { name: 'Build.QueuedBy', templates: true, description: 'Who queued the run, or the trigger service identity.' },
+  { name: 'Build.QueuedById', templates: true, description: 'ID of the identity that queued the run.' },
+  { name: 'Build.Reason', templates: true, description: 'Why the run started: `Manual`, `IndividualCI`, `BatchedCI`, `Schedule`, `PullRequest`, `BuildCompletion`, `ResourceTrigger`, …' },
+  { name: 'Build.Repository.Clean', templates: false, description: 'Value of the **Clean** setting of the source repository.' },
+  { name: 'Build.Repository.ID', templates: true, description: 'Unique identifier of the repository.' },
+  { name: 'Build.Repository.LocalPath', templates: false, description: 'Local path on the agent where the source code is downloaded. Same as `Build.SourcesDirectory` for a single checkout.' },
+  { name: 'Build.Repository.Name', templates: true, description: 'Name of the triggering repository.' },
+  { name: 'Build.Repository.Provider', templates: true, description: 'Type of the triggering repository: `TfsGit`, `TfsVersionControl`, `Git`, `GitHub` or `Svn`.' },
+  { name: 'Build.Repository.Uri', templates: true, description: 'URL of the triggering repository.' },
+  { name: 'Build.RequestedFor', templates: true, description: 'Person who pushed or checked in the change that triggered the run.' },
+  { name: 'Build.RequestedForEmail', templates: true, description: 'Email of the person who triggered the run.' },
+  { name: 'Build.RequestedForId', templates: true, description: 'ID of the person who triggered the run.' },
+  { name: 'Build.SourceBranch', templates: true, description: 'Full name of the triggering branch or tag, e.g. `refs/heads/main` or `refs/pull/1/merge`.' },
+  { name: 'Build.SourceBranchName', templates: true, description: 'Last path segment of the triggering branch or tag, e.g. `main` for `refs/heads/main`.' },
+  { name: 'Build.SourcesDirectory', templates: false, description: 'Local path on the agent where the source code is downloaded.' },
+  { name: 'Build.SourceVersion', templates: true, description: 'Latest version control change (commit ID) included in this run.' },
+  { name: 'Build.SourceVersionMessage', templates: false, description: 'Comment of the commit or changeset, truncated to the first line or 200 characters.' },
+  { name: 'Build.StagingDirectory', templates: false, description: 'Same as `Build.ArtifactStagingDirectory`.' },
+  { name: 'Build.TriggeredBy.BuildId', templates: false, description: 'ID of the run that triggered this one through a build completion trigger.' },
+  { name: 'Build.TriggeredBy.DefinitionName', templates: false, description: 'Name of the pipeline that triggered this run through a build completion trigger.' },
+  { name: 'Common.TestResultsDirectory', templates: false, description: 'Local path on the agent where test results are created. Cleaned before each build.' },
+
+  // ── Environment / Strategy (deployment jobs) ────────────────────────────
+  { name: 'Environment.Id', templates: false, description: 'ID of the environment targeted by the deployment job.', note: 'Deployment jobs only.' },
+  { name: 'Environment.Name', templates: false, description: 'Name of the environment targeted by the deployment job.', note: 'Deployment jobs only.' },
+  { name: 'Environment.ResourceId', templates: false, description: 'ID of the environment resource targeted by the deployment job.', note: 'Deployment jobs only.' },
+  { name: 'Environment.ResourceName', templates: false, description: 'Name of the environment resource targeted by the deployment job.', note: 'Deployment jobs only.' },
+  { name: 'Strategy.CycleName', templates: false, description: 'Current cycle of a canary or rolling deployment.', note: 'Deployment jobs only.' },
+  { name: 'Strategy.Name', templates: false, description: 'Deployment strategy: `runOnce`, `rolling` or `canary`.', note: 'Deployment jobs only.' },
+
+  // ── Pipeline ────────────────────────────────────────────────────────────
+  { name: 'Pipeline.Workspace', templates: false, description: 'Workspace directory for the pipeline; holds `s` (sources), `a` (artifacts), `b` (binaries) and downloaded pipeline artifacts.' },
+
+  // ── System ──────────────────────────────────────────────────────────────
+  { name: 'System.AccessToken', templates: true, secret: true, description: 'OAuth token of the build service identity for calling Azure DevOps REST APIs and git.', note: 'Secret — map it into a step with `env: { SYSTEM_ACCESSTOKEN: $(System.AccessToken) }` to use it in a script.' },
+  { name: 'System.CollectionId', templates: true, description: 'GUID of the organization or collection.' },
+  { name: 'System.CollectionUri', templates: true, description: 'URI of the organization or collection, e.g. `https://dev.azure.com/fabrikam/`.' },
+  { name: 'System.Debug', templates: false, description: 'Set to `true` to run the pipeline with diagnostic logging.' },
+  { name: 'System.DefaultWorkingDirectory', templates: false, description: 'Local path on the agent where the source code is downloaded. Same as `Build.SourcesDirectory`.' },
+  { name: 'System.DefinitionId', templates: true, description: 'ID of the pipeline.' },
+  { name: 'System.HostType', templates: true, description: '`build` for a pipeline run, `release` for a classic release.' },
+  { name: 'System.JobAttempt', templates: false, description: 'Set to 1 the first time the job is attempted and incremented on each retry.' },
+  { name: 'System.JobDisplayName', templates: false, description: 'Human-readable name of the job.' },
+  { name: 'System.JobId', templates: false, description: 'Unique identifier of a single attempt of a single job.' },
+  { name: 'System.JobName', templates: false, description: 'Name of the job, as used to express dependencies and access output variables.' },
+  { name: 'System.PhaseAttempt', templates: false, description: 'Set to 1 the first time the phase (job) is attempted and incremented on each retry.' },
+  { name: 'System.PhaseDisplayName', templates: false, description: 'Human-readable name of the phase (job).' },
+  { name: 'System.PhaseName', templates: false, description: 'Identifier of the phase (job).' },
+  { name: 'System.PlanId', templates: false, description: 'Identifier of the run\'s orchestration plan.' },
+  { name: 'System.PullRequest.IsFork', templates: true, description: '`True` when the pull request comes from a fork of the repository.', note: 'Pull request runs only.' },
+  { name: 'System.PullRequest.PullRequestId', templates: false, description: 'ID of the pull request that caused this run.', note: 'Pull request runs only.' },
+  { name: 'System.PullRequest.PullRequestNumber', templates: false, description: 'Number of the GitHub pull request that caused this run.', note: 'Pull request runs only.' },
+  { name: 'System.PullRequest.SourceBranch', templates: false, description: 'Branch being reviewed in the pull request, e.g. `refs/heads/users/raisa/new-feature`.', note: 'Pull request runs only.' },
+  { name: 'System.PullRequest.SourceRepositoryURI', templates: false, description: 'URL of the repository that contains the pull request.', note: 'Pull request runs only.' },
+  { name: 'System.PullRequest.TargetBranch', templates: false, description: 'Branch the pull request targets, e.g. `refs/heads/main`.', note: 'Pull request runs only.' },
+  { name: 'System.StageAttempt', templates: false, description: 'Set to 1 the first time the stage is attempted and incremented on each retry.' },
+  { name: 'System.StageDisplayName', templates: false, description: 'Human-readable name of the stage.' },
+  { name: 'System.StageName', templates: false, description: 'Name of the stage, as used to express dependencies and access output variables.' },
+  { name: 'System.TeamFoundationCollectionUri', templates: true, description: 'URI of the organization or collection. Same as `System.CollectionUri`.' },
+  { name: 'System.TeamProject', templates: true, description: 'Name of the project that contains this pipeline.' },
+  { name: 'System.TeamProjectId', templates: true, description: 'ID of the project that contains this pipeline.' },
+  { name: 'TF_BUILD', templates: false, description: 'Set to `True` when the script runs in a pipeline task.' },
+];
+
+/** @type {Map<string, PredefinedVariable>} lower-cased name → entry */
+const BY_NAME = new Map(CATALOG.map(v => [v.name.toLowerCase(), v]));
+
+/** Name prefixes reserved for predefined variables. */
+const PREDEFINED_PREFIXES = [
+  'Agent.', 'Build.', 'Common.', 'Environment.', 'Pipeline.', 'Release.',
+  'Resources.', 'Strategy.', 'System.', 'Deployment.',
+];
+
+/**
+ * Looks up a predefined variable.  Variable names are case-insensitive.
+ * @param {string} name
+ * @returns {PredefinedVariable|null}
+ */
+function lookupPredefinedVariable(name) {
+  return BY_NAME.get(String(name).toLowerCase()) || null;
+}
+
+/**
+ * True for names in a predefined-variable namespace (`Build.*`, `System.*`,
+ * …), including ones missing from the catalog.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isPredefinedNamespace(name) {
+  const lower = String(name).toLowerCase();
+  return PREDEFINED_PREFIXES.some(p => lower.startsWith(p.toLowerCase()));
+}
+
+/**
+ * Describes when a predefined variable has a value, for hovers.
+ * @param {PredefinedVariable} variable
+ * @returns {string}
+ */
+function availabilityNote(variable) {
+  const when = variable.templates
+    ? 'Available at compile time in `${{ }}` template expressions and at runtime.'
+    : 'Runtime only — use `$( )` or `$[ ]` syntax; it has no value in `${{ }}` template expressions.';
+  return variable.note ? `${when} ${variable.note}` : when;
+}
+
+module.exports = {
+  PREDEFINED_VARIABLES: CATALOG,
+  PREDEFINED_PREFIXES,
+  lookupPredefinedVariable,
+  isPredefinedNamespace,
+  availabilityNote,
+};
@@ -5,7 +5,10 @@ const {
   parseParameters,
   parseRepositoryAliases,
   resolveTemplatePath,
+  findTemplateReferences,
+  enclosingMaps,
 } = require('./hoverProvider');
+const { parseYaml, getMapEntry } = require('./yamlParser');
 const fs = require('fs');
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -82,13 +85,11 @@ function findLastParamLine(document, paramsLine) {
  * @returns {{ name: string, type: string, default: string|undefined, required: boolean }[]}
  */
 function getDeclaredParams(document, templateLine) {
-  const lineText = document.lineAt(templateLine).text;
-  const stripped = lineText.replace(/(^\s*#.*|\s#.*)$/, '');
-  const match = /(?:^|\s)-?\s*template\s*:\s*(.+)$/.exec(stripped);
-  if (!match) return [];
-
-  const templateRef = match[1].trim();
   const docText = document.getText();
+  const ref = findTemplateReferences(docText).find(r => r.line === templateLine);
+  if (!ref) return [];
+
+  const templateRef = ref.templateRef;
   const repoAliases = parseRepositoryAliases(docText);
   const resolved = resolveTemplatePath(templateRef, document.uri.fsPath, repoAliases);
 
@@ -386,6 +387,121 @@ function buildRemoveUnusedParamFix(document, diagnostic) {
   return action;
 }
 
+/**
+ * Plans where a new variable goes: the `variables:` block of the innermost
+ * job, stage or pipeline around `line` that has one.  Without any, a root
+ * `variables:` block is created above the top-level key that contains `line`.
+ *
+ * @param {string} text
+ * @param {number} line  0-based line of the reference
+ * @param {string} name
+ * @returns {{ line: number, character: number, end?: { line: number, character: number }, text: string }}
+ *   Insert `text` at `line`/`character` (replacing up to `end` when given)
+ */
+function planVariableInsertion(text, line, name) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const doc = parseYaml(text);
+  const owner = enclosingMaps(doc.root, line)
+    .filter(m => m === doc.root || getMapEntry(m, 'stage') || getMapEntry(m, 'job') || getMapEntry(m, 'deployment'))
+    .reverse()
+    .find(m => getMapEntry(m, 'variables'));
+
+  if (!owner) {
+    const entries = doc.root && doc.root.kind === 'map' ? doc.root.entries : [];
+    const container = entries.find(e => e.line <= line && (e.value ? e.value.endLine : e.line) >= line);
+    return { line: container ? container.line : 0, character: 0, text: `variables:\n  ${name}: \n\n` };
+  }
+
+  const entry = getMapEntry(owner, 'variables');
+  const node = entry.value;
+  if (node && node.kind === 'map' && node.entries.length > 0) {
+    return { line: node.endLine, character: lines[node.endLine].length, text: `\n${' '.repeat(node.col)}${name}: ` };
+  }
+  if (node && node.kind === 'seq' && node.items.length > 0) {
+    const indent = ' '.repeat(node.col);
+    return { line: node.endLine, character: lines[node.endLine].length, text: `\n${indent}- name: ${name}\n${indent}  value: ` };
+  }
+
+  // Empty block — `variables:` alone, or `variables: {}` / `[]`
+  const keyText = lines[entry.line];
+  const indent = ' '.repeat(keyText.length - keyText.trimStart().length + 2);
+  const colon = keyText.indexOf(':', keyText.indexOf('variables')) + 1;
+  return {
+    line: entry.line,
+    character: colon,
+    end: node ? { line: node.endLine, character: node.endCol } : { line: entry.line, character: keyText.length },
+    text: `\n${indent}${name}: `,
+  };
+}
+
+/**
+ * "Add variable" quick-fix for an undefined variable reference.
+ *
+ * Adds `<name>: ` to the nearest `variables:` block around the reference
+ * (see planVariableInsertion).  Not offered for names in a predefined
+ * namespace such as `Build.*`.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Diagnostic}   diagnostic
+ * @returns {vscode.CodeAction | undefined}
+ */
+function buildAddVariableFix(document, diagnostic) {
+  // Message: "Variable 'foo' is not defined in any variables: block …"
+  const msgMatch = /^Variable '([\w.-]+)' is not (?:defined|declared)/.exec(diagnostic.message);
+  if (!msgMatch) return undefined;
+
+  const varName = msgMatch[1];
+  const plan = planVariableInsertion(document.getText(), diagnostic.range.start.line, varName);
+  const start = new vscode.Position(plan.line, plan.character);
+
+  const edit = new vscode.WorkspaceEdit();
+  if (plan.end) {
+    edit.replace(document.uri, new vscode.Range(start, new vscode.Position(plan.end.line, plan.end.character)), plan.text);
+  } else {
+    edit.insert(document.uri, start, plan.text);
+  }
+
+  const action = new vscode.CodeAction(
+    `Add variable '${varName}' to variables:`,
+    vscode.CodeActionKind.QuickFix
+  );
+  action.edit = edit;
+  action.diagnostics = [diagnostic];
+  action.isPreferred = true;
+
+  return action;
+}
+
+/**
+ * "Switch to replacement" quick-fix for deprecated templates and parameters.
+ *
+ * Replaces the diagnostic range — the template reference or the parameter
+ * key — with the replacement named at the end of the message.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Diagnostic}   diagnostic
+ * @returns {vscode.CodeAction | undefined}
+ */
+function buildSwitchToReplacementFix(document, diagnostic) {
+  // Message: "Template 'build.yml' is deprecated: … — switch to 'build-v2.yml'"
+  const msgMatch = / — switch to '([^']+)'$/.exec(diagnostic.message);
+  if (!msgMatch) return undefined;
+
+  const replacement = msgMatch[1];
+  const edit = new vscode.WorkspaceEdit();
+  edit.replace(document.uri, diagnostic.range, replacement);
+
+  const action = new vscode.CodeAction(
+    `Switch to replacement '${replacement}'`,
+    vscode.CodeActionKind.QuickFix
+  );
+  action.edit = edit;
+  action.diagnostics = [diagnostic];
+  action.isPreferred = true;
+
+  return action;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // CodeActionProvider
 // ─────────────────────────────────────────────────────────────────────────────
@@ -394,10 +510,14 @@ function buildRemoveUnusedParamFix(document, diagnostic) {
  * VS Code CodeActionProvider that surfaces quick-fixes for diagnostics emitted
  * by the Azure Templates Navigator diagnostic provider.
  *
- * Handles three diagnostic codes:
+ * Handles these diagnostic codes:
  *   - `missing-required-param`  → "Add missing parameter"
  *   - `unknown-param`           → "Remove unknown parameter"
  *   - `type-mismatch`           → "Fix type mismatch"
+ *   - `unused-param`            → "Remove unused parameter declaration"
+ *   - `undefined-variable`      → "Add variable"
+ *   - `deprecated-template`,
+ *     `deprecated-param`        → "Switch to replacement"
  */
 const quickFixProvider = {
   /**
@@ -427,6 +547,13 @@ const quickFixProvider = {
         case 'unused-param':
           action = buildRemoveUnusedParamFix(document, diagnostic);
           break;
+        case 'undefined-variable':
+          action = buildAddVariableFix(document, diagnostic);
+          break;
+        case 'deprecated-template':
+        case 'deprecated-param':
+          action = buildSwitchToReplacementFix(document, diagnostic);
+          break;
         default:
           break;
       }
@@ -445,7 +572,11 @@ module.exports = {
   buildRemoveUnknownParamFix,
   buildFixTypeMismatchFix,
   buildRemoveUnusedParamFix,
+  buildAddVariableFix,
+  buildSwitchToReplacementFix,
+  planVariableInsertion,
   canonicalLiteralForType,
+  lineIndent,
   findParametersLine,
   findLastParamLine,
 };
@@ -0,0 +1,276 @@
+'use strict';
+
+/**
+ * referenceProvider.js
+ *
+ * Find All References (Shift+F12) for templates — the reverse of the
+ * template navigation in definitionProvider:
+ *   • on a parameter declaration (`- name: x`) or a `${{ parameters.x }}`
+ *     use: every call site that passes `x`, and every use of `x` in the
+ *     template body;
+ *   • anywhere else in a template: every `template:` call site in the
+ *     workspace that references it.
+ *
+ * Callers come from the workspace index, so call sites are found without
+ * scanning the workspace, including candidates of dynamic template paths.
+ */
+
+const vscode = require('vscode');
+const fileCache = require('./fileCache');
+const {
+  parseParameters,
+  parsePassedParameters,
+  parseRepositoryAliases,
+  resolveTemplatePath,
+} = require('./hoverProvider');
+const { extractTemplateRefs } = require('./graphDataBuilder');
+const { workspaceIndex } = require('./workspaceIndex');
+const {
+  findExpressions,
+  parseTemplateExpression,
+  collectReferences,
+} = require('./templateExpression');
+
+/**
+ * @typedef {object} ReferenceLocation
+ * @property {string} filePath
+ * @property {number} line   0-based
+ * @property {number} start  0-based column
+ * @property {number} end    0-based column (exclusive)
+ */
+
+/** Splits file contents into lines. */
+function splitLines(text) {
+  return text.replace(/\r\n/g, '\n').split('\n');
+}
+
+/**
+ * Returns the columns of `word` on a line, or of the whole trimmed line when
+ * it does not appear.
+ *
+ * @param {string} lineText
+ * @param {string} word
+ * @param {number} [from]  Column to search from
+ * @returns {{ start: number, end: number }}
+ */
+function wordRange(lineText, word, from = 0) {
+  const idx = lineText.indexOf(word, from);
+  if (idx >= 0) return { start: idx, end: idx + word.length };
+  const start = lineText.length - lineText.trimStart().length;
+  return { start, end: lineText.trimEnd().length };
+}
+
+/**
+ * Returns the columns of a parsed scalar on its line — inside the quotes of a
+ * quoted scalar.  Parameter declarations and passed keys are located this way
+ * rather than by searching the line, where a short name also occurs inside
+ * other words (`a` in `name`).
+ *
+ * @param {object} node  yamlParser scalar
+ * @returns {{ start: number, end: number }}
+ */
+function scalarRange(node) {
+  const quoted = node.style === 'single' || node.style === 'double';
+  return quoted ? { start: node.col + 1, end: node.endCol - 1 } : { start: node.col, end: node.endCol };
+}
+
+/**
+ * Returns the columns of the name in the declaration of parameter `name` of
+ * a template, or null when the template does not declare it.
+ * @param {string} text
+ * @param {string} name
+ * @returns {{ start: number, end: number }|null}
+ */
+function declarationRange(text, name) {
+  const param = parseParameters(text).find(p => p.name === name);
+  return param ? scalarRange(param.nameNode) : null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Template call sites
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Returns every `template:` reference in the workspace that resolves to
+ * `templatePath`, located on the reference value.
+ *
+ * @param {string} templatePath
+ * @param {import('./workspaceIndex').WorkspaceIndex} index
+ * @param {(filePath: string) => string|null} [readText]  Source of a file
+ * @returns {(ReferenceLocation & { templateLine: number })[]}
+ */
+function findTemplateCallSites(templatePath, index, readText = fileCache.readFile) {
+  const sites = [];
+  for (const caller of [...index.getCallers(templatePath)].sort()) {
+    const text = readText(caller);
+    if (!text) continue;
+    const lines = splitLines(text);
+    const aliases = parseRepositoryAliases(text);
+    const seen = new Set();
+
+    for (const ref of extractTemplateRefs(caller, index.getCallArguments(caller), text)) {
+      if (seen.has(ref.line)) continue;
+      const resolved = resolveTemplatePath(ref.templateRef, caller, aliases);
+      if (!resolved || resolved.unknownAlias || resolved.filePath !== templatePath) continue;
+      seen.add(ref.line);
+
+      const lineText = lines[ref.line] || '';
+      const keyIdx = lineText.search(/template\s*:/);
+      const { start, end } = wordRange(lineText, ref.dynamicRef || ref.templateRef, Math.max(0, keyIdx));
+      sites.push({ filePath: caller, line: ref.line, start, end, templateLine: ref.line });
+    }
+  }
+  return sites;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Parameter references
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Returns every `${{ parameters.name }}` / `${{ parameters['name'] }}` use in
+ * a template body, located on the parameter name — the range a rename
+ * replaces.  Comments are skipped.
+ *
+ * @param {string} text
+ * @param {string} name
+ * @returns {{ line: number, start: number, end: number }[]}
+ */
+function findParameterUses(text, name) {
+  const uses = [];
+  const lines = splitLines(text);
+  for (let i = 0; i < lines.length; i++) {
+    const stripped = lines[i].replace(/(^\s*#.*|\s#.*)$/, '');
+    for (const expr of findExpressions(stripped)) {
+      const { ast, error } = parseTemplateExpression(expr.inner);
+      if (!ast || error) continue;
+      for (const ref of collectReferences(ast, 'parameters')) {
+        if (ref.name !== name) continue;
+        // The name itself, in parameters.name and in parameters['name']
+        const start = expr.innerStart + ref.start + expr.inner.slice(ref.start, ref.end).lastIndexOf(name);
+        uses.push({ line: i, start, end: start + name.length });
+      }
+    }
+  }
+  return uses;
+}
+
+/**
+ * Returns the parameter at a position of a template: the name of a
+ * `- name:` declaration on that line, or of a `${{ parameters.x }}` use under
+ * the cursor.  Returns null elsewhere.
+ *
+ * @param {string} text
+ * @param {number} line
+ * @param {number} character
+ * @returns {{ name: string, line: number }|null}  `line` of the declaration
+ */
+function findParameterAt(text, line, character) {
+  const declared = parseParameters(text);
+  const declaration = declared.find(p => p.line === line);
+  if (declaration) return { name: declaration.name, line: declaration.line };
+
+  const lines = splitLines(text);
+  const stripped = (lines[line] || '').replace(/(^\s*#.*|\s#.*)$/, '');
+  for (const expr of findExpressions(stripped)) {
+    const { ast, error } = parseTemplateExpression(expr.inner);
+    if (!ast || error) continue;
+    for (const ref of collectReferences(ast, 'parameters')) {
+      if (character < expr.innerStart + ref.start || character > expr.innerStart + ref.end) continue;
+      const param = declared.find(p => p.name === ref.name);
+      if (param) return { name: param.name, line: param.line };
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns every call site that passes parameter `name` to `templatePath`,
+ * located on the parameter key.  Values passed in several `${{ if }}`
+ * branches are all listed.
+ *
+ * @param {string} templatePath
+ * @param {string} name
+ * @param {import('./workspaceIndex').WorkspaceIndex} index
+ * @param {(filePath: string) => string|null} [readText]  Source of a file
+ * @returns {ReferenceLocation[]}
+ */
+function findPassedParameterSites(templatePath, name, index, readText = fileCache.readFile) {
+  const sites = [];
+  for (const call of findTemplateCallSites(templatePath, index, readText)) {
+    const lines = splitLines(readText(call.filePath) || '');
+    const info = parsePassedParameters(lines, call.templateLine)[name];
+    if (!info || info.dynamic) continue;
+    for (const entry of [info, ...(info.alternatives || [])]) {
+      sites.push({ filePath: call.filePath, line: entry.line, ...scalarRange(entry.keyNode) });
+    }
+  }
+  return sites;
+}
+
+/**
+ * Returns the references to the template or parameter at a position.
+ *
+ * @param {string} text      Template source
+ * @param {string} filePath  Absolute path of the template
+ * @param {number} line
+ * @param {number} character
+ * @param {import('./workspaceIndex').WorkspaceIndex} index
+ * @param {boolean} [includeDeclaration]  Include a parameter's declaration
+ * @returns {ReferenceLocation[]}
+ */
+function findReferences(text, filePath, line, character, index, includeDeclaration = true) {
+  const param = findParameterAt(text, line, character);
+  if (!param) {
+    return findTemplateCallSites(filePath, index)
+      .map(({ filePath: fp, line: l, start, end }) => ({ filePath: fp, line: l, start, end }));
+  }
+
+  const refs = [];
+  if (includeDeclaration) {
+    refs.push({ filePath, line: param.line, ...declarationRange(text, param.name) });
+  }
+  refs.push(...findParameterUses(text, param.name).map(u => ({ filePath, ...u })));
+  refs.push(...findPassedParameterSites(filePath, param.name, index));
+  return refs;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VS Code provider
+// ─────────────────────────────────────────────────────────────────────────────
+
+const referenceProvider = {
+  /**
+   * @param {vscode.TextDocument} document
+   * @param {vscode.Position} position
+   * @param {vscode.ReferenceContext} context
+   * @returns {vscode.Location[]}
+   */
+  provideReferences(document, position, context) {
+    const refs = findReferences(
+      document.getText(),
+      document.uri.fsPath,
+      position.line,
+      position.character,
+      workspaceIndex,
+      !context || context.includeDeclaration !== false
+    );
+    return refs.map(r => new vscode.Location(
+      vscode.Uri.file(r.filePath),
+      new vscode.Range(r.line, r.start, r.line, r.end)
+    ));
+  },
+};
+
+module.exports = {
+  referenceProvider,
+  splitLines,
+  wordRange,
+  scalarRange,
+  declarationRange,
+  findReferences,
+  findTemplateCallSites,
+  findParameterUses,
+  findParameterAt,
+  findPassedParameterSites,
+};
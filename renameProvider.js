@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * renameProvider.js
+ *
+ * Rename Symbol (F2) for template parameters.  Triggered on a parameter's
+ * `- name:` declaration, on a `${{ parameters.x }}` use in the template, or
+ * on a key a caller passes under `parameters:`, it renames — as one
+ * WorkspaceEdit shown in the refactor preview — the declaration, every use in
+ * the template body and the key at every call site in the workspace.
+ *
+ * The rename is refused when the new name is not a valid parameter name, is
+ * already declared or referenced by the template, or is already passed by a
+ * caller.
+ */
+
+const path = require('path');
+const vscode = require('vscode');
+const fileCache = require('./fileCache');
+const {
+  PARAMETER_NAME,
+  parseParameters,
+  parsePassedParameters,
+  parseRepositoryAliases,
+  resolveTemplatePath,
+  findTemplateReferences,
+} = require('./hoverProvider');
+const { collectParameterReferences } = require('./diagnosticProvider');
+const { workspaceIndex } = require('./workspaceIndex');
+const { readOpenOrDisk } = require('./moveTemplateProvider');
+const {
+  splitLines,
+  scalarRange,
+  declarationRange,
+  findParameterAt,
+  findParameterUses,
+  findTemplateCallSites,
+  findPassedParameterSites,
+} = require('./referenceProvider');
+
+/**
+ * @typedef {object} RenameTarget
+ * @property {string} templatePath  Template that declares the parameter
+ * @property {string} name          Current parameter name
+ * @property {{ line: number, start: number, end: number }} range  Name under the cursor
+ *
+ * @typedef {object} RenameEdit
+ * @property {string} filePath
+ * @property {number} line
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * Finds the parameter a rename at a position applies to: a parameter of the
+ * file itself (declaration or `${{ parameters.x }}` use), or a parameter the
+ * file passes to a template.  Returns null elsewhere.
+ *
+ * @param {string} text      Document source
+ * @param {string} filePath  Absolute path of the document
+ * @param {number} line
+ * @param {number} character
+ * @returns {RenameTarget|null}
+ */
+function findRenameTarget(text, filePath, line, character) {
+  const lines = splitLines(text);
+
+  const own = findParameterAt(text, line, character);
+  if (own) {
+    const range = own.line === line
+      ? declarationRange(text, own.name)
+      : findParameterUses(text, own.name).find(u => u.line === line && character >= u.start && character <= u.end);
+    if (range) return { templatePath: filePath, name: own.name, range: { line, start: range.start, end: range.end } };
+  }
+
+  const aliases = parseRepositoryAliases(text);
+  // `parameters:` may come before `template:` (extends), so every call is checked
+  for (const ref of findTemplateReferences(text)) {
+    const passed = parsePassedParameters(lines, ref.line);
+    for (const [name, info] of Object.entries(passed)) {
+      if (info.dynamic) continue;
+      for (const entry of [info, ...(info.alternatives || [])]) {
+        if (entry.line !== line) continue;
+        const { start, end } = scalarRange(entry.keyNode);
+        if (character < start || character > end) continue;
+        const resolved = resolveTemplatePath(ref.templateRef, filePath, aliases);
+        if (!resolved || resolved.unknownAlias || !resolved.filePath) return null;
+        return { templatePath: resolved.filePath, name, range: { line, start, end } };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Works out the edits that rename parameter `name` of a template to
+ * `newName`, or why it cannot be renamed.
+ *
+ * @param {string} templateText
+ * @param {string} templatePath
+ * @param {string} name
+ * @param {string} newName
+ * @param {import('./workspaceIndex').WorkspaceIndex} index
+ * @param {(filePath: string) => string|null} [readText]  Source of a caller
+ * @returns {{ edits: RenameEdit[] } | { error: string }}
+ */
+function planParameterRename(templateText, templatePath, name, newName, index, readText = fileCache.readFile) {
+  const templateName = path.basename(templatePath);
+  if (!PARAMETER_NAME.test(newName)) {
+    return { error: `'${newName}' is not a valid parameter name: use letters, digits and underscores, not starting with a digit` };
+  }
+
+  const declared = parseParameters(templateText);
+  const param = declared.find(p => p.name === name);
+  if (!param) return { error: `'${name}' is not a parameter of ${templateName}` };
+  if (newName === name) return { edits: [] };
+
+  const clash = newName.toLowerCase();
+  if (declared.some(p => p !== param && p.name.toLowerCase() === clash)) {
+    return { error: `${templateName} already declares a parameter '${newName}'` };
+  }
+  if ([...collectParameterReferences(templateText)].some(r => r !== name && r.toLowerCase() === clash)) {
+    return { error: `${templateName} already references 'parameters.${newName}'` };
+  }
+  for (const call of findTemplateCallSites(templatePath, index, readText)) {
+    const passed = parsePassedParameters(splitLines(readText(call.filePath) || ''), call.templateLine);
+    if (Object.keys(passed).some(k => k !== name && k.toLowerCase() === clash)) {
+      return { error: `The call in ${path.basename(call.filePath)} (line ${call.line + 1}) already passes '${newName}' to ${templateName}` };
+    }
+  }
+
+  return {
+    edits: [
+      { filePath: templatePath, line: param.line, ...declarationRange(templateText, name) },
+      ...findParameterUses(templateText, name).map(u => ({ filePath: templatePath, ...u })),
+      ...findPassedParameterSites(templatePath, name, index, readText),
+    ],
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VS Code provider
+// ─────────────────────────────────────────────────────────────────────────────
+
+const renameProvider = {
+  /**
+   * @param {vscode.TextDocument} document
+   * @param {vscode.Position} position
+   * @returns {{ range: vscode.Range, placeholder: string }}
+   */
+  prepareRename(document, position) {
+    const target = findRenameTarget(document.getText(), document.uri.fsPath, position.line, position.character);
+    if (!target) {
+      throw new Error('Only template parameters can be renamed: place the cursor on a `- name:` declaration or a passed parameter');
+    }
+    const { line, start, end } = target.range;
+    return { range: new vscode.Range(line, start, line, end), placeholder: target.name };
+  },
+
+  /**
+   * @param {vscode.TextDocument} document
+   * @param {vscode.Position} position
+   * @param {string} newName
+   * @returns {vscode.WorkspaceEdit|undefined}
+   */
+  provideRenameEdits(document, position, newName) {
+    const target = findRenameTarget(document.getText(), document.uri.fsPath, position.line, position.character);
+    if (!target) return undefined;
+
+    // Open documents win over the files on disk, for the template and its callers
+    const text = readOpenOrDisk(target.templatePath);
+    if (!text) throw new Error(`Template not found: ${target.templatePath}`);
+
+    const plan = planParameterRename(text, target.templatePath, target.name, newName.trim(), workspaceIndex, readOpenOrDisk);
+    if (plan.error) throw new Error(plan.error);
+
+    // needsConfirmation opens the refactor preview before anything is applied
+    const metadata = {
+      needsConfirmation: true,
+      label: `Rename parameter '${target.name}' to '${newName.trim()}'`,
+    };
+    const edit = new vscode.WorkspaceEdit();
+    for (const e of plan.edits) {
+      edit.replace(vscode.Uri.file(e.filePath), new vscode.Range(e.line, e.start, e.line, e.end), newName.trim(), metadata);
+    }
+    return edit;
+  },
+};
+
+module.exports = {
+  renameProvider,
+  findRenameTarget,
+  planParameterRename,
+};
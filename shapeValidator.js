@@ -0,0 +1,221 @@
+'use strict';
+
+/**
+ * shapeValidator.js
+ *
+ * Checks the *structure* of values passed to template parameters whose type
+ * is a pipeline construct — `step`, `stepList`, `job`, `jobList`,
+ * `deployment`, `deploymentList`, `stage` and `stageList`.
+ *
+ * Works on yamlParser nodes and has no vscode dependency; the diagnostic
+ * provider turns the returned problems into Diagnostics.
+ *
+ * Template expressions are trusted: a `${{ parameters.steps }}` item or an
+ * `${{ if … }}:` / `${{ each … }}:` block is accepted and, for blocks, its
+ * contents are checked as if they were inlined.
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Keyword sets
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Keys that identify a step; a step mapping must contain exactly one. */
+const STEP_KEYS = [
+  'task', 'script', 'bash', 'pwsh', 'powershell', 'checkout', 'download',
+  'downloadBuild', 'getPackage', 'publish', 'reviewApp', 'template',
+];
+
+/** Keys that identify a job; a job mapping must contain exactly one. */
+const JOB_KEYS = ['job', 'deployment', 'template'];
+
+/** Keys that identify a deployment job. */
+const DEPLOYMENT_KEYS = ['deployment', 'template'];
+
+/** Keys that identify a stage. */
+const STAGE_KEYS = ['stage', 'template'];
+
+/**
+ * @typedef {object} ShapeProblem
+ * @property {string} message
+ * @property {object} node  yamlParser node (or key node) the problem is about
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * True for a `${{ if … }}`, `${{ elseif … }}`, `${{ else }}` or
+ * `${{ each … }}` mapping key.
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isDirectiveKey(key) {
+  return /^\$\{\{\s*(if|elseif|else|each)\b/.test(key);
+}
+
+/**
+ * True for a scalar that is entirely a template expression, e.g.
+ * `${{ parameters.steps }}` — its shape is only known at compile time.
+ * @param {object} node
+ * @returns {boolean}
+ */
+function isExpressionScalar(node) {
+  return node.kind === 'scalar' && /^\$\{\{[\s\S]*\}\}$/.test(node.value.trim());
+}
+
+/** Human-readable name of a node's kind for messages. */
+function describeKind(node) {
+  if (node.kind === 'map') return 'a mapping';
+  if (node.kind === 'seq') return 'a sequence';
+  return `the scalar '${node.value}'`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Item and list checks
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Checks that a mapping contains exactly one of `keys`.
+ *
+ * @param {object}   map
+ * @param {string[]} keys
+ * @param {string}   what      e.g. 'step'
+ * @param {ShapeProblem[]} problems
+ * @returns {string|undefined}  The identifying key when there is exactly one
+ */
+function checkIdentifyingKey(map, keys, what, problems) {
+  const found = map.entries.filter(e => keys.includes(e.key));
+  if (found.length === 0) {
+    const hasDirectives = map.entries.some(e => isDirectiveKey(e.key));
+    if (!hasDirectives) {
+      const first = map.entries[0];
+      problems.push({
+        message: `A ${what} must have one of: ${keys.join(', ')}`,
+        node: first ? first.keyNode : map,
+      });
+    }
+    return undefined;
+  }
+  if (found.length > 1) {
+    problems.push({
+      message: `A ${what} can only have one of ${keys.join(', ')} — found '${found[0].key}' and '${found[1].key}'`,
+      node: found[1].keyNode,
+    });
+    return undefined;
+  }
+  return found[0].key;
+}
+
+/** @type {Record<string, (node: object, problems: ShapeProblem[]) => void>} */
+const ITEM_CHECKS = {
+  step(map, problems) {
+    checkIdentifyingKey(map, STEP_KEYS, 'step', problems);
+  },
+
+  job(map, problems) {
+    const key = checkIdentifyingKey(map, JOB_KEYS, 'job', problems);
+    if (key === 'job') checkNested(map, 'steps', 'stepList', problems);
+  },
+
+  deployment(map, problems) {
+    checkIdentifyingKey(map, DEPLOYMENT_KEYS, 'deployment job', problems);
+  },
+
+  stage(map, problems) {
+    const key = checkIdentifyingKey(map, STAGE_KEYS, 'stage', problems);
+    if (key === 'stage') checkNested(map, 'jobs', 'jobList', problems);
+  },
+};
+
+/** Item type of each list type. */
+const LIST_ITEM_TYPES = {
+  steplist: 'step',
+  joblist: 'job',
+  deploymentlist: 'deployment',
+  stagelist: 'stage',
+};
+
+/** Validates `map[key]`, when present, as a value of `type`. */
+function checkNested(map, key, type, problems) {
+  const entry = map.entries.find(e => e.key === key);
+  if (entry && entry.value) checkValue(entry.value, type, problems);
+}
+
+/**
+ * Checks a single item (step / job / deployment / stage).
+ */
+function checkItem(node, itemType, problems) {
+  if (isExpressionScalar(node)) return;
+  if (node.kind !== 'map') {
+    problems.push({ message: `Expected a ${itemType} mapping, got ${describeKind(node)}`, node });
+    return;
+  }
+  ITEM_CHECKS[itemType](node, problems);
+}
+
+/**
+ * Checks a sequence of items, descending into `${{ if }}` / `${{ each }}`
+ * blocks whose bodies are themselves lists of the same item type.
+ */
+function checkList(node, itemType, listType, problems) {
+  if (isExpressionScalar(node)) return;
+  if (node.kind !== 'seq') {
+    problems.push({ message: `Expected a ${listType} (a sequence of ${itemType}s), got ${describeKind(node)}`, node });
+    return;
+  }
+  for (const item of node.items) {
+    if (!item) continue;
+    if (item.kind === 'map' && item.entries.length > 0 && item.entries.every(e => isDirectiveKey(e.key))) {
+      for (const e of item.entries) {
+        if (e.value) checkList(e.value, itemType, listType, problems);
+      }
+      continue;
+    }
+    checkItem(item, itemType, problems);
+  }
+}
+
+/**
+ * Checks `node` against `type` and appends any problems found.
+ */
+function checkValue(node, type, problems) {
+  const t = type.toLowerCase();
+  if (t in LIST_ITEM_TYPES) {
+    checkList(node, LIST_ITEM_TYPES[t], type, problems);
+  } else if (t in ITEM_CHECKS) {
+    checkItem(node, t, problems);
+  } else if ((t === 'string' || t === 'number' || t === 'boolean') && node.kind !== 'scalar' && !node.flow) {
+    // Flow collections are already reported as type mismatches
+    problems.push({ message: `Expected a ${type} value, got ${describeKind(node)}`, node });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Validates the structure of a value passed to a parameter of type `type`.
+ * Returns an empty array for types without a structural shape (`object`,
+ * unknown types) and for empty values.
+ *
+ * @param {object|null} node  yamlParser value node
+ * @param {string}      type  Declared parameter type
+ * @returns {ShapeProblem[]}
+ */
+function validateValueShape(node, type) {
+  const problems = [];
+  if (!node || !type) return problems;
+  if (node.kind === 'scalar' && node.value === '') return problems;
+  checkValue(node, type, problems);
+  return problems;
+}
+
+module.exports = {
+  validateValueShape,
+  isDirectiveKey,
+  STEP_KEYS,
+  JOB_KEYS,
+  STAGE_KEYS,
+};
@@ -0,0 +1,943 @@
+'use strict';
+
+/**
+ * taskCatalog.js
+ *
+ * Offline catalog of common built-in Azure Pipelines tasks — `DotNetCoreCLI@2`,
+ * `PublishBuildArtifacts@1`, `AzureCLI@2`, … — with their versions and
+ * inputs, and helpers to find `- task:` steps in a document.
+ *
+ * Tasks the catalog does not know (custom or marketplace tasks) can be
+ * declared in a workspace JSON file, by default `.azure-pipelines/tasks.json`
+ * at the repository root (setting `azure-templates-navigator.tasks.catalogFile`):
+ *
+ *   {
+ *     "tasks": [
+ *       {
+ *         "name": "replacetokens",
+ *         "version": 5,
+ *         "description": "Replace tokens in files",
+ *         "inputs": [
+ *           { "name": "targetFiles", "type": "multiLine", "required": true },
+ *           { "name": "encoding", "type": "pickList", "options": ["auto", "utf-8"], "default": "auto" }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * Entries use the shape of {@link TaskDefinition}; a custom entry replaces a
+ * built-in task of the same name.
+ *
+ * Source: https://learn.microsoft.com/en-us/azure/devops/pipelines/tasks/reference
+ *
+ * Pure Node — no vscode dependency.
+ */
+
+const fileCache = require('./fileCache');
+const { parseYaml, getMapEntry, scalarValue, walkDocument } = require('./yamlParser');
+
+/**
+ * @typedef {object} TaskInput
+ * @property {string}   name
+ * @property {'string'|'boolean'|'pickList'|'radio'|'filePath'|'multiLine'|'connectedService'|'secureFile'|'int'} type
+ * @property {string}   [description]
+ * @property {boolean}  [required]
+ * @property {string}   [default]
+ * @property {string[]} [options]   Allowed values of a `pickList` / `radio` input
+ * @property {boolean}  [editable]  A `pickList` that also accepts other values
+ * @property {string[]} [aliases]   Other names the input can be given under `inputs:`
+ * @property {Record<string, string[]>} [when]
+ *   The input only applies when every named input has one of the listed values
+ *
+ * @typedef {object} TaskDefinition
+ * @property {string}      name
+ * @property {string}      [friendlyName]
+ * @property {string}      [description]
+ * @property {number}      version               Current major version — the one `inputs` describes
+ * @property {number[]}    [otherVersions]       Older majors that are still supported
+ * @property {number[]}    [deprecatedVersions]  Older majors that are deprecated
+ * @property {TaskInput[]} inputs
+ * @property {string}      [source]              Path of the custom catalog file that declared the task
+ */
+
+/** Option lists shared by several tasks. */
+const VERBOSITY = ['quiet', 'minimal', 'normal', 'detailed', 'diagnostic'];
+const PS_PREFERENCE = ['stop', 'continue', 'silentlyContinue'];
+
+/** @type {TaskDefinition[]} */
+const CATALOG = [
+  // ── .NET ────────────────────────────────────────────────────────────────
+  {
+    name: 'DotNetCoreCLI', version: 2, deprecatedVersions: [0, 1],
+    friendlyName: '.NET Core',
+    description: 'Build, test, package, or publish a .NET application, or run a custom dotnet command.',
+    inputs: [
+      { name: 'command', type: 'pickList', default: 'build', options: ['build', 'push', 'pack', 'publish', 'restore', 'run', 'test', 'custom'], description: 'The dotnet command to run.' },
+      { name: 'publishWebProjects', type: 'boolean', default: 'true', when: { command: ['publish'] }, description: 'Publish every folder that has a web.config or wwwroot folder.' },
+      { name: 'projects', type: 'multiLine', description: 'Path to the .csproj file(s); wildcards are supported.' },
+      { name: 'custom', type: 'string', required: true, when: { command: ['custom'] }, description: 'The command to pass to dotnet.exe.' },
+      { name: 'arguments', type: 'string', description: 'Arguments for the selected command.' },
+      { name: 'restoreArguments', type: 'string', when: { command: ['restore'] }, description: 'Additional arguments for `dotnet restore`.' },
+      { name: 'publishTestResults', type: 'boolean', default: 'true', when: { command: ['test'] }, description: 'Publish a TRX file of the test results.' },
+      { name: 'testRunTitle', type: 'string', when: { command: ['test'] }, description: 'Title of the test run.' },
+      { name: 'zipAfterPublish', type: 'boolean', default: 'true', when: { command: ['publish'] }, description: 'Zip the folder created by the publish command.' },
+      { name: 'modifyOutputPath', type: 'boolean', default: 'true', when: { command: ['publish'] }, description: 'Prefix the output folder with the project file name.' },
+      { name: 'feedsToUse', aliases: ['selectOrConfig'], type: 'radio', default: 'select', options: ['select', 'config'], when: { command: ['restore'] }, description: 'Restore from a feed selected here or from a NuGet.config file.' },
+      { name: 'vstsFeed', aliases: ['feedRestore'], type: 'string', when: { command: ['restore'] }, description: 'Azure Artifacts feed to restore from.' },
+      { name: 'includeNuGetOrg', type: 'boolean', default: 'true', when: { command: ['restore'] }, description: 'Include NuGet.org in the generated NuGet.config.' },
+      { name: 'nugetConfigPath', type: 'filePath', when: { command: ['restore'] }, description: 'Path to a NuGet.config file.' },
+      { name: 'externalFeedCredentials', aliases: ['externalEndpoints'], type: 'connectedService', when: { command: ['restore'] }, description: 'Credentials for feeds outside this organization.' },
+      { name: 'noCache', type: 'boolean', default: 'false', when: { command: ['restore'] }, description: 'Do not use cached packages.' },
+      { name: 'restoreDirectory', aliases: ['packagesDirectory'], type: 'string', when: { command: ['restore'] }, description: 'Folder packages are installed into.' },
+      { name: 'verbosityRestore', type: 'pickList', default: 'Normal', options: ['-', 'Quiet', 'Minimal', 'Normal', 'Detailed', 'Diagnostic'], when: { command: ['restore'] }, description: 'Amount of detail in the restore output.' },
+      { name: 'packagesToPush', aliases: ['searchPatternPush'], type: 'filePath', default: '$(Build.ArtifactStagingDirectory)/*.nupkg', when: { command: ['push'] }, description: 'Packages to push.' },
+      { name: 'nuGetFeedType', type: 'radio', default: 'internal', options: ['internal', 'external'], when: { command: ['push'] }, description: 'Push to a feed in this organization or to an external NuGet server.' },
+      { name: 'publishVstsFeed', aliases: ['feedPublish'], type: 'string', required: true, when: { command: ['push'], nuGetFeedType: ['internal'] }, description: 'Azure Artifacts feed to push to.' },
+      { name: 'publishFeedCredentials', aliases: ['externalEndpoint'], type: 'connectedService', required: true, when: { command: ['push'], nuGetFeedType: ['external'] }, description: 'NuGet service connection of the external server.' },
+      { name: 'packagesToPack', aliases: ['searchPatternPack'], type: 'filePath', default: '**/*.csproj', when: { command: ['pack'] }, description: 'Projects to pack.' },
+      { name: 'configuration', aliases: ['configurationToPack'], type: 'string', default: '$(BuildConfiguration)', when: { command: ['pack'] }, description: 'Build configuration to pack.' },
+      { name: 'packDirectory', aliases: ['outputDir'], type: 'filePath', default: '$(Build.ArtifactStagingDirectory)', when: { command: ['pack'] }, description: 'Folder the packages are created in.' },
+      { name: 'nobuild', type: 'boolean', default: 'false', when: { command: ['pack'] }, description: 'Do not build the project before packing.' },
+      { name: 'includesymbols', type: 'boolean', default: 'false', when: { command: ['pack'] }, description: 'Also create symbol packages.' },
+      { name: 'includesource', type: 'boolean', default: 'false', when: { command: ['pack'] }, description: 'Include source code in the package.' },
+      { name: 'versioningScheme', type: 'pickList', default: 'off', options: ['off', 'byPrereleaseNumber', 'byEnvVar', 'byBuildNumber'], when: { command: ['pack'] }, description: 'How the package version is set.' },
+      { name: 'versionEnvVar', type: 'string', required: true, when: { command: ['pack'], versioningScheme: ['byEnvVar'] }, description: 'Variable that holds the package version.' },
+      { name: 'workingDirectory', type: 'filePath', description: 'Working directory of the command.' },
+      { name: 'requestTimeout', type: 'int', default: '300000', description: 'Timeout in milliseconds of requests to feeds.' },
+    ],
+  },
+  {
+    name: 'UseDotNet', version: 2,
+    friendlyName: 'Use .NET Core',
+    description: 'Acquire a specific version of the .NET Core SDK or runtime and add it to the PATH.',
+    inputs: [
+      { name: 'packageType', type: 'pickList', default: 'sdk', options: ['sdk', 'runtime'], description: 'Install the SDK or only the runtime.' },
+      { name: 'useGlobalJson', type: 'boolean', default: 'false', when: { packageType: ['sdk'] }, description: 'Install the SDK versions named in global.json files.' },
+      { name: 'workingDirectory', type: 'filePath', when: { useGlobalJson: ['true'] }, description: 'Where to search for global.json files.' },
+      { name: 'version', type: 'string', description: 'Version to install, e.g. `8.x` or `8.0.100`.' },
+      { name: 'vsVersion', type: 'string', description: 'Minimum compatible Visual Studio version.' },
+      { name: 'includePreviewVersions', type: 'boolean', default: 'false', description: 'Include preview versions when matching a wildcard version.' },
+      { name: 'installationPath', type: 'string', default: '$(Agent.ToolsDirectory)/dotnet', description: 'Where to install .NET Core.' },
+      { name: 'performMultiLevelLookup', type: 'boolean', default: 'false', description: 'Also look for .NET Core in global install locations.' },
+      { name: 'requestTimeout', type: 'int', default: '300000', description: 'Timeout in milliseconds of download requests.' },
+    ],
+  },
+  {
+    name: 'NuGetCommand', version: 2,
+    friendlyName: 'NuGet',
+    description: 'Restore, pack, or push NuGet packages, or run a NuGet command.',
+    inputs: [
+      { name: 'command', type: 'pickList', default: 'restore', options: ['restore', 'pack', 'push', 'custom'], description: 'The NuGet command to run.' },
+      { name: 'restoreSolution', aliases: ['solution'], type: 'filePath', default: '**/*.sln', when: { command: ['restore'] }, description: 'Solution, packages.config or project.json files to restore.' },
+      { name: 'feedsToUse', aliases: ['selectOrConfig'], type: 'radio', default: 'select', options: ['select', 'config'], when: { command: ['restore'] }, description: 'Restore from a feed selected here or from a NuGet.config file.' },
+      { name: 'vstsFeed', aliases: ['feedRestore'], type: 'string', when: { command: ['restore'] }, description: 'Azure Artifacts feed to restore from.' },
+      { name: 'includeNuGetOrg', type: 'boolean', default: 'true', when: { command: ['restore'] }, description: 'Include NuGet.org in the generated NuGet.config.' },
+      { name: 'nugetConfigPath', type: 'filePath', when: { command: ['restore'] }, description: 'Path to a NuGet.config file.' },
+      { name: 'externalFeedCredentials', aliases: ['externalEndpoints'], type: 'connectedService', when: { command: ['restore'] }, description: 'Credentials for feeds outside this organization.' },
+      { name: 'noCache', type: 'boolean', default: 'false', when: { command: ['restore'] }, description: 'Do not use cached packages.' },
+      { name: 'disableParallelProcessing', type: 'boolean', default: 'false', when: { command: ['restore'] }, description: 'Restore one project at a time.' },
+      { name: 'restoreDirectory', aliases: ['packagesDirectory'], type: 'string', when: { command: ['restore'] }, description: 'Folder packages are installed into.' },
+      { name: 'packagesToPush', aliases: ['searchPatternPush'], type: 'filePath', default: '$(Build.ArtifactStagingDirectory)/**/*.nupkg;!$(Build.ArtifactStagingDirectory)/**/*.symbols.nupkg', when: { command: ['push'] }, description: 'Packages to push.' },
+      { name: 'nuGetFeedType', type: 'radio', default: 'internal', options: ['internal', 'external'], when: { command: ['push'] }, description: 'Push to a feed in this organization or to an external NuGet server.' },
+      { name: 'publishVstsFeed', aliases: ['feedPublish'], type: 'string', required: true, when: { command: ['push'], nuGetFeedType: ['internal'] }, description: 'Azure Artifacts feed to push to.' },
+      { name: 'allowPackageConflicts', type: 'boolean', default: 'false', when: { command: ['push'], nuGetFeedType: ['internal'] }, description: 'Skip packages that already exist in the feed.' },
+      { name: 'publishFeedCredentials', aliases: ['externalEndpoint'], type: 'connectedService', required: true, when: { command: ['push'], nuGetFeedType: ['external'] }, description: 'NuGet service connection of the external server.' },
+      { name: 'packagesToPack', aliases: ['searchPatternPack'], type: 'filePath', default: '**/*.csproj', when: { command: ['pack'] }, description: 'Projects or .nuspec files to pack.' },
+      { name: 'configuration', aliases: ['configurationToPack'], type: 'string', default: '$(BuildConfiguration)', when: { command: ['pack'] }, description: 'Build configuration to pack.' },
+      { name: 'packDestination', aliases: ['outputDir'], type: 'filePath', default: '$(Build.ArtifactStagingDirectory)', when: { command: ['pack'] }, description: 'Folder the packages are created in.' },
+      { name: 'versioningScheme', type: 'pickList', default: 'off', options: ['off', 'byPrereleaseNumber', 'byEnvVar', 'byBuildNumber'], when: { command: ['pack'] }, description: 'How the package version is set.' },
+      { name: 'arguments', type: 'string', required: true, when: { command: ['custom'] }, description: 'Command and arguments to pass to NuGet.exe.' },
+    ],
+  },
+  {
+    name: 'NuGetToolInstaller', version: 1, deprecatedVersions: [0],
+    friendlyName: 'NuGet tool installer',
+    description: 'Acquire a specific version of NuGet and add it to the PATH.',
+    inputs: [
+      { name: 'versionSpec', type: 'string', description: 'Version or version range of NuGet to install.' },
+      { name: 'checkLatest', type: 'boolean', default: 'false', description: 'Always check for and download the latest matching version.' },
+    ],
+  },
+  {
+    name: 'NuGetAuthenticate', version: 1, deprecatedVersions: [0],
+    friendlyName: 'NuGet authenticate',
+    description: 'Configure NuGet tools to authenticate with Azure Artifacts and other NuGet repositories.',
+    inputs: [
+      { name: 'nuGetServiceConnections', type: 'connectedService', description: 'NuGet service connections of feeds outside this organization.' },
+      { name: 'forceReinstallCredentialProvider', type: 'boolean', default: 'false', description: 'Reinstall the credential provider even if it is already installed.' },
+    ],
+  },
+  {
+    name: 'VSBuild', version: 1,
+    friendlyName: 'Visual Studio build',
+    description: 'Build with MSBuild and set the Visual Studio version property.',
+    inputs: [
+      { name: 'solution', type: 'filePath', required: true, default: '**\\*.sln', description: 'Solution or project files to build.' },
+      { name: 'vsVersion', type: 'pickList', default: 'latest', options: ['latest', '17.0', '16.0', '15.0', '14.0', '12.0', '11.0'], description: 'Visual Studio version to use.' },
+      { name: 'msbuildArgs', type: 'string', description: 'Additional arguments for MSBuild.' },
+      { name: 'platform', type: 'string', description: 'Platform to build, e.g. `$(BuildPlatform)`.' },
+      { name: 'configuration', type: 'string', description: 'Configuration to build, e.g. `$(BuildConfiguration)`.' },
+      { name: 'clean', type: 'boolean', default: 'false', description: 'Clean before building.' },
+      { name: 'maximumCpuCount', type: 'boolean', default: 'false', description: 'Build in parallel.' },
+      { name: 'restoreNugetPackages', type: 'boolean', default: 'false', description: 'Restore NuGet packages (deprecated — use NuGetCommand@2).' },
+      { name: 'msbuildArchitecture', type: 'pickList', default: 'x86', options: ['x86', 'x64'], description: 'MSBuild architecture.' },
+      { name: 'logProjectEvents', type: 'boolean', default: 'true', description: 'Record project events.' },
+      { name: 'createLogFile', type: 'boolean', default: 'false', description: 'Create a log file.' },
+      { name: 'logFileVerbosity', type: 'pickList', default: 'normal', options: VERBOSITY, when: { createLogFile: ['true'] }, description: 'Verbosity of the log file.' },
+      { name: 'enableDefaultLogger', type: 'boolean', default: 'true', description: 'Use the default Azure DevOps logger.' },
+    ],
+  },
+  {
+    name: 'MSBuild', version: 1,
+    friendlyName: 'MSBuild',
+    description: 'Build with MSBuild.',
+    inputs: [
+      { name: 'solution', type: 'filePath', required: true, default: '**/*.sln', description: 'Solution or project files to build.' },
+      { name: 'msbuildLocationMethod', type: 'radio', default: 'version', options: ['version', 'location'], description: 'Find MSBuild by version or by path.' },
+      { name: 'msbuildVersion', type: 'pickList', default: 'latest', options: ['latest', '17.0', '16.0', '15.0', '14.0', '12.0', '4.0'], when: { msbuildLocationMethod: ['version'] }, description: 'MSBuild version.' },
+      { name: 'msbuildArchitecture', type: 'pickList', default: 'x86', options: ['x86', 'x64'], when: { msbuildLocationMethod: ['version'] }, description: 'MSBuild architecture.' },
+      { name: 'msbuildLocation', type: 'string', when: { msbuildLocationMethod: ['location'] }, description: 'Path to MSBuild.' },
+      { name: 'platform', type: 'string', description: 'Platform to build.' },
+      { name: 'configuration', type: 'string', description: 'Configuration to build.' },
+      { name: 'msbuildArguments', type: 'string', description: 'Additional arguments for MSBuild.' },
+      { name: 'clean', type: 'boolean', default: 'false', description: 'Clean before building.' },
+      { name: 'maximumCpuCount', type: 'boolean', default: 'false', description: 'Build in parallel.' },
+      { name: 'restoreNugetPackages', type: 'boolean', default: 'false', description: 'Restore NuGet packages (deprecated — use NuGetCommand@2).' },
+      { name: 'logProjectEvents', type: 'boolean', default: 'false', description: 'Record project events.' },
+      { name: 'createLogFile', type: 'boolean', default: 'false', description: 'Create a log file.' },
+      { name: 'logFileVerbosity', type: 'pickList', default: 'normal', options: VERBOSITY, when: { createLogFile: ['true'] }, description: 'Verbosity of the log file.' },
+    ],
+  },
+  {
+    name: 'VSTest', version: 2, deprecatedVersions: [1],
+    friendlyName: 'Visual Studio Test',
+    description: 'Run unit and functional tests with the Visual Studio Test runner.',
+    inputs: [
+      { name: 'testSelector', type: 'pickList', default: 'testAssemblies', options: ['testAssemblies', 'testPlan', 'testRun'], description: 'How tests are selected.' },
+      { name: 'testAssemblyVer2', type: 'multiLine', required: true, default: '**\\bin\\**\\*test*.dll\n!**\\obj\\**', when: { testSelector: ['testAssemblies'] }, description: 'Test files to run.' },
+      { name: 'testPlan', type: 'string', required: true, when: { testSelector: ['testPlan'] }, description: 'Test plan.' },
+      { name: 'testSuite', type: 'string', required: true, when: { testSelector: ['testPlan'] }, description: 'Test suites of the plan.' },
+      { name: 'testConfiguration', type: 'string', required: true, when: { testSelector: ['testPlan'] }, description: 'Test configuration.' },
+      { name: 'tcmTestRun', type: 'string', default: '$(test.RunId)', when: { testSelector: ['testRun'] }, description: 'Test run.' },
+      { name: 'searchFolder', type: 'string', required: true, default: '$(System.DefaultWorkingDirectory)', description: 'Folder to search for test assemblies.' },
+      { name: 'resultsFolder', type: 'string', default: '$(Agent.TempDirectory)\\TestResults', description: 'Folder test results are stored in.' },
+      { name: 'testFiltercriteria', type: 'string', when: { testSelector: ['testAssemblies'] }, description: 'Test filter, e.g. `TestCategory=CI`.' },
+      { name: 'runSettingsFile', type: 'filePath', description: 'Path to a .runsettings or .testsettings file.' },
+      { name: 'overrideTestrunParameters', type: 'multiLine', description: 'Test run parameters to override.' },
+      { name: 'codeCoverageEnabled', type: 'boolean', default: 'false', description: 'Collect code coverage.' },
+      { name: 'runInParallel', type: 'boolean', default: 'false', description: 'Run tests in parallel on multi-core machines.' },
+      { name: 'vsTestVersion', type: 'pickList', default: 'latest', options: ['latest', '17.0', '16.0', '15.0', '14.0', 'toolsInstaller'], description: 'Version of Visual Studio Test to use.' },
+      { name: 'platform', type: 'string', description: 'Build platform, for reporting.' },
+      { name: 'configuration', type: 'string', description: 'Build configuration, for reporting.' },
+      { name: 'testRunTitle', type: 'string', description: 'Title of the test run.' },
+      { name: 'rerunFailedTests', type: 'boolean', default: 'false', description: 'Rerun failed tests.' },
+    ],
+  },
+  {
+    name: 'PublishTestResults', version: 2,
+    friendlyName: 'Publish Test Results',
+    description: 'Publish JUnit, NUnit, VSTest, xUnit or CTest test results.',
+    inputs: [
+      { name: 'testResultsFormat', aliases: ['testRunner'], type: 'pickList', default: 'JUnit', options: ['JUnit', 'NUnit', 'VSTest', 'XUnit', 'CTest'], description: 'Format of the result files.' },
+      { name: 'testResultsFiles', type: 'multiLine', required: true, default: '**/TEST-*.xml', description: 'Result files to publish.' },
+      { name: 'searchFolder', type: 'string', default: '$(System.DefaultWorkingDirectory)', description: 'Folder to search for result files.' },
+      { name: 'mergeTestResults', type: 'boolean', default: 'false', description: 'Publish all results as a single test run.' },
+      { name: 'failTaskOnFailedTests', type: 'boolean', default: 'false', description: 'Fail the task when a test failed.' },
+      { name: 'failTaskOnFailureToPublishResults', type: 'boolean', default: 'false', description: 'Fail the task when the results cannot be published.' },
+      { name: 'failTaskOnMissingResultsFile', type: 'boolean', default: 'false', description: 'Fail the task when no result file is found.' },
+      { name: 'testRunTitle', type: 'string', description: 'Title of the test run.' },
+      { name: 'buildPlatform', aliases: ['platform'], type: 'string', description: 'Build platform, for reporting.' },
+      { name: 'buildConfiguration', aliases: ['configuration'], type: 'string', description: 'Build configuration, for reporting.' },
+      { name: 'publishRunAttachments', type: 'boolean', default: 'true', description: 'Upload the result files as run attachments.' },
+    ],
+  },
+  {
+    name: 'PublishCodeCoverageResults', version: 2, deprecatedVersions: [1],
+    friendlyName: 'Publish code coverage results',
+    description: 'Publish code coverage results from a build.',
+    inputs: [
+      { name: 'summaryFileLocation', type: 'string', required: true, description: 'Path of the coverage summary files (Cobertura, JaCoCo, …).' },
+      { name: 'pathToSources', type: 'string', description: 'Path to the source files, when the reports do not hold absolute paths.' },
+      { name: 'failIfCoverageEmpty', type: 'boolean', default: 'false', description: 'Fail the task when no coverage data is found.' },
+    ],
+  },
+
+  // ── Artifacts and files ─────────────────────────────────────────────────
+  {
+    name: 'PublishBuildArtifacts', version: 1,
+    friendlyName: 'Publish build artifacts',
+    description: 'Publish build artifacts to Azure Pipelines or a Windows file share.',
+    inputs: [
+      { name: 'PathtoPublish', type: 'filePath', required: true, default: '$(Build.ArtifactStagingDirectory)', description: 'File or folder to publish.' },
+      { name: 'ArtifactName', type: 'string', required: true, default: 'drop', description: 'Name of the artifact.' },
+      { name: 'publishLocation', aliases: ['ArtifactType'], type: 'pickList', default: 'Container', options: ['Container', 'FilePath'], description: 'Store the artifact in Azure Pipelines or on a file share.' },
+      { name: 'TargetPath', type: 'string', required: true, when: { publishLocation: ['FilePath'] }, description: 'File share to copy the files to.' },
+      { name: 'Parallel', type: 'boolean', default: 'false', when: { publishLocation: ['FilePath'] }, description: 'Copy files in parallel.' },
+      { name: 'ParallelCount', type: 'int', default: '8', when: { publishLocation: ['FilePath'], Parallel: ['true'] }, description: 'Degree of parallelism.' },
+      { name: 'StoreAsTar', type: 'boolean', default: 'false', description: 'Add all files to a tar archive before uploading.' },
+    ],
+  },
+  {
+    name: 'PublishPipelineArtifact', version: 1, deprecatedVersions: [0],
+    friendlyName: 'Publish Pipeline Artifacts',
+    description: 'Publish (upload) a file or folder as a named artifact for the current run.',
+    inputs: [
+      { name: 'targetPath', aliases: ['path'], type: 'filePath', required: true, default: '$(Pipeline.Workspace)', description: 'File or folder to publish.' },
+      { name: 'artifact', aliases: ['artifactName'], type: 'string', description: 'Name of the artifact.' },
+      { name: 'publishLocation', aliases: ['artifactType'], type: 'radio', default: 'pipeline', options: ['pipeline', 'filepath'], description: 'Store the artifact in Azure Pipelines or on a file share.' },
+      { name: 'fileSharePath', type: 'string', required: true, when: { publishLocation: ['filepath'] }, description: 'File share to copy the files to.' },
+      { name: 'parallel', type: 'boolean', default: 'false', when: { publishLocation: ['filepath'] }, description: 'Copy files in parallel.' },
+      { name: 'parallelCount', type: 'int', default: '8', when: { publishLocation: ['filepath'], parallel: ['true'] }, description: 'Degree of parallelism.' },
+      { name: 'properties', type: 'string', description: 'Custom properties (JSON) to associate with the artifact.' },
+    ],
+  },
+  {
+    name: 'DownloadPipelineArtifact', version: 2, deprecatedVersions: [0, 1],
+    friendlyName: 'Download Pipeline Artifacts',
+    description: 'Download build and pipeline artifacts.',
+    inputs: [
+      { name: 'buildType', aliases: ['source'], type: 'radio', default: 'current', options: ['current', 'specific'], description: 'Download from the current run or a specific one.' },
+      { name: 'project', type: 'string', required: true, when: { buildType: ['specific'] }, description: 'Project of the pipeline to download from.' },
+      { name: 'definition', aliases: ['pipeline'], type: 'string', required: true, when: { buildType: ['specific'] }, description: 'Pipeline to download from.' },
+      { name: 'specificBuildWithTriggering', aliases: ['preferTriggeringPipeline'], type: 'boolean', default: 'false', when: { buildType: ['specific'] }, description: 'Download from the triggering run when there is one.' },
+      { name: 'buildVersionToDownload', aliases: ['runVersion'], type: 'pickList', default: 'latest', options: ['latest', 'latestFromBranch', 'specific'], when: { buildType: ['specific'] }, description: 'Which run to download from.' },
+      { name: 'branchName', aliases: ['runBranch'], type: 'string', default: 'refs/heads/master', when: { buildType: ['specific'], buildVersionToDownload: ['latestFromBranch'] }, description: 'Branch to download the latest run of.' },
+      { name: 'pipelineId', aliases: ['runId', 'buildId'], type: 'string', required: true, when: { buildType: ['specific'], buildVersionToDownload: ['specific'] }, description: 'Run to download from.' },
+      { name: 'tags', aliases: ['runTags'], type: 'string', when: { buildType: ['specific'] }, description: 'Comma-separated tags the run must have.' },
+      { name: 'allowPartiallySucceededBuilds', type: 'boolean', default: 'false', when: { buildType: ['specific'] }, description: 'Also download from partially succeeded runs.' },
+      { name: 'allowFailedBuilds', type: 'boolean', default: 'false', when: { buildType: ['specific'] }, description: 'Also download from failed runs.' },
+      { name: 'artifactName', aliases: ['artifact'], type: 'string', description: 'Artifact to download; all artifacts when empty.' },
+      { name: 'itemPattern', aliases: ['patterns'], type: 'multiLine', default: '**', description: 'Files to download.' },
+      { name: 'targetPath', aliases: ['path', 'downloadPath'], type: 'filePath', required: true, default: '$(Pipeline.Workspace)', description: 'Where to download the files.' },
+    ],
+  },
+  {
+    name: 'DownloadBuildArtifacts', version: 1, deprecatedVersions: [0],
+    friendlyName: 'Download build artifacts',
+    description: 'Download files that were saved as artifacts of a completed build.',
+    inputs: [
+      { name: 'buildType', type: 'radio', default: 'current', options: ['current', 'specific'], description: 'Download from the current build or a specific one.' },
+      { name: 'project', type: 'string', required: true, when: { buildType: ['specific'] }, description: 'Project of the pipeline to download from.' },
+      { name: 'pipeline', aliases: ['definition'], type: 'string', required: true, when: { buildType: ['specific'] }, description: 'Pipeline to download from.' },
+      { name: 'buildVersionToDownload', type: 'pickList', default: 'latest', options: ['latest', 'latestFromBranch', 'specific'], when: { buildType: ['specific'] }, description: 'Which build to download from.' },
+      { name: 'buildId', type: 'string', required: true, when: { buildType: ['specific'], buildVersionToDownload: ['specific'] }, description: 'Build to download from.' },
+      { name: 'downloadType', type: 'radio', default: 'single', options: ['single', 'specific'], description: 'Download one artifact or all artifacts.' },
+      { name: 'artifactName', type: 'string', required: true, when: { downloadType: ['single'] }, description: 'Artifact to download.' },
+      { name: 'itemPattern', type: 'multiLine', default: '**', description: 'Files to download.' },
+      { name: 'downloadPath', type: 'string', required: true, default: '$(System.ArtifactsDirectory)', description: 'Where to download the files.' },
+      { name: 'cleanDestinationFolder', type: 'boolean', default: 'false', description: 'Delete the destination folder before downloading.' },
+      { name: 'parallelizationLimit', type: 'string', default: '8', description: 'Number of files to download at once.' },
+    ],
+  },
+  {
+    name: 'CopyFiles', version: 2, deprecatedVersions: [1],
+    friendlyName: 'Copy files',
+    description: 'Copy files from a source folder to a target folder using patterns.',
+    inputs: [
+      { name: 'SourceFolder', type: 'filePath', description: 'Folder that contains the files to copy; the repository root when empty.' },
+      { name: 'Contents', type: 'multiLine', required: true, default: '**', description: 'File paths to include, as match patterns.' },
+      { name: 'TargetFolder', type: 'string', required: true, description: 'Folder to copy the files to.' },
+      { name: 'CleanTargetFolder', type: 'boolean', default: 'false', description: 'Delete all files in the target folder first.' },
+      { name: 'OverWrite', type: 'boolean', default: 'false', description: 'Replace existing files in the target folder.' },
+      { name: 'flattenFolders', type: 'boolean', default: 'false', description: 'Copy all files into the root of the target folder.' },
+      { name: 'preserveTimestamp', type: 'boolean', default: 'false', description: 'Keep the timestamps of the source files.' },
+      { name: 'retryCount', type: 'string', default: '0', description: 'How often to retry a failed copy.' },
+      { name: 'delayBetweenRetries', type: 'string', default: '1000', description: 'Milliseconds between retries.' },
+      { name: 'ignoreMakeDirErrors', type: 'boolean', default: 'false', description: 'Ignore errors creating the target folder.' },
+    ],
+  },
+  {
+    name: 'DeleteFiles', version: 1,
+    friendlyName: 'Delete files',
+    description: 'Delete folders, or files matching a pattern.',
+    inputs: [
+      { name: 'SourceFolder', type: 'filePath', description: 'Folder to delete files from; the repository root when empty.' },
+      { name: 'Contents', type: 'multiLine', required: true, default: 'myFileShare', description: 'Files or folders to delete, as match patterns.' },
+      { name: 'RemoveSourceFolder', type: 'boolean', default: 'false', description: 'Also delete the source folder.' },
+      { name: 'RemoveDotFiles', type: 'boolean', default: 'false', description: 'Also delete files starting with a dot.' },
+    ],
+  },
+  {
+    name: 'ArchiveFiles', version: 2, deprecatedVersions: [1],
+    friendlyName: 'Archive files',
+    description: 'Compress files into .7z, .tar.gz or .zip.',
+    inputs: [
+      { name: 'rootFolderOrFile', type: 'filePath', required: true, default: '$(Build.BinariesDirectory)', description: 'Folder or file to archive.' },
+      { name: 'includeRootFolder', type: 'boolean', default: 'true', description: 'Prepend the root folder name to the paths in the archive.' },
+      { name: 'archiveType', type: 'pickList', default: 'zip', options: ['zip', '7z', 'tar', 'wim'], description: 'Compression format.' },
+      { name: 'sevenZipCompression', type: 'pickList', default: 'normal', options: ['ultra', 'maximum', 'normal', 'fast', 'fastest', 'none'], when: { archiveType: ['7z'] }, description: '7z compression level.' },
+      { name: 'tarCompression', type: 'pickList', default: 'gz', options: ['gz', 'bz2', 'xz', 'none'], when: { archiveType: ['tar'] }, description: 'Tar compression.' },
+      { name: 'archiveFile', type: 'filePath', required: true, default: '$(Build.ArtifactStagingDirectory)/$(Build.BuildId).zip', description: 'Archive file to create.' },
+      { name: 'replaceExistingArchive', type: 'boolean', default: 'true', description: 'Overwrite an existing archive instead of adding to it.' },
+      { name: 'verbose', type: 'boolean', default: 'false', description: 'Verbose output.' },
+      { name: 'quiet', type: 'boolean', default: 'false', description: 'Quiet output.' },
+    ],
+  },
+  {
+    name: 'ExtractFiles', version: 1,
+    friendlyName: 'Extract files',
+    description: 'Extract a variety of archive and compression files such as .7z, .rar, .tar.gz and .zip.',
+    inputs: [
+      { name: 'archiveFilePatterns', type: 'multiLine', required: true, default: '**/*.zip', description: 'Archives to extract, as match patterns.' },
+      { name: 'destinationFolder', type: 'filePath', required: true, description: 'Folder to extract the archives into.' },
+      { name: 'cleanDestinationFolder', type: 'boolean', default: 'true', description: 'Delete the destination folder before extracting.' },
+      { name: 'overwriteExistingFiles', type: 'boolean', default: 'false', description: 'Overwrite files that already exist in the destination.' },
+      { name: 'pathToSevenZipTool', type: 'string', description: 'Custom path to 7z.' },
+    ],
+  },
+  {
+    name: 'Cache', version: 2,
+    friendlyName: 'Cache',
+    description: 'Cache files between runs.',
+    inputs: [
+      { name: 'key', type: 'string', required: true, description: 'Key of the cache entry, e.g. `npm | "$(Agent.OS)" | package-lock.json`.' },
+      { name: 'path', type: 'string', required: true, description: 'Folder to cache and restore.' },
+      { name: 'cacheHitVar', type: 'string', description: 'Variable set to `true` when the cache is restored.' },
+      { name: 'restoreKeys', type: 'multiLine', description: 'Fallback key prefixes, one per line.' },
+    ],
+  },
+  {
+    name: 'DownloadSecureFile', version: 1,
+    friendlyName: 'Download secure file',
+    description: 'Download a secure file to the agent machine.',
+    inputs: [
+      { name: 'secureFile', type: 'secureFile', required: true, description: 'Name of the secure file in the library.' },
+      { name: 'retryCount', type: 'string', default: '8', description: 'How often to retry a failed download.' },
+      { name: 'socketTimeout', type: 'string', description: 'Timeout in milliseconds of the download socket.' },
+    ],
+  },
+
+  // ── Scripts ─────────────────────────────────────────────────────────────
+  {
+    name: 'PowerShell', version: 2, deprecatedVersions: [1],
+    friendlyName: 'PowerShell',
+    description: 'Run a PowerShell script on Linux, macOS or Windows.',
+    inputs: [
+      { name: 'targetType', type: 'radio', default: 'filePath', options: ['filePath', 'inline'], description: 'Run a script file or an inline script.' },
+      { name: 'filePath', type: 'filePath', required: true, when: { targetType: ['filePath'] }, description: 'Path of the script to run.' },
+      { name: 'arguments', type: 'string', when: { targetType: ['filePath'] }, description: 'Arguments passed to the script.' },
+      { name: 'script', type: 'multiLine', required: true, when: { targetType: ['inline'] }, description: 'Contents of the script.' },
+      { name: 'errorActionPreference', type: 'pickList', default: 'stop', options: ['default', ...PS_PREFERENCE], description: 'Value of `$ErrorActionPreference`.' },
+      { name: 'warningPreference', type: 'pickList', default: 'default', options: ['default', ...PS_PREFERENCE], description: 'Value of `$WarningPreference`.' },
+      { name: 'informationPreference', type: 'pickList', default: 'default', options: ['default', ...PS_PREFERENCE], description: 'Value of `$InformationPreference`.' },
+      { name: 'verbosePreference', type: 'pickList', default: 'default', options: ['default', ...PS_PREFERENCE], description: 'Value of `$VerbosePreference`.' },
+      { name: 'debugPreference', type: 'pickList', default: 'default', options: ['default', ...PS_PREFERENCE], description: 'Value of `$DebugPreference`.' },
+      { name: 'progressPreference', type: 'pickList', default: 'silentlyContinue', options: ['default', ...PS_PREFERENCE], description: 'Value of `$ProgressPreference`.' },
+      { name: 'failOnStderr', type: 'boolean', default: 'false', description: 'Fail when anything is written to the error stream.' },
+      { name: 'showWarnings', type: 'boolean', default: 'false', description: 'Show warnings in the pipeline logs.' },
+      { name: 'ignoreLASTEXITCODE', type: 'boolean', default: 'false', description: 'Do not fail on a non-zero `$LASTEXITCODE`.' },
+      { name: 'pwsh', type: 'boolean', default: 'false', description: 'Use PowerShell Core (`pwsh`) instead of Windows PowerShell.' },
+      { name: 'workingDirectory', type: 'filePath', description: 'Working directory of the script.' },
+      { name: 'runScriptInSeparateScope', type: 'boolean', default: 'false', description: 'Run the script in a child scope.' },
+    ],
+  },
+  {
+    name: 'Bash', version: 3,
+    friendlyName: 'Bash',
+    description: 'Run a Bash script on macOS, Linux or Windows.',
+    inputs: [
+      { name: 'targetType', type: 'radio', default: 'filePath', options: ['filePath', 'inline'], description: 'Run a script file or an inline script.' },
+      { name: 'filePath', type: 'filePath', required: true, when: { targetType: ['filePath'] }, description: 'Path of the script to run.' },
+      { name: 'arguments', type: 'string', when: { targetType: ['filePath'] }, description: 'Arguments passed to the script.' },
+      { name: 'script', type: 'multiLine', required: true, when: { targetType: ['inline'] }, description: 'Contents of the script.' },
+      { name: 'workingDirectory', type: 'filePath', description: 'Working directory of the script.' },
+      { name: 'failOnStderr', type: 'boolean', default: 'false', description: 'Fail when anything is written to stderr.' },
+      { name: 'bashEnvValue', type: 'string', description: 'Value of the `BASH_ENV` environment variable.' },
+    ],
+  },
+  {
+    name: 'CmdLine', version: 2, deprecatedVersions: [1],
+    friendlyName: 'Command line',
+    description: 'Run a command line script using Bash on Linux and macOS and cmd.exe on Windows.',
+    inputs: [
+      { name: 'script', type: 'multiLine', required: true, default: 'echo Write your commands here', description: 'Contents of the script.' },
+      { name: 'workingDirectory', type: 'filePath', description: 'Working directory of the script.' },
+      { name: 'failOnStderr', type: 'boolean', default: 'false', description: 'Fail when anything is written to stderr.' },
+    ],
+  },
+
+  // ── Azure ───────────────────────────────────────────────────────────────
+  {
+    name: 'AzureCLI', version: 2, deprecatedVersions: [1],
+    friendlyName: 'Azure CLI',
+    description: 'Run Azure CLI commands against an Azure subscription.',
+    inputs: [
+      { name: 'azureSubscription', aliases: ['connectedServiceNameARM'], type: 'connectedService', required: true, description: 'Azure Resource Manager service connection.' },
+      { name: 'scriptType', type: 'pickList', required: true, options: ['ps', 'pscore', 'batch', 'bash'], description: 'Type of script.' },
+      { name: 'scriptLocation', type: 'pickList', default: 'scriptPath', options: ['inlineScript', 'scriptPath'], description: 'Run a script file or an inline script.' },
+      { name: 'scriptPath', type: 'filePath', required: true, when: { scriptLocation: ['scriptPath'] }, description: 'Path of the script to run.' },
+      { name: 'inlineScript', type: 'multiLine', required: true, when: { scriptLocation: ['inlineScript'] }, description: 'Contents of the script.' },
+      { name: 'arguments', aliases: ['scriptArguments'], type: 'string', description: 'Arguments passed to the script.' },
+      { name: 'powerShellErrorActionPreference', type: 'pickList', default: 'stop', options: PS_PREFERENCE, when: { scriptType: ['ps', 'pscore'] }, description: 'Value of `$ErrorActionPreference`.' },
+      { name: 'addSpnToEnvironment', type: 'boolean', default: 'false', description: 'Expose the service principal to the script as environment variables.' },
+      { name: 'useGlobalConfig', type: 'boolean', default: 'false', description: 'Use the global Azure CLI configuration.' },
+      { name: 'workingDirectory', aliases: ['cwd'], type: 'filePath', description: 'Working directory of the script.' },
+      { name: 'failOnStandardError', type: 'boolean', default: 'false', description: 'Fail when anything is written to stderr.' },
+      { name: 'powerShellIgnoreLASTEXITCODE', type: 'boolean', default: 'false', when: { scriptType: ['ps', 'pscore'] }, description: 'Do not fail on a non-zero `$LASTEXITCODE`.' },
+      { name: 'visibleAzLogin', type: 'boolean', default: 'true', description: 'Show the output of `az login`.' },
+    ],
+  },
+  {
+    name: 'AzurePowerShell', version: 5, deprecatedVersions: [2, 3, 4],
+    friendlyName: 'Azure PowerShell',
+    description: 'Run a PowerShell script within an Azure environment.',
+    inputs: [
+      { name: 'azureSubscription', aliases: ['ConnectedServiceNameARM'], type: 'connectedService', required: true, description: 'Azure Resource Manager service connection.' },
+      { name: 'ScriptType', type: 'radio', default: 'FilePath', options: ['FilePath', 'InlineScript'], description: 'Run a script file or an inline script.' },
+      { name: 'ScriptPath', type: 'filePath', when: { ScriptType: ['FilePath'] }, description: 'Path of the script to run.' },
+      { name: 'Inline', type: 'multiLine', when: { ScriptType: ['InlineScript'] }, description: 'Contents of the script.' },
+      { name: 'ScriptArguments', type: 'string', when: { ScriptType: ['FilePath'] }, description: 'Arguments passed to the script.' },
+      { name: 'errorActionPreference', type: 'pickList', default: 'stop', options: PS_PREFERENCE, description: 'Value of `$ErrorActionPreference`.' },
+      { name: 'FailOnStandardError', type: 'boolean', default: 'false', description: 'Fail when anything is written to the error stream.' },
+      { name: 'azurePowerShellVersion', aliases: ['TargetAzurePs'], type: 'radio', default: 'OtherVersion', options: ['LatestVersion', 'OtherVersion'], description: 'Use the latest installed Az module or a specific version.' },
+      { name: 'preferredAzurePowerShellVersion', aliases: ['CustomTargetAzurePs'], type: 'string', required: true, when: { azurePowerShellVersion: ['OtherVersion'] }, description: 'Az module version, e.g. `11.0.0`.' },
+      { name: 'pwsh', type: 'boolean', default: 'false', description: 'Use PowerShell Core (`pwsh`) instead of Windows PowerShell.' },
+      { name: 'validateScriptSignature', type: 'boolean', default: 'false', when: { ScriptType: ['FilePath'] }, description: 'Check the script signature before running it.' },
+      { name: 'workingDirectory', type: 'filePath', description: 'Working directory of the script.' },
+    ],
+  },
+  {
+    name: 'AzureKeyVault', version: 2, deprecatedVersions: [1],
+    friendlyName: 'Azure Key Vault',
+    description: 'Download Azure Key Vault secrets as pipeline variables.',
+    inputs: [
+      { name: 'azureSubscription', aliases: ['ConnectedServiceName'], type: 'connectedService', required: true, description: 'Azure Resource Manager service connection.' },
+      { name: 'KeyVaultName', type: 'string', required: true, description: 'Name of the key vault.' },
+      { name: 'SecretsFilter', type: 'string', required: true, default: '*', description: 'Comma-separated secret names to download, or `*` for all.' },
+      { name: 'RunAsPreJob', type: 'boolean', default: 'false', description: 'Download the secrets before the job starts.' },
+    ],
+  },
+  {
+    name: 'AzureWebApp', version: 1,
+    friendlyName: 'Azure Web App',
+    description: 'Deploy an Azure Web App for Linux or Windows.',
+    inputs: [
+      { name: 'azureSubscription', type: 'connectedService', required: true, description: 'Azure Resource Manager service connection.' },
+      { name: 'appType', type: 'pickList', required: true, options: ['webApp', 'webAppLinux'], description: 'Type of the web app.' },
+      { name: 'appName', type: 'string', required: true, description: 'Name of the web app.' },
+      { name: 'deployToSlotOrASE', type: 'boolean', default: 'false', description: 'Deploy to a slot or an App Service Environment.' },
+      { name: 'resourceGroupName', type: 'string', required: true, when: { deployToSlotOrASE: ['true'] }, description: 'Resource group of the web app.' },
+      { name: 'slotName', type: 'string', required: true, default: 'production', when: { deployToSlotOrASE: ['true'] }, description: 'Slot to deploy to.' },
+      { name: 'package', type: 'filePath', required: true, default: '$(System.DefaultWorkingDirectory)/**/*.zip', description: 'Package or folder to deploy.' },
+      { name: 'customDeployFolder', type: 'string', description: 'Folder of a WAR file to deploy to.' },
+      { name: 'runtimeStack', type: 'string', when: { appType: ['webAppLinux'] }, description: 'Runtime stack of a Linux web app.' },
+      { name: 'startUpCommand', type: 'string', when: { appType: ['webAppLinux'] }, description: 'Startup command.' },
+      { name: 'customWebConfig', type: 'string', when: { appType: ['webApp'] }, description: 'Parameters for a generated web.config.' },
+      { name: 'appSettings', type: 'string', description: 'App settings to set, e.g. `-key1 value1 -key2 value2`.' },
+      { name: 'configurationStrings', type: 'string', description: 'Configuration settings to set.' },
+      { name: 'deploymentMethod', type: 'pickList', default: 'auto', options: ['auto', 'zipDeploy', 'runFromPackage'], description: 'How the package is deployed.' },
+    ],
+  },
+  {
+    name: 'AzureFunctionApp', version: 2, otherVersions: [1],
+    friendlyName: 'Azure Functions',
+    description: 'Deploy an Azure Function app for Linux or Windows.',
+    inputs: [
+      { name: 'connectedServiceNameARM', aliases: ['azureSubscription'], type: 'connectedService', required: true, description: 'Azure Resource Manager service connection.' },
+      { name: 'appType', type: 'pickList', required: true, options: ['functionApp', 'functionAppLinux'], description: 'Type of the function app.' },
+      { name: 'isFlexConsumption', type: 'boolean', default: 'false', description: 'The app runs on the Flex Consumption plan.' },
+      { name: 'appName', type: 'string', required: true, description: 'Name of the function app.' },
+      { name: 'deployToSlotOrASE', type: 'boolean', default: 'false', description: 'Deploy to a slot or an App Service Environment.' },
+      { name: 'resourceGroupName', type: 'string', required: true, when: { deployToSlotOrASE: ['true'] }, description: 'Resource group of the function app.' },
+      { name: 'slotName', type: 'string', required: true, default: 'production', when: { deployToSlotOrASE: ['true'] }, description: 'Slot to deploy to.' },
+      { name: 'package', type: 'filePath', required: true, default: '$(System.DefaultWorkingDirectory)/**/*.zip', description: 'Package or folder to deploy.' },
+      { name: 'runtimeStack', type: 'string', when: { appType: ['functionAppLinux'] }, description: 'Runtime stack of a Linux function app.' },
+      { name: 'appSettings', type: 'string', description: 'App settings to set, e.g. `-key1 value1 -key2 value2`.' },
+      { name: 'deploymentMethod', type: 'pickList', default: 'auto', options: ['auto', 'zipDeploy', 'runFromPackage'], description: 'How the package is deployed.' },
+    ],
+  },
+  {
+    name: 'AzureResourceManagerTemplateDeployment', version: 3,
+    friendlyName: 'ARM template deployment',
+    description: 'Deploy an Azure Resource Manager (ARM) template to all deployment scopes.',
+    inputs: [
+      { name: 'deploymentScope', type: 'pickList', default: 'Resource Group', options: ['Management Group', 'Subscription', 'Resource Group'], description: 'Scope of the deployment.' },
+      { name: 'azureResourceManagerConnection', aliases: ['ConnectedServiceName'], type: 'connectedService', required: true, description: 'Azure Resource Manager service connection.' },
+      { name: 'subscriptionId', aliases: ['subscriptionName'], type: 'string', required: true, when: { deploymentScope: ['Subscription', 'Resource Group'] }, description: 'Azure subscription.' },
+      { name: 'action', type: 'pickList', default: 'Create Or Update Resource Group', options: ['Create Or Update Resource Group', 'DeleteRG'], when: { deploymentScope: ['Resource Group'] }, description: 'Deploy, or delete the resource group.' },
+      { name: 'resourceGroupName', type: 'string', required: true, when: { deploymentScope: ['Resource Group'] }, description: 'Resource group to deploy to.' },
+      { name: 'location', type: 'string', description: 'Location of the resource group or deployment.' },
+      { name: 'templateLocation', type: 'pickList', default: 'Linked artifact', options: ['Linked artifact', 'URL of the file'], description: 'Where the template comes from.' },
+      { name: 'csmFile', type: 'filePath', required: true, when: { templateLocation: ['Linked artifact'] }, description: 'Template file.' },
+      { name: 'csmParametersFile', type: 'filePath', when: { templateLocation: ['Linked artifact'] }, description: 'Template parameters file.' },
+      { name: 'csmFileLink', type: 'string', required: true, when: { templateLocation: ['URL of the file'] }, description: 'URL of the template.' },
+      { name: 'csmParametersFileLink', type: 'string', when: { templateLocation: ['URL of the file'] }, description: 'URL of the template parameters.' },
+      { name: 'overrideParameters', type: 'multiLine', description: 'Template parameters to override, e.g. `-name value`.' },
+      { name: 'deploymentMode', type: 'pickList', default: 'Incremental', options: ['Incremental', 'Complete', 'Validation'], description: 'Deployment mode.' },
+      { name: 'deploymentName', type: 'string', description: 'Name of the deployment.' },
+      { name: 'deploymentOutputs', type: 'string', description: 'Variable the deployment outputs are stored in.' },
+      { name: 'addSpnToEnvironment', type: 'boolean', default: 'false', description: 'Expose the service principal to the template as parameters.' },
+      { name: 'useWithoutJSON', type: 'boolean', default: 'false', description: 'Pass output values as-is instead of as JSON.' },
+    ],
+  },
+
+  // ── Containers ──────────────────────────────────────────────────────────
+  {
+    name: 'Docker', version: 2, deprecatedVersions: [0, 1],
+    friendlyName: 'Docker',
+    description: 'Build or push Docker images, log in or log out, start or stop containers, or run a Docker command.',
+    inputs: [
+      { name: 'containerRegistry', type: 'connectedService', description: 'Docker registry service connection.' },
+      { name: 'repository', type: 'string', description: 'Name of the repository.' },
+      { name: 'command', type: 'pickList', default: 'buildAndPush', options: ['buildAndPush', 'build', 'push', 'login', 'logout', 'start', 'stop'], description: 'Docker command to run.' },
+      { name: 'Dockerfile', type: 'filePath', default: '**/Dockerfile', when: { command: ['build', 'buildAndPush'] }, description: 'Path to the Dockerfile.' },
+      { name: 'buildContext', type: 'filePath', default: '**', when: { command: ['build', 'buildAndPush'] }, description: 'Build context; the folder of the Dockerfile by default.' },
+      { name: 'tags', type: 'multiLine', default: '$(Build.BuildId)', when: { command: ['build', 'push', 'buildAndPush'] }, description: 'Tags, one per line.' },
+      { name: 'arguments', type: 'string', when: { command: ['build', 'push', 'login', 'logout', 'start', 'stop'] }, description: 'Additional arguments for the Docker command.' },
+      { name: 'addPipelineData', type: 'boolean', default: 'true', description: 'Add pipeline metadata to the image.' },
+      { name: 'addBaseImageData', type: 'boolean', default: 'true', description: 'Add base image metadata to the image.' },
+      { name: 'container', type: 'string', required: true, when: { command: ['start', 'stop'] }, description: 'Container to start or stop.' },
+    ],
+  },
+
+  // ── Tools and package managers ──────────────────────────────────────────
+  {
+    name: 'Npm', version: 1, deprecatedVersions: [0],
+    friendlyName: 'npm',
+    description: 'Install and publish npm packages, or run an npm command.',
+    inputs: [
+      { name: 'command', type: 'pickList', default: 'install', options: ['ci', 'install', 'publish', 'custom'], description: 'npm command to run.' },
+      { name: 'workingDir', type: 'filePath', description: 'Folder that contains package.json.' },
+      { name: 'verbose', type: 'boolean', when: { command: ['install', 'ci', 'publish'] }, description: 'Verbose logging.' },
+      { name: 'customCommand', type: 'string', required: true, when: { command: ['custom'] }, description: 'Command and arguments to pass to npm.' },
+      { name: 'customRegistry', type: 'radio', default: 'useNpmrc', options: ['useNpmrc', 'useFeed'], when: { command: ['install', 'ci', 'custom'] }, description: 'Use the registries of an .npmrc file or a selected feed.' },
+      { name: 'customFeed', type: 'string', required: true, when: { customRegistry: ['useFeed'] }, description: 'Azure Artifacts feed to use.' },
+      { name: 'customEndpoint', type: 'connectedService', when: { customRegistry: ['useNpmrc'] }, description: 'Credentials for registries outside this organization.' },
+      { name: 'publishRegistry', type: 'radio', default: 'useExternalRegistry', options: ['useExternalRegistry', 'useFeed'], when: { command: ['publish'] }, description: 'Publish to an external registry or to a feed.' },
+      { name: 'publishFeed', type: 'string', required: true, when: { command: ['publish'], publishRegistry: ['useFeed'] }, description: 'Azure Artifacts feed to publish to.' },
+      { name: 'publishPackageMetadata', type: 'boolean', default: 'true', when: { command: ['publish'], publishRegistry: ['useFeed'] }, description: 'Associate the pipeline metadata with the package.' },
+      { name: 'publishEndpoint', type: 'connectedService', required: true, when: { command: ['publish'], publishRegistry: ['useExternalRegistry'] }, description: 'npm service connection of the external registry.' },
+    ],
+  },
+  {
+    name: 'NodeTool', version: 0,
+    friendlyName: 'Node.js tool installer',
+    description: 'Find, download and cache a specified version of Node.js and add it to the PATH.',
+    inputs: [
+      { name: 'versionSource', type: 'radio', default: 'spec', options: ['spec', 'fromFile'], description: 'Take the version from `versionSpec` or from a file.' },
+      { name: 'versionSpec', type: 'string', default: '6.x', when: { versionSource: ['spec'] }, description: 'Version or version range of Node.js, e.g. `20.x`.' },
+      { name: 'versionFilePath', type: 'string', when: { versionSource: ['fromFile'] }, description: 'File with the version, e.g. `.nvmrc`.' },
+      { name: 'checkLatest', type: 'boolean', default: 'false', description: 'Always check for and download the latest matching version.' },
+      { name: 'force32bit', type: 'boolean', default: 'false', description: 'Install the x86 version on x64 Windows agents.' },
+      { name: 'retryCountOnDownloadFails', type: 'string', default: '5', description: 'How often to retry a failed download.' },
+      { name: 'delayBetweenRetries', type: 'string', default: '1000', description: 'Milliseconds between retries.' },
+    ],
+  },
+  {
+    name: 'UseNode', version: 1,
+    friendlyName: 'Use Node.js ecosystem',
+    description: 'Set up a Node.js environment and add it to the PATH.',
+    inputs: [
+      { name: 'version', type: 'string', default: '10.x', description: 'Version or version range of Node.js.' },
+      { name: 'checkLatest', type: 'boolean', default: 'false', description: 'Always check for and download the latest matching version.' },
+      { name: 'force32bit', type: 'boolean', default: 'false', description: 'Install the x86 version on x64 Windows agents.' },
+      { name: 'retryCountOnDownloadFails', type: 'string', default: '5', description: 'How often to retry a failed download.' },
+      { name: 'delayBetweenRetries', type: 'string', default: '1000', description: 'Milliseconds between retries.' },
+    ],
+  },
+  {
+    name: 'UsePythonVersion', version: 0,
+    friendlyName: 'Use Python version',
+    description: 'Use the specified version of Python from the tool cache, optionally adding it to the PATH.',
+    inputs: [
+      { name: 'versionSpec', type: 'string', required: true, default: '3.x', description: 'Version or version range of Python.' },
+      { name: 'disableDownloadFromRegistry', type: 'boolean', default: 'false', description: 'Only use versions from the tool cache.' },
+      { name: 'allowUnstable', type: 'boolean', default: 'false', when: { disableDownloadFromRegistry: ['false'] }, description: 'Allow downloading unstable versions.' },
+      { name: 'githubToken', type: 'string', when: { disableDownloadFromRegistry: ['false'] }, description: 'GitHub token for downloading Python.' },
+      { name: 'addToPath', type: 'boolean', default: 'true', description: 'Prepend the Python version to the PATH.' },
+      { name: 'architecture', type: 'pickList', default: 'x64', options: ['x86', 'x64', 'arm64'], description: 'Architecture of Python.' },
+    ],
+  },
+  {
+    name: 'JavaToolInstaller', version: 0,
+    friendlyName: 'Java tool installer',
+    description: 'Acquire a specific version of Java and set JAVA_HOME.',
+    inputs: [
+      { name: 'versionSpec', type: 'string', required: true, default: '8', description: 'JDK version.' },
+      { name: 'jdkArchitectureOption', type: 'pickList', required: true, options: ['x64', 'x86'], description: 'JDK architecture.' },
+      { name: 'jdkSourceOption', type: 'pickList', required: true, options: ['AzureStorage', 'LocalDirectory', 'PreInstalled'], description: 'Where the JDK comes from.' },
+      { name: 'jdkFile', type: 'filePath', required: true, when: { jdkSourceOption: ['LocalDirectory'] }, description: 'Path to the JDK archive.' },
+      { name: 'azureResourceManagerEndpoint', type: 'connectedService', required: true, when: { jdkSourceOption: ['AzureStorage'] }, description: 'Azure Resource Manager service connection.' },
+      { name: 'azureStorageAccountName', type: 'string', required: true, when: { jdkSourceOption: ['AzureStorage'] }, description: 'Storage account that holds the JDK.' },
+      { name: 'azureContainerName', type: 'string', required: true, when: { jdkSourceOption: ['AzureStorage'] }, description: 'Container that holds the JDK.' },
+      { name: 'azureCommonVirtualFile', type: 'string', required: true, when: { jdkSourceOption: ['AzureStorage'] }, description: 'Path of the JDK in the container.' },
+      { name: 'jdkDestinationDirectory', type: 'string', required: true, when: { jdkSourceOption: ['AzureStorage', 'LocalDirectory'] }, description: 'Folder the JDK is extracted into.' },
+      { name: 'cleanDestinationDirectory', type: 'boolean', default: 'true', when: { jdkSourceOption: ['AzureStorage', 'LocalDirectory'] }, description: 'Delete the destination folder first.' },
+    ],
+  },
+  {
+    name: 'Maven', version: 4, otherVersions: [3],
+    friendlyName: 'Maven',
+    description: 'Build, test and deploy with Apache Maven.',
+    inputs: [
+      { name: 'mavenPomFile', type: 'filePath', required: true, default: 'pom.xml', description: 'Path of the Maven POM file.' },
+      { name: 'goals', type: 'string', default: 'package', description: 'Maven goals to run.' },
+      { name: 'options', type: 'string', description: 'Additional Maven options.' },
+      { name: 'publishJUnitResults', type: 'boolean', default: 'true', description: 'Publish the JUnit test results.' },
+      { name: 'testResultsFiles', type: 'filePath', required: true, default: '**/surefire-reports/TEST-*.xml', when: { publishJUnitResults: ['true'] }, description: 'Test result files.' },
+      { name: 'testRunTitle', type: 'string', when: { publishJUnitResults: ['true'] }, description: 'Title of the test run.' },
+      { name: 'javaHomeOption', aliases: ['javaHomeSelection'], type: 'radio', default: 'JDKVersion', options: ['JDKVersion', 'Path'], description: 'Select the JDK by version or by path.' },
+      { name: 'jdkVersionOption', aliases: ['jdkVersion'], type: 'pickList', default: 'default', editable: true, options: ['default', '1.21', '1.17', '1.11', '1.8'], when: { javaHomeOption: ['JDKVersion'] }, description: 'JDK version.' },
+      { name: 'jdkDirectory', aliases: ['jdkUserInputPath'], type: 'string', required: true, when: { javaHomeOption: ['Path'] }, description: 'Path of the JDK.' },
+      { name: 'jdkArchitectureOption', aliases: ['jdkArchitecture'], type: 'pickList', default: 'x64', options: ['x86', 'x64'], when: { javaHomeOption: ['JDKVersion'] }, description: 'JDK architecture.' },
+      { name: 'mavenVersionOption', aliases: ['mavenVersionSelection'], type: 'radio', default: 'Default', options: ['Default', 'Path'], description: 'Use the default Maven or one at a path.' },
+      { name: 'mavenDirectory', aliases: ['mavenPath'], type: 'string', required: true, when: { mavenVersionOption: ['Path'] }, description: 'Path of the Maven installation.' },
+      { name: 'mavenOptions', aliases: ['mavenOpts'], type: 'string', default: '-Xmx1024m', description: 'Value of the `MAVEN_OPTS` environment variable.' },
+      { name: 'mavenAuthenticateFeed', type: 'boolean', default: 'false', description: 'Authenticate with Azure Artifacts feeds.' },
+      { name: 'sonarQubeRunAnalysis', type: 'boolean', default: 'false', description: 'Run SonarQube or SonarCloud analysis.' },
+    ],
+  },
+  {
+    name: 'Gradle', version: 3, otherVersions: [2],
+    friendlyName: 'Gradle',
+    description: 'Build using a Gradle wrapper script.',
+    inputs: [
+      { name: 'gradleWrapperFile', aliases: ['wrapperScript'], type: 'filePath', required: true, default: 'gradlew', description: 'Path of the Gradle wrapper script.' },
+      { name: 'workingDirectory', aliases: ['cwd'], type: 'filePath', description: 'Working directory of the build.' },
+      { name: 'options', type: 'string', description: 'Additional Gradle options.' },
+      { name: 'tasks', type: 'string', required: true, default: 'build', description: 'Gradle tasks to run.' },
+      { name: 'publishJUnitResults', type: 'boolean', default: 'true', description: 'Publish the JUnit test results.' },
+      { name: 'testResultsFiles', type: 'filePath', required: true, default: '**/TEST-*.xml', when: { publishJUnitResults: ['true'] }, description: 'Test result files.' },
+      { name: 'javaHomeOption', aliases: ['javaHomeSelection'], type: 'radio', default: 'JDKVersion', options: ['JDKVersion', 'Path'], description: 'Select the JDK by version or by path.' },
+      { name: 'jdkVersionOption', aliases: ['jdkVersion'], type: 'pickList', default: 'default', editable: true, options: ['default', '1.21', '1.17', '1.11', '1.8'], when: { javaHomeOption: ['JDKVersion'] }, description: 'JDK version.' },
+      { name: 'gradleOptions', aliases: ['gradleOpts'], type: 'string', default: '-Xmx1024m', description: 'Value of the `GRADLE_OPTS` environment variable.' },
+      { name: 'sonarQubeRunAnalysis', type: 'boolean', default: 'false', description: 'Run SonarQube or SonarCloud analysis.' },
+    ],
+  },
+
+  // ── Utility ─────────────────────────────────────────────────────────────
+  {
+    name: 'ManualValidation', version: 1, otherVersions: [0],
+    friendlyName: 'Manual validation',
+    description: 'Pause a pipeline run to wait for manual interaction (agentless jobs only).',
+    inputs: [
+      { name: 'notifyUsers', type: 'string', description: 'Users or groups to notify.' },
+      { name: 'approvers', type: 'string', description: 'Users or groups who can approve.' },
+      { name: 'allowApproversToApproveTheirOwnRuns', type: 'boolean', default: 'true', description: 'Let the person who queued the run approve it.' },
+      { name: 'instructions', type: 'multiLine', description: 'Instructions shown to the approvers.' },
+      { name: 'onTimeout', type: 'pickList', default: 'reject', options: ['reject', 'resume'], description: 'What to do when nobody responds in time.' },
+    ],
+  },
+  {
+    name: 'Delay', version: 1,
+    friendlyName: 'Delay',
+    description: 'Delay further execution of a workflow by a fixed time (agentless jobs only).',
+    inputs: [
+      { name: 'delayForMinutes', type: 'string', required: true, default: '0', description: 'Minutes to wait.' },
+    ],
+  },
+];
+
+/** @type {Map<string, TaskDefinition>} lower-cased name → built-in task */
+const BY_NAME = new Map(CATALOG.map(t => [t.name.toLowerCase(), t]));
+
+/**
+ * @typedef {object} TaskCatalog
+ * @property {Map<string, TaskDefinition>} tasks  lower-cased name → task
+ * @property {string|null} customFile  The custom catalog file that was read, if any
+ * @property {string|null} error       Why the custom catalog file could not be used
+ */
+
+/** @type {Map<string, TaskCatalog>} custom file path + text → merged catalog (latest only) */
+const _customCache = new Map();
+
+/**
+ * Returns the task catalog: the built-in tasks plus the tasks declared in
+ * `customFile`, when it exists.  Custom entries without a name or a numeric
+ * version are skipped; a file that is not valid JSON leaves the built-in
+ * catalog unchanged and sets `error`.
+ *
+ * @param {string|null} [customFile]  Absolute path of the workspace task catalog
+ * @returns {TaskCatalog}
+ */
+function loadTaskCatalog(customFile) {
+  const text = customFile ? fileCache.readFile(customFile) : null;
+  if (text === null) return { tasks: BY_NAME, customFile: null, error: null };
+
+  const key = `${customFile}\n${text}`;
+  const cached = _customCache.get(key);
+  if (cached) return cached;
+
+  const tasks = new Map(BY_NAME);
+  let error = null;
+  try {
+    const json = JSON.parse(text);
+    const entries = Array.isArray(json) ? json : json && Array.isArray(json.tasks) ? json.tasks : null;
+    if (!entries) throw new Error('expected a "tasks" array');
+    for (const entry of entries) {
+      if (!entry || typeof entry.name !== 'string' || !Number.isInteger(entry.version)) continue;
+      const inputs = Array.isArray(entry.inputs)
+        ? entry.inputs.filter(i => i && typeof i.name === 'string').map(i => Object.assign({ type: 'string' }, i))
+        : [];
+      tasks.set(entry.name.toLowerCase(), Object.assign({}, entry, { inputs, source: customFile }));
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  const catalog = { tasks, customFile, error };
+  _customCache.clear();
+  _customCache.set(key, catalog);
+  return catalog;
+}
+
+/**
+ * Looks up a task by name.  Task names are case-insensitive.
+ * @param {TaskCatalog} catalog
+ * @param {string} name
+ * @returns {TaskDefinition|null}
+ */
+function lookupTask(catalog, name) {
+  return catalog.tasks.get(String(name).toLowerCase()) || null;
+}
+
+/**
+ * Splits a task reference such as `DotNetCoreCLI@2` into its name and major
+ * version.  `version` is null when the reference has no `@` part and NaN when
+ * the part after `@` is not a number.
+ *
+ * @param {string} ref
+ * @returns {{ name: string, version: number|null }}
+ */
+function parseTaskReference(ref) {
+  const at = ref.lastIndexOf('@');
+  if (at === -1) return { name: ref.trim(), version: null };
+  const m = /^\s*(\d+)(?:\.\d+)*\s*$/.exec(ref.slice(at + 1));
+  return { name: ref.slice(0, at).trim(), version: m ? Number(m[1]) : NaN };
+}
+
+/**
+ * Every major version of a task the catalog knows, newest first.
+ * @param {TaskDefinition} task
+ * @returns {number[]}
+ */
+function knownVersions(task) {
+  return [task.version, ...(task.otherVersions || []), ...(task.deprecatedVersions || [])]
+    .sort((a, b) => b - a);
+}
+
+/**
+ * Finds the input of a task that `key` names — by name or alias,
+ * case-insensitively, as the agent does.
+ * @param {TaskDefinition} task
+ * @param {string} key
+ * @returns {TaskInput|null}
+ */
+function findTaskInput(task, key) {
+  const lower = key.toLowerCase();
+  return task.inputs.find(i =>
+    i.name.toLowerCase() === lower || (i.aliases || []).some(a => a.toLowerCase() === lower)
+  ) || null;
+}
+
+/**
+ * True when a value is decided at run or compile time — a macro, runtime or
+ * template expression — so it cannot be checked against the catalog.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isDynamicValue(value) {
+  return /\$\(|\$\[|\$\{\{/.test(value);
+}
+
+/**
+ * Decides whether an input applies given the values of the other inputs
+ * (`given`, keyed by input name).  Inputs that are not given take their
+ * default.  Returns null when a deciding input holds an expression.
+ *
+ * @param {TaskDefinition} task
+ * @param {TaskInput} input
+ * @param {Record<string, string>} given
+ * @returns {boolean|null}
+ */
+function isInputActive(task, input, given) {
+  if (!input.when) return true;
+  let unknown = false;
+  for (const [controlName, allowed] of Object.entries(input.when)) {
+    const control = findTaskInput(task, controlName);
+    const value = control && given[control.name] !== undefined
+      ? given[control.name]
+      : control ? control.default : undefined;
+    if (value === undefined) return false;
+    if (isDynamicValue(value)) {
+      unknown = true;
+      continue;
+    }
+    if (!allowed.some(a => a.toLowerCase() === value.toLowerCase())) return false;
+  }
+  return unknown ? null : true;
+}
+
+/**
+ * @typedef {object} TaskStep
+ * @property {string} taskRef      The reference as written, e.g. `DotNetCoreCLI@2`
+ * @property {string} name
+ * @property {number|null} version  NaN for a malformed version
+ * @property {number} line         0-based line of the reference
+ * @property {number} col          Column of the reference
+ * @property {number} endCol
+ * @property {object} node         yamlParser map of the step
+ * @property {object|undefined} inputsEntry  The step's `inputs:` entry
+ */
+
+/**
+ * Finds every `- task:` step of a document.  Steps whose reference is not a
+ * plain scalar (for example a `${{ }}` expression) are included; callers
+ * skip them with {@link isDynamicValue}.
+ *
+ * @param {string} text
+ * @returns {TaskStep[]}
+ */
+function findTaskSteps(text) {
+  const steps = [];
+  walkDocument(parseYaml(text), (node) => {
+    if (node.kind !== 'map') return;
+    const taskEntry = getMapEntry(node, 'task');
+    const taskRef = scalarValue(taskEntry && taskEntry.value);
+    if (!taskRef) return;
+    const { name, version } = parseTaskReference(taskRef);
+    const v = taskEntry.value;
+    steps.push({
+      taskRef,
+      name,
+      version,
+      line: v.line,
+      col: v.col,
+      endCol: v.line === v.endLine ? v.endCol : v.col + taskRef.length,
+      node,
+      inputsEntry: getMapEntry(node, 'inputs'),
+    });
+  });
+  return steps;
+}
+
+/**
+ * Collects the scalar values of a step's `inputs:` keyed by the catalog name
+ * of the input they set.  Keys the task does not know are left out.
+ * @param {TaskDefinition} task
+ * @param {object|null|undefined} inputsNode  yamlParser map
+ * @returns {Record<string, string>}
+ */
+function givenInputValues(task, inputsNode) {
+  const given = {};
+  if (!inputsNode || inputsNode.kind !== 'map') return given;
+  for (const e of inputsNode.entries) {
+    const input = findTaskInput(task, e.key);
+    const value = scalarValue(e.value);
+    if (input && value !== undefined) given[input.name] = value;
+  }
+  return given;
+}
+
+module.exports = {
+  TASK_CATALOG: CATALOG,
+  loadTaskCatalog,
+  lookupTask,
+  parseTaskReference,
+  knownVersions,
+  findTaskInput,
+  isDynamicValue,
+  isInputActive,
+  findTaskSteps,
+  givenInputValues,
+};
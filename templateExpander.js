@@ -0,0 +1,514 @@
+'use strict';
+
+/**
+ * templateExpander.js
+ *
+ * Builds a local approximation of the YAML the Azure Pipelines compiler
+ * produces for a pipeline: every `template:` reference is inlined with the
+ * parameter values its caller passes (or the template defaults), `${{ }}`
+ * expressions are evaluated, and `${{ if }}` / `${{ each }}` / `${{ insert }}`
+ * directives are applied.  `extends: template:` pipelines are merged with
+ * their base template.
+ *
+ * What is left as written:
+ *   • runtime expressions and macros (`$[ … ]`, `$(var)`);
+ *   • expressions whose value is not known at edit time, such as a
+ *     required parameter nobody passes;
+ *   • `${{ if }}` blocks whose condition cannot be decided (with a warning).
+ *
+ * Problems (missing files, unknown aliases, too deep nesting) are reported as
+ * warnings and the offending reference is kept in the output.
+ *
+ * Pure Node — no vscode dependency.
+ */
+
+const fileCache = require('./fileCache');
+const { parseYaml, stringifyYaml } = require('./yamlParser');
+const {
+  parseParameters,
+  parseRepositoryAliases,
+  parseVariables,
+  resolveTemplatePath,
+} = require('./hoverProvider');
+const { coerce } = require('./dynamicTemplateRefs');
+const {
+  UNKNOWN,
+  findExpressions,
+  parseExpression,
+  parseTemplateExpression,
+  evaluate,
+  formatValue,
+} = require('./templateExpression');
+
+/** Maximum template nesting, as enforced by Azure Pipelines. */
+const MAX_DEPTH = 20;
+
+/** Top-level keys whose list a template contributes, in lookup order. */
+const TEMPLATE_BODY_KEYS = ['stages', 'jobs', 'steps', 'variables'];
+
+/**
+ * Key of the `{ filePath, line }` (0-based line) each mapping of an expanded
+ * document was written at.  The property is not enumerable, so it stays out
+ * of the expanded YAML and of comparisons.
+ */
+const SOURCE = Symbol('source');
+
+/**
+ * @typedef {object} ExpandContext
+ * @property {string}   filePath     File the values being expanded come from
+ * @property {Record<string, string>} repoAliases  Aliases of the root pipeline
+ * @property {Record<string, *>} parameters  Parameter values (UNKNOWN when not known)
+ * @property {Record<string, string>} variables  Compile-time variables
+ * @property {Record<string, *>} locals  `${{ each }}` loop variables
+ * @property {string[]} stack        Files being expanded (cycle detection)
+ * @property {string[]} warnings     Shared warning list
+ *
+ * @typedef {object} ExpandResult
+ * @property {string}   text      Expanded YAML
+ * @property {*}        value     Expanded document as a plain JS value; mappings carry their SOURCE
+ * @property {string[]} warnings
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Sources
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Records where a mapping was written. */
+function setSource(obj, source) {
+  Object.defineProperty(obj, SOURCE, { value: source, configurable: true });
+  return obj;
+}
+
+/**
+ * Converts a yamlParser node to a plain JS value, like `toJS`, recording the
+ * source of every mapping.
+ *
+ * @param {object|null} node
+ * @param {string} filePath  File the node was parsed from
+ * @returns {*}
+ */
+function toSourceJS(node, filePath) {
+  if (!node) return null;
+  if (node.kind === 'scalar') return node.value;
+  if (node.kind === 'seq') return node.items.map(item => toSourceJS(item, filePath));
+  const obj = {};
+  for (const e of node.entries) obj[e.key] = toSourceJS(e.value, filePath);
+  return setSource(obj, { filePath, line: node.line });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Expressions
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Evaluation context of an expression. */
+function exprContext(ctx) {
+  return Object.assign({ parameters: ctx.parameters, variables: ctx.variables }, ctx.locals);
+}
+
+/**
+ * Substitutes the `${{ }}` expressions in a string.  A string that is a
+ * single expression evaluates to the expression's value (which may be a list
+ * or mapping); otherwise each known value is formatted into the text.
+ * Expressions that cannot be evaluated are left as written.
+ *
+ * @param {string} str
+ * @param {ExpandContext} ctx
+ * @returns {*}
+ */
+function substitute(str, ctx) {
+  const exprs = findExpressions(str);
+  if (exprs.length === 0) return str;
+
+  const values = exprs.map(expr => {
+    const { ast, error } = parseExpression(expr.inner);
+    return error ? UNKNOWN : evaluate(ast, exprContext(ctx));
+  });
+
+  if (exprs.length === 1 && str.trim() === str.slice(exprs[0].start, exprs[0].end)) {
+    return values[0] === UNKNOWN ? str : values[0];
+  }
+
+  let out = '';
+  let pos = 0;
+  exprs.forEach((expr, i) => {
+    out += str.slice(pos, expr.start);
+    out += values[i] === UNKNOWN ? str.slice(expr.start, expr.end) : formatValue(values[i]);
+    pos = expr.end;
+  });
+  return out + str.slice(pos);
+}
+
+/**
+ * Parses a `${{ if … }}` / `${{ each … }}` / … mapping key.
+ * @param {string} key
+ * @returns {{ kind: string, ast: object|null, variable?: string }|null}
+ *   null for ordinary keys and malformed directives
+ */
+function parseDirective(key) {
+  const m = /^\$\{\{([\s\S]*)\}\}$/.exec(key.trim());
+  if (!m) return null;
+  const parsed = parseTemplateExpression(m[1]);
+  if (parsed.kind === 'expression' || parsed.error) return null;
+  return parsed;
+}
+
+/**
+ * Values an `${{ each }}` loop iterates over: list items, or `{ key, value }`
+ * pairs for a mapping.  Returns null when the collection is not known.
+ */
+function eachItems(collection) {
+  if (Array.isArray(collection)) return collection;
+  if (collection !== null && typeof collection === 'object') {
+    return Object.entries(collection).map(([key, value]) => ({ key, value }));
+  }
+  return collection === UNKNOWN ? null : [];
+}
+
+/**
+ * Walks the entries of a mapping (or the single-key items of a sequence),
+ * applying `if` / `elseif` / `else` chains and `each` loops.
+ *
+ * `emit(body, ctx)` receives the body of every branch that is taken and of
+ * every loop iteration; `keep(key, body)` receives directives that cannot be
+ * decided, and `plain(key, value)` every other entry.
+ *
+ * @param {Array<[string, *]>} entries
+ * @param {ExpandContext} ctx
+ * @param {{ emit: Function, keep: Function, plain: Function }} handlers
+ */
+function applyDirectives(entries, ctx, { emit, keep, plain }) {
+  // State of the current if/elseif/else chain: 'taken' | 'pending' | 'unknown' | null
+  let chain = null;
+
+  for (const [key, body] of entries) {
+    const directive = parseDirective(key);
+    if (!directive) {
+      chain = null;
+      plain(key, body);
+      continue;
+    }
+
+    switch (directive.kind) {
+      case 'if':
+      case 'elseif': {
+        if (directive.kind === 'if') chain = 'pending';
+        if (chain === 'taken' || chain === null) continue;
+        if (chain === 'unknown') { keep(key, body); continue; }
+        const cond = evaluate(directive.ast, exprContext(ctx));
+        if (cond === UNKNOWN) {
+          ctx.warnings.push(`Condition could not be evaluated at edit time: ${key}`);
+          chain = 'unknown';
+          keep(key, body);
+        } else if (cond) {
+          chain = 'taken';
+          emit(body, ctx);
+        }
+        break;
+      }
+      case 'else':
+        if (chain === 'pending') emit(body, ctx);
+        else if (chain === 'unknown') keep(key, body);
+        chain = null;
+        break;
+      case 'each': {
+        chain = null;
+        const items = eachItems(evaluate(directive.ast, exprContext(ctx)));
+        if (items === null) {
+          ctx.warnings.push(`Loop collection could not be evaluated at edit time: ${key}`);
+          keep(key, body);
+          continue;
+        }
+        for (const item of items) {
+          emit(body, Object.assign({}, ctx, { locals: Object.assign({}, ctx.locals, { [directive.variable]: item }) }));
+        }
+        break;
+      }
+      default: // insert
+        chain = null;
+        emit(body, ctx);
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Values
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Expands any YAML value.
+ * @param {*} value
+ * @param {ExpandContext} ctx
+ * @returns {*}
+ */
+function expandValue(value, ctx) {
+  if (typeof value === 'string') return substitute(value, ctx);
+  if (Array.isArray(value)) return expandSequence(value, ctx);
+  if (value !== null && typeof value === 'object') return expandMapping(value, ctx);
+  return value;
+}
+
+/** True for a single-key mapping whose key is a template directive. */
+function isDirectiveItem(item) {
+  if (item === null || typeof item !== 'object' || Array.isArray(item)) return false;
+  const keys = Object.keys(item);
+  return keys.length === 1 && parseDirective(keys[0]) !== null;
+}
+
+/**
+ * Expands a sequence: inlines `- template:` items, splices the bodies of
+ * directives and lists inserted by `- ${{ parameters.steps }}`.
+ */
+function expandSequence(items, ctx) {
+  const out = [];
+  const pushAll = (value) => {
+    if (Array.isArray(value)) out.push(...value);
+    else if (value !== null && value !== undefined) out.push(value);
+  };
+
+  // Consecutive directive items form one if/elseif/else chain
+  let run = [];
+  const flush = () => {
+    if (run.length === 0) return;
+    applyDirectives(run, ctx, {
+      emit: (body, c) => pushAll(expandValue(body, c)),
+      keep: (key, body) => out.push({ [key]: expandValue(body, ctx) }),
+      plain: () => {},
+    });
+    run = [];
+  };
+
+  for (const item of items) {
+    if (isDirectiveItem(item)) {
+      const key = Object.keys(item)[0];
+      run.push([key, item[key]]);
+      continue;
+    }
+    flush();
+
+    if (item !== null && typeof item === 'object' && !Array.isArray(item) && typeof item.template === 'string') {
+      const body = includeTemplate(item, ctx);
+      if (body) { out.push(...body); continue; }
+      out.push(expandMapping(item, ctx));
+      continue;
+    }
+
+    const expanded = expandValue(item, ctx);
+    if (typeof item === 'string' && Array.isArray(expanded)) out.push(...expanded);
+    else out.push(expanded);
+  }
+  flush();
+  return out;
+}
+
+/**
+ * Expands a mapping: substitutes expressions in keys and values and merges
+ * the bodies of `if` / `each` / `insert` directives into it.
+ */
+function expandMapping(obj, ctx) {
+  const out = {};
+  const merge = (value) => {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) Object.assign(out, value);
+  };
+
+  applyDirectives(Object.entries(obj), ctx, {
+    emit: (body, c) => merge(expandValue(body, c)),
+    keep: (key, body) => { out[key] = expandValue(body, ctx); },
+    plain: (key, value) => {
+      const k = substitute(key, ctx);
+      out[typeof k === 'string' ? k : formatValue(k)] = expandValue(value, ctx);
+    },
+  });
+  if (obj[SOURCE]) setSource(out, obj[SOURCE]);
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Templates
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Resolves the parameter values of a template: passed values (converted to
+ * the declared type), then defaults.  Required parameters nobody passes are
+ * UNKNOWN.
+ *
+ * @param {ReturnType<typeof parseParameters>} declared
+ * @param {Record<string, *>} passed
+ * @param {string} templateRef
+ * @param {string} filePath  File that declares the parameters
+ * @param {string[]} warnings
+ * @returns {Record<string, *>}
+ */
+function parameterValues(declared, passed, templateRef, filePath, warnings) {
+  const values = {};
+  for (const param of declared) {
+    let value;
+    if (Object.prototype.hasOwnProperty.call(passed, param.name)) {
+      value = passed[param.name];
+    } else if (!param.required) {
+      value = toSourceJS(param.defaultNode, filePath);
+    } else {
+      warnings.push(`Missing required parameter '${param.name}' for template '${templateRef}'`);
+      values[param.name] = UNKNOWN;
+      continue;
+    }
+    values[param.name] = typeof value === 'string' ? coerce(value, param.type) : value;
+  }
+  for (const name of Object.keys(passed)) {
+    if (!declared.some(p => p.name === name)) {
+      warnings.push(`Unknown parameter '${name}' passed to template '${templateRef}'`);
+    }
+  }
+  return values;
+}
+
+/**
+ * Expands a document body (a pipeline or a template): drops its
+ * `parameters:` declarations and, for `extends:`, merges the expanded base
+ * template over the remaining keys.
+ *
+ * @param {Record<string, *>} doc
+ * @param {ExpandContext} ctx
+ * @returns {Record<string, *>}
+ */
+function expandDocument(doc, ctx) {
+  const body = Object.assign({}, doc);
+  delete body.parameters;
+  const ext = body.extends;
+  delete body.extends;
+
+  const out = expandMapping(body, ctx);
+  if (ext !== null && typeof ext === 'object' && typeof ext.template === 'string') {
+    const base = loadTemplate(ext, ctx);
+    if (base) return Object.assign(out, base);
+  }
+  if (ext !== undefined) out.extends = expandValue(ext, ctx);
+  return out;
+}
+
+/**
+ * Loads and expands the template a `{ template, parameters }` mapping refers
+ * to.  Returns null (after recording a warning) when it cannot be inlined.
+ *
+ * @param {{ template: string, parameters?: * }} call
+ * @param {ExpandContext} ctx
+ * @returns {Record<string, *>|null}
+ */
+function loadTemplate(call, ctx) {
+  const ref = substitute(call.template, ctx);
+  if (typeof ref !== 'string' || /\$\{\{|\$\(|\$\[/.test(ref)) {
+    ctx.warnings.push(`Template path could not be resolved at edit time: ${call.template}`);
+    return null;
+  }
+
+  const resolved = resolveTemplatePath(ref, ctx.filePath, ctx.repoAliases);
+  if (!resolved) return null;
+  if (resolved.unknownAlias) {
+    ctx.warnings.push(`Repository alias '@${resolved.alias}' is not declared in resources.repositories: ${ref}`);
+    return null;
+  }
+  const text = resolved.filePath ? fileCache.readFile(resolved.filePath) : null;
+  if (text === null || text === undefined) {
+    ctx.warnings.push(`Template not found: ${ref}`);
+    return null;
+  }
+  if (ctx.stack.includes(resolved.filePath)) {
+    ctx.warnings.push(`Circular template reference: ${ref}`);
+    return null;
+  }
+  if (ctx.stack.length > MAX_DEPTH) {
+    ctx.warnings.push(`Template nesting exceeds ${MAX_DEPTH} levels: ${ref}`);
+    return null;
+  }
+
+  const passed = call.parameters !== null && typeof call.parameters === 'object' && !Array.isArray(call.parameters)
+    ? expandMapping(call.parameters, ctx)
+    : {};
+  const childCtx = {
+    filePath: resolved.filePath,
+    repoAliases: ctx.repoAliases,
+    parameters: parameterValues(parseParameters(text), passed, ref, resolved.filePath, ctx.warnings),
+    variables: ctx.variables,
+    locals: {},
+    stack: [...ctx.stack, resolved.filePath],
+    warnings: ctx.warnings,
+  };
+
+  const doc = toSourceJS(parseYaml(text).root, resolved.filePath);
+  if (doc === null || typeof doc !== 'object' || Array.isArray(doc)) return {};
+  return expandDocument(doc, childCtx);
+}
+
+/**
+ * Inlines a `- template:` sequence item: the list the template contributes
+ * (its `stages`, `jobs`, `steps` or `variables`).
+ *
+ * @param {{ template: string, parameters?: * }} item
+ * @param {ExpandContext} ctx
+ * @returns {Array|null}  null when the template cannot be inlined
+ */
+function includeTemplate(item, ctx) {
+  const body = loadTemplate(item, ctx);
+  if (!body) return null;
+  const key = TEMPLATE_BODY_KEYS.find(k => Array.isArray(body[k]));
+  if (key) return body[key];
+  // Variable templates may use the mapping form
+  const vars = body.variables;
+  if (vars !== null && typeof vars === 'object') {
+    return Object.entries(vars).map(([name, value]) => ({ name, value }));
+  }
+  return [];
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Creates the context a file's own values are expanded in: its parameters
+ * take their defaults (required ones are UNKNOWN) and its root `variables:`
+ * are the compile-time variables.
+ *
+ * @param {string} text      File source
+ * @param {string} filePath  Absolute path of the file
+ * @returns {ExpandContext}
+ */
+function createExpandContext(text, filePath) {
+  const { variables } = parseVariables(text);
+  return {
+    filePath,
+    repoAliases: parseRepositoryAliases(text),
+    parameters: parameterValues(parseParameters(text), {}, filePath, filePath, []),
+    variables: Object.fromEntries(Object.entries(variables).map(([k, v]) => [k, v.value])),
+    locals: {},
+    stack: [filePath],
+    warnings: [],
+  };
+}
+
+/**
+ * Expands a pipeline into the YAML the compiler would produce.  The
+ * pipeline's own `parameters:` (runtime parameters) take their defaults.
+ *
+ * @param {string} text      Pipeline source
+ * @param {string} filePath  Absolute path of the pipeline
+ * @returns {ExpandResult}
+ */
+function expandPipeline(text, filePath) {
+  const doc = toSourceJS(parseYaml(text).root, filePath);
+  if (doc === null || typeof doc !== 'object' || Array.isArray(doc)) {
+    return { text: stringifyYaml(doc), value: doc, warnings: [] };
+  }
+
+  const ctx = createExpandContext(text, filePath);
+  const value = expandDocument(doc, ctx);
+  return { text: stringifyYaml(value), value, warnings: [...new Set(ctx.warnings)] };
+}
+
+module.exports = {
+  MAX_DEPTH,
+  SOURCE,
+  createExpandContext,
+  expandPipeline,
+  expandSequence,
+  substitute,
+};
@@ -0,0 +1,667 @@
+'use strict';
+
+/**
+ * templateExpression.js
+ *
+ * Parser and evaluator for Azure Pipelines compile-time template expressions —
+ * the text between `${{` and `}}`.
+ *
+ * Grammar (the subset Azure Pipelines accepts in template expressions):
+ *
+ *   expression := primary ( '.' name | '[' expression ']' )*
+ *   primary    := literal | name | name '(' [ expression { ',' expression } ] ')'
+ *   literal    := 'string' | number | version | true | false | null
+ *
+ * plus the directive forms used as mapping keys / sequence items:
+ *
+ *   if <expr> · elseif <expr> · else · each <name> in <expr> · insert
+ *
+ * Evaluation is *partial*: anything that cannot be known at edit time
+ * (runtime functions, parameters without a value) evaluates to {@link UNKNOWN},
+ * and operators propagate it — `and(false, UNKNOWN)` is still `false`.
+ *
+ * No vscode dependency; everything here is pure and never throws.
+ */
+
+/** Sentinel for "value not known at edit time". */
+const UNKNOWN = Symbol('unknown');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// AST model
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Offsets are relative to the start of the parsed expression text.
+ *
+ * @typedef {{ type: 'literal', value: string|number|boolean|null, start: number, end: number }} LiteralNode
+ * @typedef {{ type: 'identifier', name: string, start: number, end: number }} IdentifierNode
+ * @typedef {{ type: 'property', object: ExprNode, name: string, nameStart: number, start: number, end: number }} PropertyNode
+ * @typedef {{ type: 'index', object: ExprNode, index: ExprNode, start: number, end: number }} IndexNode
+ * @typedef {{ type: 'call', name: string, args: ExprNode[], start: number, end: number }} CallNode
+ * @typedef {LiteralNode|IdentifierNode|PropertyNode|IndexNode|CallNode} ExprNode
+ *
+ * @typedef {object} ParseError
+ * @property {string} message
+ * @property {number} offset
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Tokenizer
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} src
+ * @returns {{ tokens: { type: string, value: *, start: number, end: number }[], error: ParseError|null }}
+ */
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+
+    const start = i;
+    if ('()[],.*'.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch, start, end: ++i });
+      continue;
+    }
+
+    if (ch === "'" || ch === '"') {
+      // Azure only defines single-quoted strings (with '' as escape);
+      // double quotes are accepted leniently.
+      let value = '';
+      i++;
+      let closed = false;
+      while (i < src.length) {
+        if (src[i] === ch) {
+          if (src[i + 1] === ch) { value += ch; i += 2; continue; }
+          i++;
+          closed = true;
+          break;
+        }
+        value += src[i++];
+      }
+      if (!closed) return { tokens, error: { message: 'Unterminated string literal', offset: start } };
+      tokens.push({ type: 'string', value, start, end: i });
+      continue;
+    }
+
+    const num = /^-?\d+(\.\d+)*/.exec(src.slice(i));
+    if (num && (ch !== '-' || /\d/.test(src[i + 1] || ''))) {
+      i += num[0].length;
+      const dots = (num[0].match(/\./g) || []).length;
+      // 1.2.3 is a version literal — kept as a string
+      const value = dots > 1 ? num[0] : Number(num[0]);
+      tokens.push({ type: dots > 1 ? 'string' : 'number', value, start, end: i });
+      continue;
+    }
+
+    const ident = /^[A-Za-z_][\w-]*/.exec(src.slice(i));
+    if (ident) {
+      i += ident[0].length;
+      tokens.push({ type: 'ident', value: ident[0], start, end: i });
+      continue;
+    }
+
+    return { tokens, error: { message: `Unexpected character '${ch}'`, offset: i } };
+  }
+
+  tokens.push({ type: 'eof', value: null, start: src.length, end: src.length });
+  return { tokens, error: null };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Parser
+// ─────────────────────────────────────────────────────────────────────────────
+
+class ExpressionParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek() { return this.tokens[this.pos]; }
+  next() { return this.tokens[this.pos++]; }
+
+  isPunct(value) {
+    const t = this.peek();
+    return t.type === 'punct' && t.value === value;
+  }
+
+  expect(value) {
+    const t = this.next();
+    if (t.type !== 'punct' || t.value !== value) {
+      throw { message: `Expected '${value}'`, offset: t.start };
+    }
+    return t;
+  }
+
+  parseExpression() {
+    let node = this.parsePrimary();
+    for (;;) {
+      if (this.isPunct('.')) {
+        this.next();
+        const t = this.next();
+        if (t.type !== 'ident' && !(t.type === 'punct' && t.value === '*')) {
+          throw { message: 'Expected a property name after "."', offset: t.start };
+        }
+        node = { type: 'property', object: node, name: t.value, nameStart: t.start, start: node.start, end: t.end };
+        continue;
+      }
+      if (this.isPunct('[')) {
+        this.next();
+        const index = this.parseExpression();
+        const close = this.expect(']');
+        node = { type: 'index', object: node, index, start: node.start, end: close.end };
+        continue;
+      }
+      return node;
+    }
+  }
+
+  parsePrimary() {
+    const t = this.next();
+    if (t.type === 'string' || t.type === 'number') {
+      return { type: 'literal', value: t.value, start: t.start, end: t.end };
+    }
+    if (t.type === 'ident') {
+      const lower = t.value.toLowerCase();
+      if (this.isPunct('(')) {
+        this.next();
+        const args = [];
+        if (!this.isPunct(')')) {
+          args.push(this.parseExpression());
+          while (this.isPunct(',')) {
+            this.next();
+            args.push(this.parseExpression());
+          }
+        }
+        const close = this.expect(')');
+        return { type: 'call', name: t.value, args, start: t.start, end: close.end };
+      }
+      if (lower === 'true' || lower === 'false') {
+        return { type: 'literal', value: lower === 'true', start: t.start, end: t.end };
+      }
+      if (lower === 'null') return { type: 'literal', value: null, start: t.start, end: t.end };
+      return { type: 'identifier', name: t.value, start: t.start, end: t.end };
+    }
+    if (t.type === 'eof') throw { message: 'Unexpected end of expression', offset: t.start };
+    throw { message: `Unexpected '${t.value}'`, offset: t.start };
+  }
+}
+
+/**
+ * Parses an expression (the text inside `${{ }}`, without the delimiters).
+ *
+ * @param {string} src
+ * @returns {{ ast: ExprNode|null, error: ParseError|null }}
+ */
+function parseExpression(src) {
+  const { tokens, error } = tokenize(src);
+  if (error) return { ast: null, error };
+  const parser = new ExpressionParser(tokens);
+  try {
+    const ast = parser.parseExpression();
+    const rest = parser.peek();
+    if (rest.type !== 'eof') {
+      return { ast, error: { message: `Unexpected '${rest.value}' after expression`, offset: rest.start } };
+    }
+    return { ast, error: null };
+  } catch (e) {
+    return { ast: null, error: e };
+  }
+}
+
+/**
+ * Parses the inside of a `${{ }}` block, recognising the directive forms.
+ * `offset` values in the returned AST and errors are relative to `src`.
+ *
+ * @param {string} src
+ * @returns {{
+ *   kind: 'expression'|'if'|'elseif'|'else'|'each'|'insert',
+ *   ast: ExprNode|null,
+ *   variable?: string,
+ *   error: ParseError|null
+ * }}
+ */
+function parseTemplateExpression(src) {
+  const m = /^(\s*)(if|elseif|else|each|insert)\b/.exec(src);
+  if (!m) {
+    const { ast, error } = parseExpression(src);
+    return { kind: 'expression', ast, error };
+  }
+
+  const kind = m[2];
+  const bodyStart = m[0].length;
+  const body = src.slice(bodyStart);
+
+  if (kind === 'else' || kind === 'insert') {
+    const error = body.trim() === '' ? null : { message: `Unexpected text after '${kind}'`, offset: bodyStart };
+    return { kind, ast: null, error };
+  }
+
+  if (kind === 'each') {
+    const each = /^(\s+)([A-Za-z_][\w-]*)\s+in\s+/.exec(body);
+    if (!each) {
+      return { kind, ast: null, error: { message: "Expected 'each <name> in <expression>'", offset: bodyStart } };
+    }
+    const exprStart = bodyStart + each[0].length;
+    const { ast, error } = parseExpression(src.slice(exprStart));
+    return {
+      kind,
+      variable: each[2],
+      ast: ast && shiftOffsets(ast, exprStart),
+      error: error && { message: error.message, offset: error.offset + exprStart },
+    };
+  }
+
+  const { ast, error } = parseExpression(body);
+  return {
+    kind,
+    ast: ast && shiftOffsets(ast, bodyStart),
+    error: error && { message: error.message, offset: error.offset + bodyStart },
+  };
+}
+
+/** Returns a copy of `node` with every offset moved by `delta`. */
+function shiftOffsets(node, delta) {
+  const out = Object.assign({}, node, { start: node.start + delta, end: node.end + delta });
+  if (node.nameStart !== undefined) out.nameStart = node.nameStart + delta;
+  if (node.object) out.object = shiftOffsets(node.object, delta);
+  if (node.index) out.index = shiftOffsets(node.index, delta);
+  if (node.args) out.args = node.args.map(a => shiftOffsets(a, delta));
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Locating expressions in text
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Finds every `${{ … }}` block in `text`.  A `}}` inside a quoted string does
+ * not close the block.
+ *
+ * @param {string} text
+ * @returns {{ start: number, end: number, inner: string, innerStart: number }[]}
+ *   `start`/`end` span the delimiters; `innerStart` is the offset of `inner`
+ */
+function findExpressions(text) {
+  const found = [];
+  let i = text.indexOf('${{');
+  while (i !== -1) {
+    const innerStart = i + 3;
+    let j = innerStart;
+    let quote = null;
+    let end = -1;
+    while (j < text.length) {
+      const ch = text[j];
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === "'") {
+        quote = ch;
+      } else if (ch === '}' && text[j + 1] === '}') {
+        end = j;
+        break;
+      } else if (ch === '\n') {
+        break;
+      }
+      j++;
+    }
+    if (end === -1) {
+      i = text.indexOf('${{', innerStart);
+      continue;
+    }
+    found.push({ start: i, end: end + 2, inner: text.slice(innerStart, end), innerStart });
+    i = text.indexOf('${{', end + 2);
+  }
+  return found;
+}
+
+/**
+ * Walks an expression AST depth-first.
+ * @param {ExprNode|null} node
+ * @param {(node: ExprNode) => void} visit
+ */
+function walkExpression(node, visit) {
+  if (!node) return;
+  visit(node);
+  if (node.object) walkExpression(node.object, visit);
+  if (node.index) walkExpression(node.index, visit);
+  if (node.args) node.args.forEach(a => walkExpression(a, visit));
+}
+
+/**
+ * Returns the references to `<root>.name` / `<root>['name']` in an AST,
+ * e.g. every parameter used by the expression when `root` is 'parameters'.
+ *
+ * @param {ExprNode|null} ast
+ * @param {string} root  'parameters' or 'variables'
+ * @returns {{ name: string, start: number, end: number }[]}
+ *   `start`/`end` span the whole reference (`parameters.name`)
+ */
+function collectReferences(ast, root) {
+  const refs = [];
+  walkExpression(ast, (node) => {
+    const obj = node.object;
+    if (!obj || obj.type !== 'identifier' || obj.name.toLowerCase() !== root) return;
+    if (node.type === 'property') {
+      refs.push({ name: node.name, start: node.start, end: node.end });
+    } else if (node.type === 'index' && node.index.type === 'literal' && typeof node.index.value === 'string') {
+      refs.push({ name: node.index.value, start: node.start, end: node.end });
+    }
+  });
+  return refs;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Evaluation
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Azure truthiness: null, false, 0, NaN and '' are false. */
+function toBool(v) {
+  if (v === null || v === undefined) return false;
+  if (typeof v === 'boolean') return v;
+  if (typeof v === 'number') return v !== 0 && !Number.isNaN(v);
+  if (typeof v === 'string') return v !== '';
+  return true;
+}
+
+function toNumber(v) {
+  if (v === null || v === undefined) return 0;
+  if (typeof v === 'number') return v;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (typeof v === 'string') return v.trim() === '' ? 0 : Number(v.trim());
+  return NaN;
+}
+
+function toStr(v) {
+  if (v === null || v === undefined) return '';
+  if (typeof v === 'boolean') return v ? 'True' : 'False';
+  if (typeof v === 'number' || typeof v === 'string') return String(v);
+  return Array.isArray(v) ? 'Array' : 'Object';
+}
+
+/**
+ * Azure comparison semantics: the right operand is converted to the type of
+ * the left one; strings compare ordinally ignoring case.
+ * Returns <0, 0, >0, or NaN when the values are not comparable.
+ */
+function compare(a, b) {
+  if (typeof a === 'number') {
+    const nb = toNumber(b);
+    return Number.isNaN(nb) || Number.isNaN(a) ? NaN : a - nb;
+  }
+  if (typeof a === 'boolean') return (a ? 1 : 0) - (toBool(b) ? 1 : 0);
+  if (typeof a === 'string') {
+    const la = a.toLowerCase();
+    const lb = toStr(b).toLowerCase();
+    return la < lb ? -1 : la > lb ? 1 : 0;
+  }
+  if (a === null) return b === null || b === undefined ? 0 : NaN;
+  return JSON.stringify(a) === JSON.stringify(b) ? 0 : NaN;
+}
+
+function equals(a, b) {
+  return compare(a, b) === 0;
+}
+
+/** True when any argument is UNKNOWN. */
+function anyUnknown(args) {
+  return args.some(a => a === UNKNOWN);
+}
+
+/**
+ * Azure Pipelines functions usable at compile time.  Each receives already
+ * evaluated arguments, except the short-circuiting ones flagged `lazy`.
+ *
+ * @type {Record<string, { min: number, max: number, fn: Function, lazy?: boolean }>}
+ */
+const FUNCTIONS = {
+  and: { min: 2, max: Infinity, lazy: true, fn(args, ev) {
+    let unknown = false;
+    for (const a of args) {
+      const v = ev(a);
+      if (v === UNKNOWN) { unknown = true; continue; }
+      if (!toBool(v)) return false;
+    }
+    return unknown ? UNKNOWN : true;
+  } },
+  or: { min: 2, max: Infinity, lazy: true, fn(args, ev) {
+    let unknown = false;
+    for (const a of args) {
+      const v = ev(a);
+      if (v === UNKNOWN) { unknown = true; continue; }
+      if (toBool(v)) return true;
+    }
+    return unknown ? UNKNOWN : false;
+  } },
+  not: { min: 1, max: 1, fn: ([a]) => !toBool(a) },
+  xor: { min: 2, max: 2, fn: ([a, b]) => toBool(a) !== toBool(b) },
+  eq: { min: 2, max: 2, fn: ([a, b]) => equals(a, b) },
+  ne: { min: 2, max: 2, fn: ([a, b]) => !equals(a, b) },
+  gt: { min: 2, max: 2, fn: ([a, b]) => compare(a, b) > 0 },
+  ge: { min: 2, max: 2, fn: ([a, b]) => compare(a, b) >= 0 },
+  lt: { min: 2, max: 2, fn: ([a, b]) => compare(a, b) < 0 },
+  le: { min: 2, max: 2, fn: ([a, b]) => compare(a, b) <= 0 },
+  in: { min: 1, max: Infinity, fn: ([a, ...rest]) => rest.some(b => equals(a, b)) },
+  notin: { min: 1, max: Infinity, fn: ([a, ...rest]) => !rest.some(b => equals(a, b)) },
+  contains: { min: 2, max: 2, fn: ([a, b]) => toStr(a).toLowerCase().includes(toStr(b).toLowerCase()) },
+  containsvalue: { min: 2, max: 2, fn([a, b]) {
+    if (Array.isArray(a)) return a.some(x => equals(x, b));
+    if (a && typeof a === 'object') return Object.values(a).some(x => equals(x, b));
+    return false;
+  } },
+  startswith: { min: 2, max: 2, fn: ([a, b]) => toStr(a).toLowerCase().startsWith(toStr(b).toLowerCase()) },
+  endswith: { min: 2, max: 2, fn: ([a, b]) => toStr(a).toLowerCase().endsWith(toStr(b).toLowerCase()) },
+  coalesce: { min: 1, max: Infinity, lazy: true, fn(args, ev) {
+    for (const a of args) {
+      const v = ev(a);
+      if (v === UNKNOWN) return UNKNOWN;
+      if (v !== null && v !== undefined && v !== '') return v;
+    }
+    return null;
+  } },
+  iif: { min: 3, max: 3, lazy: true, fn(args, ev) {
+    const c = ev(args[0]);
+    if (c === UNKNOWN) return UNKNOWN;
+    return ev(toBool(c) ? args[1] : args[2]);
+  } },
+  format: { min: 1, max: Infinity, fn([fmt, ...rest]) {
+    return toStr(fmt).replace(/\{\{|\}\}|\{(\d+)\}/g, (m, idx) => {
+      if (m === '{{') return '{';
+      if (m === '}}') return '}';
+      return toStr(rest[Number(idx)]);
+    });
+  } },
+  join: { min: 2, max: 2, fn([sep, coll]) {
+    if (Array.isArray(coll)) return coll.map(toStr).join(toStr(sep));
+    if (coll && typeof coll === 'object') return Object.keys(coll).join(toStr(sep));
+    return toStr(coll);
+  } },
+  split: { min: 2, max: 2, fn: ([s, d]) => toStr(s).split(toStr(d)) },
+  lower: { min: 1, max: 1, fn: ([a]) => toStr(a).toLowerCase() },
+  upper: { min: 1, max: 1, fn: ([a]) => toStr(a).toUpperCase() },
+  trim: { min: 1, max: 1, fn: ([a]) => toStr(a).trim() },
+  replace: { min: 3, max: 3, fn: ([s, a, b]) => toStr(a) === '' ? toStr(s) : toStr(s).split(toStr(a)).join(toStr(b)) },
+  length: { min: 1, max: 1, fn([a]) {
+    if (typeof a === 'string' || Array.isArray(a)) return a.length;
+    if (a && typeof a === 'object') return Object.keys(a).length;
+    return 0;
+  } },
+  converttojson: { min: 1, max: 1, fn: ([a]) => JSON.stringify(a === undefined ? null : a, null, 2) },
+};
+
+/**
+ * Functions that only have a value at run time (status checks, counters).
+ * They are valid in expressions but always evaluate to UNKNOWN here.
+ */
+const RUNTIME_FUNCTIONS = new Set([
+  'always', 'canceled', 'failed', 'succeeded', 'succeededorfailed', 'counter',
+]);
+
+/** Case-insensitive property lookup, as Azure does. */
+function getProperty(obj, name) {
+  if (obj === UNKNOWN) return UNKNOWN;
+  if (obj === null || typeof obj !== 'object') return null;
+  if (Array.isArray(obj)) {
+    return name === '*' ? obj : null;
+  }
+  if (Object.prototype.hasOwnProperty.call(obj, name)) return obj[name];
+  const key = Object.keys(obj).find(k => k.toLowerCase() === name.toLowerCase());
+  return key === undefined ? null : obj[key];
+}
+
+/**
+ * Evaluates an expression AST against a context.
+ *
+ * Context values are plain JS values.  A top-level name that is missing from
+ * the context (or set to UNKNOWN) evaluates to UNKNOWN, as does any property
+ * of an UNKNOWN value.  Use UNKNOWN for individual parameters whose value is
+ * not known, e.g. `{ parameters: { env: UNKNOWN } }`.
+ *
+ * @param {ExprNode|null} ast
+ * @param {Record<string, *>} [context]  e.g. `{ parameters: {...}, variables: {...} }`
+ * @returns {*} The value, or UNKNOWN
+ */
+function evaluate(ast, context = {}) {
+  const ev = (node) => {
+    if (!node) return UNKNOWN;
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'identifier': {
+        const key = Object.keys(context).find(k => k.toLowerCase() === node.name.toLowerCase());
+        return key === undefined ? UNKNOWN : context[key];
+      }
+      case 'property':
+        return getProperty(ev(node.object), node.name);
+      case 'index': {
+        const obj = ev(node.object);
+        const idx = ev(node.index);
+        if (obj === UNKNOWN || idx === UNKNOWN) return UNKNOWN;
+        if (Array.isArray(obj)) {
+          const n = toNumber(idx);
+          return Number.isInteger(n) && n >= 0 && n < obj.length ? obj[n] : null;
+        }
+        return getProperty(obj, toStr(idx));
+      }
+      case 'call': {
+        const name = node.name.toLowerCase();
+        const def = FUNCTIONS[name];
+        if (!def) return UNKNOWN;
+        if (def.lazy) return def.fn(node.args, ev);
+        const args = node.args.map(ev);
+        if (anyUnknown(args)) return UNKNOWN;
+        return def.fn(args);
+      }
+      default:
+        return UNKNOWN;
+    }
+  };
+  return ev(ast);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Static checks and type inference
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Result type of each function, where it is fixed. */
+const FUNCTION_RESULT_TYPES = {
+  and: 'boolean', or: 'boolean', not: 'boolean', xor: 'boolean',
+  eq: 'boolean', ne: 'boolean', gt: 'boolean', ge: 'boolean', lt: 'boolean', le: 'boolean',
+  in: 'boolean', notin: 'boolean', contains: 'boolean', containsvalue: 'boolean',
+  startswith: 'boolean', endswith: 'boolean',
+  format: 'string', join: 'string', lower: 'string', upper: 'string', trim: 'string',
+  replace: 'string', converttojson: 'string',
+  length: 'number',
+  split: 'object',
+};
+
+/**
+ * Infers the kind of value an expression produces — 'boolean' | 'number' |
+ * 'string' | 'object' — or undefined when it cannot be known.
+ *
+ * @param {ExprNode|null} ast
+ * @param {(name: string) => (string|undefined)} [parameterType]
+ *   Returns the declared type of a parameter (e.g. 'boolean', 'stepList')
+ * @returns {'boolean'|'number'|'string'|'object'|undefined}
+ */
+function inferExpressionType(ast, parameterType = () => undefined) {
+  if (!ast) return undefined;
+  switch (ast.type) {
+    case 'literal':
+      if (ast.value === null) return undefined;
+      return typeof ast.value === 'boolean' ? 'boolean'
+        : typeof ast.value === 'number' ? 'number' : 'string';
+    case 'call':
+      return FUNCTION_RESULT_TYPES[ast.name.toLowerCase()];
+    case 'property':
+    case 'index': {
+      const [ref] = collectReferences(ast, 'parameters');
+      if (!ref || ref.start !== ast.start || ref.end !== ast.end) return undefined;
+      const declared = (parameterType(ref.name) || '').toLowerCase();
+      if (declared === 'boolean' || declared === 'number' || declared === 'string') return declared;
+      return declared ? 'object' : undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Static checks that do not need any values: unknown functions and wrong
+ * argument counts.
+ *
+ * @param {ExprNode|null} ast
+ * @returns {{ message: string, start: number, end: number }[]}
+ */
+function checkExpression(ast) {
+  const problems = [];
+  walkExpression(ast, (node) => {
+    if (node.type !== 'call') return;
+    const name = node.name.toLowerCase();
+    if (RUNTIME_FUNCTIONS.has(name)) return;
+    const def = FUNCTIONS[name];
+    if (!def) {
+      problems.push({ message: `Unknown function '${node.name}'`, start: node.start, end: node.end });
+      return;
+    }
+    const n = node.args.length;
+    if (n < def.min || n > def.max) {
+      const expected = def.max === Infinity ? `at least ${def.min}` : def.min === def.max ? `${def.min}` : `${def.min}–${def.max}`;
+      problems.push({
+        message: `Function '${node.name}' expects ${expected} argument(s), got ${n}`,
+        start: node.start,
+        end: node.end,
+      });
+    }
+  });
+  return problems;
+}
+
+/**
+ * Renders an evaluated value the way it would appear in YAML after
+ * compile-time substitution.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === UNKNOWN) return '(unknown)';
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return toStr(value);
+}
+
+module.exports = {
+  UNKNOWN,
+  parseExpression,
+  parseTemplateExpression,
+  findExpressions,
+  walkExpression,
+  collectReferences,
+  evaluate,
+  inferExpressionType,
+  checkExpression,
+  formatValue,
+};
@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * templateMetadata.js
+ *
+ * Reads what template authors declare about a template beyond its YAML —
+ * currently whether the template, or one of its parameters, is deprecated
+ * and what replaces it.  Two sources are merged:
+ *
+ *   • `@deprecated` / `@replacement` tags in the template's documentation
+ *     comments (see parseDocComment in hoverProvider.js);
+ *   • a sidecar file next to the template, `build.meta.json` for `build.yml`:
+ *
+ *       {
+ *         "deprecated": "Use the v2 build template.",
+ *         "replacement": "v2/build.yml",
+ *         "parameters": {
+ *           "solution": { "deprecated": true, "replacement": "project" }
+ *         }
+ *       }
+ *
+ * The sidecar wins field by field, so it can deprecate templates whose
+ * comments cannot be edited, or un-deprecate with `"deprecated": false`.
+ *
+ * Pure Node — no vscode dependency — so it is shared by the diagnostic
+ * provider and the graph.
+ */
+
+const fs        = require('fs');
+const fileCache = require('./fileCache');
+const {
+  parseParameters,
+  parseTemplateDoc,
+  resolveTemplatePath,
+} = require('./hoverProvider');
+
+/**
+ * @typedef {object} Deprecation
+ * @property {string} reason                  '' when none is given
+ * @property {string|undefined} replacement   Template path (for a template) or
+ *   parameter name (for a parameter) to use instead
+ *
+ * @typedef {object} TemplateDeprecations
+ * @property {Deprecation|null} template
+ * @property {Map<string, Deprecation>} parameters  Keyed by parameter name
+ */
+
+/**
+ * Returns the path of the sidecar metadata file of a template.
+ * @param {string} templatePath
+ * @returns {string}
+ */
+function sidecarPath(templatePath) {
+  return templatePath.replace(/\.ya?ml$/i, '') + '.meta.json';
+}
+
+/**
+ * Reads and parses the sidecar metadata file of a template.  Returns null
+ * when there is none or it is not a JSON object.
+ *
+ * @param {string} templatePath
+ * @param {(filePath: string) => string|null} [readText]
+ * @returns {object|null}
+ */
+function readSidecar(templatePath, readText = fileCache.readFile) {
+  const text = readText(sidecarPath(templatePath));
+  if (!text) return null;
+  try {
+    const data = JSON.parse(text);
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Merges a documentation comment with a sidecar entry into a Deprecation,
+ * or null when neither marks the item deprecated.
+ *
+ * @param {import('./hoverProvider').DocComment|undefined} doc
+ * @param {object|undefined} meta  Sidecar entry
+ * @returns {Deprecation|null}
+ */
+function mergeDeprecation(doc, meta) {
+  let deprecated = doc && doc.deprecated;
+  let replacement = doc && doc.replacement;
+  if (meta && typeof meta === 'object') {
+    if (meta.deprecated === true) deprecated = deprecated || '';
+    else if (typeof meta.deprecated === 'string') deprecated = meta.deprecated.trim();
+    else if (meta.deprecated === false) deprecated = undefined;
+    if (typeof meta.replacement === 'string' && meta.replacement.trim()) replacement = meta.replacement.trim();
+  }
+  if (deprecated === undefined) return null;
+  return { reason: deprecated, replacement: replacement || undefined };
+}
+
+/**
+ * Collects the deprecations a template declares for itself and its
+ * parameters.
+ *
+ * @param {string} templatePath
+ * @param {string} templateText
+ * @param {(filePath: string) => string|null} [readText]  Source of the sidecar
+ * @returns {TemplateDeprecations}
+ */
+function getDeprecations(templatePath, templateText, readText = fileCache.readFile) {
+  const sidecar = readSidecar(templatePath, readText) || {};
+  const paramMeta = sidecar.parameters && typeof sidecar.parameters === 'object' ? sidecar.parameters : {};
+
+  const parameters = new Map();
+  for (const p of parseParameters(templateText)) {
+    const deprecation = mergeDeprecation(p.doc, paramMeta[p.name]);
+    if (deprecation) parameters.set(p.name, deprecation);
+  }
+  return {
+    template: mergeDeprecation(parseTemplateDoc(templateText), sidecar),
+    parameters,
+  };
+}
+
+/**
+ * Resolves the replacement named by a deprecated template.  Paths are
+ * relative to the deprecated template, or to the repository root when they
+ * start with `/`.  Returns null unless the replacement exists.
+ *
+ * @param {string} templatePath
+ * @param {string} replacement
+ * @returns {string|null}  Absolute path
+ */
+function resolveReplacementTemplate(templatePath, replacement) {
+  const resolved = resolveTemplatePath(replacement, templatePath, {});
+  if (!resolved || resolved.unknownAlias || !resolved.filePath) return null;
+  return fs.existsSync(resolved.filePath) ? resolved.filePath : null;
+}
+
+module.exports = {
+  sidecarPath,
+  readSidecar,
+  getDeprecations,
+  resolveReplacementTemplate,
+};
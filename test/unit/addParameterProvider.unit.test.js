@@ -0,0 +1,247 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for addParameterProvider.js
+ *
+ * Tests:
+ *   - validateNewParameter
+ *   - planParameterDeclaration (existing block, empty block, no block)
+ *   - planCallerArguments (existing parameters, none, already passed, flow style)
+ *
+ * Run with:  npx mocha test/unit/addParameterProvider.unit.test.js
+ */
+
+const assert = require('assert');
+const path   = require('path');
+const fs     = require('fs');
+
+// ---------------------------------------------------------------------------
+// Stub the 'vscode' module — the functions under test never touch it.
+// ---------------------------------------------------------------------------
+const { makeRepo, loadWithVscodeStub } = require('./helpers');
+const [{
+  validateNewParameter,
+  planParameterDeclaration,
+  planCallerArguments,
+}, { WorkspaceIndex }] = loadWithVscodeStub({}, () => [
+  require('../../addParameterProvider'),
+  require('../../workspaceIndex'),
+]);
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Applies an insertion (optionally replacing up to `end`) to `text`.
+ * @param {string} text
+ * @param {{ line: number, character: number, end?: { line: number, character: number }, text: string }} edit
+ * @returns {string}
+ */
+function apply(text, edit) {
+  const lines = text.split('\n');
+  const offset = (line, character) => lines.slice(0, line).reduce((n, l) => n + l.length + 1, 0) + character;
+  const start = offset(edit.line, edit.character);
+  const end = edit.end ? offset(edit.end.line, edit.end.character) : start;
+  return text.slice(0, start) + edit.text + text.slice(end);
+}
+
+const TEMPLATE = [
+  'parameters:',
+  '  - name: project',
+  '    type: string',
+  '  - name: configuration',
+  '    type: string',
+  '    default: Release',
+  '',
+  'steps:',
+  '  - script: dotnet build ${{ parameters.project }}',
+  '',
+].join('\n');
+
+// ---------------------------------------------------------------------------
+// validateNewParameter
+// ---------------------------------------------------------------------------
+
+describe('validateNewParameter', () => {
+
+  it('accepts a new, well-formed parameter', () => {
+    assert.strictEqual(validateNewParameter(TEMPLATE, { name: 'runTests', type: 'boolean', default: 'true' }), null);
+    assert.strictEqual(validateNewParameter(TEMPLATE, { name: 'env', type: 'string', default: 'dev', values: ['dev', 'prod'] }), null);
+  });
+
+  it('rejects invalid and already declared names', () => {
+    assert.match(validateNewParameter(TEMPLATE, { name: 'run-tests', type: 'boolean' }), /not a valid parameter name/);
+    assert.strictEqual(
+      validateNewParameter(TEMPLATE, { name: 'Project', type: 'string' }),
+      "The template already declares a parameter 'project'"
+    );
+  });
+
+  it('rejects unknown types and defaults outside the allowed values', () => {
+    assert.strictEqual(validateNewParameter(TEMPLATE, { name: 'x', type: 'int' }), "'int' is not a parameter type");
+    assert.strictEqual(
+      validateNewParameter(TEMPLATE, { name: 'env', type: 'string', default: "'qa'", values: ['dev', 'prod'] }),
+      "The default 'qa' is not one of the allowed values"
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// planParameterDeclaration
+// ---------------------------------------------------------------------------
+
+describe('planParameterDeclaration', () => {
+
+  it('appends the entry to the parameters block', () => {
+    const edit = planParameterDeclaration(TEMPLATE, { name: 'env', type: 'string', default: 'dev', values: ['dev', 'prod'] });
+    assert.strictEqual(apply(TEMPLATE, edit), [
+      'parameters:',
+      '  - name: project',
+      '    type: string',
+      '  - name: configuration',
+      '    type: string',
+      '    default: Release',
+      '  - name: env',
+      '    type: string',
+      '    default: dev',
+      '    values:',
+      '      - dev',
+      '      - prod',
+      '',
+      'steps:',
+      '  - script: dotnet build ${{ parameters.project }}',
+      '',
+    ].join('\n'));
+  });
+
+  it('follows the indentation of the existing entries', () => {
+    const text = 'parameters:\n- name: a\n  type: string\nsteps: []\n';
+    const edit = planParameterDeclaration(text, { name: 'b', type: 'number' });
+    assert.strictEqual(apply(text, edit), 'parameters:\n- name: a\n  type: string\n- name: b\n  type: number\nsteps: []\n');
+  });
+
+  it('fills an empty parameters block', () => {
+    for (const text of ['parameters:\nsteps: []\n', 'parameters: []\nsteps: []\n']) {
+      const edit = planParameterDeclaration(text, { name: 'a', type: 'object', default: '{}' });
+      assert.strictEqual(apply(text, edit), 'parameters:\n  - name: a\n    type: object\n    default: {}\nsteps: []\n');
+    }
+  });
+
+  it('creates the parameters block above the first key', () => {
+    const text = '# Build steps\nsteps:\n  - script: echo hi\n';
+    const edit = planParameterDeclaration(text, { name: 'a', type: 'string' });
+    assert.strictEqual(apply(text, edit), '# Build steps\nparameters:\n  - name: a\n    type: string\n\nsteps:\n  - script: echo hi\n');
+  });
+
+  it('refuses flow-style parameters with entries', () => {
+    const edit = planParameterDeclaration('parameters: [{ name: a }]\nsteps: []\n', { name: 'b', type: 'string' });
+    assert.match(edit.error, /not a block list/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// planCallerArguments
+// ---------------------------------------------------------------------------
+
+describe('planCallerArguments', () => {
+  let root;
+  const files = {
+    'templates/build.yml': TEMPLATE,
+    'pipelines/ci.yml': [
+      'steps:',
+      '  - template: ../templates/build.yml',
+      '    parameters:',
+      '      project: App.csproj',
+      '  - script: echo after',
+      '',
+    ].join('\n'),
+    'pipelines/nightly.yml': [
+      'jobs:',
+      '  - job: Nightly',
+      '    steps:',
+      '      - template: /templates/build.yml',
+      '      - template: /templates/build.yml',
+      '        parameters:',
+      '          env: prod',
+      '',
+    ].join('\n'),
+    'pipelines/flow.yml': 'steps:\n  - template: ../templates/build.yml\n    parameters: { project: a }\n',
+  };
+
+  beforeEach(() => { root = makeRepo(files); });
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  /**
+   * Plans the caller edits and applies them, returning the new file texts.
+   * `overrides` replace files of the tree before the index is built.
+   */
+  function plan(name, placeholder, overrides = {}) {
+    const sources = { ...files, ...overrides };
+    for (const [rel, content] of Object.entries(overrides)) fs.writeFileSync(path.join(root, rel), content, 'utf8');
+    const index = new WorkspaceIndex();
+    index.build(root);
+    const result = planCallerArguments(path.join(root, 'templates', 'build.yml'), name, placeholder, index);
+    const texts = {};
+    // Apply bottom-up so earlier insertions do not shift later ones
+    const sorted = [...result.insertions].sort((a, b) => b.line - a.line);
+    for (const edit of sorted) {
+      const rel = path.relative(root, edit.filePath).replace(/\\/g, '/');
+      texts[rel] = apply(texts[rel] !== undefined ? texts[rel] : sources[rel], edit);
+    }
+    return { texts, skipped: result.skipped.map(s => `${path.relative(root, s.filePath).replace(/\\/g, '/')}:${s.line}`) };
+  }
+
+  it('adds the argument to existing parameters blocks and creates missing ones', () => {
+    const { texts, skipped } = plan('env', "''");
+    assert.strictEqual(texts['pipelines/ci.yml'], [
+      'steps:',
+      '  - template: ../templates/build.yml',
+      '    parameters:',
+      '      project: App.csproj',
+      "      env: ''",
+      '  - script: echo after',
+      '',
+    ].join('\n'));
+    assert.strictEqual(texts['pipelines/nightly.yml'], [
+      'jobs:',
+      '  - job: Nightly',
+      '    steps:',
+      '      - template: /templates/build.yml',
+      '        parameters:',
+      "          env: ''",
+      '      - template: /templates/build.yml',
+      '        parameters:',
+      '          env: prod',
+      '',
+    ].join('\n'), 'the call that already passes env is left alone');
+    assert.deepStrictEqual(skipped, ['pipelines/flow.yml:1']);
+  });
+
+  it('adds the argument under an empty parameters key', () => {
+    const empty = 'steps:\n  - template: ../templates/build.yml\n    parameters:\n';
+    const { texts, skipped } = plan('runTests', 'true', { 'pipelines/flow.yml': empty });
+    assert.strictEqual(texts['pipelines/flow.yml'], 'steps:\n  - template: ../templates/build.yml\n    parameters:\n      runTests: true\n');
+    assert.deepStrictEqual(skipped, []);
+  });
+
+  it('skips flow-style calls and calls that pass the parameter in a ${{ if }} branch', () => {
+    const { texts, skipped } = plan('env', "''", {
+      'pipelines/flow.yml': 'steps:\n  - { template: ../templates/build.yml }\n',
+      'pipelines/ci.yml': [
+        'steps:',
+        '  - template: ../templates/build.yml',
+        '    parameters:',
+        '      project: App.csproj',
+        "      ${{ if eq(variables['Build.Reason'], 'Schedule') }}:",
+        '        env: nightly',
+        '      ${{ else }}:',
+        '        env: ci',
+        '',
+      ].join('\n'),
+    });
+    assert.strictEqual(texts['pipelines/flow.yml'], undefined);
+    assert.strictEqual(texts['pipelines/ci.yml'], undefined);
+    assert.deepStrictEqual(skipped, ['pipelines/flow.yml:1']);
+  });
+});
@@ -0,0 +1,307 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for breakingChangeProvider.js
+ *
+ * Tests:
+ *   - isTemplate / compareParameters
+ *   - callerBreakages / findAffectedCallers
+ *   - renderBreakingChangeReport
+ *   - readHeadText (against a temporary git repository)
+ *
+ * Run with:  npx mocha test/unit/breakingChangeProvider.unit.test.js
+ */
+
+const assert = require('assert');
+const path   = require('path');
+const fs     = require('fs');
+const os     = require('os');
+const { execFileSync } = require('child_process');
+
+// The 'vscode' module is stubbed — the functions under test never touch it,
+// but diagnosticProvider reads DiagnosticSeverity when it loads.
+const { makeRepo, loadWithVscodeStub } = require('./helpers');
+const vscodeStub = {
+  DiagnosticSeverity: { Error: 0, Warning: 1, Information: 2, Hint: 3 },
+  workspace: { textDocuments: [] },
+};
+const [{
+  compareParameters,
+  callerBreakages,
+  findAffectedCallers,
+  renderBreakingChangeReport,
+  isTemplate,
+  readHeadText,
+}, { WorkspaceIndex }] = loadWithVscodeStub(vscodeStub, () => [
+  require('../../breakingChangeProvider'),
+  require('../../workspaceIndex'),
+]);
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const BEFORE = [
+  'parameters:',
+  '  - name: project',
+  '    type: string',
+  '  - name: configuration',
+  '    type: string',
+  '    default: Release',
+  '    values: [Debug, Release, Profile]',
+  '  - name: runTests',
+  '    type: boolean',
+  '    default: true',
+  '  - name: verbosity',
+  '    type: string',
+  '    default: minimal',
+  '  - name: extraArgs',
+  '    type: string',
+  "    default: ''",
+  'steps:',
+  '  - script: echo',
+  '',
+].join('\n');
+
+const AFTER = [
+  'parameters:',
+  '  - name: project',
+  '    type: string',
+  '  - name: configuration',
+  '    type: string',
+  '    default: Release',
+  '    values: [Debug, Release]',
+  '  - name: runTests',
+  '    type: string',
+  '    default: "true"',
+  '  - name: verbosity',
+  '    type: string',
+  '  - name: environment',
+  '    type: string',
+  '  - name: retries',
+  '    type: number',
+  '    default: 0',
+  'steps:',
+  '  - script: echo',
+  '',
+].join('\n');
+
+// ---------------------------------------------------------------------------
+// compareParameters
+// ---------------------------------------------------------------------------
+
+describe('isTemplate', () => {
+
+  it('accepts files whose working copy or HEAD version declares parameters', () => {
+    assert.strictEqual(isTemplate(AFTER, null), true);
+    assert.strictEqual(isTemplate('steps:\n  - script: echo\n', BEFORE), true);
+    assert.strictEqual(isTemplate('steps: []\n', 'steps: []\n'), false);
+    assert.strictEqual(isTemplate('steps: []\n', null), false);
+  });
+
+  it('reports every parameter once the whole block is deleted', () => {
+    const text = 'steps:\n  - script: echo\n';
+    assert.ok(isTemplate(text, BEFORE));
+    assert.deepStrictEqual(compareParameters(BEFORE, text).map(c => `${c.kind} ${c.name}`), [
+      'removed project',
+      'removed configuration',
+      'removed runTests',
+      'removed verbosity',
+      'removed extraArgs',
+    ]);
+  });
+});
+
+describe('compareParameters', () => {
+
+  it('reports removed, newly required, retyped and narrowed parameters', () => {
+    assert.deepStrictEqual(
+      compareParameters(BEFORE, AFTER).map(c => [c.kind, c.name, c.line]),
+      [
+        ['removed', 'extraArgs', undefined],
+        ['values-narrowed', 'configuration', 3],
+        ['type-changed', 'runTests', 7],
+        ['became-required', 'verbosity', 10],
+        ['required-added', 'environment', 12],
+      ]
+    );
+  });
+
+  it('describes each change', () => {
+    const messages = compareParameters(BEFORE, AFTER).map(c => c.message);
+    assert.deepStrictEqual(messages, [
+      "'extraArgs' was removed",
+      "'configuration' no longer allows 'Profile'",
+      "'runTests' changed type from boolean to string",
+      "'verbosity' no longer has a default, so callers must pass it",
+      "'environment' was added without a default, so callers must pass it",
+    ]);
+  });
+
+  it('treats new restrictions as breaking and compatible edits as not', () => {
+    const restricted = BEFORE.replace("    default: minimal", "    default: minimal\n    values: [minimal, detailed]");
+    assert.deepStrictEqual(compareParameters(BEFORE, restricted).map(c => c.message), [
+      "'verbosity' is now restricted to 'minimal', 'detailed'",
+    ]);
+    // New defaults, optional parameters, widened values and type case are compatible
+    const compatible = BEFORE
+      .replace('  - name: project\n    type: string', '  - name: project\n    type: String\n    default: app')
+      .replace('[Debug, Release, Profile]', '[Debug, Release, Profile, Trace]')
+      .replace('steps:', '  - name: extra\n    type: object\n    default: {}\nsteps:');
+    assert.deepStrictEqual(compareParameters(BEFORE, compatible), []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// callerBreakages / findAffectedCallers
+// ---------------------------------------------------------------------------
+
+describe('findAffectedCallers', () => {
+  let root;
+  const changes = compareParameters(BEFORE, AFTER);
+
+  beforeEach(() => {
+    root = makeRepo({
+      'templates/build.yml': AFTER,
+      'pipelines/ci.yml': [
+        'steps:',
+        '  - template: ../templates/build.yml',
+        '    parameters:',
+        '      project: app',
+        '      verbosity: detailed',
+        '      environment: dev',
+        '      configuration: Profile',
+        '      extraArgs: --no-restore',
+        '      runTests: false',
+        '',
+      ].join('\n'),
+      'pipelines/ok.yml': [
+        'steps:',
+        '  - template: ../templates/build.yml',
+        '    parameters:',
+        '      project: app',
+        '      verbosity: detailed',
+        '      environment: dev',
+        '      configuration: ${{ variables.config }}',
+        '',
+      ].join('\n'),
+    });
+  });
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it('lists only the call sites the changes break, with the reasons', () => {
+    const index = new WorkspaceIndex();
+    index.build(root);
+    const affected = findAffectedCallers(path.join(root, 'templates', 'build.yml'), changes, index);
+    assert.deepStrictEqual(affected, [{
+      filePath: path.join(root, 'pipelines', 'ci.yml'),
+      line: 1,
+      reasons: [
+        "passes 'extraArgs', which was removed",
+        "passes 'configuration: Profile', which is no longer allowed",
+        "passes 'runTests', which changed type from boolean to string",
+      ],
+    }]);
+  });
+
+  it('reads callers through readText, so unsaved changes are checked', () => {
+    const index = new WorkspaceIndex();
+    index.build(root);
+    const ok = path.join(root, 'pipelines', 'ok.yml');
+    const unsaved = `# Unsaved\n# edits\n${fs.readFileSync(ok, 'utf8')}      extraArgs: --no-restore\n`;
+    const readText = (p) => (p === ok ? unsaved : fs.readFileSync(p, 'utf8'));
+    const affected = findAffectedCallers(path.join(root, 'templates', 'build.yml'), changes, index, readText);
+    assert.deepStrictEqual(affected.find(a => a.filePath === ok), {
+      filePath: ok,
+      line: 3,
+      reasons: ["passes 'extraArgs', which was removed"],
+    });
+  });
+
+  it('reports missing required parameters unless keys are built dynamically', () => {
+    assert.deepStrictEqual(callerBreakages({ project: { value: 'a' } }, changes), [
+      "does not pass 'verbosity', which is now required",
+      "does not pass 'environment', which is now required",
+    ]);
+    const dynamic = { project: { value: 'a' }, '${{ insert }}': { value: '', dynamic: true } };
+    assert.deepStrictEqual(callerBreakages(dynamic, changes), []);
+  });
+
+  it('reports a retyped parameter only when the passed literal no longer fits', () => {
+    const retyped = compareParameters(
+      BEFORE,
+      BEFORE.replace('  - name: verbosity\n    type: string', '  - name: verbosity\n    type: boolean')
+    );
+    assert.deepStrictEqual(callerBreakages({ verbosity: { value: 'true' } }, retyped), []);
+    assert.deepStrictEqual(callerBreakages({ verbosity: { value: '${{ parameters.v }}' } }, retyped), []);
+    const conditional = { verbosity: { value: 'false', alternatives: [{ value: 'detailed' }] } };
+    assert.deepStrictEqual(callerBreakages(conditional, retyped), [
+      "passes 'verbosity', which changed type from string to boolean",
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// renderBreakingChangeReport
+// ---------------------------------------------------------------------------
+
+describe('renderBreakingChangeReport', () => {
+  const root = path.join(os.tmpdir(), 'atn-no-repo');
+  const template = path.join(root, 'templates', 'build.yml');
+
+  it('lists the changes and the affected callers', () => {
+    const changes = compareParameters(BEFORE, AFTER).slice(0, 2);
+    const report = renderBreakingChangeReport(template, changes, [
+      { filePath: path.join(root, 'ci.yml'), line: 4, reasons: ["passes 'extraArgs', which was removed"] },
+    ]);
+    assert.ok(report.includes('Compared with `HEAD`: 2 breaking changes, affecting 1 call site in 1 file of the workspace.'), report);
+    assert.ok(report.includes("- 'configuration' no longer allows 'Profile' (line 4)"), report);
+    assert.ok(report.includes("- 'extraArgs' was removed\n"), report);
+    assert.ok(/- `(.*\/)?ci\.yml:5` passes 'extraArgs', which was removed/.test(report), report);
+  });
+
+  it('explains when there is nothing to report', () => {
+    assert.ok(renderBreakingChangeReport(template, [], []).includes('no breaking changes since `HEAD`'));
+    assert.ok(renderBreakingChangeReport(template, null, []).includes('not committed at `HEAD`'));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// readHeadText
+// ---------------------------------------------------------------------------
+
+describe('readHeadText', () => {
+  let root;
+  const git = (...args) => execFileSync('git', args, { cwd: root, stdio: 'ignore' });
+
+  before(function () {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'atn-breaking-git-'));
+    try {
+      git('init', '-q');
+    } catch {
+      this.skip(); // git is not installed
+    }
+    fs.mkdirSync(path.join(root, 'templates'));
+    fs.writeFileSync(path.join(root, 'templates', 'build.yml'), BEFORE, 'utf8');
+    fs.writeFileSync(path.join(root, 'templates', 'gone.yml'), BEFORE, 'utf8');
+    git('add', '.');
+    git('-c', 'user.name=test', '-c', 'user.email=test@example.com', '-c', 'commit.gpgsign=false', 'commit', '-q', '-m', 'init');
+    fs.writeFileSync(path.join(root, 'templates', 'build.yml'), AFTER, 'utf8');
+    fs.writeFileSync(path.join(root, 'templates', 'gone.yml'), 'steps:\n  - script: echo\n', 'utf8');
+    fs.writeFileSync(path.join(root, 'templates', 'new.yml'), AFTER, 'utf8');
+  });
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it('reads the committed version of a file', async () => {
+    assert.strictEqual(await readHeadText(path.join(root, 'templates', 'build.yml')), BEFORE);
+  });
+
+  it('keeps a template whose parameters were all deleted since HEAD a template', async () => {
+    const file = path.join(root, 'templates', 'gone.yml');
+    assert.strictEqual(isTemplate(fs.readFileSync(file, 'utf8'), await readHeadText(file)), true);
+  });
+
+  it('resolves to null for files that are not in HEAD', async () => {
+    assert.strictEqual(await readHeadText(path.join(root, 'templates', 'new.yml')), null);
+  });
+});
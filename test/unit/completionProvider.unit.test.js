@@ -7,12 +7,17 @@
  *   - findEnclosingTemplate
  *   - isCursorInParametersBlock
  *   - provideCompletionItems (via mock document)
+ *   - toYamlScalar
+ *   - findEnclosingTaskInputs
+ *   - provideCompletionItems for task steps
+ *   - documentation comments of parameters
  *
  * Run with:  npx mocha test/unit/completionProvider.unit.test.js
  */
 
 const assert = require('assert');
 const path   = require('path');
+const fs     = require('fs');
 
 // ---------------------------------------------------------------------------
 // Stub the 'vscode' module before requiring any extension code.
@@ -74,6 +79,7 @@ Module._load = function (request) {
         }
       },
       CompletionItemKind: { Property: 9 },
+      CompletionItemTag: { Deprecated: 1 },
       SnippetString: class { constructor(v) { this.value = v; } },
       EventEmitter: class {
         constructor() { this.event = () => {}; }
@@ -85,11 +91,13 @@ Module._load = function (request) {
   return _orig.apply(this, arguments);
 };
 
-const { findEnclosingTemplate, isCursorInParametersBlock, completionProvider } =
+const { findEnclosingTemplate, isCursorInParametersBlock, completionProvider, toYamlScalar, findEnclosingTaskInputs } =
   require('../../completionProvider');
 
 Module._load = _orig;
 
+const { makeRepo } = require('./helpers');
+
 // ---------------------------------------------------------------------------
 // Fixture paths
 // ---------------------------------------------------------------------------
@@ -155,6 +163,28 @@ describe('findEnclosingTemplate', () => {
     assert.ok(result);
     assert.strictEqual(result.templateRef, 'stages/build.yml@templates');
   });
+
+  it('unquotes quoted template references', () => {
+    const lines = [
+      "- template: 't/deploy.yml'",
+      '  parameters:',
+      '    environment: prod',  // cursor here
+    ];
+    assert.deepStrictEqual(findEnclosingTemplate(lines, 2), { templateRef: 't/deploy.yml', templateLine: 0 });
+  });
+
+  it('finds flow-style calls and quoted keys', () => {
+    assert.deepStrictEqual(
+      findEnclosingTemplate(['- { template: a.yml, parameters: { x: 1 } }'], 0),
+      { templateRef: 'a.yml', templateLine: 0 }
+    );
+    const lines = [
+      '- "template": b.yml',
+      "  'parameters':",
+      '    ',  // cursor here
+    ];
+    assert.deepStrictEqual(findEnclosingTemplate(lines, 2), { templateRef: 'b.yml', templateLine: 0 });
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -326,3 +356,275 @@ describe('completionProvider.provideCompletionItems', () => {
     }
   });
 });
+
+// ---------------------------------------------------------------------------
+// extends: template: — template and parameters are siblings at the same indent
+// ---------------------------------------------------------------------------
+
+describe('completionProvider — extends', () => {
+
+  function makeDoc(lines) {
+    const text = lines.join('\n');
+    return { getText: () => text, uri: { fsPath: CURRENT_FILE }, languageId: 'yaml' };
+  }
+
+  function labels(items) {
+    return items.map(i => (typeof i.label === 'string' ? i.label : i.label.label)).sort();
+  }
+
+  it('finds the extends template from inside its parameters block', () => {
+    const lines = [
+      'extends:',
+      '  template: ../templates/local-template.yml',
+      '  parameters:',
+      '    environment: dev',  // cursor here (line 3)
+    ];
+    const result = findEnclosingTemplate(lines, 3);
+    assert.ok(result);
+    assert.strictEqual(result.templateRef, '../templates/local-template.yml');
+    assert.strictEqual(result.templateLine, 1);
+    assert.strictEqual(isCursorInParametersBlock(lines, 3, 1), true);
+  });
+
+  it('finds the template when parameters: comes before template:', () => {
+    const lines = [
+      'extends:',
+      '  parameters:',
+      '    ',  // cursor here (line 2)
+      '  template: ../templates/local-template.yml',
+    ];
+    const result = findEnclosingTemplate(lines, 2);
+    assert.ok(result);
+    assert.strictEqual(result.templateLine, 3);
+    assert.strictEqual(isCursorInParametersBlock(lines, 2, 3), true);
+  });
+
+  it('offers the base template\'s parameters', () => {
+    const lines = [
+      'trigger: none',
+      'extends:',
+      '  template: ../templates/local-template.yml',
+      '  parameters:',
+      '    ',
+    ];
+    const result = completionProvider.provideCompletionItems(makeDoc(lines), { line: 4, character: 4 });
+    assert.ok(Array.isArray(result));
+    assert.deepStrictEqual(labels(result), ['environment', 'region']);
+  });
+
+  it('offers the parameters of a quoted template reference', () => {
+    const lines = [
+      'steps:',
+      "  - template: '../templates/local-template.yml'",
+      '    parameters:',
+      '      ',
+    ];
+    const result = completionProvider.provideCompletionItems(makeDoc(lines), { line: 3, character: 6 });
+    assert.ok(Array.isArray(result));
+    assert.deepStrictEqual(labels(result), ['environment', 'region']);
+  });
+
+  it('does not treat the body of a sibling key as parameters', () => {
+    const lines = [
+      'extends:',
+      '  template: ../templates/local-template.yml',
+      '  other:',
+      '    ',
+    ];
+    assert.strictEqual(isCursorInParametersBlock(lines, 3, 1), false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Allowed-value completions (deploy-template.yml)
+// ---------------------------------------------------------------------------
+
+describe('completionProvider — allowed values', () => {
+
+  function complete(lines, line, character) {
+    const text = lines.join('\n');
+    const doc = {
+      getText: () => text,
+      uri: { fsPath: CURRENT_FILE },
+      languageId: 'yaml',
+      lineAt: (l) => ({ text: lines[l] || '' }),
+    };
+    return completionProvider.provideCompletionItems(doc, { line, character });
+  }
+
+  it('offers the allowed values after "paramName: " in declaration order', () => {
+    const lines = [
+      '- template: ../templates/deploy-template.yml',
+      '  parameters:',
+      '    environment: ',
+    ];
+    const items = complete(lines, 2, 17);
+    assert.deepStrictEqual(items.map(i => i.label), ['dev', 'test', 'prod']);
+    assert.ok(items[0].sortText < items[1].sortText);
+  });
+
+  it('replaces the partially typed value and quotes values that need it', () => {
+    const lines = [
+      '- template: ../templates/deploy-template.yml',
+      '  parameters:',
+      '    region: nor',
+    ];
+    const items = complete(lines, 2, 15);
+    const north = items.find(i => i.label === 'north europe');
+    assert.strictEqual(north.insertText, 'north europe');
+    assert.deepStrictEqual(north.range.start, { line: 2, character: 12 });
+    assert.deepStrictEqual(north.range.end,   { line: 2, character: 15 });
+    assert.strictEqual(items.find(i => i.label === 'westeurope').preselect, true);
+  });
+
+  it('returns undefined in the value position of a parameter without values', () => {
+    const lines = [
+      '- template: ../templates/local-template.yml',
+      '  parameters:',
+      '    region: ',
+    ];
+    assert.strictEqual(complete(lines, 2, 12), undefined);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Documentation comments
+// ---------------------------------------------------------------------------
+
+describe('completionProvider — documentation comments', () => {
+  let root;
+  beforeEach(() => {
+    root = makeRepo({
+      'build.yml': [
+        'parameters:',
+        '  # Project to build.',
+        '  - name: project',
+        '  - name: solution # @deprecated Use `project`.',
+        '    default: ""',
+        'steps: []',
+      ],
+    });
+  });
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it('marks deprecated parameters', () => {
+    const lines = ['- template: build.yml', '  parameters:', '    '];
+    const text = lines.join('\n');
+    const doc = {
+      getText: () => text,
+      uri: { fsPath: path.join(root, 'ci.yml') },
+      languageId: 'yaml',
+      lineAt: (l) => ({ text: lines[l] || '' }),
+    };
+    const items = completionProvider.provideCompletionItems(doc, { line: 2, character: 4 });
+    const byName = (name) => items.find(i => (typeof i.label === 'string' ? i.label : i.label.label) === name);
+    assert.deepStrictEqual(byName('solution').tags, [1]);
+    assert.strictEqual(byName('project').tags, undefined);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// findEnclosingTaskInputs
+// ---------------------------------------------------------------------------
+
+describe('findEnclosingTaskInputs', () => {
+
+  it('finds the task of an inputs: block, with task: before or after it', () => {
+    const lines = [
+      'steps:',
+      '  - task: Bash@3',
+      '    inputs:',
+      '      targetType: inline',
+      '  - inputs:',
+      '      command: build',
+      '    task: DotNetCoreCLI@2',
+    ];
+    assert.deepStrictEqual(findEnclosingTaskInputs(lines, 3), { taskRef: 'Bash@3', taskLine: 1, inputsLine: 2 });
+    assert.deepStrictEqual(findEnclosingTaskInputs(lines, 5), { taskRef: 'DotNetCoreCLI@2', taskLine: 6, inputsLine: 4 });
+  });
+
+  it('returns null outside inputs: and for inputs: of other steps', () => {
+    const lines = [
+      'steps:',
+      '  - task: Bash@3',
+      '    env:',
+      '      FOO: bar',
+      '  - script: echo',
+      '    inputs:',
+      '      x: 1',
+    ];
+    assert.strictEqual(findEnclosingTaskInputs(lines, 3), null);
+    assert.strictEqual(findEnclosingTaskInputs(lines, 6), null);
+  });
+});
+
+describe('completionProvider — task steps', () => {
+
+  function complete(lines, line, character) {
+    const text = lines.join('\n');
+    const doc = {
+      getText: () => text,
+      uri: { fsPath: CURRENT_FILE },
+      languageId: 'yaml',
+      lineAt: (l) => ({ text: lines[l] || '' }),
+    };
+    return completionProvider.provideCompletionItems(doc, { line, character });
+  }
+
+  it('offers task names with their current version after "task: "', () => {
+    const items = complete(['steps:', '  - task: DotN'], 1, 14);
+    const item = items.find(i => i.label === 'DotNetCoreCLI@2');
+    assert.ok(item);
+    assert.deepStrictEqual(item.range.start, { line: 1, character: 10 });
+  });
+
+  it('offers the inputs that apply, required first and set ones last', () => {
+    const lines = [
+      'steps:',
+      '  - task: PowerShell@2',
+      '    inputs:',
+      '      targetType: inline',
+      '      ',
+    ];
+    const items = complete(lines, 4, 6);
+    const names = items.map(i => (typeof i.label === 'string' ? i.label : i.label.label));
+    assert.ok(names.includes('script'));
+    assert.ok(!names.includes('filePath'), 'filePath only applies to targetType: filePath');
+    const script = items.find(i => i.insertText.value === 'script: $0');
+    assert.strictEqual(script.sortText, '0_script');
+    assert.strictEqual(items.find(i => i.label === 'targetType').sortText, '2_targetType');
+  });
+
+  it('offers the allowed values of a pick list and boolean input', () => {
+    const lines = [
+      'steps:',
+      '  - task: DotNetCoreCLI@2',
+      '    inputs:',
+      '      command: ',
+      '      zipAfterPublish: ',
+    ];
+    const commands = complete(lines, 3, 15);
+    assert.deepStrictEqual(commands.map(i => i.label), ['build', 'push', 'pack', 'publish', 'restore', 'run', 'test', 'custom']);
+    assert.strictEqual(commands[0].preselect, true);
+    assert.deepStrictEqual(complete(lines, 4, 23).map(i => i.label), ['true', 'false']);
+  });
+
+  it('offers nothing inside the inputs of an unknown task', () => {
+    assert.deepStrictEqual(complete(['steps:', '  - task: replacetokens@5', '    inputs:', '      '], 3, 6), []);
+  });
+});
+
+describe('toYamlScalar', () => {
+
+  it('leaves plain-safe values unquoted', () => {
+    assert.strictEqual(toYamlScalar('north europe'), 'north europe');
+    assert.strictEqual(toYamlScalar('prod'), 'prod');
+  });
+
+  it('single-quotes values a plain scalar would misread', () => {
+    assert.strictEqual(toYamlScalar(''), "''");
+    assert.strictEqual(toYamlScalar('*.csproj'), "'*.csproj'");
+    assert.strictEqual(toYamlScalar('a: b'), "'a: b'");
+    assert.strictEqual(toYamlScalar("it's # here"), "'it''s # here'");
+  });
+});
@@ -0,0 +1,274 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for dependencyValidator.js
+ *
+ * Tests:
+ *   - validateDependencies: unknown names, names from stage and job
+ *     templates, duplicate names, cycles (explicit and implicit)
+ *   - findDependsOnDefinition: same file, through templates, unknown names
+ *
+ * Run with:  npx mocha test/unit/dependencyValidator.unit.test.js
+ */
+
+const assert = require('assert');
+const path   = require('path');
+const fs     = require('fs');
+
+// ---------------------------------------------------------------------------
+// Stub the 'vscode' module — hoverProvider requires it but the functions
+// under test never touch it.
+// ---------------------------------------------------------------------------
+const { makeRepo, loadWithVscodeStub } = require('./helpers');
+const { validateDependencies, findDependsOnDefinition } = loadWithVscodeStub({}, () => require('../../dependencyValidator'));
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Validates `<root>/<rel>`; returns [code, line, message] of each problem. */
+function check(root, rel = 'pipeline.yml') {
+  const file = path.join(root, rel);
+  return validateDependencies(fs.readFileSync(file, 'utf8'), file)
+    .map(p => [p.code, p.node.line, p.message]);
+}
+
+// ---------------------------------------------------------------------------
+// validateDependencies
+// ---------------------------------------------------------------------------
+
+describe('validateDependencies', () => {
+  let root;
+  afterEach(() => {
+    if (root) fs.rmSync(root, { recursive: true, force: true });
+    root = null;
+  });
+
+  it('accepts dependencies on stages and jobs that exist', () => {
+    root = makeRepo({
+      'pipeline.yml': [
+        'trigger: none',
+        'stages:',
+        '  - stage: Build',
+        '    jobs:',
+        '      - job: Compile',
+        '      - job: Test',
+        '        dependsOn: compile',
+        '  - stage: Deploy',
+        '    dependsOn: [Build]',
+      ],
+    });
+    assert.deepStrictEqual(check(root), []);
+  });
+
+  it('reports names that are not a stage or a job of the same stage', () => {
+    root = makeRepo({
+      'pipeline.yml': [
+        'trigger: none',
+        'stages:',
+        '  - stage: Build',
+        '    jobs:',
+        '      - job: Compile',
+        '  - stage: Deploy',
+        '    dependsOn:',
+        '      - Biuld',
+        '    jobs:',
+        '      - deployment: Web',
+        '        dependsOn: Compile',
+      ],
+    });
+    assert.deepStrictEqual(check(root), [
+      ['unknown-dependency', 7, "Stage 'Deploy' depends on 'Biuld', which is not a stage in this pipeline"],
+      ['unknown-dependency', 10, "Job 'Web' depends on 'Compile', which is not a job in stage 'Deploy'"],
+    ]);
+  });
+
+  it('counts stages and jobs contributed by templates, with their parameters', () => {
+    root = makeRepo({
+      'pipeline.yml': [
+        'trigger: none',
+        'stages:',
+        '  - template: stages/deploy.yml',
+        '    parameters:',
+        '      env: Dev',
+        '  - stage: Verify',
+        '    dependsOn: [Deploy_Dev]',
+        '    jobs:',
+        '      - template: jobs/checks.yml',
+        '      - job: Report',
+        '        dependsOn: [Smoke, Missing]',
+      ],
+      'stages/deploy.yml': [
+        'parameters:',
+        '  - name: env',
+        '    type: string',
+        'stages:',
+        '  - stage: Deploy_${{ parameters.env }}',
+      ],
+      'jobs/checks.yml': [
+        'jobs:',
+        '  - job: Smoke',
+      ],
+    });
+    assert.deepStrictEqual(check(root).map(p => p.slice(0, 2)), [['unknown-dependency', 10]]);
+  });
+
+  it('does not report unknown names when some names cannot be known', () => {
+    root = makeRepo({
+      'pipeline.yml': [
+        'trigger: none',
+        'parameters:',
+        '  - name: envs',
+        '    type: object',
+        'stages:',
+        '  - template: stages/missing.yml',
+        '  - stage: Verify',
+        '    dependsOn: Anything',
+        '    jobs:',
+        '      - ${{ each env in parameters.envs }}:',
+        '        - job: Test_${{ env }}',
+        '      - job: Report',
+        '        dependsOn: Test_Dev',
+      ],
+    });
+    assert.deepStrictEqual(check(root), []);
+  });
+
+  it('only reports unknown stages and root jobs in pipelines, not in templates', () => {
+    root = makeRepo({
+      'jobs.yml': [
+        'parameters:',
+        '  - name: name',
+        '    default: x',
+        'jobs:',
+        '  - job: Package',
+        '    dependsOn: Build',
+      ],
+    });
+    assert.deepStrictEqual(check(root, 'jobs.yml'), []);
+  });
+
+  it('reports duplicate names, including names from templates', () => {
+    root = makeRepo({
+      'pipeline.yml': [
+        'trigger: none',
+        'jobs:',
+        '  - job: Build',
+        '  - template: jobs/build.yml',
+        '  - job: build',
+        "  - ${{ if eq(variables['Build.Reason'], 'PullRequest') }}:",
+        '    - job: Build',
+      ],
+      'jobs/build.yml': [
+        'jobs:',
+        '  - job: Build',
+      ],
+    });
+    assert.deepStrictEqual(check(root), [
+      ['duplicate-name', 3, "Job 'Build' from template 'jobs/build.yml' is already defined in this stage"],
+      ['duplicate-name', 4, "Job name 'build' is used more than once; job names must be unique"],
+    ]);
+  });
+
+  it('reports dependency cycles', () => {
+    root = makeRepo({
+      'pipeline.yml': [
+        'trigger: none',
+        'jobs:',
+        '  - job: A',
+        '    dependsOn: C',
+        '  - job: B',
+        '    dependsOn: A',
+        '  - job: C',
+        '    dependsOn: [B]',
+        '  - job: D',
+        '    dependsOn: D',
+      ],
+    });
+    assert.deepStrictEqual(check(root), [
+      ['dependency-cycle', 3, 'Dependency cycle: A → C → B → A'],
+      ['dependency-cycle', 5, 'Dependency cycle: B → A → C → B'],
+      ['dependency-cycle', 7, 'Dependency cycle: C → B → A → C'],
+      ['dependency-cycle', 9, "Job 'D' depends on itself"],
+    ]);
+  });
+
+  it('includes the implicit dependency on the previous stage in cycles', () => {
+    root = makeRepo({
+      'pipeline.yml': [
+        'trigger: none',
+        'stages:',
+        '  - stage: Build',
+        '    dependsOn: Test',
+        '  - stage: Test',
+        '  - stage: Deploy',
+        '    dependsOn: []',
+      ],
+    });
+    assert.deepStrictEqual(check(root), [
+      ['dependency-cycle', 3, "Dependency cycle: Build → Test → Build; 'Test' has no dependsOn and depends on the stage before it"],
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// findDependsOnDefinition
+// ---------------------------------------------------------------------------
+
+describe('findDependsOnDefinition', () => {
+  let root;
+  afterEach(() => {
+    if (root) fs.rmSync(root, { recursive: true, force: true });
+    root = null;
+  });
+
+  /** A repo whose pipeline includes a stage template, which includes a job template. */
+  function makeDependsRepo() {
+    root = makeRepo({
+      'pipeline.yml': [
+        'stages:',
+        '  - stage: Build',
+        '    jobs:',
+        '      - job: Compile',
+        '      - template: jobs/test.yml',
+        '      - job: Package',
+        '        dependsOn: [Compile, Unit]',
+        '  - template: stages/deploy.yml',
+        '    parameters:',
+        '      env: Prod',
+        '  - stage: Verify',
+        '    dependsOn:',
+        '      - Deploy_Prod',
+        '      - Build',
+        '      - Missing',
+      ],
+      'jobs/test.yml': 'jobs:\n  - template: unit.yml\n',
+      'jobs/unit.yml': 'jobs:\n  - job: Unit\n',
+      'stages/deploy.yml': 'parameters:\n  - name: env\nstages:\n  - stage: Deploy_${{ parameters.env }}\n',
+    });
+    return path.join(root, 'pipeline.yml');
+  }
+
+  function definitionOf(file, line, character) {
+    const found = findDependsOnDefinition(fs.readFileSync(file, 'utf8'), file, line, character);
+    return found && [path.relative(root, found.filePath).split(path.sep).join('/'), found.line, found.col];
+  }
+
+  it('finds stages and jobs of the same file', () => {
+    const file = makeDependsRepo();
+    assert.deepStrictEqual(definitionOf(file, 6, 21), ['pipeline.yml', 3, 13]);
+    assert.deepStrictEqual(definitionOf(file, 13, 9), ['pipeline.yml', 1, 11]);
+  });
+
+  it('follows stage and job templates, matching names built from parameters', () => {
+    const file = makeDependsRepo();
+    assert.deepStrictEqual(definitionOf(file, 6, 30), ['jobs/unit.yml', 1, 9]);
+    assert.deepStrictEqual(definitionOf(file, 12, 9), ['stages/deploy.yml', 3, 11]);
+  });
+
+  it('returns null for unknown names and positions outside dependsOn', () => {
+    const file = makeDependsRepo();
+    assert.strictEqual(definitionOf(file, 14, 9), null);
+    assert.strictEqual(definitionOf(file, 3, 15), null);
+  });
+});
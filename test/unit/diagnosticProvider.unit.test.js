@@ -6,13 +6,18 @@
  * Tests:
  *   - inferValueType
  *   - validateCallSite (via getDiagnosticsForDocument with fixture files)
+ *   - validateCallSite deprecations (temporary templates and sidecar files)
  *   - getDiagnosticsForDocument
+ *   - getExtendsComplianceDiagnostics
+ *   - getUndefinedVariableDiagnostics
+ *   - getTaskDiagnostics
  *
  * Run with:  npx mocha test/unit/diagnosticProvider.unit.test.js
  */
 
 const assert = require('assert');
 const path   = require('path');
+const fs     = require('fs');
 
 // ---------------------------------------------------------------------------
 // Stub the 'vscode' module before requiring any extension code.
@@ -37,6 +42,7 @@ Module._load = function (request) {
       Location: class {},
       Position: class { constructor(l, c) { this.line = l; this.character = c; } },
       DiagnosticSeverity: { Error: 0, Warning: 1, Information: 2, Hint: 3 },
+      DiagnosticTag: { Unnecessary: 1, Deprecated: 2 },
       Diagnostic: class {
         constructor(range, message, severity) {
           this.range    = range;
@@ -99,11 +105,19 @@ const {
   getDiagnosticsForFile,
   validateCallSite,
   getUnusedParameterDiagnostics,
+  getExtendsComplianceDiagnostics,
+  getUndefinedVariableDiagnostics,
+  getStructureDiagnostics,
+  getDependencyDiagnostics,
+  getTaskDiagnostics,
   collectParameterReferences,
 } = require('../../diagnosticProvider');
+const { loadTaskCatalog } = require('../../taskCatalog');
 
 Module._load = _orig;
 
+const { makeRepo } = require('./helpers');
+
 // ---------------------------------------------------------------------------
 // Fixture paths
 // ---------------------------------------------------------------------------
@@ -252,7 +266,7 @@ describe('validateCallSite', () => {
     const lines = [
       '- template: ${{ variables.templatePath }}',
     ];
-    // This is filtered out before validateCallSite is called in getDiagnosticsForDocument
+    // getDiagnosticsForDocument passes the resolved candidates instead
     // but validateCallSite itself should handle unresolvable refs gracefully
     const diags = validateCallSite(
       lines, 0,
@@ -264,10 +278,609 @@ describe('validateCallSite', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// validateCallSite — allowed values (deploy-template.yml)
+// ---------------------------------------------------------------------------
+
+describe('validateCallSite — invalid-value', () => {
+
+  const TEMPLATE = '../templates/deploy-template.yml';
+
+  function validate(paramLines) {
+    const lines = [`- template: ${TEMPLATE}`, '  parameters:', ...paramLines];
+    return validateCallSite(lines, 0, TEMPLATE, CURRENT_FILE, {})
+      .filter(d => d.code === 'invalid-value');
+  }
+
+  it('emits no diagnostic for an allowed value', () => {
+    assert.deepStrictEqual(validate(['    environment: prod']), []);
+  });
+
+  it('emits an Error on the value when it is not in the allowed list', () => {
+    const [diag, ...rest] = validate(['    environment: prdo']);
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(diag.severity, 0); // DiagnosticSeverity.Error
+    assert.ok(diag.message.includes("'prdo'"));
+    assert.ok(diag.message.includes('dev, test, prod'));
+    assert.deepStrictEqual(diag.range.start, { line: 2, character: 17 });
+    assert.deepStrictEqual(diag.range.end,   { line: 2, character: 21 });
+  });
+
+  it('compares quoted values by their unquoted text', () => {
+    assert.deepStrictEqual(validate(['    environment: dev', "    region: 'north europe'"]), []);
+  });
+
+  it('skips pipeline expressions', () => {
+    assert.deepStrictEqual(validate([
+      '    environment: ${{ parameters.env }}',
+      '    region: $(region)',
+    ]), []);
+  });
+
+  it('checks the result of constant template expressions', () => {
+    assert.deepStrictEqual(validate(["    environment: ${{ lower('PROD') }}"]), []);
+    const [diag] = validate(["    environment: ${{ format('{0}-x', 'dev') }}"]);
+    assert.ok(diag.message.includes("'dev-x'"));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// validateCallSite — type-mismatch on template expressions
+// ---------------------------------------------------------------------------
+
+describe('validateCallSite — expression values', () => {
+
+  const TEMPLATE = '../templates/steps-wrapper.yml';
+
+  function validate(paramLines) {
+    const lines = [
+      'parameters:',
+      '  - name: flag',
+      '    type: boolean',
+      '  - name: extraSteps',
+      '    type: stepList',
+      'steps:',
+      `  - template: ${TEMPLATE}`,
+      '    parameters:',
+      ...paramLines,
+    ];
+    return validateCallSite(lines, 6, TEMPLATE, CURRENT_FILE, {})
+      .filter(d => d.code === 'type-mismatch');
+  }
+
+  it('flags an expression whose result type does not match', () => {
+    const [diag, ...rest] = validate(["      label: ${{ eq(parameters.flag, 'x') }}"]);
+    assert.strictEqual(rest.length, 0);
+    assert.ok(diag.message.includes("'label'"));
+  });
+
+  it('types parameter references from the caller\'s declarations', () => {
+    assert.strictEqual(validate(['      label: ${{ parameters.flag }}']).length, 1);
+    assert.deepStrictEqual(validate(['      preSteps: ${{ parameters.extraSteps }}']), []);
+  });
+
+  it('skips expressions whose type is not known', () => {
+    assert.deepStrictEqual(validate([
+      '      label: ${{ parameters.undeclared }}',
+      '      preSteps: ${{ coalesce(variables.a, parameters.extraSteps) }}',
+    ]), []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// validateCallSite — structure of collection values (steps-wrapper.yml)
+// ---------------------------------------------------------------------------
+
+describe('validateCallSite — shape-mismatch', () => {
+
+  const TEMPLATE = '../templates/steps-wrapper.yml';
+
+  function validate(paramLines) {
+    const lines = [`- template: ${TEMPLATE}`, '  parameters:', ...paramLines];
+    return validateCallSite(lines, 0, TEMPLATE, CURRENT_FILE, {})
+      .filter(d => d.code === 'shape-mismatch');
+  }
+
+  it('emits no diagnostic for a well-formed stepList', () => {
+    assert.deepStrictEqual(validate([
+      '    preSteps:',
+      '      - checkout: self',
+      '      - script: echo hi',
+    ]), []);
+  });
+
+  it('emits a Warning on the offending step', () => {
+    const [diag, ...rest] = validate([
+      '    preSteps:',
+      '      - checkout: self',
+      '      - displayName: missing step key',
+    ]);
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(diag.severity, 1); // DiagnosticSeverity.Warning
+    assert.ok(diag.message.startsWith("Invalid value for parameter 'preSteps' (type: stepList)"));
+    assert.deepStrictEqual(diag.range.start, { line: 4, character: 8 });
+    assert.deepStrictEqual(diag.range.end,   { line: 4, character: 19 });
+  });
+
+  it('flags a block sequence passed to a string parameter', () => {
+    const [diag] = validate(['    label:', '      - a']);
+    assert.ok(diag.message.includes('Expected a string value, got a sequence'));
+  });
+});
+
 // ---------------------------------------------------------------------------
 // getDiagnosticsForDocument — using a mock document
 // ---------------------------------------------------------------------------
 
+// ---------------------------------------------------------------------------
+// validateCallSite — extends: template: (steps-wrapper.yml)
+// ---------------------------------------------------------------------------
+
+describe('validateCallSite — extends', () => {
+
+  const TEMPLATE = '../templates/steps-wrapper.yml';
+
+  it('validates the parameters of an extends template', () => {
+    const lines = [
+      'trigger: none',
+      'extends:',
+      `  template: ${TEMPLATE}`,
+      '  parameters:',
+      '    label: [a]',
+      '    bogus: x',
+    ];
+    const diags = validateCallSite(lines, 2, TEMPLATE, CURRENT_FILE, {});
+    assert.deepStrictEqual(diags.map(d => [d.code, d.range.start.line]).sort(), [
+      ['type-mismatch', 4],
+      ['unknown-param', 5],
+    ]);
+  });
+
+  it('finds the parameters block when it comes before template:', () => {
+    const lines = [
+      'extends:',
+      '  parameters:',
+      '    bogus: x',
+      `  template: ${TEMPLATE}`,
+    ];
+    const diags = validateCallSite(lines, 3, TEMPLATE, CURRENT_FILE, {});
+    assert.deepStrictEqual(diags.map(d => [d.code, d.range.start.line]), [['unknown-param', 2]]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// validateCallSite — ${{ if }} / ${{ each }} directives (deploy-template.yml)
+// ---------------------------------------------------------------------------
+
+describe('validateCallSite — conditional and loop directives', () => {
+
+  const TEMPLATE = '../templates/deploy-template.yml';
+
+  function validate(lines, templateLine = 0) {
+    return validateCallSite(lines, templateLine, TEMPLATE, CURRENT_FILE, {})
+      .map(d => [d.code, d.range.start.line]);
+  }
+
+  it('validates a template call nested under an if directive', () => {
+    const lines = [
+      'steps:',
+      "- ${{ if eq(parameters.deploy, true) }}:",
+      `  - template: ${TEMPLATE}`,
+      '    parameters:',
+      '      environment: prdo',
+    ];
+    assert.deepStrictEqual(validate(lines, 2), [['invalid-value', 4]]);
+  });
+
+  it('treats parameters passed inside if / else branches as passed', () => {
+    const lines = [
+      `- template: ${TEMPLATE}`,
+      '  parameters:',
+      "    ${{ if eq(variables['Build.SourceBranchName'], 'main') }}:",
+      '      environment: prod',
+      '    ${{ else }}:',
+      '      environment: dev',
+      '    region: westeurope',
+    ];
+    assert.deepStrictEqual(validate(lines), []);
+  });
+
+  it('checks the values of every branch', () => {
+    const lines = [
+      `- template: ${TEMPLATE}`,
+      '  parameters:',
+      '    ${{ if parameters.release }}:',
+      '      environment: prod',
+      '    ${{ else }}:',
+      '      environment: staging',
+      '      bogus: x',
+    ];
+    assert.deepStrictEqual(validate(lines), [['unknown-param', 6], ['invalid-value', 5]]);
+  });
+
+  it('does not flag parameters passed through an each loop', () => {
+    const lines = [
+      `- template: ${TEMPLATE}`,
+      '  parameters:',
+      '    ${{ each p in parameters.deployParams }}:',
+      '      ${{ p.key }}: ${{ p.value }}',
+    ];
+    assert.deepStrictEqual(validate(lines), []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// validateCallSite — deprecated templates and parameters
+// ---------------------------------------------------------------------------
+
+describe('validateCallSite — deprecations', () => {
+  let root;
+  let caller;
+
+  beforeEach(() => {
+    root = makeRepo({
+      'templates/build.yml': [
+        '# Builds the solution.',
+        '# @deprecated Slow and unmaintained.',
+        '# @replacement v2/build.yml',
+        'parameters:',
+        '  # @deprecated',
+        '  # @replacement project',
+        '  - name: solution',
+        "    default: ''",
+        '  - name: project',
+        "    default: ''",
+        '  - name: verbosity',
+        '    default: minimal',
+        'steps: []',
+      ].join('\n'),
+      'templates/v2/build.yml': 'steps: []\n',
+      'templates/test.yml': 'parameters:\n  - name: filter\n    default: ""\nsteps: []\n',
+      'templates/test.meta.json': JSON.stringify({
+        deprecated: 'Use the shared test template.',
+        replacement: 'missing.yml',
+        parameters: { filter: { deprecated: true } },
+      }),
+      'pipelines/ci.yml': '',
+    });
+    caller = path.join(root, 'pipelines', 'ci.yml');
+  });
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  function validate(lines, ref) {
+    return validateCallSite(lines, 0, ref, caller, {})
+      .filter(d => d.code.startsWith('deprecated-'));
+  }
+
+  it('flags a deprecated template on its reference, naming the rewritten replacement', () => {
+    const [diag, ...rest] = validate(['- template: ../templates/build.yml'], '../templates/build.yml');
+    assert.deepStrictEqual(rest, []);
+    assert.strictEqual(diag.code, 'deprecated-template');
+    assert.strictEqual(diag.message,
+      "Template '../templates/build.yml' is deprecated: Slow and unmaintained. — switch to '../templates/v2/build.yml'");
+    assert.strictEqual(diag.severity, 1);
+    assert.deepStrictEqual(diag.tags, [2]);
+    assert.deepStrictEqual([diag.range.start.character, diag.range.end.character], [12, 34]);
+  });
+
+  it('flags deprecated parameters and offers the replacement only when it is not passed', () => {
+    const lines = [
+      '- template: /templates/build.yml',
+      '  parameters:',
+      '    solution: App.sln',
+      '    verbosity: detailed',
+    ];
+    const diags = validate(lines, '/templates/build.yml');
+    assert.deepStrictEqual(diags.map(d => [d.code, d.range.start.line, d.message]), [
+      ['deprecated-template', 0, "Template '/templates/build.yml' is deprecated: Slow and unmaintained. — switch to '/templates/v2/build.yml'"],
+      ['deprecated-param', 2, "Parameter 'solution' of template '/templates/build.yml' is deprecated — switch to 'project'"],
+    ]);
+    const both = validate([...lines, '    project: App.csproj'], '/templates/build.yml');
+    assert.strictEqual(both[1].message, "Parameter 'solution' of template '/templates/build.yml' is deprecated — use 'project' instead");
+  });
+
+  it('reads deprecations from the sidecar metadata file', () => {
+    const lines = ['- template: ../templates/test.yml', '  parameters:', '    filter: unit'];
+    assert.deepStrictEqual(validate(lines, '../templates/test.yml').map(d => d.message), [
+      "Template '../templates/test.yml' is deprecated: Use the shared test template. — use 'missing.yml' instead",
+      "Parameter 'filter' of template '../templates/test.yml' is deprecated",
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getExtendsComplianceDiagnostics
+// ---------------------------------------------------------------------------
+
+describe('getExtendsComplianceDiagnostics', () => {
+
+  const PIPELINE = [
+    'trigger: none',
+    'extends:',
+    '  template: ../templates/steps-wrapper.yml',
+  ].join('\n');
+
+  it('accepts a pipeline that extends an approved template', () => {
+    assert.deepStrictEqual(getExtendsComplianceDiagnostics(PIPELINE, CURRENT_FILE, ['templates/steps-wrapper.yml']), []);
+    assert.deepStrictEqual(getExtendsComplianceDiagnostics(PIPELINE, CURRENT_FILE, ['/templates/steps-wrapper.yml']), []);
+  });
+
+  it('warns on the template: line when the pipeline extends another template', () => {
+    const [diag, ...rest] = getExtendsComplianceDiagnostics(PIPELINE, CURRENT_FILE, ['templates/secure-base.yml']);
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(diag.code, 'missing-required-extends');
+    assert.strictEqual(diag.severity, 1);
+    assert.strictEqual(diag.range.start.line, 2);
+    assert.strictEqual(diag.range.start.character, 12);
+    assert.ok(diag.message.includes("'templates/secure-base.yml'"));
+  });
+
+  it('warns on the first line when the pipeline does not use extends', () => {
+    const [diag] = getExtendsComplianceDiagnostics('trigger: none\nsteps: []', CURRENT_FILE, ['templates/secure-base.yml']);
+    assert.strictEqual(diag.range.start.line, 0);
+    assert.ok(diag.message.startsWith('Pipeline does not extend'));
+  });
+
+  it('ignores templates and an empty approved list', () => {
+    assert.deepStrictEqual(getExtendsComplianceDiagnostics('steps: []', CURRENT_FILE, ['templates/secure-base.yml']), []);
+    assert.deepStrictEqual(getExtendsComplianceDiagnostics('trigger: none\nsteps: []', CURRENT_FILE, []), []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getUndefinedVariableDiagnostics
+// ---------------------------------------------------------------------------
+
+describe('getUndefinedVariableDiagnostics', () => {
+
+  /** Shorthand: [line, start character, severity, message] of each diagnostic. */
+  function check(lines) {
+    return getUndefinedVariableDiagnostics(lines.join('\n'), CURRENT_FILE)
+      .map(d => [d.range.start.line, d.range.start.character, d.severity, d.message]);
+  }
+
+  it('warns on a reference that nothing defines', () => {
+    const diags = check([
+      'trigger: none',
+      'variables:',
+      '  buildConfiguration: Release',
+      'steps:',
+      '  - script: dotnet build -c $(buildConfiguraton) ${{ variables.buildConfiguration }}',
+    ]);
+    assert.deepStrictEqual(diags, [[4, 30, 1,
+      "Variable 'buildConfiguraton' is not defined in any variables: block in scope, variable template or predefined variable"]]);
+  });
+
+  it('accepts scoped, predefined, matrix and runtime-set variables case-insensitively', () => {
+    const diags = check([
+      'trigger: none',
+      'jobs:',
+      '  - job: Build',
+      '    variables:',
+      '      - name: config',
+      '        value: Release',
+      '    strategy:',
+      '      matrix:',
+      '        linux:',
+      '          imageName: ubuntu-latest',
+      '    steps:',
+      '      - bash: |',
+      '          echo "##vso[task.setvariable variable=version;isOutput=true]1.0"',
+      '          echo $(pwd)',
+      '        name: setVersion',
+      '      - task: AzureCLI@2',
+      '        name: cli',
+      '      - script: echo $(Config) $(imageName) $(Build.SourceBranch) $(version) $(setVersion.version) $(cli.result)',
+    ]);
+    assert.deepStrictEqual(diags, []);
+  });
+
+  it('does not count variables of other jobs or step env entries', () => {
+    const diags = check([
+      'trigger: none',
+      'jobs:',
+      '  - job: A',
+      '    variables:',
+      '      onlyA: 1',
+      '  - job: B',
+      '    steps:',
+      '      - script: echo $(onlyA) $(TOKEN)',
+      '        env:',
+      '          TOKEN: abc',
+    ]);
+    assert.deepStrictEqual(diags.map(d => d[3].slice(0, 18)), ["Variable 'onlyA' i", "Variable 'TOKEN' i"]);
+  });
+
+  it('downgrades references a variable group may define to information', () => {
+    const [[, , severity, message]] = check([
+      'trigger: none',
+      'variables:',
+      '  - group: shared-secrets',
+      'steps:',
+      '  - script: deploy $(apiKey)',
+    ]);
+    assert.strictEqual(severity, 2);
+    assert.ok(message.includes("variable group(s) 'shared-secrets'"));
+  });
+
+  it('downgrades references an unreadable variable template may define to information', () => {
+    const [[, , severity, message]] = check([
+      'trigger: none',
+      'variables:',
+      '  - template: vars/missing.yml',
+      'steps:',
+      '  - script: deploy $(apiKey)',
+    ]);
+    assert.strictEqual(severity, 2);
+    assert.ok(message.includes("variable template(s) 'vars/missing.yml'"));
+  });
+
+  it('reports unknown names in a predefined namespace as information', () => {
+    const [[, , severity, message]] = check(['trigger: none', 'steps:', '  - script: echo $(Build.SourceBrnach)']);
+    assert.strictEqual(severity, 2);
+    assert.strictEqual(message, "Variable 'Build.SourceBrnach' is not a known predefined variable");
+  });
+
+  it('skips templates and comments', () => {
+    assert.deepStrictEqual(check(['steps:', '  - script: echo $(fromCaller)']), []);
+    assert.deepStrictEqual(check(['trigger: none', 'steps:', '  - script: echo hi # $(nothing)']), []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getTaskDiagnostics
+// ---------------------------------------------------------------------------
+
+describe('getStructureDiagnostics', () => {
+
+  it('maps each problem code to its own severity', () => {
+    const diags = getStructureDiagnostics([
+      'stages:',
+      '  - stage: Build',
+      '    steps:',
+      '      - script: echo',
+      '    jobs:',
+      '      - deployment: Deploy',
+      '        strategy:',
+      '          runOnce: {}',
+      '      - job: Test',
+      '        timeout: 10',
+    ].join('\n'));
+    assert.deepStrictEqual(diags.map(d => [d.code, d.severity, d.range.start.line, d.range.start.character]), [
+      ['misplaced-keyword', 0, 2, 4],
+      ['invalid-keyword-combination', 0, 5, 8],
+      ['unknown-keyword', 1, 9, 8],
+    ]);
+    assert.ok(diags.every(d => d.source === 'Azure Templates Navigator'));
+  });
+
+  it('squiggles only the first line of a multi-line value', () => {
+    const [diag] = getStructureDiagnostics([
+      'jobs:',
+      '  - job: Build',
+      '    dependsOn:',
+      '      first: A',
+      '      second: B',
+    ].join('\n'));
+    assert.strictEqual(diag.code, 'invalid-keyword-value');
+    assert.deepStrictEqual([diag.range.start.line, diag.range.end.line], [3, 3]);
+  });
+});
+
+describe('getDependencyDiagnostics', () => {
+
+  it('reports unknown dependencies, duplicates and cycles as errors on the entry', () => {
+    const diags = getDependencyDiagnostics([
+      'trigger: none',
+      'stages:',
+      '  - stage: Build',
+      '    dependsOn: Deploy',
+      '  - stage: Deploy',
+      '  - stage: Verify',
+      '    dependsOn: [Deploy, Tset]',
+      '  - stage: Build',
+    ].join('\n'), CURRENT_FILE);
+    assert.deepStrictEqual(diags.map(d => [d.code, d.severity, d.range.start.line, d.range.start.character, d.range.end.character]), [
+      ['duplicate-name', 0, 7, 11, 16],
+      ['dependency-cycle', 0, 3, 15, 21],
+      ['unknown-dependency', 0, 6, 24, 28],
+    ]);
+    assert.ok(diags.every(d => d.source === 'Azure Templates Navigator'));
+  });
+});
+
+describe('getTaskDiagnostics', () => {
+
+  /** Shorthand: [code, line, start character, severity, message] of each diagnostic. */
+  function check(lines) {
+    return getTaskDiagnostics(lines.join('\n'), loadTaskCatalog(null))
+      .map(d => [d.code, d.range.start.line, d.range.start.character, d.severity, d.message]);
+  }
+
+  it('accepts a complete, valid task step', () => {
+    assert.deepStrictEqual(check([
+      'steps:',
+      '  - task: DotNetCoreCLI@2',
+      '    inputs:',
+      '      command: custom',
+      '      custom: format',
+      '      PROJECTS: src/app.csproj',
+    ]), []);
+  });
+
+  it('reports unknown tasks as information', () => {
+    assert.deepStrictEqual(check(['steps:', '  - task: replacetokens@5']).map(d => d.slice(0, 4)),
+      [['unknown-task', 1, 10, 2]]);
+  });
+
+  it('warns on deprecated, unknown and missing major versions', () => {
+    const diags = check([
+      'steps:',
+      '  - task: PublishCodeCoverageResults@1',
+      '  - task: Bash@7',
+      '  - task: CmdLine',
+    ]);
+    assert.deepStrictEqual(diags.map(d => [d[0], d[4]]), [
+      ['deprecated-task-version', "Task 'PublishCodeCoverageResults@1' is a deprecated major version; use 'PublishCodeCoverageResults@2'"],
+      ['unknown-task-version', "Task 'Bash' has no major version '7' (known: 3)"],
+      ['unknown-task-version', "Task reference 'CmdLine' has no major version; use 'CmdLine@2'"],
+    ]);
+  });
+
+  it('reports missing required inputs that apply to the chosen options', () => {
+    const diags = check([
+      'steps:',
+      '  - task: PowerShell@2',
+      '    inputs:',
+      '      targetType: inline',
+      '  - task: AzureCLI@2',
+      '    inputs:',
+      '      connectedServiceNameARM: my-sub',
+      '      scriptType: bash',
+      '      scriptLocation: inlineScript',
+      '      inlineScript: az version',
+    ]);
+    assert.deepStrictEqual(diags, [
+      ['missing-task-input', 1, 10, 0, "Missing required input 'script' for task 'PowerShell@2'"],
+    ]);
+  });
+
+  it('warns on unknown inputs and values outside the allowed options', () => {
+    const diags = check([
+      'steps:',
+      '  - task: DotNetCoreCLI@2',
+      '    inputs:',
+      '      comand: build',
+      '      command: compile',
+      '      zipAfterPublish: yes',
+    ]);
+    assert.deepStrictEqual(diags.map(d => d.slice(0, 3)), [
+      ['unknown-task-input', 3, 6],
+      ['invalid-task-input-value', 4, 15],
+      ['invalid-task-input-value', 5, 23],
+    ]);
+    assert.ok(diags[1][4].includes('allowed: build, push, pack'));
+  });
+
+  it('does not check expressions, directives or older supported versions', () => {
+    assert.deepStrictEqual(check([
+      'steps:',
+      '  - task: ${{ parameters.task }}',
+      '  - task: PowerShell@2',
+      '    inputs:',
+      '      targetType: $(scriptKind)',
+      '  - task: PowerShell@2',
+      '    inputs:',
+      '      targetType: inline',
+      '      ${{ if eq(parameters.debug, true) }}:',
+      '        script: echo debug',
+      '  - task: Maven@3',
+      '    inputs:',
+      '      anything: goes',
+    ]), []);
+  });
+});
+
 describe('getDiagnosticsForDocument', () => {
 
   /**
@@ -289,12 +902,60 @@ describe('getDiagnosticsForDocument', () => {
     assert.deepStrictEqual(diags, []);
   });
 
+  it('reports syntax errors and unknown functions in template expressions', () => {
+    const doc = makeDoc([
+      'steps:',
+      "  - script: echo ${{ eq(parameters.a, }}",
+      "  - ${{ if equals(parameters.a, 'b') }}:",
+      '    - script: echo',
+      "  # ${{ not parsed( }}",
+    ].join('\n'));
+    const diags = getDiagnosticsForDocument(doc).filter(d => d.code === 'expression-error');
+    assert.strictEqual(diags.length, 2);
+    assert.strictEqual(diags[0].severity, 0); // Error
+    assert.strictEqual(diags[0].range.start.line, 1);
+    assert.strictEqual(diags[1].severity, 1); // Warning
+    assert.ok(diags[1].message.includes("Unknown function 'equals'"));
+    assert.deepStrictEqual(diags[1].range.start, { line: 2, character: 11 });
+  });
+
+  it('reports structural problems in pipelines', () => {
+    const doc = makeDoc('trigger: none\nstages:\n  - job: Build\n    steps: []\n');
+    const diags = getDiagnosticsForDocument(doc);
+    assert.deepStrictEqual(diags.map(d => d.code), ['misplaced-keyword']);
+  });
+
   it('returns [] when template expressions use variables (skipped)', () => {
     const doc = makeDoc('- template: ${{ variables.path }}\n  parameters:\n    foo: bar\n');
     const diags = getDiagnosticsForDocument(doc);
     assert.deepStrictEqual(diags, []);
   });
 
+  it('validates each candidate of a path built from parameters', () => {
+    const root = makeRepo({
+      'pipeline.yml': [
+        'parameters:',
+        '  - name: lang',
+        '    values: [node, python]',
+        'steps:',
+        '  - template: steps/${{ parameters.lang }}.yml',
+        '    parameters:',
+        '      version: 20',
+      ],
+      'steps/node.yml': 'parameters:\n  - name: version\nsteps: []\n',
+      'steps/python.yml': 'parameters:\n  - name: pythonVersion\nsteps: []\n',
+    });
+    try {
+      const file = path.join(root, 'pipeline.yml');
+      const diags = getDiagnosticsForDocument(makeDoc(fs.readFileSync(file, 'utf8'), file))
+        .filter(d => d.code === 'missing-required-param' || d.code === 'unknown-param');
+      assert.deepStrictEqual(diags.map(d => d.code).sort(), ['missing-required-param', 'unknown-param']);
+      assert.ok(diags.every(d => d.message.includes('steps/python.yml')));
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
   it('returns diagnostics for a real template reference with missing required param', () => {
     const text = [
       '- template: ../templates/local-template.yml',
@@ -421,6 +1082,21 @@ describe('collectParameterReferences', () => {
     assert.strictEqual(refs.size, 3);
   });
 
+  it('finds references in each loops and nested function calls', () => {
+    const text = [
+      '- ${{ each step in parameters.steps }}:',
+      "  - ${{ step }}",
+      "- script: ${{ join(',', coalesce(parameters.list, parameters['fallback'])) }}",
+    ].join('\n');
+    const refs = collectParameterReferences(text);
+    assert.deepStrictEqual([...refs].sort(), ['fallback', 'list', 'steps']);
+  });
+
+  it('still finds references in an expression with a syntax error', () => {
+    const refs = collectParameterReferences('${{ eq(parameters.env, }}');
+    assert.ok(refs.has('env'));
+  });
+
   it('does not double-count the same parameter referenced multiple times', () => {
     const text = [
       'echo ${{ parameters.env }}',
@@ -0,0 +1,163 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for dynamicTemplateRefs.js
+ *
+ * Tests:
+ *   - isDynamicTemplateRef
+ *   - expandTemplateRef (values lists, defaults, call-site arguments, variables)
+ *   - literalArguments / mergeArguments
+ *
+ * Run with:  npx mocha test/unit/dynamicTemplateRefs.unit.test.js
+ */
+
+const assert = require('assert');
+
+const { parseYaml, getMapValue } = require('../../yamlParser');
+const {
+  MAX_COMBINATIONS,
+  isDynamicTemplateRef,
+  expandTemplateRef,
+  literalArguments,
+  mergeArguments,
+} = require('../../dynamicTemplateRefs');
+
+/** Builds a parseParameters()-like declaration with a parsed default. */
+function param(name, type, { values, defaultText } = {}) {
+  const p = { name, type, required: defaultText === undefined, values };
+  if (defaultText !== undefined) {
+    p.defaultNode = getMapValue(parseYaml(`default: ${defaultText}`).root, 'default');
+  }
+  return p;
+}
+
+/** Shorthand: the candidate references only. */
+function refs(templateRef, sources) {
+  return expandTemplateRef(templateRef, sources).map(c => c.templateRef);
+}
+
+// ---------------------------------------------------------------------------
+// isDynamicTemplateRef
+// ---------------------------------------------------------------------------
+
+describe('isDynamicTemplateRef', () => {
+
+  it('detects template expressions, macros and runtime expressions', () => {
+    assert.strictEqual(isDynamicTemplateRef('steps/${{ parameters.lang }}.yml'), true);
+    assert.strictEqual(isDynamicTemplateRef('$(dir)/build.yml'), true);
+    assert.strictEqual(isDynamicTemplateRef('$[ variables.x ]'), true);
+    assert.strictEqual(isDynamicTemplateRef('templates/build.yml@tools'), false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// expandTemplateRef
+// ---------------------------------------------------------------------------
+
+describe('expandTemplateRef', () => {
+
+  it('expands a parameter with a values: list into one candidate per value', () => {
+    const params = [param('lang', 'string', { values: ['dotnet', 'python'], defaultText: 'dotnet' })];
+    const candidates = expandTemplateRef('steps/${{ parameters.lang }}-build.yml', { params });
+    assert.deepStrictEqual(candidates, [
+      { templateRef: 'steps/dotnet-build.yml', bindings: 'lang=dotnet' },
+      { templateRef: 'steps/python-build.yml', bindings: 'lang=python' },
+    ]);
+  });
+
+  it('combines the default with literal call-site arguments', () => {
+    const params = [param('lang', 'string', { defaultText: 'dotnet' })];
+    assert.deepStrictEqual(
+      refs('steps/${{ parameters.lang }}.yml', { params, arguments: { lang: ['node', 'dotnet'] } }),
+      ['steps/dotnet.yml', 'steps/node.yml']
+    );
+  });
+
+  it('uses call-site arguments for required parameters', () => {
+    const params = [param('lang', 'string')];
+    assert.deepStrictEqual(refs('${{ parameters.lang }}.yml', { params }), []);
+    assert.deepStrictEqual(refs('${{ parameters.lang }}.yml', { params, arguments: { lang: ['go'] } }), ['go.yml']);
+  });
+
+  it('evaluates functions over the parameter values', () => {
+    const params = [param('os', 'string', { values: ['Linux', 'Windows'] })];
+    assert.deepStrictEqual(
+      refs("steps/${{ lower(parameters.os) }}.yml", { params }),
+      ['steps/linux.yml', 'steps/windows.yml']
+    );
+    assert.deepStrictEqual(
+      refs("${{ iif(eq(parameters.os, 'linux'), 'bash', 'pwsh') }}/run.yml", { params }),
+      ['bash/run.yml', 'pwsh/run.yml']
+    );
+  });
+
+  it('expands the cartesian product of several parameters', () => {
+    const params = [
+      param('lang', 'string', { values: ['a', 'b'] }),
+      param('os', 'string', { values: ['x', 'y'] }),
+    ];
+    assert.deepStrictEqual(
+      refs('${{ parameters.lang }}/${{ parameters.os }}.yml', { params }),
+      ['a/x.yml', 'a/y.yml', 'b/x.yml', 'b/y.yml']
+    );
+  });
+
+  it('caps the number of combinations', () => {
+    const many = Array.from({ length: 20 }, (_, i) => String(i));
+    const params = ['a', 'b'].map(n => param(n, 'string', { values: many }));
+    const result = refs('${{ parameters.a }}-${{ parameters.b }}.yml', { params });
+    assert.strictEqual(result.length, MAX_COMBINATIONS);
+  });
+
+  it('substitutes variables in macros and template expressions', () => {
+    const variables = { dir: 'templates', kind: 'deploy' };
+    assert.deepStrictEqual(refs('$(dir)/${{ variables.kind }}.yml', { variables }), ['templates/deploy.yml']);
+    assert.deepStrictEqual(refs('$(unknown)/build.yml', { variables }), []);
+  });
+
+  it('leaves runtime expressions and unknown values unresolved', () => {
+    assert.deepStrictEqual(refs('$[ variables.x ]/build.yml', {}), []);
+    assert.deepStrictEqual(refs('${{ parameters.missing }}.yml', {}), []);
+    assert.deepStrictEqual(refs('${{ eq(parameters.a, }}.yml', {}), []);
+  });
+
+  it('offers true and false for boolean parameters without a default', () => {
+    const params = [param('debug', 'boolean')];
+    assert.deepStrictEqual(
+      refs("${{ iif(parameters.debug, 'debug', 'release') }}.yml", { params }),
+      ['debug.yml', 'release.yml']
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// literalArguments / mergeArguments
+// ---------------------------------------------------------------------------
+
+describe('literalArguments', () => {
+
+  it('keeps plain and quoted scalars and skips expressions and collections', () => {
+    const root = parseYaml([
+      'lang: python',
+      "region: 'north europe'",
+      'env: $(env)',
+      'steps: [a]',
+    ].join('\n')).root;
+    const passed = Object.fromEntries(root.entries.map(e => [e.key, { node: e.value }]));
+    assert.deepStrictEqual(literalArguments(passed), { lang: ['python'], region: ['north europe'] });
+  });
+
+  it('collects the values of every if / else branch', () => {
+    const [prod, dev] = parseYaml('- prod\n- dev').root.items;
+    const passed = { env: { node: prod, alternatives: [{ node: dev }, { node: prod }] } };
+    assert.deepStrictEqual(literalArguments(passed), { env: ['prod', 'dev'] });
+  });
+});
+
+describe('mergeArguments', () => {
+
+  it('accumulates unique values per parameter', () => {
+    const into = mergeArguments({ lang: ['go'] }, { lang: ['go', 'rust'], os: ['linux'] });
+    assert.deepStrictEqual(into, { lang: ['go', 'rust'], os: ['linux'] });
+  });
+});
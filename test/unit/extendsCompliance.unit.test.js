@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for extendsCompliance.js
+ *
+ * Tests:
+ *   - isPipelineEntry
+ *   - checkExtendsCompliance (repo-root paths, cross-repo aliases, raw refs)
+ *
+ * Run with:  npx mocha test/unit/extendsCompliance.unit.test.js
+ */
+
+const assert = require('assert');
+const path   = require('path');
+
+// ---------------------------------------------------------------------------
+// Stub the 'vscode' module — hoverProvider requires it but the functions
+// under test never touch it.
+// ---------------------------------------------------------------------------
+const { loadWithVscodeStub } = require('./helpers');
+const { isPipelineEntry, checkExtendsCompliance } = loadWithVscodeStub({}, () => require('../../extendsCompliance'));
+
+// ---------------------------------------------------------------------------
+// Fixture paths
+// ---------------------------------------------------------------------------
+const FIXTURES     = path.resolve(__dirname, '..', 'fixtures');
+const CURRENT_FILE = path.join(FIXTURES, 'main-repo', 'pipelines', 'azure-pipelines.yml');
+
+/** A pipeline in main-repo that extends `ref`, with the `templates` alias for sibling-repo. */
+function pipeline(ref) {
+  return [
+    'resources:',
+    '  repositories:',
+    '    - repository: templates',
+    '      type: git',
+    '      name: myorg/sibling-repo',
+    'extends:',
+    `  template: ${ref}`,
+  ].join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// isPipelineEntry
+// ---------------------------------------------------------------------------
+
+describe('isPipelineEntry', () => {
+
+  it('recognises triggers, resources and extends at the top level', () => {
+    assert.strictEqual(isPipelineEntry('trigger: none\nsteps: []'), true);
+    assert.strictEqual(isPipelineEntry('extends:\n  template: base.yml'), true);
+    assert.strictEqual(isPipelineEntry('resources:\n  repositories: []'), true);
+  });
+
+  it('treats files with only steps / jobs / stages as templates', () => {
+    assert.strictEqual(isPipelineEntry('parameters: []\nsteps: []'), false);
+    assert.strictEqual(isPipelineEntry('jobs:\n  - job: A\n    trigger: x'), false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// checkExtendsCompliance
+// ---------------------------------------------------------------------------
+
+describe('checkExtendsCompliance', () => {
+
+  it('returns null when the check does not apply', () => {
+    assert.strictEqual(checkExtendsCompliance(pipeline('base.yml'), CURRENT_FILE, []), null);
+    assert.strictEqual(checkExtendsCompliance('steps: []', CURRENT_FILE, ['base.yml']), null);
+  });
+
+  it('matches repo-root relative entries against relative references', () => {
+    const text = pipeline('../templates/local-template.yml');
+    const result = checkExtendsCompliance(text, CURRENT_FILE, ['templates/local-template.yml']);
+    assert.deepStrictEqual(result, {
+      compliant: true,
+      extendsRef: { templateRef: '../templates/local-template.yml', line: 6 },
+    });
+    assert.strictEqual(checkExtendsCompliance(text, CURRENT_FILE, ['templates/deploy-template.yml']).compliant, false);
+  });
+
+  it('matches cross-repo entries through the pipeline\'s aliases', () => {
+    const text = pipeline('stages/build.yml@templates');
+    assert.strictEqual(checkExtendsCompliance(text, CURRENT_FILE, ['stages/build.yml@templates']).compliant, true);
+    assert.strictEqual(checkExtendsCompliance(text, CURRENT_FILE, ['/stages/build.yml@templates']).compliant, true);
+    assert.strictEqual(checkExtendsCompliance(text, CURRENT_FILE, ['stages/build.yml']).compliant, false);
+  });
+
+  it('accepts an entry equal to the raw reference even when it cannot be resolved', () => {
+    const text = pipeline('base.yml@security');
+    assert.strictEqual(checkExtendsCompliance(text, CURRENT_FILE, ['base.yml@security']).compliant, true);
+  });
+
+  it('reports pipelines without extends', () => {
+    assert.deepStrictEqual(
+      checkExtendsCompliance('trigger: none\nsteps: []', CURRENT_FILE, ['base.yml']),
+      { compliant: false, extendsRef: null }
+    );
+  });
+});
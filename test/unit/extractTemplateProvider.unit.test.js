@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for extractTemplateProvider.js
+ *
+ * Tests:
+ *   - findExtractableBlock
+ *   - toParameterName
+ *   - findParameterCandidates
+ *   - planExtraction
+ *   - extractTemplateActionProvider.provideCodeActions
+ *
+ * Run with:  npx mocha test/unit/extractTemplateProvider.unit.test.js
+ */
+
+const assert = require('assert');
+const path   = require('path');
+
+// ---------------------------------------------------------------------------
+// Stub the 'vscode' module before requiring any extension code.
+// ---------------------------------------------------------------------------
+const { loadWithVscodeStub } = require('./helpers');
+
+class FakeCodeAction {
+  constructor(title, kind) { this.title = title; this.kind = kind; }
+}
+
+const vscodeStub = {
+  CodeAction: FakeCodeAction,
+  CodeActionKind: { QuickFix: 'quickfix', RefactorExtract: 'refactor.extract' },
+};
+
+const {
+  findExtractableBlock,
+  findParameterCandidates,
+  planExtraction,
+  toParameterName,
+  extractTemplateActionProvider,
+} = loadWithVscodeStub(vscodeStub, () => require('../../extractTemplateProvider'));
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const ROOT = path.join(path.sep, 'repo');
+const PIPELINE_FILE = path.join(ROOT, 'pipelines', 'ci.yml');
+
+/**
+ * Creates a minimal TextDocument-like object from an array of lines.
+ *
+ * @param {string[]} lines
+ * @param {string} [fsPath]
+ */
+function makeDocument(lines, fsPath = PIPELINE_FILE) {
+  const text = lines.join('\n');
+  return {
+    getText: () => text,
+    uri: { fsPath, scheme: 'file', toString: () => fsPath },
+    languageId: 'yaml',
+    lineCount: lines.length,
+    lineAt(index) {
+      return { text: lines[index], lineNumber: index };
+    },
+  };
+}
+
+const PIPELINE = [
+  'parameters:',                                                         // 0
+  '  - name: publish',                                                   // 1
+  '    type: boolean',                                                   // 2
+  '    default: true',                                                   // 3
+  'variables:',                                                          // 4
+  '  buildConfiguration: Release',                                       // 5
+  'jobs:',                                                               // 6
+  '  - job: Build',                                                      // 7
+  '    steps:',                                                          // 8
+  '      - checkout: self',                                              // 9
+  '      - task: DotNetCoreCLI@2',                                       // 10
+  "        displayName: 'Build $(buildConfiguration)'",                  // 11
+  '        inputs:',                                                     // 12
+  '          command: build',                                            // 13
+  "          projects: '**/*.csproj'",                                   // 14
+  '          arguments: -c $(buildConfiguration) -o $(Build.ArtifactStagingDirectory)', // 15
+  '',                                                                    // 16
+  '      - ${{ if eq(parameters.publish, true) }}:',                     // 17
+  '        - template: ../templates/publish.yml',                        // 18
+  '          parameters:',                                               // 19
+  '            artifactName: ${{ variables.artifactName }}',             // 20
+  '      - script: echo done',                                           // 21
+  '  - job: Test',                                                       // 22
+  '    variables:',                                                      // 23
+  '      testFilter: Category=Unit',                                     // 24
+  '    steps:',                                                          // 25
+  '      - script: dotnet test --filter $(testFilter)',                  // 26
+];
+
+// ---------------------------------------------------------------------------
+// findExtractableBlock
+// ---------------------------------------------------------------------------
+
+describe('findExtractableBlock', () => {
+
+  it('finds the steps that start inside the selection', () => {
+    const block = findExtractableBlock(makeDocument(PIPELINE), 10, 20);
+    assert.strictEqual(block.kind, 'steps');
+    assert.deepStrictEqual([block.startLine, block.endLine, block.indent, block.items.length], [10, 20, 6, 2]);
+  });
+
+  it('extends the selection to the end of the last item', () => {
+    const block = findExtractableBlock(makeDocument(PIPELINE), 10, 11);
+    assert.deepStrictEqual([block.startLine, block.endLine], [10, 15]);
+  });
+
+  it('prefers the outermost list when whole jobs are selected', () => {
+    const block = findExtractableBlock(makeDocument(PIPELINE), 22, 26);
+    assert.strictEqual(block.kind, 'jobs');
+    assert.deepStrictEqual([block.startLine, block.endLine, block.indent], [22, 26, 2]);
+  });
+
+  it('returns null when the selection starts inside an item', () => {
+    assert.strictEqual(findExtractableBlock(makeDocument(PIPELINE), 12, 21), null);
+    assert.strictEqual(findExtractableBlock(makeDocument(PIPELINE), 0, 5), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// toParameterName
+// ---------------------------------------------------------------------------
+
+describe('toParameterName', () => {
+
+  it('turns variable names and keys into parameter names', () => {
+    assert.strictEqual(toParameterName('buildConfiguration'), 'buildConfiguration');
+    assert.strictEqual(toParameterName('build.configuration'), 'buildConfiguration');
+    assert.strictEqual(toParameterName('artifact-name'), 'artifactName');
+    assert.strictEqual(toParameterName('2nd'), '_2nd');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// findParameterCandidates
+// ---------------------------------------------------------------------------
+
+describe('findParameterCandidates', () => {
+
+  it('infers parameters from expressions and macros, and offers literals', () => {
+    const doc = makeDocument(PIPELINE);
+    const candidates = findParameterCandidates(doc, findExtractableBlock(doc, 10, 21));
+    assert.deepStrictEqual(
+      candidates.map(c => [c.kind, c.name, c.value, c.type, c.required, c.picked]),
+      [
+        ['parameter', 'publish', '${{ parameters.publish }}', 'boolean', true, true],
+        ['variable', 'artifactName', '${{ variables.artifactName }}', 'string', false, true],
+        ['macro', 'buildConfiguration', '$(buildConfiguration)', 'string', false, true],
+        ['literal', 'command', 'build', 'string', false, false],
+        ['literal', 'projects', "'**/*.csproj'", 'string', false, false],
+        ['literal', 'script', 'echo done', 'string', false, false],
+      ]
+    );
+  });
+
+  it('skips predefined variables and variables the block defines', () => {
+    const doc = makeDocument(PIPELINE);
+    const macros = findParameterCandidates(doc, findExtractableBlock(doc, 22, 26)).filter(c => c.kind === 'macro');
+    assert.deepStrictEqual(macros, []);
+    const steps = findParameterCandidates(doc, findExtractableBlock(doc, 10, 15)).filter(c => c.kind === 'macro');
+    assert.deepStrictEqual(steps.map(c => c.label), ['$(buildConfiguration)']);
+    assert.strictEqual(steps[0].occurrences.length, 2);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// planExtraction
+// ---------------------------------------------------------------------------
+
+describe('planExtraction', () => {
+
+  it('builds the template and the call that replaces the block', () => {
+    const doc = makeDocument(PIPELINE);
+    const block = findExtractableBlock(doc, 10, 21);
+    const candidates = findParameterCandidates(doc, block);
+    const kept = candidates.filter(c => c.picked || c.name === 'projects');
+    const plan = planExtraction(doc, block, kept, path.join(ROOT, 'pipelines', 'templates', 'build-steps.yml'));
+
+    assert.strictEqual(plan.templateRef, 'templates/build-steps.yml');
+    assert.strictEqual(plan.templateText, [
+      'parameters:',
+      '  - name: publish',
+      '    type: boolean',
+      '  - name: artifactName',
+      '    type: string',
+      '  - name: buildConfiguration',
+      '    type: string',
+      '  - name: projects',
+      '    type: string',
+      "    default: '**/*.csproj'",
+      '',
+      'steps:',
+      '  - task: DotNetCoreCLI@2',
+      "    displayName: 'Build ${{ parameters.buildConfiguration }}'",
+      '    inputs:',
+      '      command: build',
+      "      projects: '${{ parameters.projects }}'",
+      '      arguments: -c ${{ parameters.buildConfiguration }} -o $(Build.ArtifactStagingDirectory)',
+      '',
+      '  - ${{ if eq(parameters.publish, true) }}:',
+      '    - template: ../../templates/publish.yml',
+      '      parameters:',
+      '        artifactName: ${{ parameters.artifactName }}',
+      '  - script: echo done',
+      '',
+    ].join('\n'));
+    assert.strictEqual(plan.callText, [
+      '      - template: templates/build-steps.yml',
+      '        parameters:',
+      '          publish: ${{ parameters.publish }}',
+      '          artifactName: ${{ variables.artifactName }}',
+      '          buildConfiguration: $(buildConfiguration)',
+      "          projects: '**/*.csproj'",
+    ].join('\n'));
+  });
+
+  it('leaves out the parameters block when nothing is passed', () => {
+    const doc = makeDocument(PIPELINE);
+    const block = findExtractableBlock(doc, 22, 26);
+    const plan = planExtraction(doc, block, [], path.join(ROOT, 'templates', 'test-job.yml'));
+    assert.strictEqual(plan.callText, '  - template: ../templates/test-job.yml');
+    assert.ok(plan.templateText.startsWith('jobs:\n  - job: Test\n    variables:\n'));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// extractTemplateActionProvider
+// ---------------------------------------------------------------------------
+
+describe('extractTemplateActionProvider.provideCodeActions', () => {
+
+  const range = (start, end) => ({ start: { line: start }, end: { line: end }, isEmpty: false });
+
+  it('offers the refactoring on a selection of steps', () => {
+    const actions = extractTemplateActionProvider.provideCodeActions(makeDocument(PIPELINE), range(10, 21));
+    assert.strictEqual(actions.length, 1);
+    assert.strictEqual(actions[0].title, 'Extract steps to template…');
+    assert.strictEqual(actions[0].kind, 'refactor.extract');
+    assert.deepStrictEqual(actions[0].command.arguments.slice(1), [10, 21]);
+  });
+
+  it('offers nothing for empty selections or selections outside a list', () => {
+    const doc = makeDocument(PIPELINE);
+    assert.deepStrictEqual(extractTemplateActionProvider.provideCodeActions(doc, { ...range(10, 10), isEmpty: true }), []);
+    assert.deepStrictEqual(extractTemplateActionProvider.provideCodeActions(doc, range(0, 3)), []);
+  });
+});
@@ -19,7 +19,14 @@ const {
   isPipelineRoot,
   extractTemplateRefs,
   buildWorkspaceGraph,
+  buildFileGraph,
+  collectCallArguments,
+  markNonCompliantPipelines,
+  markDeprecatedTemplates,
+  buildExecutionGraph,
 } = require('../../graphDataBuilder');
+const { WorkspaceIndex } = require('../../workspaceIndex');
+const fileCache = require('../../fileCache');
 
 // ---------------------------------------------------------------------------
 // Helpers — build a temporary directory tree for tests
@@ -107,6 +114,10 @@ describe('isPipelineRoot()', () => {
     assert.strictEqual(isPipelineRoot('pr:\n  branches:\n    include: [main]'), true);
   });
 
+  it('returns true for a file with extends:', () => {
+    assert.strictEqual(isPipelineRoot('extends:\n  template: base.yml'), true);
+  });
+
   it('returns false for a plain template file', () => {
     assert.strictEqual(isPipelineRoot('parameters:\n  - name: foo\n    type: string'), false);
   });
@@ -304,3 +315,437 @@ describe('buildWorkspaceGraph()', () => {
     assert.strictEqual(build.requiredCount, 1);
   });
 });
+
+// ---------------------------------------------------------------------------
+// Dynamic template references
+// ---------------------------------------------------------------------------
+describe('dynamic template references', () => {
+  let root;
+  afterEach(() => root && rmrf(root));
+
+  /** A language-matrix workspace: build.yml picks steps/<lang>-build.yml. */
+  function matrixWorkspace() {
+    return makeTempWorkspace({
+      'pipeline.yml': [
+        'trigger: [main]',
+        'steps:',
+        '  - template: templates/build.yml',
+        '    parameters:',
+        '      lang: node',
+      ].join('\n'),
+      'templates/build.yml': [
+        'parameters:',
+        '  - name: lang',
+        '    type: string',
+        '    default: dotnet',
+        'steps:',
+        '  - template: ../steps/${{ parameters.lang }}-build.yml',
+      ].join('\n'),
+      'steps/dotnet-build.yml': 'steps: []',
+      'steps/node-build.yml': 'steps: []',
+      'steps/python-build.yml': 'steps: []',
+    });
+  }
+
+  it('extractTemplateRefs expands a dynamic reference into candidates', () => {
+    root = matrixWorkspace();
+    const refs = extractTemplateRefs(path.join(root, 'templates', 'build.yml'), { lang: ['node'] });
+    assert.deepStrictEqual(refs.map(r => r.templateRef), ['../steps/dotnet-build.yml', '../steps/node-build.yml']);
+    assert.strictEqual(refs[1].dynamicRef, '../steps/${{ parameters.lang }}-build.yml');
+    assert.strictEqual(refs[1].bindings, 'lang=node');
+    assert.strictEqual(refs[1].line, 5);
+  });
+
+  it('extractTemplateRefs follows changes to the file and to the call arguments', () => {
+    root = matrixWorkspace();
+    const build = path.join(root, 'templates', 'build.yml');
+    assert.deepStrictEqual(extractTemplateRefs(build, { lang: ['python'] }).map(r => r.templateRef),
+      ['../steps/dotnet-build.yml', '../steps/python-build.yml']);
+
+    fs.writeFileSync(build, fs.readFileSync(build, 'utf8').replace('default: dotnet', 'default: node'));
+    fileCache.invalidate(build);
+    assert.deepStrictEqual(extractTemplateRefs(build).map(r => r.templateRef), ['../steps/node-build.yml']);
+  });
+
+  it('extractTemplateRefs follows changes to an included variable template', () => {
+    root = makeTempWorkspace({
+      'pipeline.yml': [
+        'variables:',
+        '  - template: vars.yml',
+        'steps:',
+        '  - template: steps/${{ variables.tool }}.yml',
+      ].join('\n'),
+      'vars.yml': 'variables:\n  tool: npm\n',
+    });
+    const pipeline = path.join(root, 'pipeline.yml');
+    const vars = path.join(root, 'vars.yml');
+    assert.deepStrictEqual(extractTemplateRefs(pipeline).map(r => r.templateRef), ['vars.yml', 'steps/npm.yml']);
+
+    fs.writeFileSync(vars, 'variables:\n  tool: yarn\n');
+    fileCache.invalidate(vars);
+    assert.deepStrictEqual(extractTemplateRefs(pipeline).map(r => r.templateRef), ['vars.yml', 'steps/yarn.yml']);
+  });
+
+  it('collectCallArguments collects nothing when no template has dynamic references', () => {
+    root = makeTempWorkspace({
+      'pipeline.yml': 'steps:\n  - template: build.yml\n    parameters:\n      lang: node\n',
+      'build.yml': 'steps: []',
+    });
+    assert.strictEqual(collectCallArguments(collectYamlFiles(root)).size, 0);
+  });
+
+  it('collectCallArguments gathers literal arguments for templates with dynamic references', () => {
+    root = matrixWorkspace();
+    const args = collectCallArguments(collectYamlFiles(root));
+    assert.deepStrictEqual(args.get(path.join(root, 'templates', 'build.yml')), { lang: ['node'] });
+    assert.strictEqual(args.size, 1);
+  });
+
+  it('buildWorkspaceGraph adds a dotted, labelled edge per candidate', () => {
+    root = matrixWorkspace();
+    const build = path.join(root, 'templates', 'build.yml');
+    const { edges } = buildWorkspaceGraph(root);
+    const dynamic = edges.filter(e => e.source === build);
+    assert.deepStrictEqual(dynamic.map(e => path.basename(e.target)).sort(), ['dotnet-build.yml', 'node-build.yml']);
+    assert.ok(dynamic.every(e => e.dynamic));
+    assert.ok(dynamic.some(e => e.label === 'lang=node'));
+  });
+
+  it('buildFileGraph follows candidates downstream and upstream', () => {
+    root = matrixWorkspace();
+    const build = path.join(root, 'templates', 'build.yml');
+    const { edges } = buildFileGraph(build, root, 1);
+    const down = edges.filter(e => e.direction === 'downstream');
+    assert.strictEqual(down.length, 2);
+    assert.ok(down.every(e => e.dynamic));
+
+    const nodeSteps = path.join(root, 'steps', 'node-build.yml');
+    const up = buildFileGraph(nodeSteps, root, 1).edges.filter(e => e.direction === 'upstream');
+    assert.deepStrictEqual(up.map(e => e.source), [build]);
+    assert.strictEqual(up[0].dynamic, true);
+  });
+
+  it('WorkspaceIndex resolves candidates using its callers\' arguments', () => {
+    root = matrixWorkspace();
+    const index = new WorkspaceIndex();
+    index.build(root);
+    const build = path.join(root, 'templates', 'build.yml');
+    assert.deepStrictEqual(index.getCallArguments(build), { lang: ['node'] });
+    assert.deepStrictEqual(
+      [...index.getCallees(build)].map(f => path.basename(f)).sort(),
+      ['dotnet-build.yml', 'node-build.yml']
+    );
+    assert.ok(index.getCallers(path.join(root, 'steps', 'node-build.yml')).has(build));
+    assert.strictEqual(index.getCallers(path.join(root, 'steps', 'python-build.yml')).size, 0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// extends: template:
+// ---------------------------------------------------------------------------
+describe('extends templates', () => {
+  let root;
+  afterEach(() => root && rmrf(root));
+
+  /** Two pipelines: one extends the secure base, the other calls a step template. */
+  function extendsWorkspace() {
+    return makeTempWorkspace({
+      '.git/HEAD': 'ref: refs/heads/main',
+      'pipelines/secure.yml': [
+        'trigger: [main]',
+        'extends:',
+        '  template: ../templates/secure-base.yml',
+        '  parameters:',
+        '    stages: []',
+      ].join('\n'),
+      'pipelines/legacy.yml': [
+        'trigger: [main]',
+        'steps:',
+        '  - template: ../templates/build.yml',
+      ].join('\n'),
+      'templates/secure-base.yml': [
+        'parameters:',
+        '  - name: stages',
+        '    type: stageList',
+        'stages: ${{ parameters.stages }}',
+      ].join('\n'),
+      'templates/build.yml': 'steps: []',
+    });
+  }
+
+  it('extractTemplateRefs marks the extends reference', () => {
+    root = extendsWorkspace();
+    const refs = extractTemplateRefs(path.join(root, 'pipelines', 'secure.yml'));
+    assert.deepStrictEqual(refs, [{ templateRef: '../templates/secure-base.yml', line: 2, kind: 'extends' }]);
+  });
+
+  it('buildWorkspaceGraph gives extends edges their own kind', () => {
+    root = extendsWorkspace();
+    const { edges } = buildWorkspaceGraph(root);
+    const secure = edges.find(e => e.source === path.join(root, 'pipelines', 'secure.yml'));
+    const legacy = edges.find(e => e.source === path.join(root, 'pipelines', 'legacy.yml'));
+    assert.strictEqual(secure.kind, 'extends');
+    assert.strictEqual(legacy.kind, undefined);
+  });
+
+  it('buildFileGraph marks extends edges downstream and upstream', () => {
+    root = extendsWorkspace();
+    const base = path.join(root, 'templates', 'secure-base.yml');
+    const down = buildFileGraph(path.join(root, 'pipelines', 'secure.yml'), root, 1).edges;
+    assert.deepStrictEqual(down.map(e => [e.direction, e.kind]), [['downstream', 'extends']]);
+    const up = buildFileGraph(base, root, 1).edges;
+    assert.deepStrictEqual(up.map(e => [e.direction, e.kind]), [['upstream', 'extends']]);
+  });
+
+  it('markNonCompliantPipelines flags pipelines that do not extend an approved template', () => {
+    root = extendsWorkspace();
+    const { nodes } = buildWorkspaceGraph(root);
+    markNonCompliantPipelines(nodes, ['templates/secure-base.yml']);
+    const flagged = nodes.filter(n => n.nonCompliant).map(n => n.relativePath);
+    assert.deepStrictEqual(flagged, ['pipelines/legacy.yml']);
+  });
+
+  it('markNonCompliantPipelines is a no-op without approved templates', () => {
+    root = extendsWorkspace();
+    const { nodes } = buildWorkspaceGraph(root);
+    markNonCompliantPipelines(nodes, []);
+    assert.ok(nodes.every(n => !n.nonCompliant));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Deprecated templates
+// ---------------------------------------------------------------------------
+
+describe('markDeprecatedTemplates', () => {
+  let root;
+  afterEach(() => root && rmrf(root));
+
+  it('flags templates deprecated by a comment tag or a sidecar file', () => {
+    root = makeTempWorkspace({
+      '.git/HEAD': 'ref: refs/heads/main',
+      'pipeline.yml': [
+        'trigger: [main]',
+        'steps:',
+        '  - template: templates/build.yml',
+        '  - template: templates/test.yml',
+        '  - template: templates/build-v2.yml',
+      ].join('\n'),
+      'templates/build.yml': '# @deprecated Slow and unmaintained.\n# @replacement build-v2.yml\nsteps: []',
+      'templates/test.yml': 'steps: []',
+      'templates/test.meta.json': '{ "deprecated": true }',
+      'templates/build-v2.yml': 'steps: []',
+    });
+    const { nodes } = buildWorkspaceGraph(root);
+    markDeprecatedTemplates(nodes);
+    const flagged = nodes.filter(n => n.deprecated)
+      .map(n => [n.relativePath, n.deprecationReason, n.replacement]);
+    assert.deepStrictEqual(flagged, [
+      ['templates/build.yml', 'Slow and unmaintained.', 'build-v2.yml'],
+      ['templates/test.yml', undefined, undefined],
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Conditional template calls (${{ if }} / ${{ else }})
+// ---------------------------------------------------------------------------
+
+describe('conditional template calls', () => {
+  let root;
+  afterEach(() => root && rmrf(root));
+
+  /** A pipeline that calls approve.yml only for prod and build.yml both ways. */
+  function conditionalWorkspace() {
+    return makeTempWorkspace({
+      '.git/HEAD': 'ref: refs/heads/main',
+      'pipeline.yml': [
+        'trigger: [main]',
+        'steps:',
+        "  - ${{ if eq(parameters.env, 'prod') }}:",
+        '    - template: approve.yml',
+        '    - template: build.yml',
+        '  - ${{ each s in parameters.suites }}:',
+        '    - template: test.yml',
+        '  - template: build.yml',
+      ].join('\n'),
+      'approve.yml': 'steps: []',
+      'build.yml': 'steps: []',
+      'test.yml': 'steps: []',
+    });
+  }
+
+  it('extractTemplateRefs carries the enclosing directives', () => {
+    root = conditionalWorkspace();
+    const refs = extractTemplateRefs(path.join(root, 'pipeline.yml'));
+    assert.deepStrictEqual(refs.map(r => [r.templateRef, r.directives]), [
+      ['approve.yml', ["if eq(parameters.env, 'prod')"]],
+      ['build.yml', ["if eq(parameters.env, 'prod')"]],
+      ['test.yml', ['each s in parameters.suites']],
+      ['build.yml', undefined],
+    ]);
+  });
+
+  it('buildWorkspaceGraph marks edges that are only inserted conditionally', () => {
+    root = conditionalWorkspace();
+    const { edges } = buildWorkspaceGraph(root);
+    const conditionOf = (name) => edges.find(e => e.target === path.join(root, name)).condition;
+    assert.strictEqual(conditionOf('approve.yml'), "if eq(parameters.env, 'prod')");
+    assert.strictEqual(conditionOf('build.yml'), undefined);  // also called unconditionally
+    assert.strictEqual(conditionOf('test.yml'), undefined);   // loops are not conditions
+  });
+
+  it('buildFileGraph marks conditional edges downstream and upstream', () => {
+    root = conditionalWorkspace();
+    const down = buildFileGraph(path.join(root, 'pipeline.yml'), root, 1).edges;
+    assert.deepStrictEqual(
+      down.map(e => [path.basename(e.target), e.condition]),
+      [['approve.yml', "if eq(parameters.env, 'prod')"], ['build.yml', undefined], ['test.yml', undefined]]
+    );
+    const up = buildFileGraph(path.join(root, 'approve.yml'), root, 1).edges;
+    assert.deepStrictEqual(up.map(e => [e.direction, e.condition]), [['upstream', "if eq(parameters.env, 'prod')"]]);
+    const upBuild = buildFileGraph(path.join(root, 'build.yml'), root, 1).edges;
+    assert.deepStrictEqual(upBuild.map(e => [e.direction, e.condition]), [['upstream', undefined]]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// buildExecutionGraph
+// ---------------------------------------------------------------------------
+describe('buildExecutionGraph()', () => {
+  let root;
+  afterEach(() => root && rmrf(root));
+
+  function stagesWorkspace() {
+    return makeTempWorkspace({
+      'pipeline.yml': [
+        'trigger: [main]',
+        'parameters:',
+        '  - name: withDocs',
+        '    type: boolean',
+        '    default: false',
+        'stages:',
+        '  - stage: Build',
+        '    jobs:',
+        '      - job: Compile',
+        '      - job: Test',
+        '        dependsOn: Compile',
+        '      - job: Lint',
+        '  - stage: Docs',
+        '    dependsOn: []',
+        '    jobs:',
+        '      - job: Publish',
+        '  - template: templates/deploy.yml',
+        '    parameters:',
+        '      env: prod',
+      ].join('\n'),
+      'templates/deploy.yml': [
+        'parameters:',
+        '  - name: env',
+        '    type: string',
+        'stages:',
+        '  - stage: Deploy_${{ parameters.env }}',
+        '    displayName: Deploy to ${{ parameters.env }}',
+        "    condition: and(succeeded(), eq(variables['Build.SourceBranch'], 'refs/heads/main'))",
+        '    jobs:',
+        '      - deployment: Release',
+        '        environment: ${{ parameters.env }}',
+      ].join('\n'),
+    });
+  }
+
+  it('returns the stages and jobs of the expanded pipeline', () => {
+    root = stagesWorkspace();
+    const { nodes } = buildExecutionGraph(path.join(root, 'pipeline.yml'), root);
+    assert.deepStrictEqual(
+      nodes.map(n => [n.kind, n.name, n.stage]),
+      [
+        ['stage', 'Build', null],
+        ['stage', 'Docs', null],
+        ['stage', 'Deploy_prod', null],
+        ['job', 'Compile', 'Build'],
+        ['job', 'Test', 'Build'],
+        ['job', 'Lint', 'Build'],
+        ['job', 'Publish', 'Docs'],
+        ['deployment', 'Release', 'Deploy_prod'],
+      ]
+    );
+  });
+
+  it('annotates nodes with their condition, template and source line', () => {
+    root = stagesWorkspace();
+    const { nodes } = buildExecutionGraph(path.join(root, 'pipeline.yml'), root);
+    const deploy = nodes.find(n => n.name === 'Deploy_prod');
+    assert.strictEqual(deploy.label, 'Deploy to prod');
+    assert.strictEqual(deploy.condition, "and(succeeded(), eq(variables['Build.SourceBranch'], 'refs/heads/main'))");
+    assert.strictEqual(deploy.template, 'templates/deploy.yml');
+    assert.strictEqual(deploy.filePath, path.join(root, 'templates', 'deploy.yml'));
+    assert.strictEqual(deploy.line, 4);
+
+    const test = nodes.find(n => n.name === 'Test');
+    assert.strictEqual(test.condition, null);
+    assert.strictEqual(test.template, null);
+    assert.strictEqual(test.filePath, path.join(root, 'pipeline.yml'));
+    assert.strictEqual(test.line, 9);
+  });
+
+  it('links dependsOn, the implicit previous-stage dependency and the first jobs of a stage', () => {
+    root = stagesWorkspace();
+    const { nodes, edges } = buildExecutionGraph(path.join(root, 'pipeline.yml'), root);
+    const name = (id) => nodes.find(n => n.id === id).name;
+    assert.deepStrictEqual(
+      edges.map(e => [name(e.source), name(e.target), e.kind, !!e.implicit]),
+      [
+        ['Docs', 'Deploy_prod', 'dependsOn', true],
+        ['Compile', 'Test', 'dependsOn', false],
+        ['Build', 'Compile', 'contains', false],
+        ['Build', 'Lint', 'contains', false],
+        ['Docs', 'Publish', 'contains', false],
+        ['Deploy_prod', 'Release', 'contains', false],
+      ]
+    );
+  });
+
+  it('orders nodes in layers by execution', () => {
+    root = stagesWorkspace();
+    const { nodes } = buildExecutionGraph(path.join(root, 'pipeline.yml'), root);
+    const layer = (n) => nodes.find(x => x.name === n).layer;
+    // Build and Docs start together; their jobs run before Deploy_prod
+    assert.deepStrictEqual(
+      ['Build', 'Docs', 'Compile', 'Lint', 'Publish', 'Test', 'Deploy_prod', 'Release'].map(layer),
+      [0, 0, 1, 1, 1, 2, 3, 4]
+    );
+  });
+
+  it('marks stages and jobs inserted by an undecided ${{ if }}', () => {
+    root = makeTempWorkspace({
+      'pipeline.yml': [
+        'parameters:',
+        '  - name: env',
+        '    type: string',
+        'jobs:',
+        '  - job: Build',
+        "  - ${{ if eq(parameters.env, 'prod') }}:",
+        '    - job: Approve',
+        '      dependsOn: [Build]',
+        '      condition: succeeded()',
+      ].join('\n'),
+    });
+    const { nodes, edges } = buildExecutionGraph(path.join(root, 'pipeline.yml'), root);
+    assert.deepStrictEqual(
+      nodes.map(n => [n.name, n.stage, n.ifCondition, n.condition, n.layer]),
+      [
+        ['Build', null, null, null, 0],
+        ['Approve', null, "if eq(parameters.env, 'prod')", 'succeeded()', 1],
+      ]
+    );
+    assert.deepStrictEqual(edges, [{ source: 'job:0', target: 'job:1', kind: 'dependsOn' }]);
+  });
+
+  it('returns an empty graph for a file without stages or jobs', () => {
+    root = makeTempWorkspace({ 'steps.yml': 'steps:\n  - script: echo hi' });
+    const graph = buildExecutionGraph(path.join(root, 'steps.yml'), root);
+    assert.deepStrictEqual([graph.nodes, graph.edges], [[], []]);
+    assert.deepStrictEqual(buildExecutionGraph(path.join(root, 'missing.yml'), root).nodes, []);
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Helpers shared by the unit tests:
+ *   - makeRepo: a temporary repository built from a map of files
+ *   - loadWithVscodeStub: loads extension modules against a 'vscode' stub
+ *
+ * Not a test file itself — mocha only runs `*.test.js`.
+ */
+
+const path   = require('path');
+const fs     = require('fs');
+const os     = require('os');
+const Module = require('module');
+
+/**
+ * Writes `files` into a fresh temp repository (with a `.git` folder, so
+ * findRepoRoot() stops there) and returns its root.
+ *
+ * @param {Record<string, string|string[]>} files  relative path → content or lines
+ * @returns {string}
+ */
+function makeRepo(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'atn-test-'));
+  fs.mkdirSync(path.join(root, '.git'));
+  for (const [rel, content] of Object.entries(files)) {
+    const abs = path.join(root, rel);
+    fs.mkdirSync(path.dirname(abs), { recursive: true });
+    fs.writeFileSync(abs, Array.isArray(content) ? content.join('\n') : content, 'utf8');
+  }
+  return root;
+}
+
+/**
+ * Runs `load` — which requires the modules under test — with
+ * `require('vscode')` answering `stub`, and returns its result.
+ *
+ * Modules first loaded by `load` are dropped from the require cache
+ * afterwards, so they do not stay cached with this stub for the test files
+ * that run later.
+ *
+ * @template T
+ * @param {object} stub
+ * @param {() => T} load
+ * @returns {T}
+ */
+function loadWithVscodeStub(stub, load) {
+  const cached = new Set(Object.keys(require.cache));
+  const orig = Module._load;
+  // eslint-disable-next-line no-unused-vars
+  Module._load = function (request) {
+    if (request === 'vscode') return stub;
+    return orig.apply(this, arguments);
+  };
+  try {
+    return load();
+  } finally {
+    Module._load = orig;
+    for (const key of Object.keys(require.cache)) {
+      if (!cached.has(key)) delete require.cache[key];
+    }
+  }
+}
+
+module.exports = {
+  makeRepo,
+  loadWithVscodeStub,
+};
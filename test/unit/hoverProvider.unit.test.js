@@ -39,20 +39,33 @@ const _orig  = Module._load;
 Module._load  = function (request) {
   if (request === 'vscode') {
     return {
-      MarkdownString: class { appendMarkdown() {} },
-      Range: class {},
-      Hover:  class {},
+      MarkdownString: class { constructor() { this.value = ''; } appendMarkdown(s) { this.value += s; } },
+      Range: class { constructor(...args) { this.args = args; } },
+      Hover:  class { constructor(contents, range) { this.contents = contents; this.range = range; } },
+      Location: class { constructor(uri, pos) { this.uri = uri; this.pos = pos; } },
+      Position: class { constructor(l, c) { this.line = l; this.character = c; } },
+      Uri: { file: (fsPath) => ({ fsPath }) },
       workspace: { getConfiguration: () => ({ get: () => '#c92d35' }) },
     };
   }
   return _orig.apply(this, arguments);
 };
 
-const { parseParameters, parseRepositoryAliases, resolveTemplatePath, parseVariables, parsePassedParameters, findOwningTemplateLine } =
-  require('../../hoverProvider');
+// Load a fresh copy so the stub above is used even when another test file
+// already required hoverProvider with its own vscode stub.
+delete require.cache[require.resolve('../../hoverProvider')];
+const {
+  hoverProvider, definitionProvider, parseParameters, parseRepositoryAliases, resolveTemplatePath, parseVariables,
+  parsePassedParameters, collectVariables, findVariableScopes, variableScopeFinder, resolveVariable, findOwningTemplateLine, findTemplateReferences, buildDefaultContext,
+  isInTemplateParameters, parseDirectiveKey, findRuntimeSetters,
+  parseDocComment, parseTemplateDoc, buildHoverMarkdown,
+} = require('../../hoverProvider');
+const { UNKNOWN } = require('../../templateExpression');
 
 Module._load = _orig; // restore immediately after require
 
+const { makeRepo } = require('./helpers');
+
 // ---------------------------------------------------------------------------
 // Fixture paths
 // ---------------------------------------------------------------------------
@@ -729,4 +742,786 @@ describe('findOwningTemplateLine', () => {
     ];
     assert.strictEqual(findOwningTemplateLine(lines, 3), 0);
   });
+
+  it('finds the template of an extends: block', () => {
+    const lines = [
+      'extends:',
+      '  template: templates/base.yml',
+      '  parameters:',
+      '    environment: prod',   // ← cursor
+    ];
+    assert.strictEqual(findOwningTemplateLine(lines, 3), 1);
+  });
+
+  it('finds the template of an extends: block whose parameters come first', () => {
+    const lines = [
+      'extends:',
+      '  parameters:',
+      '    environment: prod',   // ← cursor
+      '  template: templates/base.yml',
+    ];
+    assert.strictEqual(findOwningTemplateLine(lines, 2), 3);
+  });
+
+  it('walks through ${{ if }} / ${{ else }} blocks inside parameters:', () => {
+    const lines = [
+      '- ${{ if eq(parameters.deploy, true) }}:',
+      '  - template: templates/deploy.yml',
+      '    parameters:',
+      "      ${{ if eq(variables['Build.SourceBranchName'], 'main') }}:",
+      '        environment: prod',   // ← cursor
+      '      ${{ else }}:',
+      '        environment: dev',    // ← cursor
+    ];
+    assert.strictEqual(findOwningTemplateLine(lines, 4), 1);
+    assert.strictEqual(findOwningTemplateLine(lines, 6), 1);
+    assert.strictEqual(isInTemplateParameters(lines, 6, 1), true);
+  });
+
+  it('does not treat steps under a directive as template parameters', () => {
+    const lines = [
+      '- template: templates/build.yml',
+      '  parameters:',
+      '    project: foo',
+      '- ${{ if true }}:',
+      '  - script: echo',   // ← cursor
+    ];
+    assert.strictEqual(findOwningTemplateLine(lines, 4), -1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// isInTemplateParameters
+// ---------------------------------------------------------------------------
+
+describe('isInTemplateParameters', () => {
+
+  const lines = [
+    'extends:',
+    '  template: base.yml',
+    '  parameters:',
+    '    stages:',
+    '      - stage: Build',
+    '  other: x',
+  ];
+
+  it('accepts the parameters line and keys nested under it', () => {
+    assert.strictEqual(isInTemplateParameters(lines, 2, 1), true);
+    assert.strictEqual(isInTemplateParameters(lines, 4, 1), true);
+  });
+
+  it('rejects siblings of the parameters block', () => {
+    assert.strictEqual(isInTemplateParameters(lines, 5, 1), false);
+    assert.strictEqual(isInTemplateParameters(lines, 1, 1), false);
+  });
+
+  it('pairs a parameters: key with the template: of the same mapping only', () => {
+    assert.strictEqual(isInTemplateParameters(['- template: a.yml', '  parameters:'], 1, 0), true);
+    assert.strictEqual(isInTemplateParameters(['extends:', '  parameters:', '    x: 1', '  template: a.yml'], 1, 3), true);
+    assert.strictEqual(isInTemplateParameters(['- template: a.yml', '- script: echo', '  parameters:'], 2, 0), false);
+  });
+
+  it('reads flow mappings and quoted keys', () => {
+    const flow = [
+      'steps:',
+      '- { template: a.yml, parameters: {',
+      '    x: 1 } }',
+      '- script: echo',
+    ];
+    assert.strictEqual(isInTemplateParameters(flow, 1, 1), true);
+    assert.strictEqual(isInTemplateParameters(flow, 2, 1), true);
+    assert.strictEqual(isInTemplateParameters(flow, 3, 1), false);
+
+    const quoted = [
+      '- "template": a.yml',
+      "  'parameters':",
+      '    x: 1',
+    ];
+    assert.strictEqual(findOwningTemplateLine(quoted, 2), 0);
+    assert.strictEqual(isInTemplateParameters(quoted, 2, 0), true);
+  });
+
+  it('gives the parameters of a nested call to that call', () => {
+    const nested = [
+      'extends:',
+      '  template: base.yml',
+      '  parameters:',
+      '    steps:',
+      '      - template: step.yml',
+      '        parameters:',
+      '          y: 2',
+    ];
+    assert.strictEqual(findOwningTemplateLine(nested, 4), 1);
+    assert.strictEqual(findOwningTemplateLine(nested, 6), 4);
+    assert.strictEqual(isInTemplateParameters(nested, 6, 1), false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// YAML syntax the line scanners used to miss
+// ---------------------------------------------------------------------------
+
+describe('parseParameters — full YAML syntax', () => {
+
+  it('parses flow-style parameter entries', () => {
+    const yaml = 'parameters: [ {name: a, type: boolean, default: true}, {name: b} ]\n';
+    const params = parseParameters(yaml);
+    assert.deepStrictEqual(params.map(p => [p.name, p.type, p.default, p.required]), [
+      ['a', 'boolean', 'true', false],
+      ['b', 'string', undefined, true],
+    ]);
+  });
+
+  it('reads block-scalar defaults', () => {
+    const yaml = [
+      'parameters:',
+      '  - name: script',
+      '    default: >-',
+      '      echo one',
+      '      echo two',
+      '  - name: next',
+    ].join('\n');
+    const params = parseParameters(yaml);
+    assert.strictEqual(params[0].default, 'echo one echo two');
+    assert.strictEqual(params[1].name, 'next');
+  });
+
+  it('resolves anchored defaults and renders collections in flow style', () => {
+    const yaml = [
+      'parameters:',
+      '  - name: pools',
+      '    type: object',
+      '    default: &pools',
+      '      - ubuntu-latest',
+      '      - windows-latest',
+      '  - name: samePools',
+      '    type: object',
+      '    default: *pools',
+    ].join('\n');
+    const params = parseParameters(yaml);
+    assert.strictEqual(params[0].default, '[ubuntu-latest, windows-latest]');
+    assert.strictEqual(params[1].default, '[ubuntu-latest, windows-latest]');
+    assert.strictEqual(params[1].defaultNode.kind, 'seq');
+  });
+
+  it('unquotes quoted names and keys', () => {
+    const params = parseParameters('parameters:\n  - "name": \'quoted\'\n');
+    assert.strictEqual(params[0].name, 'quoted');
+  });
+});
+
+describe('parseParameters — values', () => {
+
+  it('captures block and flow values lists unquoted', () => {
+    const yaml = [
+      'parameters:',
+      '  - name: environment',
+      '    values:',
+      '      - dev',
+      "      - 'prod'",
+      '  - name: size',
+      '    type: number',
+      '    default: 1',
+      '    values: [1, 2, 4]',
+    ].join('\n');
+    const params = parseParameters(yaml);
+    assert.deepStrictEqual(params[0].values, ['dev', 'prod']);
+    assert.deepStrictEqual(params[1].values, ['1', '2', '4']);
+  });
+
+  it('leaves values undefined when the parameter has none', () => {
+    const [p] = parseParameters('parameters:\n  - name: a\n');
+    assert.strictEqual(p.values, undefined);
+  });
+});
+
+describe('documentation comments', () => {
+
+  const TEMPLATE = [
+    '# Builds and tests a .NET project.',
+    '#',
+    '# Publishes the build output as a pipeline artifact.',
+    '# @example',
+    '#   - template: build.yml',
+    '#     parameters:',
+    '#       project: src/App.csproj',
+    '',
+    'parameters:',
+    '  # Path of the project, relative to the repository root.',
+    '  # Wildcards are allowed.',
+    '  - name: project',
+    '    type: string',
+    '',
+    '  - name: configuration # Build configuration',
+    '    default: Release',
+    '    # not the doc of runTests: indented under configuration',
+    '  - name: runTests',
+    '    type: boolean',
+    '    default: true',
+    '  # @deprecated Use `configuration` instead.',
+    '  - name: buildConfiguration',
+    "    default: ''",
+    'steps: []',
+  ].join('\n');
+
+  it('reads the comment above or beside each parameter', () => {
+    const params = parseParameters(TEMPLATE);
+    assert.deepStrictEqual(params.map(p => p.doc), [
+      { description: 'Path of the project, relative to the repository root.\nWildcards are allowed.', deprecated: undefined, replacement: undefined, examples: [] },
+      { description: 'Build configuration', deprecated: undefined, replacement: undefined, examples: [] },
+      undefined,
+      { description: '', deprecated: 'Use `configuration` instead.', replacement: undefined, examples: [] },
+    ]);
+  });
+
+  it('reads the template header comment with its tags', () => {
+    assert.deepStrictEqual(parseTemplateDoc(TEMPLATE), {
+      description: 'Builds and tests a .NET project.\n\nPublishes the build output as a pipeline artifact.',
+      deprecated: undefined,
+      replacement: undefined,
+      examples: ['- template: build.yml\n  parameters:\n    project: src/App.csproj'],
+    });
+    assert.strictEqual(parseTemplateDoc('parameters: []\n'), undefined);
+  });
+
+  it('continues tags over the following lines and ignores rulers', () => {
+    assert.deepStrictEqual(parseDocComment(['@deprecated Moved to', 'v2/build.yml.', '@example', 'a: 1', '@example b: 2']), {
+      description: '',
+      deprecated: 'Moved to v2/build.yml.',
+      replacement: undefined,
+      examples: ['a: 1', 'b: 2'],
+    });
+    assert.deepStrictEqual(parseDocComment(['@deprecated']).deprecated, '');
+    assert.deepStrictEqual(parseDocComment(['Old build.', '@deprecated Slow.', '@replacement', '  v2/build.yml']), {
+      description: 'Old build.',
+      deprecated: 'Slow.',
+      replacement: 'v2/build.yml',
+      examples: [],
+    });
+    assert.strictEqual(parseDocComment(['', '']), undefined);
+    assert.strictEqual(parseTemplateDoc('# ------\n# Build\n# ======\n# yaml-language-server: $schema=x\nsteps: []').description, 'Build');
+  });
+
+  it('renders the docs in the template hover', () => {
+    const params = parseParameters(TEMPLATE);
+    const md = buildHoverMarkdown('build.yml', params, '#c92d35', null, null, parseTemplateDoc(TEMPLATE)).value;
+    assert.ok(md.includes('Builds and tests a .NET project.\n\nPublishes'), md);
+    assert.ok(md.includes('```yaml\n- template: build.yml\n'), md);
+    assert.ok(md.includes('\n  Path of the project, relative to the repository root.  \n  Wildcards are allowed.\n'), md);
+    assert.ok(md.includes('- ~~**buildConfiguration**~~: `string`'), md);
+    assert.ok(md.includes('  **⚠️ Deprecated** — Use `configuration` instead.\n'), md);
+    const replaced = parseTemplateDoc('# @deprecated Slow.\n# @replacement v2/build.yml\nsteps: []');
+    const replacedMd = buildHoverMarkdown('build.yml', [], '#c92d35', null, null, replaced).value;
+    assert.ok(replacedMd.includes('**⚠️ Deprecated** — Slow. Replacement: `v2/build.yml`'), replacedMd);
+  });
+});
+
+describe('parsePassedParameters — full YAML syntax', () => {
+
+  it('reads parameters passed as a flow mapping', () => {
+    const lines = ['- template: build.yml', '  parameters: { a: 1, b: [x] }'];
+    const result = parsePassedParameters(lines, 0);
+    assert.strictEqual(result.a.value, '1');
+    assert.strictEqual(result.b.value, '[x]');
+  });
+
+  it('returns "" plus the parsed node for block collection values', () => {
+    const lines = [
+      '- template: build.yml',
+      '  parameters:',
+      '    steps:',
+      '      - script: echo',
+    ];
+    const result = parsePassedParameters(lines, 0);
+    assert.strictEqual(result.steps.value, '');
+    assert.strictEqual(result.steps.node.kind, 'seq');
+  });
+
+  it('finds parameters of a flow-style template call', () => {
+    const lines = ['steps:', '- { template: build.yml, parameters: { a: 1 } }'];
+    assert.strictEqual(parsePassedParameters(lines, 1).a.value, '1');
+  });
+
+  it('reads each call of a file and follows edits to the same text', () => {
+    const lines = ['- template: a.yml', '  parameters: { x: 1 }', '- template: b.yml', '  parameters: { y: 2 }'];
+    assert.deepStrictEqual(Object.keys(parsePassedParameters(lines, 0)), ['x']);
+    assert.deepStrictEqual(Object.keys(parsePassedParameters(lines, 2)), ['y']);
+    assert.deepStrictEqual(Object.keys(parsePassedParameters([...lines.slice(0, 3), '  parameters: { z: 3 }'], 2)), ['z']);
+  });
+});
+
+describe('parsePassedParameters — directives', () => {
+
+  it('reads parameters passed inside if / elseif / else branches', () => {
+    const lines = [
+      '- template: deploy.yml',
+      '  parameters:',
+      '    region: westeurope',
+      "    ${{ if eq(parameters.env, 'prod') }}:",
+      '      environment: prod',
+      '    ${{ else }}:',
+      '      environment: dev',
+    ];
+    const result = parsePassedParameters(lines, 0);
+    assert.deepStrictEqual(Object.keys(result), ['region', 'environment']);
+    assert.strictEqual(result.region.directives, undefined);
+    assert.strictEqual(result.environment.value, 'prod');
+    assert.strictEqual(result.environment.line, 4);
+    assert.deepStrictEqual(result.environment.directives, ["if eq(parameters.env, 'prod')"]);
+    assert.deepStrictEqual(result.environment.alternatives.map(a => [a.value, a.line, a.directives]), [
+      ['dev', 6, ['else']],
+    ]);
+  });
+
+  it('keeps each loops and computed keys as dynamic entries', () => {
+    const lines = [
+      '- template: build.yml',
+      '  parameters:',
+      '    ${{ each p in parameters.extra }}:',
+      '      ${{ p.key }}: ${{ p.value }}',
+      '    ${{ parameters.name }}: x',
+    ];
+    const result = parsePassedParameters(lines, 0);
+    assert.deepStrictEqual(
+      Object.entries(result).map(([k, v]) => [k, v.dynamic, v.line]),
+      [
+        ['${{ each p in parameters.extra }}', true, 2],
+        ['${{ parameters.name }}', true, 4],
+      ]
+    );
+  });
+});
+
+describe('parseDirectiveKey', () => {
+
+  it('recognises directive and computed keys', () => {
+    assert.deepStrictEqual(parseDirectiveKey('${{ if eq(a, b) }}'), { kind: 'if', text: 'if eq(a, b)' });
+    assert.deepStrictEqual(parseDirectiveKey('${{ each x in parameters.list }}'), { kind: 'each', text: 'each x in parameters.list' });
+    assert.deepStrictEqual(parseDirectiveKey('${{ p.key }}'), { kind: 'expression', text: 'p.key' });
+    assert.strictEqual(parseDirectiveKey('environment'), null);
+  });
+});
+
+describe('findTemplateReferences', () => {
+
+  it('returns every template key in source order', () => {
+    const yaml = [
+      'extends:',
+      '  template: base.yml',
+      'steps:',
+      '- template: "quoted.yml"',
+      '# - template: commented.yml',
+      '- script: |',
+      '    echo template: not-a-ref.yml',
+    ].join('\n');
+    assert.deepStrictEqual(findTemplateReferences(yaml), [
+      { templateRef: 'base.yml', line: 1, col: 2, kind: 'extends' },
+      { templateRef: 'quoted.yml', line: 3, col: 2, kind: 'template' },
+    ]);
+  });
+
+  it('lists the if / each directives a reference is nested under', () => {
+    const yaml = [
+      'stages:',
+      '- ${{ each env in parameters.envs }}:',
+      '  - stage: deploy_${{ env }}',
+      '    jobs:',
+      "    - ${{ if eq(env, 'prod') }}:",
+      '      - template: approve.yml',
+      '    - template: deploy.yml',
+    ].join('\n');
+    assert.deepStrictEqual(findTemplateReferences(yaml), [
+      {
+        templateRef: 'approve.yml', line: 5, col: 8, kind: 'template',
+        directives: ['each env in parameters.envs', "if eq(env, 'prod')"],
+      },
+      { templateRef: 'deploy.yml', line: 6, col: 6, kind: 'template', directives: ['each env in parameters.envs'] },
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Parameter references inside template expressions
+// ---------------------------------------------------------------------------
+
+describe('buildDefaultContext', () => {
+
+  it('uses defaults and marks required parameters as UNKNOWN', () => {
+    const params = parseParameters([
+      'parameters:',
+      '  - name: env',
+      '    type: string',
+      '  - name: regions',
+      '    type: object',
+      '    default: [westeurope, eastus]',
+    ].join('\n'));
+    const { parameters } = buildDefaultContext(params);
+    assert.strictEqual(parameters.env, UNKNOWN);
+    assert.deepStrictEqual(parameters.regions, ['westeurope', 'eastus']);
+  });
+});
+
+describe('hoverProvider — parameter references', () => {
+
+  const TEXT = [
+    'parameters:',
+    '  - name: env',
+    '    type: string',
+    '    default: dev',
+    '    values: [dev, prod]',
+    'steps:',
+    "  - ${{ if eq(parameters.env, 'DEV') }}:",
+    "    - script: echo ${{ parameters['missing'] }}",
+  ].join('\n');
+
+  function hoverAt(line, character) {
+    const lines = TEXT.split('\n');
+    const document = {
+      getText: () => TEXT,
+      lineAt: (pos) => ({ text: lines[pos.line] }),
+      uri: { fsPath: CURRENT_FILE },
+    };
+    return hoverProvider.provideHover(document, { line, character });
+  }
+
+  it('shows the declaration and the expression evaluated with defaults', () => {
+    const hover = hoverAt(6, 20);
+    assert.ok(hover);
+    const md = hover.contents.value;
+    assert.ok(md.includes('`env`'));
+    assert.ok(md.includes('**Type:** `string`'));
+    assert.ok(md.includes('`dev` | `prod`'));
+    assert.ok(md.includes('→ `True`'));
+    assert.deepStrictEqual(hover.range.args, [6, 14, 6, 28]);
+  });
+
+  it('reports references to undeclared parameters', () => {
+    const hover = hoverAt(7, 25);
+    assert.ok(hover.contents.value.includes('Not declared'));
+  });
+
+  it('returns undefined outside parameter references', () => {
+    assert.strictEqual(hoverAt(6, 10), undefined);
+  });
+});
+
+describe('definitionProvider — dynamic template paths', () => {
+
+  function definitionAt(text, line) {
+    const lines = text.split('\n');
+    const document = {
+      getText: () => text,
+      lineAt: (pos) => ({ text: lines[pos.line] }),
+      uri: { fsPath: CURRENT_FILE },
+    };
+    return definitionProvider.provideDefinition(document, { line, character: 6 });
+  }
+
+  it('returns a location for every existing candidate file', () => {
+    const text = [
+      'parameters:',
+      '  - name: kind',
+      '    type: string',
+      '    default: local',
+      '    values: [local, deploy, missing]',
+      'steps:',
+      '  - template: ../templates/${{ parameters.kind }}-template.yml',
+    ].join('\n');
+    const locations = definitionAt(text, 6);
+    assert.ok(Array.isArray(locations));
+    assert.deepStrictEqual(
+      locations.map(l => path.basename(l.uri.fsPath)),
+      ['local-template.yml', 'deploy-template.yml']
+    );
+  });
+
+  it('returns undefined when the path cannot be narrowed down', () => {
+    const text = 'steps:\n  - template: ../templates/${{ parameters.kind }}.yml';
+    assert.strictEqual(definitionAt(text, 1), undefined);
+  });
+});
+
+describe('definitionProvider — dependsOn', () => {
+  let root;
+  afterEach(() => {
+    if (root) fs.rmSync(root, { recursive: true, force: true });
+    root = null;
+  });
+
+  it('goes to the stage a dependsOn entry names', () => {
+    const text = 'stages:\n  - stage: Build\n  - stage: Verify\n    dependsOn: Build\n';
+    root = makeRepo({ 'pipeline.yml': text });
+    const file = path.join(root, 'pipeline.yml');
+    const lines = text.split('\n');
+    const location = definitionProvider.provideDefinition({
+      getText: () => text,
+      lineAt: (pos) => ({ text: lines[pos.line] }),
+      uri: { fsPath: file },
+    }, { line: 3, character: 16 });
+    assert.strictEqual(location.uri.fsPath, file);
+    assert.deepStrictEqual([location.pos.line, location.pos.character], [1, 11]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Variable templates
+// ---------------------------------------------------------------------------
+
+describe('collectVariables — variable templates', () => {
+  let root;
+  afterEach(() => {
+    if (root) fs.rmSync(root, { recursive: true, force: true });
+    root = null;
+  });
+
+  /** A repo whose pipeline includes vars/common.yml, which includes vars/base.yml. */
+  function variablesRepo() {
+    root = makeRepo({
+      'pipeline.yml': [
+        'variables:',
+        '  - name: configuration',
+        '    value: Debug',
+        '  - template: vars/common.yml',
+        '  - name: local',
+        '    value: yes',
+        '  - template: vars/missing.yml',
+        '  - template: vars/${{ parameters.env }}.yml',
+      ].join('\n'),
+      'vars/common.yml': [
+        'variables:',
+        '  - template: base.yml',
+        '  - name: configuration',
+        '    value: Release',
+        '  - group: shared-secrets',
+      ].join('\n'),
+      'vars/base.yml': 'variables:\n  dotnetVersion: 8.0.x\n  loop: x\n',
+    });
+    return path.join(root, 'pipeline.yml');
+  }
+
+  it('lists variable templates in parseVariables', () => {
+    const file = variablesRepo();
+    const { templates } = parseVariables(fs.readFileSync(file, 'utf8'));
+    assert.deepStrictEqual(templates, [
+      { templateRef: 'vars/common.yml', line: 3 },
+      { templateRef: 'vars/missing.yml', line: 6 },
+      { templateRef: 'vars/${{ parameters.env }}.yml', line: 7 },
+    ]);
+  });
+
+  it('merges variables from nested templates in source order with their source file', () => {
+    const file = variablesRepo();
+    const { variables, groups } = collectVariables(fs.readFileSync(file, 'utf8'), file);
+    assert.deepStrictEqual(variables.configuration, {
+      value: 'Release', line: 2, filePath: path.join(root, 'vars', 'common.yml'), templateRef: 'vars/common.yml',
+    });
+    assert.deepStrictEqual(variables.dotnetVersion, {
+      value: '8.0.x', line: 1, filePath: path.join(root, 'vars', 'base.yml'), templateRef: 'base.yml',
+    });
+    assert.deepStrictEqual(variables.local, { value: 'yes', line: 4, filePath: file });
+    assert.deepStrictEqual(groups, [{ name: 'shared-secrets', line: 4, filePath: path.join(root, 'vars', 'common.yml') }]);
+  });
+
+  it('stops at circular variable templates', () => {
+    const file = variablesRepo();
+    fs.writeFileSync(path.join(root, 'vars', 'base.yml'), 'variables:\n  - template: common.yml\n  - name: a\n    value: 1\n');
+    const { variables } = collectVariables(fs.readFileSync(file, 'utf8'), file);
+    assert.strictEqual(variables.a.value, '1');
+    assert.strictEqual(variables.configuration.value, 'Release');
+  });
+
+  /** A mock document for the pipeline, with `$(dotnetVersion)` on its last line. */
+  function pipelineDocument(file) {
+    const text = fs.readFileSync(file, 'utf8') + '\nsteps:\n  - script: dotnet --version $(dotnetVersion)';
+    const lines = text.split('\n');
+    return {
+      getText: () => text,
+      lineAt: (pos) => ({ text: lines[pos.line] }),
+      uri: { fsPath: file },
+      lastLine: lines.length - 1,
+    };
+  }
+
+  it('shows the variable template a variable comes from on hover', () => {
+    const document = pipelineDocument(variablesRepo());
+    const hover = hoverProvider.provideHover(document, { line: document.lastLine, character: 35 });
+    const md = hover.contents.value;
+    assert.ok(md.includes('**Value:** `8.0.x`'));
+    assert.ok(md.includes('**Source:** variable template `base.yml` (line 2)'));
+    assert.ok(md.includes('command:azure-templates-navigator.openTemplate'));
+  });
+
+  it('goes to the definition inside the variable template', () => {
+    const document = pipelineDocument(variablesRepo());
+    const location = definitionProvider.provideDefinition(document, { line: document.lastLine, character: 35 });
+    assert.strictEqual(location.uri.fsPath, path.join(root, 'vars', 'base.yml'));
+    assert.strictEqual(location.pos.line, 1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Variable scopes (root / stage / job / step env)
+// ---------------------------------------------------------------------------
+
+describe('findVariableScopes / resolveVariable', () => {
+
+  const TEXT = [
+    'variables:',                                   //  0
+    '  configuration: Debug',                       //  1
+    '  region: westeurope',                         //  2
+    'stages:',                                      //  3
+    '  - stage: Build',                             //  4
+    '    variables:',                               //  5
+    '      - name: configuration',                  //  6
+    '        value: Release',                       //  7
+    '      - group: build-secrets',                 //  8
+    '    jobs:',                                    //  9
+    '      - job: Compile',                         // 10
+    '        variables:',                           // 11
+    '          configuration: Profile',             // 12
+    '        steps:',                               // 13
+    '          - script: make $(configuration) $(region) $(TOKEN)', // 14
+    '            displayName: Make',                // 15
+    '            env:',                             // 16
+    '              TOKEN: $(System.AccessToken)',   // 17
+    '      - job: Test',                            // 18
+    '        steps:',                               // 19
+    '          - script: test $(configuration)',    // 20
+    '  - stage: Deploy',                            // 21
+    '    jobs:',                                    // 22
+    '      - job: Ship',                            // 23
+    '        steps:',                               // 24
+    '          - script: ship $(configuration)',    // 25
+  ].join('\n');
+
+  it('returns the declaring scopes around a line, innermost first', () => {
+    const scopes = findVariableScopes(TEXT, CURRENT_FILE, 14);
+    assert.deepStrictEqual(scopes.map(sc => [sc.kind, sc.name, sc.line]), [
+      ['step', 'Make', 16],
+      ['job', 'Compile', 11],
+      ['stage', 'Build', 5],
+      ['root', null, 0],
+    ]);
+    assert.deepStrictEqual(scopes[2].groups.map(g => g.name), ['build-secrets']);
+  });
+
+  it('resolves to the innermost declaration and lists the shadowed ones', () => {
+    const { definition, shadowed } = resolveVariable(findVariableScopes(TEXT, CURRENT_FILE, 14), 'configuration');
+    assert.deepStrictEqual([definition.scope.kind, definition.info.value, definition.info.line], ['job', 'Profile', 12]);
+    assert.deepStrictEqual(shadowed.map(r => [r.scope.kind, r.info.value]), [['stage', 'Release'], ['root', 'Debug']]);
+  });
+
+  it('only sees scopes that enclose the line', () => {
+    const atTest = resolveVariable(findVariableScopes(TEXT, CURRENT_FILE, 20), 'configuration');
+    assert.strictEqual(atTest.definition.info.value, 'Release');
+    const atShip = resolveVariable(findVariableScopes(TEXT, CURRENT_FILE, 25), 'configuration');
+    assert.strictEqual(atShip.definition.info.value, 'Debug');
+    assert.deepStrictEqual(atShip.shadowed, []);
+  });
+
+  it('keeps step env entries apart from pipeline variables', () => {
+    const { definition, environment } = resolveVariable(findVariableScopes(TEXT, CURRENT_FILE, 14), 'TOKEN');
+    assert.strictEqual(definition, null);
+    assert.deepStrictEqual([environment.scope.name, environment.info.line], ['Make', 17]);
+  });
+
+  it('builds each scope once when one document asks for many lines', () => {
+    const findScopes = variableScopeFinder(TEXT, CURRENT_FILE);
+    const atCompile = findScopes(14);
+    const atTest = findScopes(20);
+    assert.deepStrictEqual(atCompile.map(sc => [sc.kind, sc.line]), findVariableScopes(TEXT, CURRENT_FILE, 14).map(sc => [sc.kind, sc.line]));
+    assert.deepStrictEqual(atTest.map(sc => sc.kind), ['stage', 'root']);
+    assert.strictEqual(atTest[0], atCompile[2], 'the stage scope is shared');
+    assert.strictEqual(atTest[1], atCompile[3], 'the root scope is shared');
+  });
+
+  function hoverAt(line, character) {
+    const lines = TEXT.split('\n');
+    const document = { getText: () => TEXT, lineAt: (pos) => ({ text: lines[pos.line] }), uri: { fsPath: CURRENT_FILE } };
+    return hoverProvider.provideHover(document, { line, character });
+  }
+
+  it('shows the scope and the shadowed declarations on hover', () => {
+    const md = hoverAt(14, 27).contents.value;
+    assert.ok(md.includes('**Value:** `Profile`'));
+    assert.ok(md.includes('**Source:** job `Compile` `variables:` block (line 13)'));
+    assert.ok(md.includes('- `Release` — stage `Build` `variables:` block (line 7)'));
+    assert.ok(md.includes('- `Debug` — pipeline `variables:` block (line 2)'));
+  });
+
+  it('explains step env entries on hover', () => {
+    const md = hoverAt(14, 54).contents.value;
+    assert.ok(md.includes('**📦 Environment variable:** `TOKEN`'));
+    assert.ok(md.includes('step `Make` `env:` (line 18)'));
+  });
+
+  it('goes to the innermost definition', () => {
+    const lines = TEXT.split('\n');
+    const document = { getText: () => TEXT, lineAt: (pos) => ({ text: lines[pos.line] }), uri: { fsPath: CURRENT_FILE } };
+    const location = definitionProvider.provideDefinition(document, { line: 20, character: 27 });
+    assert.strictEqual(location.pos.line, 6);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Task hover
+// ---------------------------------------------------------------------------
+
+describe('hoverProvider — task steps', () => {
+
+  function hover(lines, line, character) {
+    const text = lines.join('\n');
+    const document = { getText: () => text, lineAt: (pos) => ({ text: lines[pos.line] }), uri: { fsPath: CURRENT_FILE } };
+    return hoverProvider.provideHover(document, { line, character });
+  }
+
+  it('describes the task and its inputs', () => {
+    const h = hover(['steps:', '  - task: DotNetCoreCLI@2'], 1, 14);
+    assert.ok(h.contents.value.includes('**🔧 Task:** `DotNetCoreCLI@2` — .NET Core'));
+    assert.ok(h.contents.value.includes('**Version:** 2 (current)'));
+    assert.ok(h.contents.value.includes('**feedsToUse** (alias: `selectOrConfig`): `radio`'));
+    assert.ok(h.contents.value.includes('when `command` is `custom`'));
+    assert.deepStrictEqual(h.range.args, [1, 10, 1, 25]);
+  });
+
+  it('flags deprecated versions', () => {
+    const h = hover(['steps:', '  - task: CmdLine@1'], 1, 12);
+    assert.ok(h.contents.value.includes('**⚠️ Deprecated version** — use `CmdLine@2`'));
+  });
+
+  it('explains how to declare tasks that are not in the catalog', () => {
+    const h = hover(['steps:', '  - task: replacetokens@5'], 1, 12);
+    assert.ok(h.contents.value.includes('Not in the task catalog'));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// findRuntimeSetters
+// ---------------------------------------------------------------------------
+
+describe('findRuntimeSetters', () => {
+
+  const TEXT = [
+    'steps:',
+    '  - bash: |',
+    '      echo "##vso[task.setvariable variable=version;isOutput=true]1.2.3"',
+    '      echo "##vso[task.setvariable variable=color]blue"',
+    '    name: setVars',
+  ].join('\n');
+
+  it('finds plain runtime variables by name', () => {
+    const setters = findRuntimeSetters(TEXT, 'color');
+    assert.strictEqual(setters.length, 1);
+    assert.strictEqual(setters[0].value, 'blue');
+  });
+
+  it('finds output variables as <step>.<name>', () => {
+    const setters = findRuntimeSetters(TEXT, 'SetVars.version');
+    assert.strictEqual(setters.length, 1);
+    assert.strictEqual(setters[0].line, 2);
+  });
+
+  it('returns nothing for unknown names', () => {
+    assert.deepStrictEqual(findRuntimeSetters(TEXT, 'setVars.color'), []);
+  });
 });
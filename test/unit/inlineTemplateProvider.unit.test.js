@@ -0,0 +1,290 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for inlineTemplateProvider.js
+ *
+ * Tests:
+ *   - expressionLiteral
+ *   - planInline (substitution, defaults, re-indentation, refusals)
+ *   - inlineTemplateActionProvider.provideCodeActions
+ *
+ * Run with:  npx mocha test/unit/inlineTemplateProvider.unit.test.js
+ */
+
+const assert = require('assert');
+const path   = require('path');
+const fs     = require('fs');
+
+// ---------------------------------------------------------------------------
+// Stub the 'vscode' module before requiring any extension code.
+// ---------------------------------------------------------------------------
+const { makeRepo, loadWithVscodeStub } = require('./helpers');
+
+class FakeCodeAction {
+  constructor(title, kind) { this.title = title; this.kind = kind; }
+}
+
+/** Minimal in-memory WorkspaceEdit that records replacements. */
+class FakeWorkspaceEdit {
+  constructor() { this._replaces = []; this._deletes = []; }
+  replace(uri, range, text) { this._replaces.push({ uri, range, text }); }
+  delete(uri, range)        { this._deletes.push({ uri, range }); }
+}
+
+class FakeRange {
+  constructor(startLine, startChar, endLine, endChar) {
+    this.start = { line: startLine, character: startChar };
+    this.end   = { line: endLine,   character: endChar };
+  }
+}
+
+const vscodeStub = {
+  CodeAction: FakeCodeAction,
+  CodeActionKind: { QuickFix: 'quickfix', RefactorInline: 'refactor.inline' },
+  WorkspaceEdit: FakeWorkspaceEdit,
+  Range: FakeRange,
+  Position: class { constructor(l, c) { this.line = l; this.character = c; } },
+};
+
+const [{
+  planInline,
+  expressionLiteral,
+  inlineTemplateActionProvider,
+}, { parseYaml }] = loadWithVscodeStub(vscodeStub, () => [
+  require('../../inlineTemplateProvider'),
+  require('../../yamlParser'),
+]);
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const ROOT = path.join(path.sep, 'repo');
+const CALLER_FILE = path.join(ROOT, 'pipelines', 'ci.yml');
+const TEMPLATE_FILE = path.join(ROOT, 'templates', 'build.yml');
+
+/**
+ * Creates a minimal TextDocument-like object from an array of lines.
+ *
+ * @param {string[]} lines
+ * @param {string} [fsPath]
+ */
+function makeDocument(lines, fsPath = CALLER_FILE) {
+  const text = lines.join('\n');
+  return {
+    getText: () => text,
+    uri: { fsPath, scheme: 'file', toString: () => fsPath },
+    languageId: 'yaml',
+    lineCount: lines.length,
+    lineAt(index) {
+      return { text: lines[index], lineNumber: index };
+    },
+  };
+}
+
+/** Parses a single YAML value. */
+function valueNode(yaml) {
+  return parseYaml(`v: ${yaml}`).root.entries[0].value;
+}
+
+const TEMPLATE = [
+  'parameters:',
+  '  - name: project',
+  '    type: string',
+  '  - name: configuration',
+  '    type: string',
+  '    default: Release',
+  '  - name: runTests',
+  '    type: boolean',
+  '    default: true',
+  '  - name: extraArgs',
+  '    type: object',
+  '    default: []',
+  '',
+  'steps:',
+  '  - task: DotNetCoreCLI@2',
+  "    displayName: 'Build ${{ parameters.project }}'",
+  '    inputs:',
+  '      projects: ${{ parameters.project }}',
+  '      arguments: --configuration ${{ parameters.configuration }}',
+  '  - ${{ if eq(parameters.runTests, true) }}:',
+  '    - template: ./test.yml',
+  '      parameters:',
+  '        configuration: ${{ parameters.configuration }}',
+  '  # ${{ parameters.ignored }}',
+  '  - script: echo done',
+  '',
+].join('\n');
+
+/** Builds a caller whose call passes `passed` (lines under `parameters:`). */
+function caller(passed) {
+  return [
+    'parameters:',                                  // 0
+    '  - name: env',                                // 1
+    '    default: dev',                             // 2
+    'jobs:',                                        // 3
+    '  - job: Build',                               // 4
+    '    steps:',                                   // 5
+    '      - checkout: self',                       // 6
+    '      - template: ../templates/build.yml',     // 7
+    ...(passed.length > 0 ? ['        parameters:', ...passed.map(p => `          ${p}`)] : []),
+    '      - script: echo after',
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// expressionLiteral
+// ---------------------------------------------------------------------------
+
+describe('expressionLiteral', () => {
+
+  it('renders scalars as expression literals', () => {
+    assert.strictEqual(expressionLiteral(valueNode('true')), 'true');
+    assert.strictEqual(expressionLiteral(valueNode('42')), '42');
+    assert.strictEqual(expressionLiteral(valueNode("'it''s'")), "'it''s'");
+    assert.strictEqual(expressionLiteral(valueNode('$(buildConfiguration)')), "'$(buildConfiguration)'");
+    assert.strictEqual(expressionLiteral(null), "''");
+  });
+
+  it('uses the inner expression of a value that is one ${{ }}', () => {
+    assert.strictEqual(expressionLiteral(valueNode('${{ parameters.env }}')), 'parameters.env');
+  });
+
+  it('returns null for collections and embedded expressions', () => {
+    assert.strictEqual(expressionLiteral(valueNode('[a, b]')), null);
+    assert.strictEqual(expressionLiteral(valueNode('app-${{ parameters.env }}')), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// planInline
+// ---------------------------------------------------------------------------
+
+describe('planInline', () => {
+
+  it('substitutes passed values and defaults and re-indents the body', () => {
+    const doc = makeDocument(caller(["project: 'src/App.csproj'", 'runTests: false']));
+    const plan = planInline(doc, 7, TEMPLATE, TEMPLATE_FILE);
+    assert.deepStrictEqual([plan.startLine, plan.endLine], [7, 10]);
+    assert.strictEqual(plan.text, [
+      '      - task: DotNetCoreCLI@2',
+      "        displayName: 'Build src/App.csproj'",
+      '        inputs:',
+      "          projects: 'src/App.csproj'",
+      '          arguments: --configuration Release',
+      '      - ${{ if eq(false, true) }}:',
+      '        - template: ../templates/test.yml',
+      '          parameters:',
+      '            configuration: Release',
+      '      # ${{ parameters.ignored }}',
+      '      - script: echo done',
+    ].join('\n'));
+  });
+
+  it("passes the caller's own parameters through", () => {
+    const doc = makeDocument(caller(['project: ${{ parameters.env }}.csproj', 'runTests: ${{ parameters.env }}']));
+    const plan = planInline(doc, 7, TEMPLATE, TEMPLATE_FILE);
+    assert.ok(plan.text.includes("displayName: 'Build ${{ parameters.env }}.csproj'"), plan.text);
+    assert.ok(plan.text.includes('- ${{ if eq(parameters.env, true) }}:'), plan.text);
+  });
+
+  it('removes the call when the template has no items', () => {
+    const doc = makeDocument(caller([]));
+    const plan = planInline(doc, 7, 'steps: []\n', TEMPLATE_FILE);
+    assert.deepStrictEqual(plan, { startLine: 7, endLine: 7, text: '' });
+  });
+
+  it('refuses when a required parameter is not passed', () => {
+    const plan = planInline(makeDocument(caller([])), 7, TEMPLATE, TEMPLATE_FILE);
+    assert.strictEqual(plan.error, "Required parameter 'project' is not passed");
+  });
+
+  it('refuses unknown and conditionally passed parameters', () => {
+    assert.strictEqual(
+      planInline(makeDocument(caller(['project: a', 'solution: b'])), 7, TEMPLATE, TEMPLATE_FILE).error,
+      "'solution' is not a parameter of build.yml"
+    );
+    const conditional = caller(['project: a', "${{ if eq(parameters.env, 'prod') }}:", '  runTests: false']);
+    assert.match(planInline(makeDocument(conditional), 7, TEMPLATE, TEMPLATE_FILE).error, /inside a \$\{\{ \}\} block/);
+  });
+
+  it('refuses collections used inside strings or expressions', () => {
+    const template = TEMPLATE.replace('echo done', 'echo ${{ parameters.extraArgs }}');
+    assert.strictEqual(
+      planInline(makeDocument(caller(['project: a'])), 7, template, TEMPLATE_FILE).error,
+      "'extraArgs' is a list used inside a string"
+    );
+    const each = TEMPLATE.replace('  - script: echo done', '  - ${{ each arg in parameters.extraArgs }}:\n    - script: echo ${{ arg }}');
+    assert.match(planInline(makeDocument(caller(['project: a'])), 7, each, TEMPLATE_FILE).error, /'extraArgs' cannot be written inside the expression/);
+  });
+
+  it("writes the references of a template from another repository with the call's alias", () => {
+    const root = makeRepo({ 'app/.git/HEAD': '', 'tools/.git/HEAD': '' });
+    try {
+      const doc = makeDocument([
+        'resources:',
+        '  repositories:',
+        '    - repository: shared',
+        '      name: org/tools',
+        'steps:',
+        '  - template: templates/build.yml@shared',
+      ], path.join(root, 'app', 'ci.yml'));
+      const template = [
+        'steps:',
+        '  - template: test.yml',
+        '  - template: /common/lint.yml',
+        '  - template: steps/x.yml@other',
+      ].join('\n');
+      const plan = planInline(doc, 5, template, path.join(root, 'tools', 'templates', 'build.yml'));
+      assert.strictEqual(plan.text, [
+        '  - template: templates/test.yml@shared',
+        '  - template: /common/lint.yml@shared',
+        '  - template: steps/x.yml@other',
+      ].join('\n'));
+
+      const dynamic = template.replace('test.yml', '${{ variables.kind }}.yml');
+      assert.match(planInline(doc, 5, dynamic, path.join(root, 'tools', 'templates', 'build.yml')).error, /built from an expression/);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  it('refuses a template without the list the call is in', () => {
+    const plan = planInline(makeDocument(caller(['project: a'])), 7, 'jobs:\n  - job: A\n', TEMPLATE_FILE);
+    assert.strictEqual(plan.error, "build.yml has no root 'steps:' to inline");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// inlineTemplateActionProvider
+// ---------------------------------------------------------------------------
+
+describe('inlineTemplateActionProvider.provideCodeActions', () => {
+  let root;
+  beforeEach(() => { root = makeRepo({ 'templates/build.yml': TEMPLATE }); });
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const range = (line) => ({ start: { line, character: 0 }, end: { line, character: 0 } });
+
+  it('replaces the call with the inlined body', () => {
+    const doc = makeDocument(caller(['project: a']), path.join(root, 'pipelines', 'ci.yml'));
+    const [action] = inlineTemplateActionProvider.provideCodeActions(doc, range(7));
+    assert.strictEqual(action.title, "Inline template 'build.yml'");
+    assert.strictEqual(action.kind, 'refactor.inline');
+    const [replace] = action.edit._replaces;
+    assert.deepStrictEqual([replace.range.start, replace.range.end], [{ line: 7, character: 0 }, { line: 9, character: 20 }]);
+    assert.ok(replace.text.startsWith('      - task: DotNetCoreCLI@2\n'));
+  });
+
+  it('offers a disabled action with the reason when the call cannot be inlined', () => {
+    const doc = makeDocument(caller([]), path.join(root, 'pipelines', 'ci.yml'));
+    const [action] = inlineTemplateActionProvider.provideCodeActions(doc, range(7));
+    assert.deepStrictEqual(action.disabled, { reason: "Required parameter 'project' is not passed" });
+    assert.strictEqual(action.edit, undefined);
+  });
+
+  it('offers nothing away from template calls', () => {
+    const doc = makeDocument(caller(['project: a']), path.join(root, 'pipelines', 'ci.yml'));
+    assert.deepStrictEqual(inlineTemplateActionProvider.provideCodeActions(doc, range(6)), []);
+  });
+});
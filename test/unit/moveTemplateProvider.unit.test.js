@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for moveTemplateProvider.js
+ *
+ * Tests:
+ *   - rewriteTemplateRef (relative, ./, /-rooted, @self, @alias)
+ *   - planTemplateMoves (callers, the moved file itself, folders, dynamic refs)
+ *
+ * Run with:  npx mocha test/unit/moveTemplateProvider.unit.test.js
+ */
+
+const assert = require('assert');
+const path   = require('path');
+const fs     = require('fs');
+
+// ---------------------------------------------------------------------------
+// Stub the 'vscode' module — the functions under test never touch it.
+// ---------------------------------------------------------------------------
+const { makeRepo, loadWithVscodeStub } = require('./helpers');
+const [{ rewriteTemplateRef, planTemplateMoves }, { WorkspaceIndex }] = loadWithVscodeStub({}, () => [
+  require('../../moveTemplateProvider'),
+  require('../../workspaceIndex'),
+]);
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Formats edits as 'relative/path:line: old → new' for comparison. */
+function format(root, edits) {
+  return edits.map(e => `${path.relative(root, e.filePath).replace(/\\/g, '/')}:${e.line}: ${e.oldText} → ${e.newText}`);
+}
+
+/** Plans a move of files under `root` given as relative paths. */
+function plan(root, moves) {
+  const index = new WorkspaceIndex();
+  index.build(root);
+  return planTemplateMoves(
+    moves.map(([from, to]) => ({ oldPath: path.join(root, from), newPath: path.join(root, to) })),
+    index
+  );
+}
+
+// ---------------------------------------------------------------------------
+// rewriteTemplateRef
+// ---------------------------------------------------------------------------
+
+describe('rewriteTemplateRef', () => {
+  let root;
+  before(() => { root = makeRepo({ 'repo/.git/HEAD': '', 'other/.git/HEAD': '' }); });
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const caller = () => path.join(root, 'repo', 'pipelines', 'ci.yml');
+  const target = () => path.join(root, 'repo', 'shared', 'steps', 'build.yml');
+
+  it('keeps relative references relative', () => {
+    assert.strictEqual(rewriteTemplateRef('templates/build.yml', caller(), target()), '../shared/steps/build.yml');
+  });
+
+  it('keeps a leading ./ when the target is below the caller', () => {
+    const below = path.join(root, 'repo', 'pipelines', 'steps', 'build.yml');
+    assert.strictEqual(rewriteTemplateRef('./build.yml', caller(), below), './steps/build.yml');
+    assert.strictEqual(rewriteTemplateRef('./build.yml', caller(), target()), '../shared/steps/build.yml');
+  });
+
+  it('keeps /-rooted references rooted at the repository', () => {
+    assert.strictEqual(rewriteTemplateRef('/templates/build.yml', caller(), target()), '/shared/steps/build.yml');
+  });
+
+  it('keeps the @self suffix and the path style before it', () => {
+    assert.strictEqual(rewriteTemplateRef('/templates/build.yml@self', caller(), target()), '/shared/steps/build.yml@self');
+    assert.strictEqual(rewriteTemplateRef('build.yml@self', caller(), target()), '../shared/steps/build.yml@self');
+  });
+
+  it('rewrites @alias references within the aliased repository', () => {
+    const aliases = { tools: 'other' };
+    const inOther = path.join(root, 'other', 'jobs', 'deploy.yml');
+    assert.strictEqual(rewriteTemplateRef('deploy.yml@tools', caller(), inOther, aliases), 'jobs/deploy.yml@tools');
+    assert.strictEqual(rewriteTemplateRef('/deploy.yml@tools', caller(), inOther, aliases), '/jobs/deploy.yml@tools');
+  });
+
+  it('returns null when the style cannot reach the target', () => {
+    assert.strictEqual(rewriteTemplateRef('deploy.yml@tools', caller(), target(), { tools: 'other' }), null);
+    assert.strictEqual(rewriteTemplateRef('deploy.yml@unknown', caller(), target(), {}), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// planTemplateMoves
+// ---------------------------------------------------------------------------
+
+describe('planTemplateMoves', () => {
+  let root;
+  afterEach(() => { if (root) fs.rmSync(root, { recursive: true, force: true }); root = null; });
+
+  function buildTree(extra = {}) {
+    return makeRepo(Object.assign({
+      'azure-pipelines.yml': [
+        'steps:',
+        '  - template: templates/build.yml',
+        "  - template: '/templates/build.yml@self'",
+        '  - template: templates/test.yml',
+      ].join('\n'),
+      'jobs/ci.yml': [
+        'jobs:',
+        '  - job: CI',
+        '    steps:',
+        '      - template: ../templates/build.yml',
+        '        parameters:',
+        '          project: app.csproj',
+      ].join('\n'),
+      'templates/build.yml': [
+        'parameters:',
+        '  - name: project',
+        '    default: app.csproj',
+        'steps:',
+        '  - template: ./restore.yml',
+        '  - template: /templates/test.yml',
+        '  - script: dotnet build ${{ parameters.project }}',
+      ].join('\n'),
+      'templates/restore.yml': 'steps:\n  - script: dotnet restore',
+      'templates/test.yml': 'steps:\n  - script: dotnet test',
+    }, extra));
+  }
+
+  it('updates every caller in its own style and the moved file\'s relative references', () => {
+    root = buildTree();
+    const { edits, skipped } = plan(root, [['templates/build.yml', 'shared/steps/build.yml']]);
+    assert.deepStrictEqual(format(root, edits), [
+      'azure-pipelines.yml:1: templates/build.yml → shared/steps/build.yml',
+      'azure-pipelines.yml:2: /templates/build.yml@self → /shared/steps/build.yml@self',
+      'jobs/ci.yml:3: ../templates/build.yml → ../shared/steps/build.yml',
+      'templates/build.yml:4: ./restore.yml → ../../templates/restore.yml',
+    ]);
+    assert.deepStrictEqual(skipped, []);
+  });
+
+  it('locates each edit on the reference value', () => {
+    root = buildTree();
+    const { edits } = plan(root, [['templates/build.yml', 'shared/build.yml']]);
+    const quoted = edits.find(e => e.oldText === '/templates/build.yml@self');
+    assert.deepStrictEqual([quoted.line, quoted.start, quoted.end], [2, 15, 40]);
+  });
+
+  it('handles several files moved together, such as a folder', () => {
+    root = buildTree();
+    const { edits } = plan(root, [
+      ['templates/build.yml', 'ci/templates/build.yml'],
+      ['templates/restore.yml', 'ci/templates/restore.yml'],
+      ['templates/test.yml', 'ci/templates/test.yml'],
+    ]);
+    assert.deepStrictEqual(format(root, edits), [
+      'azure-pipelines.yml:1: templates/build.yml → ci/templates/build.yml',
+      'azure-pipelines.yml:2: /templates/build.yml@self → /ci/templates/build.yml@self',
+      'azure-pipelines.yml:3: templates/test.yml → ci/templates/test.yml',
+      'jobs/ci.yml:3: ../templates/build.yml → ../ci/templates/build.yml',
+      'templates/build.yml:5: /templates/test.yml → /ci/templates/test.yml',
+    ]);
+  });
+
+  it('leaves references that still resolve untouched', () => {
+    root = buildTree();
+    assert.deepStrictEqual(format(root, plan(root, [['templates/restore.yml', 'templates/dotnet-restore.yml']]).edits), [
+      'templates/build.yml:4: ./restore.yml → ./dotnet-restore.yml',
+    ]);
+    assert.deepStrictEqual(plan(root, [['jobs/ci.yml', 'jobs/ci-main.yml']]), { edits: [], skipped: [] });
+  });
+
+  it('reports references built from template expressions', () => {
+    root = buildTree({
+      'azure-pipelines.yml': [
+        'parameters:',
+        '  - name: tool',
+        '    default: build',
+        '    values: [build, test]',
+        'steps:',
+        '  - template: templates/${{ parameters.tool }}.yml',
+      ].join('\n'),
+    });
+    const { edits, skipped } = plan(root, [['templates/test.yml', 'shared/test.yml']]);
+    assert.deepStrictEqual(format(root, edits), [
+      'templates/build.yml:5: /templates/test.yml → /shared/test.yml',
+    ]);
+    assert.deepStrictEqual(skipped.map(s => [path.basename(s.filePath), s.line, s.templateRef]), [
+      ['azure-pipelines.yml', 5, 'templates/${{ parameters.tool }}.yml'],
+    ]);
+  });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for outputVariables.js
+ *
+ * Tests:
+ *   - parseCommandProperties
+ *   - findSetVariableCommands: steps, jobs, stages, block scalars
+ *   - findOutputReferences / resolveOutputReference
+ *
+ * Run with:  npx mocha test/unit/outputVariables.unit.test.js
+ */
+
+const assert = require('assert');
+
+const {
+  findSetVariableCommands, findOutputReferences, resolveOutputReference, parseCommandProperties,
+} = require('../../outputVariables');
+
+const TEXT = [
+  'stages:',                                                                      //  0
+  '  - stage: Build',                                                             //  1
+  '    jobs:',                                                                    //  2
+  '      - job: Compile',                                                         //  3
+  '        steps:',                                                               //  4
+  '          - bash: |',                                                          //  5
+  '              echo "##vso[task.setvariable variable=version;isOutput=true]1.2.3"', //  6
+  '              echo "##vso[task.setvariable variable=token;issecret=true]abc"',  //  7
+  '            name: setVersion',                                                 //  8
+  '          - script: echo $(setVersion.version)',                               //  9
+  '      - job: Publish',                                                         // 10
+  '        dependsOn: Compile',                                                   // 11
+  '        variables:',                                                           // 12
+  "          version: $[ dependencies.Compile.outputs['setVersion.version'] ]",    // 13
+  '        steps:',                                                               // 14
+  '          - script: echo $(version)',                                          // 15
+  '  - stage: Deploy',                                                            // 16
+  '    dependsOn: Build',                                                         // 17
+  "    condition: eq(dependencies.Build.outputs['Compile.setVersion.version'], '1.2.3')", // 18
+  '    variables:',                                                               // 19
+  "      version: $[ stageDependencies.Build.Compile.outputs['setVersion.version'] ]", // 20
+].join('\n');
+
+describe('parseCommandProperties', () => {
+
+  it('splits properties and lower-cases the keys', () => {
+    assert.deepStrictEqual(
+      parseCommandProperties('variable=x; isOutput=true;'),
+      { variable: 'x', isoutput: 'true' }
+    );
+  });
+});
+
+describe('findSetVariableCommands', () => {
+
+  it('finds commands in block scalars with their step, job and stage', () => {
+    const commands = findSetVariableCommands(TEXT);
+    assert.deepStrictEqual(commands, [
+      {
+        name: 'version', isOutput: true, isSecret: false, value: '1.2.3',
+        stepName: 'setVersion', jobName: 'Compile', stageName: 'Build', line: 6,
+      },
+      {
+        name: 'token', isOutput: false, isSecret: true, value: 'abc',
+        stepName: 'setVersion', jobName: 'Compile', stageName: 'Build', line: 7,
+      },
+    ]);
+  });
+
+  it('finds commands in single-line steps of a steps-only pipeline', () => {
+    const commands = findSetVariableCommands([
+      'steps:',
+      "  - pwsh: Write-Host '##vso[task.setvariable variable=color]blue'",
+    ].join('\n'));
+    assert.strictEqual(commands.length, 1);
+    assert.strictEqual(commands[0].name, 'color');
+    assert.strictEqual(commands[0].value, 'blue');
+    assert.strictEqual(commands[0].stepName, null);
+    assert.strictEqual(commands[0].jobName, null);
+    assert.strictEqual(commands[0].line, 1);
+  });
+
+  it('ignores commands without a variable name', () => {
+    assert.deepStrictEqual(findSetVariableCommands('steps:\n  - script: echo "##vso[task.setvariable isOutput=true]x"\n'), []);
+  });
+});
+
+describe('findOutputReferences / resolveOutputReference', () => {
+
+  const commands = findSetVariableCommands(TEXT);
+  const lines = TEXT.split('\n');
+
+  it('parses dependencies references between jobs', () => {
+    const [ref] = findOutputReferences(lines[13]);
+    assert.strictEqual(ref.dependency, 'Compile');
+    assert.strictEqual(ref.jobName, null);
+    assert.strictEqual(ref.stepName, 'setVersion');
+    assert.strictEqual(ref.variable, 'version');
+    assert.strictEqual(lines[13].slice(ref.start, ref.end), ref.text);
+    assert.deepStrictEqual(resolveOutputReference(commands, ref), [commands[0]]);
+  });
+
+  it('parses dependencies references between stages', () => {
+    const [ref] = findOutputReferences(lines[18]);
+    assert.strictEqual(ref.dependency, 'Build');
+    assert.strictEqual(ref.jobName, 'Compile');
+    assert.deepStrictEqual(resolveOutputReference(commands, ref), [commands[0]]);
+  });
+
+  it('parses stageDependencies references', () => {
+    const [ref] = findOutputReferences(lines[20]);
+    assert.strictEqual(ref.stageName, 'Build');
+    assert.strictEqual(ref.jobName, 'Compile');
+    assert.deepStrictEqual(resolveOutputReference(commands, ref), [commands[0]]);
+  });
+
+  it('does not resolve variables set without isOutput=true', () => {
+    const [ref] = findOutputReferences("$[ dependencies.Compile.outputs['setVersion.token'] ]");
+    assert.deepStrictEqual(resolveOutputReference(commands, ref), []);
+  });
+
+  it('does not resolve references to another job', () => {
+    const [ref] = findOutputReferences("$[ dependencies.Publish.outputs['setVersion.version'] ]");
+    assert.deepStrictEqual(resolveOutputReference(commands, ref), []);
+  });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for pipelineGraph.js
+ *
+ * Tests:
+ *   - collectDependencyScopes
+ *   - findDependsOnAt
+ *
+ * Run with:  npx mocha test/unit/pipelineGraph.unit.test.js
+ */
+
+const assert = require('assert');
+
+const { collectDependencyScopes, findDependsOnAt } = require('../../pipelineGraph');
+const { parseYaml } = require('../../yamlParser');
+
+const scopesOf = (lines) => collectDependencyScopes(parseYaml(lines.join('\n')).root);
+
+describe('collectDependencyScopes', () => {
+
+  it('returns the root stages, the jobs of each stage and the root jobs', () => {
+    const scopes = scopesOf([
+      'stages:',
+      '  - stage: Build',
+      '    jobs:',
+      '      - job: Compile',
+      '      - deployment: Publish',
+      '        dependsOn: Compile',
+      '  - stage: Test',
+      '    dependsOn: [Build]',
+      '  - template: stages/deploy.yml',
+    ]);
+    assert.deepStrictEqual(scopes.map(s => [s.kind, s.parent && s.parent.name, s.items.map(i => i.name)]), [
+      ['stage', null, ['Build', 'Test']],
+      ['job', 'Build', ['Compile', 'Publish']],
+    ]);
+    assert.deepStrictEqual(scopes[0].templates.map(t => t.ref), ['stages/deploy.yml']);
+    assert.strictEqual(scopes[1].items[1].kind, 'deployment');
+    assert.deepStrictEqual(scopes[1].items[1].dependsOn.map(d => d.value), ['Compile']);
+    assert.deepStrictEqual(scopes[0].items[1].dependsOn.map(d => d.value), ['Build']);
+    assert.strictEqual(scopes[0].items[0].dependsOn, null);
+  });
+
+  it('descends conditional and loop blocks', () => {
+    const [scope] = scopesOf([
+      'jobs:',
+      '  - job: A',
+      "  - ${{ if eq(parameters.extra, true) }}:",
+      '    - job: B',
+      '      dependsOn: []',
+      '    - template: jobs/c.yml',
+    ]);
+    assert.deepStrictEqual(scope.items.map(i => [i.name, i.conditional]), [['A', false], ['B', true]]);
+    assert.deepStrictEqual(scope.items[1].dependsOn, []);
+    assert.deepStrictEqual(scope.templates.map(t => [t.ref, t.conditional]), [['jobs/c.yml', true]]);
+  });
+
+  it('returns no scopes for a document without stages or jobs', () => {
+    assert.deepStrictEqual(scopesOf(['steps:', '  - script: echo']), []);
+  });
+});
+
+describe('findDependsOnAt', () => {
+
+  const scopes = scopesOf([
+    'stages:',
+    '  - stage: Build',
+    '  - stage: Test',
+    '    dependsOn:',
+    '      - Build',
+    '    jobs:',
+    '      - job: Unit',
+    '        dependsOn: [Lint, Setup]',
+  ]);
+
+  it('finds the entry under the cursor and its scope', () => {
+    const at = findDependsOnAt(scopes, 4, 9);
+    assert.strictEqual(at.entry.value, 'Build');
+    assert.strictEqual(at.scope.kind, 'stage');
+    assert.strictEqual(at.item.name, 'Test');
+    assert.strictEqual(findDependsOnAt(scopes, 7, 26).entry.value, 'Setup');
+    assert.strictEqual(findDependsOnAt(scopes, 7, 26).scope.parent.name, 'Test');
+  });
+
+  it('returns null elsewhere', () => {
+    assert.strictEqual(findDependsOnAt(scopes, 3, 6), null);
+    assert.strictEqual(findDependsOnAt(scopes, 1, 14), null);
+  });
+});
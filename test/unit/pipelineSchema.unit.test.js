@@ -0,0 +1,292 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for pipelineSchema.js
+ *
+ * Tests:
+ *   - PIPELINE_SCHEMA (data integrity)
+ *   - isAzurePipelinesDocument
+ *   - validatePipelineStructure
+ *
+ * Run with:  npx mocha test/unit/pipelineSchema.unit.test.js
+ */
+
+const assert = require('assert');
+
+const { PIPELINE_SCHEMA, isAzurePipelinesDocument, validatePipelineStructure } = require('../../pipelineSchema');
+const { parseYaml } = require('../../yamlParser');
+
+/** Shorthand: [code, line, col] of each problem. */
+function check(lines) {
+  return validatePipelineStructure(lines.join('\n')).map(p => [p.code, p.node.line, p.node.col]);
+}
+
+describe('PIPELINE_SCHEMA', () => {
+
+  it('only refers to schema entries that exist', () => {
+    const lists = ['stageList', 'jobList', 'stepList', 'dependsOn', 'condition'];
+    for (const [name, def] of Object.entries(PIPELINE_SCHEMA)) {
+      for (const [key, target] of Object.entries(def.keys)) {
+        if (target === null) continue;
+        assert.ok(target in PIPELINE_SCHEMA || lists.includes(target), `${name}.${key} → ${target}`);
+      }
+    }
+  });
+
+  it('has a step entry for every kind of step', () => {
+    for (const kind of ['task', 'script', 'bash', 'pwsh', 'powershell', 'checkout', 'download', 'downloadBuild', 'getPackage', 'publish', 'reviewApp']) {
+      assert.ok(PIPELINE_SCHEMA[`step:${kind}`], kind);
+    }
+  });
+});
+
+describe('isAzurePipelinesDocument', () => {
+
+  const detect = (text) => isAzurePipelinesDocument(parseYaml(text).root);
+
+  it('recognises pipelines and templates', () => {
+    assert.strictEqual(detect('trigger: none\npool: Default\n'), true);
+    assert.strictEqual(detect('parameters:\n  - name: a\n'), true);
+    assert.strictEqual(detect('steps:\n  - script: echo\n'), true);
+  });
+
+  it('ignores other YAML that uses similar keys', () => {
+    assert.strictEqual(detect('on: push\njobs:\n  build:\n    runs-on: ubuntu-latest\n'), false);
+    assert.strictEqual(detect('services:\n  db:\n    image: postgres\n'), false);
+    assert.strictEqual(detect('- a\n- b\n'), false);
+  });
+});
+
+describe('validatePipelineStructure', () => {
+
+  it('accepts a complete, valid pipeline', () => {
+    assert.deepStrictEqual(check([
+      'trigger:',
+      '  branches:',
+      '    include: [main]',
+      'pool:',
+      '  vmImage: ubuntu-latest',
+      'stages:',
+      '  - stage: Build',
+      '    jobs:',
+      '      - job: Compile',
+      '        strategy:',
+      '          matrix:',
+      '            linux: { os: linux }',
+      '        steps:',
+      '          - checkout: self',
+      '            fetchDepth: 1',
+      '          - task: Bash@3',
+      '            displayName: Build',
+      '            inputs:',
+      '              script: make',
+      '          - template: steps/test.yml',
+      '            parameters:',
+      '              coverage: true',
+      '  - stage: Deploy',
+      '    dependsOn: [Build]',
+      '    condition: succeeded()',
+      '    jobs:',
+      '      - deployment: Web',
+      '        environment: production',
+      '        strategy:',
+      '          runOnce:',
+      '            deploy:',
+      '              steps:',
+      '                - script: ./deploy.sh',
+      '            on:',
+      '              failure:',
+      '                steps:',
+      '                  - script: ./rollback.sh',
+    ]), []);
+  });
+
+  it('compares keywords case-insensitively', () => {
+    assert.deepStrictEqual(check([
+      'jobs:',
+      '  - job: Build',
+      '    Steps:',
+      '      - script: echo',
+      '        DisplayName: Echo',
+    ]), []);
+  });
+
+  it('reports unknown keys', () => {
+    assert.deepStrictEqual(check([
+      'pool:',
+      '  vmImage: ubuntu-latest',
+      '  image: ubuntu',
+      'steps:',
+      '  - script: echo',
+      '    displayname2: Echo',
+    ]), [
+      ['unknown-keyword', 2, 2],
+      ['unknown-keyword', 5, 4],
+    ]);
+  });
+
+  it('reports keys that belong somewhere else', () => {
+    const problems = validatePipelineStructure([
+      'stages:',
+      '  - stage: Build',
+      '    steps:',
+      '      - script: echo',
+      '    jobs:',
+      '      - job: Test',
+      '        environment: test',
+      '        steps:',
+      '          - script: echo',
+      '            inputs: {}',
+    ].join('\n'));
+    assert.deepStrictEqual(problems.map(p => [p.code, p.node.line]), [
+      ['misplaced-keyword', 2],
+      ['misplaced-keyword', 6],
+      ['misplaced-keyword', 9],
+    ]);
+    assert.ok(problems[0].message.includes("steps belong to a job under 'jobs:'"));
+    assert.ok(problems[1].message.includes('belongs on a deployment job'));
+    assert.ok(problems[2].message.includes('belongs on a task step or a downloadBuild step'));
+  });
+
+  it('reports jobs and steps listed at the wrong level', () => {
+    assert.deepStrictEqual(check([
+      'stages:',
+      '  - job: Build',
+      '  - script: echo',
+      '  - stage: Test',
+      '    jobs:',
+      '      - script: echo',
+      '      - job: Unit',
+      '        steps:',
+      '          - job: Nested',
+    ]), [
+      ['misplaced-keyword', 1, 4],
+      ['misplaced-keyword', 2, 4],
+      ['misplaced-keyword', 5, 8],
+      ['misplaced-keyword', 8, 12],
+    ]);
+  });
+
+  it('reports list items without an identifying key', () => {
+    assert.deepStrictEqual(check([
+      'jobs:',
+      '  - displayName: Build',
+      '  - job: Test',
+      '    steps:',
+      '      - displayName: Echo',
+    ]), [
+      ['missing-keyword', 1, 4],
+      ['missing-keyword', 4, 8],
+    ]);
+  });
+
+  it('reports deployment jobs without an environment', () => {
+    const [problem, ...rest] = validatePipelineStructure([
+      'jobs:',
+      '  - deployment: Web',
+      '    strategy:',
+      '      runOnce:',
+      '        deploy:',
+      '          steps: []',
+    ].join('\n'));
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(problem.code, 'invalid-keyword-combination');
+    assert.ok(problem.message.includes("Deployment job 'Web' has no 'environment'"));
+  });
+
+  it('reports invalid strategy combinations', () => {
+    assert.deepStrictEqual(check([
+      'jobs:',
+      '  - job: Build',
+      '    strategy:',
+      '      matrix: {}',
+      '      parallel: 2',
+      '  - deployment: Web',
+      '    environment: prod',
+      '    strategy:',
+      '      runOnce: {}',
+      '      canary: {}',
+      '  - deployment: Api',
+      '    environment: prod',
+      '    strategy:',
+      '      matrix: {}',
+    ]), [
+      ['invalid-keyword-combination', 4, 6],
+      ['invalid-keyword-combination', 9, 6],
+      ['misplaced-keyword', 13, 6],
+      ['missing-keyword', 13, 6],
+    ]);
+  });
+
+  it('reports more than one of stages, jobs, steps and extends at the root', () => {
+    assert.deepStrictEqual(check([
+      'steps:',
+      '  - script: echo',
+      'extends:',
+      '  template: base.yml',
+    ]), [['invalid-keyword-combination', 2, 0]]);
+  });
+
+  it('reports values of the wrong kind', () => {
+    assert.deepStrictEqual(check([
+      'pool: [a, b]',
+      'jobs:',
+      '  - job: Build',
+      '    dependsOn:',
+      '      name: A',
+      '    condition: [succeeded()]',
+      '    steps: echo',
+    ]), [
+      ['invalid-keyword-value', 0, 6],
+      ['invalid-keyword-value', 4, 6],
+      ['invalid-keyword-value', 5, 15],
+      ['invalid-keyword-value', 6, 11],
+    ]);
+  });
+
+  it('checks the contents of conditional and loop blocks', () => {
+    assert.deepStrictEqual(check([
+      'parameters:',
+      '  - name: jobs',
+      '    type: jobList',
+      'jobs:',
+      '  - ${{ each job in parameters.jobs }}:',
+      '    - ${{ job }}',
+      '  - job: Build',
+      "    ${{ if eq(parameters.debug, true) }}:",
+      '      timeout: 10',
+      '    steps:',
+      "      - ${{ if eq(parameters.debug, true) }}:",
+      '        - script: echo',
+      '          bogus: true',
+    ]), [
+      ['unknown-keyword', 8, 6],
+      ['unknown-keyword', 12, 10],
+    ]);
+  });
+
+  it('trusts keys and values built by expressions', () => {
+    assert.deepStrictEqual(check([
+      'jobs:',
+      '  - job: Build',
+      '    pool: ${{ parameters.pool }}',
+      '    strategy: $[ variables.strategy ]',
+      '    ${{ insert }}: ${{ parameters.jobSettings }}',
+      '    steps:',
+      '      - ${{ parameters.preSteps }}',
+      '      - ${{ each pair in parameters.env }}:',
+      '          ${{ pair.key }}: ${{ pair.value }}',
+    ]), []);
+  });
+
+  it('ignores YAML that is not an Azure Pipelines file', () => {
+    assert.deepStrictEqual(check([
+      'on: push',
+      'jobs:',
+      '  build:',
+      '    runs-on: ubuntu-latest',
+      '    steps:',
+      '      - uses: actions/checkout@v4',
+    ]), []);
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for predefinedVariables.js
+ *
+ * Tests:
+ *   - lookupPredefinedVariable
+ *   - isPredefinedNamespace
+ *   - availabilityNote
+ *
+ * Run with:  npx mocha test/unit/predefinedVariables.unit.test.js
+ */
+
+const assert = require('assert');
+
+const {
+  PREDEFINED_VARIABLES, lookupPredefinedVariable, isPredefinedNamespace, availabilityNote,
+} = require('../../predefinedVariables');
+
+describe('lookupPredefinedVariable', () => {
+
+  it('finds catalog entries case-insensitively', () => {
+    const v = lookupPredefinedVariable('build.sourcebranch');
+    assert.ok(v);
+    assert.strictEqual(v.name, 'Build.SourceBranch');
+    assert.ok(v.description.length > 0);
+  });
+
+  it('returns null for names that are not in the catalog', () => {
+    assert.strictEqual(lookupPredefinedVariable('configuration'), null);
+    assert.strictEqual(lookupPredefinedVariable('Build.NoSuchThing'), null);
+  });
+
+  it('marks System.AccessToken as secret', () => {
+    assert.strictEqual(lookupPredefinedVariable('System.AccessToken').secret, true);
+  });
+
+  it('has no duplicate names', () => {
+    const names = PREDEFINED_VARIABLES.map(v => v.name.toLowerCase());
+    assert.strictEqual(new Set(names).size, names.length);
+  });
+});
+
+describe('isPredefinedNamespace', () => {
+
+  it('recognises the predefined prefixes', () => {
+    assert.ok(isPredefinedNamespace('Build.Custom'));
+    assert.ok(isPredefinedNamespace('system.debug'));
+    assert.ok(isPredefinedNamespace('Agent.OS'));
+  });
+
+  it('rejects user variables', () => {
+    assert.ok(!isPredefinedNamespace('configuration'));
+    assert.ok(!isPredefinedNamespace('setVersion.version'));
+  });
+});
+
+describe('availabilityNote', () => {
+
+  it('says whether the variable can be used in template expressions', () => {
+    assert.match(availabilityNote(lookupPredefinedVariable('Build.SourceBranch')), /compile time/);
+    assert.match(availabilityNote(lookupPredefinedVariable('Agent.OS')), /Runtime only/);
+  });
+
+  it('appends the catalog note', () => {
+    const note = availabilityNote(lookupPredefinedVariable('System.AccessToken'));
+    assert.ok(note.endsWith(lookupPredefinedVariable('System.AccessToken').note));
+  });
+});
@@ -8,6 +8,8 @@
  *   - buildAddMissingParamFix
  *   - buildRemoveUnknownParamFix
  *   - buildFixTypeMismatchFix
+ *   - buildAddVariableFix / planVariableInsertion
+ *   - buildSwitchToReplacementFix
  *   - quickFixProvider.provideCodeActions (integration)
  *
  * Run with:  npx mocha test/unit/quickFixProvider.unit.test.js
@@ -139,12 +141,18 @@ Module._load = function (request) {
   return _orig.apply(this, arguments);
 };
 
+// Load a fresh copy so the stub above is used even when another test file
+// already required quickFixProvider with its own vscode stub.
+delete require.cache[require.resolve('../../quickFixProvider')];
 const {
   quickFixProvider,
   buildAddMissingParamFix,
   buildRemoveUnknownParamFix,
   buildFixTypeMismatchFix,
   buildRemoveUnusedParamFix,
+  buildAddVariableFix,
+  buildSwitchToReplacementFix,
+  planVariableInsertion,
   canonicalLiteralForType,
   findParametersLine,
   findLastParamLine,
@@ -738,3 +746,113 @@ describe('buildRemoveUnusedParamFix', () => {
     assert.deepStrictEqual(action.diagnostics, [diag]);
   });
 });
+
+// ---------------------------------------------------------------------------
+// buildAddVariableFix / planVariableInsertion
+// ---------------------------------------------------------------------------
+
+describe('planVariableInsertion', () => {
+
+  it('appends to the innermost mapping-form variables: block', () => {
+    const text = [
+      'variables:',
+      '  a: 1',
+      'jobs:',
+      '  - job: Build',
+      '    variables:',
+      '      b: 2',
+      '    steps:',
+      '      - script: echo $(missing)',
+    ].join('\n');
+    assert.deepStrictEqual(planVariableInsertion(text, 7, 'missing'), { line: 5, character: 10, text: '\n      missing: ' });
+  });
+
+  it('appends a name / value entry to a list-form block', () => {
+    const text = [
+      'variables:',
+      '  - group: shared',
+      '  - name: a',
+      '    value: 1',
+      'steps:',
+      '  - script: echo $(missing)',
+    ].join('\n');
+    assert.deepStrictEqual(planVariableInsertion(text, 5, 'missing'), {
+      line: 3, character: 12, text: '\n  - name: missing\n    value: ',
+    });
+  });
+
+  it('fills an empty block', () => {
+    const text = ['variables: {}', 'steps:', '  - script: echo $(missing)'].join('\n');
+    assert.deepStrictEqual(planVariableInsertion(text, 2, 'missing'), {
+      line: 0, character: 10, end: { line: 0, character: 13 }, text: '\n  missing: ',
+    });
+  });
+
+  it('creates a root block above the section that holds the reference', () => {
+    const text = ['trigger: none', 'steps:', '  - script: echo $(missing)'].join('\n');
+    assert.deepStrictEqual(planVariableInsertion(text, 2, 'missing'), {
+      line: 1, character: 0, text: 'variables:\n  missing: \n\n',
+    });
+  });
+});
+
+describe('buildAddVariableFix', () => {
+
+  const lines = ['trigger: none', 'variables:', '  a: 1', 'steps:', '  - script: echo $(missing)'];
+
+  it('inserts the variable and names it in the title', () => {
+    const diag = makeDiag('undefined-variable',
+      "Variable 'missing' is not defined in any variables: block in scope, variable template or predefined variable", 4);
+    const action = buildAddVariableFix(makeDocument(lines), diag);
+    assert.strictEqual(action.title, "Add variable 'missing' to variables:");
+    assert.deepStrictEqual(action.edit._inserts.map(i => [i.position.line, i.position.character, i.text]), [[2, 6, '\n  missing: ']]);
+  });
+
+  it('is offered for variable-group references but not for predefined names', () => {
+    const group = makeDiag('undefined-variable', "Variable 'missing' is not declared in scope; it may be defined in variable group(s) 'g'", 4);
+    assert.ok(quickFixProvider.provideCodeActions(makeDocument(lines), null, { diagnostics: [group] }).length === 1);
+    const predefined = makeDiag('undefined-variable', "Variable 'Build.Foo' is not a known predefined variable", 4);
+    assert.strictEqual(buildAddVariableFix(makeDocument(lines), predefined), undefined);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// buildSwitchToReplacementFix
+// ---------------------------------------------------------------------------
+
+describe('buildSwitchToReplacementFix', () => {
+
+  const lines = [
+    '- template: ../templates/build.yml',
+    '  parameters:',
+    '    solution: App.sln',
+  ];
+
+  it('replaces a deprecated template reference', () => {
+    const diag = makeDiag('deprecated-template',
+      "Template '../templates/build.yml' is deprecated: Slow. — switch to '../templates/v2/build.yml'");
+    diag.range = new FakeRange(0, 12, 0, 34);
+    const [action] = quickFixProvider.provideCodeActions(makeDocument(lines), null, { diagnostics: [diag] });
+    assert.strictEqual(action.title, "Switch to replacement '../templates/v2/build.yml'");
+    assert.deepStrictEqual(action.edit._replaces.map(r => [r.range.start.character, r.range.end.character, r.text]),
+      [[12, 34, '../templates/v2/build.yml']]);
+  });
+
+  it('renames a deprecated parameter key', () => {
+    const diag = makeDiag('deprecated-param',
+      "Parameter 'solution' of template '../templates/build.yml' is deprecated — switch to 'project'", 2);
+    diag.range = new FakeRange(2, 4, 2, 12);
+    const action = buildSwitchToReplacementFix(makeDocument(lines), diag);
+    assert.deepStrictEqual(action.edit._replaces.map(r => [r.range.start.line, r.range.start.character, r.text]),
+      [[2, 4, 'project']]);
+  });
+
+  it('is not offered without a usable replacement', () => {
+    for (const message of [
+      "Parameter 'solution' of template '../templates/build.yml' is deprecated — use 'project' instead",
+      "Template '../templates/build.yml' is deprecated",
+    ]) {
+      assert.strictEqual(buildSwitchToReplacementFix(makeDocument(lines), makeDiag('deprecated-param', message)), undefined);
+    }
+  });
+});
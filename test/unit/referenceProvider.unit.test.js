@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for referenceProvider.js
+ *
+ * Tests:
+ *   - findTemplateCallSites
+ *   - findParameterAt
+ *   - findParameterUses
+ *   - findReferences (template call sites, parameter references, short and
+ *     key-like parameter names, flow-style calls)
+ *
+ * Run with:  npx mocha test/unit/referenceProvider.unit.test.js
+ */
+
+const assert = require('assert');
+const path   = require('path');
+const fs     = require('fs');
+
+// ---------------------------------------------------------------------------
+// Stub the 'vscode' module — the functions under test never touch it.
+// ---------------------------------------------------------------------------
+const { makeRepo, loadWithVscodeStub } = require('./helpers');
+const [{
+  findReferences,
+  findTemplateCallSites,
+  findParameterUses,
+  findParameterAt,
+}, { WorkspaceIndex }] = loadWithVscodeStub({}, () => [
+  require('../../referenceProvider'),
+  require('../../workspaceIndex'),
+]);
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const BUILD_TEMPLATE = [
+  'parameters:',
+  '  - name: project',
+  '    type: string',
+  '  - name: configuration',
+  '    type: string',
+  '    default: Release',
+  'steps:',
+  '  - script: dotnet build ${{ parameters.project }} -c ${{ parameters.configuration }}',
+  "  - ${{ if eq(parameters['configuration'], 'Debug') }}:",
+  '    - script: echo debug  # ${{ parameters.configuration }}',
+].join('\n');
+
+function buildRepo() {
+  return makeRepo({
+    'azure-pipelines.yml': [
+      'trigger: [main]',
+      'steps:',
+      '  - template: templates/build.yml',
+      '    parameters:',
+      '      project: app.csproj',
+      '      configuration: Debug',
+    ].join('\n'),
+    'jobs/ci.yml': [
+      'jobs:',
+      '  - job: CI',
+      '    steps:',
+      '      - template: ../templates/build.yml',
+      '        parameters:',
+      '          project: api.csproj',
+      "          ${{ if eq(variables['Build.Reason'], 'PullRequest') }}:",
+      '            configuration: Debug',
+      '          ${{ else }}:',
+      '            configuration: Release',
+    ].join('\n'),
+    'templates/build.yml': BUILD_TEMPLATE,
+    'templates/other.yml': 'steps:\n  - script: echo other',
+  });
+}
+
+/** Formats locations as 'relative/path:line:start-end' for comparison. */
+function format(root, refs) {
+  return refs.map(r => `${path.relative(root, r.filePath).replace(/\\/g, '/')}:${r.line}:${r.start}-${r.end}`);
+}
+
+// ---------------------------------------------------------------------------
+// findTemplateCallSites
+// ---------------------------------------------------------------------------
+
+describe('findTemplateCallSites', () => {
+  let root;
+  afterEach(() => { if (root) fs.rmSync(root, { recursive: true, force: true }); root = null; });
+
+  it('lists every template reference that resolves to the file', () => {
+    root = buildRepo();
+    const index = new WorkspaceIndex();
+    index.build(root);
+    const sites = findTemplateCallSites(path.join(root, 'templates', 'build.yml'), index);
+    assert.deepStrictEqual(format(root, sites), [
+      'azure-pipelines.yml:2:14-33',
+      'jobs/ci.yml:3:18-40',
+    ]);
+  });
+
+  it('returns nothing for a template nobody calls', () => {
+    root = buildRepo();
+    const index = new WorkspaceIndex();
+    index.build(root);
+    assert.deepStrictEqual(findTemplateCallSites(path.join(root, 'templates', 'other.yml'), index), []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// findParameterAt / findParameterUses
+// ---------------------------------------------------------------------------
+
+describe('findParameterAt', () => {
+
+  it('finds the parameter declared on a line', () => {
+    assert.deepStrictEqual(findParameterAt(BUILD_TEMPLATE, 3, 0), { name: 'configuration', line: 3 });
+  });
+
+  it('finds the parameter used under the cursor', () => {
+    assert.deepStrictEqual(findParameterAt(BUILD_TEMPLATE, 7, 40), { name: 'project', line: 1 });
+  });
+
+  it('returns null elsewhere', () => {
+    assert.strictEqual(findParameterAt(BUILD_TEMPLATE, 2, 6), null);
+    assert.strictEqual(findParameterAt(BUILD_TEMPLATE, 7, 4), null);
+  });
+});
+
+describe('findParameterUses', () => {
+
+  it('finds property and indexer uses, skipping comments', () => {
+    assert.deepStrictEqual(findParameterUses(BUILD_TEMPLATE, 'configuration'), [
+      { line: 7, start: 69, end: 82 },
+      { line: 8, start: 26, end: 39 },
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// findReferences
+// ---------------------------------------------------------------------------
+
+describe('findReferences', () => {
+  let root;
+  afterEach(() => { if (root) fs.rmSync(root, { recursive: true, force: true }); root = null; });
+
+  it('lists the call sites of the template outside parameter references', () => {
+    root = buildRepo();
+    const index = new WorkspaceIndex();
+    index.build(root);
+    const file = path.join(root, 'templates', 'build.yml');
+    assert.deepStrictEqual(format(root, findReferences(BUILD_TEMPLATE, file, 6, 2, index)), [
+      'azure-pipelines.yml:2:14-33',
+      'jobs/ci.yml:3:18-40',
+    ]);
+  });
+
+  it('lists the declaration, uses and passing call sites of a parameter', () => {
+    root = buildRepo();
+    const index = new WorkspaceIndex();
+    index.build(root);
+    const file = path.join(root, 'templates', 'build.yml');
+    assert.deepStrictEqual(format(root, findReferences(BUILD_TEMPLATE, file, 3, 12, index)), [
+      'templates/build.yml:3:10-23',
+      'templates/build.yml:7:69-82',
+      'templates/build.yml:8:26-39',
+      'azure-pipelines.yml:5:6-19',
+      'jobs/ci.yml:7:12-25',
+      'jobs/ci.yml:9:12-25',
+    ]);
+  });
+
+  it('leaves out the declaration when asked to', () => {
+    root = buildRepo();
+    const index = new WorkspaceIndex();
+    index.build(root);
+    const file = path.join(root, 'templates', 'build.yml');
+    assert.deepStrictEqual(format(root, findReferences(BUILD_TEMPLATE, file, 7, 40, index, false)), [
+      'templates/build.yml:7:40-47',
+      'azure-pipelines.yml:4:6-13',
+      'jobs/ci.yml:5:10-17',
+    ]);
+  });
+
+  it('locates short and key-like parameter names on their key, in block and flow calls', () => {
+    root = makeRepo({
+      'pipeline.yml': [
+        'steps:',
+        '  - template: templates/short.yml',
+        '    parameters:',
+        '      name: a',
+        '      a: name',
+        '  - template: templates/short.yml',
+        '    parameters: { name: foo, a: bar }',
+      ],
+      'templates/short.yml': [
+        'parameters:',
+        '  - name: a',
+        '  - name: name',
+        '    default: x',
+        'steps:',
+        '  - script: echo ${{ parameters.a }} ${{ parameters.name }}',
+      ],
+    });
+    const index = new WorkspaceIndex();
+    index.build(root);
+    const file = path.join(root, 'templates', 'short.yml');
+    const text = fs.readFileSync(file, 'utf8');
+    assert.deepStrictEqual(format(root, findReferences(text, file, 1, 10, index)), [
+      'templates/short.yml:1:10-11',
+      'templates/short.yml:5:32-33',
+      'pipeline.yml:4:6-7',
+      'pipeline.yml:6:29-30',
+    ]);
+    assert.deepStrictEqual(format(root, findReferences(text, file, 2, 12, index)), [
+      'templates/short.yml:2:10-14',
+      'templates/short.yml:5:52-56',
+      'pipeline.yml:3:6-10',
+      'pipeline.yml:6:18-22',
+    ]);
+  });
+});
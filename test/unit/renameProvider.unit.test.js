@@ -0,0 +1,263 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for renameProvider.js
+ *
+ * Tests:
+ *   - findRenameTarget (declarations, uses, passed parameters)
+ *   - planParameterRename (edits and conflicts, short and key-like names,
+ *     flow-style calls, unsaved callers)
+ *
+ * Run with:  npx mocha test/unit/renameProvider.unit.test.js
+ */
+
+const assert = require('assert');
+const path   = require('path');
+const fs     = require('fs');
+
+// ---------------------------------------------------------------------------
+// Stub the 'vscode' module — only the severities diagnosticProvider reads
+// when it loads are needed.
+// ---------------------------------------------------------------------------
+const { makeRepo, loadWithVscodeStub } = require('./helpers');
+const [{ findRenameTarget, planParameterRename }, { WorkspaceIndex }] = loadWithVscodeStub({ DiagnosticSeverity: { Error: 0, Warning: 1, Information: 2, Hint: 3 } }, () => [
+  require('../../renameProvider'),
+  require('../../workspaceIndex'),
+]);
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const BUILD_TEMPLATE = [
+  'parameters:',
+  '  - name: project',
+  '    type: string',
+  '  - name: configuration',
+  '    type: string',
+  '    default: Release',
+  'steps:',
+  '  - script: dotnet build ${{ parameters.project }} -c ${{ parameters.configuration }}',
+  "  - ${{ if eq(parameters['configuration'], 'Debug') }}:",
+  '    - script: echo debug',
+].join('\n');
+
+const PIPELINE = [
+  'trigger: [main]',
+  'steps:',
+  '  - template: templates/build.yml',
+  '    parameters:',
+  '      project: app.csproj',
+  '      configuration: Debug',
+].join('\n');
+
+/** Calls a template with parameters `a` and `name`, in block and flow style. */
+const SHORT_PIPELINE = [
+  'steps:',
+  '  - template: templates/short.yml',
+  '    parameters:',
+  '      name: a',
+  '      a: name',
+  '  - template: templates/short.yml',
+  '    parameters: { name: foo, a: bar }',
+].join('\n');
+
+function shortRepo() {
+  return makeRepo({
+    'pipeline.yml': SHORT_PIPELINE,
+    'templates/short.yml': [
+      'parameters:',
+      '  - name: a',
+      '  - name: name',
+      '    default: x',
+      'steps:',
+      '  - script: echo ${{ parameters.a }} ${{ parameters.name }}',
+    ],
+  });
+}
+
+function buildRepo(extra = {}) {
+  return makeRepo(Object.assign({
+    'azure-pipelines.yml': PIPELINE,
+    'jobs/ci.yml': [
+      'jobs:',
+      '  - job: CI',
+      '    steps:',
+      '      - template: ../templates/build.yml',
+      '        parameters:',
+      '          project: api.csproj',
+      "          ${{ if eq(variables['Build.Reason'], 'PullRequest') }}:",
+      '            configuration: Debug',
+      '          ${{ else }}:',
+      '            configuration: Release',
+    ].join('\n'),
+    'templates/build.yml': BUILD_TEMPLATE,
+  }, extra));
+}
+
+/** Formats edits as 'relative/path:line:start-end' for comparison. */
+function format(root, edits) {
+  return edits.map(e => `${path.relative(root, e.filePath).replace(/\\/g, '/')}:${e.line}:${e.start}-${e.end}`);
+}
+
+// ---------------------------------------------------------------------------
+// findRenameTarget
+// ---------------------------------------------------------------------------
+
+describe('findRenameTarget', () => {
+  let root;
+  afterEach(() => { if (root) fs.rmSync(root, { recursive: true, force: true }); root = null; });
+
+  it('finds a declaration and the name range on its line', () => {
+    const target = findRenameTarget(BUILD_TEMPLATE, '/repo/build.yml', 3, 4);
+    assert.deepStrictEqual(target, {
+      templatePath: '/repo/build.yml',
+      name: 'configuration',
+      range: { line: 3, start: 10, end: 23 },
+    });
+  });
+
+  it('finds a use in the template body', () => {
+    const target = findRenameTarget(BUILD_TEMPLATE, '/repo/build.yml', 8, 30);
+    assert.deepStrictEqual(target.range, { line: 8, start: 26, end: 39 });
+    assert.strictEqual(target.name, 'configuration');
+  });
+
+  it('finds a key passed to a template and resolves the template', () => {
+    root = buildRepo();
+    const file = path.join(root, 'azure-pipelines.yml');
+    const target = findRenameTarget(PIPELINE, file, 4, 8);
+    assert.deepStrictEqual(target, {
+      templatePath: path.join(root, 'templates', 'build.yml'),
+      name: 'project',
+      range: { line: 4, start: 6, end: 13 },
+    });
+  });
+
+  it('finds a key passed in a ${{ if }} branch', () => {
+    root = buildRepo();
+    const file = path.join(root, 'jobs', 'ci.yml');
+    const target = findRenameTarget(fs.readFileSync(file, 'utf8'), file, 9, 15);
+    assert.strictEqual(target.name, 'configuration');
+    assert.strictEqual(target.templatePath, path.join(root, 'templates', 'build.yml'));
+    assert.deepStrictEqual(target.range, { line: 9, start: 12, end: 25 });
+  });
+
+  it('finds short and key-like names on their key, in block and flow calls', () => {
+    root = shortRepo();
+    const file = path.join(root, 'pipeline.yml');
+    const template = path.join(root, 'templates', 'short.yml');
+    assert.deepStrictEqual(findRenameTarget(SHORT_PIPELINE, file, 3, 8), { templatePath: template, name: 'name', range: { line: 3, start: 6, end: 10 } });
+    assert.deepStrictEqual(findRenameTarget(SHORT_PIPELINE, file, 6, 29), { templatePath: template, name: 'a', range: { line: 6, start: 29, end: 30 } });
+    assert.strictEqual(findRenameTarget(SHORT_PIPELINE, file, 6, 8), null);
+  });
+
+  it('returns null elsewhere', () => {
+    assert.strictEqual(findRenameTarget(PIPELINE, '/repo/azure-pipelines.yml', 4, 17), null);
+    assert.strictEqual(findRenameTarget(BUILD_TEMPLATE, '/repo/build.yml', 7, 4), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// planParameterRename
+// ---------------------------------------------------------------------------
+
+describe('planParameterRename', () => {
+  let root;
+  afterEach(() => { if (root) fs.rmSync(root, { recursive: true, force: true }); root = null; });
+
+  /** Plans a rename of a parameter of `<root>/templates/build.yml`. */
+  function plan(name, newName) {
+    const index = new WorkspaceIndex();
+    index.build(root);
+    const file = path.join(root, 'templates', 'build.yml');
+    return planParameterRename(fs.readFileSync(file, 'utf8'), file, name, newName, index);
+  }
+
+  it('renames the declaration, the uses and every passed key', () => {
+    root = buildRepo();
+    assert.deepStrictEqual(format(root, plan('configuration', 'buildConfiguration').edits), [
+      'templates/build.yml:3:10-23',
+      'templates/build.yml:7:69-82',
+      'templates/build.yml:8:26-39',
+      'azure-pipelines.yml:5:6-19',
+      'jobs/ci.yml:7:12-25',
+      'jobs/ci.yml:9:12-25',
+    ]);
+  });
+
+  it('returns no edits when the name does not change', () => {
+    root = buildRepo();
+    assert.deepStrictEqual(plan('project', 'project'), { edits: [] });
+  });
+
+  it('refuses invalid names', () => {
+    root = buildRepo();
+    assert.match(plan('project', 'my-project').error, /not a valid parameter name/);
+    assert.match(plan('project', '2nd').error, /not a valid parameter name/);
+  });
+
+  it('refuses a name the template already declares', () => {
+    root = buildRepo();
+    assert.strictEqual(plan('project', 'Configuration').error, "build.yml already declares a parameter 'Configuration'");
+  });
+
+  it('refuses a name the template body already references', () => {
+    root = buildRepo({
+      'templates/build.yml': `${BUILD_TEMPLATE}\n  - script: echo \${{ parameters.solution }}`,
+    });
+    assert.strictEqual(plan('project', 'solution').error, "build.yml already references 'parameters.solution'");
+  });
+
+  it('refuses a name a caller already passes', () => {
+    root = buildRepo({
+      'azure-pipelines.yml': `${PIPELINE}\n      solution: app.sln`,
+    });
+    assert.strictEqual(
+      plan('project', 'solution').error,
+      "The call in azure-pipelines.yml (line 3) already passes 'solution' to build.yml"
+    );
+  });
+
+  it('renames short and key-like names on their key only, in block and flow calls', () => {
+    root = shortRepo();
+    const index = new WorkspaceIndex();
+    index.build(root);
+    const file = path.join(root, 'templates', 'short.yml');
+    const text = fs.readFileSync(file, 'utf8');
+    assert.deepStrictEqual(format(root, planParameterRename(text, file, 'a', 'alpha', index).edits), [
+      'templates/short.yml:1:10-11',
+      'templates/short.yml:5:32-33',
+      'pipeline.yml:4:6-7',
+      'pipeline.yml:6:29-30',
+    ]);
+    assert.deepStrictEqual(format(root, planParameterRename(text, file, 'name', 'title', index).edits), [
+      'templates/short.yml:2:10-14',
+      'templates/short.yml:5:52-56',
+      'pipeline.yml:3:6-10',
+      'pipeline.yml:6:18-22',
+    ]);
+  });
+
+  it('reads callers through readText, so unsaved changes are renamed', () => {
+    root = buildRepo();
+    const index = new WorkspaceIndex();
+    index.build(root);
+    const file = path.join(root, 'templates', 'build.yml');
+    const caller = path.join(root, 'azure-pipelines.yml');
+    const unsaved = `# Unsaved\n${PIPELINE.replace('app.csproj', 'app.csproj\n      solution: app.sln')}`;
+    const readText = (p) => (p === caller ? unsaved : fs.readFileSync(p, 'utf8'));
+
+    const edits = planParameterRename(BUILD_TEMPLATE, file, 'configuration', 'cfg', index, readText).edits;
+    assert.deepStrictEqual(format(root, edits).filter(e => e.startsWith('azure-pipelines.yml')), ['azure-pipelines.yml:7:6-19']);
+    assert.strictEqual(
+      planParameterRename(BUILD_TEMPLATE, file, 'project', 'solution', index, readText).error,
+      "The call in azure-pipelines.yml (line 4) already passes 'solution' to build.yml"
+    );
+  });
+
+  it('refuses a name that is not a parameter of the template', () => {
+    root = buildRepo();
+    assert.strictEqual(plan('solution', 'sln').error, "'solution' is not a parameter of build.yml");
+  });
+});
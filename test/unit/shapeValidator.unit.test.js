@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for shapeValidator.js
+ *
+ * Tests:
+ *   - validateValueShape for step / job / stage item and list types
+ *   - template-expression and ${{ if }} / ${{ each }} handling
+ *
+ * Run with:  npx mocha test/unit/shapeValidator.unit.test.js
+ */
+
+const assert = require('assert');
+
+const { parseYaml, getMapValue } = require('../../yamlParser');
+const { validateValueShape } = require('../../shapeValidator');
+
+/** Parses `value:` followed by the given lines and returns the value node. */
+function valueOf(...lines) {
+  return getMapValue(parseYaml(['value:', ...lines].join('\n')).root, 'value');
+}
+
+/** Shorthand: the messages of all problems found. */
+function problems(node, type) {
+  return validateValueShape(node, type).map(p => p.message);
+}
+
+// ---------------------------------------------------------------------------
+// stepList / step
+// ---------------------------------------------------------------------------
+
+describe('validateValueShape — stepList', () => {
+
+  it('accepts a sequence of well-formed steps', () => {
+    const node = valueOf(
+      '  - script: echo hi',
+      '    displayName: Say hi',
+      '  - task: DotNetCoreCLI@2',
+      '  - template: steps/more.yml',
+    );
+    assert.deepStrictEqual(problems(node, 'stepList'), []);
+  });
+
+  it('reports a step without a step key on its first key', () => {
+    const node = valueOf('  - displayName: Nothing to run');
+    const [p, ...rest] = validateValueShape(node, 'stepList');
+    assert.strictEqual(rest.length, 0);
+    assert.match(p.message, /A step must have one of: task, script/);
+    assert.strictEqual(p.node.line, 1);
+    assert.strictEqual(p.node.col, 4);
+  });
+
+  it('reports a step with two step keys on the second key', () => {
+    const node = valueOf('  - script: a', '    bash: b');
+    const [p] = validateValueShape(node, 'stepList');
+    assert.match(p.message, /found 'script' and 'bash'/);
+    assert.strictEqual(p.node.line, 2);
+  });
+
+  it('reports a mapping where a sequence is expected', () => {
+    const node = valueOf('  script: echo hi');
+    assert.deepStrictEqual(problems(node, 'stepList'), [
+      'Expected a stepList (a sequence of steps), got a mapping',
+    ]);
+  });
+
+  it('reports scalar items that are not expressions', () => {
+    assert.deepStrictEqual(problems(valueOf('  - echo hi'), 'stepList'), [
+      "Expected a step mapping, got the scalar 'echo hi'",
+    ]);
+  });
+
+  it('accepts expression items and whole-value expressions', () => {
+    assert.deepStrictEqual(problems(valueOf('  - ${{ parameters.more }}'), 'stepList'), []);
+    assert.deepStrictEqual(problems(parseYaml('value: ${{ parameters.more }}').root.entries[0].value, 'stepList'), []);
+  });
+
+  it('checks the bodies of ${{ if }} and ${{ each }} blocks', () => {
+    const node = valueOf(
+      '  - ${{ if eq(parameters.x, true) }}:',
+      '    - script: ok',
+      '    - displayName: broken',
+      '  - ${{ each s in parameters.list }}:',
+      '    - script: echo ${{ s }}',
+    );
+    const found = validateValueShape(node, 'stepList');
+    assert.strictEqual(found.length, 1);
+    assert.strictEqual(found[0].node.line, 3);
+  });
+
+  it('accepts flow-style steps', () => {
+    assert.deepStrictEqual(problems(parseYaml('value: [{script: a}, {bash: b}]').root.entries[0].value, 'stepList'), []);
+  });
+
+  it('checks a single step value', () => {
+    assert.deepStrictEqual(problems(valueOf('  script: echo'), 'step'), []);
+    assert.deepStrictEqual(problems(valueOf('  - script: echo'), 'step'), ['Expected a step mapping, got a sequence']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// jobList / deploymentList / stageList
+// ---------------------------------------------------------------------------
+
+describe('validateValueShape — jobs and stages', () => {
+
+  it('accepts jobs, deployments and job templates in a jobList', () => {
+    const node = valueOf(
+      '  - job: Build',
+      '    steps:',
+      '      - script: build',
+      '  - deployment: Deploy',
+      '    environment: prod',
+      '  - template: jobs/test.yml',
+    );
+    assert.deepStrictEqual(problems(node, 'jobList'), []);
+  });
+
+  it('validates the steps of each job', () => {
+    const node = valueOf(
+      '  - job: Build',
+      '    steps:',
+      '      - displayName: no step key',
+    );
+    const [p] = validateValueShape(node, 'jobList');
+    assert.match(p.message, /A step must have one of/);
+    assert.strictEqual(p.node.line, 3);
+  });
+
+  it('reports a stage passed where a job is expected', () => {
+    assert.deepStrictEqual(problems(valueOf('  - stage: Build'), 'jobList'), [
+      'A job must have one of: job, deployment, template',
+    ]);
+  });
+
+  it('requires deployment jobs in a deploymentList', () => {
+    assert.deepStrictEqual(problems(valueOf('  - job: NotADeployment'), 'deploymentList'), [
+      'A deployment job must have one of: deployment, template',
+    ]);
+  });
+
+  it('validates stages and their jobs in a stageList', () => {
+    const node = valueOf(
+      '  - stage: Build',
+      '    jobs:',
+      '      - job: A',
+      '  - stage: Test',
+      '    jobs:',
+      '      - steps: []',
+    );
+    const found = validateValueShape(node, 'stageList');
+    assert.strictEqual(found.length, 1);
+    assert.match(found[0].message, /A job must have one of/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Other types
+// ---------------------------------------------------------------------------
+
+describe('validateValueShape — other types', () => {
+
+  it('accepts anything for object parameters', () => {
+    assert.deepStrictEqual(problems(valueOf('  - a', '  - b: c'), 'object'), []);
+  });
+
+  it('reports block collections passed to scalar types', () => {
+    assert.deepStrictEqual(problems(valueOf('  - a'), 'string'), ['Expected a string value, got a sequence']);
+  });
+
+  it('returns [] for empty values and missing nodes', () => {
+    assert.deepStrictEqual(validateValueShape(null, 'stepList'), []);
+    assert.deepStrictEqual(validateValueShape(valueOf(), 'stepList'), []);
+  });
+});
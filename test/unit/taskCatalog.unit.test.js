@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for taskCatalog.js
+ *
+ * Tests:
+ *   - TASK_CATALOG (data integrity)
+ *   - parseTaskReference
+ *   - loadTaskCatalog / lookupTask (built-in and workspace catalog files)
+ *   - findTaskInput
+ *   - isInputActive
+ *   - findTaskSteps
+ *
+ * Run with:  npx mocha test/unit/taskCatalog.unit.test.js
+ */
+
+const assert = require('assert');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const {
+  TASK_CATALOG, loadTaskCatalog, lookupTask, parseTaskReference, knownVersions,
+  findTaskInput, isInputActive, findTaskSteps, givenInputValues,
+} = require('../../taskCatalog');
+
+describe('TASK_CATALOG', () => {
+
+  it('has no duplicate task names', () => {
+    const names = TASK_CATALOG.map(t => t.name.toLowerCase());
+    assert.strictEqual(new Set(names).size, names.length);
+  });
+
+  it('has unique input names and aliases within each task', () => {
+    for (const task of TASK_CATALOG) {
+      const names = task.inputs.flatMap(i => [i.name, ...(i.aliases || [])]).map(n => n.toLowerCase());
+      assert.strictEqual(new Set(names).size, names.length, task.name);
+    }
+  });
+
+  it('only makes inputs depend on inputs of the same task', () => {
+    for (const task of TASK_CATALOG) {
+      for (const input of task.inputs) {
+        for (const control of Object.keys(input.when || {})) {
+          assert.ok(findTaskInput(task, control), `${task.name}.${input.name} depends on '${control}'`);
+        }
+      }
+    }
+  });
+
+  it('gives pick list defaults that are among the options', () => {
+    for (const task of TASK_CATALOG) {
+      for (const input of task.inputs) {
+        if (!input.options || input.default === undefined || input.editable) continue;
+        assert.ok(input.options.includes(input.default), `${task.name}.${input.name}`);
+      }
+    }
+  });
+});
+
+describe('parseTaskReference', () => {
+
+  it('splits name and major version', () => {
+    assert.deepStrictEqual(parseTaskReference('DotNetCoreCLI@2'), { name: 'DotNetCoreCLI', version: 2 });
+  });
+
+  it('uses the major part of a full version', () => {
+    assert.deepStrictEqual(parseTaskReference('Bash@3.231.0'), { name: 'Bash', version: 3 });
+  });
+
+  it('returns a null version when there is no @ part', () => {
+    assert.deepStrictEqual(parseTaskReference('Bash'), { name: 'Bash', version: null });
+  });
+
+  it('returns NaN for a version that is not a number', () => {
+    assert.ok(Number.isNaN(parseTaskReference('Bash@latest').version));
+  });
+});
+
+describe('loadTaskCatalog / lookupTask', () => {
+
+  let tmpDir;
+  before(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atn-tasks-')); });
+  after(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  it('finds built-in tasks case-insensitively', () => {
+    const task = lookupTask(loadTaskCatalog(null), 'dotnetcorecli');
+    assert.ok(task);
+    assert.strictEqual(task.name, 'DotNetCoreCLI');
+    assert.deepStrictEqual(knownVersions(task), [2, 1, 0]);
+  });
+
+  it('returns the built-in catalog when the custom file does not exist', () => {
+    const catalog = loadTaskCatalog(path.join(tmpDir, 'missing.json'));
+    assert.strictEqual(catalog.customFile, null);
+    assert.strictEqual(lookupTask(catalog, 'replacetokens'), null);
+  });
+
+  it('adds and overrides tasks from a custom catalog file', () => {
+    const file = path.join(tmpDir, 'tasks.json');
+    fs.writeFileSync(file, JSON.stringify({
+      tasks: [
+        { name: 'replacetokens', version: 5, inputs: [{ name: 'targetFiles', required: true }] },
+        { name: 'Bash', version: 9, inputs: [] },
+        { name: 'NoVersion' },
+      ],
+    }));
+    const catalog = loadTaskCatalog(file);
+    assert.strictEqual(catalog.error, null);
+    const custom = lookupTask(catalog, 'ReplaceTokens');
+    assert.strictEqual(custom.source, file);
+    assert.strictEqual(custom.inputs[0].type, 'string');
+    assert.strictEqual(lookupTask(catalog, 'bash').version, 9);
+    assert.strictEqual(lookupTask(catalog, 'NoVersion'), null);
+    // The built-in catalog is left untouched
+    assert.strictEqual(lookupTask(loadTaskCatalog(null), 'bash').version, 3);
+  });
+
+  it('reports a custom catalog file that is not valid JSON', () => {
+    const file = path.join(tmpDir, 'broken.json');
+    fs.writeFileSync(file, '{ "tasks": [');
+    const catalog = loadTaskCatalog(file);
+    assert.ok(catalog.error);
+    assert.ok(lookupTask(catalog, 'Bash'));
+  });
+});
+
+describe('findTaskInput', () => {
+
+  const task = lookupTask(loadTaskCatalog(null), 'DotNetCoreCLI');
+
+  it('finds inputs by name and by alias, case-insensitively', () => {
+    assert.strictEqual(findTaskInput(task, 'Command').name, 'command');
+    assert.strictEqual(findTaskInput(task, 'selectOrConfig').name, 'feedsToUse');
+  });
+
+  it('returns null for unknown inputs', () => {
+    assert.strictEqual(findTaskInput(task, 'comand'), null);
+  });
+});
+
+describe('isInputActive', () => {
+
+  const task = lookupTask(loadTaskCatalog(null), 'DotNetCoreCLI');
+  const custom = findTaskInput(task, 'custom');
+  const feedPublish = findTaskInput(task, 'publishVstsFeed');
+
+  it('uses the default of a deciding input that is not given', () => {
+    assert.strictEqual(isInputActive(task, custom, {}), false);
+    assert.strictEqual(isInputActive(task, feedPublish, { command: 'push' }), true);
+  });
+
+  it('requires every condition to hold', () => {
+    assert.strictEqual(isInputActive(task, feedPublish, { command: 'push', nuGetFeedType: 'external' }), false);
+  });
+
+  it('returns null when a deciding input is an expression', () => {
+    assert.strictEqual(isInputActive(task, custom, { command: '${{ parameters.command }}' }), null);
+  });
+});
+
+describe('findTaskSteps', () => {
+
+  it('finds task steps with their reference position and inputs', () => {
+    const text = [
+      'steps:',
+      '  - script: echo hi',
+      '  - task: DotNetCoreCLI@2',
+      '    inputs:',
+      '      command: test',
+      '      selectOrConfig: config',
+    ].join('\n');
+    const [step, ...rest] = findTaskSteps(text);
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(step.name, 'DotNetCoreCLI');
+    assert.strictEqual(step.version, 2);
+    assert.deepStrictEqual([step.line, step.col, step.endCol], [2, 10, 25]);
+
+    const task = lookupTask(loadTaskCatalog(null), step.name);
+    assert.deepStrictEqual(givenInputValues(task, step.inputsEntry.value), { command: 'test', feedsToUse: 'config' });
+  });
+});
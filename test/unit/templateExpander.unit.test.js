@@ -0,0 +1,257 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for templateExpander.js
+ *
+ * Tests:
+ *   - expandPipeline: template inlining, parameter values and defaults,
+ *     if / else / each directives, extends, warnings
+ *   - substitute
+ *
+ * Run with:  npx mocha test/unit/templateExpander.unit.test.js
+ */
+
+const assert = require('assert');
+const path   = require('path');
+const fs     = require('fs');
+
+// ---------------------------------------------------------------------------
+// Stub the 'vscode' module — hoverProvider requires it but the functions
+// under test never touch it.
+// ---------------------------------------------------------------------------
+const { makeRepo, loadWithVscodeStub } = require('./helpers');
+const [{ expandPipeline, substitute, SOURCE }, { UNKNOWN }] = loadWithVscodeStub({}, () => [
+  require('../../templateExpander'),
+  require('../../templateExpression'),
+]);
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Expands `<root>/pipeline.yml`. */
+function expand(root) {
+  const file = path.join(root, 'pipeline.yml');
+  return expandPipeline(fs.readFileSync(file, 'utf8'), file);
+}
+
+// ---------------------------------------------------------------------------
+// expandPipeline
+// ---------------------------------------------------------------------------
+
+describe('expandPipeline', () => {
+  let root;
+  afterEach(() => {
+    if (root) fs.rmSync(root, { recursive: true, force: true });
+    root = null;
+  });
+
+  it('inlines step templates with passed values and defaults', () => {
+    root = makeRepo({
+      'pipeline.yml': [
+        'variables:',
+        '  config: Release',
+        'steps:',
+        '  - template: templates/build.yml',
+        '    parameters:',
+        '      lang: python',
+        '  - script: echo done',
+      ].join('\n'),
+      'templates/build.yml': [
+        'parameters:',
+        '  - name: lang',
+        '    type: string',
+        '  - name: verbosity',
+        '    type: string',
+        '    default: minimal',
+        'steps:',
+        '  - script: build ${{ parameters.lang }} -c ${{ variables.config }} -v ${{ parameters.verbosity }} $(Build.BuildId)',
+        '    displayName: Build ${{ upper(parameters.lang) }}',
+      ].join('\n'),
+    });
+    const { value, warnings } = expand(root);
+    assert.deepStrictEqual(value, {
+      variables: { config: 'Release' },
+      steps: [
+        { script: 'build python -c Release -v minimal $(Build.BuildId)', displayName: 'Build PYTHON' },
+        { script: 'echo done' },
+      ],
+    });
+    assert.deepStrictEqual(warnings, []);
+  });
+
+  it('splices list parameters and applies if / else and each directives', () => {
+    root = makeRepo({
+      'pipeline.yml': [
+        'stages:',
+        '  - template: stages.yml',
+        '    parameters:',
+        '      envs: [dev, prod]',
+        '      extraSteps:',
+        '        - script: echo extra',
+      ].join('\n'),
+      'stages.yml': [
+        'parameters:',
+        '  - name: envs',
+        '    type: object',
+        '  - name: extraSteps',
+        '    type: stepList',
+        '    default: []',
+        '  - name: debug',
+        '    type: boolean',
+        '    default: false',
+        'stages:',
+        '  - ${{ each env in parameters.envs }}:',
+        '    - stage: Deploy_${{ env }}',
+        '      jobs:',
+        '        - job: deploy',
+        '          steps:',
+        '            - ${{ parameters.extraSteps }}',
+        '            - ${{ if parameters.debug }}:',
+        '              - script: echo debug',
+        '            - ${{ else }}:',
+        '              - script: echo release',
+      ].join('\n'),
+    });
+    const { value } = expand(root);
+    const steps = [{ script: 'echo extra' }, { script: 'echo release' }];
+    assert.deepStrictEqual(value.stages, [
+      { stage: 'Deploy_dev', jobs: [{ job: 'deploy', steps }] },
+      { stage: 'Deploy_prod', jobs: [{ job: 'deploy', steps }] },
+    ]);
+  });
+
+  it('merges conditional mapping entries', () => {
+    root = makeRepo({
+      'pipeline.yml': [
+        'parameters:',
+        '  - name: linux',
+        '    type: boolean',
+        '    default: true',
+        'pool:',
+        '  ${{ if parameters.linux }}:',
+        '    vmImage: ubuntu-latest',
+        '  ${{ else }}:',
+        '    vmImage: windows-latest',
+        '  demands: []',
+      ].join('\n'),
+    });
+    assert.deepStrictEqual(expand(root).value, { pool: { vmImage: 'ubuntu-latest', demands: [] } });
+  });
+
+  it('merges an extends pipeline with its base template', () => {
+    root = makeRepo({
+      'pipeline.yml': [
+        'trigger: none',
+        'extends:',
+        '  template: base.yml',
+        '  parameters:',
+        '    buildSteps:',
+        '      - script: make',
+      ].join('\n'),
+      'base.yml': [
+        'parameters:',
+        '  - name: buildSteps',
+        '    type: stepList',
+        'steps:',
+        '  - script: scan',
+        '  - ${{ parameters.buildSteps }}',
+      ].join('\n'),
+    });
+    assert.deepStrictEqual(expand(root).value, {
+      trigger: 'none',
+      steps: [{ script: 'scan' }, { script: 'make' }],
+    });
+  });
+
+  it('keeps what cannot be expanded and reports why', () => {
+    root = makeRepo({
+      'pipeline.yml': [
+        'steps:',
+        '  - template: missing.yml',
+        '  - template: needs.yml',
+      ].join('\n'),
+      'needs.yml': [
+        'parameters:',
+        '  - name: env',
+        '    type: string',
+        'steps:',
+        '  - script: deploy ${{ parameters.env }}',
+        "  - ${{ if eq(parameters.env, 'prod') }}:",
+        '    - script: echo approve',
+      ].join('\n'),
+    });
+    const { value, warnings } = expand(root);
+    assert.deepStrictEqual(value.steps, [
+      { template: 'missing.yml' },
+      { script: 'deploy ${{ parameters.env }}' },
+      { "${{ if eq(parameters.env, 'prod') }}": [{ script: 'echo approve' }] },
+    ]);
+    assert.deepStrictEqual(warnings, [
+      'Template not found: missing.yml',
+      "Missing required parameter 'env' for template 'needs.yml'",
+      "Condition could not be evaluated at edit time: ${{ if eq(parameters.env, 'prod') }}",
+    ]);
+  });
+
+  it('stops at circular references', () => {
+    root = makeRepo({
+      'pipeline.yml': 'steps:\n  - template: a.yml\n',
+      'a.yml': 'steps:\n  - template: a.yml\n',
+    });
+    const { value, warnings } = expand(root);
+    assert.deepStrictEqual(value.steps, [{ template: 'a.yml' }]);
+    assert.deepStrictEqual(warnings, ['Circular template reference: a.yml']);
+  });
+
+  it('renders the expansion as YAML text', () => {
+    root = makeRepo({ 'pipeline.yml': 'steps:\n  - script: echo ${{ lower(\'HI\') }}\n' });
+    assert.strictEqual(expand(root).text, 'steps:\n  - script: echo hi\n');
+  });
+
+  it('records where each mapping was written', () => {
+    root = makeRepo({
+      'pipeline.yml': [
+        'stages:',
+        '  - stage: Build',
+        '  - template: deploy.yml',
+        '    parameters:',
+        '      jobs:',
+        '        - job: Smoke',
+      ].join('\n'),
+      'deploy.yml': [
+        'parameters:',
+        '  - name: jobs',
+        '    type: jobList',
+        'stages:',
+        '  - stage: Deploy',
+        '    jobs: ${{ parameters.jobs }}',
+      ].join('\n'),
+    });
+    const { value } = expand(root);
+    const [build, deploy] = value.stages;
+    assert.deepStrictEqual(build[SOURCE], { filePath: path.join(root, 'pipeline.yml'), line: 1 });
+    assert.deepStrictEqual(deploy[SOURCE], { filePath: path.join(root, 'deploy.yml'), line: 4 });
+    // A value passed as a parameter keeps the caller's position
+    assert.deepStrictEqual(deploy.jobs[0][SOURCE], { filePath: path.join(root, 'pipeline.yml'), line: 5 });
+    assert.deepStrictEqual(value.stages[0], { stage: 'Build' });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// substitute
+// ---------------------------------------------------------------------------
+
+describe('substitute', () => {
+
+  const ctx = { parameters: { n: 3, list: ['a'], env: UNKNOWN }, variables: {}, locals: {} };
+
+  it('returns the value of a whole-string expression', () => {
+    assert.deepStrictEqual(substitute('${{ parameters.list }}', ctx), ['a']);
+    assert.strictEqual(substitute('${{ parameters.n }}', ctx), 3);
+  });
+
+  it('formats values inside text and keeps unknown expressions', () => {
+    assert.strictEqual(substitute('n=${{ parameters.n }} env=${{ parameters.env }}', ctx), 'n=3 env=${{ parameters.env }}');
+  });
+});
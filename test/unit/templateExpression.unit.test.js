@@ -0,0 +1,251 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for templateExpression.js
+ *
+ * Tests:
+ *   - parseExpression / parseTemplateExpression (syntax, directives, errors)
+ *   - findExpressions
+ *   - collectReferences
+ *   - evaluate (functions, coercion, UNKNOWN propagation)
+ *   - inferExpressionType / checkExpression / formatValue
+ *
+ * Run with:  npx mocha test/unit/templateExpression.unit.test.js
+ */
+
+const assert = require('assert');
+
+const {
+  UNKNOWN,
+  parseExpression,
+  parseTemplateExpression,
+  findExpressions,
+  collectReferences,
+  evaluate,
+  inferExpressionType,
+  checkExpression,
+  formatValue,
+} = require('../../templateExpression');
+
+/** Parses and evaluates `src`, failing the test on a syntax error. */
+function run(src, context) {
+  const { ast, error } = parseExpression(src);
+  assert.strictEqual(error, null, `Unexpected syntax error in: ${src}`);
+  return evaluate(ast, context);
+}
+
+// ---------------------------------------------------------------------------
+// parseExpression
+// ---------------------------------------------------------------------------
+
+describe('parseExpression', () => {
+
+  it('parses literals', () => {
+    assert.strictEqual(parseExpression("'it''s'").ast.value, "it's");
+    assert.strictEqual(parseExpression('42').ast.value, 42);
+    assert.strictEqual(parseExpression('True').ast.value, true);
+    assert.strictEqual(parseExpression('null').ast.value, null);
+  });
+
+  it('parses property access, indexers and calls', () => {
+    const { ast, error } = parseExpression("eq(parameters.env, variables['Build.Reason'])");
+    assert.strictEqual(error, null);
+    assert.strictEqual(ast.type, 'call');
+    assert.strictEqual(ast.name, 'eq');
+    assert.strictEqual(ast.args[0].type, 'property');
+    assert.strictEqual(ast.args[1].type, 'index');
+  });
+
+  it('reports the offset of a syntax error', () => {
+    const { error } = parseExpression('eq(parameters.env, ');
+    assert.ok(error);
+    assert.strictEqual(error.message, 'Unexpected end of expression');
+    assert.strictEqual(error.offset, 19);
+  });
+
+  it('reports unterminated strings and trailing tokens', () => {
+    assert.strictEqual(parseExpression("'abc").error.message, 'Unterminated string literal');
+    assert.ok(/after expression/.test(parseExpression('a b').error.message));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseTemplateExpression
+// ---------------------------------------------------------------------------
+
+describe('parseTemplateExpression', () => {
+
+  it('recognises if / elseif / else / insert directives', () => {
+    assert.strictEqual(parseTemplateExpression(' if eq(1, 1) ').kind, 'if');
+    assert.strictEqual(parseTemplateExpression(' elseif true ').kind, 'elseif');
+    assert.strictEqual(parseTemplateExpression(' else ').kind, 'else');
+    assert.strictEqual(parseTemplateExpression(' insert ').kind, 'insert');
+    assert.strictEqual(parseTemplateExpression(' parameters.x ').kind, 'expression');
+  });
+
+  it('parses each loops with the loop variable and shifted offsets', () => {
+    const src = ' each step in parameters.steps ';
+    const { kind, variable, ast, error } = parseTemplateExpression(src);
+    assert.strictEqual(error, null);
+    assert.strictEqual(kind, 'each');
+    assert.strictEqual(variable, 'step');
+    assert.strictEqual(src.slice(ast.start, ast.end), 'parameters.steps');
+  });
+
+  it('reports a malformed each loop', () => {
+    const { error } = parseTemplateExpression(' each step parameters.steps ');
+    assert.ok(error);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// findExpressions
+// ---------------------------------------------------------------------------
+
+describe('findExpressions', () => {
+
+  it('finds every expression on a line with its offsets', () => {
+    const text = 'echo ${{ parameters.a }} and ${{ parameters.b }}';
+    const found = findExpressions(text);
+    assert.strictEqual(found.length, 2);
+    assert.strictEqual(text.slice(found[0].start, found[0].end), '${{ parameters.a }}');
+    assert.strictEqual(text.slice(found[1].innerStart, found[1].innerStart + found[1].inner.length), found[1].inner);
+  });
+
+  it('does not end an expression at "}}" inside a string literal', () => {
+    const [expr] = findExpressions("${{ format('{0}}}', 1) }}");
+    assert.strictEqual(expr.inner, " format('{0}}}', 1) ");
+  });
+
+  it('ignores macros and runtime expressions', () => {
+    assert.deepStrictEqual(findExpressions('$(var) $[ variables.x ]'), []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// collectReferences
+// ---------------------------------------------------------------------------
+
+describe('collectReferences', () => {
+
+  it('collects dotted and indexer references with their ranges', () => {
+    const src = "and(parameters.a, eq(parameters['b'], variables.c))";
+    const refs = collectReferences(parseExpression(src).ast, 'parameters');
+    assert.deepStrictEqual(refs.map(r => r.name), ['a', 'b']);
+    assert.strictEqual(src.slice(refs[1].start, refs[1].end), "parameters['b']");
+  });
+
+  it('ignores computed indexers', () => {
+    const refs = collectReferences(parseExpression('parameters[variables.x]').ast, 'parameters');
+    assert.deepStrictEqual(refs, []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// evaluate
+// ---------------------------------------------------------------------------
+
+describe('evaluate', () => {
+
+  const context = {
+    parameters: { env: 'prod', count: 3, enabled: true, regions: ['westeurope', 'eastus'], config: { name: 'api' } },
+  };
+
+  it('compares strings case-insensitively', () => {
+    assert.strictEqual(run("eq(parameters.env, 'PROD')", context), true);
+    assert.strictEqual(run("ne(parameters.env, 'dev')", context), true);
+  });
+
+  it('converts the right operand to the type of the left one', () => {
+    assert.strictEqual(run("eq(parameters.count, '3')", context), true);
+    assert.strictEqual(run("gt(parameters.count, '10')", context), false);
+  });
+
+  it('supports logical functions', () => {
+    assert.strictEqual(run("and(parameters.enabled, not(eq(parameters.env, 'dev')))", context), true);
+    assert.strictEqual(run('or(false, 0)', context), false);
+    assert.strictEqual(run('xor(true, false)', context), true);
+  });
+
+  it('supports string and collection functions', () => {
+    assert.strictEqual(run("format('{0}-{1}', parameters.env, parameters.count)", context), 'prod-3');
+    assert.strictEqual(run("join(',', parameters.regions)", context), 'westeurope,eastus');
+    assert.strictEqual(run("contains(parameters.env, 'RO')", context), true);
+    assert.strictEqual(run("containsValue(parameters.regions, 'EastUS')", context), true);
+    assert.strictEqual(run("coalesce('', null, 'x')", context), 'x');
+    assert.strictEqual(run("iif(parameters.enabled, 'on', 'off')", context), 'on');
+    assert.strictEqual(run('length(parameters.regions)', context), 2);
+    assert.strictEqual(run('parameters.config.NAME', context), 'api');
+  });
+
+  it('serialises objects with convertToJson', () => {
+    assert.deepStrictEqual(JSON.parse(run('convertToJson(parameters.config)', context)), { name: 'api' });
+  });
+
+  it('propagates UNKNOWN through values that are not known', () => {
+    assert.strictEqual(run("eq(variables.foo, 'x')", context), UNKNOWN);
+    assert.strictEqual(run('parameters.env', { parameters: { env: UNKNOWN } }), UNKNOWN);
+    assert.strictEqual(run('succeeded()', context), UNKNOWN);
+  });
+
+  it('short-circuits logical functions around UNKNOWN values', () => {
+    assert.strictEqual(run('and(false, variables.x)', context), false);
+    assert.strictEqual(run('or(true, variables.x)', context), true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// inferExpressionType / checkExpression / formatValue
+// ---------------------------------------------------------------------------
+
+describe('inferExpressionType', () => {
+
+  const types = { flag: 'boolean', steps: 'stepList', name: 'string' };
+  const infer = (src) => inferExpressionType(parseExpression(src).ast, n => types[n]);
+
+  it('types function results and literals', () => {
+    assert.strictEqual(infer("eq(parameters.name, 'x')"), 'boolean');
+    assert.strictEqual(infer("format('{0}', 1)"), 'string');
+    assert.strictEqual(infer('length(parameters.steps)'), 'number');
+    assert.strictEqual(infer('42'), 'number');
+  });
+
+  it('types parameter references from their declarations', () => {
+    assert.strictEqual(infer('parameters.flag'), 'boolean');
+    assert.strictEqual(infer('parameters.steps'), 'object');
+    assert.strictEqual(infer('parameters.undeclared'), undefined);
+    assert.strictEqual(infer('parameters.steps.foo'), undefined);
+  });
+
+  it('returns undefined when the type depends on runtime values', () => {
+    assert.strictEqual(infer("coalesce(variables.a, 'b')"), undefined);
+  });
+});
+
+describe('checkExpression', () => {
+
+  it('reports unknown functions', () => {
+    const [problem] = checkExpression(parseExpression("equals(parameters.a, 'b')").ast);
+    assert.strictEqual(problem.message, "Unknown function 'equals'");
+    assert.strictEqual(problem.start, 0);
+  });
+
+  it('reports wrong argument counts', () => {
+    const [problem] = checkExpression(parseExpression('eq(parameters.a)').ast);
+    assert.ok(problem.message.includes("'eq' expects 2 argument(s), got 1"));
+  });
+
+  it('accepts runtime status functions', () => {
+    assert.deepStrictEqual(checkExpression(parseExpression('and(succeeded(), always())').ast), []);
+  });
+});
+
+describe('formatValue', () => {
+
+  it('renders values the way they are substituted into YAML', () => {
+    assert.strictEqual(formatValue(true), 'True');
+    assert.strictEqual(formatValue(null), '');
+    assert.strictEqual(formatValue(['a']), '["a"]');
+    assert.strictEqual(formatValue(UNKNOWN), '(unknown)');
+  });
+});
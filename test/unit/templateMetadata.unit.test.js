@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for templateMetadata.js
+ *
+ * Tests:
+ *   - sidecarPath / readSidecar
+ *   - getDeprecations (comment tags, sidecar file, both)
+ *   - resolveReplacementTemplate
+ *
+ * Run with:  npx mocha test/unit/templateMetadata.unit.test.js
+ */
+
+const assert = require('assert');
+const path   = require('path');
+const fs     = require('fs');
+
+// The 'vscode' module is stubbed — the functions under test never touch it.
+const { makeRepo, loadWithVscodeStub } = require('./helpers');
+const {
+  sidecarPath,
+  readSidecar,
+  getDeprecations,
+  resolveReplacementTemplate,
+} = loadWithVscodeStub({}, () => require('../../templateMetadata'));
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const TEMPLATE = [
+  '# Builds the solution.',
+  '# @deprecated Slow and unmaintained.',
+  '# @replacement v2/build.yml',
+  'parameters:',
+  '  # @deprecated Use `project`.',
+  '  # @replacement project',
+  '  - name: solution',
+  "    default: ''",
+  '  - name: project',
+  "    default: ''",
+  '  - name: verbosity # Logging detail',
+  '    default: minimal',
+  'steps: []',
+].join('\n');
+
+/** Returns a readText stub serving `sidecars` (path → text). */
+function reader(sidecars) {
+  return (filePath) => (filePath in sidecars ? sidecars[filePath] : null);
+}
+
+/** Converts a TemplateDeprecations to plain data for deepStrictEqual. */
+function plain(deprecations) {
+  return { template: deprecations.template, parameters: Object.fromEntries(deprecations.parameters) };
+}
+
+// ---------------------------------------------------------------------------
+// sidecarPath / readSidecar
+// ---------------------------------------------------------------------------
+
+describe('readSidecar', () => {
+
+  it('looks for <name>.meta.json next to the template', () => {
+    assert.strictEqual(sidecarPath(path.join('t', 'build.yml')), path.join('t', 'build.meta.json'));
+    assert.strictEqual(sidecarPath(path.join('t', 'deploy.YAML')), path.join('t', 'deploy.meta.json'));
+  });
+
+  it('returns null for missing, malformed or non-object files', () => {
+    const file = path.join('t', 'build.yml');
+    assert.strictEqual(readSidecar(file, reader({})), null);
+    assert.strictEqual(readSidecar(file, reader({ [sidecarPath(file)]: '{ nope' })), null);
+    assert.strictEqual(readSidecar(file, reader({ [sidecarPath(file)]: '["x"]' })), null);
+    assert.deepStrictEqual(readSidecar(file, reader({ [sidecarPath(file)]: '{"deprecated":true}' })), { deprecated: true });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getDeprecations
+// ---------------------------------------------------------------------------
+
+describe('getDeprecations', () => {
+  const file = path.join('t', 'build.yml');
+
+  it('reads @deprecated and @replacement tags', () => {
+    assert.deepStrictEqual(plain(getDeprecations(file, TEMPLATE, reader({}))), {
+      template: { reason: 'Slow and unmaintained.', replacement: 'v2/build.yml' },
+      parameters: { solution: { reason: 'Use `project`.', replacement: 'project' } },
+    });
+  });
+
+  it('reads the sidecar file, which wins field by field', () => {
+    const sidecar = JSON.stringify({
+      replacement: '/templates/build-v3.yml',
+      parameters: {
+        solution: { deprecated: false },
+        verbosity: { deprecated: 'Always minimal now.' },
+        project: { replacement: 'ignored' },
+        unknown: { deprecated: true },
+      },
+    });
+    assert.deepStrictEqual(plain(getDeprecations(file, TEMPLATE, reader({ [sidecarPath(file)]: sidecar }))), {
+      template: { reason: 'Slow and unmaintained.', replacement: '/templates/build-v3.yml' },
+      parameters: { verbosity: { reason: 'Always minimal now.', replacement: undefined } },
+    });
+  });
+
+  it('deprecates templates without comments through the sidecar alone', () => {
+    const sidecar = '{ "deprecated": true, "parameters": { "a": { "deprecated": true, "replacement": "b" } } }';
+    const text = 'parameters:\n  - name: a\n    default: 1\nsteps: []\n';
+    assert.deepStrictEqual(plain(getDeprecations(file, text, reader({ [sidecarPath(file)]: sidecar }))), {
+      template: { reason: '', replacement: undefined },
+      parameters: { a: { reason: '', replacement: 'b' } },
+    });
+    assert.deepStrictEqual(plain(getDeprecations(file, text, reader({}))), { template: null, parameters: {} });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// resolveReplacementTemplate
+// ---------------------------------------------------------------------------
+
+describe('resolveReplacementTemplate', () => {
+  let root;
+
+  before(() => {
+    root = makeRepo({ 'templates/v2/build.yml': 'steps: []\n' });
+  });
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it('resolves paths relative to the template or the repository root', () => {
+    const template = path.join(root, 'templates', 'build.yml');
+    const expected = path.join(root, 'templates', 'v2', 'build.yml');
+    assert.strictEqual(resolveReplacementTemplate(template, 'v2/build.yml'), expected);
+    assert.strictEqual(resolveReplacementTemplate(template, '/templates/v2/build.yml'), expected);
+  });
+
+  it('returns null for replacements that do not exist or use an alias', () => {
+    const template = path.join(root, 'templates', 'build.yml');
+    assert.strictEqual(resolveReplacementTemplate(template, 'v3/build.yml'), null);
+    assert.strictEqual(resolveReplacementTemplate(template, 'build.yml@templates'), null);
+  });
+});
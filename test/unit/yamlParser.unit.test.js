@@ -0,0 +1,282 @@
+'use strict';
+
+/**
+ * Pure-Node unit tests for yamlParser.js
+ *
+ * Tests:
+ *   - parseYaml: block/flow collections, scalar styles, anchors, comments,
+ *     positions and error tolerance
+ *   - nodeText / toFlowString / toJS helpers
+ *   - stringifyYaml
+ *   - walkDocument
+ *
+ * Run with:  npx mocha test/unit/yamlParser.unit.test.js
+ */
+
+const assert = require('assert');
+
+const {
+  parseYaml,
+  getMapEntry,
+  getMapValue,
+  nodeText,
+  toFlowString,
+  toJS,
+  stringifyYaml,
+  walkDocument,
+} = require('../../yamlParser');
+
+// ---------------------------------------------------------------------------
+// Block collections
+// ---------------------------------------------------------------------------
+
+describe('parseYaml — block collections', () => {
+
+  it('parses nested mappings and sequences', () => {
+    const { root, errors } = parseYaml([
+      'stages:',
+      '  - stage: Build',
+      '    jobs:',
+      '    - job: A',
+      '      steps:',
+      '        - script: echo hi',
+    ].join('\n'));
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(toJS(root), {
+      stages: [{ stage: 'Build', jobs: [{ job: 'A', steps: [{ script: 'echo hi' }] }] }],
+    });
+  });
+
+  it('returns a null root for an empty document', () => {
+    assert.strictEqual(parseYaml('# only a comment\n').root, null);
+  });
+
+  it('keeps empty values as null', () => {
+    const { root } = parseYaml('a:\nb: 1\n');
+    assert.strictEqual(getMapValue(root, 'a'), null);
+    assert.strictEqual(getMapValue(root, 'b').value, '1');
+  });
+
+  it('records 0-based key positions', () => {
+    const { root } = parseYaml('\nparameters:\n  - name: foo\n');
+    const item = getMapValue(root, 'parameters').items[0];
+    const name = getMapEntry(item, 'name');
+    assert.strictEqual(name.line, 2);
+    assert.strictEqual(name.col, 4);
+    assert.strictEqual(name.value.col, 10);
+  });
+
+  it('handles CRLF line endings', () => {
+    const { root } = parseYaml('a: 1\r\nb:\r\n  - x\r\n');
+    assert.deepStrictEqual(toJS(root), { a: '1', b: ['x'] });
+  });
+
+  it('skips a leading document marker', () => {
+    assert.deepStrictEqual(toJS(parseYaml('---\na: 1\n').root), { a: '1' });
+  });
+
+  it('treats ${{ }} expressions in keys as part of the key', () => {
+    const { root } = parseYaml("- ${{ if eq(parameters.a, 'x: y') }}:\n  - script: echo\n");
+    assert.strictEqual(root.items[0].entries[0].key, "${{ if eq(parameters.a, 'x: y') }}");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Flow collections
+// ---------------------------------------------------------------------------
+
+describe('parseYaml — flow collections', () => {
+
+  it('parses flow mappings and sequences', () => {
+    const { root } = parseYaml('a: { b: 1, c: [x, "y, z"] }\n');
+    assert.deepStrictEqual(toJS(root), { a: { b: '1', c: ['x', 'y, z'] } });
+  });
+
+  it('parses flow collections that span several lines', () => {
+    const { root, errors } = parseYaml('a: [\n  one,  # first\n  two\n]\nb: 2\n');
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(toJS(root), { a: ['one', 'two'], b: '2' });
+  });
+
+  it('keeps the source text of flow collections', () => {
+    const { root } = parseYaml('a: {x: 1, y: [2]}\n');
+    assert.strictEqual(getMapValue(root, 'a').raw, '{x: 1, y: [2]}');
+  });
+
+  it('does not split plain scalars on braces inside ${{ }}', () => {
+    const { root } = parseYaml('a: [${{ parameters.x }}, b]\n');
+    assert.deepStrictEqual(toJS(root), { a: ['${{ parameters.x }}', 'b'] });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Scalars
+// ---------------------------------------------------------------------------
+
+describe('parseYaml — scalars', () => {
+
+  it('unquotes single- and double-quoted scalars and keeps raw text', () => {
+    const { root } = parseYaml('a: \'it\'\'s\'\nb: "tab\\tend"\n');
+    const a = getMapValue(root, 'a');
+    assert.strictEqual(a.value, "it's");
+    assert.strictEqual(a.raw, "'it''s'");
+    assert.strictEqual(a.style, 'single');
+    assert.strictEqual(getMapValue(root, 'b').value, 'tab\tend');
+  });
+
+  it('parses quoted keys', () => {
+    const { root } = parseYaml('"my key": 1\n\'other\': 2\n');
+    assert.deepStrictEqual(toJS(root), { 'my key': '1', other: '2' });
+  });
+
+  it('strips trailing comments from plain scalars', () => {
+    const { root, comments } = parseYaml('a: value  # note\n');
+    assert.strictEqual(getMapValue(root, 'a').value, 'value');
+    assert.deepStrictEqual(comments, [{ line: 0, col: 10, text: 'note' }]);
+  });
+
+  it('folds multi-line plain scalars with a space', () => {
+    const { root } = parseYaml('a: one\n  two\nb: 3\n');
+    assert.strictEqual(getMapValue(root, 'a').value, 'one two');
+  });
+
+  it('parses literal block scalars with clip chomping', () => {
+    const { root } = parseYaml('a: |\n  line 1\n  line 2\n\nb: 1\n');
+    assert.strictEqual(getMapValue(root, 'a').value, 'line 1\nline 2\n');
+    assert.strictEqual(getMapValue(root, 'a').style, 'literal');
+  });
+
+  it('parses folded block scalars with strip chomping', () => {
+    const { root } = parseYaml('a: >-\n  hello\n  world\nb: 1\n');
+    assert.strictEqual(getMapValue(root, 'a').value, 'hello world');
+    assert.strictEqual(getMapValue(root, 'b').value, '1');
+  });
+
+  it('honours keep chomping', () => {
+    const { root } = parseYaml('a: |+\n  x\n\nb: 1\n');
+    assert.strictEqual(getMapValue(root, 'a').value, 'x\n\n');
+  });
+
+  it('does not treat "#" inside a word as a comment', () => {
+    const { root } = parseYaml('a: C#-project\n');
+    assert.strictEqual(getMapValue(root, 'a').value, 'C#-project');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Anchors and aliases
+// ---------------------------------------------------------------------------
+
+describe('parseYaml — anchors and aliases', () => {
+
+  it('resolves aliases to the anchored node', () => {
+    const { root } = parseYaml('a: &x [1, 2]\nb: *x\n');
+    assert.deepStrictEqual(toJS(root), { a: ['1', '2'], b: ['1', '2'] });
+  });
+
+  it('expands << merge keys without overriding local keys', () => {
+    const { root } = parseYaml('base: &b\n  x: 1\n  y: 2\nderived:\n  <<: *b\n  y: 3\n');
+    assert.deepStrictEqual(toJS(getMapValue(root, 'derived')), { x: '1', y: '3' });
+  });
+
+  it('reports unknown aliases', () => {
+    const { errors } = parseYaml('a: *missing\n');
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].message, /Unknown alias/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Error tolerance
+// ---------------------------------------------------------------------------
+
+describe('parseYaml — error tolerance', () => {
+
+  it('never throws on unterminated flow collections', () => {
+    const { root, errors } = parseYaml('a: {b: [1, {c: 2}\n');
+    assert.ok(errors.length > 0);
+    assert.deepStrictEqual(toJS(root), { a: { b: ['1', { c: '2' }] } });
+  });
+
+  it('keeps parsing after an unterminated quoted scalar', () => {
+    const { root, errors } = parseYaml('a: "oops\nb: 1\n');
+    assert.ok(errors.length > 0);
+    assert.strictEqual(getMapValue(root, 'b').value, '1');
+  });
+
+  it('recovers stray content so document walks still see it', () => {
+    const doc = parseYaml('trigger: [main]\n- template: build.yml\n');
+    assert.ok(doc.errors.length > 0);
+    const keys = [];
+    walkDocument(doc, (node) => {
+      if (node.kind === 'map') keys.push(...node.entries.map(e => e.key));
+    });
+    assert.deepStrictEqual(keys, ['trigger', 'template']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Text helpers
+// ---------------------------------------------------------------------------
+
+describe('nodeText / toFlowString', () => {
+
+  it('renders block collections in flow style', () => {
+    const { root } = parseYaml('a:\n  - x\n  - k: v\n');
+    assert.strictEqual(toFlowString(getMapValue(root, 'a')), '[x, {k: v}]');
+    assert.strictEqual(nodeText(getMapValue(root, 'a')), '[x, {k: v}]');
+  });
+
+  it('returns "" for empty values', () => {
+    assert.strictEqual(nodeText(null), '');
+  });
+
+  it('returns the value of plain scalars and the raw text of quoted scalars', () => {
+    const { root } = parseYaml('a: plain\nb: "quoted"\n');
+    assert.strictEqual(nodeText(getMapValue(root, 'a')), 'plain');
+    assert.strictEqual(nodeText(getMapValue(root, 'b')), '"quoted"');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// stringifyYaml
+// ---------------------------------------------------------------------------
+
+describe('stringifyYaml', () => {
+
+  it('renders nested mappings and sequences in block style', () => {
+    const text = stringifyYaml({ stages: [{ stage: 'Build', jobs: [{ job: 'A', steps: [] }] }], pr: null });
+    assert.strictEqual(text, [
+      'stages:',
+      '  - stage: Build',
+      '    jobs:',
+      '      - job: A',
+      '        steps: []',
+      'pr:',
+      '',
+    ].join('\n'));
+  });
+
+  it('quotes strings a plain scalar would misread and uses block scalars for multi-line text', () => {
+    const text = stringifyYaml({ a: 'x: y', b: '', c: '- item', script: 'echo one\necho two\n' });
+    assert.strictEqual(text, [
+      "a: 'x: y'",
+      "b: ''",
+      "c: '- item'",
+      'script: |',
+      '  echo one',
+      '  echo two',
+      '',
+    ].join('\n'));
+  });
+
+  it('reads back as the same value', () => {
+    const value = {
+      trigger: ['main'],
+      steps: [{ bash: '  indented\nlast', env: { A: "it's" } }, [['a'], {}]],
+    };
+    const doc = parseYaml(stringifyYaml(value));
+    assert.deepStrictEqual(doc.errors, []);
+    assert.deepStrictEqual(toJS(doc.root), value);
+  });
+});
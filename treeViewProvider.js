@@ -9,11 +9,18 @@ const {
   parseParameters,
   parseRepositoryAliases,
   resolveTemplatePath,
+  findTemplateReferences,
+  parseTemplateDoc,
+  formatDocMarkdown,
+  formatDocListItem,
 } = require('./hoverProvider');
 const {
   collectYamlFiles,
   extractTemplateRefs,
+  callSiteArguments,
+  conditionOf,
 } = require('./graphDataBuilder');
+const { isDynamicTemplateRef } = require('./dynamicTemplateRefs');
 const { FuzzySearch } = require('./fuzzySearch');
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -36,6 +43,10 @@ class DepNode {
     relativePath = null,
     filePath = null,
     templateRef = null,
+    dynamicRef = null,    // original reference when templateRef is a candidate of a dynamic path
+    bindings = null,      // e.g. "lang=python" — what produced the candidate
+    isExtends = false,    // reached through the pipeline's `extends: template:`
+    condition = null,     // `${{ if }}` / `${{ else }}` the call is nested under
     repoName = null,
     isCycle = false,
     notFound = false,
@@ -57,6 +68,10 @@ class DepNode {
     this.relativePath = relativePath;
     this.filePath = filePath;
     this.templateRef = templateRef;
+    this.dynamicRef = dynamicRef;
+    this.bindings = bindings;
+    this.isExtends = isExtends;
+    this.condition = condition;
     this.repoName = repoName;
     this.isCycle = isCycle;
     this.notFound = notFound;
@@ -132,7 +147,7 @@ function buildUpstreamTree(targetFile, workspaceRoot) {
     const aliases = parseRepositoryAliases(text);
     const refs = extractTemplateRefs(yamlFile);
     for (const { templateRef } of refs) {
-      if (/\$\{/.test(templateRef) || /\$\(/.test(templateRef)) continue;
+      if (isDynamicTemplateRef(templateRef)) continue;
       const resolved = resolveTemplatePath(templateRef, yamlFile, aliases);
       if (resolved && resolved.filePath === targetFile) {
         const rel = path.relative(workspaceRoot, yamlFile).replace(/\\/g, '/');
@@ -158,27 +173,26 @@ function buildUpstreamTree(targetFile, workspaceRoot) {
 /**
  * Recursively builds the "Is calling" downstream tree for `filePath`.
  *
+ * Dynamic references (`steps/${{ parameters.lang }}-build.yml`) are shown as
+ * one child per candidate file; the values used come from the template's own
+ * defaults / `values:` lists and from the literal arguments of the call that
+ * led here.
+ *
  * @param {string}      filePath
  * @param {Set<string>} visited        Cycle guard (absolute paths already in chain)
  * @param {string|null} workspaceRoot
+ * @param {Record<string, string[]>} [callArguments]  Literal arguments passed to `filePath`
  * @returns {DepNode[]}
  */
-function buildDownstreamNodes(filePath, visited = new Set(), workspaceRoot = null) {
+function buildDownstreamNodes(filePath, visited = new Set(), workspaceRoot = null, callArguments = {}) {
   const text = fileCache.readFile(filePath);
   if (!text) return [];
 
-  const lines = text.replace(/\r\n/g, '\n').split('\n');
   const repoAliases = parseRepositoryAliases(text);
   const children = [];
 
-  for (const line of lines) {
-    const stripped = line.replace(/(^\s*#.*|\s#.*)$/, '');
-    const match = /(?:^|\s)-?\s*template\s*:\s*(.+)$/.exec(stripped);
-    if (!match) continue;
-
-    const templateRef = match[1].trim();
-
-    if (/\$\{/.test(templateRef) || /\$\(/.test(templateRef)) {
+  for (const { templateRef, line, kind, directives, dynamicRef, bindings } of extractTemplateRefs(filePath, callArguments)) {
+    if (isDynamicTemplateRef(templateRef)) {
       children.push(new DepNode({ kind: 'notFound', label: templateRef, templateRef, notFound: true }));
       continue;
     }
@@ -204,6 +218,8 @@ function buildDownstreamNodes(filePath, visited = new Set(), workspaceRoot = nul
         kind: 'notFound',
         label: templateRef,
         templateRef,
+        dynamicRef,
+        bindings,
         filePath: resolvedPath,
         repoName,
         notFound: true,
@@ -234,10 +250,7 @@ function buildDownstreamNodes(filePath, visited = new Set(), workspaceRoot = nul
       const params = parseParameters(tplText);
       paramCount = params.length;
       requiredCount = params.filter(p => p.required).length;
-      const templateLineRe = /(?:^|\s)-?\s*template\s*:\s*(.+)$/;
-      hasChildren = tplText.replace(/\r\n/g, '\n').split('\n').some(
-        l => templateLineRe.test(l.replace(/(^\s*#.*|\s#.*)$/, ''))
-      );
+      hasChildren = findTemplateReferences(tplText).length > 0;
     }
 
     const shortName = path.basename(resolvedPath);
@@ -248,7 +261,7 @@ function buildDownstreamNodes(filePath, visited = new Set(), workspaceRoot = nul
     const newVisited = new Set(visited);
     newVisited.add(resolvedPath);
     const childNodes = hasChildren
-      ? buildDownstreamNodes(resolvedPath, newVisited, workspaceRoot)
+      ? buildDownstreamNodes(resolvedPath, newVisited, workspaceRoot, callSiteArguments(filePath, line))
       : [];
 
     children.push(new DepNode({
@@ -257,6 +270,10 @@ function buildDownstreamNodes(filePath, visited = new Set(), workspaceRoot = nul
       relativePath: rel,
       filePath: resolvedPath,
       templateRef,
+      dynamicRef,
+      bindings,
+      isExtends: kind === 'extends',
+      condition: conditionOf(directives),
       repoName,
       paramCount,
       requiredCount,
@@ -515,7 +532,8 @@ class DependenciesProvider {
 
       // ── "Is calling" section ─────────────────────────────────────────────
       const visited = new Set([this._activeFile]);
-      const downstreamNodes = buildDownstreamNodes(this._activeFile, visited, workspaceRoot);
+      const callArguments = workspaceIndex.isReady() ? workspaceIndex.getCallArguments(this._activeFile) : {};
+      const downstreamNodes = buildDownstreamNodes(this._activeFile, visited, workspaceRoot, callArguments);
       this._setParents(downstreamNodes, null);
       const isCallingSection = new DepNode({
         kind: 'section',
@@ -642,6 +660,9 @@ class DependenciesProvider {
       const md = new vscode.MarkdownString(undefined, true);
       md.isTrusted = true;
       md.appendMarkdown(`**⚠️ Template not found**\n\n\`${node.templateRef}\``);
+      if (node.dynamicRef) {
+        md.appendMarkdown(`\n\nCandidate of \`${node.dynamicRef}\` with ${node.bindings}.`);
+      }
       if (node.repoName) {
         md.appendMarkdown(`\n\n_Clone \`${node.repoName}\` next to this workspace._`);
       }
@@ -673,12 +694,40 @@ class DependenciesProvider {
       item.iconPath = new vscode.ThemeIcon('file-code', new vscode.ThemeColor('list.errorForeground'));
     } else if (severity === 'warning' && !this.errorsOnly) {
       item.iconPath = new vscode.ThemeIcon('file-code', new vscode.ThemeColor('list.warningForeground'));
+    } else if (node.isExtends) {
+      item.iconPath = new vscode.ThemeIcon('type-hierarchy-super');
     } else if (node.repoName) {
       item.iconPath = new vscode.ThemeIcon('repo');
     } else {
       item.iconPath = new vscode.ThemeIcon('file-code');
     }
 
+    // Candidate of a path built from parameters / variables
+    if (node.dynamicRef) {
+      item.description = node.bindings;
+      item.tooltip = `${node.dynamicRef}\n${node.bindings}`;
+    }
+
+    // Base template of an `extends:` pipeline
+    if (node.isExtends) {
+      item.description = item.description ? `extends · ${item.description}` : 'extends';
+    }
+
+    // Inserted only when a `${{ if }}` / `${{ else }}` condition holds
+    if (node.condition) {
+      item.description = item.description ? `${node.condition} · ${item.description}` : node.condition;
+      item.tooltip = item.tooltip ? `${item.tooltip}\n${node.condition}` : node.condition;
+    }
+
+    // Documentation comments of the template and its parameters
+    const docTooltip = node.filePath ? this._buildDocTooltip(node.filePath) : null;
+    if (docTooltip) {
+      if (item.tooltip) {
+        docTooltip.appendMarkdown(`\n\n---\n\n${item.tooltip.split('\n').map(l => `\`${l}\``).join('  \n')}`);
+      }
+      item.tooltip = docTooltip;
+    }
+
     // Click: open the file
     if (node.filePath) {
       item.command = {
@@ -694,6 +743,33 @@ class DependenciesProvider {
     return item;
   }
 
+  /**
+   * Builds a tooltip from the template's header comment and the comments of
+   * its parameters, or returns null when the template has none.
+   * @param {string} filePath
+   * @returns {vscode.MarkdownString|null}
+   */
+  _buildDocTooltip(filePath) {
+    const text = fileCache.readFile(filePath);
+    if (!text) return null;
+    const templateDoc = parseTemplateDoc(text);
+    const params = parseParameters(text);
+    if (!templateDoc && !params.some(p => p.doc)) return null;
+
+    const md = new vscode.MarkdownString(undefined, true);
+    md.appendMarkdown(`**📄 ${path.basename(filePath)}**\n\n`);
+    if (templateDoc) md.appendMarkdown(`${formatDocMarkdown(templateDoc)}\n\n`);
+    if (params.length > 0) {
+      md.appendMarkdown('**Parameters:**\n\n');
+      for (const p of params) {
+        const name = p.doc && p.doc.deprecated !== undefined ? `~~**${p.name}**~~` : `**${p.name}**`;
+        md.appendMarkdown(`- ${name}: \`${p.type}\`${p.required ? ' _(required)_' : ''}\n`);
+        if (p.doc) md.appendMarkdown(formatDocListItem(p.doc));
+      }
+    }
+    return md;
+  }
+
   // ── Helpers ────────────────────────────────────────────────────────────────
 
   _getWorkspaceRoot(filePath) {
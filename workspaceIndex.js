@@ -31,6 +31,12 @@
  *   index.getCallees(filePath)   → Set<string>   direct callees
  *   index.getParams(filePath)    → ParsedParam[]
  *   index.getAllFiles()          → string[]
+ *   index.getCallArguments(filePath) → literal values callers pass to it
+ *
+ * Dynamic template references (`steps/${{ parameters.lang }}-build.yml`) are
+ * expanded into their candidate files, using — among other sources — the
+ * literal values callers pass.  A template with dynamic references is
+ * therefore re-indexed whenever one of its callers changes.
  *
  * The index also exposes getTransitiveCallers(filePath) which does a BFS
  * upward through reverseAdj — replacing the recursive findChain() traversal
@@ -44,7 +50,10 @@ const fileCache = require('./fileCache');
 const {
   collectYamlFiles,
   extractTemplateRefs,
+  hasDynamicTemplateRefs,
+  callSiteArguments,
 } = require('./graphDataBuilder');
+const { isDynamicTemplateRef, mergeArguments } = require('./dynamicTemplateRefs');
 const {
   parseParameters,
   parseRepositoryAliases,
@@ -78,6 +87,13 @@ class WorkspaceIndex {
      */
     this._params = new Map();
 
+    /**
+     * callerPath → (targetPath → literal arguments passed), recorded only for
+     * targets that contain dynamic template references.
+     * @type {Map<string, Map<string, Record<string, string[]>>>}
+     */
+    this._argsByCaller = new Map();
+
     /**
      * All YAML files known to the index.
      * @type {Set<string>}
@@ -138,6 +154,21 @@ class WorkspaceIndex {
     return params;
   }
 
+  /**
+   * Returns the literal parameter values passed to `filePath` by its callers
+   * (only tracked for files that contain dynamic template references).
+   * @param {string} filePath
+   * @returns {Record<string, string[]>}
+   */
+  getCallArguments(filePath) {
+    const args = {};
+    for (const caller of this.getCallers(filePath)) {
+      const byTarget = this._argsByCaller.get(caller);
+      if (byTarget && byTarget.has(filePath)) mergeArguments(args, byTarget.get(filePath));
+    }
+    return args;
+  }
+
   /**
    * Returns all YAML files known to the index.
    * @returns {string[]}
@@ -290,6 +321,7 @@ class WorkspaceIndex {
     this._forwardAdj.clear();
     this._reverseAdj.clear();
     this._params.clear();
+    this._argsByCaller.clear();
     this._allFiles.clear();
     this._ready = false;
 
@@ -299,6 +331,13 @@ class WorkspaceIndex {
       this._indexFile(filePath);
     }
 
+    // Second pass: dynamic references can now use their callers' arguments
+    for (const filePath of allYaml) {
+      if (this._reverseAdj.has(filePath) && hasDynamicTemplateRefs(filePath)) {
+        this._reindexFile(filePath);
+      }
+    }
+
     this._ready = true;
     this._fireReady();
   }
@@ -311,21 +350,17 @@ class WorkspaceIndex {
    * @param {string} filePath
    */
   rebuildFile(filePath) {
-    // Remove old forward edges from this file
-    const oldCallees = this._forwardAdj.get(filePath) || new Set();
-    for (const callee of oldCallees) {
-      const callers = this._reverseAdj.get(callee);
-      if (callers) {
-        callers.delete(filePath);
-        if (callers.size === 0) this._reverseAdj.delete(callee);
-      }
-    }
-    this._forwardAdj.delete(filePath);
-    this._params.delete(filePath);
+    const oldCallees = new Set(this._forwardAdj.get(filePath) || []);
 
     // Re-index the file (fileCache.invalidate was already called by the watcher)
-    if (this._allFiles.has(filePath)) {
-      this._indexFile(filePath);
+    this._reindexFile(filePath);
+
+    // Callees with dynamic references depend on the arguments this file passes
+    const callees = new Set([...oldCallees, ...this.getCallees(filePath)]);
+    for (const callee of callees) {
+      if (callee !== filePath && this._allFiles.has(callee) && hasDynamicTemplateRefs(callee)) {
+        this._reindexFile(callee);
+      }
     }
   }
 
@@ -343,8 +378,10 @@ class WorkspaceIndex {
    * @param {string} filePath
    */
   removeFile(filePath) {
+    fileCache.invalidate(filePath);
     this._allFiles.delete(filePath);
     this._params.delete(filePath);
+    this._argsByCaller.delete(filePath);
 
     // Remove forward edges
     const callees = this._forwardAdj.get(filePath) || new Set();
@@ -363,6 +400,29 @@ class WorkspaceIndex {
 
   // ── Private helpers ─────────────────────────────────────────────────────────
 
+  /**
+   * Removes a file's forward edges and re-indexes it.
+   * @param {string} filePath
+   * @private
+   */
+  _reindexFile(filePath) {
+    const oldCallees = this._forwardAdj.get(filePath) || new Set();
+    for (const callee of oldCallees) {
+      const callers = this._reverseAdj.get(callee);
+      if (callers) {
+        callers.delete(filePath);
+        if (callers.size === 0) this._reverseAdj.delete(callee);
+      }
+    }
+    this._forwardAdj.delete(filePath);
+    this._params.delete(filePath);
+    this._argsByCaller.delete(filePath);
+
+    if (this._allFiles.has(filePath)) {
+      this._indexFile(filePath);
+    }
+  }
+
   /**
    * Indexes a single file: parses its template references and updates
    * forwardAdj and reverseAdj.
@@ -379,12 +439,14 @@ class WorkspaceIndex {
 
     // Parse template references
     const aliases = parseRepositoryAliases(text);
-    const refs = extractTemplateRefs(filePath);
+    const refs = extractTemplateRefs(filePath, this.getCallArguments(filePath));
 
     const callees = new Set();
+    /** @type {Map<string, Record<string, string[]>>} */
+    const argsByTarget = new Map();
 
-    for (const { templateRef } of refs) {
-      if (/\$\{/.test(templateRef) || /\$\(/.test(templateRef)) continue;
+    for (const { templateRef, line } of refs) {
+      if (isDynamicTemplateRef(templateRef)) continue;
 
       const resolved = resolveTemplatePath(templateRef, filePath, aliases);
       if (!resolved || resolved.unknownAlias || !resolved.filePath) continue;
@@ -392,6 +454,11 @@ class WorkspaceIndex {
       const targetPath = resolved.filePath;
       callees.add(targetPath);
 
+      if (hasDynamicTemplateRefs(targetPath)) {
+        if (!argsByTarget.has(targetPath)) argsByTarget.set(targetPath, {});
+        mergeArguments(argsByTarget.get(targetPath), callSiteArguments(filePath, line));
+      }
+
       // Update reverse adjacency
       if (!this._reverseAdj.has(targetPath)) {
         this._reverseAdj.set(targetPath, new Set());
@@ -400,6 +467,7 @@ class WorkspaceIndex {
     }
 
     this._forwardAdj.set(filePath, callees);
+    if (argsByTarget.size > 0) this._argsByCaller.set(filePath, argsByTarget);
   }
 
   _fireReady() {
@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * workspaceTaskCatalog.js
+ *
+ * Returns the task catalog that applies to a file: the built-in tasks of
+ * taskCatalog.js plus the workspace catalog named by the
+ * `azure-templates-navigator.tasks.catalogFile` setting.  Shared by the task
+ * hover, completion and diagnostics.
+ *
+ * Kept apart from taskCatalog.js, which has no vscode dependency.
+ */
+
+const path = require('path');
+const vscode = require('vscode');
+const { loadTaskCatalog } = require('./taskCatalog');
+
+/**
+ * Returns the task catalog for a file: the built-in tasks plus the workspace
+ * catalog named by `azure-templates-navigator.tasks.catalogFile`, which is
+ * relative to the file's repository root.
+ *
+ * @param {string} filePath  Absolute path of the pipeline or template
+ * @returns {import('./taskCatalog').TaskCatalog}
+ */
+function getTaskCatalog(filePath) {
+  // Required here rather than at the top: hoverProvider loads this module
+  // while it is still loading itself
+  const { findRepoRoot } = require('./hoverProvider');
+
+  const config = vscode.workspace.getConfiguration('azure-templates-navigator', vscode.Uri.file(filePath));
+  const catalogFile = config.get('tasks.catalogFile', '.azure-pipelines/tasks.json');
+  const customFile = typeof catalogFile === 'string' && catalogFile.trim() !== ''
+    ? path.resolve(findRepoRoot(path.dirname(filePath)), catalogFile.trim())
+    : null;
+  return loadTaskCatalog(customFile);
+}
+
+module.exports = {
+  getTaskCatalog,
+};
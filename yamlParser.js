@@ -0,0 +1,1194 @@
+'use strict';
+
+/**
+ * yamlParser.js
+ *
+ * A small, dependency-free YAML parser that produces a position-aware AST.
+ *
+ * Problem it solves
+ * ─────────────────
+ * The original parsers in hoverProvider.js walked raw lines with indentation
+ * heuristics and regexes.  That silently lost information for perfectly valid
+ * YAML such as flow collections (`parameters: [ {name: a} ]`), block scalars
+ * (`default: >-`), anchors / aliases and quoted keys.
+ *
+ * What it supports
+ * ────────────────
+ * • Block mappings and sequences, including compact `- key: value` items
+ * • Flow mappings and sequences (`{ a: 1 }`, `[a, b]`), optionally multi-line
+ * • Plain, single-quoted and double-quoted scalars (multi-line folding included)
+ * • Literal and folded block scalars (`|`, `>`, chomping and indent indicators)
+ * • Anchors, aliases and `<<` merge keys
+ * • Comments (collected with their positions) and `---` document markers
+ *
+ * Only the first document of a stream is parsed — Azure Pipelines files are
+ * single-document.  The parser never throws: malformed input produces a
+ * best-effort tree plus an `errors` array, which matters because the files
+ * are parsed on every keystroke while the user is still typing.
+ *
+ * All positions are 0-based.  `endCol` is exclusive.
+ *
+ * @module yamlParser
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Node model
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {object} YamlScalar
+ * @property {'scalar'} kind
+ * @property {string}   value   Interpreted value (quotes removed, lines folded)
+ * @property {string}   raw     Source text exactly as written
+ * @property {'plain'|'single'|'double'|'literal'|'folded'} style
+ * @property {number}   line
+ * @property {number}   col
+ * @property {number}   endLine
+ * @property {number}   endCol
+ * @property {string}   [anchor]
+ *
+ * @typedef {object} YamlEntry
+ * @property {string}     key
+ * @property {YamlScalar} keyNode
+ * @property {YamlNode|null} value  `null` when the key has no value (`key:`)
+ * @property {number}     line     Line of the key
+ * @property {number}     col      Column of the key
+ *
+ * @typedef {object} YamlMap
+ * @property {'map'}       kind
+ * @property {YamlEntry[]} entries
+ * @property {boolean}     flow
+ * @property {string}      [raw]   Source text (flow collections only)
+ * @property {number} line
+ * @property {number} col
+ * @property {number} endLine
+ * @property {number} endCol
+ * @property {string} [anchor]
+ *
+ * @typedef {object} YamlSeq
+ * @property {'seq'}             kind
+ * @property {(YamlNode|null)[]} items
+ * @property {boolean}           flow
+ * @property {string}            [raw]
+ * @property {number} line
+ * @property {number} col
+ * @property {number} endLine
+ * @property {number} endCol
+ * @property {string} [anchor]
+ *
+ * @typedef {YamlScalar|YamlMap|YamlSeq} YamlNode
+ *
+ * @typedef {object} YamlComment
+ * @property {number} line
+ * @property {number} col   Column of the `#`
+ * @property {string} text  Comment text after the `#`, trimmed
+ *
+ * @typedef {object} YamlDocument
+ * @property {YamlNode|null} root
+ * @property {{ message: string, line: number, col: number }[]} errors
+ * @property {YamlComment[]} comments
+ * @property {YamlNode[]} recovered  Nodes parsed from malformed regions that
+ *   could not be attached to the tree (e.g. a stray `- item` between keys)
+ * @property {string[]} lines  Source lines (CRLF normalised)
+ */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Low-level scanning helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Returns the number of leading spaces on a line.
+ * @param {string} line
+ * @returns {number}
+ */
+function indentOf(line) {
+  let i = 0;
+  while (i < line.length && line[i] === ' ') i++;
+  return i;
+}
+
+/**
+ * Returns the index just past a `${{ … }}` expression that starts at `i`,
+ * or `i` when there is none.  Template expressions routinely contain `:`,
+ * `#`, `{` and `}` characters that must not be mistaken for YAML syntax.
+ *
+ * @param {string} s
+ * @param {number} i
+ * @returns {number}
+ */
+function skipExpression(s, i) {
+  if (!s.startsWith('${{', i)) return i;
+  const close = s.indexOf('}}', i + 3);
+  return close === -1 ? s.length : close + 2;
+}
+
+/**
+ * Finds the start of a trailing `# comment` in a block-context plain text
+ * fragment, or -1.  A `#` only starts a comment at the start of the text or
+ * when preceded by whitespace.
+ *
+ * @param {string} s
+ * @param {number} [from=0]
+ * @returns {number}
+ */
+function findCommentStart(s, from = 0) {
+  for (let i = from; i < s.length; i++) {
+    const j = skipExpression(s, i);
+    if (j !== i) { i = j - 1; continue; }
+    if (s[i] === '#' && (i === from || s[i - 1] === ' ' || s[i - 1] === '\t')) return i;
+  }
+  return -1;
+}
+
+/**
+ * Scans a quoted scalar starting at `lines[li][col]` (which must be a quote
+ * character).  Quoted scalars may span lines; line breaks fold to spaces and
+ * empty lines to `\n`, as in YAML.
+ *
+ * @param {string[]} lines
+ * @param {number} li
+ * @param {number} col
+ * @returns {{ value: string, endLine: number, endCol: number, closed: boolean }}
+ */
+function scanQuoted(lines, li, col) {
+  const quote = lines[li][col];
+  let value = '';
+  let l = li;
+  let c = col + 1;
+  let pendingBreaks = 0;
+
+  while (l < lines.length) {
+    const line = lines[l];
+    while (c < line.length) {
+      const ch = line[c];
+      if (pendingBreaks > 0) {
+        value += pendingBreaks === 1 ? ' ' : '\n'.repeat(pendingBreaks - 1);
+        pendingBreaks = 0;
+      }
+      if (quote === "'" && ch === "'") {
+        if (line[c + 1] === "'") { value += "'"; c += 2; continue; }
+        return { value, endLine: l, endCol: c + 1, closed: true };
+      }
+      if (quote === '"' && ch === '"') {
+        return { value, endLine: l, endCol: c + 1, closed: true };
+      }
+      if (quote === '"' && ch === '\\') {
+        const next = line[c + 1];
+        if (next === undefined) { c++; pendingBreaks = -1; break; } // escaped line break
+        const simple = { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ', b: '\b', f: '\f', e: '\x1b' };
+        if (next in simple) { value += simple[next]; c += 2; continue; }
+        const hexLen = next === 'x' ? 2 : next === 'u' ? 4 : next === 'U' ? 8 : 0;
+        if (hexLen > 0) {
+          const hex = line.slice(c + 2, c + 2 + hexLen);
+          if (/^[0-9a-fA-F]+$/.test(hex) && hex.length === hexLen) {
+            value += String.fromCodePoint(parseInt(hex, 16));
+            c += 2 + hexLen;
+            continue;
+          }
+        }
+        value += next;
+        c += 2;
+        continue;
+      }
+      value += ch;
+      c++;
+    }
+    // End of line inside the quotes: fold the line break
+    if (pendingBreaks === -1) {
+      pendingBreaks = 0; // escaped break — join without a space
+    } else {
+      value = value.replace(/[ \t]+$/, '');
+      pendingBreaks++;
+    }
+    l++;
+    if (l < lines.length) {
+      const next = lines[l];
+      c = next.length - next.trimStart().length;
+      if (next.trim() === '') { c = next.length; }
+    }
+  }
+
+  // Unterminated — treat the remainder of the first line as the value
+  return { value: lines[li].slice(col + 1), endLine: li, endCol: lines[li].length, closed: false };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Parser
+// ─────────────────────────────────────────────────────────────────────────────
+
+class Parser {
+  /** @param {string} text */
+  constructor(text) {
+    this.lines = text.replace(/\r\n?/g, '\n').split('\n');
+    /** @type {{ message: string, line: number, col: number }[]} */
+    this.errors = [];
+    /** @type {Map<number, YamlComment>} line → comment */
+    this.comments = new Map();
+    /** @type {Map<string, YamlNode>} */
+    this.anchors = new Map();
+    /** @type {YamlNode[]} */
+    this.recovered = [];
+    /** Current line index. */
+    this.li = 0;
+    /** Current column on the current line. */
+    this.col = 0;
+    /** Set once the first document marker or content line has been seen. */
+    this.docStarted = false;
+    /** Set when a document end marker stops the parse. */
+    this.docEnded = false;
+  }
+
+  /** @returns {YamlDocument} */
+  parse() {
+    const root = this._parseBlockNode(-1, true);
+    while (!this.docEnded && this._nextContent()) {
+      this._error('Unexpected content after the end of the document', this.li, this.col);
+      this._recover();
+    }
+    const comments = Array.from(this.comments.values()).sort((a, b) => a.line - b.line);
+    return { root, errors: this.errors, comments, recovered: this.recovered, lines: this.lines };
+  }
+
+  // ── Line navigation ───────────────────────────────────────────────────────
+
+  _error(message, line, col) {
+    this.errors.push({ message, line, col });
+  }
+
+  /**
+   * Records a trailing/standalone comment on line `li` if there is one at or
+   * after column `from`.  Returns the comment column or -1.
+   */
+  _recordComment(li, from) {
+    const line = this.lines[li];
+    const idx = findCommentStart(line, from);
+    if (idx === -1) return -1;
+    if (!this.comments.has(li)) {
+      this.comments.set(li, { line: li, col: idx, text: line.slice(idx + 1).trim() });
+    }
+    return idx;
+  }
+
+  /**
+   * Advances `this.li` to the next line that has content (skipping blank and
+   * comment-only lines) and sets `this.col` to its indentation.
+   * Returns false at end of input or at a document marker.
+   * @returns {boolean}
+   */
+  _nextContent() {
+    while (this.li < this.lines.length) {
+      const line = this.lines[this.li];
+      const stripped = line.trim();
+      if (stripped === '' ) { this.li++; continue; }
+      if (stripped.startsWith('#')) { this._recordComment(this.li, indentOf(line)); this.li++; continue; }
+      if (/^%/.test(line) && !this.docStarted) { this.li++; continue; } // directive
+      if (/^(---|\.\.\.)(\s|$)/.test(line)) {
+        if (this.docStarted || line.startsWith('...')) { this.docEnded = true; return false; }
+        this.docStarted = true;
+        // Content may follow the marker on the same line ("--- value")
+        const rest = line.slice(3).trim();
+        if (rest === '' || rest.startsWith('#')) { this.li++; continue; }
+        this.col = line.indexOf(rest, 3);
+        return true;
+      }
+      this.docStarted = true;
+      this.col = indentOf(line);
+      return true;
+    }
+    return false;
+  }
+
+  // ── Key detection ─────────────────────────────────────────────────────────
+
+  /**
+   * If an implicit mapping key starts at (li, col), returns its key node and
+   * the column of the `:` indicator; otherwise null.
+   */
+  _keyAt(li, col) {
+    const line = this.lines[li];
+    const ch = line[col];
+    if (ch === undefined || '[{#|>*&!%@`'.includes(ch)) return null;
+    if (ch === '-' && (line[col + 1] === undefined || line[col + 1] === ' ' || line[col + 1] === '\t')) return null;
+
+    if (ch === '"' || ch === "'") {
+      const q = scanQuoted(this.lines, li, col);
+      if (!q.closed || q.endLine !== li) return null;
+      let k = q.endCol;
+      while (line[k] === ' ' || line[k] === '\t') k++;
+      if (line[k] !== ':' || !(line[k + 1] === undefined || line[k + 1] === ' ' || line[k + 1] === '\t')) return null;
+      return {
+        keyNode: {
+          kind: 'scalar', value: q.value, raw: line.slice(col, q.endCol),
+          style: ch === '"' ? 'double' : 'single',
+          line: li, col, endLine: li, endCol: q.endCol,
+        },
+        colon: k,
+      };
+    }
+
+    for (let i = col; i < line.length; i++) {
+      const j = skipExpression(line, i);
+      if (j !== i) { i = j - 1; continue; }
+      const c = line[i];
+      if (c === '#' && (line[i - 1] === ' ' || line[i - 1] === '\t')) return null;
+      if (c === ':' && (line[i + 1] === undefined || line[i + 1] === ' ' || line[i + 1] === '\t')) {
+        const raw = line.slice(col, i).trimEnd();
+        if (raw === '') return null;
+        return {
+          keyNode: {
+            kind: 'scalar', value: raw, raw, style: 'plain',
+            line: li, col, endLine: li, endCol: col + raw.length,
+          },
+          colon: i,
+        };
+      }
+    }
+    return null;
+  }
+
+  /** True when (li, col) starts a block sequence entry ("- " or a lone "-"). */
+  _isDashAt(li, col) {
+    const line = this.lines[li];
+    return line[col] === '-' && (line[col + 1] === undefined || line[col + 1] === ' ' || line[col + 1] === '\t');
+  }
+
+  /** Column of the first non-space character at or after `col`. */
+  _skipSpaces(li, col) {
+    const line = this.lines[li];
+    while (col < line.length && (line[col] === ' ' || line[col] === '\t')) col++;
+    return col;
+  }
+
+  /** True when the rest of line `li` from `col` is empty or a comment. */
+  _restIsEmpty(li, col) {
+    const c = this._skipSpaces(li, col);
+    const line = this.lines[li];
+    if (c >= line.length) return true;
+    if (line[c] === '#') { this._recordComment(li, c); return true; }
+    return false;
+  }
+
+  /**
+   * Error recovery: parses the node at (this.li, this.col) on its own and
+   * keeps it in `recovered`, so that content after a structural mistake is
+   * still visible to consumers.  Always consumes at least one line.
+   */
+  _recover() {
+    const li = this.li;
+    const ind = this.col;
+    if (this._isDashAt(li, ind) || this._keyAt(li, ind)) {
+      const node = this._parseNodeAt(ind - 1);
+      if (node) this.recovered.push(node);
+    }
+    if (this.li <= li) {
+      this.li = li + 1;
+      this.col = 0;
+    }
+  }
+
+  /**
+   * After an inline node ends at (li, col), checks that nothing but a comment
+   * follows on that line, then moves to the next line.
+   */
+  _finishLine(li, col) {
+    if (!this._restIsEmpty(li, col)) {
+      this._error('Unexpected characters after value', li, this._skipSpaces(li, col));
+    }
+    this.li = li + 1;
+    this.col = 0;
+  }
+
+  // ── Block structures ──────────────────────────────────────────────────────
+
+  /**
+   * Parses a node that starts on a following line, more indented than
+   * `ownerIndent` (or at the same indent when it is a block sequence and
+   * `allowSeqAtOwner` is set — YAML allows `key:\n- item`).
+   * Returns null when there is no such node (an empty value).
+   */
+  _parseBlockNode(ownerIndent, allowSeqAtOwner) {
+    if (!this._nextContent()) return null;
+    const ind = this.col;
+    if (ind > ownerIndent || (allowSeqAtOwner && ind === ownerIndent && this._isDashAt(this.li, ind))) {
+      return this._parseNodeAt(ownerIndent);
+    }
+    return null;
+  }
+
+  /**
+   * Parses the node that starts at (this.li, this.col).  `ownerIndent` is
+   * the indentation of the enclosing block collection; continuation lines of
+   * scalars must be indented deeper than it.
+   */
+  _parseNodeAt(ownerIndent) {
+    const li = this.li;
+    const line = this.lines[li];
+    let c = this.col;
+
+    // Node properties: tags and anchors
+    let anchor = null;
+    for (;;) {
+      if (line[c] === '!') {
+        while (c < line.length && line[c] !== ' ') c++;
+        c = this._skipSpaces(li, c);
+        continue;
+      }
+      if (line[c] === '&') {
+        const m = /^&([^\s,[\]{}]+)/.exec(line.slice(c));
+        if (!m) break;
+        anchor = m[1];
+        c = this._skipSpaces(li, c + m[0].length);
+        continue;
+      }
+      break;
+    }
+
+    let node;
+    if (c >= line.length || line[c] === '#') {
+      // Properties alone on the line — the node itself follows on the next lines
+      this._restIsEmpty(li, c);
+      this.li = li + 1;
+      this.col = 0;
+      node = this._parseBlockNode(ownerIndent, false);
+    } else {
+      this.col = c;
+      node = this._parseInline(ownerIndent);
+    }
+
+    if (anchor && node) {
+      node.anchor = anchor;
+      this.anchors.set(anchor, node);
+    }
+    return node;
+  }
+
+  /** Parses a node whose first character is at (this.li, this.col). */
+  _parseInline(ownerIndent) {
+    const li = this.li;
+    const c = this.col;
+    const line = this.lines[li];
+    const ch = line[c];
+
+    if (this._isDashAt(li, c)) return this._parseBlockSeq(c);
+
+    if (ch === '*') {
+      const m = /^\*([^\s,[\]{}]+)/.exec(line.slice(c));
+      const name = m ? m[1] : '';
+      const target = this.anchors.get(name);
+      if (!target) this._error(`Unknown alias '*${name}'`, li, c);
+      this._finishLine(li, c + (m ? m[0].length : 1));
+      return target || null;
+    }
+
+    if (ch === '[' || ch === '{') {
+      const node = this._parseFlow(li, c);
+      this._finishLine(node.endLine, node.endCol);
+      return node;
+    }
+
+    if (ch === '|' || ch === '>') return this._parseBlockScalar(ownerIndent);
+
+    if (this._keyAt(li, c)) return this._parseBlockMap(c);
+
+    if (ch === '"' || ch === "'") {
+      const q = scanQuoted(this.lines, li, c);
+      if (!q.closed) this._error('Unterminated quoted scalar', li, c);
+      const node = {
+        kind: 'scalar',
+        value: q.value,
+        raw: this._slice(li, c, q.endLine, q.endCol),
+        style: ch === '"' ? 'double' : 'single',
+        line: li, col: c, endLine: q.endLine, endCol: q.endCol,
+      };
+      this._finishLine(q.endLine, q.endCol);
+      return node;
+    }
+
+    return this._parsePlain(ownerIndent);
+  }
+
+  /** Parses a block sequence whose dashes sit at column `seqIndent`. */
+  _parseBlockSeq(seqIndent) {
+    /** @type {YamlSeq} */
+    const seq = {
+      kind: 'seq', items: [], flow: false,
+      line: this.li, col: seqIndent, endLine: this.li, endCol: seqIndent + 1,
+    };
+    let first = true;
+
+    for (;;) {
+      if (!first) {
+        if (!this._nextContent()) break;
+        const ind = this.col;
+        if (ind < seqIndent) break;
+        if (ind > seqIndent) {
+          this._error('Unexpected indentation', this.li, ind);
+          this._recover();
+          continue;
+        }
+        if (!this._isDashAt(this.li, ind)) break;
+      }
+      first = false;
+
+      const li = this.li;
+      const itemCol = this._skipSpaces(li, seqIndent + 1);
+      let item;
+      if (this._restIsEmpty(li, itemCol)) {
+        this.li = li + 1;
+        this.col = 0;
+        item = this._parseBlockNode(seqIndent, false);
+      } else {
+        this.col = itemCol;
+        item = this._parseNodeAt(seqIndent);
+      }
+      seq.items.push(item);
+      this._extendTo(seq, item, li, seqIndent + 1);
+    }
+
+    return seq;
+  }
+
+  /** Parses a block mapping whose keys sit at column `mapIndent`. */
+  _parseBlockMap(mapIndent) {
+    /** @type {YamlMap} */
+    const map = {
+      kind: 'map', entries: [], flow: false,
+      line: this.li, col: mapIndent, endLine: this.li, endCol: mapIndent,
+    };
+    let first = true;
+
+    for (;;) {
+      if (!first) {
+        if (!this._nextContent()) break;
+        const ind = this.col;
+        if (ind < mapIndent) break;
+        if (ind > mapIndent) {
+          this._error('Unexpected indentation', this.li, ind);
+          this._recover();
+          continue;
+        }
+        if (!this._keyAt(this.li, ind)) {
+          this._error('Expected a mapping key', this.li, ind);
+          this._recover();
+          continue;
+        }
+      }
+      first = false;
+
+      const li = this.li;
+      const { keyNode, colon } = this._keyAt(li, this.col);
+      const valueCol = this._skipSpaces(li, colon + 1);
+      let value;
+      if (this._restIsEmpty(li, valueCol)) {
+        this.li = li + 1;
+        this.col = 0;
+        value = this._parseBlockNode(mapIndent, true);
+      } else {
+        if (this._keyAt(li, valueCol)) {
+          this._error('Nested mappings are not allowed on the same line as their key', li, valueCol);
+        }
+        this.col = valueCol;
+        value = this._parseNodeAt(mapIndent);
+      }
+
+      this._addEntry(map, { key: keyNode.value, keyNode, value, line: li, col: keyNode.col });
+      this._extendTo(map, value, li, colon + 1);
+    }
+
+    return map;
+  }
+
+  /**
+   * Adds an entry to a mapping, expanding `<<` merge keys in place.
+   * @param {YamlMap} map
+   * @param {YamlEntry} entry
+   */
+  _addEntry(map, entry) {
+    if (entry.key === '<<' && entry.keyNode.style === 'plain' && entry.value) {
+      const sources = entry.value.kind === 'seq' ? entry.value.items : [entry.value];
+      for (const src of sources) {
+        if (!src || src.kind !== 'map') continue;
+        for (const e of src.entries) {
+          if (!map.entries.some(x => x.key === e.key)) map.entries.push(Object.assign({}, e, { merged: true }));
+        }
+      }
+      return;
+    }
+    const dup = map.entries.findIndex(e => e.key === entry.key);
+    if (dup !== -1) {
+      if (!map.entries[dup].merged) this._error(`Duplicate key '${entry.key}'`, entry.line, entry.col);
+      map.entries.splice(dup, 1);
+    }
+    map.entries.push(entry);
+  }
+
+  /** Grows a collection's end position to cover a just-parsed child. */
+  _extendTo(parent, child, line, col) {
+    if (child && (child.endLine > parent.endLine || (child.endLine === parent.endLine && child.endCol > parent.endCol))) {
+      parent.endLine = child.endLine;
+      parent.endCol = child.endCol;
+    } else if (!child && (line > parent.endLine || (line === parent.endLine && col > parent.endCol))) {
+      parent.endLine = line;
+      parent.endCol = col;
+    }
+  }
+
+  // ── Scalars ───────────────────────────────────────────────────────────────
+
+  /** Parses a (possibly multi-line) plain scalar in block context. */
+  _parsePlain(ownerIndent) {
+    const li = this.li;
+    const c = this.col;
+    const line = this.lines[li];
+    const cmt = this._recordComment(li, c);
+    const first = (cmt === -1 ? line.slice(c) : line.slice(c, cmt)).trimEnd();
+
+    const parts = [first];
+    let endLine = li;
+    let endCol = c + first.length;
+    let pendingBlank = 0;
+
+    for (let l = li + 1; l < this.lines.length; l++) {
+      const next = this.lines[l];
+      const stripped = next.trim();
+      if (stripped === '') { pendingBlank++; continue; }
+      if (indentOf(next) <= ownerIndent || stripped.startsWith('#')) break;
+      if (/^(---|\.\.\.)(\s|$)/.test(next)) break;
+      const ind = indentOf(next);
+      const ncmt = this._recordComment(l, ind);
+      const text = (ncmt === -1 ? next.slice(ind) : next.slice(ind, ncmt)).trimEnd();
+      if (pendingBlank > 0) parts.push('\n'.repeat(pendingBlank));
+      else parts.push(' ');
+      parts.push(text);
+      pendingBlank = 0;
+      endLine = l;
+      endCol = ind + text.length;
+      if (ncmt !== -1) break; // a comment terminates a plain scalar
+    }
+
+    this.li = endLine + 1;
+    this.col = 0;
+    return {
+      kind: 'scalar',
+      value: parts.join(''),
+      raw: this._slice(li, c, endLine, endCol),
+      style: 'plain',
+      line: li, col: c, endLine, endCol,
+    };
+  }
+
+  /** Parses a literal (`|`) or folded (`>`) block scalar. */
+  _parseBlockScalar(ownerIndent) {
+    const li = this.li;
+    const c = this.col;
+    const line = this.lines[li];
+    const header = /^([|>])([+-]?)([1-9]?)([+-]?)/.exec(line.slice(c));
+    const style = header[1] === '|' ? 'literal' : 'folded';
+    const chomp = header[2] || header[4] || '';
+    const explicit = header[3] ? parseInt(header[3], 10) : 0;
+    if (!this._restIsEmpty(li, c + header[0].length)) {
+      this._error('Unexpected characters after block scalar header', li, c + header[0].length);
+    }
+
+    const base = Math.max(ownerIndent, 0);
+    let contentIndent = explicit ? (ownerIndent < 0 ? 0 : base) + explicit : -1;
+    const body = [];
+    let endLine = li;
+    let endCol = line.length;
+
+    for (let l = li + 1; l < this.lines.length; l++) {
+      const next = this.lines[l];
+      if (next.trim() === '') { body.push(''); continue; }
+      const ind = indentOf(next);
+      if (contentIndent === -1) {
+        if (ind <= ownerIndent) break;
+        contentIndent = ind;
+      }
+      if (ind < contentIndent) break;
+      body.push(next.slice(contentIndent));
+      endLine = l;
+      endCol = next.length;
+    }
+
+    // Trailing blank lines belong to chomping, not content
+    let trailing = 0;
+    while (body.length > 0 && body[body.length - 1] === '') { body.pop(); trailing++; }
+
+    let value;
+    if (style === 'literal') {
+      value = body.join('\n');
+    } else {
+      value = '';
+      for (let i = 0; i < body.length; i++) {
+        const cur = body[i];
+        if (i === 0) { value = cur; continue; }
+        const prev = body[i - 1];
+        const moreIndented = /^\s/.test(cur) || /^\s/.test(prev);
+        if (cur === '') value += '\n';
+        else if (prev === '' || moreIndented) value += (prev === '' ? '' : '\n') + cur;
+        else value += ' ' + cur;
+      }
+    }
+
+    if (body.length > 0) {
+      if (chomp === '+') value += '\n'.repeat(1 + trailing);
+      else if (chomp !== '-') value += '\n';
+    }
+
+    this.li = endLine + 1;
+    this.col = 0;
+    return {
+      kind: 'scalar',
+      value,
+      raw: this._slice(li, c, endLine, endCol),
+      style,
+      line: li, col: c, endLine, endCol,
+    };
+  }
+
+  // ── Flow collections ──────────────────────────────────────────────────────
+
+  /**
+   * Parses a flow collection or scalar starting at (li, col).  Flow nodes may
+   * span lines; positions are tracked throughout.
+   */
+  _parseFlow(li, col) {
+    const st = { l: li, c: col };
+    const node = this._flowNode(st);
+    return node || {
+      kind: 'scalar', value: '', raw: '', style: 'plain',
+      line: li, col, endLine: st.l, endCol: st.c,
+    };
+  }
+
+  /** Skips whitespace, line breaks and comments inside a flow collection. */
+  _flowSkip(st) {
+    while (st.l < this.lines.length) {
+      const line = this.lines[st.l];
+      while (st.c < line.length && (line[st.c] === ' ' || line[st.c] === '\t')) st.c++;
+      if (st.c < line.length && line[st.c] === '#' && (st.c === 0 || /\s/.test(line[st.c - 1]))) {
+        this._recordComment(st.l, st.c);
+        st.c = line.length;
+      }
+      if (st.c < line.length) return line[st.c];
+      if (st.l === this.lines.length - 1) break; // stay on the last line at EOF
+      st.l++;
+      st.c = 0;
+    }
+    return null;
+  }
+
+  _flowNode(st) {
+    const ch = this._flowSkip(st);
+    if (ch === null) return null;
+    const line = this.lines[st.l];
+
+    let anchor = null;
+    if (ch === '&') {
+      const m = /^&([^\s,[\]{}]+)/.exec(line.slice(st.c));
+      if (m) {
+        anchor = m[1];
+        st.c += m[0].length;
+        const node = this._flowNode(st);
+        if (node) { node.anchor = anchor; this.anchors.set(anchor, node); }
+        return node;
+      }
+    }
+    if (ch === '!') {
+      while (st.c < line.length && !/[\s,[\]{}]/.test(line[st.c])) st.c++;
+      return this._flowNode(st);
+    }
+    if (ch === '*') {
+      const m = /^\*([^\s,[\]{}]+)/.exec(line.slice(st.c));
+      const name = m ? m[1] : '';
+      const target = this.anchors.get(name);
+      if (!target) this._error(`Unknown alias '*${name}'`, st.l, st.c);
+      st.c += m ? m[0].length : 1;
+      return target || null;
+    }
+    if (ch === '[') return this._flowSeq(st);
+    if (ch === '{') return this._flowMap(st);
+    if (ch === '"' || ch === "'") {
+      const startL = st.l;
+      const startC = st.c;
+      const q = scanQuoted(this.lines, st.l, st.c);
+      if (!q.closed) this._error('Unterminated quoted scalar', st.l, st.c);
+      st.l = q.endLine;
+      st.c = q.endCol;
+      return {
+        kind: 'scalar', value: q.value,
+        raw: this._slice(startL, startC, q.endLine, q.endCol),
+        style: ch === '"' ? 'double' : 'single',
+        line: startL, col: startC, endLine: q.endLine, endCol: q.endCol,
+      };
+    }
+    if (ch === ',' || ch === ']' || ch === '}') return null;
+
+    // Plain scalar — ends at a flow indicator, ": " or a comment
+    const start = st.c;
+    let i = st.c;
+    while (i < line.length) {
+      const j = skipExpression(line, i);
+      if (j !== i) { i = j; continue; }
+      const c = line[i];
+      if (c === ',' || c === '[' || c === ']' || c === '{' || c === '}') break;
+      if (c === ':' && (i + 1 >= line.length || /[\s,[\]{}]/.test(line[i + 1]))) break;
+      if (c === '#' && /\s/.test(line[i - 1] || ' ')) break;
+      i++;
+    }
+    const raw = line.slice(start, i).trimEnd();
+    st.c = start + raw.length;
+    return {
+      kind: 'scalar', value: raw, raw, style: 'plain',
+      line: st.l, col: start, endLine: st.l, endCol: st.c,
+    };
+  }
+
+  _flowSeq(st) {
+    const startL = st.l;
+    const startC = st.c;
+    st.c++; // '['
+    /** @type {YamlSeq} */
+    const seq = { kind: 'seq', items: [], flow: true, line: startL, col: startC, endLine: startL, endCol: startC + 1 };
+
+    for (;;) {
+      const ch = this._flowSkip(st);
+      if (ch === null) { this._error("Unterminated flow sequence, expected ']'", startL, startC); break; }
+      if (ch === ']') { st.c++; break; }
+      if (ch === ',') { st.c++; continue; }
+
+      const item = this._flowNode(st);
+      // Implicit single-pair mapping inside a sequence: [a: 1]
+      if (this._flowSkip(st) === ':') {
+        st.c++;
+        const next = this._flowSkip(st);
+        const value = (next === ',' || next === ']') ? null : this._flowNode(st);
+        const keyNode = item && item.kind === 'scalar' ? item : { kind: 'scalar', value: '', raw: '', style: 'plain', line: st.l, col: st.c, endLine: st.l, endCol: st.c };
+        seq.items.push({
+          kind: 'map', flow: true,
+          entries: [{ key: keyNode.value, keyNode, value, line: keyNode.line, col: keyNode.col }],
+          line: keyNode.line, col: keyNode.col,
+          endLine: value ? value.endLine : st.l, endCol: value ? value.endCol : st.c,
+        });
+      } else if (item) {
+        seq.items.push(item);
+      } else {
+        this._error('Unexpected character in flow sequence', st.l, st.c);
+        st.c++;
+      }
+    }
+
+    seq.endLine = st.l;
+    seq.endCol = st.c;
+    seq.raw = this._slice(startL, startC, st.l, st.c);
+    return seq;
+  }
+
+  _flowMap(st) {
+    const startL = st.l;
+    const startC = st.c;
+    st.c++; // '{'
+    /** @type {YamlMap} */
+    const map = { kind: 'map', entries: [], flow: true, line: startL, col: startC, endLine: startL, endCol: startC + 1 };
+
+    for (;;) {
+      const ch = this._flowSkip(st);
+      if (ch === null) { this._error("Unterminated flow mapping, expected '}'", startL, startC); break; }
+      if (ch === '}') { st.c++; break; }
+      if (ch === ',') { st.c++; continue; }
+
+      const keyNode = this._flowNode(st);
+      if (!keyNode || keyNode.kind !== 'scalar') {
+        this._error('Expected a scalar key in flow mapping', st.l, st.c);
+        if (!keyNode) st.c++;
+        continue;
+      }
+      let value = null;
+      if (this._flowSkip(st) === ':') {
+        st.c++;
+        const next = this._flowSkip(st);
+        if (next !== ',' && next !== '}') value = this._flowNode(st);
+      }
+      this._addEntry(map, { key: keyNode.value, keyNode, value, line: keyNode.line, col: keyNode.col });
+    }
+
+    map.endLine = st.l;
+    map.endCol = st.c;
+    map.raw = this._slice(startL, startC, st.l, st.c);
+    return map;
+  }
+
+  /** Returns the source text between two positions. */
+  _slice(l1, c1, l2, c2) {
+    if (l1 === l2) return this.lines[l1].slice(c1, c2);
+    const out = [this.lines[l1].slice(c1)];
+    for (let l = l1 + 1; l < l2; l++) out.push(this.lines[l]);
+    out.push(this.lines[l2].slice(0, c2));
+    return out.join('\n');
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** @type {Map<string, YamlDocument>} */
+const _cache = new Map();
+const CACHE_LIMIT = 32;
+
+/**
+ * Parses YAML text into a position-aware AST.
+ *
+ * Results are memoised by text (a small LRU), because hover, completion,
+ * diagnostics and the tree view often parse the same document back-to-back.
+ * The returned tree is shared — callers must treat it as read-only.
+ *
+ * @param {string} text
+ * @returns {YamlDocument}
+ */
+function parseYaml(text) {
+  const cached = _cache.get(text);
+  if (cached) {
+    // Refresh LRU position
+    _cache.delete(text);
+    _cache.set(text, cached);
+    return cached;
+  }
+  const doc = new Parser(text).parse();
+  _cache.set(text, doc);
+  if (_cache.size > CACHE_LIMIT) _cache.delete(_cache.keys().next().value);
+  return doc;
+}
+
+/**
+ * Returns the entry for `key` in a mapping node, or undefined.
+ * @param {YamlNode|null|undefined} node
+ * @param {string} key
+ * @returns {YamlEntry|undefined}
+ */
+function getMapEntry(node, key) {
+  if (!node || node.kind !== 'map') return undefined;
+  return node.entries.find(e => e.key === key);
+}
+
+/**
+ * Returns the value node for `key` in a mapping node, or undefined.
+ * @param {YamlNode|null|undefined} node
+ * @param {string} key
+ * @returns {YamlNode|null|undefined}
+ */
+function getMapValue(node, key) {
+  const entry = getMapEntry(node, key);
+  return entry ? entry.value : undefined;
+}
+
+/**
+ * Returns the interpreted string value of a scalar node, or undefined for
+ * anything else.
+ * @param {YamlNode|null|undefined} node
+ * @returns {string|undefined}
+ */
+function scalarValue(node) {
+  return node && node.kind === 'scalar' ? node.value : undefined;
+}
+
+/**
+ * Renders a node as compact single-line YAML flow text, e.g. `[a, {b: 1}]`.
+ * @param {YamlNode|null|undefined} node
+ * @returns {string}
+ */
+function toFlowString(node) {
+  if (!node) return '';
+  if (node.kind === 'scalar') {
+    if (node.style === 'plain' && !node.value.includes('\n')) return node.value;
+    if (node.style === 'single' || node.style === 'double') return node.raw.replace(/\s*\n\s*/g, ' ');
+    return JSON.stringify(node.value);
+  }
+  if (node.kind === 'seq') return `[${node.items.map(toFlowString).join(', ')}]`;
+  return `{${node.entries.map(e => `${e.key}: ${toFlowString(e.value)}`).join(', ')}}`;
+}
+
+/**
+ * Returns the source text of a value as it would appear after `key: `.
+ * Scalars keep their quotes; flow collections keep their source text; block
+ * collections are rendered in flow style; empty values return ''.
+ *
+ * @param {YamlNode|null|undefined} node
+ * @returns {string}
+ */
+function nodeText(node) {
+  if (!node) return '';
+  if (node.kind === 'scalar') {
+    if (node.style === 'plain') return node.value;
+    if (node.style === 'literal' || node.style === 'folded') return node.value;
+    return node.raw.replace(/\s*\n\s*/g, ' ');
+  }
+  if (node.flow && node.raw !== undefined) return node.raw.replace(/\s*\n\s*/g, ' ');
+  return toFlowString(node);
+}
+
+/**
+ * Converts a node to a plain JavaScript value.  Scalars stay strings (YAML
+ * type resolution is left to callers, as Azure Pipelines does itself).
+ *
+ * @param {YamlNode|null|undefined} node
+ * @returns {string|Array|Object|null}
+ */
+function toJS(node) {
+  if (!node) return null;
+  if (node.kind === 'scalar') return node.value;
+  if (node.kind === 'seq') return node.items.map(toJS);
+  const obj = {};
+  for (const e of node.entries) obj[e.key] = toJS(e.value);
+  return obj;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Serialisation
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Renders a single-line string, number, boolean or null as a YAML scalar,
+ * single-quoting strings a plain scalar would misread.
+ * @param {*} value
+ * @returns {string}
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string') return String(value);
+  const needsQuotes = value === ''
+    || /^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(value)
+    || /:(\s|$)|\s#|\s$/.test(value);
+  return needsQuotes ? `'${value.replace(/'/g, "''")}'` : value;
+}
+
+/**
+ * Renders a multi-line string as a literal block scalar body (header + lines).
+ * @param {string} value
+ * @param {number} indent  Indent of the block's lines
+ * @returns {{ header: string, lines: string[] }}
+ */
+function formatBlockScalar(value, indent) {
+  const pad = ' '.repeat(indent);
+  const chomp = value.endsWith('\n') ? '' : '-';
+  const body = value.endsWith('\n') ? value.slice(0, -1) : value;
+  const indicator = /^\s/.test(body) ? '2' : '';
+  return {
+    header: `|${indicator}${chomp}`,
+    lines: body.split('\n').map(l => (l === '' ? '' : pad + l)),
+  };
+}
+
+/**
+ * Renders a value as block YAML lines at `indent`.
+ * @param {*} value
+ * @param {number} indent
+ * @returns {string[]}
+ */
+function stringifyLines(value, indent) {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${pad}[]`];
+    const out = [];
+    for (const item of value) {
+      if (typeof item === 'string' && item.includes('\n')) {
+        const block = formatBlockScalar(item, indent + 2);
+        out.push(`${pad}- ${block.header}`, ...block.lines);
+      } else if (item !== null && typeof item === 'object' && Object.keys(item).length > 0) {
+        // Nested block: put its first line on the dash
+        const lines = stringifyLines(item, indent + 2);
+        out.push(`${pad}- ${lines[0].slice(indent + 2)}`, ...lines.slice(1));
+      } else {
+        out.push(`${pad}- ${stringifyInline(item)}`.trimEnd());
+      }
+    }
+    return out;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 0) return [`${pad}{}`];
+    const out = [];
+    for (const key of keys) {
+      const v = value[key];
+      const k = formatScalar(key);
+      if (typeof v === 'string' && v.includes('\n')) {
+        const block = formatBlockScalar(v, indent + 2);
+        out.push(`${pad}${k}: ${block.header}`, ...block.lines);
+      } else if (v !== null && typeof v === 'object' && Object.keys(v).length > 0) {
+        out.push(`${pad}${k}:`, ...stringifyLines(v, indent + 2));
+      } else {
+        out.push(`${pad}${k}: ${stringifyInline(v)}`.trimEnd());
+      }
+    }
+    return out;
+  }
+
+  return [pad + formatScalar(value)];
+}
+
+/** Renders a scalar or an empty collection on one line. */
+function stringifyInline(value) {
+  if (Array.isArray(value)) return '[]';
+  if (value !== null && typeof value === 'object') return '{}';
+  return formatScalar(value);
+}
+
+/**
+ * Serialises a plain JavaScript value (as produced by {@link toJS}) as
+ * block-style YAML.  Mappings keep their key order; multi-line strings become
+ * literal block scalars; `null` becomes an empty value.
+ *
+ * @param {*} value
+ * @returns {string}  YAML text ending in a newline
+ */
+function stringifyYaml(value) {
+  return stringifyLines(value, 0).join('\n') + '\n';
+}
+
+/**
+ * Depth-first walk over every node.  `visit(node, parent, key)` receives the
+ * parent collection and the entry key (maps) or item index (sequences).
+ * Returning `false` from `visit` skips the node's children.
+ *
+ * @param {YamlNode|null|undefined} node
+ * @param {(node: YamlNode, parent: YamlNode|null, key: string|number|null) => (boolean|void)} visit
+ * @param {YamlNode|null} [parent]
+ * @param {string|number|null} [key]
+ */
+function walk(node, visit, parent = null, key = null) {
+  if (!node) return;
+  if (visit(node, parent, key) === false) return;
+  if (node.kind === 'map') {
+    for (const e of node.entries) walk(e.value, visit, node, e.key);
+  } else if (node.kind === 'seq') {
+    node.items.forEach((item, i) => walk(item, visit, node, i));
+  }
+}
+
+/**
+ * Like {@link walk}, but over a whole document: the root and any nodes that
+ * were recovered from malformed regions.  Use this for "find everything"
+ * scans that should keep working while a file is mid-edit.
+ *
+ * @param {YamlDocument} doc
+ * @param {(node: YamlNode, parent: YamlNode|null, key: string|number|null) => (boolean|void)} visit
+ */
+function walkDocument(doc, visit) {
+  walk(doc.root, visit);
+  for (const node of doc.recovered) walk(node, visit);
+}
+
+module.exports = {
+  parseYaml,
+  getMapEntry,
+  getMapValue,
+  scalarValue,
+  nodeText,
+  toFlowString,
+  toJS,
+  stringifyYaml,
+  walk,
+  walkDocument,
+};